@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+import "./load-env.js";
+import { MongoClient } from "mongodb";
+import { MigrationRunner } from "../src/utils/storage/MigrationRunner.js";
+
+const logger = {
+  info: (...args) => console.log(...args),
+  success: (...args) => console.log(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args),
+};
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+}
+
+function printUsage() {
+  console.log(`Usage: node scripts/migrate-schema.js <status|up|down> [options]
+
+Commands:
+  status                  List migrations and whether they are applied
+  up [--to <id>]          Apply pending migrations (up to and including <id>)
+  down [--steps <n>]      Revert the last <n> applied migrations (default 1)`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (args.includes("--help") || !["status", "up", "down"].includes(command)) {
+    printUsage();
+    process.exit(args.includes("--help") ? 0 : 1);
+  }
+
+  const steps = Number(getOption(args, "--steps") || 1);
+  if (!Number.isInteger(steps) || steps < 1) {
+    console.error("❌ --steps must be a positive number");
+    process.exit(1);
+  }
+
+  const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  const dbName =
+    process.env.MONGODB_DB_NAME || process.env.MONGO_DB_NAME || "role_reactor";
+
+  if (!mongoUri) {
+    console.error("❌ MONGODB_URI not set");
+    process.exit(1);
+  }
+
+  console.log("\n🗂️  Schema Migration Script");
+  console.log("=======================================\n");
+
+  const client = new MongoClient(mongoUri);
+
+  try {
+    console.log("🔌 Connecting to MongoDB...");
+    await client.connect();
+    console.log("✅ Connected\n");
+
+    const runner = new MigrationRunner(client.db(dbName), logger);
+
+    if (command === "status") {
+      for (const migration of await runner.getStatus()) {
+        const state = migration.appliedAt
+          ? `applied ${migration.appliedAt.toISOString()}`
+          : "pending";
+        console.log(`   ${migration.id}: ${state}`);
+        console.log(`      ${migration.description}`);
+      }
+    } else if (command === "up") {
+      const applied = await runner.up({ to: getOption(args, "--to") });
+      console.log(
+        applied.length > 0
+          ? `\n✅ Applied: ${applied.join(", ")}`
+          : "\n✅ Already up to date",
+      );
+    } else {
+      const reverted = await runner.down({ steps });
+      console.log(
+        reverted.length > 0
+          ? `\n✅ Reverted: ${reverted.join(", ")}`
+          : "\n✅ Nothing to revert",
+      );
+    }
+  } catch (error) {
+    console.error("❌ Schema migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+    console.log("\n🔌 Disconnected from MongoDB");
+  }
+}
+
+main();
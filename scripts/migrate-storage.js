@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+import "./load-env.js";
+import { MongoClient } from "mongodb";
+import { FileProvider } from "../src/utils/storage/FileProvider.js";
+import {
+  MIGRATION_BACKENDS,
+  migrateStorage,
+} from "../src/utils/storage/storageMigration.js";
+
+const logger = {
+  info: (...args) => console.log(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args),
+};
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+}
+
+function printUsage() {
+  console.log(`Usage: node scripts/migrate-storage.js --to <file|mongo> [options]
+
+Options:
+  --to <file|mongo>       Backend to copy into (the other one is the source)
+  --commit                Write the changes (default is a dry run)
+  --resume                Skip collections finished by an interrupted run
+  --collections <a,b>     Only migrate these collections
+  --data <path>           Data directory of the file storage (default ./data)`);
+}
+
+function formatEntry(entry) {
+  if (entry.status === "skipped") {
+    return `   ⏭️  ${entry.collection}: already migrated`;
+  }
+
+  const icon = { "dry-run": "🔍", verified: "✅", mismatch: "❌" }[
+    entry.status
+  ];
+  const counts = `${entry.source} source, ${entry.targetBefore} in target (${entry.added} new, ${entry.changed} changed, ${entry.unchanged} unchanged)`;
+  const verification =
+    entry.status === "dry-run"
+      ? ""
+      : ` → ${entry.targetAfter} in target, ${entry.missing} missing`;
+  return `   ${icon} ${entry.collection}: ${counts}${verification}`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const to = getOption(args, "--to");
+
+  if (args.includes("--help") || !MIGRATION_BACKENDS.includes(to)) {
+    printUsage();
+    process.exit(args.includes("--help") ? 0 : 1);
+  }
+
+  const from = to === "mongo" ? "file" : "mongo";
+  const dryRun = !args.includes("--commit");
+  const collections = getOption(args, "--collections")?.split(",") || null;
+
+  const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  const dbName =
+    process.env.MONGODB_DB_NAME || process.env.MONGO_DB_NAME || "role_reactor";
+
+  if (!mongoUri) {
+    console.error("❌ MONGODB_URI not set");
+    process.exit(1);
+  }
+
+  console.log("\n📦 Storage Migration Script");
+  console.log("=======================================\n");
+  console.log(`   ${from} → ${to}`);
+
+  if (dryRun) {
+    console.log("🔍 Running in DRY RUN mode (add --commit to apply changes)\n");
+  } else {
+    console.log(
+      `⚠️  WARNING: Running in COMMIT mode - this will modify ${to}!\n`,
+    );
+  }
+
+  const client = new MongoClient(mongoUri);
+
+  try {
+    console.log("🔌 Connecting to MongoDB...");
+    await client.connect();
+    console.log("✅ Connected\n");
+
+    const report = await migrateStorage({
+      from,
+      to,
+      fileProvider: new FileProvider(
+        logger,
+        getOption(args, "--data") || "./data",
+      ),
+      db: client.db(dbName),
+      dryRun,
+      resume: args.includes("--resume"),
+      collections,
+      onCollection: entry => console.log(formatEntry(entry)),
+    });
+
+    if (report.unsupported.length > 0) {
+      console.log(
+        `\n⚠️  Not stored in files, left in MongoDB: ${report.unsupported.join(", ")}`,
+      );
+    }
+
+    if (dryRun) {
+      console.log(
+        `\n🔍 DRY RUN - No changes made. Run with --commit to apply.`,
+      );
+    } else if (report.verified) {
+      console.log("\n✅ Migration complete, all counts verified");
+    } else {
+      console.log(
+        "\n❌ Some collections did not verify. Fix the cause and re-run with --resume.",
+      );
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+    console.error("   Re-run with --resume to continue where it stopped.");
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+    console.log("\n🔌 Disconnected from MongoDB");
+  }
+}
+
+main();
@@ -0,0 +1,113 @@
+import { EmbedBuilder } from "discord.js";
+import { THEME, EMOJIS } from "../../../config/theme.js";
+import {
+  AUTOMOD_FILTERS,
+  FILTER_LABELS,
+} from "../../../features/automod/config.js";
+
+/**
+ * Describe the tunable part of a rule in one line
+ * @param {string} filter - Filter type
+ * @param {Object} rule - Rule settings
+ * @returns {string}
+ */
+function describeRuleOptions(filter, rule) {
+  switch (filter) {
+    case AUTOMOD_FILTERS.WORDS:
+      return `${rule.patterns.length} pattern(s)`;
+    case AUTOMOD_FILTERS.LINKS:
+      return rule.blockedDomains.length > 0
+        ? `${rule.blockedDomains.length} blocked domain(s)`
+        : `All links except ${rule.allowedDomains.length} allowed domain(s)`;
+    case AUTOMOD_FILTERS.CAPS:
+      return `${rule.threshold}% uppercase, ${rule.minLength}+ characters`;
+    case AUTOMOD_FILTERS.MENTIONS:
+      return `More than ${rule.maxMentions} mentions`;
+    case AUTOMOD_FILTERS.DUPLICATES:
+      return `More than ${rule.maxDuplicates} repeats in ${rule.windowSeconds}s`;
+    default:
+      return "Discord invite links";
+  }
+}
+
+/**
+ * Truncate a list for display in an embed field
+ * @param {string[]} items - Items to list
+ * @param {number} [max=15] - Maximum items to show
+ * @returns {string}
+ */
+function formatList(items, max = 15) {
+  if (items.length === 0) return "*None*";
+  const shown = items.slice(0, max).join(", ");
+  return items.length > max
+    ? `${shown} *(+${items.length - max} more)*`
+    : shown;
+}
+
+/**
+ * Create embed showing the guild's auto-mod configuration
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} settings - Normalized auto-mod settings
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+export function createAutoModSettingsEmbed(guild, settings) {
+  const embed = new EmbedBuilder()
+    .setTitle(`${EMOJIS.MODERATION.AUTOMOD} Auto-Moderation`)
+    .setColor(THEME.ADMIN)
+    .setDescription(
+      settings.enabled
+        ? `Auto-moderation is **enabled** in ${guild.name}.`
+        : `Auto-moderation is **disabled** in ${guild.name}. Use \`/automod toggle enabled:true\` to turn it on.`,
+    )
+    .setTimestamp();
+
+  const ruleLines = Object.values(AUTOMOD_FILTERS).map(filter => {
+    const rule = settings.rules[filter];
+    const status = rule.enabled ? "🟢" : "⚫";
+    const action =
+      rule.action === "timeout"
+        ? `timeout (${rule.timeoutDuration})`
+        : rule.action;
+    return `${status} **${FILTER_LABELS[filter]}** - ${action}\n└ ${describeRuleOptions(filter, rule)}`;
+  });
+  embed.addFields({
+    name: "Filters",
+    value: ruleLines.join("\n"),
+    inline: false,
+  });
+
+  const { words, links } = settings.rules;
+  embed.addFields(
+    {
+      name: `Word List (${words.patterns.length})`,
+      value: formatList(words.patterns.map(pattern => `\`${pattern}\``)),
+      inline: false,
+    },
+    {
+      name: "Blocked Domains",
+      value: formatList(links.blockedDomains),
+      inline: true,
+    },
+    {
+      name: "Allowed Domains",
+      value: formatList(links.allowedDomains),
+      inline: true,
+    },
+    {
+      name: "Exempt Roles",
+      value: formatList(settings.exemptRoleIds.map(id => `<@&${id}>`)),
+      inline: false,
+    },
+    {
+      name: "Exempt Channels",
+      value: formatList(settings.exemptChannelIds.map(id => `<#${id}>`)),
+      inline: false,
+    },
+  );
+
+  embed.setFooter({
+    text: "Members with Manage Messages are always exempt",
+  });
+
+  return embed;
+}
@@ -0,0 +1,643 @@
+import { MessageFlags } from "discord.js";
+import { getLogger } from "../../../utils/logger.js";
+import {
+  errorEmbed,
+  successEmbed,
+} from "../../../utils/discord/responseMessages.js";
+import { getAutoModManager } from "../../../features/automod/AutoModManager.js";
+import {
+  AUTOMOD_ACTIONS,
+  AUTOMOD_FILTERS,
+  AUTOMOD_LIMITS,
+  FILTER_LABELS,
+} from "../../../features/automod/config.js";
+import {
+  validateWordPattern,
+  normalizeDomain,
+} from "../../../features/automod/filters.js";
+import { validateTimeoutDuration } from "../moderation/utils.js";
+import { createAutoModSettingsEmbed } from "./embeds.js";
+
+// Which rule field the generic "threshold" option sets for each filter
+const THRESHOLD_FIELDS = {
+  [AUTOMOD_FILTERS.CAPS]: "threshold",
+  [AUTOMOD_FILTERS.MENTIONS]: "maxMentions",
+  [AUTOMOD_FILTERS.DUPLICATES]: "maxDuplicates",
+};
+
+/**
+ * Load a mutable copy of the guild's auto-mod settings
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object>}
+ */
+async function loadSettings(guildId) {
+  const settings = await getAutoModManager().getSettings(guildId);
+  return JSON.parse(JSON.stringify(settings)); // Deep clone
+}
+
+/**
+ * Save settings and reply with a failure embed if storage rejected them
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} settings - Settings to save
+ * @returns {Promise<boolean>} Whether the save succeeded
+ */
+async function saveSettings(interaction, settings) {
+  const saved = await getAutoModManager().updateSettings(
+    interaction.guild.id,
+    settings,
+  );
+  if (!saved) {
+    await interaction.editReply(
+      errorEmbed({
+        title: "Save Failed",
+        description: "Failed to save the auto-mod settings.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+  return saved;
+}
+
+/**
+ * Handle showing the current auto-mod settings
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleView(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const settings = await getAutoModManager().getSettings(
+      interaction.guild.id,
+    );
+
+    return interaction.editReply({
+      embeds: [createAutoModSettingsEmbed(interaction.guild, settings)],
+    });
+  } catch (error) {
+    logger.error("Error in automod view handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to load auto-mod settings.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle turning auto-moderation on or off
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleToggle(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const enabled = interaction.options.getBoolean("enabled");
+    const settings = await loadSettings(interaction.guild.id);
+    settings.enabled = enabled;
+
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Auto-mod ${enabled ? "enabled" : "disabled"} in ${interaction.guild.name} by ${interaction.user.tag}`,
+    );
+
+    const activeFilters = Object.values(AUTOMOD_FILTERS).filter(
+      filter => settings.rules[filter].enabled,
+    );
+
+    return interaction.editReply(
+      successEmbed({
+        title: enabled ? "Auto-Mod Enabled" : "Auto-Mod Disabled",
+        description: enabled
+          ? `Auto-moderation is now active with ${activeFilters.length} filter(s) enabled.`
+          : "Auto-moderation is now turned off. Your rules have been kept.",
+        solution:
+          enabled && activeFilters.length === 0
+            ? "Enable a filter with `/automod filter` to start moderating messages."
+            : null,
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in automod toggle handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to update auto-mod status.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle configuring a single filter
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleFilter(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const filter = interaction.options.getString("filter");
+    const enabled = interaction.options.getBoolean("enabled");
+    const action = interaction.options.getString("action");
+    const timeoutDuration = interaction.options.getString("timeout-duration");
+    const threshold = interaction.options.getInteger("threshold");
+
+    if (timeoutDuration) {
+      const validation = validateTimeoutDuration(timeoutDuration);
+      if (!validation.valid) {
+        return interaction.editReply(
+          errorEmbed({
+            title: "Invalid Duration",
+            description: validation.error,
+            solution: "Use a format like `10m`, `1h` or `1d` (max 28 days).",
+          }),
+        );
+      }
+    }
+
+    if (threshold !== null && !THRESHOLD_FIELDS[filter]) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Threshold Not Supported",
+          description: `The ${FILTER_LABELS[filter]} does not use a threshold.`,
+          solution:
+            "Thresholds apply to the caps, mentions and duplicates filters only.",
+        }),
+      );
+    }
+
+    const settings = await loadSettings(interaction.guild.id);
+    const rule = settings.rules[filter];
+    rule.enabled = enabled;
+    if (action) rule.action = action;
+    if (timeoutDuration) rule.timeoutDuration = timeoutDuration;
+    if (threshold !== null) rule[THRESHOLD_FIELDS[filter]] = threshold;
+
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Auto-mod ${filter} filter updated in ${interaction.guild.name} by ${interaction.user.tag}`,
+    );
+
+    const details = [`**Action:** ${rule.action}`];
+    if (rule.action === AUTOMOD_ACTIONS.TIMEOUT) {
+      details.push(`**Timeout:** ${rule.timeoutDuration}`);
+    }
+    if (THRESHOLD_FIELDS[filter]) {
+      details.push(`**Threshold:** ${rule[THRESHOLD_FIELDS[filter]]}`);
+    }
+
+    let solution = null;
+    if (enabled && !settings.enabled) {
+      solution =
+        "Auto-moderation is turned off for this server. Use `/automod toggle enabled:true` to activate it.";
+    } else if (
+      enabled &&
+      filter === AUTOMOD_FILTERS.WORDS &&
+      rule.patterns.length === 0
+    ) {
+      solution =
+        "Add entries with `/automod words add` so the filter has something to match.";
+    }
+
+    return interaction.editReply(
+      successEmbed({
+        title: `${FILTER_LABELS[filter]} ${enabled ? "Enabled" : "Disabled"}`,
+        description: details.join("\n"),
+        solution,
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in automod filter handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to update the filter.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle adding an entry to the word list
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleWordAdd(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const pattern = interaction.options.getString("pattern").trim();
+    const validation = validateWordPattern(pattern);
+    if (!validation.valid) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Invalid Pattern",
+          description: validation.error,
+          solution:
+            "Use a plain word, a wildcard like `scam*`, or a regular expression like `/fr[e3]{2}/`.",
+        }),
+      );
+    }
+
+    const settings = await loadSettings(interaction.guild.id);
+    const { patterns } = settings.rules.words;
+
+    if (patterns.includes(pattern)) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Already Added",
+          description: `\`${pattern}\` is already on the word list.`,
+        }),
+      );
+    }
+    if (patterns.length >= AUTOMOD_LIMITS.MAX_WORD_PATTERNS) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Word List Full",
+          description: `The word list can hold at most ${AUTOMOD_LIMITS.MAX_WORD_PATTERNS} entries.`,
+          solution: "Remove unused entries or combine them with wildcards.",
+        }),
+      );
+    }
+
+    patterns.push(pattern);
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Auto-mod word pattern added in ${interaction.guild.name} by ${interaction.user.tag}`,
+    );
+
+    return interaction.editReply(
+      successEmbed({
+        title: "Word Added",
+        description: `\`${pattern}\` was added to the word list (${patterns.length} total).`,
+        solution: settings.rules.words.enabled
+          ? null
+          : "The word filter is disabled. Enable it with `/automod filter filter:words enabled:true`.",
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in automod words add handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to add the word.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle removing an entry from the word list
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleWordRemove(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const pattern = interaction.options.getString("pattern").trim();
+    const settings = await loadSettings(interaction.guild.id);
+    const { patterns } = settings.rules.words;
+    const index = patterns.indexOf(pattern);
+
+    if (index === -1) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Not Found",
+          description: `\`${pattern}\` is not on the word list.`,
+          solution: "Use `/automod view` to see the exact entries.",
+        }),
+      );
+    }
+
+    patterns.splice(index, 1);
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Auto-mod word pattern removed in ${interaction.guild.name} by ${interaction.user.tag}`,
+    );
+
+    return interaction.editReply(
+      successEmbed({
+        title: "Word Removed",
+        description: `\`${pattern}\` was removed from the word list.`,
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in automod words remove handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to remove the word.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle adding a domain to the blocked or allowed list
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleDomainAdd(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const domain = normalizeDomain(interaction.options.getString("domain"));
+    const list = interaction.options.getString("list");
+
+    if (!domain) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Invalid Domain",
+          description: "That doesn't look like a valid domain.",
+          solution: "Provide a domain like `example.com`.",
+        }),
+      );
+    }
+
+    const settings = await loadSettings(interaction.guild.id);
+    const { links } = settings.rules;
+    const target =
+      list === "allowed" ? links.allowedDomains : links.blockedDomains;
+    const other =
+      list === "allowed" ? links.blockedDomains : links.allowedDomains;
+
+    if (target.includes(domain)) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Already Added",
+          description: `\`${domain}\` is already on the ${list} list.`,
+        }),
+      );
+    }
+    if (target.length >= AUTOMOD_LIMITS.MAX_DOMAINS) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Domain List Full",
+          description: `Each domain list can hold at most ${AUTOMOD_LIMITS.MAX_DOMAINS} entries.`,
+        }),
+      );
+    }
+
+    // A domain can only be on one list at a time
+    const otherIndex = other.indexOf(domain);
+    if (otherIndex !== -1) other.splice(otherIndex, 1);
+    target.push(domain);
+
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Auto-mod ${list} domain ${domain} added in ${interaction.guild.name} by ${interaction.user.tag}`,
+    );
+
+    return interaction.editReply(
+      successEmbed({
+        title: "Domain Added",
+        description: `\`${domain}\` (and its subdomains) is now on the ${list} list.`,
+        solution: links.enabled
+          ? null
+          : "The link filter is disabled. Enable it with `/automod filter filter:links enabled:true`.",
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in automod domains add handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to add the domain.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle removing a domain from both lists
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleDomainRemove(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const domain = normalizeDomain(interaction.options.getString("domain"));
+    const settings = await loadSettings(interaction.guild.id);
+    const { links } = settings.rules;
+
+    const before = links.blockedDomains.length + links.allowedDomains.length;
+    links.blockedDomains = links.blockedDomains.filter(d => d !== domain);
+    links.allowedDomains = links.allowedDomains.filter(d => d !== domain);
+
+    if (
+      !domain ||
+      links.blockedDomains.length + links.allowedDomains.length === before
+    ) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Not Found",
+          description: "That domain is not on the blocked or allowed list.",
+          solution: "Use `/automod view` to see the configured domains.",
+        }),
+      );
+    }
+
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Auto-mod domain ${domain} removed in ${interaction.guild.name} by ${interaction.user.tag}`,
+    );
+
+    return interaction.editReply(
+      successEmbed({
+        title: "Domain Removed",
+        description: `\`${domain}\` was removed from the domain lists.`,
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in automod domains remove handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to remove the domain.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle exempting a role and/or channel
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleExemptAdd(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const role = interaction.options.getRole("role");
+    const channel = interaction.options.getChannel("channel");
+
+    if (!role && !channel) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Nothing to Exempt",
+          description: "Provide a role, a channel, or both.",
+        }),
+      );
+    }
+
+    const settings = await loadSettings(interaction.guild.id);
+    const added = [];
+
+    if (role && !settings.exemptRoleIds.includes(role.id)) {
+      if (settings.exemptRoleIds.length >= AUTOMOD_LIMITS.MAX_EXEMPT_ROLES) {
+        return interaction.editReply(
+          errorEmbed({
+            title: "Too Many Exempt Roles",
+            description: `At most ${AUTOMOD_LIMITS.MAX_EXEMPT_ROLES} roles can be exempt.`,
+          }),
+        );
+      }
+      settings.exemptRoleIds.push(role.id);
+      added.push(role.toString());
+    }
+
+    if (channel && !settings.exemptChannelIds.includes(channel.id)) {
+      if (
+        settings.exemptChannelIds.length >= AUTOMOD_LIMITS.MAX_EXEMPT_CHANNELS
+      ) {
+        return interaction.editReply(
+          errorEmbed({
+            title: "Too Many Exempt Channels",
+            description: `At most ${AUTOMOD_LIMITS.MAX_EXEMPT_CHANNELS} channels can be exempt.`,
+          }),
+        );
+      }
+      settings.exemptChannelIds.push(channel.id);
+      added.push(channel.toString());
+    }
+
+    if (added.length === 0) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Already Exempt",
+          description: "Everything you provided is already exempt.",
+        }),
+      );
+    }
+
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Auto-mod exemptions added in ${interaction.guild.name} by ${interaction.user.tag}`,
+    );
+
+    return interaction.editReply(
+      successEmbed({
+        title: "Exemption Added",
+        description: `Auto-mod will now ignore ${added.join(" and ")}.`,
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in automod exempt add handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to add the exemption.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle removing a role and/or channel exemption
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleExemptRemove(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const role = interaction.options.getRole("role");
+    const channel = interaction.options.getChannel("channel");
+
+    if (!role && !channel) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Nothing to Remove",
+          description: "Provide a role, a channel, or both.",
+        }),
+      );
+    }
+
+    const settings = await loadSettings(interaction.guild.id);
+    const removed = [];
+
+    if (role && settings.exemptRoleIds.includes(role.id)) {
+      settings.exemptRoleIds = settings.exemptRoleIds.filter(
+        id => id !== role.id,
+      );
+      removed.push(role.toString());
+    }
+    if (channel && settings.exemptChannelIds.includes(channel.id)) {
+      settings.exemptChannelIds = settings.exemptChannelIds.filter(
+        id => id !== channel.id,
+      );
+      removed.push(channel.toString());
+    }
+
+    if (removed.length === 0) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Not Exempt",
+          description: "None of the provided roles or channels are exempt.",
+          solution: "Use `/automod view` to see current exemptions.",
+        }),
+      );
+    }
+
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Auto-mod exemptions removed in ${interaction.guild.name} by ${interaction.user.tag}`,
+    );
+
+    return interaction.editReply(
+      successEmbed({
+        title: "Exemption Removed",
+        description: `Auto-mod will now check ${removed.join(" and ")} again.`,
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in automod exempt remove handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to remove the exemption.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
@@ -0,0 +1,362 @@
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  ChannelType,
+} from "discord.js";
+import { hasAdminPermissions } from "../../../utils/discord/permissions.js";
+import { getLogger } from "../../../utils/logger.js";
+import { errorEmbed } from "../../../utils/discord/responseMessages.js";
+import {
+  handleView,
+  handleToggle,
+  handleFilter,
+  handleWordAdd,
+  handleWordRemove,
+  handleDomainAdd,
+  handleDomainRemove,
+  handleExemptAdd,
+  handleExemptRemove,
+} from "./handlers.js";
+
+// ============================================================================
+// COMMAND METADATA
+// ============================================================================
+
+/**
+ * Command metadata for centralized registry
+ * This allows the command to be automatically discovered and integrated
+ * into help system, command suggestions, and other features
+ * This is the single source of truth for command information
+ */
+export const metadata = {
+  name: "automod",
+  category: "admin",
+  description:
+    "Configure rule-based auto-moderation for words, links, invites and spam",
+  keywords: [
+    "automod",
+    "auto-mod",
+    "auto moderation",
+    "filter",
+    "bad words",
+    "links",
+    "invites",
+    "spam",
+    "caps",
+  ],
+  emoji: "🤖",
+  helpFields: [
+    {
+      name: `How to Use`,
+      value: [
+        "```/automod toggle enabled:true```",
+        "```/automod filter filter:words enabled:true action:warn```",
+        "```/automod words add pattern:scam*```",
+        "```/automod domains add domain:example.com list:blocked```",
+        "```/automod exempt add role:@Trusted```",
+        "```/automod view```",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `Subcommands`,
+      value: [
+        "**view** - Show the current auto-mod configuration",
+        "**toggle** - Turn auto-moderation on or off for the server",
+        "**filter** - Enable, disable or tune a filter and choose its action",
+        "**words add/remove** - Manage the word list (supports `*` wildcards and `/regex/`)",
+        "**domains add/remove** - Manage blocked and allowed link domains",
+        "**exempt add/remove** - Exempt roles or channels from auto-mod",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `Filters`,
+      value: [
+        "**words** - Word list with wildcards or regular expressions",
+        "**invites** - Discord server invite links",
+        "**links** - Links to blocked domains (or any domain not on the allow list)",
+        "**caps** - Messages that are mostly uppercase",
+        "**mentions** - Messages with too many user or role mentions",
+        "**duplicates** - The same message repeated within a short window",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `Actions`,
+      value: [
+        "**delete** - Remove the message",
+        "**warn** - Remove the message and issue a logged warning",
+        "**timeout** - Remove the message and timeout the member",
+        "**kick** - Remove the message and kick the member",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `Permissions`,
+      value:
+        "• **Administrator** permission required\n• Bot needs **Manage Messages**, plus **Moderate Members** (timeout) and **Kick Members** (kick)\n• Members with **Manage Messages** are never filtered",
+      inline: false,
+    },
+    {
+      name: `What You'll See`,
+      value:
+        "Every auto-mod action is logged with a case ID and appears in `/moderation history` alongside manual actions.",
+      inline: false,
+    },
+  ],
+};
+
+const FILTER_CHOICES = [
+  { name: "Word list", value: "words" },
+  { name: "Invite links", value: "invites" },
+  { name: "Links / domains", value: "links" },
+  { name: "Caps lock", value: "caps" },
+  { name: "Mention spam", value: "mentions" },
+  { name: "Duplicate messages", value: "duplicates" },
+];
+
+const ACTION_CHOICES = [
+  { name: "Delete message", value: "delete" },
+  { name: "Warn", value: "warn" },
+  { name: "Timeout", value: "timeout" },
+  { name: "Kick", value: "kick" },
+];
+
+// ============================================================================
+// COMMAND DEFINITION
+// ============================================================================
+
+export const data = new SlashCommandBuilder()
+  .setName(metadata.name)
+  .setDescription(metadata.description)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sub =>
+    sub.setName("view").setDescription("Show the current auto-mod settings"),
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName("toggle")
+      .setDescription("Turn auto-moderation on or off")
+      .addBooleanOption(option =>
+        option
+          .setName("enabled")
+          .setDescription("Whether auto-moderation is enabled")
+          .setRequired(true),
+      ),
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName("filter")
+      .setDescription("Configure a single filter")
+      .addStringOption(option =>
+        option
+          .setName("filter")
+          .setDescription("The filter to configure")
+          .setRequired(true)
+          .addChoices(...FILTER_CHOICES),
+      )
+      .addBooleanOption(option =>
+        option
+          .setName("enabled")
+          .setDescription("Whether this filter is enabled")
+          .setRequired(true),
+      )
+      .addStringOption(option =>
+        option
+          .setName("action")
+          .setDescription("What to do when the filter matches")
+          .setRequired(false)
+          .addChoices(...ACTION_CHOICES),
+      )
+      .addStringOption(option =>
+        option
+          .setName("timeout-duration")
+          .setDescription(
+            "Timeout length for the timeout action (e.g. 10m, 1h)",
+          )
+          .setRequired(false),
+      )
+      .addIntegerOption(option =>
+        option
+          .setName("threshold")
+          .setDescription(
+            "Caps: uppercase %, mentions: max mentions, duplicates: max repeats",
+          )
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(100),
+      ),
+  )
+  .addSubcommandGroup(group =>
+    group
+      .setName("words")
+      .setDescription("Manage the word list")
+      .addSubcommand(sub =>
+        sub
+          .setName("add")
+          .setDescription("Add a word, wildcard (scam*) or /regex/")
+          .addStringOption(option =>
+            option
+              .setName("pattern")
+              .setDescription("Word, wildcard pattern or /regular expression/")
+              .setRequired(true)
+              .setMaxLength(100),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("remove")
+          .setDescription("Remove an entry from the word list")
+          .addStringOption(option =>
+            option
+              .setName("pattern")
+              .setDescription("The exact entry to remove")
+              .setRequired(true),
+          ),
+      ),
+  )
+  .addSubcommandGroup(group =>
+    group
+      .setName("domains")
+      .setDescription("Manage blocked and allowed link domains")
+      .addSubcommand(sub =>
+        sub
+          .setName("add")
+          .setDescription("Add a domain to the blocked or allowed list")
+          .addStringOption(option =>
+            option
+              .setName("domain")
+              .setDescription("Domain such as example.com")
+              .setRequired(true),
+          )
+          .addStringOption(option =>
+            option
+              .setName("list")
+              .setDescription("Which list to add the domain to")
+              .setRequired(true)
+              .addChoices(
+                { name: "Blocked", value: "blocked" },
+                { name: "Allowed", value: "allowed" },
+              ),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("remove")
+          .setDescription("Remove a domain from both lists")
+          .addStringOption(option =>
+            option
+              .setName("domain")
+              .setDescription("Domain to remove")
+              .setRequired(true),
+          ),
+      ),
+  )
+  .addSubcommandGroup(group =>
+    group
+      .setName("exempt")
+      .setDescription("Exempt roles or channels from auto-mod")
+      .addSubcommand(sub =>
+        sub
+          .setName("add")
+          .setDescription("Exempt a role or channel")
+          .addRoleOption(option =>
+            option
+              .setName("role")
+              .setDescription("Role to exempt")
+              .setRequired(false),
+          )
+          .addChannelOption(option =>
+            option
+              .setName("channel")
+              .setDescription("Channel or category to exempt")
+              .addChannelTypes(
+                ChannelType.GuildText,
+                ChannelType.GuildAnnouncement,
+                ChannelType.GuildCategory,
+                ChannelType.GuildForum,
+              )
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("remove")
+          .setDescription("Remove a role or channel exemption")
+          .addRoleOption(option =>
+            option
+              .setName("role")
+              .setDescription("Role to stop exempting")
+              .setRequired(false),
+          )
+          .addChannelOption(option =>
+            option
+              .setName("channel")
+              .setDescription("Channel or category to stop exempting")
+              .setRequired(false),
+          ),
+      ),
+  );
+
+export async function execute(interaction) {
+  const logger = getLogger();
+
+  try {
+    if (!hasAdminPermissions(interaction.member)) {
+      const response = errorEmbed({
+        title: "Permission Denied",
+        description:
+          "You need Administrator permissions to configure auto-moderation.",
+        solution: "Contact a server administrator for assistance.",
+      });
+      return interaction.reply(response);
+    }
+
+    const subcommandGroup = interaction.options.getSubcommandGroup(false);
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommandGroup === "words") {
+      if (subcommand === "add") return await handleWordAdd(interaction);
+      if (subcommand === "remove") return await handleWordRemove(interaction);
+    } else if (subcommandGroup === "domains") {
+      if (subcommand === "add") return await handleDomainAdd(interaction);
+      if (subcommand === "remove") return await handleDomainRemove(interaction);
+    } else if (subcommandGroup === "exempt") {
+      if (subcommand === "add") return await handleExemptAdd(interaction);
+      if (subcommand === "remove") return await handleExemptRemove(interaction);
+    } else {
+      switch (subcommand) {
+        case "view":
+          return await handleView(interaction);
+        case "toggle":
+          return await handleToggle(interaction);
+        case "filter":
+          return await handleFilter(interaction);
+        default:
+          break;
+      }
+    }
+
+    await interaction.reply(
+      errorEmbed({
+        title: "Unknown Subcommand",
+        description: `The subcommand "${subcommand}" is not recognized.`,
+        solution: "Use view, toggle, filter, words, domains or exempt.",
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in automod command:", error);
+    const response = errorEmbed({
+      title: "Error",
+      description: "Failed to process automod command.",
+      solution: "Please try again or contact support if the issue persists.",
+    });
+
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply(response);
+    } else if (interaction.deferred) {
+      await interaction.editReply(response);
+    }
+  }
+}
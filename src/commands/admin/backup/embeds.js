@@ -0,0 +1,101 @@
+import { EmbedBuilder } from "discord.js";
+import { THEME } from "../../../config/theme.js";
+import { IMPORT_ACTIONS } from "../../../features/serverTemplates/config.js";
+import {
+  addChangeFields,
+  addMissingReferenceFields,
+} from "../server-template/embeds.js";
+
+function toTimestamp(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Create embed listing a guild's backups
+ * @param {Array<{id: string, createdAt: Date}>} snapshots - Newest first
+ * @param {number} total - Number of backups, including those not listed
+ * @param {number|null} intervalHours - How often backups are taken; null when
+ *   scheduled backups are off
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+export function createBackupListEmbed(snapshots, total, intervalHours) {
+  const embed = new EmbedBuilder()
+    .setTitle("Backups")
+    .setColor(THEME.ADMIN)
+    .setTimestamp();
+
+  if (snapshots.length === 0) {
+    embed.setDescription(
+      intervalHours
+        ? `There are no backups of this server yet. The bot's settings are backed up automatically every ${intervalHours} hours.`
+        : "There are no backups of this server yet. Scheduled backups are turned off for this bot; a backup is still taken before every restore.",
+    );
+    return embed;
+  }
+
+  embed.setDescription(
+    snapshots
+      .map(
+        snapshot =>
+          `\`${snapshot.id}\` — <t:${toTimestamp(snapshot.createdAt)}:f> (<t:${toTimestamp(snapshot.createdAt)}:R>)`,
+      )
+      .join("\n"),
+  );
+  embed.setFooter({
+    text: `${total > snapshots.length ? `Newest ${snapshots.length} of ${total} backups • ` : ""}Restore one with /backup restore`,
+  });
+  return embed;
+}
+
+/**
+ * Create embed previewing what restoring a backup will change
+ * @param {Object} plan - Result of previewRestore
+ * @param {{id: string, createdAt: Date}} snapshot - Backup being restored
+ * @param {string} area - What is restored, e.g. "Everything"
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+export function createRestorePreviewEmbed(plan, snapshot, area) {
+  const applied = plan.changes.filter(
+    change => change.action !== IMPORT_ACTIONS.SKIP,
+  ).length;
+
+  const embed = new EmbedBuilder()
+    .setTitle("Restore Backup")
+    .setColor(THEME.ADMIN)
+    .setDescription(
+      [
+        `**${area}** from the backup of <t:${toTimestamp(snapshot.createdAt)}:f>.`,
+        applied > 0
+          ? `Restoring makes **${applied}** change${applied === 1 ? "" : "s"} to this server. The current settings are backed up first, and nothing is changed until you press **Restore**.`
+          : "Everything in this backup is already in place.",
+        "✏️ replaces current settings · ↩️ puts back an earlier version · ➕ re-creates something missing · 🗑️ removes something newer · ⏭️ skipped",
+      ].join("\n\n"),
+    )
+    .setTimestamp();
+
+  addChangeFields(embed, plan.changes);
+  addMissingReferenceFields(embed, plan);
+  return embed;
+}
+
+/**
+ * Create embed summarizing a restored backup
+ * @param {Object} plan - Result of restoreSnapshot
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+export function createRestoreResultEmbed(plan) {
+  const applied = plan.changes.filter(
+    change => change.action !== IMPORT_ACTIONS.SKIP,
+  ).length;
+
+  const embed = new EmbedBuilder()
+    .setTitle("Backup Restored")
+    .setColor(THEME.SUCCESS)
+    .setDescription(
+      `Made **${applied}** change${applied === 1 ? "" : "s"} to this server. To undo the restore, restore the backup taken just before it.`,
+    )
+    .setTimestamp();
+
+  addChangeFields(embed, plan.changes);
+  return embed;
+}
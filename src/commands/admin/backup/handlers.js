@@ -0,0 +1,250 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  MessageFlags,
+} from "discord.js";
+import { config } from "../../../config/config.js";
+import { getLogger } from "../../../utils/logger.js";
+import {
+  errorEmbed,
+  infoEmbed,
+} from "../../../utils/discord/responseMessages.js";
+import { getBackupManager } from "../../../features/backups/BackupManager.js";
+import { BACKUPS } from "../../../features/backups/config.js";
+import { parseSnapshotId } from "../../../features/backups/retention.js";
+import { ImportRollbackError } from "../../../features/serverTemplates/ServerTemplateManager.js";
+import {
+  IMPORT_ACTIONS,
+  TEMPLATE_SECTIONS,
+} from "../../../features/serverTemplates/config.js";
+import {
+  createBackupListEmbed,
+  createRestorePreviewEmbed,
+  createRestoreResultEmbed,
+} from "./embeds.js";
+
+// What /backup restore can restore; "all" restores every section
+export const RESTORE_AREAS = {
+  all: "Everything",
+  [TEMPLATE_SECTIONS.WELCOME]: "Welcome messages",
+  [TEMPLATE_SECTIONS.GOODBYE]: "Goodbye messages",
+  [TEMPLATE_SECTIONS.EXPERIENCE]: "XP settings and level rewards",
+  [TEMPLATE_SECTIONS.VOICE_ROLES]: "Voice control roles",
+  [TEMPLATE_SECTIONS.ROLE_PANELS]: "Role reaction panels",
+  [TEMPLATE_SECTIONS.ROLE_BUNDLES]: "Role bundles",
+  [TEMPLATE_SECTIONS.TICKET_PANELS]: "Ticket panels",
+  [TEMPLATE_SECTIONS.CUSTOM_COMMANDS]: "Custom commands",
+};
+
+function backupsUnavailable(interaction) {
+  return interaction.editReply(
+    errorEmbed({
+      title: "Backups Unavailable",
+      description: "I couldn't reach the backup storage.",
+      solution:
+        "Please try again in a moment. If this keeps happening, contact support.",
+    }),
+  );
+}
+
+// Whether a failed restore left the server as it was, and how to get back
+// when it didn't
+function describeRestoreFailure(error) {
+  if (!(error instanceof ImportRollbackError)) {
+    return "Something went wrong before the restore started, so nothing was changed.";
+  }
+  if (error.changesLeft === 0) {
+    return "Something went wrong while restoring. Every change made so far was undone, so the server is as it was before.";
+  }
+  return `Something went wrong while restoring, and ${error.changesLeft} change(s) couldn't be undone. The settings from right before the restore were backed up as \`${error.backupId}\`; restore that backup to go back to them.`;
+}
+
+/**
+ * Handle listing the server's backups
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleList(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const snapshots = await getBackupManager().listSnapshots(
+      interaction.guildId,
+    );
+
+    return interaction.editReply({
+      embeds: [
+        createBackupListEmbed(
+          snapshots.slice(0, BACKUPS.MAX_LISTED),
+          snapshots.length,
+          config.backups.enabled ? config.backups.intervalHours : null,
+        ),
+      ],
+    });
+  } catch (error) {
+    logger.error("Failed to list backups:", error);
+    return backupsUnavailable(interaction);
+  }
+}
+
+/**
+ * Handle restoring a backup: show a preview, then restore it on confirm
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleRestore(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const snapshotId = interaction.options.getString("backup", true).trim();
+    const area = interaction.options.getString("area") || "all";
+    const sections = area === "all" ? null : [area];
+
+    const backupManager = getBackupManager();
+    const plan = await backupManager.previewRestore(
+      interaction.guild,
+      snapshotId,
+      { sections },
+    );
+    const canApply = plan.changes.some(
+      change => change.action !== IMPORT_ACTIONS.SKIP,
+    );
+
+    const message = await interaction.editReply({
+      embeds: [
+        createRestorePreviewEmbed(
+          plan,
+          parseSnapshotId(snapshotId),
+          RESTORE_AREAS[area],
+        ),
+      ],
+      components: [
+        /** @type {ActionRowBuilder<ButtonBuilder>} */
+        (
+          new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId("t_backup_restore_apply")
+              .setLabel("Restore")
+              .setStyle(ButtonStyle.Danger)
+              .setDisabled(!canApply),
+            new ButtonBuilder()
+              .setCustomId("t_backup_restore_cancel")
+              .setLabel("Cancel")
+              .setStyle(ButtonStyle.Secondary),
+          )
+        ),
+      ],
+    });
+
+    const collector = message.createMessageComponentCollector({
+      time: BACKUPS.CONFIRM_TIMEOUT_MS,
+    });
+
+    collector.on("collect", async i => {
+      if (i.user.id !== interaction.user.id) {
+        return i.reply({
+          content: "This menu is not for you.",
+          flags: [MessageFlags.Ephemeral],
+        });
+      }
+
+      // Acknowledge immediately to prevent Discord's 3-second timeout
+      await i.deferUpdate();
+      collector.stop("handled");
+
+      if (i.customId === "t_backup_restore_cancel") {
+        return i.editReply({
+          ...infoEmbed({
+            title: "Restore Cancelled",
+            description: "Nothing was changed.",
+          }),
+          components: [],
+        });
+      }
+
+      await i.editReply({
+        ...infoEmbed({
+          title: "Restoring Backup",
+          description: "Restoring the backup, this can take a moment…",
+        }),
+        components: [],
+      });
+
+      try {
+        const restored = await backupManager.restoreSnapshot(
+          interaction.guild,
+          snapshotId,
+          { sections, userId: interaction.user.id },
+        );
+        await i.editReply({
+          embeds: [createRestoreResultEmbed(restored)],
+          components: [],
+        });
+      } catch (error) {
+        if (!(error instanceof RangeError)) {
+          logger.error("Failed to restore backup:", error);
+        }
+        await i.editReply({
+          ...errorEmbed({
+            title: "Restore Failed",
+            description:
+              error instanceof RangeError
+                ? error.message
+                : describeRestoreFailure(error),
+            solution: "Please try again in a moment.",
+          }),
+          components: [],
+        });
+      }
+    });
+
+    collector.on("end", async (_collected, reason) => {
+      if (reason !== "time") return;
+      await interaction
+        .editReply({
+          ...infoEmbed({
+            title: "Restore Expired",
+            description:
+              "The preview timed out and nothing was changed. Run `/backup restore` again to restore the backup.",
+          }),
+          components: [],
+        })
+        .catch(() => null);
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Can't Restore Backup",
+          description: error.message,
+          solution: "Use `/backup list` to see this server's backups.",
+        }),
+      );
+    }
+
+    logger.error("Failed to preview backup restore:", error);
+    return backupsUnavailable(interaction);
+  }
+}
+
+/**
+ * Suggest the server's backups, newest first
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ */
+export async function handleAutocomplete(interaction) {
+  const focused = interaction.options.getFocused().trim();
+  const snapshots = await getBackupManager().listSnapshots(interaction.guildId);
+
+  await interaction.respond(
+    snapshots
+      .filter(snapshot => snapshot.id.includes(focused))
+      .slice(0, BACKUPS.MAX_LISTED)
+      .map(snapshot => ({
+        name: `${snapshot.createdAt.toISOString().slice(0, 16).replace("T", " ")} UTC (${snapshot.id})`,
+        value: snapshot.id,
+      })),
+  );
+}
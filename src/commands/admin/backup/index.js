@@ -0,0 +1,171 @@
+import { SlashCommandBuilder, PermissionFlagsBits } from "discord.js";
+import { hasAdminPermissions } from "../../../utils/discord/permissions.js";
+import { getLogger } from "../../../utils/logger.js";
+import { errorEmbed } from "../../../utils/discord/responseMessages.js";
+import {
+  RESTORE_AREAS,
+  handleAutocomplete,
+  handleList,
+  handleRestore,
+} from "./handlers.js";
+
+// ============================================================================
+// COMMAND METADATA
+// ============================================================================
+
+/**
+ * Command metadata for centralized registry
+ * This allows the command to be automatically discovered and integrated
+ * into help system, command suggestions, and other features
+ * This is the single source of truth for command information
+ */
+export const metadata = {
+  name: "backup",
+  category: "admin",
+  description:
+    "List this server's automatic backups and restore the bot's settings from one",
+  keywords: [
+    "backup",
+    "backups",
+    "restore",
+    "snapshot",
+    "undo",
+    "recover",
+    "rollback",
+  ],
+  emoji: "💾",
+  helpFields: [
+    {
+      name: `How to Use`,
+      value: [
+        "```/backup list```",
+        "```/backup restore backup:20260101-120000-1a2b3c4d```",
+        "```/backup restore backup:20260101-120000-1a2b3c4d area:Role bundles```",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `Subcommands`,
+      value: [
+        "**list** - Show this server's backups, newest first",
+        "**restore** - Preview and restore a backup, for everything or one area",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `Options`,
+      value: [
+        "**backup** *(required)* - The backup to restore, pick one from the suggestions",
+        "**area** *(optional)* - Only restore one area, e.g. role reaction panels",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `Permissions`,
+      value: "• **Administrator** permission required",
+      inline: false,
+    },
+    {
+      name: `How It Works`,
+      value: [
+        "When scheduled backups are turned on (`BACKUP_ENABLED=true`), the bot's settings for this server are backed up regularly, and older backups are thinned out over time.",
+        "Restoring replaces settings, puts back panels, bundles and commands as they were, and removes ones created after the backup along with their messages and commands.",
+        "The current settings are backed up before every restore, so a restore can be undone.",
+      ].join("\n"),
+      inline: false,
+    },
+  ],
+};
+
+// ============================================================================
+// COMMAND DEFINITION
+// ============================================================================
+
+export const data = new SlashCommandBuilder()
+  .setName(metadata.name)
+  .setDescription(metadata.description)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sub =>
+    sub.setName("list").setDescription("Show this server's backups"),
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName("restore")
+      .setDescription("Preview and restore the bot's settings from a backup")
+      .addStringOption(option =>
+        option
+          .setName("backup")
+          .setDescription("The backup to restore")
+          .setRequired(true)
+          .setAutocomplete(true),
+      )
+      .addStringOption(option =>
+        option
+          .setName("area")
+          .setDescription("Only restore one area (default: everything)")
+          .setRequired(false)
+          .addChoices(
+            ...Object.entries(RESTORE_AREAS).map(([value, name]) => ({
+              name,
+              value,
+            })),
+          ),
+      ),
+  );
+
+export async function autocomplete(interaction) {
+  if (!hasAdminPermissions(interaction.member)) {
+    return interaction.respond([]);
+  }
+  await handleAutocomplete(interaction);
+}
+
+export async function execute(interaction) {
+  const logger = getLogger();
+
+  try {
+    // Check user permissions
+    if (!hasAdminPermissions(interaction.member)) {
+      const response = errorEmbed({
+        title: "Permission Denied",
+        description:
+          "You need Administrator permissions to view or restore backups.",
+        solution: "Contact a server administrator for assistance.",
+      });
+
+      return interaction.reply(response);
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case "list":
+        await handleList(interaction);
+        break;
+      case "restore":
+        await handleRestore(interaction);
+        break;
+      default: {
+        const response = errorEmbed({
+          title: "Unknown Subcommand",
+          description: `The subcommand "${subcommand}" is not recognized.`,
+          solution: "Use list or restore as subcommands.",
+        });
+        await interaction.reply(response);
+      }
+    }
+  } catch (error) {
+    logger.error("Error in backup command:", error);
+    const response = errorEmbed({
+      title: "Error",
+      description: "Failed to process backup command.",
+      solution: "Please try again or contact support if the issue persists.",
+    });
+
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply(response);
+    } else if (interaction.deferred) {
+      await interaction.editReply(response);
+    }
+  }
+}
@@ -7,6 +7,7 @@ import { EmbedBuilder } from "discord.js";
 import { THEME, UI_COMPONENTS } from "../../../config/theme.js";
 
 import { getMentionableCommand } from "../../../utils/commandUtils.js";
+import { formatInTimezone } from "../../../utils/timezone.js";
 
 /**
  * Create a giveaway embed
@@ -33,7 +34,9 @@ export function createGiveawayEmbed(giveaway, totalEntries = 0, client = null) {
       },
       {
         name: "Ends",
-        value: `<t:${Math.floor(giveaway.endTime.getTime() / 1000)}:R>`,
+        value: giveaway.timezone
+          ? `<t:${Math.floor(giveaway.endTime.getTime() / 1000)}:R>\n${formatInTimezone(giveaway.endTime, giveaway.timezone)}`
+          : `<t:${Math.floor(giveaway.endTime.getTime() / 1000)}:R>`,
         inline: true,
       },
     )
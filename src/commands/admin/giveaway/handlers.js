@@ -15,10 +15,14 @@ import {
   createListPaginationButtons,
 } from "./components.js";
 import {
-  parseDuration,
+  resolveGiveawayDuration,
   validateGiveawayCreation,
   sanitizeText,
 } from "../../../utils/giveaway/utils.js";
+import {
+  normalizeTimezone,
+  getGuildTimezone,
+} from "../../../utils/timezone.js";
 import { getMentionableCommand } from "../../../utils/commandUtils.js";
 import {
   FREE_TIER,
@@ -48,15 +52,33 @@ export async function handleCreate(interaction) {
     const claimPeriod = interaction.options.getInteger("claim-period");
     const minAccountAge = interaction.options.getInteger("min-account-age");
     const minServerAge = interaction.options.getInteger("min-server-age");
+    const timezoneInput = interaction.options.getString("timezone");
 
     const targetChannel = channel || interaction.channel;
 
+    // End times like "friday 8pm" are read in this timezone
+    const timezone = timezoneInput
+      ? normalizeTimezone(timezoneInput)
+      : await getGuildTimezone(interaction.guild.id);
+    if (!timezone) {
+      return interaction.editReply({
+        embeds: [
+          createConfirmationEmbed(
+            "Invalid Timezone",
+            `**${timezoneInput}** is not a known timezone. Try one like \`Europe/London\` or \`America/New_York\`.`,
+            "error",
+          ),
+        ],
+      });
+    }
+
     // Validate input
     const validation = validateGiveawayCreation({
       prize,
       winners,
       duration,
       description,
+      timezone,
     });
 
     if (!validation.valid) {
@@ -71,7 +93,7 @@ export async function handleCreate(interaction) {
       });
     }
 
-    const durationMs = parseDuration(duration);
+    const durationMs = resolveGiveawayDuration(duration, timezone);
 
     // Check bot permissions
     const botPermissions = targetChannel.permissionsFor(
@@ -162,6 +184,7 @@ export async function handleCreate(interaction) {
       claimPeriod,
       minAccountAge,
       minServerAge,
+      timezone,
     });
 
     // Create and send giveaway message
@@ -17,6 +17,7 @@ import {
   handleEdit,
   handleDelete,
 } from "./handlers.js";
+import { getTimezoneChoices } from "../../../utils/timezone.js";
 
 export const metadata = {
   name: "giveaway",
@@ -29,6 +30,7 @@ export const metadata = {
       name: `How to Use`,
       value: [
         "```/giveaway create prize:Nitro winners:1 duration:24h```",
+        "```/giveaway create prize:Nitro winners:1 duration:friday 8pm timezone:Europe/London```",
         "```/giveaway list```",
         "```/giveaway end giveaway-id:12345```",
         "```/giveaway reroll giveaway-id:12345```",
@@ -104,7 +106,9 @@ export const command = {
         .addStringOption(option =>
           option
             .setName("duration")
-            .setDescription("Duration (e.g., 30m, 1h, 1d, 1w)")
+            .setDescription(
+              "Duration (e.g., 30m, 1h, 1d, 1w) or end time (e.g., friday 8pm)",
+            )
             .setRequired(true),
         )
         .addChannelOption(option =>
@@ -164,6 +168,15 @@ export const command = {
             .setRequired(false)
             .setMinValue(1)
             .setMaxValue(365),
+        )
+        .addStringOption(option =>
+          option
+            .setName("timezone")
+            .setDescription(
+              "Timezone for an end time (default: the server timezone)",
+            )
+            .setRequired(false)
+            .setAutocomplete(true),
         ),
     )
     .addSubcommand(subcommand =>
@@ -270,6 +283,16 @@ export const command = {
         ),
     ),
 
+  /**
+   * Suggest timezones for the timezone option
+   * @param {Object} interaction - Autocomplete interaction
+   */
+  async autocomplete(interaction) {
+    await interaction.respond(
+      getTimezoneChoices(interaction.options.getFocused()),
+    );
+  },
+
   /**
    * Execute the giveaway command
    * @param {Object} interaction - Discord interaction
@@ -323,4 +346,5 @@ export const command = {
 // Export data and execute for command loader compatibility
 export const { data } = command;
 export const { execute } = command;
+export const { autocomplete } = command;
 export default command;
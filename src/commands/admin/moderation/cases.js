@@ -0,0 +1,376 @@
+import { getLogger } from "../../../utils/logger.js";
+import { EMOJIS } from "../../../config/theme.js";
+import { logModerationAction } from "./utils.js";
+import { cancelScheduledUnban } from "./tempbans.js";
+import {
+  createCaseEmbed,
+  createAppealButtons,
+  createAppealReviewEmbed,
+  createAppealReviewButtons,
+  createAppealResultDMEmbed,
+} from "./embeds.js";
+
+const logger = getLogger();
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const MOD_LOG_ACTIONS = [
+  "timeout",
+  "warn",
+  "ban",
+  "kick",
+  "unban",
+  "purge",
+];
+export const APPEALABLE_ACTIONS = ["warn", "ban"];
+export const MAX_APPEAL_LENGTH = 1000;
+
+// ============================================================================
+// MOD-LOG CHANNEL
+// ============================================================================
+
+/**
+ * Get the mod-log channel ID configured for a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<string|null>} Channel ID, or null if none is set
+ */
+export async function loadModLogChannelId(guildId) {
+  try {
+    const { getStorageManager } = await import(
+      "../../../utils/storage/storageManager.js"
+    );
+    const storageManager = await getStorageManager();
+    const settings = await storageManager.getGuildSettings(guildId);
+    return settings?.moderationLogChannelId || null;
+  } catch (error) {
+    logger.warn(
+      `Failed to load mod-log channel for guild ${guildId}: ${error.message}`,
+    );
+  }
+  return null;
+}
+
+/**
+ * Save the mod-log channel for a guild
+ * @param {string} guildId - Guild ID
+ * @param {string|null} channelId - Channel ID, or null to stop posting cases
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setModLogChannel(guildId, channelId) {
+  const { getStorageManager } = await import(
+    "../../../utils/storage/storageManager.js"
+  );
+  const storageManager = await getStorageManager();
+  const settings = await storageManager.getGuildSettings(guildId);
+  return storageManager.setGuildSettings(guildId, {
+    ...settings,
+    moderationLogChannelId: channelId || null,
+  });
+}
+
+/**
+ * Resolve the mod-log channel for a guild
+ * @param {import('discord.js').Guild} guild - Guild
+ * @returns {Promise<import('discord.js').GuildTextBasedChannel|null>}
+ */
+async function getModLogChannel(guild) {
+  const channelId = await loadModLogChannelId(guild.id);
+  if (!channelId) return null;
+
+  const channel = await guild.channels.fetch(channelId).catch(() => null);
+  return channel?.isTextBased() ? channel : null;
+}
+
+/**
+ * Post a case to the guild's mod-log channel and remember the message
+ * Failures are logged and never interrupt the moderation action
+ * @param {import('discord.js').Guild} guild - Guild
+ * @param {Object} logEntry - Moderation log entry
+ * @returns {Promise<import('discord.js').Message|null>}
+ */
+export async function postModerationCase(guild, logEntry) {
+  if (!MOD_LOG_ACTIONS.includes(logEntry.action)) return null;
+
+  try {
+    const channel = await getModLogChannel(guild);
+    if (!channel) return null;
+
+    const message = await channel.send({
+      embeds: [createCaseEmbed(logEntry)],
+    });
+
+    const { getStorageManager } = await import(
+      "../../../utils/storage/storageManager.js"
+    );
+    const storage = await getStorageManager();
+    await storage.updateModerationCase(guild.id, logEntry.caseId, {
+      modLogChannelId: channel.id,
+      modLogMessageId: message.id,
+    });
+
+    return message;
+  } catch (error) {
+    logger.warn(
+      `Could not post case ${logEntry.caseId} to the mod log in guild ${guild.id}: ${error.message}`,
+    );
+    return null;
+  }
+}
+
+/**
+ * Re-render a case's mod-log message after it changes
+ * @param {import('discord.js').Guild} guild - Guild
+ * @param {Object} caseEntry - Updated moderation log entry
+ */
+async function refreshModLogMessage(guild, caseEntry) {
+  if (!caseEntry.modLogChannelId || !caseEntry.modLogMessageId) return;
+
+  try {
+    const channel = await guild.channels.fetch(caseEntry.modLogChannelId);
+    if (!channel?.isTextBased()) return;
+    const message = await channel.messages.fetch(caseEntry.modLogMessageId);
+    await message.edit({ embeds: [createCaseEmbed(caseEntry)] });
+  } catch (error) {
+    logger.debug(
+      `Could not update mod-log message for case ${caseEntry.caseId}: ${error.message}`,
+    );
+  }
+}
+
+// ============================================================================
+// CASE MANAGEMENT
+// ============================================================================
+
+/**
+ * Look up a moderation case by ID
+ * @param {string} guildId - Guild ID
+ * @param {string} caseId - Case ID (case-insensitive)
+ * @returns {Promise<Object|null>} Moderation log entry
+ */
+export async function getModerationCase(guildId, caseId) {
+  const { getStorageManager } = await import(
+    "../../../utils/storage/storageManager.js"
+  );
+  const storage = await getStorageManager();
+  return await storage.getModerationCase(guildId, caseId.trim().toUpperCase());
+}
+
+/**
+ * Change the reason recorded on a case
+ * The first reason is kept as `originalReason`
+ * @param {import('discord.js').Guild} guild - Guild
+ * @param {string} caseId - Case ID
+ * @param {string} reason - New reason
+ * @param {string} editorId - ID of the moderator editing the case
+ * @returns {Promise<{success: boolean, error?: string, caseEntry?: Object}>}
+ */
+export async function updateCaseReason(guild, caseId, reason, editorId) {
+  const existing = await getModerationCase(guild.id, caseId);
+  if (!existing) {
+    return { success: false, error: `No case found with ID: ${caseId}` };
+  }
+
+  const { getStorageManager } = await import(
+    "../../../utils/storage/storageManager.js"
+  );
+  const storage = await getStorageManager();
+  const caseEntry = await storage.updateModerationCase(
+    guild.id,
+    existing.caseId,
+    {
+      reason,
+      originalReason: existing.originalReason ?? existing.reason,
+      reasonEditedBy: editorId,
+      reasonEditedAt: new Date().toISOString(),
+    },
+  );
+  if (!caseEntry) {
+    return { success: false, error: "The case could not be updated." };
+  }
+
+  await refreshModLogMessage(guild, caseEntry);
+  logger.info(
+    `${EMOJIS.ACTIONS.EDIT} Case ${existing.caseId} reason edited by ${editorId} in guild ${guild.id}`,
+  );
+
+  return { success: true, caseEntry };
+}
+
+// ============================================================================
+// APPEALS
+// ============================================================================
+
+/**
+ * Get the DM components for a case, adding the appeal button when the
+ * action can be appealed and the guild has somewhere to review appeals
+ * @param {string} guildId - Guild ID
+ * @param {string} caseId - Case ID
+ * @param {string} action - Moderation action
+ * @returns {Promise<Array<import('discord.js').ActionRowBuilder<import('discord.js').ButtonBuilder>>>}
+ */
+export async function getAppealComponents(guildId, caseId, action) {
+  if (!APPEALABLE_ACTIONS.includes(action)) return [];
+  const channelId = await loadModLogChannelId(guildId);
+  return channelId ? createAppealButtons(guildId, caseId) : [];
+}
+
+/**
+ * File an appeal against a case and post it for staff review
+ * @param {Object} options
+ * @param {import('discord.js').Guild} options.guild - Guild the case belongs to
+ * @param {string} options.caseId - Case ID
+ * @param {import('discord.js').User} options.user - Appealing user
+ * @param {string} options.message - Appeal text
+ * @returns {Promise<{success: boolean, error?: string, caseEntry?: Object}>}
+ */
+export async function fileAppeal({ guild, caseId, user, message }) {
+  const existing = await getModerationCase(guild.id, caseId);
+  if (!existing || existing.userId !== user.id) {
+    return { success: false, error: "This case could not be found." };
+  }
+  if (!APPEALABLE_ACTIONS.includes(existing.action)) {
+    return { success: false, error: "This action cannot be appealed." };
+  }
+  if (existing.appeal) {
+    return { success: false, error: "You have already appealed this case." };
+  }
+
+  const channel = await getModLogChannel(guild);
+  if (!channel) {
+    return {
+      success: false,
+      error: "This server is not accepting appeals right now.",
+    };
+  }
+
+  const { getStorageManager } = await import(
+    "../../../utils/storage/storageManager.js"
+  );
+  const storage = await getStorageManager();
+  const caseEntry = await storage.updateModerationCase(
+    guild.id,
+    existing.caseId,
+    {
+      appeal: {
+        status: "pending",
+        message,
+        submittedAt: new Date().toISOString(),
+      },
+    },
+  );
+  if (!caseEntry) {
+    return {
+      success: false,
+      error: "Your appeal could not be saved. Please try again later.",
+    };
+  }
+
+  try {
+    await channel.send({
+      embeds: [createAppealReviewEmbed(caseEntry, user)],
+      components: createAppealReviewButtons(guild.id, caseEntry.caseId),
+    });
+  } catch (error) {
+    logger.warn(
+      `Could not post appeal for case ${caseEntry.caseId} in guild ${guild.id}: ${error.message}`,
+    );
+  }
+  await refreshModLogMessage(guild, caseEntry);
+
+  logger.info(
+    `${EMOJIS.MODERATION.APPEAL} Appeal filed for case ${caseEntry.caseId} by ${user.tag} (${user.id})`,
+  );
+  return { success: true, caseEntry };
+}
+
+/**
+ * Accept or deny a pending appeal
+ * Accepting a warning expires it; accepting a ban lifts the ban
+ * @param {Object} options
+ * @param {import('discord.js').Guild} options.guild - Guild
+ * @param {string} options.caseId - Case ID
+ * @param {boolean} options.accepted - Whether the appeal is accepted
+ * @param {import('discord.js').User} options.reviewer - Reviewing moderator
+ * @returns {Promise<{success: boolean, error?: string, caseEntry?: Object}>}
+ */
+export async function resolveAppeal({ guild, caseId, accepted, reviewer }) {
+  const existing = await getModerationCase(guild.id, caseId);
+  if (!existing?.appeal) {
+    return { success: false, error: "This appeal could not be found." };
+  }
+  if (existing.appeal.status !== "pending") {
+    return {
+      success: false,
+      error: `This appeal was already ${existing.appeal.status}.`,
+    };
+  }
+
+  const now = new Date().toISOString();
+  const updates = {
+    appeal: {
+      ...existing.appeal,
+      status: accepted ? "accepted" : "denied",
+      reviewedBy: reviewer.id,
+      reviewedAt: now,
+    },
+  };
+
+  if (accepted && existing.action === "warn") {
+    updates.expiresAt = now;
+  }
+  if (accepted && existing.action === "ban") {
+    const reason = `Appeal accepted for case ${existing.caseId}`;
+    try {
+      await guild.bans.remove(existing.userId, reason);
+      await cancelScheduledUnban(guild.id, existing.userId);
+      await logModerationAction({
+        guild,
+        guildId: guild.id,
+        userId: existing.userId,
+        moderatorId: reviewer.id,
+        action: "unban",
+        reason,
+        metadata: { appealCaseId: existing.caseId },
+      });
+    } catch (error) {
+      // 10026: Unknown Ban - the user was already unbanned
+      if (error.code !== 10026) {
+        return {
+          success: false,
+          error: `Could not unban the user: ${error.message}`,
+        };
+      }
+    }
+  }
+
+  const { getStorageManager } = await import(
+    "../../../utils/storage/storageManager.js"
+  );
+  const storage = await getStorageManager();
+  const caseEntry = await storage.updateModerationCase(
+    guild.id,
+    existing.caseId,
+    updates,
+  );
+  if (!caseEntry) {
+    return { success: false, error: "The appeal could not be updated." };
+  }
+
+  await refreshModLogMessage(guild, caseEntry);
+
+  try {
+    const user = await guild.client.users.fetch(caseEntry.userId);
+    await user.send({ embeds: [createAppealResultDMEmbed(guild, caseEntry)] });
+  } catch (dmError) {
+    logger.debug(
+      `Could not send appeal result DM for case ${caseEntry.caseId}: ${dmError.message}`,
+    );
+  }
+
+  logger.info(
+    `${EMOJIS.MODERATION.APPEAL} Appeal for case ${caseEntry.caseId} ${caseEntry.appeal.status} by ${reviewer.tag} (${reviewer.id})`,
+  );
+  return { success: true, caseEntry };
+}
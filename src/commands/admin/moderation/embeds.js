@@ -5,6 +5,7 @@ import {
   ButtonStyle,
 } from "discord.js";
 import { THEME, UI_COMPONENTS, EMOJIS } from "../../../config/theme.js";
+import { isWarningExpired } from "./utils.js";
 
 /**
  * Create timeout success embed
@@ -40,13 +41,27 @@ export function createTimeoutEmbed(targetUser, duration, reason, caseId) {
     .setTimestamp();
 }
 
+/**
+ * Format an active warning count with its point total
+ * @param {number} warnCount - Active warning count
+ * @param {number|null} warnPoints - Active warning points
+ * @returns {string}
+ */
+function formatWarningTotal(warnCount, warnPoints) {
+  const count = `${warnCount} warning${warnCount !== 1 ? "s" : ""}`;
+  if (warnPoints === null || warnPoints === undefined) return count;
+  return `${count} (${warnPoints} point${warnPoints !== 1 ? "s" : ""})`;
+}
+
 /**
  * Create warn success embed
  * @param {import('discord.js').User} targetUser - Target user
  * @param {string} reason - Reason for warning
- * @param {number} warnCount - Total warning count
+ * @param {number} warnCount - Active warning count
  * @param {string} caseId - Case ID
  * @param {string} [escalationMessage] - Auto-escalation message if triggered
+ * @param {number|null} [warnPoints] - Active warning points
+ * @param {string|null} [expiresAt] - ISO date the new warning expires
  * @returns {import('discord.js').EmbedBuilder}
  */
 export function createWarnEmbed(
@@ -55,6 +70,8 @@ export function createWarnEmbed(
   warnCount,
   caseId,
   escalationMessage = null,
+  warnPoints = null,
+  expiresAt = null,
 ) {
   const embed = new EmbedBuilder()
     .setColor(THEME.WARNING)
@@ -67,8 +84,8 @@ export function createWarnEmbed(
         inline: false,
       },
       {
-        name: "Total Warnings",
-        value: `${warnCount} warning${warnCount !== 1 ? "s" : ""}`,
+        name: "Active Warnings",
+        value: formatWarningTotal(warnCount, warnPoints),
         inline: true,
       },
       {
@@ -78,6 +95,14 @@ export function createWarnEmbed(
       },
     );
 
+  if (expiresAt) {
+    embed.addFields({
+      name: "Expires",
+      value: `<t:${Math.floor(new Date(expiresAt).getTime() / 1000)}:R>`,
+      inline: true,
+    });
+  }
+
   if (escalationMessage) {
     embed.addFields({
       name: "Auto-Escalation",
@@ -248,9 +273,13 @@ export function createHistoryEmbed(
   // Add summary fields
   const summaryFields = [];
   if (actionCounts.warn > 0) {
+    const expiredWarnings = history.filter(log => isWarningExpired(log)).length;
     summaryFields.push({
       name: "Warnings",
-      value: `${actionCounts.warn}`,
+      value:
+        expiredWarnings > 0
+          ? `${actionCounts.warn} (${expiredWarnings} expired)`
+          : `${actionCounts.warn}`,
       inline: true,
     });
   }
@@ -317,6 +346,8 @@ export function createHistoryEmbed(
           ban: EMOJIS.MODERATION.BAN,
           kick: EMOJIS.MODERATION.KICK,
           unban: EMOJIS.MODERATION.UNBAN,
+          delete: EMOJIS.MODERATION.DELETE,
+          purge: EMOJIS.MODERATION.PURGE,
         }[log.action] || EMOJIS.MODERATION.DEFAULT;
 
       // Truncate reason if too long
@@ -325,14 +356,25 @@ export function createHistoryEmbed(
         reason = `${reason.substring(0, MAX_REASON_LENGTH - 3)}...`;
       }
 
+      // Warnings show their points and whether they still count
+      let label = `**${log.action.toUpperCase()}**`;
+      if (log.action === "warn") {
+        if ((log.points ?? 1) !== 1) {
+          label += ` [${log.points} pts]`;
+        }
+        if (isWarningExpired(log)) {
+          label += " *(expired)*";
+        }
+      }
+
       // For server-wide history, include user information
       let entry;
       if (isServerHistory && log.userId) {
         // Get user tag from map, fallback to user ID
         const userTag = userMap?.get(log.userId) || log.userId;
-        entry = `${actionEmoji} **${log.action.toUpperCase()}** - ${userTag} (${dateStr})\n   Case: \`${log.caseId}\`\n   Reason: ${reason}`;
+        entry = `${actionEmoji} ${label} - ${userTag} (${dateStr})\n   Case: \`${log.caseId}\`\n   Reason: ${reason}`;
       } else {
-        entry = `${actionEmoji} **${log.action.toUpperCase()}** (${dateStr})\n   Case: \`${log.caseId}\`\n   Reason: ${reason}`;
+        entry = `${actionEmoji} ${label} (${dateStr})\n   Case: \`${log.caseId}\`\n   Reason: ${reason}`;
       }
 
       const entryWithSeparator = i > 0 ? `\n\n${entry}` : entry;
@@ -419,12 +461,19 @@ export function createHistoryPaginationButtons(
  * Create DM embed for warning notification
  * @param {import('discord.js').Guild} guild - The guild where warning occurred
  * @param {string} reason - Reason for warning
- * @param {number} warnCount - Total warning count
+ * @param {number} warnCount - Active warning count
  * @param {string} caseId - Case ID
+ * @param {string|null} [expiresAt] - ISO date the warning expires
  * @returns {import('discord.js').EmbedBuilder}
  */
-export function createWarningDMEmbed(guild, reason, warnCount, caseId) {
-  return new EmbedBuilder()
+export function createWarningDMEmbed(
+  guild,
+  reason,
+  warnCount,
+  caseId,
+  expiresAt = null,
+) {
+  const embed = new EmbedBuilder()
     .setColor(THEME.WARNING)
     .setTitle(`${EMOJIS.MODERATION.WARN} You have been warned`)
     .setDescription(`You received a warning in **${guild.name}**`)
@@ -435,7 +484,7 @@ export function createWarningDMEmbed(guild, reason, warnCount, caseId) {
         inline: false,
       },
       {
-        name: "Total Warnings",
+        name: "Active Warnings",
         value: `${warnCount} warning${warnCount !== 1 ? "s" : ""}`,
         inline: true,
       },
@@ -447,6 +496,16 @@ export function createWarningDMEmbed(guild, reason, warnCount, caseId) {
     )
     .setFooter({ text: `Moderation • ${guild.name}` })
     .setTimestamp();
+
+  if (expiresAt) {
+    embed.addFields({
+      name: "Expires",
+      value: `<t:${Math.floor(new Date(expiresAt).getTime() / 1000)}:R>`,
+      inline: true,
+    });
+  }
+
+  return embed;
 }
 
 /**
@@ -488,10 +547,11 @@ export function createTimeoutDMEmbed(guild, duration, reason, caseId) {
  * @param {import('discord.js').Guild} guild - The guild where ban occurred
  * @param {string} reason - Reason for ban
  * @param {string} caseId - Case ID
+ * @param {Date|null} [unbanAt] - When a temporary ban is lifted
  * @returns {import('discord.js').EmbedBuilder}
  */
-export function createBanDMEmbed(guild, reason, caseId) {
-  return new EmbedBuilder()
+export function createBanDMEmbed(guild, reason, caseId, unbanAt = null) {
+  const embed = new EmbedBuilder()
     .setColor(THEME.ERROR)
     .setTitle(`${EMOJIS.MODERATION.BAN} You have been banned`)
     .setDescription(`You have been banned from **${guild.name}**`)
@@ -509,6 +569,16 @@ export function createBanDMEmbed(guild, reason, caseId) {
     )
     .setFooter({ text: `Moderation • ${guild.name}` })
     .setTimestamp();
+
+  if (unbanAt) {
+    embed.addFields({
+      name: "Ban Lifted",
+      value: `<t:${Math.floor(unbanAt.getTime() / 1000)}:F>`,
+      inline: true,
+    });
+  }
+
+  return embed;
 }
 
 /**
@@ -563,9 +633,14 @@ export function createUnbanDMEmbed(guild, caseId) {
  * Create banned users list embed
  * @param {Array<import('discord.js').GuildBan>} bans - Array of ban objects
  * @param {number} totalCount - Total number of bans
+ * @param {Map<string, Object>} [pendingUnbans] - Temporary ban records keyed by user ID
  * @returns {import('discord.js').EmbedBuilder}
  */
-export function createBansListEmbed(bans, totalCount) {
+export function createBansListEmbed(
+  bans,
+  totalCount,
+  pendingUnbans = new Map(),
+) {
   const embed = new EmbedBuilder()
     .setColor(THEME.PRIMARY)
     .setTitle("Banned Users")
@@ -584,20 +659,26 @@ export function createBansListEmbed(bans, totalCount) {
       const reason = ban.reason || "No reason provided";
       const truncatedReason =
         reason.length > 50 ? `${reason.substring(0, 47)}...` : reason;
-      return `${index + 1}. **${user.tag}** (\`${user.id}\`)\n   Reason: ${truncatedReason}`;
+      const tempBan = pendingUnbans.get(user.id);
+      const expiry = tempBan
+        ? `\n   Unbans <t:${Math.floor(new Date(tempBan.expiresAt).getTime() / 1000)}:R>`
+        : "";
+      return `${index + 1}. **${user.tag}** (\`${user.id}\`)\n   Reason: ${truncatedReason}${expiry}`;
     })
     .join("\n\n");
 
   embed.setDescription(banList);
 
   // Add footer with count
+  const temporaryNote =
+    pendingUnbans.size > 0 ? ` • ${pendingUnbans.size} temporary` : "";
   if (totalCount > 20) {
     embed.setFooter({
-      text: `Showing 20 of ${totalCount} banned users`,
+      text: `Showing 20 of ${totalCount} banned users${temporaryNote}`,
     });
   } else {
     embed.setFooter({
-      text: `${totalCount} banned user${totalCount !== 1 ? "s" : ""}`,
+      text: `${totalCount} banned user${totalCount !== 1 ? "s" : ""}${temporaryNote}`,
     });
   }
 
@@ -705,6 +786,326 @@ export function createBulkOperationEmbed(
   return embed;
 }
 
+/**
+ * Create log-channel embed for an automatic escalation
+ * @param {import('discord.js').User} targetUser - Escalated user
+ * @param {Object} step - Escalation ladder step that was applied
+ * @param {number} points - Active warning points that triggered the step
+ * @param {string} caseId - Case ID of the escalation
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+export function createEscalationLogEmbed(targetUser, step, points, caseId) {
+  const actionEmoji =
+    {
+      timeout: EMOJIS.MODERATION.TIMEOUT,
+      kick: EMOJIS.MODERATION.KICK,
+      ban: EMOJIS.MODERATION.BAN,
+    }[step.action] || EMOJIS.MODERATION.DEFAULT;
+
+  const embed = new EmbedBuilder()
+    .setColor(step.action === "ban" ? THEME.ERROR : THEME.WARNING)
+    .setTitle(`${actionEmoji} Auto-Escalation: ${step.action.toUpperCase()}`)
+    .setDescription(
+      `**${targetUser.tag}** (${targetUser.id}) reached ${points} warning point${points !== 1 ? "s" : ""}`,
+    )
+    .addFields(
+      {
+        name: "Ladder Step",
+        value: `${step.warnings} point${step.warnings !== 1 ? "s" : ""}`,
+        inline: true,
+      },
+      {
+        name: "Case ID",
+        value: caseId,
+        inline: true,
+      },
+    );
+
+  if (step.action === "timeout") {
+    embed.addFields({ name: "Duration", value: step.duration, inline: true });
+  }
+
+  return embed.setFooter({ text: "Moderation" }).setTimestamp();
+}
+
+/**
+ * Create embed showing a guild's escalation ladder
+ * @param {Object} policy - Normalized escalation policy
+ * @param {boolean} isCustom - Whether the guild has its own ladder
+ * @param {string} [summary] - Optional line describing the latest change
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+export function createEscalationPolicyEmbed(policy, isCustom, summary = null) {
+  const embed = new EmbedBuilder()
+    .setColor(THEME.PRIMARY)
+    .setTitle("Warning Escalation Ladder")
+    .setDescription(
+      [
+        summary ? `${summary}\n` : null,
+        `**Status:** ${policy.enabled ? "Enabled" : "Disabled"}`,
+        `**Log Channel:** ${policy.logChannelId ? `<#${policy.logChannelId}>` : "Not set"}`,
+        `**Counting Window:** ${policy.windowDays > 0 ? `Last ${policy.windowDays} day${policy.windowDays !== 1 ? "s" : ""}` : "All time"}`,
+        `**Default Warning Expiry:** ${policy.defaultExpiryDays > 0 ? `${policy.defaultExpiryDays} day${policy.defaultExpiryDays !== 1 ? "s" : ""}` : "Never"}`,
+        isCustom
+          ? null
+          : "*Using the bot's default thresholds - add a step to create a ladder for this server.*",
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    );
+
+  if (policy.steps.length === 0) {
+    embed.addFields({
+      name: "Steps",
+      value: "No steps configured - warnings never escalate.",
+      inline: false,
+    });
+  } else {
+    embed.addFields({
+      name: "Steps",
+      value: policy.steps
+        .map(step => {
+          const action =
+            step.action === "timeout"
+              ? `Timeout for ${step.duration}`
+              : step.action.charAt(0).toUpperCase() + step.action.slice(1);
+          const extras = [
+            step.notifyUser ? "DM" : null,
+            step.logToChannel ? "Log" : null,
+          ].filter(Boolean);
+          return `**${step.warnings} point${step.warnings !== 1 ? "s" : ""}** → ${action}${extras.length > 0 ? ` (${extras.join(", ")})` : ""}`;
+        })
+        .join("\n"),
+      inline: false,
+    });
+  }
+
+  return embed.setFooter({ text: "Moderation" }).setTimestamp();
+}
+
+/**
+ * Create embed describing a single moderation case
+ * Used for mod-log posts and `/moderation case view`
+ * @param {Object} log - Moderation log entry
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+export function createCaseEmbed(log) {
+  const actionEmoji =
+    {
+      warn: EMOJIS.MODERATION.WARN,
+      timeout: EMOJIS.MODERATION.TIMEOUT,
+      ban: EMOJIS.MODERATION.BAN,
+      kick: EMOJIS.MODERATION.KICK,
+      unban: EMOJIS.MODERATION.UNBAN,
+      delete: EMOJIS.MODERATION.DELETE,
+      purge: EMOJIS.MODERATION.PURGE,
+    }[log.action] || EMOJIS.MODERATION.DEFAULT;
+  const color =
+    {
+      warn: THEME.WARNING,
+      timeout: THEME.WARNING,
+      kick: THEME.WARNING,
+      ban: THEME.ERROR,
+      unban: THEME.SUCCESS,
+    }[log.action] || THEME.PRIMARY;
+  const metadata = log.metadata || {};
+
+  const embed = new EmbedBuilder()
+    .setColor(color)
+    .setTitle(`${actionEmoji} ${log.action.toUpperCase()} • ${log.caseId}`)
+    .setTimestamp(new Date(log.timestamp));
+
+  if (log.userId) {
+    embed.addFields({
+      name: "User",
+      value: `<@${log.userId}> (${log.userId})`,
+      inline: true,
+    });
+  }
+  embed.addFields({
+    name: "Moderator",
+    value: `<@${log.moderatorId}>`,
+    inline: true,
+  });
+
+  if (metadata.durationFormatted) {
+    embed.addFields({
+      name: "Duration",
+      value: metadata.unbanAt
+        ? `${metadata.durationFormatted} • lifted <t:${Math.floor(new Date(metadata.unbanAt).getTime() / 1000)}:R>`
+        : metadata.durationFormatted,
+      inline: true,
+    });
+  }
+  if (log.action === "purge") {
+    embed.addFields({
+      name: "Messages",
+      value: `${metadata.count ?? 0} in <#${metadata.channelId}>`,
+      inline: true,
+    });
+  }
+  if (log.action === "warn") {
+    const points = log.points ?? 1;
+    let status = log.expiresAt
+      ? `Expires <t:${Math.floor(new Date(log.expiresAt).getTime() / 1000)}:R>`
+      : "Never expires";
+    if (isWarningExpired(log)) status = "Expired";
+    embed.addFields({
+      name: "Warning",
+      value: `${points} point${points !== 1 ? "s" : ""} • ${status}`,
+      inline: true,
+    });
+  }
+
+  embed.addFields({
+    name: "Reason",
+    value: log.reason || "No reason provided",
+    inline: false,
+  });
+
+  if (log.appeal) {
+    embed.addFields({
+      name: `${EMOJIS.MODERATION.APPEAL} Appeal (${log.appeal.status})`,
+      value:
+        log.appeal.message.length > 1000
+          ? `${log.appeal.message.substring(0, 997)}...`
+          : log.appeal.message,
+      inline: false,
+    });
+  }
+
+  const tags = [];
+  if (metadata.automod) tags.push("Auto-mod");
+  if (metadata.escalation) tags.push("Auto-escalation");
+  if (metadata.tempBanCaseId) tags.push("Temporary ban expired");
+  if (log.reasonEditedBy) tags.push("Reason edited");
+  embed.setFooter({
+    text: tags.length > 0 ? `Moderation • ${tags.join(" • ")}` : "Moderation",
+  });
+
+  return embed;
+}
+
+/**
+ * Create the appeal button attached to warning and ban DMs
+ * @param {string} guildId - Guild ID
+ * @param {string} caseId - Case ID
+ * @returns {Array<ActionRowBuilder<ButtonBuilder>>}
+ */
+export function createAppealButtons(guildId, caseId) {
+  const row = /** @type {ActionRowBuilder<ButtonBuilder>} */ (
+    new ActionRowBuilder()
+  ).addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mod_appeal_open_${guildId}_${caseId}`)
+      .setLabel("Appeal")
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji(EMOJIS.MODERATION.APPEAL),
+  );
+  return [row];
+}
+
+/**
+ * Create the staff review buttons for an appeal
+ * @param {string} guildId - Guild ID
+ * @param {string} caseId - Case ID
+ * @param {boolean} [disabled=false] - Disable the buttons once reviewed
+ * @returns {Array<ActionRowBuilder<ButtonBuilder>>}
+ */
+export function createAppealReviewButtons(guildId, caseId, disabled = false) {
+  const row = /** @type {ActionRowBuilder<ButtonBuilder>} */ (
+    new ActionRowBuilder()
+  ).addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mod_appeal_accept_${guildId}_${caseId}`)
+      .setLabel("Accept")
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(disabled),
+    new ButtonBuilder()
+      .setCustomId(`mod_appeal_deny_${guildId}_${caseId}`)
+      .setLabel("Deny")
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(disabled),
+  );
+  return [row];
+}
+
+/**
+ * Create the embed posted to the mod-log channel when an appeal is filed
+ * @param {Object} log - Appealed moderation log entry
+ * @param {import('discord.js').User} user - User who appealed
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+export function createAppealReviewEmbed(log, user) {
+  const { appeal } = log;
+  const embed = new EmbedBuilder()
+    .setColor(
+      {
+        pending: THEME.PRIMARY,
+        accepted: THEME.SUCCESS,
+        denied: THEME.ERROR,
+      }[appeal.status] || THEME.PRIMARY,
+    )
+    .setTitle(`${EMOJIS.MODERATION.APPEAL} Appeal • ${log.caseId}`)
+    .setDescription(
+      `**${user.tag}** (${user.id}) is appealing a **${log.action}**.`,
+    )
+    .addFields(
+      {
+        name: "Original Reason",
+        value: log.reason || "No reason provided",
+        inline: false,
+      },
+      {
+        name: "Appeal",
+        value: appeal.message,
+        inline: false,
+      },
+    )
+    .setFooter({ text: "Moderation" })
+    .setTimestamp(new Date(appeal.submittedAt));
+
+  if (appeal.status !== "pending") {
+    embed.addFields({
+      name: "Decision",
+      value: `${appeal.status === "accepted" ? "Accepted" : "Denied"} by <@${appeal.reviewedBy}>`,
+      inline: false,
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Create DM embed telling a user the outcome of their appeal
+ * @param {import('discord.js').Guild} guild - The guild that reviewed the appeal
+ * @param {Object} log - Appealed moderation log entry
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+export function createAppealResultDMEmbed(guild, log) {
+  const accepted = log.appeal.status === "accepted";
+  const outcome = {
+    warn: "The warning no longer counts against you.",
+    ban: "You have been unbanned.",
+  }[log.action];
+
+  return new EmbedBuilder()
+    .setColor(accepted ? THEME.SUCCESS : THEME.ERROR)
+    .setTitle(accepted ? "Appeal Accepted" : "Appeal Denied")
+    .setDescription(
+      accepted
+        ? `Your appeal in **${guild.name}** was accepted. ${outcome || ""}`.trim()
+        : `Your appeal in **${guild.name}** was reviewed and denied.`,
+    )
+    .addFields({
+      name: "Case ID",
+      value: log.caseId,
+      inline: true,
+    })
+    .setFooter({ text: `Moderation • ${guild.name}` })
+    .setTimestamp();
+}
+
 /**
  * Create error embed for moderation actions
  * @param {string} title - Error title
@@ -0,0 +1,415 @@
+import { getLogger } from "../../../utils/logger.js";
+import { EMOJIS } from "../../../config/theme.js";
+import {
+  validateTimeoutDuration,
+  formatDuration,
+  logModerationAction,
+  getWarnPoints,
+} from "./utils.js";
+import {
+  createTimeoutDMEmbed,
+  createKickDMEmbed,
+  createBanDMEmbed,
+  createEscalationLogEmbed,
+} from "./embeds.js";
+import { getAppealComponents } from "./cases.js";
+
+const logger = getLogger();
+
+// ============================================================================
+// ESCALATION POLICY
+// ============================================================================
+
+// Actions a ladder step can apply once a member reaches its warning count
+export const ESCALATION_ACTIONS = ["timeout", "kick", "ban"];
+
+export const MAX_ESCALATION_STEPS = 10;
+export const MAX_ESCALATION_WARNINGS = 100;
+export const MAX_WARNING_DAYS = 365;
+export const MAX_WARNING_POINTS = 10;
+
+/**
+ * Build the fallback ladder from the global env thresholds
+ * (MODERATION_TIMEOUT_AFTER_WARNINGS / MODERATION_KICK_AFTER_WARNINGS)
+ * Used for guilds that have not configured their own ladder
+ * @returns {Promise<Object>} Escalation policy
+ */
+export async function getDefaultEscalationPolicy() {
+  const configModule = await import("../../../config/config.js").catch(
+    () => null,
+  );
+  const config =
+    configModule?.config || configModule?.default || configModule || {};
+  const autoEscalation = config.corePricing?.autoEscalation || {};
+
+  const steps = [];
+  if (autoEscalation.timeoutAfterWarnings > 0) {
+    steps.push({
+      warnings: autoEscalation.timeoutAfterWarnings,
+      action: "timeout",
+      duration: autoEscalation.timeoutDuration || "1h",
+      notifyUser: true,
+      logToChannel: true,
+    });
+  }
+  if (autoEscalation.kickAfterWarnings > 0) {
+    steps.push({
+      warnings: autoEscalation.kickAfterWarnings,
+      action: "kick",
+      duration: null,
+      notifyUser: true,
+      logToChannel: true,
+    });
+  }
+
+  return normalizeEscalationPolicy({
+    enabled: true,
+    windowDays: 0,
+    defaultExpiryDays: 0,
+    steps,
+  });
+}
+
+/**
+ * Fill in defaults and sort a ladder by warning count
+ * @param {Object} policy - Raw escalation policy
+ * @returns {Object} Normalized escalation policy
+ */
+export function normalizeEscalationPolicy(policy) {
+  const steps = Array.isArray(policy?.steps) ? policy.steps : [];
+
+  return {
+    enabled: policy?.enabled !== false,
+    logChannelId: policy?.logChannelId || null,
+    // Only warnings issued in the last N days count (0 = all time)
+    windowDays: policy?.windowDays || 0,
+    // Expiry applied to new warnings without an explicit one (0 = never)
+    defaultExpiryDays: policy?.defaultExpiryDays || 0,
+    steps: steps
+      .map(step => ({
+        warnings: step.warnings,
+        action: step.action,
+        duration: step.action === "timeout" ? step.duration || "1h" : null,
+        notifyUser: step.notifyUser !== false,
+        logToChannel: step.logToChannel !== false,
+      }))
+      .sort((a, b) => a.warnings - b.warnings),
+  };
+}
+
+/**
+ * Validate an escalation policy submitted by a command or the API
+ * @param {Object} policy - Escalation policy
+ * @returns {{valid: boolean, errors: string[], policy?: Object}}
+ */
+export function validateEscalationPolicy(policy) {
+  const errors = [];
+
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return { valid: false, errors: ["Escalation policy must be an object"] };
+  }
+  if (policy.enabled !== undefined && typeof policy.enabled !== "boolean") {
+    errors.push("enabled must be a boolean");
+  }
+  if (
+    policy.logChannelId !== undefined &&
+    policy.logChannelId !== null &&
+    !/^\d{17,20}$/.test(String(policy.logChannelId))
+  ) {
+    errors.push("logChannelId must be a channel ID or null");
+  }
+  for (const field of ["windowDays", "defaultExpiryDays"]) {
+    if (
+      policy[field] !== undefined &&
+      (!Number.isInteger(policy[field]) ||
+        policy[field] < 0 ||
+        policy[field] > MAX_WARNING_DAYS)
+    ) {
+      errors.push(
+        `${field} must be a whole number between 0 and ${MAX_WARNING_DAYS}`,
+      );
+    }
+  }
+  if (policy.steps !== undefined && !Array.isArray(policy.steps)) {
+    errors.push("steps must be an array");
+  }
+
+  const steps = Array.isArray(policy.steps) ? policy.steps : [];
+  if (steps.length > MAX_ESCALATION_STEPS) {
+    errors.push(`A ladder can have at most ${MAX_ESCALATION_STEPS} steps`);
+  }
+
+  const seen = new Set();
+  steps.forEach((step, index) => {
+    const label = `steps[${index}]`;
+    if (!step || typeof step !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (
+      !Number.isInteger(step.warnings) ||
+      step.warnings < 1 ||
+      step.warnings > MAX_ESCALATION_WARNINGS
+    ) {
+      errors.push(
+        `${label}.warnings must be a whole number between 1 and ${MAX_ESCALATION_WARNINGS}`,
+      );
+    } else if (seen.has(step.warnings)) {
+      errors.push(`${label}.warnings duplicates another step`);
+    } else {
+      seen.add(step.warnings);
+    }
+    if (!ESCALATION_ACTIONS.includes(step.action)) {
+      errors.push(
+        `${label}.action must be one of: ${ESCALATION_ACTIONS.join(", ")}`,
+      );
+    }
+    if (step.action === "timeout" && step.duration !== undefined) {
+      const validation = validateTimeoutDuration(step.duration);
+      if (!validation.valid) {
+        errors.push(`${label}.duration: ${validation.error}`);
+      }
+    }
+    for (const flag of ["notifyUser", "logToChannel"]) {
+      if (step[flag] !== undefined && typeof step[flag] !== "boolean") {
+        errors.push(`${label}.${flag} must be a boolean`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+  return { valid: true, errors, policy: normalizeEscalationPolicy(policy) };
+}
+
+/**
+ * Load the escalation ladder for a guild
+ * Falls back to the global env thresholds when the guild has none
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<{policy: Object, isCustom: boolean}>}
+ */
+export async function loadEscalationPolicy(guildId) {
+  try {
+    const { getStorageManager } = await import(
+      "../../../utils/storage/storageManager.js"
+    );
+    const storageManager = await getStorageManager();
+    const settings = await storageManager.getGuildSettings(guildId);
+    if (settings?.moderationEscalation) {
+      return {
+        policy: normalizeEscalationPolicy(settings.moderationEscalation),
+        isCustom: true,
+      };
+    }
+  } catch (error) {
+    logger.warn(
+      `Failed to load escalation policy for guild ${guildId}, using defaults: ${error.message}`,
+    );
+  }
+  return { policy: await getDefaultEscalationPolicy(), isCustom: false };
+}
+
+/**
+ * Get the effective escalation ladder for a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object>} Escalation policy
+ */
+export async function getEscalationPolicy(guildId) {
+  const { policy } = await loadEscalationPolicy(guildId);
+  return policy;
+}
+
+/**
+ * Save the escalation ladder for a guild
+ * @param {string} guildId - Guild ID
+ * @param {Object|null} policy - Validated escalation policy, or null to fall back to the defaults
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setEscalationPolicy(guildId, policy) {
+  const { getStorageManager } = await import(
+    "../../../utils/storage/storageManager.js"
+  );
+  const storageManager = await getStorageManager();
+  const settings = await storageManager.getGuildSettings(guildId);
+  return storageManager.setGuildSettings(guildId, {
+    ...settings,
+    moderationEscalation: policy ? normalizeEscalationPolicy(policy) : null,
+  });
+}
+
+/**
+ * Get a member's active warnings under the guild's counting rules
+ * Expired warnings and warnings outside the rolling window are ignored
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @param {Object|null} [policy] - Already loaded escalation policy
+ * @returns {Promise<{count: number, points: number, policy: Object}>}
+ */
+export async function getWarningStanding(guildId, userId, policy = null) {
+  policy = policy || (await getEscalationPolicy(guildId));
+  const since =
+    policy.windowDays > 0
+      ? new Date(Date.now() - policy.windowDays * 24 * 60 * 60 * 1000)
+      : null;
+  const { count, points } = await getWarnPoints(guildId, userId, { since });
+  return { count, points, policy };
+}
+
+/**
+ * Work out when a new warning should expire
+ * @param {Object} policy - Escalation policy
+ * @param {number|null} expiresInMs - Explicit expiry from the moderator
+ * @returns {string|null} ISO expiry date, or null if it never expires
+ */
+export function resolveWarningExpiry(policy, expiresInMs = null) {
+  const ms =
+    expiresInMs ||
+    (policy?.defaultExpiryDays > 0
+      ? policy.defaultExpiryDays * 24 * 60 * 60 * 1000
+      : 0);
+  return ms > 0 ? new Date(Date.now() + ms).toISOString() : null;
+}
+
+/**
+ * Find the highest ladder step a warning point total has reached
+ * @param {Object} policy - Escalation policy
+ * @param {number} points - Active warning points
+ * @returns {Object|null} Ladder step
+ */
+export function findEscalationStep(policy, points) {
+  if (!policy?.enabled) return null;
+
+  let reached = null;
+  for (const step of policy.steps) {
+    if (points >= step.warnings) {
+      reached = step;
+    }
+  }
+  return reached;
+}
+
+// ============================================================================
+// ESCALATION EXECUTION
+// ============================================================================
+
+/**
+ * Apply the guild's escalation ladder after a warning
+ * @param {Object} options
+ * @param {import('discord.js').Guild} options.guild - Guild
+ * @param {import('discord.js').GuildMember} options.member - Warned member
+ * @param {import('discord.js').User} options.user - Warned user
+ * @param {{points: number, policy: Object}} options.standing - Result of getWarningStanding after the new warning
+ * @param {string} options.moderatorId - ID recorded as the moderator (usually the bot)
+ * @returns {Promise<{action: string, step: Object, caseId: string, message: string}|null>}
+ */
+export async function applyEscalation({
+  guild,
+  member,
+  user,
+  standing,
+  moderatorId,
+}) {
+  const { points, policy } = standing;
+  const step = findEscalationStep(policy, points);
+  if (!step || !member) return null;
+
+  const pointsLabel = `${points} warning point${points !== 1 ? "s" : ""}`;
+  const reason = `Auto-escalation: reached ${pointsLabel} (threshold: ${step.warnings})`;
+  const metadata = {
+    escalation: true,
+    warnPoints: points,
+    threshold: step.warnings,
+  };
+  let dmEmbed = null;
+  let message;
+
+  try {
+    switch (step.action) {
+      case "timeout": {
+        const duration = validateTimeoutDuration(step.duration);
+        if (!duration.valid || !member.moderatable) return null;
+        await member.timeout(duration.milliseconds, reason);
+        const durationFormatted = formatDuration(duration.milliseconds);
+        metadata.duration = duration.milliseconds;
+        metadata.durationFormatted = durationFormatted;
+        metadata.timeoutUntil = new Date(
+          Date.now() + duration.milliseconds,
+        ).toISOString();
+        message = `User was automatically timed out for ${durationFormatted} after reaching ${pointsLabel} (threshold: ${step.warnings})`;
+        dmEmbed = caseId =>
+          createTimeoutDMEmbed(guild, durationFormatted, reason, caseId);
+        break;
+      }
+      case "kick":
+        if (!member.kickable) return null;
+        await member.kick(reason);
+        message = `User was automatically kicked after reaching ${pointsLabel} (threshold: ${step.warnings})`;
+        dmEmbed = caseId => createKickDMEmbed(guild, reason, caseId);
+        break;
+      case "ban":
+        if (!member.bannable) return null;
+        await guild.members.ban(user.id, { reason });
+        message = `User was automatically banned after reaching ${pointsLabel} (threshold: ${step.warnings})`;
+        dmEmbed = caseId => createBanDMEmbed(guild, reason, caseId);
+        break;
+      default:
+        return null;
+    }
+  } catch (error) {
+    logger.error(
+      `Failed to auto-${step.action} ${user.tag} after ${pointsLabel}:`,
+      error,
+    );
+    return null;
+  }
+
+  const caseId = await logModerationAction({
+    guild,
+    guildId: guild.id,
+    userId: user.id,
+    moderatorId,
+    action: step.action,
+    reason,
+    metadata,
+  });
+
+  if (step.notifyUser) {
+    try {
+      await user.send({
+        embeds: [dmEmbed(caseId)],
+        components: await getAppealComponents(guild.id, caseId, step.action),
+      });
+    } catch (dmError) {
+      logger.debug(
+        `Could not send escalation DM to ${user.tag} (${user.id}): ${dmError.message}`,
+      );
+    }
+  }
+
+  if (step.logToChannel && policy.logChannelId) {
+    try {
+      const channel = await guild.channels.fetch(policy.logChannelId);
+      if (channel?.isTextBased()) {
+        await channel.send({
+          embeds: [createEscalationLogEmbed(user, step, points, caseId)],
+        });
+      }
+    } catch (logError) {
+      logger.warn(
+        `Could not post escalation log in guild ${guild.id}: ${logError.message}`,
+      );
+    }
+  }
+
+  const emoji = {
+    timeout: EMOJIS.MODERATION.TIMEOUT,
+    kick: EMOJIS.MODERATION.KICK,
+    ban: EMOJIS.MODERATION.BAN,
+  }[step.action];
+  logger.info(
+    `${emoji} Auto-${step.action} ${user.tag} (${user.id}) after ${pointsLabel} (Case: ${caseId})`,
+  );
+
+  return { action: step.action, step, caseId, message };
+}
@@ -3,13 +3,14 @@ import { getLogger } from "../../../utils/logger.js";
 import { THEME, EMOJIS } from "../../../config/theme.js";
 import { delay } from "../../../utils/delay.js";
 import { InputSanitizer } from "../../../utils/validation/inputValidation.js";
+import { parseDuration } from "../../../utils/discord/inputUtils.js";
+import { hasAdminPermissions } from "../../../utils/discord/permissions.js";
 import {
   canModerateMember,
   botCanModerateMember,
   validateTimeoutDuration,
   formatDuration,
   logModerationAction,
-  getWarnCount,
   getModerationHistory,
   getAllModerationHistory,
   removeWarning,
@@ -29,7 +30,36 @@ import {
   createBansListEmbed,
   createBulkOperationEmbed,
   createModerationErrorEmbed,
+  createEscalationPolicyEmbed,
+  createCaseEmbed,
+  createAppealReviewEmbed,
+  createAppealReviewButtons,
 } from "./embeds.js";
+import {
+  applyEscalation,
+  getEscalationPolicy,
+  getWarningStanding,
+  loadEscalationPolicy,
+  resolveWarningExpiry,
+  setEscalationPolicy,
+  validateEscalationPolicy,
+  MAX_WARNING_DAYS,
+} from "./escalation.js";
+import {
+  getAppealComponents,
+  getModerationCase,
+  updateCaseReason,
+  setModLogChannel,
+  fileAppeal,
+  resolveAppeal,
+} from "./cases.js";
+import {
+  scheduleUnban,
+  cancelScheduledUnban,
+  getPendingUnbans,
+  MAX_TEMP_BAN_DAYS,
+} from "./tempbans.js";
+import { createAppealModal } from "./modals.js";
 
 const logger = getLogger();
 
@@ -181,6 +211,7 @@ export async function handleTimeout(interaction, client) {
 
       // Log the action
       const caseId = await logModerationAction({
+        guild: interaction.guild,
         guildId: interaction.guild.id,
         userId: targetUser.id,
         moderatorId: interaction.user.id,
@@ -274,6 +305,7 @@ export async function handleTimeout(interaction, client) {
           3,
         );
         const caseId = await logModerationAction({
+          guild: interaction.guild,
           guildId: interaction.guild.id,
           userId: user.id,
           moderatorId: interaction.user.id,
@@ -345,6 +377,27 @@ export async function handleWarn(interaction, client) {
     const reason = InputSanitizer.sanitize(
       interaction.options.getString("reason") || "No reason provided",
     );
+    const points = interaction.options.getInteger("points") ?? 1;
+    const expiresInput = interaction.options.getString("expires");
+
+    let expiresInMs = null;
+    if (expiresInput) {
+      expiresInMs = parseDuration(expiresInput.trim());
+      if (
+        !expiresInMs ||
+        expiresInMs > MAX_WARNING_DAYS * 24 * 60 * 60 * 1000
+      ) {
+        const embed = createModerationErrorEmbed(
+          "Invalid Expiry",
+          `"${expiresInput}" is not a valid warning expiry.`,
+          `Use a duration like 12h, 30d or 4w, up to ${MAX_WARNING_DAYS} days.`,
+        );
+        return interaction.editReply({ embeds: [embed] });
+      }
+    }
+
+    const policy = await getEscalationPolicy(interaction.guild.id);
+    const expiresAt = resolveWarningExpiry(policy, expiresInMs);
 
     // Parse users (can be single or multiple)
     const userValidation = await parseMultipleUsers(
@@ -396,15 +449,23 @@ export async function handleWarn(interaction, client) {
 
       // Log the warning
       const caseId = await logModerationAction({
+        guild: interaction.guild,
         guildId: interaction.guild.id,
         userId: targetUser.id,
         moderatorId: interaction.user.id,
         action: "warn",
         reason,
+        points,
+        expiresAt,
       });
 
-      // Get total warn count
-      const warnCount = await getWarnCount(interaction.guild.id, targetUser.id);
+      // Get active warnings under the guild's counting rules
+      const standing = await getWarningStanding(
+        interaction.guild.id,
+        targetUser.id,
+        policy,
+      );
+      const warnCount = standing.count;
 
       // Send DM notification to user (if possible)
       try {
@@ -413,8 +474,16 @@ export async function handleWarn(interaction, client) {
           reason,
           warnCount,
           caseId,
+          expiresAt,
         );
-        await targetUser.send({ embeds: [dmEmbed] });
+        await targetUser.send({
+          embeds: [dmEmbed],
+          components: await getAppealComponents(
+            interaction.guild.id,
+            caseId,
+            "warn",
+          ),
+        });
         logger.debug(
           `📧 Sent warning DM to ${targetUser.tag} (${targetUser.id})`,
         );
@@ -424,64 +493,16 @@ export async function handleWarn(interaction, client) {
         );
       }
 
-      // Check for auto-escalation
-      const configModule = await import("../../../config/config.js").catch(
-        () => null,
-      );
-      const config =
-        configModule?.config || configModule?.default || configModule || {};
-      const autoEscalation = config.corePricing?.autoEscalation || {};
-      const timeoutAfterWarnings = autoEscalation.timeoutAfterWarnings || 0;
-      const kickAfterWarnings = autoEscalation.kickAfterWarnings || 0;
-      const timeoutDuration = autoEscalation.timeoutDuration || "1h";
-
-      let escalationAction = null;
-      let escalationMessage = "";
-
-      // Auto-kick (higher priority than timeout)
-      if (kickAfterWarnings > 0 && warnCount >= kickAfterWarnings) {
-        try {
-          await targetMember.kick(
-            `Auto-kicked after ${warnCount} warnings (threshold: ${kickAfterWarnings})`,
-          );
-          escalationAction = "kick";
-          escalationMessage = `User was automatically kicked after reaching ${warnCount} warnings (threshold: ${kickAfterWarnings})`;
-          logger.info(
-            `${EMOJIS.MODERATION.KICK} Auto-kicked ${targetUser.tag} (${targetUser.id}) after ${warnCount} warnings`,
-          );
-        } catch (kickError) {
-          logger.error(
-            `Failed to auto-kick ${targetUser.tag} after ${warnCount} warnings:`,
-            kickError,
-          );
-        }
-      }
-      // Auto-timeout (if not kicked and threshold reached)
-      else if (
-        timeoutAfterWarnings > 0 &&
-        warnCount >= timeoutAfterWarnings &&
-        !escalationAction
-      ) {
-        try {
-          const durationValidation = validateTimeoutDuration(timeoutDuration);
-          if (durationValidation.valid) {
-            await targetMember.timeout(
-              durationValidation.milliseconds,
-              `Auto-timeout after ${warnCount} warnings (threshold: ${timeoutAfterWarnings})`,
-            );
-            escalationAction = "timeout";
-            escalationMessage = `User was automatically timed out for ${formatDuration(durationValidation.milliseconds)} after reaching ${warnCount} warnings (threshold: ${timeoutAfterWarnings})`;
-            logger.info(
-              `${EMOJIS.MODERATION.TIMEOUT} Auto-timed out ${targetUser.tag} (${targetUser.id}) after ${warnCount} warnings`,
-            );
-          }
-        } catch (timeoutError) {
-          logger.error(
-            `Failed to auto-timeout ${targetUser.tag} after ${warnCount} warnings:`,
-            timeoutError,
-          );
-        }
-      }
+      // Apply the guild's escalation ladder
+      const escalation = await applyEscalation({
+        guild: interaction.guild,
+        member: targetMember,
+        user: targetUser,
+        standing,
+        moderatorId: client.user.id,
+      });
+      const escalationAction = escalation?.action || null;
+      const escalationMessage = escalation?.message || "";
 
       // Create success embed
       const embed = createWarnEmbed(
@@ -490,12 +511,14 @@ export async function handleWarn(interaction, client) {
         warnCount,
         caseId,
         escalationMessage,
+        standing.points,
+        expiresAt,
       );
 
       await interaction.editReply({ embeds: [embed] });
 
       logger.info(
-        `${EMOJIS.MODERATION.WARN} User ${targetUser.tag} (${targetUser.id}) warned by ${interaction.user.tag} (${interaction.user.id}) - Reason: ${reason} (Total warnings: ${warnCount})${escalationAction ? ` - Auto-${escalationAction} triggered` : ""}`,
+        `${EMOJIS.MODERATION.WARN} User ${targetUser.tag} (${targetUser.id}) warned by ${interaction.user.tag} (${interaction.user.id}) - Reason: ${reason} (Active warnings: ${warnCount}, points: ${standing.points})${escalationAction ? ` - Auto-${escalationAction} triggered` : ""}`,
       );
       return;
     }
@@ -533,17 +556,6 @@ export async function handleWarn(interaction, client) {
       // This delay prevents per-route rate limits (5 ops/5s per guild for moderation actions)
       const OPERATION_DELAY = 150; // 150ms delay = ~6.6 ops/sec (safe for 5 ops/5s limit)
 
-      // Load config once before the loop to avoid redundant imports
-      const configModule = await import("../../../config/config.js").catch(
-        () => null,
-      );
-      const config =
-        configModule?.config || configModule?.default || configModule || {};
-      const autoEscalation = config.corePricing?.autoEscalation || {};
-      const timeoutAfterWarnings = autoEscalation.timeoutAfterWarnings || 0;
-      const kickAfterWarnings = autoEscalation.kickAfterWarnings || 0;
-      const timeoutDuration = autoEscalation.timeoutDuration || "1h";
-
       for (let i = 0; i < validUsers.length; i++) {
         const { user, member } = validUsers[i];
 
@@ -568,64 +580,55 @@ export async function handleWarn(interaction, client) {
           }
 
           const caseId = await logModerationAction({
+            guild: interaction.guild,
             guildId: interaction.guild.id,
             userId: user.id,
             moderatorId: interaction.user.id,
             action: "warn",
             reason,
+            points,
+            expiresAt,
           });
 
-          const warnCount = await getWarnCount(interaction.guild.id, user.id);
+          const standing = await getWarningStanding(
+            interaction.guild.id,
+            user.id,
+            policy,
+          );
 
           try {
             const dmEmbed = createWarningDMEmbed(
               interaction.guild,
               reason,
-              warnCount,
+              standing.count,
               caseId,
+              expiresAt,
             );
-            await user.send({ embeds: [dmEmbed] });
+            await user.send({
+              embeds: [dmEmbed],
+              components: await getAppealComponents(
+                interaction.guild.id,
+                caseId,
+                "warn",
+              ),
+            });
           } catch (dmError) {
             logger.debug(
               `Failed to send warning DM to ${user.tag}: ${dmError.message}`,
             );
           }
 
-          // Check for auto-escalation (config already loaded before loop)
-          let escalationNote = "";
-          if (kickAfterWarnings > 0 && warnCount >= kickAfterWarnings) {
-            try {
-              await member.kick(
-                `Auto-kicked after ${warnCount} warnings (threshold: ${kickAfterWarnings})`,
-              );
-              escalationNote = ` (auto-kicked at ${warnCount} warnings)`;
-              logger.info(
-                `${EMOJIS.MODERATION.KICK} Auto-kicked ${user.tag} (${user.id}) after ${warnCount} warnings`,
-              );
-            } catch (kickError) {
-              logger.error(`Failed to auto-kick ${user.tag}:`, kickError);
-            }
-          } else if (
-            timeoutAfterWarnings > 0 &&
-            warnCount >= timeoutAfterWarnings
-          ) {
-            try {
-              const durationValidation =
-                validateTimeoutDuration(timeoutDuration);
-              if (durationValidation.valid) {
-                await member.timeout(
-                  durationValidation.milliseconds,
-                  `Auto-timeout after ${warnCount} warnings (threshold: ${timeoutAfterWarnings})`,
-                );
-                escalationNote = ` (auto-timed out at ${warnCount} warnings)`;
-                logger.info(
-                  `${EMOJIS.MODERATION.TIMEOUT} Auto-timed out ${user.tag} (${user.id}) after ${warnCount} warnings`,
-                );
-              }
-            } catch (timeoutError) {
-              logger.error(`Failed to auto-timeout ${user.tag}:`, timeoutError);
-            }
-          }
+          // Apply the guild's escalation ladder
+          const escalation = await applyEscalation({
+            guild: interaction.guild,
+            member,
+            user,
+            standing,
+            moderatorId: client.user.id,
+          });
+          const escalationNote = escalation
+            ? ` (auto-${escalation.action} at ${standing.points} warning points)`
+            : "";
 
           results.success.push({ user, caseId, escalationNote });
         } catch (error) {
@@ -675,6 +678,24 @@ export async function handleBan(interaction, client) {
       interaction.options.getString("reason") || "No reason provided",
     );
     const deleteDays = interaction.options.getInteger("delete-days") || 0;
+    const durationInput = interaction.options.getString("duration");
+
+    let banDurationMs = null;
+    if (durationInput) {
+      banDurationMs = parseDuration(durationInput.trim());
+      if (
+        !banDurationMs ||
+        banDurationMs > MAX_TEMP_BAN_DAYS * 24 * 60 * 60 * 1000
+      ) {
+        const embed = createModerationErrorEmbed(
+          "Invalid Duration",
+          `"${durationInput}" is not a valid ban duration.`,
+          `Use a duration like 12h, 7d or 4w, up to ${MAX_TEMP_BAN_DAYS} days. Leave it empty for a permanent ban.`,
+        );
+        return interaction.editReply({ embeds: [embed] });
+      }
+    }
+    const unbanAt = banDurationMs ? new Date(Date.now() + banDurationMs) : null;
 
     // Parse users (can be single or multiple)
     {
@@ -761,17 +782,47 @@ export async function handleBan(interaction, client) {
           );
 
           const caseId = await logModerationAction({
+            guild: interaction.guild,
             guildId: interaction.guild.id,
             userId: user.id,
             moderatorId: interaction.user.id,
             action: "ban",
             reason,
-            metadata: { deleteDays },
+            metadata: unbanAt
+              ? {
+                  deleteDays,
+                  duration: banDurationMs,
+                  durationFormatted: formatDuration(banDurationMs),
+                  unbanAt: unbanAt.toISOString(),
+                }
+              : { deleteDays },
           });
 
+          if (unbanAt) {
+            await scheduleUnban({
+              guildId: interaction.guild.id,
+              userId: user.id,
+              unbanAt,
+              caseId,
+              moderatorId: interaction.user.id,
+            });
+          }
+
           try {
-            const dmEmbed = createBanDMEmbed(interaction.guild, reason, caseId);
-            await user.send({ embeds: [dmEmbed] });
+            const dmEmbed = createBanDMEmbed(
+              interaction.guild,
+              reason,
+              caseId,
+              unbanAt,
+            );
+            await user.send({
+              embeds: [dmEmbed],
+              components: await getAppealComponents(
+                interaction.guild.id,
+                caseId,
+                "ban",
+              ),
+            });
           } catch (dmError) {
             logger.debug(
               `Failed to send ban DM to ${user.tag}: ${dmError.message}`,
@@ -795,9 +846,16 @@ export async function handleBan(interaction, client) {
         validUsers.length,
         results.success.map(r => r.user),
         results.failed.map(r => ({ user: r.user, error: r.error })),
-        deleteDays > 0
-          ? `Deleted ${deleteDays} day${deleteDays !== 1 ? "s" : ""} of messages`
-          : null,
+        [
+          unbanAt
+            ? `Temporary ban for ${formatDuration(banDurationMs)} (lifted <t:${Math.floor(unbanAt.getTime() / 1000)}:R>)`
+            : null,
+          deleteDays > 0
+            ? `Deleted ${deleteDays} day${deleteDays !== 1 ? "s" : ""} of messages`
+            : null,
+        ]
+          .filter(Boolean)
+          .join("\n") || null,
         reason,
       );
 
@@ -904,6 +962,7 @@ export async function handleKick(interaction, client) {
           );
 
           const caseId = await logModerationAction({
+            guild: interaction.guild,
             guildId: interaction.guild.id,
             userId: user.id,
             moderatorId: interaction.user.id,
@@ -1044,12 +1103,14 @@ export async function handleUnban(interaction, client) {
 
         // Log the action
         const caseId = await logModerationAction({
+          guild: interaction.guild,
           guildId: interaction.guild.id,
           userId: user.id,
           moderatorId: interaction.user.id,
           action: "unban",
           reason: `Unbanned by ${interaction.user.tag}`,
         });
+        await cancelScheduledUnban(interaction.guild.id, user.id);
 
         // Send DM notification to user (if possible)
         try {
@@ -1169,6 +1230,17 @@ export async function handlePurge(interaction, _client) {
     // Delete messages
     const deleted = await channel.bulkDelete(deletableMessages, true);
 
+    // Purges have no target user; the channel is kept in the case metadata
+    await logModerationAction({
+      guild: interaction.guild,
+      guildId: interaction.guild.id,
+      userId: null,
+      moderatorId: interaction.user.id,
+      action: "purge",
+      reason: `Purged ${deleted.size} message${deleted.size !== 1 ? "s" : ""} in #${channel.name}`,
+      metadata: { channelId: channel.id, count: deleted.size },
+    });
+
     // Create success embed with additional info if some messages couldn't be deleted
     let description = `Deleted **${deleted.size}** message${deleted.size !== 1 ? "s" : ""} in ${channel}`;
     if (messages.size > deletableMessages.size) {
@@ -1222,7 +1294,9 @@ export async function handleHistory(interaction, client) {
       warnCount = history.filter(log => log.action === "warn").length;
 
       // Fetch user information for all unique user IDs in history
-      const userIds = [...new Set(history.map(log => log.userId))];
+      const userIds = [
+        ...new Set(history.map(log => log.userId).filter(Boolean)),
+      ];
       const userMap = new Map();
       for (const userId of userIds) {
         try {
@@ -1373,7 +1447,9 @@ export async function handleHistoryPagination(interaction, client) {
       const warnCount = history.filter(log => log.action === "warn").length;
 
       // Fetch user information for all unique user IDs in history
-      const userIds = [...new Set(history.map(log => log.userId))];
+      const userIds = [
+        ...new Set(history.map(log => log.userId).filter(Boolean)),
+      ];
       const userMap = new Map();
       for (const userId of userIds) {
         try {
@@ -1555,8 +1631,11 @@ export async function handleRemoveWarn(interaction, _client) {
       return interaction.editReply({ embeds: [embed] });
     }
 
-    // Get updated warn count
-    const warnCount = await getWarnCount(interaction.guild.id, targetUser.id);
+    // Get updated active warnings
+    const { count: warnCount } = await getWarningStanding(
+      interaction.guild.id,
+      targetUser.id,
+    );
 
     // Create success embed
     const embed = new EmbedBuilder()
@@ -1566,7 +1645,7 @@ export async function handleRemoveWarn(interaction, _client) {
         `Warning **${caseId}** has been removed from **${targetUser.tag}**`,
       )
       .addFields({
-        name: "Remaining Warnings",
+        name: "Remaining Active Warnings",
         value: `${warnCount} warning${warnCount !== 1 ? "s" : ""}`,
         inline: true,
       })
@@ -1613,8 +1692,14 @@ export async function handleListBans(interaction, _client) {
     // Sort by username for consistency
     bansArray.sort((a, b) => a.user.tag.localeCompare(b.user.tag));
 
+    const pendingUnbans = await getPendingUnbans(interaction.guild.id);
+
     // Create embed
-    const embed = createBansListEmbed(bansArray, bansArray.length);
+    const embed = createBansListEmbed(
+      bansArray,
+      bansArray.length,
+      pendingUnbans,
+    );
 
     await interaction.editReply({ embeds: [embed] });
 
@@ -1630,3 +1715,478 @@ export async function handleListBans(interaction, _client) {
     await interaction.editReply({ embeds: [embed] });
   }
 }
+
+/**
+ * Handle escalation subcommand group
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {import('discord.js').Client} _client
+ */
+export async function handleEscalation(interaction, _client) {
+  try {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guild.id;
+    const { policy: current, isCustom } = await loadEscalationPolicy(guildId);
+
+    if (subcommand === "view") {
+      const embed = createEscalationPolicyEmbed(current, isCustom);
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    let policy = { ...current, steps: [...current.steps] };
+    let summary;
+
+    switch (subcommand) {
+      case "set-step": {
+        const warnings = interaction.options.getInteger("warnings", true);
+        const action = interaction.options.getString("action", true);
+        const duration = interaction.options.getString("duration");
+        const step = {
+          warnings,
+          action,
+          notifyUser: interaction.options.getBoolean("dm") ?? true,
+          logToChannel: interaction.options.getBoolean("log") ?? true,
+        };
+        if (action === "timeout") {
+          step.duration = duration || "1h";
+        }
+        policy.steps = policy.steps.filter(s => s.warnings !== warnings);
+        policy.steps.push(step);
+        const outcome = {
+          timeout: `timed out for ${step.duration}`,
+          kick: "kicked",
+          ban: "banned",
+        }[action];
+        summary = `At **${warnings}** warning point${warnings !== 1 ? "s" : ""} members will be ${outcome}.`;
+        break;
+      }
+      case "remove-step": {
+        const warnings = interaction.options.getInteger("warnings", true);
+        if (!policy.steps.some(s => s.warnings === warnings)) {
+          const embed = createModerationErrorEmbed(
+            "Step Not Found",
+            `There is no ladder step at ${warnings} warning point${warnings !== 1 ? "s" : ""}.`,
+            "Use `/moderation escalation view` to see the current ladder.",
+          );
+          return interaction.editReply({ embeds: [embed] });
+        }
+        policy.steps = policy.steps.filter(s => s.warnings !== warnings);
+        summary = `Removed the step at **${warnings}** warning point${warnings !== 1 ? "s" : ""}.`;
+        break;
+      }
+      case "log-channel": {
+        const channel = interaction.options.getChannel("channel");
+        policy.logChannelId = channel?.id || null;
+        summary = channel
+          ? `Escalations will be posted in ${channel}.`
+          : "Escalations will no longer be posted to a log channel.";
+        break;
+      }
+      case "counting": {
+        const windowDays = interaction.options.getInteger("window-days");
+        const defaultExpiryDays = interaction.options.getInteger(
+          "default-expiry-days",
+        );
+        if (windowDays === null && defaultExpiryDays === null) {
+          const embed = createModerationErrorEmbed(
+            "Nothing To Change",
+            "Provide a counting window, a default warning expiry, or both.",
+            "Use 0 to count all warnings or to keep warnings forever.",
+          );
+          return interaction.editReply({ embeds: [embed] });
+        }
+        if (windowDays !== null) policy.windowDays = windowDays;
+        if (defaultExpiryDays !== null) {
+          policy.defaultExpiryDays = defaultExpiryDays;
+        }
+        const windowText =
+          policy.windowDays > 0
+            ? `warnings from the last **${policy.windowDays}** day${policy.windowDays !== 1 ? "s" : ""}`
+            : "all active warnings";
+        const expiryText =
+          policy.defaultExpiryDays > 0
+            ? `New warnings expire after **${policy.defaultExpiryDays}** day${policy.defaultExpiryDays !== 1 ? "s" : ""}.`
+            : "New warnings never expire unless an expiry is given.";
+        summary = `Escalation counts ${windowText}. ${expiryText}`;
+        break;
+      }
+      case "toggle": {
+        policy.enabled = interaction.options.getBoolean("enabled", true);
+        summary = policy.enabled
+          ? "Warnings will escalate according to the ladder."
+          : "Warnings will no longer escalate automatically.";
+        break;
+      }
+      case "reset": {
+        policy = null;
+        summary =
+          "This server now uses the bot's default escalation thresholds.";
+        break;
+      }
+      default: {
+        const embed = createModerationErrorEmbed(
+          "Unknown Subcommand",
+          "Please use a valid escalation subcommand.",
+        );
+        return interaction.editReply({ embeds: [embed] });
+      }
+    }
+
+    if (policy) {
+      const validation = validateEscalationPolicy(policy);
+      if (!validation.valid) {
+        const embed = createModerationErrorEmbed(
+          "Invalid Escalation Ladder",
+          validation.errors.join("\n"),
+        );
+        return interaction.editReply({ embeds: [embed] });
+      }
+      policy = validation.policy;
+    }
+
+    const saved = await setEscalationPolicy(guildId, policy);
+    if (!saved) {
+      const embed = createModerationErrorEmbed(
+        "Escalation Update Failed",
+        "The escalation ladder couldn't be saved.",
+        "Please try again later or contact the bot owner.",
+      );
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    const updated = policy || (await loadEscalationPolicy(guildId)).policy;
+    const embed = createEscalationPolicyEmbed(
+      updated,
+      Boolean(policy),
+      summary,
+    );
+    await interaction.editReply({ embeds: [embed] });
+
+    logger.info(
+      `${EMOJIS.MODERATION.DEFAULT} Escalation ladder ${subcommand} in ${interaction.guild.name} (${guildId}) by ${interaction.user.tag} (${interaction.user.id})`,
+    );
+  } catch (error) {
+    logger.error("Error handling escalation:", error);
+    const embed = createModerationErrorEmbed(
+      "Escalation Update Failed",
+      error.message ||
+        "An error occurred while updating the escalation ladder.",
+    );
+    await interaction.editReply({ embeds: [embed] });
+  }
+}
+
+/**
+ * Handle case subcommand group
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {import('discord.js').Client} _client
+ */
+export async function handleCase(interaction, _client) {
+  try {
+    const subcommand = interaction.options.getSubcommand();
+    const caseId = interaction.options.getString("case-id", true);
+
+    if (subcommand === "view") {
+      const caseEntry = await getModerationCase(interaction.guild.id, caseId);
+      if (!caseEntry) {
+        const embed = createModerationErrorEmbed(
+          "Case Not Found",
+          `No case found with ID: ${caseId}`,
+          "Case IDs are shown in `/moderation history` and the mod-log channel.",
+        );
+        return interaction.editReply({ embeds: [embed] });
+      }
+      return interaction.editReply({ embeds: [createCaseEmbed(caseEntry)] });
+    }
+
+    if (subcommand === "reason") {
+      const reason = InputSanitizer.sanitize(
+        interaction.options.getString("reason", true),
+      );
+      const result = await updateCaseReason(
+        interaction.guild,
+        caseId,
+        reason,
+        interaction.user.id,
+      );
+      if (!result.success) {
+        const embed = createModerationErrorEmbed(
+          "Update Reason Failed",
+          result.error,
+        );
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const embed = createCaseEmbed(result.caseEntry).setDescription(
+        `Reason updated. Previously: ${result.caseEntry.originalReason}`,
+      );
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    const embed = createModerationErrorEmbed(
+      "Unknown Subcommand",
+      "Please use a valid case subcommand.",
+    );
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    logger.error("Error handling case:", error);
+    const embed = createModerationErrorEmbed(
+      "Case Lookup Failed",
+      error.message || "An error occurred while processing the case.",
+    );
+    await interaction.editReply({ embeds: [embed] });
+  }
+}
+
+/**
+ * Handle log-channel subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {import('discord.js').Client} _client
+ */
+export async function handleLogChannel(interaction, _client) {
+  try {
+    const channel = interaction.options.getChannel("channel");
+
+    if (channel) {
+      const botMember = interaction.guild.members.me;
+      const permissions = botMember.permissionsIn(channel.id);
+      if (
+        !permissions.has(PermissionFlagsBits.SendMessages) ||
+        !permissions.has(PermissionFlagsBits.EmbedLinks)
+      ) {
+        const embed = createModerationErrorEmbed(
+          "Missing Bot Permissions",
+          `I need the \`Send Messages\` and \`Embed Links\` permissions in ${channel} to post cases.`,
+          `Please grant me those permissions in ${channel}`,
+        );
+        return interaction.editReply({ embeds: [embed] });
+      }
+    }
+
+    const saved = await setModLogChannel(interaction.guild.id, channel?.id);
+    if (!saved) {
+      const embed = createModerationErrorEmbed(
+        "Mod-Log Update Failed",
+        "The mod-log channel couldn't be saved.",
+        "Please try again later or contact the bot owner.",
+      );
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(THEME.SUCCESS)
+      .setTitle("Mod-Log Channel Updated")
+      .setDescription(
+        channel
+          ? `Moderation cases and appeals will be posted in ${channel}.`
+          : "Moderation cases will no longer be posted, and new DMs will not offer appeals.",
+      )
+      .setFooter({ text: "Moderation" })
+      .setTimestamp();
+    await interaction.editReply({ embeds: [embed] });
+
+    logger.info(
+      `${EMOJIS.MODERATION.DEFAULT} Mod-log channel ${channel ? `set to ${channel.id}` : "cleared"} in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`,
+    );
+  } catch (error) {
+    logger.error("Error handling log-channel:", error);
+    const embed = createModerationErrorEmbed(
+      "Mod-Log Update Failed",
+      error.message || "An error occurred while updating the mod-log channel.",
+    );
+    await interaction.editReply({ embeds: [embed] });
+  }
+}
+
+/**
+ * Split an appeal custom ID into its guild and case IDs
+ * Format: {prefix}{guildId}_{caseId}
+ * @param {string} customId - Component custom ID
+ * @param {string} prefix - Custom ID prefix
+ * @returns {{guildId: string, caseId: string}}
+ */
+function parseAppealCustomId(customId, prefix) {
+  const rest = customId.slice(prefix.length);
+  const separator = rest.indexOf("_");
+  return {
+    guildId: rest.slice(0, separator),
+    caseId: rest.slice(separator + 1),
+  };
+}
+
+/**
+ * Handle the appeal button on warning and ban DMs
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {import('discord.js').Client} client
+ */
+export async function handleAppealButton(interaction, client) {
+  try {
+    const { guildId, caseId } = parseAppealCustomId(
+      interaction.customId,
+      "mod_appeal_open_",
+    );
+    const guild = client.guilds.cache.get(guildId);
+    const caseEntry = guild ? await getModerationCase(guildId, caseId) : null;
+
+    let error = null;
+    if (!caseEntry || caseEntry.userId !== interaction.user.id) {
+      error = "This case could not be found.";
+    } else if (caseEntry.appeal) {
+      error = `You have already appealed this case (status: ${caseEntry.appeal.status}).`;
+    }
+
+    if (error) {
+      await interaction.reply({
+        embeds: [createModerationErrorEmbed("Cannot Appeal", error)],
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    await interaction.showModal(createAppealModal(guildId, caseId));
+  } catch (error) {
+    logger.error("Error handling appeal button:", error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({
+        embeds: [
+          createModerationErrorEmbed(
+            "Appeal Failed",
+            "An error occurred while opening the appeal form.",
+          ),
+        ],
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+  }
+}
+
+/**
+ * Handle appeal modal submissions
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ * @param {import('discord.js').Client} client
+ */
+export async function handleAppealModal(interaction, client) {
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const { guildId, caseId } = parseAppealCustomId(
+      interaction.customId,
+      "mod_appeal_modal_",
+    );
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) {
+      const embed = createModerationErrorEmbed(
+        "Appeal Failed",
+        "The server for this case is no longer available.",
+      );
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    const message = InputSanitizer.sanitize(
+      interaction.fields.getTextInputValue("appeal_message"),
+    );
+    const result = await fileAppeal({
+      guild,
+      caseId,
+      user: interaction.user,
+      message,
+    });
+
+    if (!result.success) {
+      const embed = createModerationErrorEmbed("Appeal Failed", result.error);
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    // The appeal button is single-use
+    if (interaction.isFromMessage()) {
+      await interaction.message.edit({ components: [] }).catch(() => {});
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(THEME.SUCCESS)
+      .setTitle("Appeal Submitted")
+      .setDescription(
+        `Your appeal for case **${result.caseEntry.caseId}** was sent to the staff of **${guild.name}**. You will get a DM once it has been reviewed.`,
+      )
+      .setFooter({ text: `Moderation • ${guild.name}` })
+      .setTimestamp();
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    logger.error("Error handling appeal modal:", error);
+    const embed = createModerationErrorEmbed(
+      "Appeal Failed",
+      error.message || "An error occurred while submitting your appeal.",
+    );
+    await interaction.editReply({ embeds: [embed] }).catch(() => {});
+  }
+}
+
+/**
+ * Handle staff accept/deny buttons on appeals posted to the mod log
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {import('discord.js').Client} client
+ */
+export async function handleAppealReview(interaction, client) {
+  try {
+    const accepted = interaction.customId.startsWith("mod_appeal_accept_");
+    const { guildId, caseId } = parseAppealCustomId(
+      interaction.customId,
+      accepted ? "mod_appeal_accept_" : "mod_appeal_deny_",
+    );
+
+    if (
+      interaction.guild?.id !== guildId ||
+      !hasAdminPermissions(
+        /** @type {import('discord.js').GuildMember} */ (interaction.member),
+      )
+    ) {
+      await interaction.reply({
+        embeds: [
+          createModerationErrorEmbed(
+            "Permission Denied",
+            "You need Administrator permissions to review appeals.",
+          ),
+        ],
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    await interaction.deferUpdate();
+
+    const result = await resolveAppeal({
+      guild: interaction.guild,
+      caseId,
+      accepted,
+      reviewer: interaction.user,
+    });
+
+    if (!result.success) {
+      await interaction.followUp({
+        embeds: [createModerationErrorEmbed("Review Failed", result.error)],
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const user = await client.users.fetch(result.caseEntry.userId);
+    await interaction.editReply({
+      embeds: [createAppealReviewEmbed(result.caseEntry, user)],
+      components: createAppealReviewButtons(guildId, caseId, true),
+    });
+  } catch (error) {
+    logger.error("Error handling appeal review:", error);
+    const embed = createModerationErrorEmbed(
+      "Review Failed",
+      error.message || "An error occurred while reviewing the appeal.",
+    );
+    if (interaction.deferred || interaction.replied) {
+      await interaction
+        .followUp({ embeds: [embed], flags: MessageFlags.Ephemeral })
+        .catch(() => {});
+    } else {
+      await interaction
+        .reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+        .catch(() => {});
+    }
+  }
+}
@@ -2,6 +2,7 @@ import {
   SlashCommandBuilder,
   PermissionFlagsBits,
   MessageFlags,
+  ChannelType,
 } from "discord.js";
 import { hasAdminPermissions } from "../../../utils/discord/permissions.js";
 import { getLogger } from "../../../utils/logger.js";
@@ -16,6 +17,9 @@ import {
   handleHistory,
   handleRemoveWarn,
   handleListBans,
+  handleEscalation,
+  handleCase,
+  handleLogChannel,
 } from "./handlers.js";
 
 const logger = getLogger();
@@ -58,13 +62,16 @@ export const metadata = {
       value: [
         "**timeout** - Timeout (mute) users for a specified duration (supports bulk operations up to 15 users)",
         "**warn** - Warn users with logging and tracking (supports bulk operations up to 15 users)",
-        "**ban** - Ban users from the server permanently (supports bulk operations up to 15 users)",
+        "**ban** - Ban users permanently or for a set duration (supports bulk operations up to 15 users)",
         "**kick** - Kick users from the server (supports bulk operations up to 15 users)",
         "**unban** - Unban previously banned users (supports bulk operations up to 15 users)",
         "**purge** - Delete multiple messages from a channel (1-100 messages)",
         "**history** - View moderation history for a user or entire server with pagination",
         "**remove-warn** - Remove a specific warning from a user by case ID",
-        "**list-bans** - List all banned users in the server",
+        "**list-bans** - List all banned users in the server and when temporary bans are lifted",
+        "**log-channel** - Set the channel that receives a case embed for every action, plus appeals",
+        "**case view/reason** - Look up a case by ID or change its reason",
+        "**escalation** - View or edit this server's warning escalation ladder (view, set-step, remove-step, log-channel, counting, toggle, reset)",
       ].join("\n"),
       inline: false,
     },
@@ -72,13 +79,18 @@ export const metadata = {
       name: `Options`,
       value: [
         "**users** *(required for timeout/warn/ban/kick/unban)* - User mentions or IDs separated by commas (e.g., @user1 @user2 or 123456789 987654321). Supports bulk operations up to 15 users",
-        "**duration** *(required for timeout)* - Duration in format like `30m`, `1h`, `2d`, `1w` (minimum 10 seconds, maximum 28 days)",
+        "**duration** *(required for timeout, optional for ban)* - Duration in format like `30m`, `1h`, `2d`, `1w` (timeouts: 10 seconds to 28 days; bans: up to 365 days, permanent if omitted)",
         "**reason** *(optional for timeout/warn/ban/kick)* - Reason for the moderation action",
+        "**points** *(optional for warn)* - Severity of the warning (1-10, default: 1)",
+        "**expires** *(optional for warn)* - When the warning stops counting, like `30d` (default: server setting)",
         "**delete-days** *(optional for ban)* - Days of messages to delete (0-7, default: 0)",
         "**amount** *(required for purge)* - Number of messages to delete (1-100)",
         "**channel** *(optional for purge)* - Channel to purge (default: current channel)",
         "**user** *(optional for history, required for remove-warn)* - User to view history for or remove warning from",
-        "**case-id** *(required for remove-warn)* - Case ID of the warning to remove",
+        "**case-id** *(required for remove-warn and case)* - Case ID of the warning to remove or the case to look up",
+        "**warnings** *(required for escalation set-step/remove-step)* - Warning points that trigger the step",
+        "**action** *(required for escalation set-step)* - `timeout`, `kick` or `ban`; timeout steps take a **duration**",
+        "**window-days** / **default-expiry-days** *(optional for escalation counting)* - Rolling window and default expiry for warnings (0 = off)",
       ].join("\n"),
       inline: false,
     },
@@ -94,9 +106,10 @@ export const metadata = {
         "**Bulk Operations** - Moderate up to 15 users at once for timeout, warn, ban, kick, and unban",
         "**Role Hierarchy** - Automatically validates that moderators can only moderate members below them",
         "**Moderation Logging** - All actions are logged with unique case IDs, timestamps, and reasons",
-        "**Warning System** - Track warnings with automatic escalation to timeout or kick based on thresholds",
+        "**Warning System** - Weighted warnings that can expire, counted over a rolling window against a per-server escalation ladder (timeout, kick or ban)",
         "**DM Notifications** - Users receive direct messages when warned, timed out, banned, kicked, or unbanned",
         "**History Tracking** - View moderation history for individual users or entire server with pagination",
+        "**Mod Log & Appeals** - Every case is posted to a mod-log channel, and warned or banned users can appeal from their DM",
         "**Bot Protection** - Prevents moderating bots to avoid breaking bot functionality",
         "**Rate Limit Handling** - Built-in rate limit handling with retries for bulk operations",
       ].join("\n"),
@@ -165,6 +178,22 @@ export const data = new SlashCommandBuilder()
           .setName("reason")
           .setDescription("Reason for the warning")
           .setRequired(false),
+      )
+      .addIntegerOption(option =>
+        option
+          .setName("points")
+          .setDescription("Severity of the warning in points (default: 1)")
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(10),
+      )
+      .addStringOption(option =>
+        option
+          .setName("expires")
+          .setDescription(
+            "Warning expires after (e.g., 12h, 30d, 4w). Default: server setting",
+          )
+          .setRequired(false),
       ),
   )
   .addSubcommand(subcommand =>
@@ -192,6 +221,14 @@ export const data = new SlashCommandBuilder()
           .setRequired(false)
           .setMinValue(0)
           .setMaxValue(7),
+      )
+      .addStringOption(option =>
+        option
+          .setName("duration")
+          .setDescription(
+            "Lift the ban automatically after this long (e.g., 12h, 7d, 4w). Permanent if omitted",
+          )
+          .setRequired(false),
       ),
   )
   .addSubcommand(subcommand =>
@@ -279,6 +316,178 @@ export const data = new SlashCommandBuilder()
     subcommand
       .setName("list-bans")
       .setDescription("List all banned users in the server"),
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName("log-channel")
+      .setDescription(
+        "Set the channel that receives every case and appeal (omit to clear)",
+      )
+      .addChannelOption(option =>
+        option
+          .setName("channel")
+          .setDescription("Mod-log channel")
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(false),
+      ),
+  )
+  .addSubcommandGroup(group =>
+    group
+      .setName("case")
+      .setDescription("Look up or edit a moderation case")
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName("view")
+          .setDescription("Show the details of a case")
+          .addStringOption(option =>
+            option
+              .setName("case-id")
+              .setDescription("Case ID (e.g., MOD-20250101-120000-AB12)")
+              .setRequired(true),
+          ),
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName("reason")
+          .setDescription("Change the reason recorded on a case")
+          .addStringOption(option =>
+            option
+              .setName("case-id")
+              .setDescription("Case ID (e.g., MOD-20250101-120000-AB12)")
+              .setRequired(true),
+          )
+          .addStringOption(option =>
+            option
+              .setName("reason")
+              .setDescription("New reason")
+              .setRequired(true)
+              .setMaxLength(500),
+          ),
+      ),
+  )
+  .addSubcommandGroup(group =>
+    group
+      .setName("escalation")
+      .setDescription("Configure automatic escalation after repeated warnings")
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName("view")
+          .setDescription("Show this server's escalation ladder"),
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName("set-step")
+          .setDescription("Add or replace a ladder step")
+          .addIntegerOption(option =>
+            option
+              .setName("warnings")
+              .setDescription("Warning points that trigger this step")
+              .setRequired(true)
+              .setMinValue(1)
+              .setMaxValue(100),
+          )
+          .addStringOption(option =>
+            option
+              .setName("action")
+              .setDescription("Action to take at this step")
+              .setRequired(true)
+              .addChoices(
+                { name: "Timeout", value: "timeout" },
+                { name: "Kick", value: "kick" },
+                { name: "Ban", value: "ban" },
+              ),
+          )
+          .addStringOption(option =>
+            option
+              .setName("duration")
+              .setDescription(
+                "Timeout duration (e.g., 10m, 1h, 1d). Default: 1h",
+              )
+              .setRequired(false),
+          )
+          .addBooleanOption(option =>
+            option
+              .setName("dm")
+              .setDescription(
+                "Send the user a DM when this step applies (default: true)",
+              )
+              .setRequired(false),
+          )
+          .addBooleanOption(option =>
+            option
+              .setName("log")
+              .setDescription(
+                "Post to the escalation log channel (default: true)",
+              )
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName("remove-step")
+          .setDescription("Remove a ladder step")
+          .addIntegerOption(option =>
+            option
+              .setName("warnings")
+              .setDescription("Warning points of the step to remove")
+              .setRequired(true)
+              .setMinValue(1)
+              .setMaxValue(100),
+          ),
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName("log-channel")
+          .setDescription("Set where escalations are posted (omit to clear)")
+          .addChannelOption(option =>
+            option
+              .setName("channel")
+              .setDescription("Log channel for escalations")
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName("counting")
+          .setDescription("Set how warnings are counted towards escalation")
+          .addIntegerOption(option =>
+            option
+              .setName("window-days")
+              .setDescription(
+                "Only count warnings from the last N days (0 = all active warnings)",
+              )
+              .setRequired(false)
+              .setMinValue(0)
+              .setMaxValue(365),
+          )
+          .addIntegerOption(option =>
+            option
+              .setName("default-expiry-days")
+              .setDescription(
+                "New warnings expire after N days unless overridden (0 = never)",
+              )
+              .setRequired(false)
+              .setMinValue(0)
+              .setMaxValue(365),
+          ),
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName("toggle")
+          .setDescription("Turn automatic escalation on or off")
+          .addBooleanOption(option =>
+            option
+              .setName("enabled")
+              .setDescription("Whether warnings escalate automatically")
+              .setRequired(true),
+          ),
+      )
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName("reset")
+          .setDescription("Go back to the bot's default escalation thresholds"),
+      ),
   );
 
 export async function execute(interaction, client) {
@@ -329,12 +538,23 @@ export async function execute(interaction, client) {
       }
     }
 
+    const subcommandGroup = interaction.options.getSubcommandGroup(false);
     const subcommand = interaction.options.getSubcommand();
 
     logger.debug(
-      `Moderation command executed by ${interaction.user.username} (${interaction.user.id}): ${subcommand}`,
+      `Moderation command executed by ${interaction.user.username} (${interaction.user.id}): ${subcommandGroup ? `${subcommandGroup} ` : ""}${subcommand}`,
     );
 
+    if (subcommandGroup === "escalation") {
+      await handleEscalation(interaction, client);
+      return;
+    }
+
+    if (subcommandGroup === "case") {
+      await handleCase(interaction, client);
+      return;
+    }
+
     switch (subcommand) {
       case "timeout":
         await handleTimeout(interaction, client);
@@ -363,6 +583,9 @@ export async function execute(interaction, client) {
       case "list-bans":
         await handleListBans(interaction, client);
         break;
+      case "log-channel":
+        await handleLogChannel(interaction, client);
+        break;
       default: {
         const response = errorEmbed({
           title: "Unknown Subcommand",
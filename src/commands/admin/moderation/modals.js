@@ -0,0 +1,33 @@
+import {
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ActionRowBuilder,
+} from "discord.js";
+import { MAX_APPEAL_LENGTH } from "./cases.js";
+
+/**
+ * Create the modal a user fills in to appeal a case
+ * @param {string} guildId - Guild ID
+ * @param {string} caseId - Case ID
+ * @returns {ModalBuilder}
+ */
+export function createAppealModal(guildId, caseId) {
+  const modal = new ModalBuilder()
+    .setCustomId(`mod_appeal_modal_${guildId}_${caseId}`)
+    .setTitle(`Appeal ${caseId}`);
+
+  const messageInput = new TextInputBuilder()
+    .setCustomId("appeal_message")
+    .setLabel("Why should this be reconsidered?")
+    .setStyle(TextInputStyle.Paragraph)
+    .setPlaceholder("Explain what happened and why you are appealing")
+    .setRequired(true)
+    .setMinLength(10)
+    .setMaxLength(MAX_APPEAL_LENGTH);
+
+  // @ts-ignore
+  modal.addComponents(new ActionRowBuilder().addComponents(messageInput));
+
+  return modal;
+}
@@ -0,0 +1,125 @@
+import { getLogger } from "../../../utils/logger.js";
+import { EMOJIS } from "../../../config/theme.js";
+import { logModerationAction } from "./utils.js";
+import { createUnbanDMEmbed } from "./embeds.js";
+
+const logger = getLogger();
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const MAX_TEMP_BAN_DAYS = 365;
+
+async function getStorage() {
+  const { getStorageManager } = await import(
+    "../../../utils/storage/storageManager.js"
+  );
+  return await getStorageManager();
+}
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+/**
+ * Remember when a temporary ban should be lifted
+ * @param {Object} options
+ * @param {string} options.guildId - Guild ID
+ * @param {string} options.userId - Banned user ID
+ * @param {Date} options.unbanAt - When the ban expires
+ * @param {string} options.caseId - Case ID of the ban
+ * @param {string} options.moderatorId - Moderator who issued the ban
+ * @returns {Promise<boolean>} Success status
+ */
+export async function scheduleUnban({
+  guildId,
+  userId,
+  unbanAt,
+  caseId,
+  moderatorId,
+}) {
+  const storage = await getStorage();
+  return await storage.addTemporaryBan(guildId, userId, unbanAt, {
+    caseId,
+    moderatorId,
+  });
+}
+
+/**
+ * Drop a pending unban, e.g. when the user is unbanned early
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Whether a pending unban was removed
+ */
+export async function cancelScheduledUnban(guildId, userId) {
+  const storage = await getStorage();
+  return await storage.removeTemporaryBan(guildId, userId);
+}
+
+/**
+ * Get the pending unbans for a guild, soonest first
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Map<string, Object>>} Temporary ban records keyed by user ID
+ */
+export async function getPendingUnbans(guildId) {
+  const storage = await getStorage();
+  const tempBans = (await storage.getTemporaryBans(guildId)) || [];
+  return new Map(tempBans.map(tempBan => [tempBan.userId, tempBan]));
+}
+
+// ============================================================================
+// EXPIRY
+// ============================================================================
+
+/**
+ * Lift an expired temporary ban and log it as an unban case
+ * The record is kept when Discord refuses the unban so it is retried later
+ * @param {import('discord.js').Guild} guild - Guild the ban belongs to
+ * @param {Object} tempBan - Temporary ban record
+ * @returns {Promise<string|null>} Case ID of the unban, or null if none was logged
+ */
+export async function liftTemporaryBan(guild, tempBan) {
+  const reason = tempBan.caseId
+    ? `Temporary ban expired (case ${tempBan.caseId})`
+    : "Temporary ban expired";
+
+  let caseId = null;
+  try {
+    await guild.bans.remove(tempBan.userId, reason);
+    caseId = await logModerationAction({
+      guild,
+      guildId: guild.id,
+      userId: tempBan.userId,
+      moderatorId: guild.client.user.id,
+      action: "unban",
+      reason,
+      metadata: { tempBanCaseId: tempBan.caseId || null },
+    });
+  } catch (error) {
+    // 10026: Unknown Ban - the user was already unbanned
+    if (error.code !== 10026) {
+      logger.warn(
+        `Could not lift temporary ban for ${tempBan.userId} in guild ${guild.id}: ${error.message}`,
+      );
+      return null;
+    }
+  }
+
+  await cancelScheduledUnban(guild.id, tempBan.userId);
+  if (!caseId) return null;
+
+  try {
+    const user = await guild.client.users.fetch(tempBan.userId);
+    await user.send({ embeds: [createUnbanDMEmbed(guild, caseId)] });
+  } catch (dmError) {
+    logger.debug(
+      `Could not send unban DM to ${tempBan.userId}: ${dmError.message}`,
+    );
+  }
+
+  logger.info(
+    `${EMOJIS.MODERATION.UNBAN} Temporary ban for ${tempBan.userId} expired in guild ${guild.id} (Case: ${caseId})`,
+  );
+  return caseId;
+}
@@ -218,6 +218,9 @@ export function formatDuration(milliseconds) {
  * @param {string} actionData.action - Action type (timeout, warn, ban, kick, etc.)
  * @param {string} actionData.reason - Reason for action
  * @param {Object} actionData.metadata - Additional metadata
+ * @param {number} [actionData.points] - Warning points (warnings only, default 1)
+ * @param {string|null} [actionData.expiresAt] - ISO date the warning stops counting (warnings only)
+ * @param {import('discord.js').Guild} [actionData.guild] - Guild to post the case to its mod-log channel
  * @returns {Promise<string>} Case ID
  */
 export async function logModerationAction(actionData) {
@@ -240,9 +243,19 @@ export async function logModerationAction(actionData) {
     timestamp,
   };
 
+  if (actionData.action === "warn") {
+    logEntry.points = actionData.points ?? 1;
+    logEntry.expiresAt = actionData.expiresAt || null;
+  }
+
   // Save to storage using explicit method
   await storage.logModerationAction(logEntry);
 
+  if (actionData.guild) {
+    const { postModerationCase } = await import("./cases.js");
+    await postModerationCase(actionData.guild, logEntry);
+  }
+
   logger.info(
     `${EMOJIS.MODERATION.DEFAULT} Moderation action logged: ${actionData.action} on user ${actionData.userId} by ${actionData.moderatorId} (Case: ${caseId})`,
   );
@@ -280,17 +293,49 @@ export async function getAllModerationHistory(guildId) {
 }
 
 /**
- * Get warn count for a user
+ * Get active (non-expired) warn count for a user
  * @param {string} guildId - Guild ID
  * @param {string} userId - User ID
- * @returns {Promise<number>} Number of warnings
+ * @param {Object} [options]
+ * @param {Date|null} [options.since] - Only count warnings issued after this date
+ * @returns {Promise<number>} Number of active warnings
  */
-export async function getWarnCount(guildId, userId) {
+export async function getWarnCount(guildId, userId, options = {}) {
   const { getStorageManager } = await import(
     "../../../utils/storage/storageManager.js"
   );
   const storage = await getStorageManager();
-  return await storage.getWarnCount(guildId, userId);
+  return await storage.getWarnCount(guildId, userId, options);
+}
+
+/**
+ * Get active (non-expired) warning count and point total for a user
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {Date|null} [options.since] - Only count warnings issued after this date
+ * @returns {Promise<{count: number, points: number}>}
+ */
+export async function getWarnPoints(guildId, userId, options = {}) {
+  const { getStorageManager } = await import(
+    "../../../utils/storage/storageManager.js"
+  );
+  const storage = await getStorageManager();
+  return await storage.getWarnPoints(guildId, userId, options);
+}
+
+/**
+ * Whether a warning log entry has passed its expiry date
+ * @param {Object} log - Moderation log entry
+ * @param {number} [now=Date.now()] - Current timestamp
+ * @returns {boolean}
+ */
+export function isWarningExpired(log, now = Date.now()) {
+  return (
+    log.action === "warn" &&
+    Boolean(log.expiresAt) &&
+    new Date(log.expiresAt).getTime() <= now
+  );
 }
 
 /**
@@ -0,0 +1,93 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  StringSelectMenuOptionBuilder,
+} from "discord.js";
+import { PANEL_STYLES } from "./utils.js";
+
+export const ROLE_PANEL_BUTTON_PREFIX = "rolepanel_btn_";
+export const ROLE_PANEL_SELECT_ID = "rolepanel_select";
+export const MAX_PANEL_ENTRIES = 25;
+
+const BUTTONS_PER_ROW = 5;
+
+function getEntryLabel(role) {
+  const label =
+    role.roleNames?.length > 1
+      ? role.roleNames.join(", ")
+      : role.roleName || "Role";
+  return label.length > 80 ? `${label.slice(0, 77)}...` : label;
+}
+
+/**
+ * Build the message components for a button or dropdown role panel
+ * @param {Array<Object>} validRoles - Role entries (emoji, roleId, roleName, limit, ...)
+ * @param {string} style - Panel style from PANEL_STYLES
+ * @param {string} [selectionMode="standard"] - "standard" or "unique"
+ * @returns {Array<ActionRowBuilder<ButtonBuilder> | ActionRowBuilder<StringSelectMenuBuilder>>} Component rows (empty for reaction panels)
+ */
+export function createRolePanelComponents(
+  validRoles,
+  style,
+  selectionMode = "standard",
+) {
+  const entries = validRoles.slice(0, MAX_PANEL_ENTRIES);
+
+  if (style === PANEL_STYLES.BUTTONS) {
+    const rows = [];
+    for (let i = 0; i < entries.length; i += BUTTONS_PER_ROW) {
+      const row = /** @type {ActionRowBuilder<ButtonBuilder>} */ (
+        new ActionRowBuilder()
+      );
+      row.addComponents(
+        entries
+          .slice(i, i + BUTTONS_PER_ROW)
+          .map(role =>
+            new ButtonBuilder()
+              .setCustomId(`${ROLE_PANEL_BUTTON_PREFIX}${role.emoji}`)
+              .setLabel(getEntryLabel(role))
+              .setEmoji(role.emoji)
+              .setStyle(ButtonStyle.Secondary),
+          ),
+      );
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  if (style === PANEL_STYLES.SELECT) {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(ROLE_PANEL_SELECT_ID)
+      .setPlaceholder(
+        selectionMode === "unique"
+          ? "Pick a role"
+          : selectionMode === "drop"
+            ? "Pick roles to remove"
+            : "Pick your roles",
+      )
+      .setMinValues(0)
+      .setMaxValues(selectionMode === "unique" ? 1 : entries.length)
+      .addOptions(
+        entries.map(role => {
+          const option = new StringSelectMenuOptionBuilder()
+            .setLabel(getEntryLabel(role))
+            .setValue(role.emoji)
+            .setEmoji(role.emoji);
+          if (role.limit) {
+            option.setDescription(`Limited to ${role.limit} members`);
+          }
+          return option;
+        }),
+      );
+
+    return [
+      /** @type {ActionRowBuilder<StringSelectMenuBuilder>} */ (
+        new ActionRowBuilder()
+      ).addComponents(menu),
+    ];
+  }
+
+  return [];
+}
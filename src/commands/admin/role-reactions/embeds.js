@@ -96,10 +96,7 @@ export function createListRolesEmbed(
   }
 
   const fields = guildMappings.map(([messageId, mapping]) => {
-    const rolesObj = mapping.roles || {};
-    const rolesArr = Array.isArray(rolesObj)
-      ? rolesObj
-      : Object.values(rolesObj);
+    const rolesArr = Object.values(mapping.roles);
 
     const roleMentions = rolesArr
       .map(role =>
@@ -1,15 +1,24 @@
 import { getLogger } from "../../../utils/logger.js";
 import {
   errorEmbed,
+  successEmbed,
   roleCreatedEmbed,
 } from "../../../utils/discord/responseMessages.js";
-import { getRoleMapping } from "./utils.js";
+import {
+  getRoleMapping,
+  setRoleMapping,
+  getPanelConfig,
+  buildMappingData,
+  copyEntryRules,
+  PANEL_STYLES,
+} from "./utils.js";
 import { getStorageManager } from "../../../utils/storage/storageManager.js";
 import {
   createListRolesEmbed,
   createUpdatedRolesEmbed,
   createPaginationButtons,
 } from "./embeds.js";
+import { createRolePanelComponents } from "./components.js";
 
 // Import refactored utility modules
 import { validateInteraction, validateBotMember } from "./validation.js";
@@ -175,6 +184,10 @@ export async function handleSetup(interaction, client) {
       color = colorHex;
     }
     const hideList = interaction.options.getBoolean("hide_list") ?? false;
+    const style =
+      interaction.options.getString("style") ?? PANEL_STYLES.REACTIONS;
+    const selectionMode =
+      interaction.options.getString("selection_mode") ?? "standard";
 
     // Create role-reaction message
     const messageResult = await createRoleReactionMessage(
@@ -185,6 +198,7 @@ export async function handleSetup(interaction, client) {
         color,
         validRoles,
         hideList,
+        components: createRolePanelComponents(validRoles, style, selectionMode),
       },
       client,
     );
@@ -196,14 +210,15 @@ export async function handleSetup(interaction, client) {
 
     const message = messageResult.message;
 
-    // Add reactions to the message
-    const reactionResult = await addReactionsToMessage(message, validRoles);
-
-    // Handle reaction failures
-    const reactionFailureResponse = handleReactionFailures(
-      reactionResult.failedReactions,
-      validRoles,
-    );
+    // Button and dropdown panels carry their own components
+    let reactionFailureResponse = null;
+    if (style === PANEL_STYLES.REACTIONS) {
+      const reactionResult = await addReactionsToMessage(message, validRoles);
+      reactionFailureResponse = handleReactionFailures(
+        reactionResult.failedReactions,
+        validRoles,
+      );
+    }
     if (reactionFailureResponse) {
       // Delete the message since reactions failed - it's not usable without reactions
       try {
@@ -229,10 +244,7 @@ export async function handleSetup(interaction, client) {
       message.id,
       interaction.guild.id,
       interaction.channel.id,
-      {
-        roles: roleMapping,
-        hideList,
-      },
+      buildMappingData({ roles: roleMapping, hideList, selectionMode, style }),
     );
 
     // Send success response
@@ -464,7 +476,7 @@ export async function handleDelete(interaction) {
     await interaction.editReply(
       roleDeletedEmbed({
         messageId,
-        rolesRemoved: Object.keys(mapping.roles || {}).length,
+        rolesRemoved: Object.keys(mapping.roles).length,
       }),
     );
 
@@ -504,6 +516,7 @@ export async function handleUpdate(interaction) {
     const rolesString = interaction.options.getString("roles");
     const colorHex = interaction.options.getString("color");
     const hideList = interaction.options.getBoolean("hide_list");
+    const selectionMode = interaction.options.getString("selection_mode");
 
     const mapping = await getRoleMapping(messageId, interaction.guild.id);
     if (!mapping) {
@@ -520,14 +533,16 @@ export async function handleUpdate(interaction) {
     if (title) updates.title = title;
     if (description) updates.description = description;
     if (hideList !== null) updates.hideList = hideList;
+    if (selectionMode) updates.selectionMode = selectionMode;
 
-    let roleMapping = mapping.roles;
+    const config = getPanelConfig(mapping);
+    let roleMapping = config.roles;
     if (rolesString) {
       const result = await processRoleInput(interaction, rolesString);
       if (!result.success) {
         return interaction.editReply(result.errorResponse);
       }
-      roleMapping = result.data.roleMapping;
+      roleMapping = copyEntryRules(config.roles, result.data.roleMapping);
       const validRoles = result.data.validRoles;
 
       const premiumManager = getPremiumManager();
@@ -567,7 +582,13 @@ export async function handleUpdate(interaction) {
       updates.color = hex;
     }
 
-    const updatedMapping = { ...mapping, ...updates };
+    const updatedMapping = {
+      ...mapping,
+      hideList: config.hideList,
+      selectionMode: config.selectionMode,
+      style: config.style,
+      ...updates,
+    };
     const channel = await interaction.guild.channels.fetch(mapping.channelId);
     const message = await channel.messages.fetch(messageId);
     const embed = createUpdatedRolesEmbed(
@@ -578,10 +599,18 @@ export async function handleUpdate(interaction) {
       text: `Role Reactions • ID: ${messageId}`,
       iconURL: interaction.client.user.displayAvatarURL(),
     });
-    await message.edit({ embeds: [embed] });
+    const messageEdit = { embeds: [embed] };
+    if (updatedMapping.style !== PANEL_STYLES.REACTIONS) {
+      messageEdit.components = createRolePanelComponents(
+        Object.values(roleMapping),
+        updatedMapping.style,
+        updatedMapping.selectionMode,
+      );
+    }
+    await message.edit(messageEdit);
 
     // If roles were updated, refresh the reactions
-    if (rolesString) {
+    if (rolesString && updatedMapping.style === PANEL_STYLES.REACTIONS) {
       try {
         // Sync reactions instead of clearing all (Smart Update)
         const { syncReactions } = await import("./messageOperations.js");
@@ -613,7 +642,7 @@ export async function handleUpdate(interaction) {
       messageId,
       updatedMapping.guildId,
       updatedMapping.channelId,
-      roleMapping,
+      buildMappingData({ ...updatedMapping, roles: roleMapping }),
     );
 
     const { roleUpdatedEmbed } = await import(
@@ -637,6 +666,155 @@ export async function handleUpdate(interaction) {
   }
 }
 
+/**
+ * Parses a list of role mentions or IDs. "none" clears the list.
+ * @param {import('discord.js').Guild} guild
+ * @param {string} value
+ * @returns {string[]|null} Role IDs, or null if a role is unknown
+ */
+function parseRoleList(guild, value) {
+  if (value.trim().toLowerCase() === "none") return [];
+  const ids = [...value.matchAll(/<@&(\d{17,20})>|(\d{17,20})/g)].map(
+    match => match[1] || match[2],
+  );
+  if (ids.length === 0 || ids.some(id => !guild.roles.cache.has(id))) {
+    return null;
+  }
+  return [...new Set(ids)];
+}
+
+export async function handleRules(interaction) {
+  const logger = getLogger();
+
+  try {
+    // Validate interaction
+    const validation = validateInteraction(interaction);
+    if (!validation.success) {
+      return;
+    }
+
+    // Defer reply
+    const deferResult = await handleDeferral(interaction, false);
+    if (!deferResult.success) {
+      if (deferResult.isExpired) {
+        logger.warn("Interaction expired during deferral");
+      }
+      return;
+    }
+
+    const messageId = interaction.options.getString("message_id");
+    const emoji = interaction.options.getString("emoji").trim();
+    const requiredInput = interaction.options.getString("required_roles");
+    const blockedInput = interaction.options.getString("blocked_roles");
+    const minLevel = interaction.options.getInteger("min_level");
+
+    const mapping = await getRoleMapping(messageId, interaction.guild.id);
+    if (!mapping) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Message Not Found",
+          description:
+            "I couldn't find a role-reaction message with that ID in this server.",
+        }),
+      );
+    }
+
+    const config = getPanelConfig(mapping);
+    const entry = config.roles[emoji];
+    if (!entry) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Emoji Not Found",
+          description: `${emoji} isn't one of the roles on that message.`,
+          solution: `Use one of: ${Object.keys(config.roles).join(" ")}`,
+        }),
+      );
+    }
+
+    const updatedEntry = { ...entry };
+    for (const [field, input] of [
+      ["requiredRoleIds", requiredInput],
+      ["blockedRoleIds", blockedInput],
+    ]) {
+      if (input === null) continue;
+      const ids = parseRoleList(interaction.guild, input);
+      if (!ids) {
+        return interaction.editReply(
+          errorEmbed({
+            title: "Invalid Roles",
+            description: `I couldn't find every role in \`${input}\`.`,
+            solution:
+              "Mention the roles (e.g. `@Member @Verified`) or use `none` to clear the list.",
+          }),
+        );
+      }
+      if (ids.length > 0) updatedEntry[field] = ids;
+      else delete updatedEntry[field];
+    }
+
+    if (minLevel !== null) {
+      if (minLevel > 0) updatedEntry.minLevel = minLevel;
+      else delete updatedEntry.minLevel;
+    }
+
+    const ownRoleIds = updatedEntry.roleIds;
+    const ruleRoleIds = [
+      ...(updatedEntry.requiredRoleIds || []),
+      ...(updatedEntry.blockedRoleIds || []),
+    ];
+    if (ruleRoleIds.some(id => ownRoleIds.includes(id))) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Invalid Rules",
+          description:
+            "A role can't be required or blocked by its own reaction.",
+        }),
+      );
+    }
+
+    const roles = { ...config.roles, [emoji]: updatedEntry };
+    await setRoleMapping(
+      messageId,
+      mapping.guildId,
+      mapping.channelId,
+      buildMappingData({ ...config, roles }),
+    );
+
+    const formatRoles = ids =>
+      ids?.length ? ids.map(id => `<@&${id}>`).join(", ") : "None";
+    await interaction.editReply(
+      successEmbed({
+        title: "Role Rules Updated",
+        description: `Rules for ${emoji} on message \`${messageId}\`. Members who don't meet them get a DM explaining why.`,
+        fields: [
+          {
+            name: "Required Roles",
+            value: formatRoles(updatedEntry.requiredRoleIds),
+            inline: true,
+          },
+          {
+            name: "Blocked Roles",
+            value: formatRoles(updatedEntry.blockedRoleIds),
+            inline: true,
+          },
+          {
+            name: "Minimum Level",
+            value: updatedEntry.minLevel ? `${updatedEntry.minLevel}` : "None",
+            inline: true,
+          },
+        ],
+      }),
+    );
+
+    logger.debug("Role-reaction rules updated", { messageId, emoji });
+  } catch (error) {
+    logger.error("Unexpected error in handleRules", {
+      error: error.message,
+      stack: error.stack,
+    });
+  }
+}
+
 // Handle pagination button interactions
 export async function handlePagination(interaction, client) {
   const logger = getLogger();
@@ -8,8 +8,10 @@ import {
   handleDelete,
   handleUpdate,
   handlePagination,
+  handleRules,
 } from "./handlers.js";
-import { getColorChoices } from "./utils.js";
+import { getColorChoices, getPanelStyleChoices } from "./utils.js";
+import { getSelectionModeChoices } from "../../../utils/discord/roleReactionRules.js";
 
 // ============================================================================
 // COMMAND METADATA
@@ -40,9 +42,11 @@ export const metadata = {
       value: [
         "```/role-reactions setup title:Choose Your Roles description:React to get roles! roles:🎮:@Gamer, 🎨:@Artist```",
         "```/role-reactions setup title:Game Roles description:Pick your role! roles:🎮:Gamer, 🎨:Artist```",
+        "```/role-reactions setup title:Colors description:Pick one! roles:🔴:@Red, 🔵:@Blue style:Buttons selection_mode:Unique```",
         "```/role-reactions list```",
         "```/role-reactions update message_id:1234567890 title:Updated Title```",
         "```/role-reactions delete message_id:1234567890```",
+        "```/role-reactions rules message_id:1234567890 emoji:🎮 required_roles:@Member min_level:5```",
       ].join("\n"),
       inline: false,
     },
@@ -53,6 +57,7 @@ export const metadata = {
         "**list** - List all role-reaction messages",
         "**update** - Update an existing role-reaction message",
         "**delete** - Delete a role-reaction message",
+        "**rules** - Require or block roles, or set a minimum XP level, for one emoji",
       ].join("\n"),
       inline: false,
     },
@@ -64,7 +69,7 @@ export const metadata = {
     {
       name: `What You'll See`,
       value:
-        "Interactive role assignment via emoji reactions with customizable embeds, automatic reaction addition, and comprehensive management tools!",
+        "Interactive role assignment via emoji reactions, buttons or a dropdown menu with customizable embeds, automatic reaction addition, and comprehensive management tools!",
       inline: false,
     },
     {
@@ -136,6 +141,22 @@ export const data = new SlashCommandBuilder()
             "Hide the automatic list of available roles at the bottom of the embed",
           )
           .setRequired(false),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("style")
+          .setDescription("Show roles as reactions, buttons or a dropdown")
+          .setRequired(false)
+          .addChoices(...getPanelStyleChoices()),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("selection_mode")
+          .setDescription(
+            "How members pick roles: several, one, add-only or remove-only",
+          )
+          .setRequired(false)
+          .addChoices(...getSelectionModeChoices()),
       ),
   )
   .addSubcommand(sub =>
@@ -193,6 +214,54 @@ export const data = new SlashCommandBuilder()
             "Hide the automatic list of available roles at the bottom of the embed",
           )
           .setRequired(false),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("selection_mode")
+          .setDescription(
+            "How members pick roles: several, one, add-only or remove-only",
+          )
+          .setRequired(false)
+          .addChoices(...getSelectionModeChoices()),
+      ),
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName("rules")
+      .setDescription("Set who may take one role on a role-reaction message")
+      .addStringOption(opt =>
+        opt
+          .setName("message_id")
+          .setDescription("The ID of the role-reaction message")
+          .setRequired(true),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("emoji")
+          .setDescription("The emoji of the role to configure")
+          .setRequired(true),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("required_roles")
+          .setDescription("Roles members must have (mentions, or 'none')")
+          .setRequired(false),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("blocked_roles")
+          .setDescription(
+            "Roles that prevent taking this role (mentions, or 'none')",
+          )
+          .setRequired(false),
+      )
+      .addIntegerOption(opt =>
+        opt
+          .setName("min_level")
+          .setDescription("Minimum XP level (0 = none)")
+          .setMinValue(0)
+          .setMaxValue(1000)
+          .setRequired(false),
       ),
   )
   .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles);
@@ -245,6 +314,9 @@ export async function execute(interaction, client) {
       case "update":
         await handleUpdate(interaction);
         break;
+      case "rules":
+        await handleRules(interaction);
+        break;
       default: {
         await interaction.reply(
           errorEmbed({
@@ -54,7 +54,14 @@ export async function createRoleReactionMessage(
 ) {
   const logger = getLogger();
 
-  const { title, description, color, validRoles, hideList } = messageData;
+  const {
+    title,
+    description,
+    color,
+    validRoles,
+    hideList,
+    components = [],
+  } = messageData;
 
   logger.debug("Creating role-reaction message", {
     title,
@@ -74,7 +81,10 @@ export async function createRoleReactionMessage(
   );
 
   try {
-    const message = await interaction.channel.send({ embeds: [embed] });
+    const message = await interaction.channel.send({
+      embeds: [embed],
+      components,
+    });
 
     // Update footer to include Message ID
     try {
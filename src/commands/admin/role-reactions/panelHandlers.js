@@ -0,0 +1,214 @@
+import { MessageFlags } from "discord.js";
+import { getLogger } from "../../../utils/logger.js";
+import {
+  errorEmbed,
+  successEmbed,
+} from "../../../utils/discord/responseMessages.js";
+import {
+  getRoleMapping,
+  getRoleUsageCount,
+  incrementRoleUsage,
+  decrementRoleUsage,
+} from "../../../utils/discord/roleMappingManager.js";
+import { checkEntryRules } from "../../../utils/discord/roleReactionRules.js";
+import { getPanelConfig } from "./utils.js";
+import { ROLE_PANEL_BUTTON_PREFIX } from "./components.js";
+
+/**
+ * Toggle the roles behind the chosen panel entries for a member.
+ * Entries the member fully holds are removed, the rest are added. In unique
+ * mode, adding an entry removes every other entry on the panel. Verify panels
+ * never remove roles and drop panels never add them.
+ * @param {import('discord.js').GuildMember} member - Member who clicked
+ * @param {string} messageId - Panel message ID
+ * @param {Object} config - Panel config from getPanelConfig
+ * @param {string[]} keys - Chosen entry keys (emojis)
+ * @returns {Promise<{added: string[], removed: string[], full: string[], denied: Array<{key: string, reason: string}>}>} Role IDs added/removed, entry keys that were full and entries refused by their rules
+ */
+export async function togglePanelRoles(member, messageId, config, keys) {
+  const { roles, selectionMode } = config;
+  const holds = key => {
+    const { roleIds } = roles[key];
+    return (
+      roleIds.length > 0 && roleIds.every(id => member.roles.cache.has(id))
+    );
+  };
+
+  const addKeys = [];
+  const removeKeys = [];
+  const full = [];
+  const denied = [];
+
+  for (const key of keys) {
+    const entry = roles[key];
+    if (!entry) continue;
+
+    if (selectionMode === "drop") {
+      if (entry.roleIds.some(id => member.roles.cache.has(id))) {
+        removeKeys.push(key);
+      }
+      continue;
+    }
+
+    if (holds(key)) {
+      if (selectionMode !== "verify") removeKeys.push(key);
+      continue;
+    }
+
+    const ruleCheck = await checkEntryRules(member, entry);
+    if (!ruleCheck.allowed) {
+      denied.push({ key, reason: ruleCheck.reason });
+      continue;
+    }
+
+    if (entry.limit > 0) {
+      const usage = await getRoleUsageCount(messageId, key);
+      if (usage >= entry.limit) {
+        full.push(key);
+        continue;
+      }
+    }
+    addKeys.push(key);
+  }
+
+  if (selectionMode === "unique" && addKeys.length > 0) {
+    for (const key of Object.keys(roles)) {
+      if (addKeys.includes(key) || removeKeys.includes(key)) continue;
+      if (roles[key].roleIds.some(id => member.roles.cache.has(id))) {
+        removeKeys.push(key);
+      }
+    }
+  }
+
+  const keptRoleIds = new Set(addKeys.flatMap(key => roles[key].roleIds));
+  const removed = [
+    ...new Set(removeKeys.flatMap(key => roles[key].roleIds)),
+  ].filter(id => !keptRoleIds.has(id) && member.roles.cache.has(id));
+  const added = [...keptRoleIds].filter(id => !member.roles.cache.has(id));
+
+  if (removed.length > 0) {
+    await member.roles.remove(removed, "Role panel");
+  }
+  if (added.length > 0) {
+    await member.roles.add(added, "Role panel");
+  }
+
+  for (const key of addKeys) {
+    if (roles[key].limit > 0) await incrementRoleUsage(messageId, key);
+  }
+  for (const key of removeKeys) {
+    if (roles[key].limit > 0) await decrementRoleUsage(messageId, key);
+  }
+
+  return { added, removed, full, denied };
+}
+
+async function handlePanelInteraction(interaction, keys) {
+  const logger = getLogger();
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const mapping = await getRoleMapping(
+    interaction.message.id,
+    interaction.guild.id,
+  );
+  if (!mapping) {
+    return interaction.editReply(
+      errorEmbed({
+        title: "Panel Not Active",
+        description: "This role panel is no longer set up.",
+        solution: "Ask a server admin to create a new one.",
+      }),
+    );
+  }
+
+  const config = getPanelConfig(mapping);
+  const member = /** @type {import('discord.js').GuildMember} */ (
+    interaction.member
+  );
+
+  let result;
+  try {
+    result = await togglePanelRoles(
+      member,
+      interaction.message.id,
+      config,
+      keys,
+    );
+  } catch (error) {
+    logger.warn(
+      `Role panel update failed for ${interaction.user.tag}: ${error.message}`,
+    );
+    return interaction.editReply(
+      errorEmbed({
+        title: "Couldn't Update Roles",
+        description: "I wasn't able to change your roles.",
+        solution:
+          "Ask a server admin to check that my role is above the panel roles.",
+      }),
+    );
+  }
+
+  const { added, removed, full, denied } = result;
+  const lines = [];
+  if (added.length > 0) {
+    lines.push(`**Added:** ${added.map(id => `<@&${id}>`).join(", ")}`);
+  }
+  if (removed.length > 0) {
+    lines.push(`**Removed:** ${removed.map(id => `<@&${id}>`).join(", ")}`);
+  }
+  if (full.length > 0) {
+    lines.push(`**Full:** ${full.join(" ")} reached the member limit`);
+  }
+  for (const { key, reason } of denied) {
+    lines.push(`**${key}:** ${reason}`);
+  }
+
+  if (added.length === 0 && removed.length === 0) {
+    return interaction.editReply(
+      errorEmbed({
+        title:
+          denied.length > 0
+            ? "Role Not Assigned"
+            : full.length > 0
+              ? "Role Full"
+              : "No Changes",
+        description:
+          lines.join("\n") || "Your roles already match your selection.",
+      }),
+    );
+  }
+
+  if (added.length > 0) {
+    logger.info(
+      `✅ Role panel assigned ${added.length} role(s) to ${interaction.user.tag}`,
+    );
+
+    // Record daily role reaction (fire-and-forget)
+    import("../../../features/analytics/AnalyticsManager.js")
+      .then(({ getAnalyticsManager }) => getAnalyticsManager())
+      .then(am => am.recordRoleReaction(interaction.guild.id))
+      .catch(() => {});
+  }
+
+  return interaction.editReply(
+    successEmbed({ title: "Roles Updated", description: lines.join("\n") }),
+  );
+}
+
+/**
+ * Handle a click on a role panel button
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+export async function handleRolePanelButton(interaction) {
+  const key = interaction.customId.slice(ROLE_PANEL_BUTTON_PREFIX.length);
+  await handlePanelInteraction(interaction, [key]);
+}
+
+/**
+ * Handle a choice from a role panel dropdown
+ * @param {import('discord.js').AnySelectMenuInteraction} interaction
+ */
+export async function handleRolePanelSelect(interaction) {
+  await handlePanelInteraction(interaction, interaction.values);
+}
@@ -26,3 +26,62 @@ export function getColorChoices() {
     { name: "Chrome Gray", value: "#C0C0C0" },
   ];
 }
+
+export const PANEL_STYLES = {
+  REACTIONS: "reactions",
+  BUTTONS: "buttons",
+  SELECT: "select",
+};
+
+export function getPanelStyleChoices() {
+  return [
+    { name: "Emoji Reactions", value: PANEL_STYLES.REACTIONS },
+    { name: "Buttons", value: PANEL_STYLES.BUTTONS },
+    { name: "Dropdown Menu", value: PANEL_STYLES.SELECT },
+  ];
+}
+
+/**
+ * Picks the panel settings out of a stored role mapping. Storage keeps every
+ * mapping in one shape (see normalizeRoleMapping), so no fallbacks are needed.
+ * @param {Object} mapping - Role mapping from getRoleMapping
+ * @returns {{roles: Object, hideList: boolean, selectionMode: string, style: string}}
+ */
+export function getPanelConfig(mapping) {
+  const { roles, hideList, selectionMode, style } = mapping;
+  return { roles, hideList, selectionMode, style };
+}
+
+const ENTRY_RULE_FIELDS = ["requiredRoleIds", "blockedRoleIds", "minLevel"];
+
+/**
+ * Carry required/blocked roles and minimum level over to entries that keep
+ * their emoji when a message's roles are replaced
+ * @param {Object} previousRoles - Entries before the update
+ * @param {Object} nextRoles - Entries after the update (modified in place)
+ * @returns {Object} nextRoles
+ */
+export function copyEntryRules(previousRoles, nextRoles) {
+  for (const [emoji, entry] of Object.entries(nextRoles)) {
+    const previous = previousRoles?.[emoji];
+    if (!previous || typeof previous !== "object") continue;
+    for (const field of ENTRY_RULE_FIELDS) {
+      if (previous[field] !== undefined) entry[field] = previous[field];
+    }
+  }
+  return nextRoles;
+}
+
+/**
+ * Build the object stored for a role-reaction message, leaving out defaults
+ * @param {{roles: Object, hideList?: boolean, selectionMode?: string, style?: string}} config
+ * @returns {Object} Mapping data for setRoleMapping
+ */
+export function buildMappingData({ roles, hideList, selectionMode, style }) {
+  const mappingData = { roles, hideList: hideList || false };
+  if (selectionMode && selectionMode !== "standard") {
+    mappingData.selectionMode = selectionMode;
+  }
+  if (style && style !== PANEL_STYLES.REACTIONS) mappingData.style = style;
+  return mappingData;
+}
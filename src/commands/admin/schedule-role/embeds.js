@@ -1,11 +1,19 @@
 import { EmbedBuilder } from "discord.js";
 import { THEME } from "../../../config/theme.js";
+import { formatInTimezone } from "../../../utils/timezone.js";
 import {
   formatScheduleTime,
   formatRecurringSchedule,
   getNextExecutionTime,
 } from "./utils.js";
 
+function formatExcludeDates(excludeDates) {
+  const shown = excludeDates.slice(0, 10).join(", ");
+  return excludeDates.length > 10
+    ? `${shown} and ${excludeDates.length - 10} more`
+    : shown;
+}
+
 /**
  * Create the schedule creation embed
  */
@@ -64,8 +72,11 @@ export function createScheduleEmbed(
 
   // Schedule details
   const scheduleInfo = isRecurring
-    ? formatRecurringSchedule(scheduleData.scheduleConfig)
-    : formatScheduleTime(scheduleData.scheduledAt);
+    ? formatRecurringSchedule(
+        scheduleData.scheduleConfig,
+        scheduleData.timezone,
+      )
+    : formatScheduleTime(scheduleData.scheduledAt, scheduleData.timezone);
 
   embed.addFields(
     {
@@ -85,11 +96,13 @@ export function createScheduleEmbed(
     const nextExecution = getNextExecutionTime(
       scheduleData.scheduleConfig,
       scheduleType,
+      scheduleData.timezone,
     );
     if (nextExecution) {
+      const timestamp = Math.floor(nextExecution.getTime() / 1000);
       embed.addFields({
         name: "Next Execution",
-        value: `<t:${Math.floor(nextExecution.getTime() / 1000)}:F>\n<t:${Math.floor(nextExecution.getTime() / 1000)}:R>`,
+        value: `${scheduleData.timezone ? formatInTimezone(nextExecution, scheduleData.timezone) : `<t:${timestamp}:F>`}\n<t:${timestamp}:R>`,
         inline: false,
       });
     }
@@ -182,9 +195,13 @@ export function createScheduleListEmbed(
     if (isRecurring) {
       scheduleText = formatRecurringSchedule(
         schedule.scheduleConfig || schedule,
+        schedule.timezone,
       );
     } else {
-      scheduleText = formatScheduleTime(schedule.scheduledAt);
+      scheduleText = formatScheduleTime(
+        schedule.scheduledAt,
+        schedule.timezone,
+      );
     }
 
     const usersCount = Array.isArray(schedule.userIds)
@@ -269,7 +286,7 @@ export function createScheduleViewEmbed(schedule, scheduleType, guild, client) {
   embed.addFields(
     {
       name: "Schedule Information",
-      value: `**ID:** \`${schedule.id}\`\n**Type:** ${isRecurring ? "Recurring" : "One-time"}\n**Action:** ${action}\n**Status:** ${statusText}`,
+      value: `**ID:** \`${schedule.id}\`\n**Type:** ${isRecurring ? "Recurring" : "One-time"}\n**Action:** ${action}\n**Status:** ${statusText}${schedule.timezone ? `\n**Timezone:** ${schedule.timezone}` : ""}`,
       inline: true,
     },
     {
@@ -283,14 +300,22 @@ export function createScheduleViewEmbed(schedule, scheduleType, guild, client) {
   if (isRecurring) {
     const scheduleText = formatRecurringSchedule(
       schedule.scheduleConfig || schedule,
+      schedule.timezone,
     );
     const nextExecution = getNextExecutionTime(
       schedule.scheduleConfig || schedule,
-      scheduleType,
+      schedule.scheduleType,
+      schedule.timezone,
     );
 
     const scheduleValue = [`**Schedule:** ${scheduleText}`];
 
+    if (schedule.scheduleConfig?.excludeDates?.length > 0) {
+      scheduleValue.push(
+        `**Skipped dates:** ${formatExcludeDates(schedule.scheduleConfig.excludeDates)}`,
+      );
+    }
+
     if (schedule.lastExecutedAt) {
       scheduleValue.push(
         `**Last executed:** <t:${Math.floor(new Date(schedule.lastExecutedAt).getTime() / 1000)}:R>`,
@@ -312,7 +337,7 @@ export function createScheduleViewEmbed(schedule, scheduleType, guild, client) {
     });
   } else {
     const scheduleValue = [
-      `**Scheduled for:** <t:${Math.floor(new Date(schedule.scheduledAt).getTime() / 1000)}:F>`,
+      `**Scheduled for:** ${schedule.timezone ? formatInTimezone(schedule.scheduledAt, schedule.timezone) : `<t:${Math.floor(new Date(schedule.scheduledAt).getTime() / 1000)}:F>`}`,
       `**Time until execution:** <t:${Math.floor(new Date(schedule.scheduledAt).getTime() / 1000)}:R>`,
     ];
 
@@ -357,3 +382,50 @@ export function createScheduleViewEmbed(schedule, scheduleType, guild, client) {
 
   return embed;
 }
+
+/**
+ * Create the schedule preview embed
+ * @param {string} scheduleType - Schedule type the preview is for
+ * @param {string} scheduleText - Formatted schedule (see formatRecurringSchedule)
+ * @param {Date[]} runTimes - Upcoming run times
+ * @param {string} timeZone - IANA timezone the schedule runs in
+ * @param {string[]|null} excludeDates - Dates the schedule skips
+ * @param {import('discord.js').Client} client
+ */
+export function createSchedulePreviewEmbed(
+  scheduleType,
+  scheduleText,
+  runTimes,
+  timeZone,
+  excludeDates,
+  client,
+) {
+  const embed = new EmbedBuilder()
+    .setTitle("Schedule Preview")
+    .setDescription(
+      `**Schedule:** ${scheduleText}${excludeDates?.length > 0 ? `\n**Skipped dates:** ${formatExcludeDates(excludeDates)}` : ""}`,
+    )
+    .setColor(THEME.INFO)
+    .setTimestamp()
+    .setFooter({
+      text: "Nothing has been saved • Use /schedule-role create to save it",
+      iconURL: client.user?.displayAvatarURL() || undefined,
+    });
+
+  const lines = runTimes.map((runTime, index) => {
+    const timestamp = Math.floor(runTime.getTime() / 1000);
+    return `**${index + 1}.** ${formatInTimezone(runTime, timeZone)} (<t:${timestamp}:R>)`;
+  });
+
+  embed.addFields({
+    name: `Next ${runTimes.length} Run${runTimes.length !== 1 ? "s" : ""}`,
+    value:
+      lines.join("\n") +
+      (scheduleType === "custom"
+        ? "\n*Intervals are counted from now; saved schedules count from their last run.*"
+        : ""),
+    inline: false,
+  });
+
+  return embed;
+}
@@ -15,6 +15,7 @@ import {
   createScheduleEmbed,
   createScheduleListEmbed,
   createScheduleViewEmbed,
+  createSchedulePreviewEmbed,
 } from "./embeds.js";
 import {
   validateRole,
@@ -22,8 +23,16 @@ import {
   validateSchedule,
   detectTargetingType,
   generateScheduleId,
+  getUpcomingExecutionTimes,
+  formatRecurringSchedule,
 } from "./utils.js";
 import { getDatabaseManager } from "../../../utils/storage/databaseManager.js";
+import {
+  normalizeTimezone,
+  getGuildTimezone,
+  setGuildTimezone,
+  formatInTimezone,
+} from "../../../utils/timezone.js";
 import {
   FREE_TIER,
   PRO_TIER,
@@ -71,10 +80,31 @@ export async function handleCreate(interaction, client, deferred = false) {
     const usersString = interaction.options.getString("users");
     const scheduleType = interaction.options.getString("schedule-type");
     const scheduleInput = interaction.options.getString("schedule");
+    const excludeInput = interaction.options.getString("exclude");
     const reason = InputSanitizer.sanitize(
       interaction.options.getString("reason") || "No reason provided",
     );
 
+    // Clock times are read in the override timezone or the server's default
+    const timezoneInput = interaction.options.getString("timezone");
+    const timezone = timezoneInput
+      ? normalizeTimezone(timezoneInput)
+      : await getGuildTimezone(interaction.guild.id);
+    if (!timezone) {
+      const response = errorEmbed({
+        title: "Invalid Timezone",
+        description: `**${timezoneInput}** is not a known timezone.`,
+        solution:
+          "Pick a timezone from the list, e.g. `Europe/London` or `America/New_York`.",
+      });
+
+      if (deferred) {
+        return interaction.editReply(response);
+      } else {
+        return interaction.reply(response);
+      }
+    }
+
     const premiumManager = getPremiumManager();
     const isPro = await premiumManager.isFeatureActive(
       interaction.guild.id,
@@ -623,6 +653,8 @@ export async function handleCreate(interaction, client, deferred = false) {
       const scheduleValidation = await validateSchedule(
         scheduleType,
         scheduleInput,
+        timezone,
+        excludeInput,
       );
       if (!scheduleValidation.valid) {
         const response = errorEmbed({
@@ -652,6 +684,7 @@ export async function handleCreate(interaction, client, deferred = false) {
           roleId: role.id,
           userIds,
           scheduledAt,
+          timezone,
           executed: false,
           cancelled: false,
           reason,
@@ -676,6 +709,7 @@ export async function handleCreate(interaction, client, deferred = false) {
           userIds,
           scheduleType,
           scheduleConfig,
+          timezone,
           active: true,
           cancelled: false,
           reason,
@@ -1315,3 +1349,217 @@ export async function handleDelete(interaction, client, deferred = false) {
     }
   }
 }
+
+/**
+ * Handle the schedule preview logic
+ */
+export async function handlePreview(interaction, client, deferred = false) {
+  const logger = getLogger();
+
+  try {
+    const scheduleType = interaction.options.getString("schedule-type");
+    const scheduleInput = interaction.options.getString("schedule");
+    const excludeInput = interaction.options.getString("exclude");
+    const count = interaction.options.getInteger("count") || 5;
+
+    const timezoneInput = interaction.options.getString("timezone");
+    const timezone = timezoneInput
+      ? normalizeTimezone(timezoneInput)
+      : await getGuildTimezone(interaction.guild.id);
+    if (!timezone) {
+      const response = errorEmbed({
+        title: "Invalid Timezone",
+        description: `**${timezoneInput}** is not a known timezone.`,
+        solution:
+          "Pick a timezone from the list, e.g. `Europe/London` or `America/New_York`.",
+      });
+
+      if (deferred) {
+        return interaction.editReply(response);
+      } else {
+        return interaction.reply(response);
+      }
+    }
+
+    const scheduleValidation = await validateSchedule(
+      scheduleType,
+      scheduleInput,
+      timezone,
+      excludeInput,
+    );
+    if (!scheduleValidation.valid) {
+      const response = errorEmbed({
+        title: "Invalid Schedule",
+        description: scheduleValidation.error,
+        solution: scheduleValidation.solution,
+      });
+
+      if (deferred) {
+        return interaction.editReply(response);
+      } else {
+        return interaction.reply(response);
+      }
+    }
+
+    const { scheduleConfig } = scheduleValidation;
+    const runTimes =
+      scheduleType === "one-time"
+        ? [scheduleValidation.scheduledAt]
+        : getUpcomingExecutionTimes(
+            scheduleConfig,
+            scheduleType,
+            timezone,
+            count,
+          );
+
+    if (runTimes.length === 0) {
+      const response = errorEmbed({
+        title: "Invalid Schedule",
+        description: "This schedule has no upcoming runs.",
+        solution: "Check the dates the schedule skips.",
+      });
+
+      if (deferred) {
+        return interaction.editReply(response);
+      } else {
+        return interaction.reply(response);
+      }
+    }
+
+    const scheduleText =
+      scheduleType === "one-time"
+        ? `Once (${timezone})`
+        : formatRecurringSchedule(scheduleConfig, timezone);
+    const embed = createSchedulePreviewEmbed(
+      scheduleType,
+      scheduleText,
+      runTimes,
+      timezone,
+      scheduleConfig?.excludeDates || null,
+      client,
+    );
+
+    if (deferred) {
+      await interaction.editReply({ embeds: [embed] });
+    } else {
+      await interaction.reply({ embeds: [embed], flags: 64 });
+    }
+
+    logger.info(
+      `Schedule previewed by ${interaction.user.tag} in ${interaction.guild.name}: ${scheduleType} "${scheduleInput}"`,
+    );
+  } catch (error) {
+    logger.error("Error in handlePreview:", error);
+
+    if (!interaction.replied && !interaction.deferred) {
+      const response = errorEmbed({
+        title: "Error",
+        description: "Failed to preview the schedule.",
+        solution: "Please try again or contact support.",
+      });
+
+      try {
+        await interaction.reply({ ...response, flags: 64 });
+      } catch (replyError) {
+        logger.error("Failed to send error response", {
+          interactionId: interaction.id,
+          error: replyError.message,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Handle the server timezone logic
+ */
+export async function handleTimezone(interaction, client, deferred = false) {
+  const logger = getLogger();
+
+  try {
+    const timezoneInput = interaction.options.getString("timezone");
+    const currentTimezone = await getGuildTimezone(interaction.guild.id);
+
+    // No timezone given: show the current one
+    if (!timezoneInput) {
+      const response = infoEmbed({
+        title: "Server Timezone",
+        description: `Schedules and giveaway end times use **${currentTimezone}**.\nIt is currently ${formatInTimezone(new Date(), currentTimezone)}.`,
+        solution:
+          "Use `/schedule-role timezone timezone:<zone>` to change it, or pass `timezone` to a single schedule.",
+      });
+
+      if (deferred) {
+        return interaction.editReply(response);
+      } else {
+        return interaction.reply(response);
+      }
+    }
+
+    const timezone = normalizeTimezone(timezoneInput);
+    if (!timezone) {
+      const response = errorEmbed({
+        title: "Invalid Timezone",
+        description: `**${timezoneInput}** is not a known timezone.`,
+        solution:
+          "Pick a timezone from the list, e.g. `Europe/London` or `America/New_York`.",
+      });
+
+      if (deferred) {
+        return interaction.editReply(response);
+      } else {
+        return interaction.reply(response);
+      }
+    }
+
+    const saved = await setGuildTimezone(interaction.guild.id, timezone);
+    if (!saved) {
+      const response = errorEmbed({
+        title: "Timezone Not Saved",
+        description: "Failed to save the server timezone.",
+        solution: "Please try again or contact support if the issue persists.",
+      });
+
+      if (deferred) {
+        return interaction.editReply(response);
+      } else {
+        return interaction.reply(response);
+      }
+    }
+
+    const response = successEmbed({
+      title: "Server Timezone Updated",
+      description: `New schedules and giveaway end times now use **${timezone}**.\nIt is currently ${formatInTimezone(new Date(), timezone)}.`,
+      solution: "Existing schedules keep the timezone they were created with.",
+    });
+
+    if (deferred) {
+      await interaction.editReply(response);
+    } else {
+      await interaction.reply(response);
+    }
+
+    logger.info(
+      `Server timezone set to ${timezone} by ${interaction.user.tag} in ${interaction.guild.name}`,
+    );
+  } catch (error) {
+    logger.error("Error in handleTimezone:", error);
+
+    if (!interaction.replied && !interaction.deferred) {
+      const response = errorEmbed({
+        title: "Error",
+        description: "Failed to update the server timezone.",
+        solution: "Please try again or contact support.",
+      });
+
+      try {
+        await interaction.reply({ ...response, flags: 64 });
+      } catch (replyError) {
+        logger.error("Failed to send error response", {
+          interactionId: interaction.id,
+          error: replyError.message,
+        });
+      }
+    }
+  }
+}
@@ -6,14 +6,27 @@ import {
 import { hasAdminPermissions } from "../../../utils/discord/permissions.js";
 import { getLogger } from "../../../utils/logger.js";
 import { errorEmbed } from "../../../utils/discord/responseMessages.js";
+import { getTimezoneChoices } from "../../../utils/timezone.js";
 import {
   handleCreate,
   handleList,
   handleCancel,
   handleView,
   handleDelete,
+  handleTimezone,
+  handlePreview,
 } from "./handlers.js";
 
+const SCHEDULE_TYPE_CHOICES = [
+  { name: "One-time", value: "one-time" },
+  { name: "Daily", value: "daily" },
+  { name: "Weekly", value: "weekly" },
+  { name: "Monthly", value: "monthly" },
+  { name: "Custom Interval", value: "custom" },
+  { name: "Cron Expression", value: "cron" },
+  { name: "Calendar Rule", value: "calendar" },
+];
+
 // ============================================================================
 // COMMAND METADATA
 // ============================================================================
@@ -43,6 +56,10 @@ export const metadata = {
       value: [
         "```/schedule-role create action:assign role:@EventRole users:@user1,@RoleName schedule-type:one-time schedule:tomorrow 8am```",
         "```/schedule-role create action:remove role:@Mute users:@RoleName schedule-type:daily schedule:9am```",
+        "```/schedule-role create action:assign role:@Event users:@everyone schedule-type:weekly schedule:friday 8pm timezone:Europe/Berlin```",
+        "```/schedule-role create action:assign role:@Standup users:@Team schedule-type:cron schedule:30 9 * * mon-fri exclude:2025-12-25```",
+        "```/schedule-role preview schedule-type:calendar schedule:last friday 6pm count:5```",
+        "```/schedule-role timezone timezone:America/New_York```",
         "```/schedule-role list page:1 show-all:false```",
         "```/schedule-role view schedule-id:abc123```",
         "```/schedule-role cancel schedule-id:abc123```",
@@ -53,11 +70,13 @@ export const metadata = {
     {
       name: `What You Need`,
       value: [
-        "**create** - **action** *(required)*, **role** *(required)*, **users** *(required)*, **schedule-type** *(required)*, **schedule** *(required)*, **reason** *(optional)*",
+        "**create** - **action** *(required)*, **role** *(required)*, **users** *(required)*, **schedule-type** *(required)*, **schedule** *(required)*, **reason** *(optional)*, **timezone** *(optional)*, **exclude** *(optional)*",
+        "**preview** - **schedule-type** *(required)*, **schedule** *(required)*, **timezone** *(optional)*, **exclude** *(optional)*, **count** *(optional)*",
         "**list** - **page** *(optional)*, **show-all** *(optional)*",
         "**view** - **schedule-id** *(required)*",
         "**cancel** - **schedule-id** *(required)*",
         "**delete** - **schedule-id** *(required)*",
+        "**timezone** - **timezone** *(optional)*",
       ].join("\n"),
       inline: false,
     },
@@ -69,6 +88,8 @@ export const metadata = {
         "**view** - View details of a specific scheduled role",
         "**cancel** - Cancel a scheduled role (keeps in database)",
         "**delete** - Permanently delete a scheduled role from database",
+        "**preview** - Show the next run times of a schedule without saving it",
+        "**timezone** - View or set the server's default timezone",
       ].join("\n"),
       inline: false,
     },
@@ -80,6 +101,8 @@ export const metadata = {
         "**weekly** - Execute every week on the specified day and time",
         "**monthly** - Execute every month on the specified date and time",
         "**custom** - Execute at custom intervals (specified in minutes)",
+        "**cron** - Execute on a 5-field cron expression",
+        "**calendar** - Execute on a rule like the last Friday of the month",
       ].join("\n"),
       inline: false,
     },
@@ -91,6 +114,10 @@ export const metadata = {
         "`monday 9am` - Next Monday at 9:00 AM",
         "`15 2pm` - 15th of this month at 2:00 PM",
         "`60` - 60 minutes from now (for custom intervals)",
+        "`30 9 * * mon-fri` - Weekdays at 9:30 AM (cron)",
+        "`every 2nd tuesday 9am` - Second Tuesday of each month (calendar)",
+        "**exclude** skips dates on recurring schedules, e.g. `2025-12-25, 2026-01-01`",
+        "Times use the server timezone (`/schedule-role timezone`) unless **timezone** is set",
       ].join("\n"),
       inline: false,
     },
@@ -160,19 +187,13 @@ export const data = new SlashCommandBuilder()
           .setName("schedule-type")
           .setDescription("Type of schedule (one-time or recurring)")
           .setRequired(true)
-          .addChoices(
-            { name: "One-time", value: "one-time" },
-            { name: "Daily", value: "daily" },
-            { name: "Weekly", value: "weekly" },
-            { name: "Monthly", value: "monthly" },
-            { name: "Custom Interval", value: "custom" },
-          ),
+          .addChoices(...SCHEDULE_TYPE_CHOICES),
       )
       .addStringOption(opt =>
         opt
           .setName("schedule")
           .setDescription(
-            "Schedule time (e.g., 'tomorrow 8am', '9am', 'monday 9am', '15 2pm', '60')",
+            "Schedule time (e.g., 'tomorrow 8am', '9am', 'monday 9am', '0 9 * * 1-5', 'last friday 6pm')",
           )
           .setRequired(true),
       )
@@ -181,6 +202,68 @@ export const data = new SlashCommandBuilder()
           .setName("reason")
           .setDescription("Reason for this scheduled role (optional)")
           .setRequired(false),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("timezone")
+          .setDescription(
+            "Timezone for this schedule (default: the server timezone)",
+          )
+          .setRequired(false)
+          .setAutocomplete(true),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("exclude")
+          .setDescription(
+            "Dates a recurring schedule skips (e.g., 2025-12-25, 2026-01-01)",
+          )
+          .setRequired(false),
+      ),
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName("preview")
+      .setDescription("Show the next run times of a schedule without saving it")
+      .addStringOption(opt =>
+        opt
+          .setName("schedule-type")
+          .setDescription("Type of schedule (one-time or recurring)")
+          .setRequired(true)
+          .addChoices(...SCHEDULE_TYPE_CHOICES),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("schedule")
+          .setDescription(
+            "Schedule time (e.g., 'monday 9am', '0 9 * * 1-5', 'last friday 6pm')",
+          )
+          .setRequired(true),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("timezone")
+          .setDescription(
+            "Timezone to preview in (default: the server timezone)",
+          )
+          .setRequired(false)
+          .setAutocomplete(true),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("exclude")
+          .setDescription(
+            "Dates a recurring schedule skips (e.g., 2025-12-25, 2026-01-01)",
+          )
+          .setRequired(false),
+      )
+      .addIntegerOption(opt =>
+        opt
+          .setName("count")
+          .setDescription("How many run times to show (default: 5)")
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(20),
       ),
   )
   .addSubcommand(subcommand =>
@@ -235,8 +318,28 @@ export const data = new SlashCommandBuilder()
           .setDescription("The ID of the schedule to delete")
           .setRequired(true),
       ),
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName("timezone")
+      .setDescription("View or set the server's default timezone")
+      .addStringOption(opt =>
+        opt
+          .setName("timezone")
+          .setDescription(
+            "IANA timezone (e.g., Europe/London, America/New_York)",
+          )
+          .setRequired(false)
+          .setAutocomplete(true),
+      ),
   );
 
+export async function autocomplete(interaction) {
+  await interaction.respond(
+    getTimezoneChoices(interaction.options.getFocused()),
+  );
+}
+
 export async function execute(interaction, client) {
   const logger = getLogger();
 
@@ -307,12 +410,19 @@ export async function execute(interaction, client) {
       case "delete":
         await handleDelete(interaction, client, deferred);
         break;
+      case "timezone":
+        await handleTimezone(interaction, client, deferred);
+        break;
+      case "preview":
+        await handlePreview(interaction, client, deferred);
+        break;
 
       default: {
         const response = errorEmbed({
           title: "Unknown Subcommand",
           description: `The subcommand "${subcommand}" is not recognized.`,
-          solution: "Use create, list, view, cancel, or delete as subcommands.",
+          solution:
+            "Use create, list, view, cancel, delete, preview, or timezone as subcommands.",
         });
 
         if (deferred) {
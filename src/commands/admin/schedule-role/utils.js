@@ -4,7 +4,15 @@ import { getLogger } from "../../../utils/logger.js";
 import {
   parseOneTimeSchedule,
   parseRecurringSchedule,
+  parseCronExpression,
+  parseExcludeDates,
 } from "../../../utils/scheduleParser.js";
+import {
+  getSystemTimezone,
+  toWallClock,
+  wallClockToDate,
+  formatInTimezone,
+} from "../../../utils/timezone.js";
 import { processUserList as baseProcessUserList } from "../temp-roles/utils.js";
 
 /**
@@ -194,15 +202,73 @@ export async function processUserList(usersString, interaction, options = {}) {
   return baseProcessUserList(usersString, interaction, options);
 }
 
+/**
+ * Add the skipped dates to a recurring schedule and make sure it still runs
+ */
+function finishRecurringSchedule(
+  scheduleConfig,
+  scheduleType,
+  timeZone,
+  excludeDates,
+) {
+  const config = excludeDates
+    ? { ...scheduleConfig, excludeDates }
+    : scheduleConfig;
+
+  if (!getNextExecutionTime(config, scheduleType, timeZone)) {
+    return {
+      valid: false,
+      error: "This schedule never runs.",
+      solution:
+        "Check that the days in the schedule exist and aren't all skipped.",
+    };
+  }
+
+  return {
+    valid: true,
+    scheduleConfig: config,
+  };
+}
+
 /**
  * Validate and parse schedule
+ * @param {string} scheduleType - one-time, daily, weekly, monthly, custom, cron or calendar
+ * @param {string} scheduleInput - Schedule text
+ * @param {string} [timeZone] - IANA timezone clock times are read in
+ * @param {string|null} [excludeInput] - Dates a recurring schedule should skip (YYYY-MM-DD list)
  */
-export async function validateSchedule(scheduleType, scheduleInput) {
+export async function validateSchedule(
+  scheduleType,
+  scheduleInput,
+  timeZone = getSystemTimezone(),
+  excludeInput = null,
+) {
   const logger = getLogger();
 
   try {
+    let excludeDates = null;
+    if (excludeInput) {
+      if (scheduleType === "one-time") {
+        return {
+          valid: false,
+          error: "Skipped dates only apply to recurring schedules.",
+          solution: "Remove **exclude** or choose a recurring schedule type.",
+        };
+      }
+
+      excludeDates = parseExcludeDates(excludeInput);
+      if (!excludeDates) {
+        return {
+          valid: false,
+          error: `Invalid dates to skip: **${excludeInput}**`,
+          solution:
+            "List dates as `YYYY-MM-DD`, separated by commas (e.g. `2025-12-25, 2026-01-01`).",
+        };
+      }
+    }
+
     if (scheduleType === "one-time") {
-      const parsedDate = parseOneTimeSchedule(scheduleInput);
+      const parsedDate = parseOneTimeSchedule(scheduleInput, timeZone);
 
       if (!parsedDate) {
         return {
@@ -238,10 +304,12 @@ export async function validateSchedule(scheduleType, scheduleInput) {
         };
       }
 
-      return {
-        valid: true,
-        scheduleConfig: parsed,
-      };
+      return finishRecurringSchedule(
+        parsed,
+        scheduleType,
+        timeZone,
+        excludeDates,
+      );
     } else if (scheduleType === "weekly") {
       const parsed = parseRecurringSchedule("weekly", scheduleInput);
       if (!parsed) {
@@ -254,10 +322,12 @@ export async function validateSchedule(scheduleType, scheduleInput) {
         };
       }
 
-      return {
-        valid: true,
-        scheduleConfig: parsed,
-      };
+      return finishRecurringSchedule(
+        parsed,
+        scheduleType,
+        timeZone,
+        excludeDates,
+      );
     } else if (scheduleType === "monthly") {
       const parsed = parseRecurringSchedule("monthly", scheduleInput);
       if (!parsed) {
@@ -269,10 +339,12 @@ export async function validateSchedule(scheduleType, scheduleInput) {
         };
       }
 
-      return {
-        valid: true,
-        scheduleConfig: parsed,
-      };
+      return finishRecurringSchedule(
+        parsed,
+        scheduleType,
+        timeZone,
+        excludeDates,
+      );
     } else if (scheduleType === "custom") {
       const minutes = parseInt(scheduleInput, 10);
       if (isNaN(minutes) || minutes < 1 || minutes > 10080) {
@@ -283,18 +355,57 @@ export async function validateSchedule(scheduleType, scheduleInput) {
         };
       }
 
-      return {
-        valid: true,
-        scheduleConfig: {
+      return finishRecurringSchedule(
+        {
           interval: minutes,
           unit: "minutes",
         },
-      };
+        scheduleType,
+        timeZone,
+        excludeDates,
+      );
+    } else if (scheduleType === "cron") {
+      const parsed = parseRecurringSchedule("cron", scheduleInput);
+      if (!parsed) {
+        return {
+          valid: false,
+          error: `Invalid cron expression: **${scheduleInput}**`,
+          solution: dedent`
+            Use 5 fields (minute hour day-of-month month day-of-week), e.g. \`30 9 * * mon-fri\` or \`0 */6 * * *\`.
+          `,
+        };
+      }
+
+      return finishRecurringSchedule(
+        parsed,
+        scheduleType,
+        timeZone,
+        excludeDates,
+      );
+    } else if (scheduleType === "calendar") {
+      const parsed = parseRecurringSchedule("calendar", scheduleInput);
+      if (!parsed) {
+        return {
+          valid: false,
+          error: `Invalid calendar rule: **${scheduleInput}**`,
+          solution: dedent`
+            Use formats like: \`last friday 6pm\`, \`every 2nd tuesday 9am\`, \`last day of the month 23:00\`.
+          `,
+        };
+      }
+
+      return finishRecurringSchedule(
+        parsed,
+        scheduleType,
+        timeZone,
+        excludeDates,
+      );
     } else {
       return {
         valid: false,
         error: `Unknown schedule type: **${scheduleType}**`,
-        solution: "Use one of: one-time, daily, weekly, monthly, custom",
+        solution:
+          "Use one of: one-time, daily, weekly, monthly, custom, cron, calendar",
       };
     }
   } catch (error) {
@@ -307,81 +418,251 @@ export async function validateSchedule(scheduleType, scheduleInput) {
   }
 }
 
-/**
- * Get next execution time for recurring schedule
- */
-export function getNextExecutionTime(scheduleConfig, scheduleType) {
-  try {
-    const now = new Date();
+// Cron days can be years apart (e.g. February 29th), so search four years
+const MAX_OCCURRENCE_SEARCH_DAYS = 4 * 366;
+// DST never moves a clock this far, so wall clock times further than this on
+// the wrong side of the search start can be skipped without converting them
+const WALL_CLOCK_MARGIN_MS = 3 * 60 * 60 * 1000;
 
-    if (scheduleType === "daily") {
-      // ParseDailySchedule returns { type: "daily", hour, minute }
-      const hour = scheduleConfig.hour ?? 0;
-      const minute = scheduleConfig.minute ?? 0;
+function getDaysInMonth(day) {
+  return new Date(
+    Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0),
+  ).getUTCDate();
+}
 
-      const nextExecution = new Date(now);
-      nextExecution.setHours(hour, minute, 0, 0);
+function getDateKey(day) {
+  return day.toISOString().slice(0, 10);
+}
 
-      // If the time has already passed today, schedule for tomorrow
-      if (nextExecution <= now) {
-        nextExecution.setDate(nextExecution.getDate() + 1);
-      }
+function isCronDay(cron, day) {
+  if (!cron.months.has(day.getUTCMonth() + 1)) return false;
 
-      return nextExecution;
-    } else if (scheduleType === "weekly") {
-      // ParseWeeklySchedule returns { type: "weekly", dayOfWeek, hour, minute }
-      const dayOfWeek = scheduleConfig.dayOfWeek ?? 0;
-      const hour = scheduleConfig.hour ?? 0;
-      const minute = scheduleConfig.minute ?? 0;
+  const matchesDayOfMonth = cron.daysOfMonth.has(day.getUTCDate());
+  const matchesDayOfWeek = cron.daysOfWeek.has(day.getUTCDay());
+  if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) {
+    return matchesDayOfMonth || matchesDayOfWeek;
+  }
+  return matchesDayOfMonth && matchesDayOfWeek;
+}
 
-      const nextExecution = new Date(now);
-      nextExecution.setHours(hour, minute, 0, 0);
+function isScheduledDay(scheduleConfig, scheduleType, day) {
+  if (scheduleType === "daily") return true;
 
-      const currentDay = now.getDay();
-      let daysToAdd = dayOfWeek - currentDay;
+  if (scheduleType === "calendar") {
+    const date = day.getUTCDate();
+    const daysInMonth = getDaysInMonth(day);
+    const { week, dayOfWeek } = scheduleConfig;
 
-      // If the day has passed this week, or it's today but the time has passed, go to next week
-      if (daysToAdd < 0 || (daysToAdd === 0 && nextExecution <= now)) {
-        daysToAdd += 7;
-      }
+    if (dayOfWeek === null || dayOfWeek === undefined) {
+      return week === -1 ? date === daysInMonth : date === week;
+    }
+    if (day.getUTCDay() !== dayOfWeek) return false;
+    return week === -1 ? date + 7 > daysInMonth : Math.ceil(date / 7) === week;
+  }
 
-      nextExecution.setDate(now.getDate() + daysToAdd);
-      return nextExecution;
-    } else if (scheduleType === "monthly") {
-      // ParseMonthlySchedule returns { type: "monthly", dayOfMonth, hour, minute }
-      const dayOfMonth = scheduleConfig.dayOfMonth ?? 1;
-      const hour = scheduleConfig.hour ?? 0;
-      const minute = scheduleConfig.minute ?? 0;
+  if (scheduleType === "weekly") {
+    return day.getUTCDay() === (scheduleConfig.dayOfWeek ?? 0);
+  }
 
-      const nextExecution = new Date(now);
-      nextExecution.setDate(dayOfMonth);
-      nextExecution.setHours(hour, minute, 0, 0);
-
-      // If the date has already passed this month, go to next month
-      if (nextExecution <= now) {
-        nextExecution.setMonth(nextExecution.getMonth() + 1);
-        // Handle edge case where day doesn't exist in next month (e.g., Feb 31)
-        if (nextExecution.getDate() !== dayOfMonth) {
-          nextExecution.setDate(0); // Go to last day of previous month
-        }
+  if (scheduleType === "monthly") {
+    // Days that don't exist in a month (e.g. the 31st) run on its last day
+    return (
+      day.getUTCDate() ===
+      Math.min(scheduleConfig.dayOfMonth ?? 1, getDaysInMonth(day))
+    );
+  }
+
+  return false;
+}
+
+/**
+ * Get the [hour, minute] times a schedule runs at on a wall clock day
+ */
+function getDayRunTimes(scheduleConfig, scheduleType, cron, day) {
+  if (cron) {
+    if (!isCronDay(cron, day)) return [];
+    return cron.hours.flatMap(hour =>
+      cron.minutes.map(minute => [hour, minute]),
+    );
+  }
+
+  if (!isScheduledDay(scheduleConfig, scheduleType, day)) return [];
+  return [[scheduleConfig.hour ?? 0, scheduleConfig.minute ?? 0]];
+}
+
+/**
+ * Find the closest occurrence of a day-based schedule before or after a moment.
+ * Days are walked on the wall clock of the timezone, so a DST change moves
+ * the instant but never the local time a schedule runs at.
+ */
+function findOccurrence(scheduleConfig, scheduleType, timeZone, from, step) {
+  const cron =
+    scheduleType === "cron"
+      ? parseCronExpression(scheduleConfig.expression)
+      : null;
+  if (scheduleType === "cron" && !cron) return null;
+
+  const excludeDates = new Set(scheduleConfig.excludeDates || []);
+  const today = toWallClock(from, timeZone);
+  const earliest = new Date(today.getTime() - WALL_CLOCK_MARGIN_MS);
+  const latest = new Date(today.getTime() + WALL_CLOCK_MARGIN_MS);
+
+  for (let offset = 0; offset <= MAX_OCCURRENCE_SEARCH_DAYS; offset++) {
+    const day = new Date(
+      Date.UTC(
+        today.getUTCFullYear(),
+        today.getUTCMonth(),
+        today.getUTCDate() + offset * step,
+      ),
+    );
+    if (excludeDates.has(getDateKey(day))) continue;
+
+    const runTimes = getDayRunTimes(scheduleConfig, scheduleType, cron, day);
+    if (step < 0) runTimes.reverse();
+
+    for (const [hour, minute] of runTimes) {
+      day.setUTCHours(hour, minute, 0, 0);
+      if (step > 0 ? day < earliest : day > latest) continue;
+
+      const occurrence = wallClockToDate(day, timeZone);
+      if (step > 0 ? occurrence > from : occurrence <= from) {
+        return occurrence;
       }
+    }
+  }
 
-      return nextExecution;
-    } else if (scheduleType === "custom") {
-      const interval = scheduleConfig.intervalMinutes || 60;
-      return new Date(Date.now() + interval * 60 * 1000);
+  return null;
+}
+
+/**
+ * Get the interval of a custom schedule in minutes
+ * @param {Object} scheduleConfig - Custom schedule config
+ * @returns {number}
+ */
+export function getIntervalMinutes(scheduleConfig) {
+  return scheduleConfig.intervalMinutes || scheduleConfig.interval || 60;
+}
+
+/**
+ * Check whether a moment falls on a date the schedule skips
+ * @param {Object} scheduleConfig - Recurring schedule config
+ * @param {Date} date - Moment to check
+ * @param {string|null} [timeZone] - IANA timezone the schedule runs in (default: the bot's timezone)
+ * @returns {boolean}
+ */
+export function isExcludedDate(scheduleConfig, date, timeZone = null) {
+  if (!scheduleConfig?.excludeDates?.length) return false;
+
+  const day = toWallClock(date, timeZone || getSystemTimezone());
+  return scheduleConfig.excludeDates.includes(getDateKey(day));
+}
+
+/**
+ * Get next execution time for recurring schedule
+ * @param {Object} scheduleConfig - Parsed recurring schedule
+ * @param {string} scheduleType - daily, weekly, monthly, custom, cron or calendar
+ * @param {string|null} [timeZone] - IANA timezone the schedule runs in (default: the bot's timezone)
+ * @param {Date} [from] - Moment to search from (default: now)
+ * @returns {Date|null}
+ */
+export function getNextExecutionTime(
+  scheduleConfig,
+  scheduleType,
+  timeZone = null,
+  from = new Date(),
+) {
+  try {
+    if (scheduleType === "custom") {
+      const interval = getIntervalMinutes(scheduleConfig);
+      return new Date(from.getTime() + interval * 60 * 1000);
     }
-    return null;
+
+    return findOccurrence(
+      scheduleConfig,
+      scheduleType,
+      timeZone || getSystemTimezone(),
+      from,
+      1,
+    );
   } catch (error) {
     getLogger().error("Error calculating next execution time:", error);
     return null;
   }
 }
 
+/**
+ * Get the latest occurrence of a day-based schedule at or before a moment
+ * @param {Object} scheduleConfig - Parsed recurring schedule
+ * @param {string} scheduleType - daily, weekly, monthly, cron or calendar
+ * @param {string|null} [timeZone] - IANA timezone the schedule runs in (default: the bot's timezone)
+ * @param {Date} [from] - Moment to search from (default: now)
+ * @returns {Date|null}
+ */
+export function getPreviousExecutionTime(
+  scheduleConfig,
+  scheduleType,
+  timeZone = null,
+  from = new Date(),
+) {
+  try {
+    return findOccurrence(
+      scheduleConfig,
+      scheduleType,
+      timeZone || getSystemTimezone(),
+      from,
+      -1,
+    );
+  } catch (error) {
+    getLogger().error("Error calculating previous execution time:", error);
+    return null;
+  }
+}
+
+/**
+ * Get the next run times of a recurring schedule, e.g. to preview it.
+ * Custom intervals are counted from the starting moment.
+ * @param {Object} scheduleConfig - Parsed recurring schedule
+ * @param {string} scheduleType - daily, weekly, monthly, custom, cron or calendar
+ * @param {string|null} [timeZone] - IANA timezone the schedule runs in (default: the bot's timezone)
+ * @param {number} [count] - How many run times to return
+ * @param {Date} [from] - Moment to search from (default: now)
+ * @returns {Date[]}
+ */
+export function getUpcomingExecutionTimes(
+  scheduleConfig,
+  scheduleType,
+  timeZone = null,
+  count = 5,
+  from = new Date(),
+) {
+  const runTimes = [];
+  let cursor = from;
+
+  // Custom intervals can land on skipped dates, so allow some extra steps
+  for (let i = 0; runTimes.length < count && i < count * 1000; i++) {
+    const next = getNextExecutionTime(
+      scheduleConfig,
+      scheduleType,
+      timeZone,
+      cursor,
+    );
+    if (!next) break;
+
+    if (!isExcludedDate(scheduleConfig, next, timeZone)) {
+      runTimes.push(next);
+    }
+    cursor = next;
+  }
+
+  return runTimes;
+}
+
 /**
  * Format schedule time for display
+ * @param {Date|string} date - Scheduled time
+ * @param {string} [timeZone] - Also show the time in this IANA timezone
  */
-export function formatScheduleTime(date) {
+export function formatScheduleTime(date, timeZone = null) {
   if (!date) return "Invalid date";
 
   try {
@@ -395,7 +676,10 @@ export function formatScheduleTime(date) {
     }
 
     const timestamp = Math.floor(dateObj.getTime() / 1000);
-    return `<t:${timestamp}:F> (<t:${timestamp}:R>)`;
+    const absoluteTime = timeZone
+      ? formatInTimezone(dateObj, timeZone)
+      : `<t:${timestamp}:F>`;
+    return `${absoluteTime} (<t:${timestamp}:R>)`;
   } catch (error) {
     getLogger().error("Error formatting schedule time:", error);
     return "Invalid date";
@@ -404,8 +688,11 @@ export function formatScheduleTime(date) {
 
 /**
  * Format recurring schedule for display
+ * @param {Object} scheduleConfig - Parsed recurring schedule
+ * @param {string} [timeZone] - IANA timezone the schedule runs in
  */
-export function formatRecurringSchedule(scheduleConfig) {
+export function formatRecurringSchedule(scheduleConfig, timeZone = null) {
+  const zoneSuffix = timeZone ? ` (${timeZone})` : "";
   try {
     if (scheduleConfig.interval && scheduleConfig.unit === "minutes") {
       const hours = Math.floor(scheduleConfig.interval / 60);
@@ -422,7 +709,7 @@ export function formatRecurringSchedule(scheduleConfig) {
       const hour = scheduleConfig.hour ?? 0;
       const minute = scheduleConfig.minute ?? 0;
       const timeStr = `${hour.toString().padStart(2, "0")}:${minute.toString().padStart(2, "0")}`;
-      return `Daily at ${timeStr}`;
+      return `Daily at ${timeStr}${zoneSuffix}`;
     } else if (scheduleConfig.type === "weekly") {
       // ParseWeeklySchedule returns { type: "weekly", dayOfWeek, hour, minute }
       const dayNames = [
@@ -439,13 +726,39 @@ export function formatRecurringSchedule(scheduleConfig) {
       const hour = scheduleConfig.hour ?? 0;
       const minute = scheduleConfig.minute ?? 0;
       const timeStr = `${hour.toString().padStart(2, "0")}:${minute.toString().padStart(2, "0")}`;
-      return `Weekly on ${day} at ${timeStr}`;
+      return `Weekly on ${day} at ${timeStr}${zoneSuffix}`;
     } else if (scheduleConfig.type === "monthly") {
       // ParseMonthlySchedule returns { type: "monthly", dayOfMonth, hour, minute }
       const hour = scheduleConfig.hour ?? 0;
       const minute = scheduleConfig.minute ?? 0;
       const timeStr = `${hour.toString().padStart(2, "0")}:${minute.toString().padStart(2, "0")}`;
-      return `Monthly on day ${scheduleConfig.dayOfMonth} at ${timeStr}`;
+      return `Monthly on day ${scheduleConfig.dayOfMonth} at ${timeStr}${zoneSuffix}`;
+    } else if (scheduleConfig.type === "cron") {
+      // ParseCronSchedule returns { type: "cron", expression }
+      return `Cron \`${scheduleConfig.expression}\`${zoneSuffix}`;
+    } else if (scheduleConfig.type === "calendar") {
+      // ParseCalendarSchedule returns { type: "calendar", week, dayOfWeek, hour, minute }
+      const weekNames = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", 5: "5th" };
+      const dayNames = [
+        "Sunday",
+        "Monday",
+        "Tuesday",
+        "Wednesday",
+        "Thursday",
+        "Friday",
+        "Saturday",
+      ];
+      const which =
+        scheduleConfig.week === -1 ? "Last" : weekNames[scheduleConfig.week];
+      const day =
+        scheduleConfig.dayOfWeek === null ||
+        scheduleConfig.dayOfWeek === undefined
+          ? "day"
+          : dayNames[scheduleConfig.dayOfWeek];
+      const hour = scheduleConfig.hour ?? 0;
+      const minute = scheduleConfig.minute ?? 0;
+      const timeStr = `${hour.toString().padStart(2, "0")}:${minute.toString().padStart(2, "0")}`;
+      return `${which} ${day} of every month at ${timeStr}${zoneSuffix}`;
     }
     return "Invalid schedule";
   } catch (error) {
@@ -0,0 +1,140 @@
+import { EmbedBuilder } from "discord.js";
+import { THEME } from "../../../config/theme.js";
+import {
+  IMPORT_ACTIONS,
+  TEMPLATE_SECTIONS,
+} from "../../../features/serverTemplates/config.js";
+
+const SECTION_LABELS = {
+  [TEMPLATE_SECTIONS.WELCOME]: "👋 Welcome",
+  [TEMPLATE_SECTIONS.GOODBYE]: "🚪 Goodbye",
+  [TEMPLATE_SECTIONS.EXPERIENCE]: "⭐ Experience",
+  [TEMPLATE_SECTIONS.VOICE_ROLES]: "🎤 Voice Roles",
+  [TEMPLATE_SECTIONS.ROLE_PANELS]: "🎭 Role Panels",
+  [TEMPLATE_SECTIONS.ROLE_BUNDLES]: "📦 Role Bundles",
+  [TEMPLATE_SECTIONS.TICKET_PANELS]: "🎫 Ticket Panels",
+  [TEMPLATE_SECTIONS.CUSTOM_COMMANDS]: "⚙️ Custom Commands",
+};
+
+const ACTION_ICONS = {
+  [IMPORT_ACTIONS.UPDATE]: "✏️",
+  [IMPORT_ACTIONS.CREATE]: "➕",
+  [IMPORT_ACTIONS.REPLACE]: "↩️",
+  [IMPORT_ACTIONS.DELETE]: "🗑️",
+  [IMPORT_ACTIONS.SKIP]: "⏭️",
+};
+
+// Embed field values are capped at 1024 characters
+function formatList(lines) {
+  const shown = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length + 40 > 1024) {
+      shown.push(`*…and ${lines.length - shown.length} more*`);
+      break;
+    }
+    shown.push(line);
+    length += line.length + 1;
+  }
+  return shown.join("\n");
+}
+
+/**
+ * Add one field per section listing a plan's changes
+ * @param {import('discord.js').EmbedBuilder} embed
+ * @param {Array<{section: string, name: string, action: string, note: string|null}>} changes
+ */
+export function addChangeFields(embed, changes) {
+  for (const [section, label] of Object.entries(SECTION_LABELS)) {
+    const lines = changes
+      .filter(change => change.section === section)
+      .map(
+        change =>
+          `${ACTION_ICONS[change.action]} ${change.name}${change.note ? ` — *${change.note}*` : ""}`,
+      );
+    if (lines.length > 0) {
+      embed.addFields({ name: label, value: formatList(lines), inline: false });
+    }
+  }
+}
+
+/**
+ * Create embed previewing what a template import will change
+ * @param {Object} plan - Result of previewImport
+ * @param {Object} source - Guild the template was exported from
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+export function createImportPreviewEmbed(plan, source) {
+  const applied = plan.changes.filter(
+    change => change.action !== IMPORT_ACTIONS.SKIP,
+  ).length;
+
+  const embed = new EmbedBuilder()
+    .setTitle("Import Server Template")
+    .setColor(THEME.ADMIN)
+    .setDescription(
+      [
+        source?.guildName ? `Exported from **${source.guildName}**.` : null,
+        applied > 0
+          ? `Applying this template makes **${applied}** change${applied === 1 ? "" : "s"} to this server. Nothing is changed until you press **Apply**.`
+          : "Nothing in this template can be applied to this server.",
+        "✏️ replaces current settings · ➕ adds something new · ⏭️ skipped",
+      ]
+        .filter(Boolean)
+        .join("\n\n"),
+    )
+    .setTimestamp();
+
+  addChangeFields(embed, plan.changes);
+  addMissingReferenceFields(embed, plan);
+  return embed;
+}
+
+/**
+ * Add fields listing the roles and channels a plan couldn't find
+ * @param {import('discord.js').EmbedBuilder} embed
+ * @param {{missingRoles: string[], missingChannels: string[]}} plan
+ */
+export function addMissingReferenceFields(embed, plan) {
+  if (plan.missingRoles.length > 0) {
+    embed.addFields({
+      name: "❓ Roles Not Found",
+      value: formatList(plan.missingRoles.map(name => `@${name}`)),
+      inline: false,
+    });
+  }
+  if (plan.missingChannels.length > 0) {
+    embed.addFields({
+      name: "❓ Channels Not Found",
+      value: formatList(plan.missingChannels.map(name => `#${name}`)),
+      inline: false,
+    });
+  }
+  if (plan.missingRoles.length > 0 || plan.missingChannels.length > 0) {
+    embed.setFooter({
+      text: "Create roles and channels with the same names first to keep the settings that use them",
+    });
+  }
+}
+
+/**
+ * Create embed summarizing an applied template import
+ * @param {Object} plan - Result of applyImport
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+export function createImportResultEmbed(plan) {
+  const applied = plan.changes.filter(
+    change => change.action !== IMPORT_ACTIONS.SKIP,
+  ).length;
+
+  const embed = new EmbedBuilder()
+    .setTitle("Server Template Imported")
+    .setColor(THEME.SUCCESS)
+    .setDescription(
+      `Made **${applied}** change${applied === 1 ? "" : "s"} to this server.`,
+    )
+    .setTimestamp();
+
+  addChangeFields(embed, plan.changes);
+  return embed;
+}
@@ -0,0 +1,220 @@
+import {
+  ActionRowBuilder,
+  AttachmentBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  MessageFlags,
+} from "discord.js";
+import { getLogger } from "../../../utils/logger.js";
+import {
+  errorEmbed,
+  infoEmbed,
+  successEmbed,
+} from "../../../utils/discord/responseMessages.js";
+import {
+  getServerTemplateManager,
+  ImportRollbackError,
+} from "../../../features/serverTemplates/ServerTemplateManager.js";
+import {
+  IMPORT_ACTIONS,
+  SERVER_TEMPLATES,
+} from "../../../features/serverTemplates/config.js";
+import { createImportPreviewEmbed, createImportResultEmbed } from "./embeds.js";
+
+/**
+ * Handle exporting the server's configuration as a JSON file
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleExport(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const template = await getServerTemplateManager().exportTemplate(
+      interaction.guild,
+    );
+    const fileName = `${interaction.guild.name.replace(/[^\w-]+/g, "-").toLowerCase() || "server"}-template.json`;
+
+    return interaction.editReply({
+      ...successEmbed({
+        title: "Server Template Exported",
+        description:
+          "This file holds the bot's settings for this server. Import it into another server with `/server-template import`.",
+      }),
+      files: [
+        new AttachmentBuilder(
+          Buffer.from(JSON.stringify(template, null, 2), "utf8"),
+          { name: fileName },
+        ),
+      ],
+    });
+  } catch (error) {
+    logger.error("Failed to export server template:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Export Failed",
+        description: "Something went wrong while exporting this server.",
+        solution: "Please try again in a moment.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle importing a template file: show a preview, then apply it on confirm
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleImport(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const data = await downloadTemplate(
+      interaction.options.getAttachment("file", true),
+    );
+    const manager = getServerTemplateManager();
+    const plan = await manager.previewImport(interaction.guild, data);
+    const canApply = plan.changes.some(
+      change => change.action !== IMPORT_ACTIONS.SKIP,
+    );
+
+    const message = await interaction.editReply({
+      embeds: [createImportPreviewEmbed(plan, data.source)],
+      components: [
+        /** @type {ActionRowBuilder<ButtonBuilder>} */
+        (
+          new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId("t_server_template_apply")
+              .setLabel("Apply")
+              .setStyle(ButtonStyle.Success)
+              .setDisabled(!canApply),
+            new ButtonBuilder()
+              .setCustomId("t_server_template_cancel")
+              .setLabel("Cancel")
+              .setStyle(ButtonStyle.Secondary),
+          )
+        ),
+      ],
+    });
+
+    const collector = message.createMessageComponentCollector({
+      time: SERVER_TEMPLATES.CONFIRM_TIMEOUT_MS,
+    });
+
+    collector.on("collect", async i => {
+      if (i.user.id !== interaction.user.id) {
+        return i.reply({
+          content: "This menu is not for you.",
+          flags: [MessageFlags.Ephemeral],
+        });
+      }
+
+      // Acknowledge immediately to prevent Discord's 3-second timeout
+      await i.deferUpdate();
+      collector.stop("handled");
+
+      if (i.customId === "t_server_template_cancel") {
+        return i.editReply({
+          ...infoEmbed({
+            title: "Import Cancelled",
+            description: "Nothing was changed.",
+          }),
+          components: [],
+        });
+      }
+
+      await i.editReply({
+        ...infoEmbed({
+          title: "Importing Template",
+          description: "Applying the template, this can take a moment…",
+        }),
+        components: [],
+      });
+
+      try {
+        const applied = await manager.applyImport(interaction.guild, data, {
+          userId: interaction.user.id,
+        });
+        await i.editReply({
+          embeds: [createImportResultEmbed(applied)],
+          components: [],
+        });
+      } catch (error) {
+        if (!(error instanceof RangeError)) {
+          logger.error("Failed to apply server template:", error);
+        }
+        await i.editReply({
+          ...errorEmbed({
+            title: "Import Failed",
+            description:
+              error instanceof RangeError
+                ? error.message
+                : error instanceof ImportRollbackError && error.changesLeft > 0
+                  ? `Something went wrong while importing, and ${error.changesLeft} change(s) couldn't be undone. Check the server's bot settings before importing again.`
+                  : "Something went wrong while importing. Every change made so far was undone, so the server is as it was before.",
+            solution: "Please check the template and try again.",
+          }),
+          components: [],
+        });
+      }
+    });
+
+    collector.on("end", async (_collected, reason) => {
+      if (reason !== "time") return;
+      await interaction
+        .editReply({
+          ...infoEmbed({
+            title: "Import Expired",
+            description:
+              "The preview timed out and nothing was changed. Run `/server-template import` again to import the template.",
+          }),
+          components: [],
+        })
+        .catch(() => null);
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Invalid Template",
+          description: error.message,
+          solution:
+            "Use a file exported with `/server-template export` and try again.",
+        }),
+      );
+    }
+
+    logger.error("Failed to preview server template:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Import Failed",
+        description: "Something went wrong while reading the template.",
+        solution: "Please try again in a moment.",
+      }),
+    );
+  }
+}
+
+async function downloadTemplate(file) {
+  if (file.size > SERVER_TEMPLATES.MAX_FILE_SIZE_KB * 1024) {
+    throw new RangeError(
+      `Template files can be at most ${SERVER_TEMPLATES.MAX_FILE_SIZE_KB} KB.`,
+    );
+  }
+
+  const response = await fetch(file.url, {
+    signal: AbortSignal.timeout(SERVER_TEMPLATES.DOWNLOAD_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Template download failed with ${response.status}`);
+  }
+
+  try {
+    return JSON.parse(await response.text());
+  } catch {
+    throw new RangeError("The file is not valid JSON.");
+  }
+}
@@ -0,0 +1,152 @@
+import { SlashCommandBuilder, PermissionFlagsBits } from "discord.js";
+import { hasAdminPermissions } from "../../../utils/discord/permissions.js";
+import { getLogger } from "../../../utils/logger.js";
+import { errorEmbed } from "../../../utils/discord/responseMessages.js";
+import { handleExport, handleImport } from "./handlers.js";
+
+// ============================================================================
+// COMMAND METADATA
+// ============================================================================
+
+/**
+ * Command metadata for centralized registry
+ * This allows the command to be automatically discovered and integrated
+ * into help system, command suggestions, and other features
+ * This is the single source of truth for command information
+ */
+export const metadata = {
+  name: "server-template",
+  category: "admin",
+  description:
+    "Export this server's bot settings as a file, or import settings from another server",
+  keywords: [
+    "server-template",
+    "server template",
+    "template",
+    "export",
+    "import",
+    "copy settings",
+    "clone",
+    "configuration",
+  ],
+  emoji: "📋",
+  helpFields: [
+    {
+      name: `How to Use`,
+      value: [
+        "```/server-template export```",
+        "```/server-template import file:template.json```",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `Subcommands`,
+      value: [
+        "**export** - Download this server's bot settings as a JSON file",
+        "**import** - Preview a template file, then apply it to this server",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `What's Included`,
+      value: [
+        "• Welcome and goodbye messages",
+        "• XP settings and level rewards",
+        "• Voice control roles",
+        "• Role reaction panels and role bundles",
+        "• Ticket panels",
+        "• Custom commands",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `Permissions`,
+      value: "• **Administrator** permission required",
+      inline: false,
+    },
+    {
+      name: `How It Works`,
+      value: [
+        "Roles and channels are matched by name in the server you import into.",
+        "The preview lists every change and anything that will be skipped before you apply it.",
+        "If a change fails while importing, everything applied so far is undone.",
+      ].join("\n"),
+      inline: false,
+    },
+  ],
+};
+
+// ============================================================================
+// COMMAND DEFINITION
+// ============================================================================
+
+export const data = new SlashCommandBuilder()
+  .setName(metadata.name)
+  .setDescription(metadata.description)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sub =>
+    sub
+      .setName("export")
+      .setDescription("Download this server's bot settings as a JSON file"),
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName("import")
+      .setDescription("Preview and apply a template exported from a server")
+      .addAttachmentOption(option =>
+        option
+          .setName("file")
+          .setDescription("Template file from /server-template export")
+          .setRequired(true),
+      ),
+  );
+
+export async function execute(interaction) {
+  const logger = getLogger();
+
+  try {
+    // Check user permissions
+    if (!hasAdminPermissions(interaction.member)) {
+      const response = errorEmbed({
+        title: "Permission Denied",
+        description:
+          "You need Administrator permissions to export or import server templates.",
+        solution: "Contact a server administrator for assistance.",
+      });
+
+      return interaction.reply(response);
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case "export":
+        await handleExport(interaction);
+        break;
+      case "import":
+        await handleImport(interaction);
+        break;
+      default: {
+        const response = errorEmbed({
+          title: "Unknown Subcommand",
+          description: `The subcommand "${subcommand}" is not recognized.`,
+          solution: "Use export or import as subcommands.",
+        });
+        await interaction.reply(response);
+      }
+    }
+  } catch (error) {
+    logger.error("Error in server-template command:", error);
+    const response = errorEmbed({
+      title: "Error",
+      description: "Failed to process server-template command.",
+      solution: "Please try again or contact support if the issue persists.",
+    });
+
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply(response);
+    } else if (interaction.deferred) {
+      await interaction.editReply(response);
+    }
+  }
+}
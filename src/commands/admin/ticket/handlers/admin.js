@@ -4,11 +4,19 @@
  * Each handler lives in its own focused module:
  *   - setup.js     → /ticket setup
  *   - info.js      → /ticket info (view / stats / storage)
- *   - panel.js     → /ticket panel (list, delete, add/remove/list categories)
+ *   - panel.js     → /ticket panel (list, delete, form)
+ *   - stats.js     → /ticket stats (staff performance)
  *   - settings.js  → /ticket settings (interactive dashboard)
+ *   - sla.js       → /ticket sla (target, escalation)
+ *   - automation.js → /ticket automation (assign, tag, route, respond, list)
+ *   - template.js  → /ticket template (save, load, list, delete, export, import)
  */
 
 export { handleSetup } from "./setup.js";
 export { handleInfo } from "./info.js";
-export { handlePanel } from "./panel.js";
+export { handlePanel, handlePanelFormModal } from "./panel.js";
+export { handleStats } from "./stats.js";
 export { handleSettings } from "./settings.js";
+export { handleSla } from "./sla.js";
+export { handleAutomation } from "./automation.js";
+export { handleTemplate } from "./template.js";
@@ -0,0 +1,358 @@
+import { MessageFlags } from "discord.js";
+import { getTicketManager } from "../../../../features/ticketing/TicketManager.js";
+import { getTicketPanel } from "../../../../features/ticketing/TicketPanel.js";
+import { getLogger } from "../../../../utils/logger.js";
+import {
+  createInfoEmbed,
+  createSuccessEmbed,
+  createErrorEmbed,
+} from "../../../../features/ticketing/embeds.js";
+import {
+  ASSIGNMENT_MODES,
+  AUTOMATION_SETTINGS,
+} from "../../../../features/ticketing/config.js";
+import { CORE_STATUS } from "../../../../features/premium/config.js";
+
+const logger = getLogger();
+
+const MODE_LABELS = {
+  [ASSIGNMENT_MODES.OFF]: "Off",
+  [ASSIGNMENT_MODES.ROUND_ROBIN]: "Round-robin",
+  [ASSIGNMENT_MODES.LEAST_LOAD]: "Least open tickets",
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /ticket automation (subcommand group router)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export async function handleAutomation(interaction) {
+  const automationSubcommand = interaction.options.getSubcommand(false);
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  try {
+    switch (automationSubcommand) {
+      case "assign":
+        return await handleAutomationAssign(interaction);
+      case "tag":
+        return await handleAutomationTag(interaction);
+      case "route":
+        return await handleAutomationRoute(interaction);
+      case "respond":
+        return await handleAutomationRespond(interaction);
+      case "list":
+        return await handleAutomationList(interaction);
+      default:
+        return interaction.editReply({
+          embeds: [
+            createErrorEmbed(
+              "Unknown automation subcommand.",
+              "Invalid Subcommand",
+              interaction.client,
+            ),
+          ],
+        });
+    }
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return interaction.editReply({
+        embeds: [
+          createErrorEmbed(error.message, "Invalid Rule", interaction.client),
+        ],
+      });
+    }
+
+    logger.error("Failed to update ticket automation:", error);
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          "Failed to save the automation rule. Please try again.",
+          "Update Failed",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+}
+
+async function updateAutomationSettings(guildId, update) {
+  const ticketManager = getTicketManager();
+  await ticketManager.initialize();
+
+  const settings = await ticketManager.storage.getGuildSettings(guildId);
+  settings.ticketSettings = settings.ticketSettings || {};
+  settings.ticketSettings.automation = update(
+    settings.ticketSettings.automation || {},
+  );
+  await ticketManager.storage.setGuildSettings(guildId, settings);
+
+  return settings.ticketSettings.automation;
+}
+
+/**
+ * Find a panel category by ID or name
+ * @returns {Promise<Object>} Category
+ * @throws {RangeError} When no panel has the category
+ */
+async function resolveCategory(guildId, input) {
+  const ticketPanel = getTicketPanel();
+  await ticketPanel.initialize();
+
+  const panels = await ticketPanel.getGuildPanels(guildId);
+  const categories = panels.flatMap(panel => panel.categories || []);
+  const category = categories.find(
+    c => c.id === input || c.label?.toLowerCase() === input.toLowerCase(),
+  );
+
+  if (!category) {
+    throw new RangeError(
+      `Category **${input}** was not found on any panel.` +
+        (categories.length > 0
+          ? ` Available: ${categories.map(c => `\`${c.label || c.id}\``).join(", ")}`
+          : ""),
+    );
+  }
+  return category;
+}
+
+function normalizeKeyword(keyword) {
+  const normalized = keyword.trim().toLowerCase();
+  if (!normalized) throw new RangeError("The keyword can't be empty.");
+  return normalized;
+}
+
+/**
+ * Add, replace or (with a null value) remove the rule of a keyword
+ * @throws {RangeError} When the rule list is full
+ */
+function upsertKeywordRule(rules = [], keyword, rule) {
+  const others = rules.filter(r => r.keyword !== keyword);
+  if (!rule) return others;
+
+  if (others.length >= AUTOMATION_SETTINGS.MAX_KEYWORD_RULES) {
+    throw new RangeError(
+      `You can have at most ${AUTOMATION_SETTINGS.MAX_KEYWORD_RULES} rules of this type.`,
+    );
+  }
+  return [...others, { keyword, ...rule }];
+}
+
+// Embed field values are limited to 1024 characters
+function formatRuleLines(lines) {
+  if (lines.length === 0) return "None";
+
+  const shown = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length > 950) break;
+    shown.push(line);
+    length += line.length + 1;
+  }
+
+  const hidden = lines.length - shown.length;
+  return hidden > 0
+    ? `${shown.join("\n")}\n...and ${hidden} more`
+    : shown.join("\n");
+}
+
+async function getProNotice(guildId) {
+  const { enabled } = await getTicketManager().getAutomationSettings(guildId);
+  return enabled
+    ? ""
+    : `\n\nAutomation rules only run with **${CORE_STATUS.PRO.emoji} Pro Engine**.`;
+}
+
+async function handleAutomationAssign(interaction) {
+  const mode = interaction.options.getString("mode", true);
+  const role = interaction.options.getRole("role");
+
+  if (mode !== ASSIGNMENT_MODES.OFF && !role) {
+    throw new RangeError("Choose the staff role to assign tickets from.");
+  }
+
+  await updateAutomationSettings(interaction.guildId, current => ({
+    ...current,
+    assignment: {
+      ...current.assignment,
+      mode,
+      roleId: role?.id || null,
+    },
+  }));
+
+  return interaction.editReply({
+    embeds: [
+      createSuccessEmbed(
+        (mode === ASSIGNMENT_MODES.OFF
+          ? "New tickets are no longer assigned automatically."
+          : `New tickets are assigned to members of ${role} (**${MODE_LABELS[mode]}**).`) +
+          (await getProNotice(interaction.guildId)),
+        "Auto-Assignment Updated",
+        interaction.client,
+      ),
+    ],
+  });
+}
+
+async function handleAutomationTag(interaction) {
+  const category = await resolveCategory(
+    interaction.guildId,
+    interaction.options.getString("category", true),
+  );
+  const tags = [
+    ...new Set(
+      (interaction.options.getString("tags") || "")
+        .split(",")
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean),
+    ),
+  ];
+
+  if (tags.length > AUTOMATION_SETTINGS.MAX_TAGS_PER_CATEGORY) {
+    throw new RangeError(
+      `A category can have at most ${AUTOMATION_SETTINGS.MAX_TAGS_PER_CATEGORY} tags.`,
+    );
+  }
+  if (tags.some(tag => tag.length > AUTOMATION_SETTINGS.MAX_TAG_LENGTH)) {
+    throw new RangeError(
+      `Tags can be at most ${AUTOMATION_SETTINGS.MAX_TAG_LENGTH} characters long.`,
+    );
+  }
+
+  await updateAutomationSettings(interaction.guildId, current => {
+    const categoryTags = { ...current.categoryTags };
+    if (tags.length > 0) {
+      categoryTags[category.id] = tags;
+    } else {
+      delete categoryTags[category.id];
+    }
+    return { ...current, categoryTags };
+  });
+
+  return interaction.editReply({
+    embeds: [
+      createSuccessEmbed(
+        (tags.length > 0
+          ? `**${category.label || category.id}** tickets are tagged ${tags.map(tag => `\`${tag}\``).join(", ")}.`
+          : `**${category.label || category.id}** tickets are no longer tagged.`) +
+          (await getProNotice(interaction.guildId)),
+        "Auto-Tagging Updated",
+        interaction.client,
+      ),
+    ],
+  });
+}
+
+async function handleAutomationRoute(interaction) {
+  const keyword = normalizeKeyword(
+    interaction.options.getString("keyword", true),
+  );
+  const categoryInput = interaction.options.getString("category");
+  const category = categoryInput
+    ? await resolveCategory(interaction.guildId, categoryInput)
+    : null;
+
+  await updateAutomationSettings(interaction.guildId, current => ({
+    ...current,
+    routing: upsertKeywordRule(
+      current.routing,
+      keyword,
+      category && { categoryId: category.id },
+    ),
+  }));
+
+  return interaction.editReply({
+    embeds: [
+      createSuccessEmbed(
+        (category
+          ? `Tickets whose owner mentions \`${keyword}\` move to **${category.label || category.id}**.`
+          : `The routing rule for \`${keyword}\` was removed.`) +
+          (await getProNotice(interaction.guildId)),
+        "Keyword Routing Updated",
+        interaction.client,
+      ),
+    ],
+  });
+}
+
+async function handleAutomationRespond(interaction) {
+  const keyword = normalizeKeyword(
+    interaction.options.getString("keyword", true),
+  );
+  const response = interaction.options.getString("response")?.trim() || null;
+
+  await updateAutomationSettings(interaction.guildId, current => ({
+    ...current,
+    responses: upsertKeywordRule(
+      current.responses,
+      keyword,
+      response && { response },
+    ),
+  }));
+
+  return interaction.editReply({
+    embeds: [
+      createSuccessEmbed(
+        (response
+          ? `When a ticket owner mentions \`${keyword}\`, the bot replies once with:\n>>> ${response}`
+          : `The canned response for \`${keyword}\` was removed.`) +
+          (await getProNotice(interaction.guildId)),
+        "Canned Response Updated",
+        interaction.client,
+      ),
+    ],
+  });
+}
+
+async function handleAutomationList(interaction) {
+  const ticketManager = getTicketManager();
+  await ticketManager.initialize();
+
+  const rules = await ticketManager.getAutomationSettings(interaction.guildId);
+  const { mode, roleId } = rules.assignment;
+
+  const tagLines = Object.entries(rules.categoryTags).map(
+    ([categoryId, tags]) =>
+      `\`${categoryId}\` → ${tags.map(tag => `\`${tag}\``).join(", ")}`,
+  );
+  const routeLines = rules.routing.map(
+    rule => `\`${rule.keyword}\` → \`${rule.categoryId}\``,
+  );
+  const responseLines = rules.responses.map(
+    rule =>
+      `\`${rule.keyword}\` → ${rule.response.length > 60 ? `${rule.response.slice(0, 57)}...` : rule.response}`,
+  );
+
+  const embed = createInfoEmbed(
+    "Ticket Automation",
+    rules.enabled
+      ? "Rules run when a ticket opens and when its owner writes."
+      : `Rules are saved but only run with **${CORE_STATUS.PRO.emoji} Pro Engine**.`,
+    interaction.client,
+  ).addFields(
+    {
+      name: "Auto-Assignment",
+      value:
+        mode === ASSIGNMENT_MODES.OFF || !roleId
+          ? "Off"
+          : `${MODE_LABELS[mode]} among <@&${roleId}>`,
+      inline: false,
+    },
+    {
+      name: "Category Tags",
+      value: formatRuleLines(tagLines),
+      inline: false,
+    },
+    {
+      name: "Keyword Routing",
+      value: formatRuleLines(routeLines),
+      inline: false,
+    },
+    {
+      name: "Canned Responses",
+      value: formatRuleLines(responseLines),
+      inline: false,
+    },
+  );
+
+  return interaction.editReply({ embeds: [embed] });
+}
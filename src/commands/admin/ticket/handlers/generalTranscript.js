@@ -78,8 +78,7 @@ export async function handleTranscript(interaction) {
 
   // Check if members are allowed to export their own transcripts
   if (isOwner && !isStaff) {
-    const settings =
-      await ticketManager.storage.dbManager.guildSettings.getByGuild(guildId);
+    const settings = await ticketManager.storage.getGuildSettings(guildId);
     const allowUserTranscripts =
       settings?.ticketSettings?.allowUserTranscripts !== false;
 
@@ -111,7 +110,7 @@ export async function handleTranscript(interaction) {
       embeds: [
         createErrorEmbed(
           `The **${format.toUpperCase()}** export format is only available with **${CORE_STATUS.PRO.emoji} Pro Engine**.\n\n` +
-            "Upgrade to **${CORE_STATUS.PRO.emoji} Pro Engine** to unlock HTML transcripts, data exports, and unlimited retention! Enable it on our **[website](https://rolereactor.app)** using Cores.",
+            "Upgrade to **${CORE_STATUS.PRO.emoji} Pro Engine** to unlock HTML and PDF transcripts, data exports, and unlimited retention! Enable it on our **[website](https://rolereactor.app)** using Cores.",
           "Premium Feature",
           interaction.client,
         ),
@@ -144,23 +143,37 @@ export async function handleTranscript(interaction) {
   let content = transcript.content;
   const filename = `transcript-${formattedId}.${format}`;
 
-  // Regenerate if content is missing OR a different format is requested
-  if ((!content || format !== transcript.format) && transcript.messages) {
+  // Regenerate if content is missing OR a different format is requested.
+  // Stored content predates the rating, so rated tickets are regenerated too
+  if (
+    (!content || format !== transcript.format || ticket.rating) &&
+    transcript.messages?.length
+  ) {
     if (format === "json") {
       content = ticketTranscript.generateJSON(transcript.messages, {
         ...ticket,
         isTruncated: transcript.metadata?.isTruncated,
       });
-    } else if (format === "md") {
-      content = ticketTranscript.generateMarkdown(transcript.messages, {
+    } else if (format === "pdf") {
+      content = ticketTranscript.generatePDF(transcript.messages, {
         ...ticket,
         isTruncated: transcript.metadata?.isTruncated,
       });
-    } else if (format === "html") {
-      content = ticketTranscript.generateHTML(transcript.messages, {
+    } else if (format === "md") {
+      content = ticketTranscript.generateMarkdown(transcript.messages, {
         ...ticket,
         isTruncated: transcript.metadata?.isTruncated,
       });
+    } else if (format === "html") {
+      content = ticketTranscript.generateHTML(
+        transcript.messages,
+        {
+          ...ticket,
+          isTruncated: transcript.metadata?.isTruncated,
+          archive: transcript.metadata?.archive,
+        },
+        transcript.assets || [],
+      );
     }
   }
 
@@ -7,7 +7,14 @@ import { createInfoEmbed } from "../../../../features/ticketing/embeds.js";
 import {
   FREE_TIER,
   PRO_ENGINE,
+  PRIORITY_DISPLAY,
 } from "../../../../features/ticketing/config.js";
+import {
+  formatPriority,
+  formatSlaTarget,
+  getSlaStatus,
+  getSlaTargets,
+} from "../utils.js";
 import { CORE_STATUS } from "../../../../features/premium/config.js";
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -47,8 +54,7 @@ async function handleInfoView(
   const ticketLimit = await ticketManager.checkTicketLimit(guildId);
   const storageUsage = await ticketTranscript.getStorageUsage(guildId);
 
-  const settings =
-    await ticketManager.storage.dbManager.guildSettings.getByGuild(guildId);
+  const settings = await ticketManager.storage.getGuildSettings(guildId);
   const staffRoleId = settings?.ticketSettings?.staffRoleId;
   const staffRoleDisplay = staffRoleId
     ? `<@&${staffRoleId}>`
@@ -70,6 +76,9 @@ async function handleInfoView(
 
   const limits = ticketLimit.isPro ? PRO_ENGINE : FREE_TIER;
 
+  const slaSettings = await ticketManager.getSlaSettings(guildId);
+  const slaField = await getSlaField(guildId, ticketManager, slaSettings);
+
   const embed = createInfoEmbed(
     "Ticket System Information",
     "Current ticket system limits and settings.",
@@ -101,10 +110,57 @@ async function handleInfoView(
         `**Usage:** ${storageUsage.totalTranscripts} files (${storageUsage.totalSizeMB} MB)`,
         `**Retention:** ${limits.TRANSCRIPT_RETENTION_DAYS === -1 ? "Unlimited" : `${limits.TRANSCRIPT_RETENTION_DAYS} Days`}`,
         `**Exports:** ${limits.EXPORT_FORMATS.map(f => f.toUpperCase()).join(", ")}`,
+        `**Archived Files:** Up to ${limits.MAX_ARCHIVE_SIZE_MB} MB per transcript`,
       ].join("\n"),
       inline: false,
     },
+    slaField,
   );
 
   return interaction.editReply({ embeds: [embed] });
 }
+
+/**
+ * Build the SLA field: targets per priority and how open tickets are doing
+ */
+async function getSlaField(guildId, ticketManager, slaSettings) {
+  const openTickets = await ticketManager.storage.getTicketsByGuild(guildId, {
+    status: "open",
+    limit: 500,
+  });
+
+  const counts = { on_track: 0, at_risk: 0, breached: 0 };
+  for (const ticket of openTickets) {
+    const status = getSlaStatus(
+      ticket,
+      getSlaTargets(ticket.priority, slaSettings.targets),
+    );
+    const states = [status.firstResponse.state, status.resolution.state];
+    if (states.includes("breached") || states.includes("missed")) {
+      counts.breached++;
+    } else if (states.includes("at_risk")) {
+      counts.at_risk++;
+    } else {
+      counts.on_track++;
+    }
+  }
+
+  const targetLines = Object.keys(PRIORITY_DISPLAY).map(priority => {
+    const targets = getSlaTargets(priority, slaSettings.targets);
+    return `**${formatPriority(priority)}:** ${formatSlaTarget(targets.firstResponseMinutes)} response • ${formatSlaTarget(targets.resolutionHours * 60)} resolution`;
+  });
+
+  const escalationDisplay = slaSettings.escalationEnabled
+    ? `${slaSettings.escalationRoleId ? `<@&${slaSettings.escalationRoleId}>` : "No role"} in ${slaSettings.escalationChannelId ? `<#${slaSettings.escalationChannelId}>` : "the notify channel"}`
+    : `Requires ${CORE_STATUS.PRO.emoji} ${CORE_STATUS.PRO.label}`;
+
+  return {
+    name: "⏱️ SLA",
+    value: [
+      ...targetLines,
+      `**Open Tickets:** ${counts.on_track} on track • ${counts.at_risk} at risk • ${counts.breached} breached`,
+      `**Escalation:** ${escalationDisplay}`,
+    ].join("\n"),
+    inline: false,
+  };
+}
@@ -1,4 +1,10 @@
-import { MessageFlags } from "discord.js";
+import {
+  MessageFlags,
+  ModalBuilder,
+  ActionRowBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from "discord.js";
 import { getTicketPanel } from "../../../../features/ticketing/TicketPanel.js";
 import { getLogger } from "../../../../utils/logger.js";
 import {
@@ -6,6 +12,10 @@ import {
   createSuccessEmbed,
   createErrorEmbed,
 } from "../../../../features/ticketing/embeds.js";
+import {
+  DEFAULT_CATEGORY,
+  INTAKE_FORM,
+} from "../../../../features/ticketing/config.js";
 
 const logger = getLogger();
 
@@ -18,6 +28,7 @@ export async function handlePanel(interaction) {
 
   if (panelSubcommand === "list") return await handlePanelList(interaction);
   if (panelSubcommand === "delete") return await handlePanelDelete(interaction);
+  if (panelSubcommand === "form") return await handlePanelForm(interaction);
 
   return interaction.reply({
     embeds: [
@@ -141,3 +152,135 @@ async function handlePanelDelete(interaction) {
     ],
   });
 }
+
+/**
+ * Find a guild panel by the number shown in /ticket panel list
+ */
+export async function findPanelByNumber(ticketPanel, guildId, panelInput) {
+  const formattedNum = panelInput.replace(/^#/, "").padStart(3, "0");
+  const panels = await ticketPanel.getGuildPanels(guildId);
+  return panels.find(p => p.panelId.endsWith(`-${formattedNum}`)) || null;
+}
+
+async function handlePanelForm(interaction) {
+  const panelInput = interaction.options.getString("panel-id");
+  const categoryInput = interaction.options.getString("category");
+
+  const ticketPanel = getTicketPanel();
+  await ticketPanel.initialize();
+
+  const panel = await findPanelByNumber(
+    ticketPanel,
+    interaction.guildId,
+    panelInput,
+  );
+  const categories = panel?.categories || [DEFAULT_CATEGORY];
+  const category = categoryInput
+    ? categories.find(
+        c =>
+          c.id === categoryInput ||
+          c.label?.toLowerCase() === categoryInput.toLowerCase(),
+      )
+    : categories[0];
+
+  if (!panel || !category) {
+    return interaction.reply({
+      embeds: [
+        createErrorEmbed(
+          panel
+            ? `Category **${categoryInput}** not found. Available: ${categories.map(c => `\`${c.label || c.id}\``).join(", ")}`
+            : `Panel #${panelInput} not found.`,
+          panel ? "Category Not Found" : "Panel Not Found",
+          interaction.client,
+        ),
+      ],
+      flags: [MessageFlags.Ephemeral],
+    });
+  }
+
+  const modal = new ModalBuilder()
+    .setCustomId(
+      `ticket_form_config_${panel.panelId.split("-").pop()}_${category.id}`,
+    )
+    .setTitle(`Intake Form: ${category.label || category.id}`.slice(0, 45));
+
+  const rows = Array.from({ length: INTAKE_FORM.MAX_QUESTIONS }, (_, index) => {
+    const input = new TextInputBuilder()
+      .setCustomId(`question_${index}`)
+      .setLabel(`Question ${index + 1}`)
+      .setStyle(TextInputStyle.Short)
+      .setPlaceholder(
+        index === 0
+          ? "e.g. What is your in-game username?"
+          : "Leave empty to skip",
+      )
+      .setRequired(false)
+      .setMaxLength(INTAKE_FORM.MAX_QUESTION_LENGTH);
+
+    const existing = category.questions?.[index]?.label;
+    if (existing) input.setValue(existing);
+
+    return new ActionRowBuilder().addComponents(input);
+  });
+  // @ts-ignore
+  modal.addComponents(...rows);
+
+  return interaction.showModal(modal);
+}
+
+/**
+ * Save the intake questions entered in the /ticket panel form modal
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ */
+export async function handlePanelFormModal(interaction) {
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  const [, panelInput, categoryId] =
+    interaction.customId.match(/^ticket_form_config_(\d+)_(.+)$/) || [];
+
+  const questions = Array.from(
+    { length: INTAKE_FORM.MAX_QUESTIONS },
+    (_, index) =>
+      interaction.fields.getTextInputValue(`question_${index}`)?.trim(),
+  ).filter(Boolean);
+
+  const ticketPanel = getTicketPanel();
+  await ticketPanel.initialize();
+
+  const panel = panelInput
+    ? await findPanelByNumber(ticketPanel, interaction.guildId, panelInput)
+    : null;
+  if (!panel) {
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          "This panel no longer exists.",
+          "Panel Not Found",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+
+  const result = await ticketPanel.setCategoryQuestions(
+    panel.panelId,
+    categoryId,
+    questions,
+  );
+
+  if (!result.success) {
+    return interaction.editReply({ embeds: [result.error] });
+  }
+
+  return interaction.editReply({
+    embeds: [
+      createSuccessEmbed(
+        questions.length > 0
+          ? `Members will answer these questions before their ticket opens:\n\n${questions.map((q, i) => `**${i + 1}.** ${q}`).join("\n")}`
+          : "The intake form was removed. Tickets open straight away.",
+        "Intake Form Updated",
+        interaction.client,
+      ),
+    ],
+  });
+}
@@ -36,8 +36,7 @@ export async function handleSettings(interaction) {
   await ticketTranscript.initialize();
 
   const renderDashboard = async inter => {
-    const settings =
-      await ticketManager.storage.dbManager.guildSettings.getByGuild(guildId);
+    const settings = await ticketManager.storage.getGuildSettings(guildId);
     const panels = await ticketPanel.getGuildPanels(guildId);
     const panelLimit = await ticketPanel.checkPanelLimit(guildId);
     const ticketLimit = await ticketManager.checkTicketLimit(guildId);
@@ -63,6 +62,11 @@ export async function handleSettings(interaction) {
       ? `${EMOJIS.STATUS.SUCCESS} Enabled`
       : `⚫ Disabled`;
 
+    const autoClose = await ticketManager.getAutoCloseSettings(guildId);
+    const autoCloseDisplay = autoClose.enabled
+      ? `${EMOJIS.STATUS.SUCCESS} After ${autoClose.inactiveDays} idle days`
+      : `⚫ Disabled`;
+
     const embed = new EmbedBuilder()
       .setTitle("Ticketing System")
       .setDescription("Configure support tickets for your server")
@@ -93,6 +97,11 @@ export async function handleSettings(interaction) {
           value: accessDisplay,
           inline: true,
         },
+        {
+          name: "Auto-Close",
+          value: autoCloseDisplay,
+          inline: true,
+        },
         {
           name: "Active Panels",
           value: `${panels.length} / ${panelLimit.max}`,
@@ -129,6 +138,12 @@ export async function handleSettings(interaction) {
             : "Enable Member Self-Export",
         )
         .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId("t_set_autoclose")
+        .setLabel(
+          autoClose.enabled ? "Disable Auto-Close" : "Enable Auto-Close",
+        )
+        .setStyle(ButtonStyle.Secondary),
       new ButtonBuilder()
         .setCustomId("t_list_panels")
         .setLabel("View Panels")
@@ -214,15 +229,20 @@ export async function handleSettings(interaction) {
     }
 
     if (i.customId === "t_set_access") {
-      const settings =
-        await ticketManager.storage.dbManager.guildSettings.getByGuild(guildId);
+      const settings = await ticketManager.storage.getGuildSettings(guildId);
       settings.ticketSettings = settings.ticketSettings || {};
       const current = settings.ticketSettings.allowUserTranscripts !== false;
       settings.ticketSettings.allowUserTranscripts = !current;
-      await ticketManager.storage.dbManager.guildSettings.set(
-        guildId,
-        settings,
-      );
+      await ticketManager.storage.setGuildSettings(guildId, settings);
+      return await renderDashboard(i);
+    }
+
+    if (i.customId === "t_set_autoclose") {
+      const settings = await ticketManager.storage.getGuildSettings(guildId);
+      settings.ticketSettings = settings.ticketSettings || {};
+      const current = settings.ticketSettings.autoClose !== false;
+      settings.ticketSettings.autoClose = !current;
+      await ticketManager.storage.setGuildSettings(guildId, settings);
       return await renderDashboard(i);
     }
 
@@ -292,14 +312,10 @@ export async function handleSettings(interaction) {
         // Ignore if role couldn't be fetched
       }
 
-      const settings =
-        await ticketManager.storage.dbManager.guildSettings.getByGuild(guildId);
+      const settings = await ticketManager.storage.getGuildSettings(guildId);
       settings.ticketSettings = settings.ticketSettings || {};
       settings.ticketSettings.staffRoleId = roleId;
-      await ticketManager.storage.dbManager.guildSettings.set(
-        guildId,
-        settings,
-      );
+      await ticketManager.storage.setGuildSettings(guildId, settings);
       return await renderDashboard(i);
     }
 
@@ -330,27 +346,19 @@ export async function handleSettings(interaction) {
         // If channel cannot be fetched due to weird perms, just proceed to set it
       }
 
-      const settings =
-        await ticketManager.storage.dbManager.guildSettings.getByGuild(guildId);
+      const settings = await ticketManager.storage.getGuildSettings(guildId);
       settings.ticketSettings = settings.ticketSettings || {};
       settings.ticketSettings.transcriptChannelId = channelId;
-      await ticketManager.storage.dbManager.guildSettings.set(
-        guildId,
-        settings,
-      );
+      await ticketManager.storage.setGuildSettings(guildId, settings);
       return await renderDashboard(i);
     }
 
     if (i.customId === "t_notify_select") {
       const channelId = i.values[0];
-      const settings =
-        await ticketManager.storage.dbManager.guildSettings.getByGuild(guildId);
+      const settings = await ticketManager.storage.getGuildSettings(guildId);
       settings.ticketSettings = settings.ticketSettings || {};
       settings.ticketSettings.notificationChannelId = channelId;
-      await ticketManager.storage.dbManager.guildSettings.set(
-        guildId,
-        settings,
-      );
+      await ticketManager.storage.setGuildSettings(guildId, settings);
       return await renderDashboard(i);
     }
 
@@ -24,6 +24,7 @@ export async function handleSetup(interaction) {
       "Click a button below to create a ticket and get support from our team.",
   );
   const colorInput = interaction.options.getString("color");
+  const priority = interaction.options.getString("priority");
 
   let color = 0x5865f2;
   if (colorInput) {
@@ -46,10 +47,9 @@ export async function handleSetup(interaction) {
   // Require all settings before creating a panel
   const ticketManager = getTicketManager();
   await ticketManager.initialize();
-  const settings =
-    await ticketManager.storage.dbManager.guildSettings.getByGuild(
-      interaction.guildId,
-    );
+  const settings = await ticketManager.storage.getGuildSettings(
+    interaction.guildId,
+  );
 
   const staffRoleId = settings?.ticketSettings?.staffRoleId;
   const logChannelId = settings?.ticketSettings?.transcriptChannelId;
@@ -109,7 +109,9 @@ export async function handleSetup(interaction) {
     channelId: channel.id,
     title,
     description,
-    categories: [DEFAULT_CATEGORY],
+    categories: [
+      priority ? { ...DEFAULT_CATEGORY, priority } : DEFAULT_CATEGORY,
+    ],
     settings: {},
     styling: { color },
   });
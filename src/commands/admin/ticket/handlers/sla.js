@@ -0,0 +1,161 @@
+import { MessageFlags } from "discord.js";
+import { getTicketManager } from "../../../../features/ticketing/TicketManager.js";
+import { getLogger } from "../../../../utils/logger.js";
+import {
+  createSuccessEmbed,
+  createErrorEmbed,
+} from "../../../../features/ticketing/embeds.js";
+import { SLA_SETTINGS } from "../../../../features/ticketing/config.js";
+import { formatPriority, formatSlaTarget, getSlaTargets } from "../utils.js";
+
+const logger = getLogger();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /ticket sla (subcommand group router)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export async function handleSla(interaction) {
+  const slaSubcommand = interaction.options.getSubcommand(false);
+
+  if (slaSubcommand === "target") return await handleSlaTarget(interaction);
+  if (slaSubcommand === "escalation") {
+    return await handleSlaEscalation(interaction);
+  }
+
+  return interaction.reply({
+    embeds: [
+      createErrorEmbed(
+        "Unknown SLA subcommand.",
+        "Invalid Subcommand",
+        interaction.client,
+      ),
+    ],
+    flags: [MessageFlags.Ephemeral],
+  });
+}
+
+async function updateSlaSettings(guildId, update) {
+  const ticketManager = getTicketManager();
+  await ticketManager.initialize();
+
+  const settings = await ticketManager.storage.getGuildSettings(guildId);
+  settings.ticketSettings = settings.ticketSettings || {};
+  settings.ticketSettings.sla = update(settings.ticketSettings.sla || {});
+  await ticketManager.storage.setGuildSettings(guildId, settings);
+
+  return settings.ticketSettings.sla;
+}
+
+async function handleSlaTarget(interaction) {
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  const priority = interaction.options.getString("priority", true);
+  const firstResponse = interaction.options.getInteger("first-response");
+  const resolution = interaction.options.getInteger("resolution");
+
+  const reset = firstResponse === null && resolution === null;
+
+  try {
+    const sla = await updateSlaSettings(interaction.guildId, current => {
+      const targets = { ...current.targets };
+      if (reset) {
+        delete targets[priority];
+      } else {
+        targets[priority] = {
+          ...targets[priority],
+          ...(firstResponse !== null && {
+            firstResponseMinutes: firstResponse,
+          }),
+          ...(resolution !== null && { resolutionHours: resolution }),
+        };
+      }
+
+      const next = getSlaTargets(priority, targets);
+      if (next.firstResponseMinutes > next.resolutionHours * 60) {
+        throw new RangeError(
+          "The first response target can't be longer than the resolution target.",
+        );
+      }
+      return { ...current, targets };
+    });
+
+    const targets = getSlaTargets(priority, sla.targets);
+
+    return interaction.editReply({
+      embeds: [
+        createSuccessEmbed(
+          `**${formatPriority(priority)}** tickets ${reset ? "now use the default targets" : "now use these targets"}:\n\n` +
+            `**First Response:** ${formatSlaTarget(targets.firstResponseMinutes)}\n` +
+            `**Resolution:** ${formatSlaTarget(targets.resolutionHours * 60)}`,
+          "SLA Target Updated",
+          interaction.client,
+        ),
+      ],
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return interaction.editReply({
+        embeds: [
+          createErrorEmbed(error.message, "Invalid Target", interaction.client),
+        ],
+      });
+    }
+
+    logger.error("Failed to update SLA target:", error);
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          "Failed to save the SLA target. Please try again.",
+          "Update Failed",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+}
+
+async function handleSlaEscalation(interaction) {
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  const role = interaction.options.getRole("role");
+  const channel = interaction.options.getChannel("channel");
+
+  try {
+    await updateSlaSettings(interaction.guildId, current => ({
+      ...current,
+      escalationRoleId: role?.id || null,
+      escalationChannelId: channel?.id || null,
+    }));
+
+    const ticketManager = getTicketManager();
+    const { escalationEnabled } = await ticketManager.getSlaSettings(
+      interaction.guildId,
+    );
+
+    return interaction.editReply({
+      embeds: [
+        createSuccessEmbed(
+          `**Ping:** ${role ? `${role}` : "Staff role"}\n` +
+            `**Channel:** ${channel ? `${channel}` : "Notify channel"}\n\n` +
+            `Staff are pinged once ${SLA_SETTINGS.AT_RISK_PERCENT}% of a target has passed without it being met.` +
+            (escalationEnabled
+              ? ""
+              : "\n\nEscalation pings need **Pro Engine**. Targets are still tracked."),
+          "SLA Escalation Updated",
+          interaction.client,
+        ),
+      ],
+    });
+  } catch (error) {
+    logger.error("Failed to update SLA escalation:", error);
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          "Failed to save the escalation settings. Please try again.",
+          "Update Failed",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+}
@@ -5,10 +5,10 @@
  *   - staffClaim.js    → /ticket claim
  *   - staffClose.js    → /ticket close
  *   - staffMembers.js  → /ticket add, /ticket remove
- *   - staffManage.js   → /ticket transfer, /ticket rename, /ticket alert
+ *   - staffManage.js   → /ticket transfer, /ticket rename, /ticket priority
  */
 
 export { handleClaim } from "./staffClaim.js";
 export { handleClose } from "./staffClose.js";
 export { handleAdd, handleRemove } from "./staffMembers.js";
-export { handleTransfer, handleRename } from "./staffManage.js";
+export { handleTransfer, handleRename, handlePriority } from "./staffManage.js";
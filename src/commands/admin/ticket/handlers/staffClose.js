@@ -112,6 +112,7 @@ export async function handleClose(interaction) {
     ticket.ticketId,
     interaction.user.id,
     reason,
+    interaction.client,
   );
 
   if (!success) {
@@ -153,10 +154,9 @@ export async function handleClose(interaction) {
   // Handle log channel
   if (transcriptResult.success) {
     try {
-      const settings =
-        await ticketManager.storage.dbManager.guildSettings.getByGuild(
-          interaction.guildId,
-        );
+      const settings = await ticketManager.storage.getGuildSettings(
+        interaction.guildId,
+      );
       const logChannelId = settings?.ticketSettings?.transcriptChannelId;
 
       if (logChannelId) {
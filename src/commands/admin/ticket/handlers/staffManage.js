@@ -4,11 +4,15 @@ import {
   createSuccessEmbed,
   createErrorEmbed,
   createInfoEmbed,
+  createPriorityChangedEmbed,
 } from "../../../../features/ticketing/embeds.js";
 import {
   checkStaffRole,
   checkStaffRoleForMember,
   getStaffRoleId,
+  formatPriority,
+  getSlaStatus,
+  getSlaTargets,
 } from "../utils.js";
 import { getLogger } from "../../../../utils/logger.js";
 import { InputSanitizer } from "../../../../utils/validation/inputValidation.js";
@@ -287,3 +291,115 @@ export async function handleRename(interaction) {
     });
   }
 }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /ticket priority
+// ─────────────────────────────────────────────────────────────────────────────
+
+export async function handlePriority(interaction) {
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  const priority = interaction.options.getString("level", true);
+  const isStaff = await checkStaffRole(interaction);
+  const isAdmin = interaction.memberPermissions?.has(
+    PermissionFlagsBits.ManageGuild,
+  );
+
+  if (!isStaff && !isAdmin) {
+    const staffRoleId = await getStaffRoleId(interaction.guildId);
+    const roleText = staffRoleId
+      ? `the <@&${staffRoleId}> role`
+      : "a staff role";
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          `You need ${roleText} or administrator permissions to change ticket priority.`,
+          "Permission Denied",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+
+  const ticketManager = getTicketManager();
+  await ticketManager.initialize();
+
+  const ticket = await ticketManager.getTicketByChannel(interaction.channelId);
+
+  if (!ticket) {
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          "This is not a ticket channel.",
+          "Invalid Context",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+
+  if (ticket.status === "closed") {
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          "Cannot change the priority of a closed ticket.",
+          "Ticket Closed",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+
+  if ((ticket.priority || "normal") === priority) {
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          `This ticket is already **${formatPriority(priority)}**.`,
+          "No Changes",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+
+  const success = await ticketManager.setPriority(ticket.ticketId, priority);
+
+  if (!success) {
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          "Failed to change ticket priority.",
+          "Update Failed",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+
+  const slaSettings = await ticketManager.getSlaSettings(interaction.guildId);
+  const sla = getSlaStatus(
+    { ...ticket, priority },
+    getSlaTargets(priority, slaSettings.targets),
+  );
+
+  await interaction.channel.send({
+    embeds: [
+      createPriorityChangedEmbed({
+        priority,
+        changedBy: interaction.user.id,
+        sla,
+        client: interaction.client,
+      }),
+    ],
+  });
+
+  return interaction.editReply({
+    embeds: [
+      createSuccessEmbed(
+        `Priority set to **${formatPriority(priority)}**.`,
+        "Priority Updated",
+        interaction.client,
+      ),
+    ],
+  });
+}
@@ -0,0 +1,145 @@
+import { MessageFlags } from "discord.js";
+import { getTicketManager } from "../../../../features/ticketing/TicketManager.js";
+import { getTicketPanel } from "../../../../features/ticketing/TicketPanel.js";
+import { formatRating } from "../../../../features/ticketing/helpers.js";
+import {
+  createInfoEmbed,
+  createErrorEmbed,
+} from "../../../../features/ticketing/embeds.js";
+import { CORE_STATUS } from "../../../../features/premium/config.js";
+import { getGuildTimezone } from "../../../../utils/timezone.js";
+import { formatSlaTarget, parseStatsRange } from "../utils.js";
+
+// Discord allows 25 fields per embed (one is kept for category ratings)
+const MAX_STAFF_SHOWN = 20;
+const MAX_CATEGORIES_SHOWN = 10;
+
+function formatMedian(ms) {
+  return ms === null ? "—" : formatSlaTarget(Math.round(ms / 60000));
+}
+
+function formatRatingEntry(entry) {
+  return entry ? `${formatRating(entry.average)} (${entry.count})` : "—";
+}
+
+async function getCategoryLabels(guildId) {
+  const ticketPanel = getTicketPanel();
+  await ticketPanel.initialize();
+
+  const panels = await ticketPanel.getGuildPanels(guildId);
+  return new Map(
+    panels
+      .flatMap(panel => panel.categories || [])
+      .map(category => [category.id, category.label || category.id]),
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /ticket stats
+// ─────────────────────────────────────────────────────────────────────────────
+
+export async function handleStats(interaction) {
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  const guildId = interaction.guildId;
+  const timeZone = await getGuildTimezone(guildId);
+  const range = parseStatsRange(
+    interaction.options.getString("from"),
+    interaction.options.getString("to"),
+    timeZone,
+  );
+
+  if (!range) {
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          "Dates must be written as **YYYY-MM-DD**, and **from** must not be after **to**.",
+          "Invalid Date Range",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+
+  const ticketManager = getTicketManager();
+  await ticketManager.initialize();
+
+  const performance = await ticketManager.getStaffPerformance(guildId, range);
+
+  if (!performance.available) {
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          `Staff performance stats are only available with **${CORE_STATUS.PRO.emoji} Pro Engine**.\n\n` +
+            `Upgrade to **${CORE_STATUS.PRO.emoji} Pro Engine** to see claims, closes, response times and transfers for each staff member! Enable it on our **[website](https://rolereactor.app)** using Cores.`,
+          "Premium Feature",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+
+  const fromUnix = Math.floor(range.from.getTime() / 1000);
+  const toUnix = Math.floor((range.to.getTime() - 1) / 1000);
+  const { totals, staff, ratings } = performance;
+
+  const embed = createInfoEmbed(
+    "Staff Performance",
+    [
+      `Tickets opened <t:${fromUnix}:d> – <t:${toUnix}:d>`,
+      `**${totals.tickets}** opened • **${totals.claimed}** claimed • **${totals.closed}** closed`,
+      ratings.count > 0
+        ? `**Satisfaction:** ${formatRating(ratings.average)} from ${ratings.count} rating(s)`
+        : "**Satisfaction:** No ratings yet",
+      ...(staff.length > MAX_STAFF_SHOWN
+        ? [
+            `Showing the top ${MAX_STAFF_SHOWN} of ${staff.length} staff members.`,
+          ]
+        : []),
+    ].join("\n"),
+    interaction.client,
+  );
+
+  if (staff.length === 0) {
+    embed.addFields({
+      name: "No Staff Activity",
+      value: "No tickets opened in this range were claimed or closed by staff.",
+      inline: false,
+    });
+  }
+
+  if (ratings.categories.length > 0) {
+    const labels = await getCategoryLabels(guildId);
+    embed.addFields({
+      name: "Satisfaction by Category",
+      value: ratings.categories
+        .slice(0, MAX_CATEGORIES_SHOWN)
+        .map(
+          entry =>
+            `**${labels.get(entry.categoryId) || entry.categoryId}:** ${formatRatingEntry(entry)}`,
+        )
+        .join("\n"),
+      inline: false,
+    });
+  }
+
+  const staffRatings = new Map(
+    ratings.staff.map(entry => [entry.staffId, entry]),
+  );
+  embed.addFields(
+    staff.slice(0, MAX_STAFF_SHOWN).map(entry => ({
+      name: "\u200b",
+      value: [
+        `<@${entry.staffId}>`,
+        `**Claimed:** ${entry.claimed} • **Closed:** ${entry.closed}`,
+        `**Median First Response:** ${formatMedian(entry.medianFirstResponseMs)}`,
+        `**Median Resolution:** ${formatMedian(entry.medianResolutionMs)}`,
+        `**Transfers:** ${entry.transfersIn} in • ${entry.transfersOut} out`,
+        `**Rating:** ${formatRatingEntry(staffRatings.get(entry.staffId))}`,
+      ].join("\n"),
+      inline: true,
+    })),
+  );
+
+  return interaction.editReply({ embeds: [embed] });
+}
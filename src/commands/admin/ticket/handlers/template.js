@@ -0,0 +1,377 @@
+import { AttachmentBuilder, MessageFlags } from "discord.js";
+import { getTicketPanel } from "../../../../features/ticketing/TicketPanel.js";
+import { getTicketManager } from "../../../../features/ticketing/TicketManager.js";
+import { getLogger } from "../../../../utils/logger.js";
+import {
+  createInfoEmbed,
+  createSuccessEmbed,
+  createErrorEmbed,
+} from "../../../../features/ticketing/embeds.js";
+import { PANEL_TEMPLATES } from "../../../../features/ticketing/config.js";
+import {
+  createPanelTemplate,
+  normalizeTemplateName,
+  parsePanelTemplate,
+  resolveTemplateEmoji,
+} from "../../../../features/ticketing/panelTemplates.js";
+import { CORE_STATUS } from "../../../../features/premium/config.js";
+import { findPanelByNumber } from "./panel.js";
+
+const logger = getLogger();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /ticket template (subcommand group router)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export async function handleTemplate(interaction) {
+  const templateSubcommand = interaction.options.getSubcommand(false);
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  try {
+    const ticketPanel = getTicketPanel();
+    await ticketPanel.initialize();
+
+    // Templates can be listed, exported and deleted after Pro Engine ends
+    if (
+      ["save", "load", "import"].includes(templateSubcommand) &&
+      !(await ticketPanel.canUseTemplates(interaction.guildId))
+    ) {
+      return interaction.editReply({
+        embeds: [
+          createErrorEmbed(
+            `Panel templates require **${CORE_STATUS.PRO.emoji} Pro Engine**. Enable it on our **[website](https://rolereactor.app)** using Cores.`,
+            "Pro Engine Required",
+            interaction.client,
+          ),
+        ],
+      });
+    }
+
+    switch (templateSubcommand) {
+      case "save":
+        return await handleTemplateSave(interaction, ticketPanel);
+      case "load":
+        return await handleTemplateLoad(interaction, ticketPanel);
+      case "list":
+        return await handleTemplateList(interaction, ticketPanel);
+      case "delete":
+        return await handleTemplateDelete(interaction, ticketPanel);
+      case "export":
+        return await handleTemplateExport(interaction, ticketPanel);
+      case "import":
+        return await handleTemplateImport(interaction, ticketPanel);
+      default:
+        return interaction.editReply({
+          embeds: [
+            createErrorEmbed(
+              "Unknown template subcommand.",
+              "Invalid Subcommand",
+              interaction.client,
+            ),
+          ],
+        });
+    }
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return interaction.editReply({
+        embeds: [
+          createErrorEmbed(
+            error.message,
+            "Invalid Template",
+            interaction.client,
+          ),
+        ],
+      });
+    }
+
+    logger.error("Failed to handle ticket template:", error);
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          "Something went wrong with the template. Please try again.",
+          "Template Failed",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+}
+
+async function getTicketSettings(guildId) {
+  const ticketManager = getTicketManager();
+  await ticketManager.initialize();
+
+  const settings = await ticketManager.storage.getGuildSettings(guildId);
+  return settings?.ticketSettings || {};
+}
+
+function templateNotFound(interaction, name) {
+  return interaction.editReply({
+    embeds: [
+      createErrorEmbed(
+        `You don't have a template named **${name}**.`,
+        "Template Not Found",
+        interaction.client,
+      ),
+    ],
+  });
+}
+
+async function handleTemplateSave(interaction, ticketPanel) {
+  const panelInput = interaction.options.getString("panel-id", true);
+  const name = normalizeTemplateName(
+    interaction.options.getString("name", true),
+  );
+
+  const panel = await findPanelByNumber(
+    ticketPanel,
+    interaction.guildId,
+    panelInput,
+  );
+  if (!panel) {
+    return interaction.editReply({
+      embeds: [
+        createErrorEmbed(
+          `Panel #${panelInput} not found.`,
+          "Panel Not Found",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+
+  const { staffRoleId } = await getTicketSettings(interaction.guildId);
+  const staffRole = staffRoleId
+    ? interaction.guild.roles.cache.get(staffRoleId)
+    : null;
+
+  const template = createPanelTemplate(panel, {
+    name,
+    staffRoles: staffRole ? [{ id: staffRole.id, name: staffRole.name }] : [],
+  });
+  const result = await ticketPanel.saveTemplate(interaction.user.id, template);
+
+  if (!result.success) {
+    return interaction.editReply({ embeds: [result.error] });
+  }
+
+  return interaction.editReply({
+    embeds: [
+      createSuccessEmbed(
+        `Panel \`#${panelInput.replace(/^#/, "")}\` was saved as **${template.name}**` +
+          `${result.replaced ? ", replacing your previous template with that name" : ""}.\n\n` +
+          "Load it in any server you manage with `/ticket template load`.",
+        "Template Saved",
+        interaction.client,
+      ),
+    ],
+  });
+}
+
+async function handleTemplateLoad(interaction, ticketPanel) {
+  const name = normalizeTemplateName(
+    interaction.options.getString("name", true),
+  );
+  const channel = interaction.options.getChannel("channel", true);
+
+  const stored = await ticketPanel.getTemplate(interaction.user.id, name);
+  if (!stored) return templateNotFound(interaction, name);
+
+  const template = parsePanelTemplate(stored);
+  template.panel.categories = template.panel.categories.map(category => ({
+    ...category,
+    emoji: resolveTemplateEmoji(interaction.client, category.emoji),
+  }));
+
+  // Match staff roles by ID in the original server, by name everywhere else
+  const roles = interaction.guild.roles.cache;
+  const staffRole = template.staffRoles
+    .map(
+      ({ id, name: roleName }) =>
+        (id && roles.get(id)) ||
+        roles.find(role => role.name.toLowerCase() === roleName.toLowerCase()),
+    )
+    .find(Boolean);
+
+  const result = await ticketPanel.createPanelFromTemplate({
+    guildId: interaction.guildId,
+    channelId: channel.id,
+    template,
+  });
+  if (!result.success) {
+    return interaction.editReply({ embeds: [result.error] });
+  }
+
+  const sendResult = await ticketPanel.sendPanelMessage({
+    channel,
+    panel: result.panel,
+  });
+  if (!sendResult.success) {
+    return interaction.editReply({ embeds: [sendResult.error] });
+  }
+
+  // Never replace a staff role the server already configured
+  const notes = [];
+  const ticketSettings = await getTicketSettings(interaction.guildId);
+  if (!ticketSettings.staffRoleId && staffRole) {
+    const { storage } = getTicketManager();
+    const settings = await storage.getGuildSettings(interaction.guildId);
+    settings.ticketSettings = {
+      ...settings.ticketSettings,
+      staffRoleId: staffRole.id,
+    };
+    await storage.setGuildSettings(interaction.guildId, settings);
+    notes.push(`**Staff Role:** ${staffRole}`);
+  } else if (!ticketSettings.staffRoleId && template.staffRoles.length > 0) {
+    notes.push(
+      `No role named **${template.staffRoles[0].name}** exists here, so no staff role was set.`,
+    );
+  }
+  if (
+    !ticketSettings.transcriptChannelId ||
+    !ticketSettings.notificationChannelId
+  ) {
+    notes.push(
+      `Run </ticket settings:${interaction.commandId}> to finish setting up tickets.`,
+    );
+  }
+
+  return interaction.editReply({
+    embeds: [
+      createSuccessEmbed(
+        `**Panel:** \`#${result.panel.panelId.split("-").pop()}\`\n` +
+          `**Channel:** ${channel}\n` +
+          `**Template:** ${template.name}` +
+          (notes.length > 0 ? `\n\n${notes.join("\n")}` : ""),
+        "Panel Created",
+        interaction.client,
+      ),
+    ],
+  });
+}
+
+async function handleTemplateList(interaction, ticketPanel) {
+  const templates = await ticketPanel.getTemplates(interaction.user.id);
+
+  if (templates.length === 0) {
+    return interaction.editReply({
+      embeds: [
+        createInfoEmbed(
+          "Panel Templates",
+          "You haven't saved any templates yet. Save a panel with `/ticket template save`.",
+          interaction.client,
+        ),
+      ],
+    });
+  }
+
+  const lines = templates.map(template => {
+    const count = template.panel?.categories?.length || 1;
+    const updated = Math.floor(new Date(template.updatedAt).getTime() / 1000);
+    return `**${template.name}** — ${count} ${count === 1 ? "category" : "categories"} • updated <t:${updated}:R>`;
+  });
+
+  return interaction.editReply({
+    embeds: [
+      createInfoEmbed(
+        "Panel Templates",
+        `${lines.join("\n")}\n\n${templates.length}/${PANEL_TEMPLATES.MAX_PER_USER} templates used.`,
+        interaction.client,
+      ),
+    ],
+  });
+}
+
+async function handleTemplateDelete(interaction, ticketPanel) {
+  const name = normalizeTemplateName(
+    interaction.options.getString("name", true),
+  );
+
+  const deleted = await ticketPanel.deleteTemplate(interaction.user.id, name);
+  if (!deleted) return templateNotFound(interaction, name);
+
+  return interaction.editReply({
+    embeds: [
+      createSuccessEmbed(
+        `Template **${name}** was deleted. Panels created from it are not affected.`,
+        "Template Deleted",
+        interaction.client,
+      ),
+    ],
+  });
+}
+
+async function handleTemplateExport(interaction, ticketPanel) {
+  const name = normalizeTemplateName(
+    interaction.options.getString("name", true),
+  );
+
+  const stored = await ticketPanel.getTemplate(interaction.user.id, name);
+  if (!stored) return templateNotFound(interaction, name);
+
+  const template = parsePanelTemplate(stored);
+  const fileName = `${template.name.replace(/[^\w-]+/g, "-").toLowerCase() || "template"}.json`;
+
+  return interaction.editReply({
+    embeds: [
+      createSuccessEmbed(
+        "Share this file and import it with `/ticket template import`.",
+        "Template Exported",
+        interaction.client,
+      ),
+    ],
+    files: [
+      new AttachmentBuilder(
+        Buffer.from(JSON.stringify(template, null, 2), "utf8"),
+        { name: fileName },
+      ),
+    ],
+  });
+}
+
+async function handleTemplateImport(interaction, ticketPanel) {
+  const file = interaction.options.getAttachment("file", true);
+  const nameOverride = interaction.options.getString("name");
+
+  if (file.size > PANEL_TEMPLATES.MAX_FILE_SIZE_KB * 1024) {
+    throw new RangeError(
+      `Template files can be at most ${PANEL_TEMPLATES.MAX_FILE_SIZE_KB} KB.`,
+    );
+  }
+
+  const response = await fetch(file.url, {
+    signal: AbortSignal.timeout(PANEL_TEMPLATES.DOWNLOAD_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Template download failed with ${response.status}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await response.text());
+  } catch {
+    throw new RangeError("The file is not valid JSON.");
+  }
+
+  const template = parsePanelTemplate(
+    nameOverride ? { ...data, name: nameOverride } : data,
+  );
+  const result = await ticketPanel.saveTemplate(interaction.user.id, template);
+
+  if (!result.success) {
+    return interaction.editReply({ embeds: [result.error] });
+  }
+
+  return interaction.editReply({
+    embeds: [
+      createSuccessEmbed(
+        `Imported **${template.name}** with ${template.panel.categories.length} ${template.panel.categories.length === 1 ? "category" : "categories"}` +
+          `${result.replaced ? ", replacing your previous template with that name" : ""}.\n\n` +
+          "Create a panel from it with `/ticket template load`.",
+        "Template Imported",
+        interaction.client,
+      ),
+    ],
+  });
+}
@@ -2,15 +2,28 @@ import {
   SlashCommandBuilder,
   PermissionFlagsBits,
   MessageFlags,
+  ChannelType,
 } from "discord.js";
 import { getLogger } from "../../../utils/logger.js";
 import { createErrorEmbed } from "../../../features/ticketing/embeds.js";
 import { getColorChoices } from "../role-reactions/utils.js";
+import {
+  PRIORITY_DISPLAY,
+  SLA_SETTINGS,
+  INTAKE_FORM,
+  ASSIGNMENT_MODES,
+  AUTOMATION_SETTINGS,
+  PANEL_TEMPLATES,
+} from "../../../features/ticketing/config.js";
 import {
   handleSetup,
   handleInfo,
   handlePanel,
   handleSettings,
+  handleSla,
+  handleStats,
+  handleAutomation,
+  handleTemplate,
 } from "./handlers/admin.js";
 import { handleTranscript } from "./handlers/general.js";
 import {
@@ -19,10 +32,15 @@ import {
   handleTransfer,
   handleRemove,
   handleRename,
+  handlePriority,
 } from "./handlers/staff.js";
 
 const logger = getLogger();
 
+const PRIORITY_CHOICES = Object.entries(PRIORITY_DISPLAY).map(
+  ([value, { label, emoji }]) => ({ name: `${emoji} ${label}`, value }),
+);
+
 // ============================================================================
 // COMMAND METADATA
 // ============================================================================
@@ -39,14 +57,19 @@ export const metadata = {
       value: [
         "```/ticket settings```",
         "```/ticket setup channel:#support```",
-        "```/ticket info action:stats```",
+        "```/ticket stats from:2025-06-01 to:2025-06-30```",
         "```/ticket panel list```",
         "```/ticket panel delete panel-id:1```",
+        "```/ticket panel form panel-id:1```",
         "```/ticket close reason:Issue resolved```",
         "```/ticket add member:@Staff```",
         "```/ticket remove member:@User```",
         "```/ticket transfer staff:@SeniorStaff```",
         "```/ticket rename name:bug-report```",
+        "```/ticket priority level:urgent```",
+        "```/ticket sla target priority:urgent first-response:15 resolution:8```",
+        "```/ticket automation route keyword:refund category:Billing```",
+        "```/ticket template save panel-id:1 name:Support```",
       ].join("\n"),
       inline: false,
     },
@@ -56,14 +79,21 @@ export const metadata = {
         "**setup** - Create a new ticket panel (Manage Server)",
         "**info** - View system information and stats (Manage Server)",
         "**settings** - Interactive settings dashboard (Manage Server)",
+        "**stats** - Staff performance for a date range (Manage Server)",
 
         "**panel list** - List all ticket panels in the server (Manage Server)",
         "**panel delete** - Delete a ticket panel by ID (Manage Server)",
+        "**panel form** - Set intake questions for a panel category (Manage Server)",
+        "**sla target** - Set response and resolution targets (Manage Server)",
+        "**sla escalation** - Choose who is pinged near a breach (Manage Server)",
+        "**automation** - Auto-assign, tag, route and reply to tickets (Manage Server)",
+        "**template** - Save, share and load panel templates (Manage Server)",
         "**close** - Close ticket with optional reason (Owner/Staff)",
         "**add** - Add member to current ticket (Staff)",
         "**remove** - Remove member from current ticket (Staff)",
         "**transfer** - Transfer ticket to another staff (Staff)",
         "**rename** - Rename the ticket channel (Staff)",
+        "**priority** - Change the ticket priority (Staff)",
         "**transcript** - Export chat history (Owner/Staff)",
       ].join("\n"),
       inline: false,
@@ -72,7 +102,7 @@ export const metadata = {
       name: `Permissions`,
       value: [
         "**Setup/Config** - Manage Server permission",
-        "**Add/Remove/Transfer/Rename** - Staff role",
+        "**Add/Remove/Transfer/Rename/Priority** - Staff role",
         "**Close/Transcript** - Ticket creator or staff",
       ].join("\n"),
       inline: false,
@@ -129,6 +159,13 @@ export const data = new SlashCommandBuilder()
           .setDescription("Choose a color for the embed")
           .setRequired(false)
           .addChoices(...getColorChoices()),
+      )
+      .addStringOption(opt =>
+        opt
+          .setName("priority")
+          .setDescription("Priority of tickets opened from this panel")
+          .setRequired(false)
+          .addChoices(...PRIORITY_CHOICES),
       ),
   )
 
@@ -137,6 +174,23 @@ export const data = new SlashCommandBuilder()
       .setName("info")
       .setDescription("View ticket system information and limits"),
   )
+  .addSubcommand(sub =>
+    sub
+      .setName("stats")
+      .setDescription("View staff performance (Pro Engine)")
+      .addStringOption(option =>
+        option
+          .setName("from")
+          .setDescription("First day, as YYYY-MM-DD (default: 30 days ago)")
+          .setRequired(false),
+      )
+      .addStringOption(option =>
+        option
+          .setName("to")
+          .setDescription("Last day, as YYYY-MM-DD (default: today)")
+          .setRequired(false),
+      ),
+  )
   .addSubcommand(sub =>
     sub
       .setName("settings")
@@ -161,6 +215,263 @@ export const data = new SlashCommandBuilder()
               .setDescription("Panel number to delete (e.g., 1)")
               .setRequired(true),
           ),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("form")
+          .setDescription(
+            `Set up to ${INTAKE_FORM.MAX_QUESTIONS} questions asked before a ticket opens`,
+          )
+          .addStringOption(opt =>
+            opt
+              .setName("panel-id")
+              .setDescription("Panel number (e.g., 1)")
+              .setRequired(true),
+          )
+          .addStringOption(opt =>
+            opt
+              .setName("category")
+              .setDescription("Category name or ID (defaults to the first)")
+              .setRequired(false),
+          ),
+      ),
+  )
+  .addSubcommandGroup(group =>
+    group
+      .setName("sla")
+      .setDescription("Manage ticket SLA targets and escalation")
+      .addSubcommand(sub =>
+        sub
+          .setName("target")
+          .setDescription(
+            "Set the SLA targets of a priority (leave both empty to reset)",
+          )
+          .addStringOption(opt =>
+            opt
+              .setName("priority")
+              .setDescription("Priority to configure")
+              .setRequired(true)
+              .addChoices(...PRIORITY_CHOICES),
+          )
+          .addIntegerOption(opt =>
+            opt
+              .setName("first-response")
+              .setDescription("Minutes until the first staff response is due")
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(SLA_SETTINGS.MAX_FIRST_RESPONSE_MINUTES),
+          )
+          .addIntegerOption(opt =>
+            opt
+              .setName("resolution")
+              .setDescription("Hours until the ticket should be closed")
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(SLA_SETTINGS.MAX_RESOLUTION_HOURS),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("escalation")
+          .setDescription(
+            "Choose who is pinged when an SLA is about to be breached",
+          )
+          .addRoleOption(opt =>
+            opt
+              .setName("role")
+              .setDescription("Role to ping (defaults to the staff role)")
+              .setRequired(false),
+          )
+          .addChannelOption(opt =>
+            opt
+              .setName("channel")
+              .setDescription(
+                "Channel for escalations (defaults to the notify channel)",
+              )
+              .setRequired(false)
+              .addChannelTypes(ChannelType.GuildText),
+          ),
+      ),
+  )
+  .addSubcommandGroup(group =>
+    group
+      .setName("automation")
+      .setDescription("Manage ticket automation rules (Pro Engine)")
+      .addSubcommand(sub =>
+        sub
+          .setName("assign")
+          .setDescription("Assign new tickets to staff automatically")
+          .addStringOption(opt =>
+            opt
+              .setName("mode")
+              .setDescription("How the assignee is picked")
+              .setRequired(true)
+              .addChoices(
+                { name: "Off", value: ASSIGNMENT_MODES.OFF },
+                { name: "Round-robin", value: ASSIGNMENT_MODES.ROUND_ROBIN },
+                {
+                  name: "Least open tickets",
+                  value: ASSIGNMENT_MODES.LEAST_LOAD,
+                },
+              ),
+          )
+          .addRoleOption(opt =>
+            opt
+              .setName("role")
+              .setDescription("Staff role to assign tickets from")
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("tag")
+          .setDescription(
+            "Tag tickets of a category (leave tags empty to stop tagging)",
+          )
+          .addStringOption(opt =>
+            opt
+              .setName("category")
+              .setDescription("Category name or ID")
+              .setRequired(true),
+          )
+          .addStringOption(opt =>
+            opt
+              .setName("tags")
+              .setDescription("Comma-separated tags, e.g. billing, payments")
+              .setRequired(false)
+              .setMaxLength(200),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("route")
+          .setDescription(
+            "Move tickets to a category on a keyword (leave category empty to remove)",
+          )
+          .addStringOption(opt =>
+            opt
+              .setName("keyword")
+              .setDescription("Word or phrase in the ticket owner's message")
+              .setRequired(true)
+              .setMaxLength(AUTOMATION_SETTINGS.MAX_KEYWORD_LENGTH),
+          )
+          .addStringOption(opt =>
+            opt
+              .setName("category")
+              .setDescription("Category name or ID to move the ticket to")
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("respond")
+          .setDescription(
+            "Reply to a keyword with a canned response (leave response empty to remove)",
+          )
+          .addStringOption(opt =>
+            opt
+              .setName("keyword")
+              .setDescription("Word or phrase in the ticket owner's message")
+              .setRequired(true)
+              .setMaxLength(AUTOMATION_SETTINGS.MAX_KEYWORD_LENGTH),
+          )
+          .addStringOption(opt =>
+            opt
+              .setName("response")
+              .setDescription("Message the bot replies with")
+              .setRequired(false)
+              .setMaxLength(AUTOMATION_SETTINGS.MAX_RESPONSE_LENGTH),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub.setName("list").setDescription("Show the automation rules"),
+      ),
+  )
+  .addSubcommandGroup(group =>
+    group
+      .setName("template")
+      .setDescription("Save and load ticket panel templates (Pro Engine)")
+      .addSubcommand(sub =>
+        sub
+          .setName("save")
+          .setDescription("Save a panel as a template you can use anywhere")
+          .addStringOption(opt =>
+            opt
+              .setName("panel-id")
+              .setDescription("Panel number to save (e.g., 1)")
+              .setRequired(true),
+          )
+          .addStringOption(opt =>
+            opt
+              .setName("name")
+              .setDescription("Template name (replaces one with the same name)")
+              .setRequired(true)
+              .setMaxLength(PANEL_TEMPLATES.MAX_NAME_LENGTH),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("load")
+          .setDescription("Create a panel from one of your templates")
+          .addStringOption(opt =>
+            opt
+              .setName("name")
+              .setDescription("Template name")
+              .setRequired(true)
+              .setMaxLength(PANEL_TEMPLATES.MAX_NAME_LENGTH),
+          )
+          .addChannelOption(opt =>
+            opt
+              .setName("channel")
+              .setDescription("Channel to post the panel in")
+              .setRequired(true)
+              .addChannelTypes(ChannelType.GuildText),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub.setName("list").setDescription("List your saved templates"),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("delete")
+          .setDescription("Delete one of your templates")
+          .addStringOption(opt =>
+            opt
+              .setName("name")
+              .setDescription("Template name")
+              .setRequired(true)
+              .setMaxLength(PANEL_TEMPLATES.MAX_NAME_LENGTH),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("export")
+          .setDescription("Download a template as a JSON file to share")
+          .addStringOption(opt =>
+            opt
+              .setName("name")
+              .setDescription("Template name")
+              .setRequired(true)
+              .setMaxLength(PANEL_TEMPLATES.MAX_NAME_LENGTH),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName("import")
+          .setDescription("Import a template from a JSON file")
+          .addAttachmentOption(opt =>
+            opt
+              .setName("file")
+              .setDescription("Template JSON file")
+              .setRequired(true),
+          )
+          .addStringOption(opt =>
+            opt
+              .setName("name")
+              .setDescription("Save it under a different name")
+              .setRequired(false)
+              .setMaxLength(PANEL_TEMPLATES.MAX_NAME_LENGTH),
+          ),
       ),
   )
 
@@ -178,12 +489,13 @@ export const data = new SlashCommandBuilder()
       .addStringOption(opt =>
         opt
           .setName("format")
-          .setDescription("Export format (HTML/JSON require Pro Engine)")
+          .setDescription("Export format (HTML/JSON/PDF require Pro Engine)")
           .setRequired(false)
           .addChoices(
             { name: "HTML", value: "html" },
             { name: "JSON", value: "json" },
             { name: "Markdown", value: "md" },
+            { name: "PDF", value: "pdf" },
           ),
       ),
   )
@@ -241,6 +553,18 @@ export const data = new SlashCommandBuilder()
           .setRequired(true)
           .setMaxLength(100),
       ),
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName("priority")
+      .setDescription("Change the priority of the current ticket")
+      .addStringOption(opt =>
+        opt
+          .setName("level")
+          .setDescription("New priority")
+          .setRequired(true)
+          .addChoices(...PRIORITY_CHOICES),
+      ),
   );
 
 // ============================================================================
@@ -263,8 +587,14 @@ export async function execute(interaction) {
   const subcommand = interaction.options.getSubcommand();
 
   try {
-    const adminCommands = ["setup", "info", "settings"];
-    if (subcommandGroup === "panel" || adminCommands.includes(subcommand)) {
+    const adminCommands = ["setup", "info", "stats", "settings"];
+    if (
+      subcommandGroup === "panel" ||
+      subcommandGroup === "sla" ||
+      subcommandGroup === "automation" ||
+      subcommandGroup === "template" ||
+      adminCommands.includes(subcommand)
+    ) {
       if (
         !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)
       ) {
@@ -284,12 +614,23 @@ export async function execute(interaction) {
     if (subcommandGroup === "panel") {
       return await handlePanel(interaction);
     }
+    if (subcommandGroup === "sla") {
+      return await handleSla(interaction);
+    }
+    if (subcommandGroup === "automation") {
+      return await handleAutomation(interaction);
+    }
+    if (subcommandGroup === "template") {
+      return await handleTemplate(interaction);
+    }
 
     switch (subcommand) {
       case "setup":
         return await handleSetup(interaction);
       case "info":
         return await handleInfo(interaction);
+      case "stats":
+        return await handleStats(interaction);
       case "settings":
         return await handleSettings(interaction);
       case "transcript":
@@ -305,6 +646,8 @@ export async function execute(interaction) {
         return await handleRemove(interaction);
       case "rename":
         return await handleRename(interaction);
+      case "priority":
+        return await handlePriority(interaction);
       default:
         return interaction.reply({
           embeds: [
@@ -7,4 +7,9 @@ export {
   checkStaffRoleForMember,
   getStaffRoleId,
   formatDuration,
+  formatPriority,
+  formatSlaTarget,
+  getSlaTargets,
+  getSlaStatus,
+  parseStatsRange,
 } from "../../../features/ticketing/helpers.js";
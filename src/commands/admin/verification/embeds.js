@@ -0,0 +1,195 @@
+import {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} from "discord.js";
+import { THEME, EMOJIS } from "../../../config/theme.js";
+import {
+  ACCOUNT_AGE_ACTIONS,
+  FAIL_ACTIONS,
+  VERIFICATION_LIMITS,
+} from "../../../features/verification/config.js";
+import { formatDuration } from "../moderation/utils.js";
+
+// Verification log events and how they are shown
+const LOG_EVENTS = {
+  verified: { title: "Member Verified", color: THEME.SUCCESS },
+  failed: { title: "Captcha Failed", color: THEME.WARNING },
+  denied_age: { title: "Account Too New", color: THEME.WARNING },
+  kicked_age: { title: "Kicked: Account Too New", color: THEME.ERROR },
+  kicked_timeout: { title: "Kicked: Not Verified in Time", color: THEME.ERROR },
+  kicked_failed: { title: "Kicked: Out of Attempts", color: THEME.ERROR },
+};
+
+/**
+ * Create the public verification panel
+ * @param {import('discord.js').Guild} guild
+ * @param {string|null} [description] - Custom panel text
+ * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder<ButtonBuilder>[]}}
+ */
+export function createVerificationPanel(guild, description = null) {
+  const embed = new EmbedBuilder()
+    .setTitle(`${EMOJIS.MODERATION.VERIFY} Verification`)
+    .setColor(THEME.PRIMARY)
+    .setDescription(
+      description ||
+        `Welcome to **${guild.name}**! Press **Verify** and type the code shown in the image to unlock the rest of the server.`,
+    )
+    .setFooter({ text: guild.name })
+    .setTimestamp();
+
+  const row = /** @type {ActionRowBuilder<ButtonBuilder>} */ (
+    new ActionRowBuilder()
+  ).addComponents(
+    new ButtonBuilder()
+      .setCustomId("verification_start")
+      .setLabel("Verify")
+      .setEmoji(EMOJIS.MODERATION.VERIFY)
+      .setStyle(ButtonStyle.Success),
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Create the ephemeral captcha challenge shown to a member
+ * @param {number} attemptsLeft - Wrong answers allowed before a new code is needed
+ * @param {number} expiresAt - Timestamp (ms) the code stops being valid
+ * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder<ButtonBuilder>[]}}
+ */
+export function createCaptchaChallenge(attemptsLeft, expiresAt) {
+  const embed = new EmbedBuilder()
+    .setTitle(`${EMOJIS.MODERATION.VERIFY} Enter the Code`)
+    .setColor(THEME.PRIMARY)
+    .setDescription(
+      "Type the characters in the image below. Letters are not case-sensitive.",
+    )
+    .addFields(
+      {
+        name: "Attempts Left",
+        value: `${attemptsLeft}`,
+        inline: true,
+      },
+      {
+        name: "Expires",
+        value: `<t:${Math.floor(expiresAt / 1000)}:R>`,
+        inline: true,
+      },
+    )
+    .setImage("attachment://captcha.png");
+
+  const row = /** @type {ActionRowBuilder<ButtonBuilder>} */ (
+    new ActionRowBuilder()
+  ).addComponents(
+    new ButtonBuilder()
+      .setCustomId("verification_answer")
+      .setLabel("Enter Code")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId("verification_refresh")
+      .setLabel("New Code")
+      .setStyle(ButtonStyle.Secondary),
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Create a verification log entry
+ * @param {string} event - Log event key
+ * @param {import('discord.js').User} user - Member's user
+ * @param {string|null} [detail] - Extra context
+ * @returns {EmbedBuilder}
+ */
+export function createVerificationLogEmbed(event, user, detail = null) {
+  const { title, color } = LOG_EVENTS[event] || {
+    title: "Verification",
+    color: THEME.PRIMARY,
+  };
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${EMOJIS.MODERATION.VERIFY} ${title}`)
+    .setColor(color)
+    .addFields(
+      {
+        name: "Member",
+        value: `${user} (${user.id})`,
+        inline: true,
+      },
+      {
+        name: "Account Created",
+        value: `<t:${Math.floor(user.createdTimestamp / 1000)}:R>`,
+        inline: true,
+      },
+    )
+    .setFooter({ text: "Verification" })
+    .setTimestamp();
+
+  if (detail) {
+    embed.setDescription(detail);
+  }
+  return embed;
+}
+
+/**
+ * Create embed showing the guild's verification configuration
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} settings - Normalized verification settings
+ * @returns {EmbedBuilder}
+ */
+export function createVerificationSettingsEmbed(guild, settings) {
+  const ageRule =
+    settings.minAccountAgeDays > 0
+      ? `${settings.minAccountAgeDays} day(s), ${settings.accountAgeAction === ACCOUNT_AGE_ACTIONS.KICK ? "kick on join" : "deny verification"}`
+      : "*Off*";
+
+  return new EmbedBuilder()
+    .setTitle(`${EMOJIS.MODERATION.VERIFY} Verification`)
+    .setColor(THEME.ADMIN)
+    .setDescription(
+      settings.enabled
+        ? `Verification is **enabled** in ${guild.name}.`
+        : `Verification is **disabled** in ${guild.name}. Use \`/verification setup\` to post a panel.`,
+    )
+    .addFields(
+      {
+        name: "Verified Role",
+        value: settings.verifiedRoleId
+          ? `<@&${settings.verifiedRoleId}>`
+          : "*Not set*",
+        inline: true,
+      },
+      {
+        name: "Panel",
+        value: settings.panelChannelId
+          ? `<#${settings.panelChannelId}>`
+          : "*Not posted*",
+        inline: true,
+      },
+      {
+        name: "Log Channel",
+        value: settings.logChannelId ? `<#${settings.logChannelId}>` : "*Off*",
+        inline: true,
+      },
+      {
+        name: "Minimum Account Age",
+        value: ageRule,
+        inline: true,
+      },
+      {
+        name: "Kick Unverified After",
+        value:
+          settings.timeoutMinutes > 0
+            ? formatDuration(settings.timeoutMinutes * 60 * 1000)
+            : "*Off*",
+        inline: true,
+      },
+      {
+        name: "Captcha Attempts",
+        value: `${settings.maxAttempts}, then ${settings.failAction === FAIL_ACTIONS.KICK ? "kick" : `wait ${formatDuration(VERIFICATION_LIMITS.FAIL_COOLDOWN_MS)}`}`,
+        inline: true,
+      },
+    )
+    .setTimestamp();
+}
@@ -0,0 +1,615 @@
+import {
+  AttachmentBuilder,
+  MessageFlags,
+  PermissionFlagsBits,
+} from "discord.js";
+import { getLogger } from "../../../utils/logger.js";
+import {
+  errorEmbed,
+  successEmbed,
+} from "../../../utils/discord/responseMessages.js";
+import { parseDuration } from "../../../utils/discord/inputUtils.js";
+import { getVerificationManager } from "../../../features/verification/VerificationManager.js";
+import {
+  FAIL_ACTIONS,
+  VERIFICATION_LIMITS,
+} from "../../../features/verification/config.js";
+import { formatDuration } from "../moderation/utils.js";
+import {
+  createCaptchaChallenge,
+  createVerificationPanel,
+  createVerificationLogEmbed,
+  createVerificationSettingsEmbed,
+} from "./embeds.js";
+import { createCaptchaModal } from "./modals.js";
+
+/**
+ * Load a mutable copy of the guild's verification settings
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object>}
+ */
+async function loadSettings(guildId) {
+  const settings = await getVerificationManager().getSettings(guildId);
+  return JSON.parse(JSON.stringify(settings)); // Deep clone
+}
+
+/**
+ * Save settings and reply with a failure embed if storage rejected them
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} settings - Settings to save
+ * @returns {Promise<boolean>} Whether the save succeeded
+ */
+async function saveSettings(interaction, settings) {
+  const saved = await getVerificationManager().updateSettings(
+    interaction.guild.id,
+    settings,
+  );
+  if (!saved) {
+    await interaction.editReply(
+      errorEmbed({
+        title: "Save Failed",
+        description: "Failed to save the verification settings.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+  return saved;
+}
+
+/**
+ * Check that the bot can post embeds in a channel
+ * @param {import('discord.js').Guild} guild
+ * @param {import('discord.js').GuildBasedChannel} channel
+ * @returns {boolean}
+ */
+function canPostIn(guild, channel) {
+  const permissions = guild.members.me.permissionsIn(channel.id);
+  return (
+    permissions.has(PermissionFlagsBits.ViewChannel) &&
+    permissions.has(PermissionFlagsBits.SendMessages) &&
+    permissions.has(PermissionFlagsBits.EmbedLinks)
+  );
+}
+
+/**
+ * Handle showing the current verification settings
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleView(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const settings = await getVerificationManager().getSettings(
+      interaction.guild.id,
+    );
+
+    return interaction.editReply({
+      embeds: [createVerificationSettingsEmbed(interaction.guild, settings)],
+    });
+  } catch (error) {
+    logger.error("Error in verification view handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to load verification settings.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle posting the verification panel and choosing the verified role
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleSetup(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const channel = /** @type {import('discord.js').TextChannel} */ (
+      interaction.options.getChannel("channel", true)
+    );
+    const role = interaction.options.getRole("role", true);
+    const message = interaction.options.getString("message");
+    const { guild } = interaction;
+    const botMember = guild.members.me;
+
+    if (!botMember.permissions.has(PermissionFlagsBits.ManageRoles)) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Missing Bot Permissions",
+          description:
+            "I need the `Manage Roles` permission to verify members.",
+          solution: "Grant me `Manage Roles` in Server Settings → Roles.",
+        }),
+      );
+    }
+
+    if (
+      role.id === guild.id ||
+      role.managed ||
+      role.position >= botMember.roles.highest.position
+    ) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Invalid Role",
+          description: `I cannot assign ${role} to members.`,
+          solution:
+            "Pick a regular role and move my highest role above it in Server Settings → Roles.",
+        }),
+      );
+    }
+
+    if (!channel.isTextBased() || !canPostIn(guild, channel)) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Cannot Post Panel",
+          description: `I need \`View Channel\`, \`Send Messages\` and \`Embed Links\` in ${channel}.`,
+          solution: `Grant me those permissions in ${channel} and try again.`,
+        }),
+      );
+    }
+
+    const settings = await loadSettings(guild.id);
+
+    const panel = await channel.send(createVerificationPanel(guild, message));
+
+    // Remove the previous panel so members only see one Verify button
+    if (settings.panelChannelId && settings.panelMessageId) {
+      const oldChannel = await guild.channels
+        .fetch(settings.panelChannelId)
+        .catch(() => null);
+      if (oldChannel?.isTextBased()) {
+        await oldChannel.messages
+          .delete(settings.panelMessageId)
+          .catch(() => {});
+      }
+    }
+
+    settings.enabled = true;
+    settings.verifiedRoleId = role.id;
+    settings.panelChannelId = channel.id;
+    settings.panelMessageId = panel.id;
+
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Verification panel posted in #${channel.name} (${guild.name}) by ${interaction.user.tag}`,
+    );
+
+    return interaction.editReply(
+      successEmbed({
+        title: "Verification Enabled",
+        description: `Members who pass the captcha in ${channel} will receive ${role}.`,
+        solution:
+          "Hide your other channels from @everyone and allow the verified role to see them. Use `/verification settings` for account-age rules and a kick timeout.",
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in verification setup handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to set up verification.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle the account-age, timeout and attempt settings
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleSettings(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const minAccountAge = interaction.options.getInteger("min-account-age");
+    const accountAgeAction =
+      interaction.options.getString("account-age-action");
+    const timeout = interaction.options.getString("timeout");
+    const maxAttempts = interaction.options.getInteger("max-attempts");
+    const failAction = interaction.options.getString("fail-action");
+
+    let timeoutMinutes = null;
+    if (timeout) {
+      if (timeout.trim().toLowerCase() === "off") {
+        timeoutMinutes = 0;
+      } else {
+        const milliseconds = parseDuration(timeout.trim());
+        timeoutMinutes = Math.floor(milliseconds / 60000);
+        if (
+          timeoutMinutes < VERIFICATION_LIMITS.MIN_TIMEOUT_MINUTES ||
+          timeoutMinutes > VERIFICATION_LIMITS.MAX_TIMEOUT_MINUTES
+        ) {
+          return interaction.editReply(
+            errorEmbed({
+              title: "Invalid Timeout",
+              description: `"${timeout}" is not a valid verification timeout.`,
+              solution: `Use a duration like \`30m\`, \`2h\` or \`1d\` between ${VERIFICATION_LIMITS.MIN_TIMEOUT_MINUTES} minutes and 1 week, or \`off\`.`,
+            }),
+          );
+        }
+      }
+    }
+
+    if (
+      minAccountAge === null &&
+      !accountAgeAction &&
+      timeoutMinutes === null &&
+      maxAttempts === null &&
+      !failAction
+    ) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Nothing to Update",
+          description: "Provide at least one setting to change.",
+          solution:
+            "Use `min-account-age`, `account-age-action`, `timeout`, `max-attempts` or `fail-action`.",
+        }),
+      );
+    }
+
+    const settings = await loadSettings(interaction.guild.id);
+    if (minAccountAge !== null) settings.minAccountAgeDays = minAccountAge;
+    if (accountAgeAction) settings.accountAgeAction = accountAgeAction;
+    if (timeoutMinutes !== null) settings.timeoutMinutes = timeoutMinutes;
+    if (maxAttempts !== null) settings.maxAttempts = maxAttempts;
+    if (failAction) settings.failAction = failAction;
+
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Verification settings updated in ${interaction.guild.name} by ${interaction.user.tag}`,
+    );
+
+    const details = [
+      `**Minimum account age:** ${settings.minAccountAgeDays > 0 ? `${settings.minAccountAgeDays} day(s) (${settings.accountAgeAction})` : "off"}`,
+      `**Kick unverified after:** ${settings.timeoutMinutes > 0 ? formatDuration(settings.timeoutMinutes * 60 * 1000) : "off"}`,
+      `**Captcha attempts:** ${settings.maxAttempts} (${settings.failAction === FAIL_ACTIONS.KICK ? "then kick" : `then wait ${formatDuration(VERIFICATION_LIMITS.FAIL_COOLDOWN_MS)}`})`,
+    ];
+
+    return interaction.editReply(
+      successEmbed({
+        title: "Verification Settings Updated",
+        description: details.join("\n"),
+        solution:
+          timeoutMinutes > 0
+            ? "The timeout applies to members who join from now on."
+            : null,
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in verification settings handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to update verification settings.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle setting or clearing the verification log channel
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleLogChannel(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const channel = /** @type {import('discord.js').TextChannel} */ (
+      interaction.options.getChannel("channel")
+    );
+    if (channel && !canPostIn(interaction.guild, channel)) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Missing Bot Permissions",
+          description: `I need \`View Channel\`, \`Send Messages\` and \`Embed Links\` in ${channel} to post the verification log.`,
+          solution: `Grant me those permissions in ${channel} and try again.`,
+        }),
+      );
+    }
+
+    const settings = await loadSettings(interaction.guild.id);
+    settings.logChannelId = channel?.id || null;
+
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Verification log channel ${channel ? `set to ${channel.id}` : "cleared"} in ${interaction.guild.name} by ${interaction.user.tag}`,
+    );
+
+    return interaction.editReply(
+      successEmbed({
+        title: "Verification Log Updated",
+        description: channel
+          ? `Verifications, failed captchas and kicks will be posted in ${channel}.`
+          : "Verification events will no longer be logged.",
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in verification log-channel handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to update the verification log channel.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle turning verification on or off
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleToggle(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const enabled = interaction.options.getBoolean("enabled");
+    const settings = await loadSettings(interaction.guild.id);
+
+    if (enabled && !settings.verifiedRoleId) {
+      return interaction.editReply(
+        errorEmbed({
+          title: "Not Set Up",
+          description: "Verification has no panel or verified role yet.",
+          solution: "Run `/verification setup` first.",
+        }),
+      );
+    }
+
+    settings.enabled = enabled;
+    if (!(await saveSettings(interaction, settings))) return;
+
+    logger.info(
+      `Verification ${enabled ? "enabled" : "disabled"} in ${interaction.guild.name} by ${interaction.user.tag}`,
+    );
+
+    return interaction.editReply(
+      successEmbed({
+        title: enabled ? "Verification Enabled" : "Verification Disabled",
+        description: enabled
+          ? "The verification panel is active again."
+          : "The Verify button is paused and unverified members will not be kicked. Your settings have been kept.",
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in verification toggle handler:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to update verification status.",
+        solution: "Please try again or contact support if the issue persists.",
+      }),
+    );
+  }
+}
+
+// ============================================================================
+// PANEL INTERACTIONS
+// ============================================================================
+
+/**
+ * Build a fresh captcha reply for the member pressing a panel button
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @returns {Promise<{error?: Object, reply?: Object}>}
+ */
+async function buildChallengeReply(interaction) {
+  const manager = getVerificationManager();
+  const settings = await manager.getSettings(interaction.guild.id);
+  const member = /** @type {import('discord.js').GuildMember} */ (
+    interaction.member
+  );
+
+  if (!settings.enabled || !settings.verifiedRoleId) {
+    return {
+      error: errorEmbed({
+        title: "Verification Unavailable",
+        description: "Verification is not enabled in this server right now.",
+        solution: "Please contact a server admin.",
+      }),
+    };
+  }
+
+  if (member.roles.cache.has(settings.verifiedRoleId)) {
+    return {
+      error: successEmbed({
+        title: "Already Verified",
+        description: "You are already verified in this server.",
+      }),
+    };
+  }
+
+  if (!manager.meetsAccountAge(member.user, settings)) {
+    await manager.log(
+      interaction.guild,
+      settings,
+      createVerificationLogEmbed(
+        "denied_age",
+        member.user,
+        `Tried to verify with an account younger than ${settings.minAccountAgeDays} day(s).`,
+      ),
+    );
+    return {
+      error: errorEmbed({
+        title: "Account Too New",
+        description: `Your Discord account must be at least ${settings.minAccountAgeDays} day(s) old to verify here.`,
+        solution: "Please try again once your account is old enough.",
+      }),
+    };
+  }
+
+  const challenge = manager.createChallenge(
+    interaction.guild.id,
+    interaction.user.id,
+    settings,
+  );
+  if (!challenge) {
+    const lockedUntil = manager.getLockedUntil(
+      interaction.guild.id,
+      interaction.user.id,
+    );
+    return {
+      error: errorEmbed({
+        title: "Too Many Attempts",
+        description: "You used up all your captcha attempts.",
+        solution: `You can try again <t:${Math.ceil(lockedUntil / 1000)}:R>.`,
+      }),
+    };
+  }
+  return {
+    reply: {
+      ...createCaptchaChallenge(challenge.attemptsLeft, challenge.expiresAt),
+      files: [new AttachmentBuilder(challenge.image, { name: "captcha.png" })],
+    },
+  };
+}
+
+/**
+ * Handle the panel's Verify button
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+export async function handleVerificationStart(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const { error, reply } = await buildChallengeReply(interaction);
+    return interaction.editReply(error || reply);
+  } catch (error) {
+    logger.error("Error starting verification:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to create a captcha.",
+        solution: "Please try again in a moment.",
+      }),
+    );
+  }
+}
+
+/**
+ * Handle the captcha's New Code button
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+export async function handleVerificationRefresh(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferUpdate();
+
+    const { error, reply } = await buildChallengeReply(interaction);
+    return interaction.editReply(
+      error
+        ? { ...error, components: [], attachments: [] }
+        : { ...reply, attachments: [] },
+    );
+  } catch (error) {
+    logger.error("Error refreshing verification captcha:", error);
+  }
+}
+
+/**
+ * Handle the captcha's Enter Code button
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+export async function handleVerificationAnswer(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.showModal(createCaptchaModal());
+  } catch (error) {
+    logger.error("Error opening verification modal:", error);
+  }
+}
+
+/**
+ * Handle a submitted captcha answer
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ */
+export async function handleVerificationModal(interaction) {
+  const logger = getLogger();
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const answer = interaction.fields.getTextInputValue("captcha_answer");
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    const result = await getVerificationManager().submitAnswer(member, answer);
+
+    switch (result.status) {
+      case "verified":
+        return interaction.editReply(
+          successEmbed({
+            title: "Verified",
+            description: `Welcome to **${interaction.guild.name}**! You now have access to the server.`,
+          }),
+        );
+      case "wrong":
+        return interaction.editReply(
+          errorEmbed({
+            title: "Wrong Code",
+            description: `That code did not match. You have ${result.attemptsLeft} attempt(s) left.`,
+            solution:
+              "Press **Enter Code** to try again, or **New Code** for a different image.",
+          }),
+        );
+      case "failed":
+        return interaction.editReply(
+          errorEmbed({
+            title: "Out of Attempts",
+            description:
+              "That code did not match and you have no attempts left.",
+            solution: `You can try again <t:${Math.ceil(result.retryAt / 1000)}:R>.`,
+          }),
+        );
+      case "kicked":
+        return interaction.editReply(
+          errorEmbed({
+            title: "Out of Attempts",
+            description: `That code did not match and you have no attempts left, so you were removed from **${interaction.guild.name}**.`,
+          }),
+        );
+      case "expired":
+        return interaction.editReply(
+          errorEmbed({
+            title: "Captcha Expired",
+            description: "This captcha is no longer valid.",
+            solution: "Press **New Code** to get a new captcha.",
+          }),
+        );
+      default:
+        return interaction.editReply(
+          errorEmbed({
+            title: "Verification Failed",
+            description: result.error,
+          }),
+        );
+    }
+  } catch (error) {
+    logger.error("Error handling verification answer:", error);
+    return interaction.editReply(
+      errorEmbed({
+        title: "Error",
+        description: "Failed to check your answer.",
+        solution: "Please try again in a moment.",
+      }),
+    );
+  }
+}
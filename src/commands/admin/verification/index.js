@@ -0,0 +1,251 @@
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  ChannelType,
+} from "discord.js";
+import { hasAdminPermissions } from "../../../utils/discord/permissions.js";
+import { getLogger } from "../../../utils/logger.js";
+import { errorEmbed } from "../../../utils/discord/responseMessages.js";
+import {
+  ACCOUNT_AGE_ACTIONS,
+  FAIL_ACTIONS,
+  VERIFICATION_LIMITS,
+} from "../../../features/verification/config.js";
+import {
+  handleView,
+  handleSetup,
+  handleSettings,
+  handleLogChannel,
+  handleToggle,
+} from "./handlers.js";
+
+// ============================================================================
+// COMMAND METADATA
+// ============================================================================
+
+/**
+ * Command metadata for centralized registry
+ * This allows the command to be automatically discovered and integrated
+ * into help system, command suggestions, and other features
+ * This is the single source of truth for command information
+ */
+export const metadata = {
+  name: "verification",
+  category: "admin",
+  description: "Gate new members behind a captcha that grants a verified role",
+  keywords: [
+    "verification",
+    "verify",
+    "captcha",
+    "gate",
+    "raid",
+    "bots",
+    "account age",
+    "verified role",
+  ],
+  emoji: "🔐",
+  helpFields: [
+    {
+      name: `How to Use`,
+      value: [
+        "```/verification setup channel:#verify role:@Verified```",
+        "```/verification settings min-account-age:7 account-age-action:kick timeout:1h```",
+        "```/verification log-channel channel:#verification-log```",
+        "```/verification view```",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `Subcommands`,
+      value: [
+        "**setup** - Post the verification panel and choose the role members receive",
+        "**settings** - Set the minimum account age, the kick timeout and captcha attempts",
+        "**log-channel** - Log verifications, failed captchas and kicks to a channel",
+        "**toggle** - Turn verification on or off without losing settings",
+        "**view** - Show the current verification settings",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `How It Works`,
+      value: [
+        "• Members press **Verify** on the panel and type the code from an image captcha",
+        "• Passing the captcha gives them the verified role",
+        "• Accounts younger than the minimum age are refused or kicked on join",
+        "• With a timeout set, members who have not verified in time are kicked",
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: `Permissions`,
+      value:
+        "• **Administrator** permission required\n• Bot needs **Manage Roles** (its role above the verified role) and **Kick Members** for account-age and timeout kicks",
+      inline: false,
+    },
+  ],
+};
+
+// ============================================================================
+// COMMAND DEFINITION
+// ============================================================================
+
+export const data = new SlashCommandBuilder()
+  .setName(metadata.name)
+  .setDescription(metadata.description)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sub =>
+    sub
+      .setName("setup")
+      .setDescription("Post the verification panel and enable verification")
+      .addChannelOption(option =>
+        option
+          .setName("channel")
+          .setDescription("Channel for the verification panel")
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(true),
+      )
+      .addRoleOption(option =>
+        option
+          .setName("role")
+          .setDescription("Role given to members who pass the captcha")
+          .setRequired(true),
+      )
+      .addStringOption(option =>
+        option
+          .setName("message")
+          .setDescription("Custom text for the panel")
+          .setMaxLength(1000)
+          .setRequired(false),
+      ),
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName("settings")
+      .setDescription("Change account-age, timeout and captcha settings")
+      .addIntegerOption(option =>
+        option
+          .setName("min-account-age")
+          .setDescription("Minimum account age in days (0 = off)")
+          .setMinValue(0)
+          .setMaxValue(VERIFICATION_LIMITS.MAX_ACCOUNT_AGE_DAYS)
+          .setRequired(false),
+      )
+      .addStringOption(option =>
+        option
+          .setName("account-age-action")
+          .setDescription("What happens to accounts below the minimum age")
+          .addChoices(
+            { name: "Refuse verification", value: ACCOUNT_AGE_ACTIONS.DENY },
+            { name: "Kick on join", value: ACCOUNT_AGE_ACTIONS.KICK },
+          )
+          .setRequired(false),
+      )
+      .addStringOption(option =>
+        option
+          .setName("timeout")
+          .setDescription(
+            "Kick members who have not verified after this long (e.g. 30m, 1d) or 'off'",
+          )
+          .setRequired(false),
+      )
+      .addIntegerOption(option =>
+        option
+          .setName("max-attempts")
+          .setDescription("Wrong answers allowed before the fail action")
+          .setMinValue(1)
+          .setMaxValue(VERIFICATION_LIMITS.MAX_ATTEMPTS)
+          .setRequired(false),
+      )
+      .addStringOption(option =>
+        option
+          .setName("fail-action")
+          .setDescription("What happens after the last wrong answer")
+          .addChoices(
+            { name: "Wait 15 minutes", value: FAIL_ACTIONS.COOLDOWN },
+            { name: "Kick", value: FAIL_ACTIONS.KICK },
+          )
+          .setRequired(false),
+      ),
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName("log-channel")
+      .setDescription("Set or clear the verification log channel")
+      .addChannelOption(option =>
+        option
+          .setName("channel")
+          .setDescription("Channel for the log (leave empty to turn it off)")
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(false),
+      ),
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName("toggle")
+      .setDescription("Turn verification on or off")
+      .addBooleanOption(option =>
+        option
+          .setName("enabled")
+          .setDescription("Whether verification is active")
+          .setRequired(true),
+      ),
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName("view")
+      .setDescription("Show the current verification settings"),
+  );
+
+export async function execute(interaction) {
+  const logger = getLogger();
+
+  try {
+    if (!hasAdminPermissions(interaction.member)) {
+      const response = errorEmbed({
+        title: "Permission Denied",
+        description:
+          "You need Administrator permissions to configure verification.",
+        solution: "Contact a server administrator for assistance.",
+      });
+      return interaction.reply(response);
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case "setup":
+        return await handleSetup(interaction);
+      case "settings":
+        return await handleSettings(interaction);
+      case "log-channel":
+        return await handleLogChannel(interaction);
+      case "toggle":
+        return await handleToggle(interaction);
+      case "view":
+        return await handleView(interaction);
+      default:
+        break;
+    }
+
+    await interaction.reply(
+      errorEmbed({
+        title: "Unknown Subcommand",
+        description: `The subcommand "${subcommand}" is not recognized.`,
+        solution: "Use setup, settings, log-channel, toggle or view.",
+      }),
+    );
+  } catch (error) {
+    logger.error("Error in verification command:", error);
+    const response = errorEmbed({
+      title: "Error",
+      description: "Failed to process verification command.",
+      solution: "Please try again or contact support if the issue persists.",
+    });
+
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply(response);
+    } else if (interaction.deferred) {
+      await interaction.editReply(response);
+    }
+  }
+}
@@ -0,0 +1,30 @@
+import {
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ActionRowBuilder,
+} from "discord.js";
+import { VERIFICATION_LIMITS } from "../../../features/verification/config.js";
+
+/**
+ * Create the modal a member types the captcha code into
+ * @returns {ModalBuilder}
+ */
+export function createCaptchaModal() {
+  const modal = new ModalBuilder()
+    .setCustomId("verification_modal")
+    .setTitle("Verification");
+
+  const answerInput = new TextInputBuilder()
+    .setCustomId("captcha_answer")
+    .setLabel("Code from the image")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setMinLength(VERIFICATION_LIMITS.CAPTCHA_LENGTH)
+    .setMaxLength(VERIFICATION_LIMITS.CAPTCHA_LENGTH * 2);
+
+  // @ts-ignore
+  modal.addComponents(new ActionRowBuilder().addComponents(answerInput));
+
+  return modal;
+}
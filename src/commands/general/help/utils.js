@@ -106,8 +106,12 @@ export async function sortCommandsByCategory(commands, client = null) {
         name.includes("goodbye") ||
         name.includes("xp") ||
         name.includes("moderation") ||
+        name.includes("automod") ||
+        name.includes("verification") ||
         name.includes("voice-roles") ||
-        name.includes("schedule-role")
+        name.includes("schedule-role") ||
+        name.includes("server-template") ||
+        name.includes("backup")
       ) {
         category = "admin";
       } else if (
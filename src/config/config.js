@@ -313,8 +313,8 @@ class Config {
 
     return {
       packages,
-      // Moderation auto-escalation thresholds
-      // Set to 0 to disable auto-escalation
+      // Default moderation escalation ladder for guilds that have not
+      // configured their own with /moderation escalation
       autoEscalation: {
         timeoutAfterWarnings:
           parseInt(process.env.MODERATION_TIMEOUT_AFTER_WARNINGS, 10) || 3, // Auto-timeout after 3 warnings
@@ -422,6 +422,33 @@ class Config {
     };
   }
 
+  /**
+   * Get scheduled backup settings
+   * Snapshots go to S3-compatible storage when a bucket is set, else to disk.
+   * Scheduled backups are opt-in; restores and safety snapshots always work.
+   * @returns {Object} Backups config object
+   */
+  get backups() {
+    return {
+      enabled: process.env.BACKUP_ENABLED === "true",
+      intervalHours: parseInt(process.env.BACKUP_INTERVAL_HOURS || "24", 10),
+      retention: {
+        keepLast: parseInt(process.env.BACKUP_KEEP_LAST || "3", 10),
+        keepDaily: parseInt(process.env.BACKUP_KEEP_DAILY || "7", 10),
+        keepWeekly: parseInt(process.env.BACKUP_KEEP_WEEKLY || "4", 10),
+      },
+      directory: process.env.BACKUP_DIRECTORY || "./data/backups",
+      s3: {
+        endpoint: process.env.BACKUP_S3_ENDPOINT,
+        region: process.env.BACKUP_S3_REGION || "us-east-1",
+        bucket: process.env.BACKUP_S3_BUCKET,
+        accessKeyId: process.env.BACKUP_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.BACKUP_S3_SECRET_ACCESS_KEY,
+        enabled: !!process.env.BACKUP_S3_BUCKET,
+      },
+    };
+  }
+
   /**
    * Get payment configurations
    * @returns {Object} Payments config object
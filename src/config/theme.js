@@ -302,6 +302,11 @@ export const EMOJIS = {
     BAN: "🚫",
     KICK: "👢",
     UNBAN: "🔓",
+    DELETE: "🗑️",
+    PURGE: "🧹",
+    AUTOMOD: "🤖",
+    APPEAL: "📨",
+    VERIFY: "🔐",
     DEFAULT: "📝",
   },
 
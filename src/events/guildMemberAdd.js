@@ -7,6 +7,7 @@ import {
 } from "../utils/discord/welcomeUtils.js";
 
 import { getAnalyticsManager } from "../features/analytics/AnalyticsManager.js";
+import { getVerificationManager } from "../features/verification/VerificationManager.js";
 
 export const name = "guildMemberAdd";
 export const once = false;
@@ -25,6 +26,12 @@ export async function execute(member) {
     const analyticsManager = await getAnalyticsManager();
     await analyticsManager.recordJoin(member.guild.id);
 
+    // Apply verification rules first - members kicked for account age get no welcome
+    const kicked = await getVerificationManager().handleMemberJoin(member);
+    if (kicked) {
+      return;
+    }
+
     // Get database manager and welcome settings
     const dbManager = await getDatabaseManager();
 
@@ -6,6 +6,7 @@ import {
 } from "../utils/discord/goodbyeUtils.js";
 
 import { getAnalyticsManager } from "../features/analytics/AnalyticsManager.js";
+import { getVerificationManager } from "../features/verification/VerificationManager.js";
 
 export const name = "guildMemberRemove";
 export const once = false;
@@ -25,6 +26,9 @@ export async function execute(member) {
     const analyticsManager = await getAnalyticsManager();
     await analyticsManager.recordLeave(member.guild.id);
 
+    // Stop tracking the member's verification deadline
+    await getVerificationManager().handleMemberLeave(member);
+
     // Get database manager and goodbye settings
     const dbManager = await getDatabaseManager();
 
@@ -1,6 +1,8 @@
 import { Events } from "discord.js";
 import { getLogger } from "../utils/logger.js";
 import { getExperienceManager } from "../features/experience/ExperienceManager.js";
+import { getAutoModManager } from "../features/automod/AutoModManager.js";
+import { getTicketAutomation } from "../features/ticketing/TicketAutomation.js";
 import { chatService } from "../utils/ai/index.js";
 import { getUserData } from "../commands/general/core/utils.js";
 import {
@@ -32,6 +34,17 @@ export async function execute(message, client) {
       return;
     }
 
+    // Run auto-moderation first - actioned messages get no AI reply or XP
+    const actioned = await getAutoModManager().handleMessage(message, client);
+    if (actioned) {
+      return;
+    }
+
+    // Ticket automation: keyword routing and canned responses
+    if (message.channel.isThread()) {
+      await getTicketAutomation().onTicketMessage(message);
+    }
+
     // Check if bot is mentioned via explicit ping or reply (ignores @everyone/@here and role mentions)
     const isBotMentioned = message.mentions.users.has(client.user.id);
 
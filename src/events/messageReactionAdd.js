@@ -1,9 +1,15 @@
 import { Events } from "discord.js";
 import {
   getRoleMapping,
+  resolveEntryRoleIds,
   incrementRoleUsage,
+  decrementRoleUsage,
   getRoleUsageCount,
 } from "../utils/discord/roleMappingManager.js";
+import {
+  checkEntryRules,
+  notifyRoleDenied,
+} from "../utils/discord/roleReactionRules.js";
 import { getLogger } from "../utils/logger.js";
 import { getCachedMember } from "../utils/discord/roleManager.js";
 
@@ -48,19 +54,11 @@ export async function execute(reaction, user, client) {
       return;
     }
 
-    let rolesObj = roleMapping.roles ? roleMapping.roles : roleMapping;
-
-    // Capture selectionMode before unwrapping (it lives alongside roles)
-    const selectionMode =
-      roleMapping.selectionMode || rolesObj.selectionMode || "standard";
+    const { roles, selectionMode, style } = roleMapping;
 
-    // Handle double-nested roles (cache stores { roles: {emoji_map}, hideList })
-    if (
-      rolesObj.roles &&
-      typeof rolesObj.roles === "object" &&
-      !Array.isArray(rolesObj.roles)
-    ) {
-      rolesObj = rolesObj.roles;
+    // Button and dropdown panels ignore reactions
+    if (style !== "reactions") {
+      return;
     }
 
     // Handle both custom emojis and Unicode emojis
@@ -73,13 +71,13 @@ export async function execute(reaction, user, client) {
       emoji = reaction.emoji.name;
     }
 
-    const roleConfig = rolesObj[emoji];
+    const roleConfig = roles[emoji];
     if (!roleConfig) {
       return;
     }
 
     // Check max usage limit BEFORE assigning role
-    if (roleConfig.limit && roleConfig.limit > 0) {
+    if (selectionMode !== "drop" && roleConfig.limit && roleConfig.limit > 0) {
       const currentUsage = await getRoleUsageCount(reaction.message.id, emoji);
       if (currentUsage >= roleConfig.limit) {
         logger.info(
@@ -87,34 +85,42 @@ export async function execute(reaction, user, client) {
         );
         // Remove the user's reaction since they can't get the role
         await reaction.users.remove(user.id).catch(() => {});
+        await notifyRoleDenied(
+          user,
+          guild,
+          `${emoji} is full: it is limited to **${roleConfig.limit}** members.`,
+        );
         return;
       }
     }
 
-    // Handle multiple roles per emoji (Phase 1 implementation)
-    let roleIds = [];
-
-    // Check if this is a multi-role configuration
-    if (roleConfig.roleIds && Array.isArray(roleConfig.roleIds)) {
-      // Multiple roles stored as roleIds array
-      roleIds = roleConfig.roleIds;
-    } else if (roleConfig.roleId) {
-      // Single role (legacy format)
-      roleIds = [roleConfig.roleId];
-    } else if (typeof roleConfig === "string") {
-      // Simple string format (legacy)
-      roleIds = [roleConfig];
-    } else {
-      // Fallback to finding by name
-      const roleName =
-        roleConfig.roleName || roleConfig.role || roleConfig.name;
-      const role = guild.roles.cache.find(r => r.name === roleName);
-      if (role) {
-        roleIds = [role.id];
+    const roleIds = resolveEntryRoleIds(roleConfig, guild);
+    if (roleIds.length === 0) {
+      return;
+    }
+
+    // Drop mode: reacting takes the roles away, the reaction is cleared
+    if (selectionMode === "drop") {
+      const rolesToRemove = roleIds.filter(id => member.roles.cache.has(id));
+      if (rolesToRemove.length > 0) {
+        await member.roles.remove(rolesToRemove);
+        if (roleConfig.limit && roleConfig.limit > 0) {
+          await decrementRoleUsage(reaction.message.id, emoji);
+        }
+        logger.info(
+          `🔄 Drop mode: removed ${rolesToRemove.length} role(s) from ${user.tag}`,
+        );
       }
+      await reaction.users.remove(user.id).catch(() => {});
+      return;
     }
 
-    if (roleIds.length === 0) {
+    // Required roles, blocked roles and minimum level
+    const ruleCheck = await checkEntryRules(member, roleConfig);
+    if (!ruleCheck.allowed) {
+      logger.info(`⛔ Role rules denied ${emoji} for ${user.tag}`);
+      await reaction.users.remove(user.id).catch(() => {});
+      await notifyRoleDenied(user, guild, ruleCheck.reason);
       return;
     }
 
@@ -128,37 +134,14 @@ export async function execute(reaction, user, client) {
       // Collect all remove operations to run in parallel
       const removeOps = [];
 
-      for (const [emojiKey, config] of Object.entries(rolesObj)) {
-        // Skip non-role keys
-        if (
-          emojiKey === "hideList" ||
-          emojiKey === "selectionMode" ||
-          emojiKey === "roles"
-        )
-          continue;
-        if (
-          typeof config === "boolean" ||
-          config === null ||
-          config === undefined
-        )
-          continue;
+      for (const [emojiKey, config] of Object.entries(roles)) {
         // Skip the current emoji (the one they just reacted to)
         if (emojiKey === emoji) continue;
 
-        // Resolve role IDs for this emoji (support multiple roles)
-        let otherRoleIds = [];
-        if (config.roleIds && Array.isArray(config.roleIds)) {
-          otherRoleIds = config.roleIds;
-        } else if (config.roleId) {
-          otherRoleIds = [config.roleId];
-        } else if (typeof config === "string") {
-          otherRoleIds = [config];
-        }
-
         // Collect roles to remove in a single API call for this member
         const rolesToRemoveFromMember = [];
 
-        for (const otherRoleId of otherRoleIds) {
+        for (const otherRoleId of resolveEntryRoleIds(config, guild)) {
           if (otherRoleId && member.roles.cache.has(otherRoleId)) {
             rolesToRemoveFromMember.push(otherRoleId);
           }
@@ -231,7 +214,7 @@ export async function execute(reaction, user, client) {
       return;
     }
 
-    // Standard toggle mode
+    // Standard and verify modes
     // Find missing roles
     const rolesToAdd = roleIds.filter(id => !member.roles.cache.has(id));
 
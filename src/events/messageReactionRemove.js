@@ -1,6 +1,7 @@
 import { Events } from "discord.js";
 import {
   getRoleMapping,
+  resolveEntryRoleIds,
   decrementRoleUsage,
 } from "../utils/discord/roleMappingManager.js";
 import { getLogger } from "../utils/logger.js";
@@ -46,15 +47,16 @@ export async function execute(reaction, user, client) {
       return;
     }
 
-    let rolesObj = roleMapping.roles ? roleMapping.roles : roleMapping;
+    const { roles, selectionMode, style } = roleMapping;
 
-    // Handle double-nested roles (cache stores { roles: {emoji_map}, hideList })
-    if (
-      rolesObj.roles &&
-      typeof rolesObj.roles === "object" &&
-      !Array.isArray(rolesObj.roles)
-    ) {
-      rolesObj = rolesObj.roles;
+    // Button and dropdown panels ignore reactions
+    if (style !== "reactions") {
+      return;
+    }
+
+    // Verify mode keeps roles on unreact; drop mode clears reactions itself
+    if (selectionMode === "verify" || selectionMode === "drop") {
+      return;
     }
 
     // Handle both custom emojis and Unicode emojis
@@ -67,33 +69,12 @@ export async function execute(reaction, user, client) {
       emoji = reaction.emoji.name;
     }
 
-    const roleConfig = rolesObj[emoji];
+    const roleConfig = roles[emoji];
     if (!roleConfig) {
       return;
     }
 
-    // Handle multiple roles per emoji
-    let roleIds = [];
-
-    // Check if this is a multi-role configuration
-    if (roleConfig.roleIds && Array.isArray(roleConfig.roleIds)) {
-      roleIds = roleConfig.roleIds;
-    } else if (roleConfig.roleId) {
-      // Single role (legacy format)
-      roleIds = [roleConfig.roleId];
-    } else if (typeof roleConfig === "string") {
-      // Simple string format (legacy)
-      roleIds = [roleConfig];
-    } else {
-      // Fallback to finding by name
-      const roleName =
-        roleConfig.roleName || roleConfig.role || roleConfig.name;
-      const role = guild.roles.cache.find(r => r.name === roleName);
-      if (role) {
-        roleIds = [role.id];
-      }
-    }
-
+    const roleIds = resolveEntryRoleIds(roleConfig, guild);
     if (roleIds.length === 0) {
       return;
     }
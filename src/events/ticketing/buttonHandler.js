@@ -7,6 +7,8 @@
  *   - ticketClaim   → Handles claim (in-thread and external Quiet Claim)
  *   - ticketClose   → Handles close, transcript, and archival
  *   - ticketActions  → Handles add-user and transfer modals
+ *   - ticketKeepOpen → Handles "Keep Open" on inactivity warnings
+ *   - ticketRating  → Handles star ratings and feedback sent by DM after close
  */
 
 import { handleTicketCreate } from "./handlers/ticketCreate.js";
@@ -16,6 +18,11 @@ import {
   handleTicketAddUser,
   handleTicketTransfer,
 } from "./handlers/ticketActions.js";
+import { handleTicketKeepOpen } from "./handlers/ticketKeepOpen.js";
+import {
+  handleTicketRating,
+  handleTicketRatingFeedback,
+} from "./handlers/ticketRating.js";
 
 /**
  * Handle ticket button interactions
@@ -49,6 +56,21 @@ export async function handleTicketButtons(interaction) {
     return await handleTicketTransfer(interaction);
   }
 
+  // Keep open button (on inactivity warnings): ticket_keep_open
+  if (customId === "ticket_keep_open") {
+    return await handleTicketKeepOpen(interaction);
+  }
+
+  // Feedback button (on a rating DM): ticket_rate_feedback_*
+  if (customId.startsWith("ticket_rate_feedback_")) {
+    return await handleTicketRatingFeedback(interaction);
+  }
+
+  // Star buttons (on a rating DM): ticket_rate_<stars>_*
+  if (customId.startsWith("ticket_rate_")) {
+    return await handleTicketRating(interaction);
+  }
+
   // External claim button (from staff alert): ticket_claim_external_*
   if (customId.startsWith("ticket_claim_external_")) {
     const ticketId = customId.replace("ticket_claim_external_", "");
@@ -106,6 +106,7 @@ export async function handleTicketClose(interaction) {
       ticket.ticketId,
       userId,
       "Closed via button",
+      interaction.client,
     );
     if (!success) {
       return interaction.editReply({
@@ -146,10 +147,9 @@ export async function handleTicketClose(interaction) {
     // Handle log channel
     if (transcriptResult.success) {
       try {
-        const settings =
-          await ticketManager.storage.dbManager.guildSettings.getByGuild(
-            interaction.guildId,
-          );
+        const settings = await ticketManager.storage.getGuildSettings(
+          interaction.guildId,
+        );
         const logChannelId = settings?.ticketSettings?.transcriptChannelId;
 
         if (logChannelId) {
@@ -2,16 +2,29 @@ import {
   ChannelType,
   ThreadAutoArchiveDuration,
   MessageFlags,
+  ModalBuilder,
+  ActionRowBuilder,
+  TextInputBuilder,
+  TextInputStyle,
 } from "discord.js";
 import { getTicketManager } from "../../../features/ticketing/TicketManager.js";
 import { getTicketPanel } from "../../../features/ticketing/TicketPanel.js";
+import { getTicketAutomation } from "../../../features/ticketing/TicketAutomation.js";
 import { getLogger } from "../../../utils/logger.js";
+import {
+  getAllModalFieldValues,
+  validateModalInput,
+} from "../../../utils/validation/formValidation.js";
+import { INTAKE_FORM } from "../../../features/ticketing/config.js";
 import {
   getStaffRoles,
   getStaffNotificationChannel,
+  getSlaTargets,
+  getSlaStatus,
 } from "../../../features/ticketing/helpers.js";
 import {
   createTicketWelcomeEmbed,
+  createIntakeAnswersEmbed,
   createTicketActionButtons,
   createStaffAlertEmbed,
   createStaffAlertButtons,
@@ -22,15 +35,105 @@ import {
 const logger = getLogger();
 
 /**
- * Handle ticket creation from panel button
+ * Handle ticket creation from panel button.
+ * Categories with intake questions ask them in a modal first.
  * @param {import('discord.js').ButtonInteraction} interaction
  * @param {string} customId
  */
 export async function handleTicketCreate(interaction, customId) {
+  const categoryId = customId.replace("ticket_create_", "");
+
+  try {
+    const ticketPanel = getTicketPanel();
+    await ticketPanel.initialize();
+
+    const panel = await ticketPanel.getPanelByMessage(interaction.message.id);
+    const questions =
+      panel?.categories?.find(c => c.id === categoryId)?.questions || [];
+
+    if (questions.length > 0) {
+      return await interaction.showModal(
+        createIntakeModal(categoryId, questions),
+      );
+    }
+  } catch (error) {
+    logger.error("Failed to show intake form:", error);
+  }
+
+  return await createTicketFromPanel(interaction, categoryId);
+}
+
+/**
+ * Handle intake form submission, then create the ticket
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ */
+export async function handleTicketIntakeSubmit(interaction) {
+  const categoryId = interaction.customId.replace("ticket_intake_", "");
+  return await createTicketFromPanel(interaction, categoryId);
+}
+
+/**
+ * Build the intake modal of a category
+ * @param {string} categoryId
+ * @param {Array<{label: string}>} questions
+ * @returns {ModalBuilder}
+ */
+function createIntakeModal(categoryId, questions) {
+  const modal = new ModalBuilder()
+    .setCustomId(`ticket_intake_${categoryId}`)
+    .setTitle("Open a Ticket");
+
+  const rows = questions
+    .slice(0, INTAKE_FORM.MAX_QUESTIONS)
+    .map((question, index) =>
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId(`intake_${index}`)
+          .setLabel(question.label)
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+          .setMaxLength(INTAKE_FORM.MAX_ANSWER_LENGTH),
+      ),
+    );
+  // @ts-ignore
+  modal.addComponents(...rows);
+
+  return modal;
+}
+
+/**
+ * Read the intake answers of a modal submission
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ * @param {Array<{label: string}>} questions
+ * @returns {{intake: Array<{question: string, answer: string}>, error: import('discord.js').EmbedBuilder|null}}
+ */
+function readIntakeAnswers(interaction, questions) {
+  const values = getAllModalFieldValues(interaction);
+  const intake = [];
+
+  for (const [index, question] of questions.entries()) {
+    const validation = validateModalInput(
+      values[`intake_${index}`],
+      question.label,
+      { maxLength: INTAKE_FORM.MAX_ANSWER_LENGTH },
+    );
+    if (!validation.valid) return { intake: [], error: validation.error };
+
+    intake.push({ question: question.label, answer: validation.sanitized });
+  }
+
+  return { intake, error: null };
+}
+
+/**
+ * Create a ticket for a panel category
+ * @param {import('discord.js').ButtonInteraction|import('discord.js').ModalSubmitInteraction} interaction
+ * @param {string} categoryId
+ */
+async function createTicketFromPanel(interaction, categoryId) {
   try {
     await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
 
-    const categoryId = customId.replace("ticket_create_", "");
     const userId = interaction.user.id;
     const guildId = interaction.guildId;
     const guild = interaction.guild;
@@ -42,8 +145,7 @@ export async function handleTicketCreate(interaction, customId) {
     await ticketPanel.initialize();
 
     // Verify required settings are configured
-    const guildSettings =
-      await ticketManager.storage.dbManager.guildSettings.getByGuild(guildId);
+    const guildSettings = await ticketManager.storage.getGuildSettings(guildId);
     const ts = guildSettings?.ticketSettings;
 
     if (
@@ -122,7 +224,7 @@ export async function handleTicketCreate(interaction, customId) {
     }
 
     // Get panel info
-    const panel = await ticketPanel.getPanelByMessage(interaction.message.id);
+    const panel = await ticketPanel.getPanelByMessage(interaction.message?.id);
     if (!panel) {
       return interaction.editReply({
         embeds: [
@@ -135,9 +237,36 @@ export async function handleTicketCreate(interaction, customId) {
       });
     }
 
+    // Get category settings from panel structure
+    const panelCategories = panel.categories || [];
+    let selectedCategory = panelCategories.find(c => c.id === categoryId);
+
+    // Provide safe defaults if the category was deleted or is the default
+    if (!selectedCategory) {
+      selectedCategory = {
+        name: "General Support",
+        description: "A staff member will arrive shortly to assist you.",
+        emoji: "🎫",
+        color: 0x5865f2,
+        id: "default",
+      };
+    }
+
+    // Intake answers only exist when the category asked its questions
+    let intake = [];
+    if (interaction.isModalSubmit() && selectedCategory.questions?.length) {
+      const answers = readIntakeAnswers(
+        interaction,
+        selectedCategory.questions,
+      );
+      if (answers.error) {
+        return interaction.editReply({ embeds: [answers.error] });
+      }
+      intake = answers.intake;
+    }
+
     // Get next ticket number from atomic counter (peek only, actual increment happens in TicketManager.createTicket)
-    const settings =
-      await ticketManager.storage.dbManager.guildSettings.getByGuild(guildId);
+    const settings = await ticketManager.storage.getGuildSettings(guildId);
     const ticketNumber = (settings?.counters?.ticket || 0) + 1;
     const channelName = `ticket-${ticketNumber.toString().padStart(4, "0")}`;
 
@@ -214,6 +343,8 @@ export async function handleTicketCreate(interaction, customId) {
         userId,
         userDisplayName: interaction.user.displayName,
         categoryId: categoryId === "default" ? "default" : categoryId,
+        priority: selectedCategory.priority,
+        intake,
       });
 
       if (!ticket) {
@@ -248,20 +379,11 @@ export async function handleTicketCreate(interaction, customId) {
       });
     }
 
-    // Get category settings from panel structure
-    const panelCategories = panel.categories || [];
-    let selectedCategory = panelCategories.find(c => c.id === categoryId);
-
-    // Provide safe defaults if the category was deleted or is the default
-    if (!selectedCategory) {
-      selectedCategory = {
-        name: "General Support",
-        description: "A staff member will arrive shortly to assist you.",
-        emoji: "🎫",
-        color: 0x5865f2,
-        id: "default",
-      };
-    }
+    const slaSettings = await ticketManager.getSlaSettings(guildId);
+    const firstResponseDue = getSlaStatus(
+      ticket,
+      getSlaTargets(ticket.priority, slaSettings.targets),
+    ).firstResponse.dueAt;
 
     // Send welcome message using specific category data
     const welcomeEmbed = createTicketWelcomeEmbed({
@@ -269,9 +391,24 @@ export async function handleTicketCreate(interaction, customId) {
       ticketNumber: ticketNumber.toString().padStart(4, "0"),
       userName: `<@${userId}>`,
       category: selectedCategory,
+      priority: ticket.priority,
+      firstResponseDue,
       client: interaction.client,
     });
 
+    if (intake.length > 0) {
+      await channel.send({
+        embeds: [
+          createIntakeAnswersEmbed({
+            intake,
+            userName: interaction.user.displayName,
+            category: selectedCategory,
+            client: interaction.client,
+          }),
+        ],
+      });
+    }
+
     const actionButtons = createTicketActionButtons({
       canClaim: false,
       canClose: true,
@@ -285,6 +422,9 @@ export async function handleTicketCreate(interaction, customId) {
       components: actionButtons,
     });
 
+    // Tag and auto-assign the ticket (Pro Engine automation rules)
+    await getTicketAutomation().onTicketCreated({ ticket, guild, channel });
+
     // Notify user
     await interaction.editReply({
       embeds: [
@@ -309,6 +449,8 @@ export async function handleTicketCreate(interaction, customId) {
         channelName: channel.name,
         guildId: interaction.guildId,
         category: selectedCategory,
+        priority: ticket.priority,
+        firstResponseDue,
         client: interaction.client,
       });
 
@@ -0,0 +1,74 @@
+import { MessageFlags } from "discord.js";
+import { getTicketManager } from "../../../features/ticketing/TicketManager.js";
+import { getLogger } from "../../../utils/logger.js";
+import {
+  createErrorEmbed,
+  createSuccessEmbed,
+} from "../../../features/ticketing/embeds.js";
+
+const logger = getLogger();
+
+/**
+ * Handle the "Keep Open" button on an inactivity warning
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+export async function handleTicketKeepOpen(interaction) {
+  try {
+    const ticketManager = getTicketManager();
+    await ticketManager.initialize();
+
+    const ticket = await ticketManager.getTicketByChannel(
+      interaction.channelId,
+    );
+
+    if (!ticket || ticket.status !== "open") {
+      return interaction.reply({
+        embeds: [
+          createErrorEmbed(
+            "This ticket is no longer open.",
+            "Invalid Action",
+            interaction.client,
+          ),
+        ],
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
+
+    await ticketManager.updateAutoClose(ticket.ticketId, {
+      lastActivityAt: new Date(),
+      autoCloseWarning: null,
+    });
+
+    await interaction.update({
+      content: null,
+      embeds: [
+        createSuccessEmbed(
+          `<@${interaction.user.id}> kept this ticket open.`,
+          "Ticket Kept Open",
+          interaction.client,
+        ),
+      ],
+      components: [],
+    });
+
+    logger.info(
+      `🎫 Ticket ${ticket.ticketId} kept open by ${interaction.user.tag}`,
+    );
+  } catch (error) {
+    logger.error("Error keeping ticket open:", error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction
+        .reply({
+          embeds: [
+            createErrorEmbed(
+              "Failed to keep this ticket open. Please try again.",
+              "Error",
+              interaction.client,
+            ),
+          ],
+          flags: [MessageFlags.Ephemeral],
+        })
+        .catch(() => {});
+    }
+  }
+}
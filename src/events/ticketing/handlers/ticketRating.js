@@ -0,0 +1,219 @@
+import {
+  ModalBuilder,
+  ActionRowBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  MessageFlags,
+} from "discord.js";
+import { getTicketManager } from "../../../features/ticketing/TicketManager.js";
+import { getLogger } from "../../../utils/logger.js";
+import { formatRating } from "../../../features/ticketing/helpers.js";
+import { RATINGS } from "../../../features/ticketing/config.js";
+import {
+  createErrorEmbed,
+  createSuccessEmbed,
+  createRatingFeedbackButtons,
+} from "../../../features/ticketing/embeds.js";
+
+const logger = getLogger();
+
+/**
+ * Get a ticket the interaction author opened, replying with an error otherwise
+ * @returns {Promise<Object|null>}
+ */
+async function getOwnTicket(interaction, ticketId) {
+  const ticketManager = getTicketManager();
+  await ticketManager.initialize();
+
+  const ticket = ticketId ? await ticketManager.getTicket(ticketId) : null;
+  if (ticket?.userId === interaction.user.id && ticket.status === "closed") {
+    return ticket;
+  }
+
+  await interaction.reply({
+    embeds: [
+      createErrorEmbed(
+        "This ticket can no longer be rated.",
+        "Invalid Action",
+        interaction.client,
+      ),
+    ],
+    flags: [MessageFlags.Ephemeral],
+  });
+  return null;
+}
+
+function createThanksEmbed(interaction, ticket, rating) {
+  const embed = createSuccessEmbed(
+    `You rated ticket #${ticket.ticketId.split("-").pop()} **${formatRating(rating.stars)}**. Thank you!`,
+    "Thanks for Your Rating",
+    interaction.client,
+  );
+  if (rating.feedback) {
+    embed.addFields({ name: "Feedback", value: rating.feedback });
+  }
+  return embed;
+}
+
+/**
+ * Handle a star button on a rating request: ticket_rate_<stars>_<ticketId>
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+export async function handleTicketRating(interaction) {
+  try {
+    const [, starsInput, ticketId] =
+      interaction.customId.match(/^ticket_rate_(\d+)_(.+)$/) || [];
+    const stars = Number(starsInput);
+
+    const ticket = await getOwnTicket(interaction, ticketId);
+    if (!ticket) return;
+
+    // A second click (e.g. from another device) shows the stored rating
+    if (ticket.rating) {
+      return interaction.update({
+        embeds: [createThanksEmbed(interaction, ticket, ticket.rating)],
+        components: ticket.rating.feedback
+          ? []
+          : createRatingFeedbackButtons(ticket.ticketId),
+      });
+    }
+
+    if (!Number.isInteger(stars) || stars < 1 || stars > RATINGS.MAX_STARS) {
+      throw new Error(`Invalid rating: ${starsInput}`);
+    }
+
+    const rated = await getTicketManager().rateTicket(ticket, stars);
+    if (!rated) {
+      throw new Error(`Rating was not stored for ${ticket.ticketId}`);
+    }
+
+    return interaction.update({
+      embeds: [createThanksEmbed(interaction, ticket, { stars })],
+      components: createRatingFeedbackButtons(ticket.ticketId),
+    });
+  } catch (error) {
+    logger.error("Ticket rating error:", error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction
+        .reply({
+          embeds: [
+            createErrorEmbed(
+              "Failed to save your rating. Please try again.",
+              "Rating Failed",
+              interaction.client,
+            ),
+          ],
+          flags: [MessageFlags.Ephemeral],
+        })
+        .catch(() => {});
+    }
+  }
+}
+
+/**
+ * Handle the "Add Feedback" button (shows modal)
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+export async function handleTicketRatingFeedback(interaction) {
+  try {
+    const ticketId = interaction.customId.replace("ticket_rate_feedback_", "");
+
+    const ticket = await getOwnTicket(interaction, ticketId);
+    if (!ticket) return;
+
+    if (!ticket.rating) {
+      throw new Error(`Feedback for unrated ticket ${ticket.ticketId}`);
+    }
+    if (ticket.rating.feedback) {
+      return interaction.update({
+        embeds: [createThanksEmbed(interaction, ticket, ticket.rating)],
+        components: [],
+      });
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`ticket_rate_modal_${ticket.ticketId}`)
+      .setTitle(`Feedback for Ticket #${ticket.ticketId.split("-").pop()}`);
+
+    const feedbackInput = new TextInputBuilder()
+      .setCustomId("feedback")
+      .setLabel("What went well, and what could be better?")
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(true)
+      .setMaxLength(RATINGS.MAX_FEEDBACK_LENGTH);
+
+    const actionRow = new ActionRowBuilder().addComponents(feedbackInput);
+    // @ts-ignore
+    modal.addComponents(actionRow);
+
+    return interaction.showModal(modal);
+  } catch (error) {
+    logger.error("Ticket rating feedback error:", error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction
+        .reply({
+          embeds: [
+            createErrorEmbed(
+              "Failed to open the feedback form. Please try again.",
+              "Feedback Failed",
+              interaction.client,
+            ),
+          ],
+          flags: [MessageFlags.Ephemeral],
+        })
+        .catch(() => {});
+    }
+  }
+}
+
+/**
+ * Handle the rating feedback modal: ticket_rate_modal_<ticketId>
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ */
+export async function handleTicketRatingModal(interaction) {
+  try {
+    const ticketId = interaction.customId.replace("ticket_rate_modal_", "");
+    const feedback = interaction.fields.getTextInputValue("feedback")?.trim();
+
+    const ticket = await getOwnTicket(interaction, ticketId);
+    if (!ticket) return;
+
+    if (!ticket.rating) {
+      throw new Error(`Feedback for unrated ticket ${ticket.ticketId}`);
+    }
+
+    const saved =
+      !!feedback &&
+      (await getTicketManager().addRatingFeedback(ticket.ticketId, feedback));
+
+    const reply = {
+      embeds: [
+        createThanksEmbed(interaction, ticket, {
+          ...ticket.rating,
+          feedback: saved ? feedback : ticket.rating.feedback,
+        }),
+      ],
+      components: [],
+    };
+
+    return interaction.isFromMessage()
+      ? interaction.update(reply)
+      : interaction.reply(reply);
+  } catch (error) {
+    logger.error("Ticket rating modal error:", error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction
+        .reply({
+          embeds: [
+            createErrorEmbed(
+              "Failed to save your feedback. Please try again.",
+              "Feedback Failed",
+              interaction.client,
+            ),
+          ],
+          flags: [MessageFlags.Ephemeral],
+        })
+        .catch(() => {});
+    }
+  }
+}
@@ -9,6 +9,8 @@ import {
   getStaffRoleId,
 } from "../../features/ticketing/helpers.js";
 import { getLogger } from "../../utils/logger.js";
+import { handleTicketIntakeSubmit } from "./handlers/ticketCreate.js";
+import { handleTicketRatingModal } from "./handlers/ticketRating.js";
 import { INPUT_LIMITS } from "../../utils/validation/inputValidation.js";
 import {
   validateModalInput,
@@ -33,6 +35,16 @@ export async function handleTicketModals(interaction) {
   if (customId === "ticket_transfer_modal") {
     return await handleTransferModal(interaction);
   }
+
+  // Intake form modal (from panel buttons): ticket_intake_*
+  if (customId.startsWith("ticket_intake_")) {
+    return await handleTicketIntakeSubmit(interaction);
+  }
+
+  // Rating feedback modal (from rating DMs): ticket_rate_modal_*
+  if (customId.startsWith("ticket_rate_modal_")) {
+    return await handleTicketRatingModal(interaction);
+  }
 }
 
 /**
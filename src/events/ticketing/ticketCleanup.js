@@ -1,14 +1,13 @@
 import { getTicketTranscript } from "../../features/ticketing/TicketTranscript.js";
 import { getTicketManager } from "../../features/ticketing/TicketManager.js";
-import { createTicketClosedEmbed } from "../../features/ticketing/embeds.js";
-import { formatDuration } from "../../features/ticketing/helpers.js";
 import { getLogger } from "../../utils/logger.js";
 
 const logger = getLogger();
 let cleanupInterval = null;
 
 /**
- * Auto-cleanup cron job for expired transcripts and tickets
+ * Auto-cleanup cron job for expired transcripts and tickets whose channel is gone.
+ * Idle tickets are closed by the TicketAutoCloseScheduler.
  * Runs every 6 hours
  * @param {import('discord.js').Client} client - Discord client instance
  */
@@ -50,20 +49,9 @@ async function runCleanup(client) {
     const storage = await import("../../utils/storage/storageManager.js");
     const storageManager = await storage.getStorageManager();
 
-    if (!storageManager.dbManager) {
-      logger.warn("Database not available, skipping ticket cleanup");
-      return;
-    }
-
-    // Get all guilds with tickets using aggregation
-    const result = await storageManager.dbManager.tickets.collection
-      .aggregate([
-        { $match: { status: "open" } },
-        { $group: { _id: "$guildId" } },
-      ])
-      .toArray();
-
-    const guildIds = result.map(r => r._id);
+    // Get all guilds with open tickets
+    const openTickets = await storageManager.getOpenTickets();
+    const guildIds = [...new Set(openTickets.map(ticket => ticket.guildId))];
 
     let totalDeleted = 0;
     let totalTranscriptsDeleted = 0;
@@ -109,7 +97,7 @@ async function cleanupGuild(guildId, storageManager, client) {
   await ticketManager.initialize();
   await ticketTranscript.initialize();
 
-  // Get expired tickets (7+ days inactive for free, 30+ for pro)
+  // Get tickets past the transcript retention window
   const expiredTickets = await ticketManager.getExpiredTickets(guildId);
 
   let ticketsDeleted = 0;
@@ -138,80 +126,6 @@ async function cleanupGuild(guildId, storageManager, client) {
         logger.info(
           `🎫 Deleted ticket ${ticket.ticketId} (channel no longer exists)`,
         );
-        continue;
-      }
-
-      // Get settings to determine tier limits
-      const isPro = await ticketManager.premiumManager.isFeatureActive(
-        guildId,
-        "pro_engine",
-      );
-      const inactiveDays = isPro ? 30 : 7;
-      const inactiveMs = inactiveDays * 24 * 60 * 60 * 1000;
-
-      // Check last message activity
-      const messages = await channel.messages
-        .fetch({ limit: 1 })
-        .catch(() => null);
-      let lastActivity = new Date(ticket.updatedAt).getTime();
-
-      if (messages && messages.size > 0) {
-        lastActivity = messages.first().createdAt.getTime();
-      }
-
-      const timeSinceActivity = Date.now() - lastActivity;
-
-      if (timeSinceActivity > inactiveMs) {
-        // Generate transcript before closing
-        await ticketTranscript.generateFromChannel({
-          ticketId: ticket.ticketId,
-          guildId,
-          channel,
-          ticket,
-          format: "html",
-        });
-
-        // Send a final notification embed
-        const duration = formatDuration(new Date(ticket.openedAt), new Date());
-        const closeEmbed = createTicketClosedEmbed({
-          ticketNumber: ticket.ticketId.split("-").pop(),
-          closedBy: "System",
-          reason: `Auto-closed: inactive for ${inactiveDays}+ days`,
-          duration,
-          client: guild.client,
-        });
-
-        try {
-          await channel.send({ embeds: [closeEmbed] });
-        } catch (_e) {
-          logger.warn(`Could not send auto-close message in ${channel.id}`);
-        }
-
-        // Close and delete
-        await ticketManager.closeTicket(
-          ticket.ticketId,
-          "system",
-          `Auto-closed: inactive for ${inactiveDays}+ days`,
-        );
-
-        // Delete channel or thread after a short delay so the message is visible for a moment
-        setTimeout(async () => {
-          try {
-            await channel.delete(
-              `Auto-closed: inactive for ${inactiveDays}+ days`,
-            );
-          } catch (error) {
-            logger.error(
-              "Failed to delete ticket channel during cleanup:",
-              error,
-            );
-          }
-        }, 2000);
-
-        ticketsDeleted++;
-        logger.info(
-          `🎫 Auto-closed ticket ${ticket.ticketId} (inactive for ${inactiveDays}+ days)`,
-        );
       }
     } catch (error) {
       logger.error(
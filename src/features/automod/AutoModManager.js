@@ -0,0 +1,368 @@
+import { PermissionFlagsBits } from "discord.js";
+import { getLogger } from "../../utils/logger.js";
+import { getStorageManager } from "../../utils/storage/storageManager.js";
+import { EMOJIS } from "../../config/theme.js";
+import {
+  logModerationAction,
+  validateTimeoutDuration,
+  formatDuration,
+} from "../../commands/admin/moderation/utils.js";
+import {
+  createWarningDMEmbed,
+  createTimeoutDMEmbed,
+  createKickDMEmbed,
+} from "../../commands/admin/moderation/embeds.js";
+import {
+  applyEscalation,
+  getEscalationPolicy,
+  getWarningStanding,
+  resolveWarningExpiry,
+} from "../../commands/admin/moderation/escalation.js";
+import { getAppealComponents } from "../../commands/admin/moderation/cases.js";
+import {
+  AUTOMOD_ACTIONS,
+  AUTOMOD_FILTERS,
+  FILTER_LABELS,
+  normalizeAutoModSettings,
+} from "./config.js";
+import {
+  compileWordPattern,
+  checkWords,
+  checkInvites,
+  checkLinks,
+  checkCaps,
+  checkMentions,
+  DuplicateTracker,
+} from "./filters.js";
+
+const SETTINGS_CACHE_TTL = 60 * 1000; // 1 minute
+const NOTICE_DELETE_DELAY = 5000; // Channel notice lifetime
+
+/**
+ * Rule-based auto-moderation engine
+ * Evaluates each guild message against the guild's rule set and applies
+ * the configured action through the moderation logging pipeline.
+ */
+class AutoModManager {
+  constructor() {
+    this.logger = getLogger();
+    this.settingsCache = new Map();
+    this.duplicateTracker = new DuplicateTracker();
+
+    setInterval(() => this.duplicateTracker.prune(), 60 * 1000).unref();
+  }
+
+  /**
+   * Get auto-mod settings for a guild (cached)
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<Object>} Normalized settings with compiled word patterns
+   */
+  async getSettings(guildId) {
+    const cached = this.settingsCache.get(guildId);
+    if (cached && Date.now() - cached.loadedAt < SETTINGS_CACHE_TTL) {
+      return cached.settings;
+    }
+
+    const storageManager = await getStorageManager();
+    const stored = await storageManager.getAutoModSettings(guildId);
+    const settings = normalizeAutoModSettings(guildId, stored);
+
+    this.settingsCache.set(guildId, {
+      settings,
+      compiledPatterns: settings.rules.words.patterns
+        .map(compileWordPattern)
+        .filter(Boolean),
+      loadedAt: Date.now(),
+    });
+    return settings;
+  }
+
+  /**
+   * Save auto-mod settings for a guild and refresh the cache
+   * @param {string} guildId - Guild ID
+   * @param {Object} settings - Complete settings object
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateSettings(guildId, settings) {
+    const storageManager = await getStorageManager();
+    const saved = await storageManager.setAutoModSettings(guildId, {
+      ...settings,
+      guildId,
+    });
+    this.settingsCache.delete(guildId);
+    return saved;
+  }
+
+  /**
+   * Whether a message is exempt from auto-mod
+   * @param {import('discord.js').Message<true>} message - Message
+   * @param {Object} settings - Auto-mod settings
+   * @returns {boolean}
+   */
+  isExempt(message, settings) {
+    const member = message.member;
+    if (!member) return true;
+
+    if (member.permissions?.has(PermissionFlagsBits.ManageMessages)) {
+      return true;
+    }
+
+    const channelIds = [message.channel.id, message.channel.parentId];
+    if (channelIds.some(id => id && settings.exemptChannelIds.includes(id))) {
+      return true;
+    }
+
+    return settings.exemptRoleIds.some(roleId =>
+      member.roles.cache.has(roleId),
+    );
+  }
+
+  /**
+   * Find the first rule a message violates
+   * @param {import('discord.js').Message<true>} message - Message
+   * @param {Object} settings - Auto-mod settings
+   * @returns {{filter: string, rule: Object, detail: string}|null}
+   */
+  findViolation(message, settings) {
+    const { rules } = settings;
+    const content = message.content || "";
+    const compiledPatterns =
+      this.settingsCache.get(message.guild.id)?.compiledPatterns || [];
+
+    const checks = {
+      [AUTOMOD_FILTERS.WORDS]: () => checkWords(content, compiledPatterns),
+      [AUTOMOD_FILTERS.INVITES]: () => checkInvites(content),
+      [AUTOMOD_FILTERS.LINKS]: () => checkLinks(content, rules.links),
+      [AUTOMOD_FILTERS.CAPS]: () => checkCaps(content, rules.caps),
+      [AUTOMOD_FILTERS.MENTIONS]: () =>
+        checkMentions(message.mentions, rules.mentions),
+      [AUTOMOD_FILTERS.DUPLICATES]: () => {
+        const count = this.duplicateTracker.record(
+          `${message.guild.id}:${message.author.id}`,
+          content,
+          rules.duplicates.windowSeconds * 1000,
+        );
+        return count > rules.duplicates.maxDuplicates
+          ? `${count} identical messages`
+          : null;
+      },
+    };
+
+    for (const filter of Object.values(AUTOMOD_FILTERS)) {
+      const rule = rules[filter];
+      if (!rule?.enabled) continue;
+
+      const detail = checks[filter]();
+      if (detail) {
+        return { filter, rule, detail };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluate a message and act on it
+   * @param {import('discord.js').Message<true>} message - Message
+   * @param {import('discord.js').Client} client - Discord client
+   * @returns {Promise<boolean>} True if the message was actioned
+   */
+  async handleMessage(message, client) {
+    if (!message.guild || message.author?.bot) return false;
+
+    try {
+      const settings = await this.getSettings(message.guild.id);
+      if (!settings.enabled || this.isExempt(message, settings)) {
+        return false;
+      }
+
+      const violation = this.findViolation(message, settings);
+      if (!violation) return false;
+
+      await this.applyAction(message, client, violation);
+      return true;
+    } catch (error) {
+      this.logger.error(
+        `Auto-mod failed for message ${message.id} in guild ${message.guild.id}:`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Delete the message and apply the rule's action
+   * @param {import('discord.js').Message<true>} message - Offending message
+   * @param {import('discord.js').Client} client - Discord client
+   * @param {{filter: string, rule: Object, detail: string}} violation - Matched rule
+   */
+  async applyAction(message, client, { filter, rule, detail }) {
+    const { guild, author, member } = message;
+    const reason = `Auto-mod: ${FILTER_LABELS[filter]} (${detail})`;
+    const baseLog = {
+      guild,
+      guildId: guild.id,
+      userId: author.id,
+      moderatorId: client.user.id,
+      reason,
+    };
+    const metadata = {
+      automod: true,
+      filter,
+      channelId: message.channel.id,
+    };
+
+    if (message.deletable) {
+      await message.delete().catch(error => {
+        this.logger.debug(
+          `Auto-mod could not delete message ${message.id}: ${error.message}`,
+        );
+      });
+    }
+
+    if (filter === AUTOMOD_FILTERS.DUPLICATES) {
+      this.duplicateTracker.reset(`${guild.id}:${author.id}`);
+    }
+
+    let action = rule.action;
+    let caseId;
+
+    switch (rule.action) {
+      case AUTOMOD_ACTIONS.WARN: {
+        const policy = await getEscalationPolicy(guild.id);
+        const expiresAt = resolveWarningExpiry(policy);
+        caseId = await logModerationAction({
+          ...baseLog,
+          action: "warn",
+          expiresAt,
+          metadata,
+        });
+        const standing = await getWarningStanding(guild.id, author.id, policy);
+        await author
+          .send({
+            embeds: [
+              createWarningDMEmbed(
+                guild,
+                reason,
+                standing.count,
+                caseId,
+                expiresAt,
+              ),
+            ],
+            components: await getAppealComponents(guild.id, caseId, "warn"),
+          })
+          .catch(() => {});
+        await applyEscalation({
+          guild,
+          member,
+          user: author,
+          standing,
+          moderatorId: client.user.id,
+        });
+        break;
+      }
+
+      case AUTOMOD_ACTIONS.TIMEOUT: {
+        const duration = validateTimeoutDuration(rule.timeoutDuration);
+        if (!duration.valid || !member?.moderatable) {
+          this.logger.warn(
+            `Auto-mod cannot timeout ${author.id} in ${guild.id}, falling back to delete`,
+          );
+          action = AUTOMOD_ACTIONS.DELETE;
+          break;
+        }
+        await member.timeout(duration.milliseconds, reason);
+        caseId = await logModerationAction({
+          ...baseLog,
+          action: "timeout",
+          metadata: {
+            ...metadata,
+            duration: duration.milliseconds,
+            durationFormatted: formatDuration(duration.milliseconds),
+            timeoutUntil: new Date(
+              Date.now() + duration.milliseconds,
+            ).toISOString(),
+          },
+        });
+        await author
+          .send({
+            embeds: [
+              createTimeoutDMEmbed(
+                guild,
+                formatDuration(duration.milliseconds),
+                reason,
+                caseId,
+              ),
+            ],
+          })
+          .catch(() => {});
+        break;
+      }
+
+      case AUTOMOD_ACTIONS.KICK: {
+        if (!member?.kickable) {
+          this.logger.warn(
+            `Auto-mod cannot kick ${author.id} in ${guild.id}, falling back to delete`,
+          );
+          action = AUTOMOD_ACTIONS.DELETE;
+          break;
+        }
+        await member.kick(reason);
+        caseId = await logModerationAction({
+          ...baseLog,
+          action: "kick",
+          metadata,
+        });
+        await author
+          .send({ embeds: [createKickDMEmbed(guild, reason, caseId)] })
+          .catch(() => {});
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    if (action === AUTOMOD_ACTIONS.DELETE) {
+      caseId = await logModerationAction({
+        ...baseLog,
+        action: "delete",
+        metadata,
+      });
+    }
+
+    await this.sendChannelNotice(message, reason);
+
+    this.logger.info(
+      `${EMOJIS.MODERATION.AUTOMOD} Auto-mod ${action} on ${author.tag} (${author.id}) in ${guild.name} - ${reason} (Case: ${caseId})`,
+    );
+  }
+
+  /**
+   * Post a short-lived notice in the channel explaining the removal
+   * @param {import('discord.js').Message<true>} message - Offending message
+   * @param {string} reason - Action reason
+   */
+  async sendChannelNotice(message, reason) {
+    try {
+      const notice = await message.channel.send({
+        content: `${EMOJIS.MODERATION.AUTOMOD} ${message.author}, your message was removed. ${reason}`,
+        allowedMentions: { users: [message.author.id] },
+      });
+      setTimeout(() => {
+        notice.delete().catch(() => {});
+      }, NOTICE_DELETE_DELAY).unref();
+    } catch (error) {
+      this.logger.debug(`Auto-mod notice failed: ${error.message}`);
+    }
+  }
+}
+
+let autoModManager = null;
+
+export function getAutoModManager() {
+  if (!autoModManager) {
+    autoModManager = new AutoModManager();
+  }
+  return autoModManager;
+}
@@ -0,0 +1,126 @@
+/**
+ * Auto-Moderation Configuration
+ * Filter types, actions and the default per-guild rule set
+ */
+
+// Filter types evaluated on every guild message (in this order)
+export const AUTOMOD_FILTERS = {
+  WORDS: "words",
+  INVITES: "invites",
+  LINKS: "links",
+  CAPS: "caps",
+  MENTIONS: "mentions",
+  DUPLICATES: "duplicates",
+};
+
+// Actions a rule can take when it matches
+export const AUTOMOD_ACTIONS = {
+  DELETE: "delete", // Delete the message only
+  WARN: "warn", // Delete and issue a logged warning
+  TIMEOUT: "timeout", // Delete and timeout the author
+  KICK: "kick", // Delete and kick the author
+};
+
+// Human readable names used in embeds and reasons
+export const FILTER_LABELS = {
+  words: "Word Filter",
+  invites: "Invite Filter",
+  links: "Link Filter",
+  caps: "Caps Filter",
+  mentions: "Mention Spam",
+  duplicates: "Duplicate Messages",
+};
+
+// Limits to keep rule sets (and regex compilation) cheap
+export const AUTOMOD_LIMITS = {
+  MAX_WORD_PATTERNS: 100,
+  MAX_PATTERN_LENGTH: 100,
+  // Unbounded repeats (`*`, `+`, `{n,}`) per pattern; every extra one
+  // multiplies how long a bad match can take
+  MAX_PATTERN_REPEATS: 3,
+  MAX_DOMAINS: 100,
+  MAX_EXEMPT_ROLES: 25,
+  MAX_EXEMPT_CHANNELS: 50,
+};
+
+/**
+ * Build the default auto-mod settings for a guild
+ * Every filter is disabled until an admin turns it on
+ * @param {string} guildId - Guild ID
+ * @returns {Object} Default auto-mod settings
+ */
+export function getDefaultAutoModSettings(guildId) {
+  return {
+    guildId,
+    enabled: false,
+    exemptRoleIds: [],
+    exemptChannelIds: [],
+    rules: {
+      words: {
+        enabled: false,
+        action: AUTOMOD_ACTIONS.DELETE,
+        timeoutDuration: "10m",
+        patterns: [],
+      },
+      invites: {
+        enabled: false,
+        action: AUTOMOD_ACTIONS.DELETE,
+        timeoutDuration: "10m",
+      },
+      links: {
+        enabled: false,
+        action: AUTOMOD_ACTIONS.DELETE,
+        timeoutDuration: "10m",
+        // When blockedDomains is empty every link is blocked except allowedDomains
+        blockedDomains: [],
+        allowedDomains: [],
+      },
+      caps: {
+        enabled: false,
+        action: AUTOMOD_ACTIONS.DELETE,
+        timeoutDuration: "10m",
+        threshold: 70, // Percentage of letters that are uppercase
+        minLength: 10, // Ignore short messages like "OK" or "LOL"
+      },
+      mentions: {
+        enabled: false,
+        action: AUTOMOD_ACTIONS.TIMEOUT,
+        timeoutDuration: "10m",
+        maxMentions: 5, // Unique user + role mentions per message
+      },
+      duplicates: {
+        enabled: false,
+        action: AUTOMOD_ACTIONS.DELETE,
+        timeoutDuration: "10m",
+        maxDuplicates: 3, // Identical messages allowed within the window
+        windowSeconds: 30,
+      },
+    },
+  };
+}
+
+/**
+ * Merge stored settings over the defaults so older documents
+ * pick up rules that were added later
+ * @param {string} guildId - Guild ID
+ * @param {Object|null} stored - Stored settings document
+ * @returns {Object} Complete auto-mod settings
+ */
+export function normalizeAutoModSettings(guildId, stored) {
+  const defaults = getDefaultAutoModSettings(guildId);
+  if (!stored) return defaults;
+
+  const rules = { ...defaults.rules };
+  for (const filter of Object.values(AUTOMOD_FILTERS)) {
+    rules[filter] = { ...defaults.rules[filter], ...stored.rules?.[filter] };
+  }
+
+  return {
+    ...defaults,
+    ...stored,
+    guildId,
+    exemptRoleIds: stored.exemptRoleIds || [],
+    exemptChannelIds: stored.exemptChannelIds || [],
+    rules,
+  };
+}
@@ -0,0 +1,370 @@
+import { AUTOMOD_LIMITS } from "./config.js";
+
+/**
+ * Auto-Moderation Filters
+ * Pure detection helpers used by AutoModManager. Each check returns a
+ * short description of what matched, or null when the message is clean.
+ */
+
+const REGEX_PATTERN = /^\/(.+)\/([imsu]*)$/;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>]+/gi;
+const INVITE_PATTERN =
+  /(?:https?:\/\/)?(?:www\.)?(?:discord\.gg|discord(?:app)?\.com\/invite|dsc\.gg)\/[\w-]+/i;
+
+/**
+ * Find constructs that make a regular expression backtrack catastrophically
+ * Patterns run on every message on the shared event loop, so nested
+ * repeats (`(a+)+`, `(a|ab)*`), repeats that follow each other directly or
+ * with only optional atoms between them (`\s*\s*`, `\d+-?\d+`),
+ * backreferences and too many unbounded repeats are refused.
+ * @param {string} source - Regular expression source, without slashes
+ * @returns {string|null} Why the pattern is unsafe, or null if it is safe
+ */
+export function findRegexHazard(source) {
+  // One frame per open group: whether anything in it repeats or alternates,
+  // and whether the group directly follows an unbounded repeat
+  const groups = [{ repeats: false, alternates: false, follows: false }];
+  let unboundedRepeats = 0;
+  // The atom a quantifier would apply to
+  let atom = null;
+  // Whether the atoms since the last unbounded repeat can all match nothing
+  let afterRepeat = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const frame = groups[groups.length - 1];
+
+    let repeat = null;
+    if (char === "*" || char === "+") {
+      repeat = { unbounded: true, min: char === "*" ? 0 : 1, max: Infinity };
+    } else if (char === "?") {
+      repeat = { unbounded: false, min: 0, max: 1 };
+    } else if (char === "{" && /^\{\d+(,\d*)?\}/.test(source.slice(i))) {
+      const [count, min, upTo] = /^\{(\d+)(?:,(\d*))?\}/.exec(source.slice(i));
+      i += count.length - 1;
+      repeat =
+        upTo === ""
+          ? { unbounded: true, min: Number(min), max: Infinity }
+          : { unbounded: false, min: Number(min), max: Number(upTo ?? min) };
+    }
+
+    if (!repeat) {
+      if (char === "(") {
+        groups.push({
+          repeats: false,
+          alternates: false,
+          follows: afterRepeat,
+        });
+        // Skip the `?:`, `?=`, `?<name>`... that follows
+        if (source[i + 1] === "?") i++;
+        atom = null;
+      } else if (char === ")" && groups.length > 1) {
+        atom = groups.pop();
+        const parent = groups[groups.length - 1];
+        parent.repeats ||= atom.repeats;
+        parent.alternates ||= atom.alternates;
+      } else if (char === "|") {
+        frame.alternates = true;
+        atom = null;
+      } else {
+        if (char === "\\") {
+          if (/^\\(?:[1-9]|k<)/.test(source.slice(i, i + 3))) {
+            return "Backreferences are not supported";
+          }
+          // `\p{L}` and `\u{1F600}` are a single atom
+          const braced = /^\\[pPu]\{[^}]*\}/.exec(source.slice(i));
+          i += braced ? braced[0].length - 1 : 1;
+        } else if (char === "[") {
+          // Skip the character class; quantifiers inside it are literal
+          for (i++; i < source.length && source[i] !== "]"; i++) {
+            if (source[i] === "\\") i++;
+          }
+        }
+        atom = { repeats: false, alternates: false, follows: afterRepeat };
+      }
+      afterRepeat = false;
+      continue;
+    }
+
+    // Skip the lazy marker of `*?`, `+?` and `{n,}?`
+    if (char !== "?" && source[i + 1] === "?") i++;
+    if (!atom) continue;
+    // An optional atom can match nothing, so it doesn't separate the repeats
+    // around it: `\d+-?\d+` backtracks like `\d+\d+`
+    if (repeat.min === 0 && !repeat.unbounded) afterRepeat = atom.follows;
+    if (repeat.max <= 1) continue;
+
+    if (atom.repeats || atom.alternates) {
+      return "Repeated groups can't contain repeats or alternatives";
+    }
+    if (repeat.unbounded) {
+      if (atom.follows) {
+        return "Repeats can't follow each other with only optional parts between them, like `\\s*\\s*` or `\\d+-?\\d+`";
+      }
+      if (++unboundedRepeats > AUTOMOD_LIMITS.MAX_PATTERN_REPEATS) {
+        return `Patterns can't use more than ${AUTOMOD_LIMITS.MAX_PATTERN_REPEATS} unbounded repeats (\`*\`, \`+\` or \`{n,}\`)`;
+      }
+      afterRepeat = true;
+    }
+    frame.repeats = true;
+    atom = null;
+  }
+  return null;
+}
+
+/**
+ * Compile a word-list entry into a case-insensitive RegExp
+ * Entries wrapped in slashes (`/free\s*nitro/`) are treated as regular
+ * expressions; everything else is a plain word where `*` matches any
+ * run of non-space characters (`scam*` matches "scammer").
+ * @param {string} pattern - Word list entry
+ * @returns {RegExp|null} Compiled pattern, or null if it is invalid
+ */
+export function compileWordPattern(pattern) {
+  if (!pattern || typeof pattern !== "string") return null;
+  const trimmed = pattern.trim();
+  if (!trimmed || trimmed.length > AUTOMOD_LIMITS.MAX_PATTERN_LENGTH) {
+    return null;
+  }
+
+  try {
+    const regexMatch = trimmed.match(REGEX_PATTERN);
+    if (regexMatch) {
+      if (findRegexHazard(regexMatch[1])) return null;
+      const flags = new Set(`${regexMatch[2]}iu`.split(""));
+      return new RegExp(regexMatch[1], [...flags].join(""));
+    }
+
+    const wildcards = trimmed.split("*");
+    if (wildcards.length - 1 > AUTOMOD_LIMITS.MAX_PATTERN_REPEATS) {
+      return null;
+    }
+    const body = wildcards
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join("\\S*");
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, "iu");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate a word-list entry before it is saved
+ * @param {string} pattern - Word list entry
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateWordPattern(pattern) {
+  if (!pattern || !pattern.trim()) {
+    return { valid: false, error: "Pattern cannot be empty" };
+  }
+  if (pattern.trim().length > AUTOMOD_LIMITS.MAX_PATTERN_LENGTH) {
+    return {
+      valid: false,
+      error: `Pattern cannot be longer than ${AUTOMOD_LIMITS.MAX_PATTERN_LENGTH} characters`,
+    };
+  }
+  const trimmed = pattern.trim();
+  const regexMatch = trimmed.match(REGEX_PATTERN);
+  const hazard = regexMatch
+    ? findRegexHazard(regexMatch[1])
+    : trimmed.split("*").length - 1 > AUTOMOD_LIMITS.MAX_PATTERN_REPEATS
+      ? `Patterns can't use more than ${AUTOMOD_LIMITS.MAX_PATTERN_REPEATS} wildcards`
+      : null;
+  if (hazard) {
+    return { valid: false, error: hazard };
+  }
+  if (!compileWordPattern(pattern)) {
+    return { valid: false, error: "Pattern is not a valid regular expression" };
+  }
+  return { valid: true };
+}
+
+/**
+ * Check message content against compiled word patterns
+ * @param {string} content - Message content
+ * @param {RegExp[]} compiledPatterns - Patterns from compileWordPattern
+ * @returns {string|null} The matched text
+ */
+export function checkWords(content, compiledPatterns) {
+  if (!content || !compiledPatterns?.length) return null;
+  for (const regex of compiledPatterns) {
+    const match = content.match(regex);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+/**
+ * Check message content for Discord server invites
+ * @param {string} content - Message content
+ * @returns {string|null} The matched invite
+ */
+export function checkInvites(content) {
+  if (!content) return null;
+  const match = content.match(INVITE_PATTERN);
+  return match ? match[0] : null;
+}
+
+/**
+ * Normalize a domain entered by an admin (strip scheme, path and "www.")
+ * @param {string} domain - Domain or URL
+ * @returns {string|null} Lowercase hostname
+ */
+export function normalizeDomain(domain) {
+  if (!domain || typeof domain !== "string") return null;
+  const host = domain
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .split(/[/?#:]/)[0]
+    .replace(/^www\./, "");
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+}
+
+/**
+ * Whether a hostname is the domain itself or one of its subdomains
+ * @param {string} host - Hostname from a URL
+ * @param {string} domain - Normalized domain
+ * @returns {boolean}
+ */
+export function matchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Check message content for links that are not allowed
+ * With no blocked domains configured every link is blocked except the
+ * allowed domains; otherwise only the blocked domains are filtered.
+ * @param {string} content - Message content
+ * @param {Object} rule - Link rule
+ * @param {string[]} [rule.blockedDomains] - Domains to block
+ * @param {string[]} [rule.allowedDomains] - Domains that are always allowed
+ * @returns {string|null} The offending hostname
+ */
+export function checkLinks(
+  content,
+  { blockedDomains = [], allowedDomains = [] },
+) {
+  if (!content) return null;
+  const urls = content.match(URL_PATTERN);
+  if (!urls) return null;
+
+  for (const url of urls) {
+    const host = normalizeDomain(url);
+    if (!host) continue;
+    if (allowedDomains.some(domain => matchesDomain(host, domain))) continue;
+    if (blockedDomains.length === 0) return host;
+    if (blockedDomains.some(domain => matchesDomain(host, domain))) {
+      return host;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a message is mostly uppercase
+ * @param {string} content - Message content
+ * @param {Object} rule - Caps rule
+ * @param {number} rule.threshold - Uppercase percentage that triggers the rule
+ * @param {number} rule.minLength - Minimum letter count before checking
+ * @returns {string|null} Description of the caps ratio
+ */
+export function checkCaps(content, { threshold, minLength }) {
+  if (!content) return null;
+  const letters = content.match(/\p{L}/gu) || [];
+  if (letters.length < minLength) return null;
+
+  const upper = letters.filter(
+    letter => letter !== letter.toLowerCase(),
+  ).length;
+  const percentage = Math.round((upper / letters.length) * 100);
+  return percentage >= threshold ? `${percentage}% uppercase` : null;
+}
+
+/**
+ * Count unique user and role mentions in a message (including @everyone)
+ * @param {import('discord.js').MessageMentions} mentions - Message mentions
+ * @returns {number}
+ */
+export function countMentions(mentions) {
+  if (!mentions) return 0;
+  return (
+    (mentions.users?.size || 0) +
+    (mentions.roles?.size || 0) +
+    (mentions.everyone ? 1 : 0)
+  );
+}
+
+/**
+ * Check whether a message exceeds the mention limit
+ * @param {import('discord.js').MessageMentions} mentions - Message mentions
+ * @param {Object} rule - Mention rule
+ * @param {number} rule.maxMentions - Maximum mentions allowed
+ * @returns {string|null} Description of the mention count
+ */
+export function checkMentions(mentions, { maxMentions }) {
+  const count = countMentions(mentions);
+  return count > maxMentions ? `${count} mentions` : null;
+}
+
+/**
+ * Tracks recent message content per guild member to detect repeated
+ * messages. Entries older than the largest window seen are pruned.
+ */
+export class DuplicateTracker {
+  constructor() {
+    this.entries = new Map();
+    this.maxWindowMs = 60000;
+  }
+
+  _normalize(content) {
+    return content.toLowerCase().replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Record a message and count identical messages inside the window
+   * @param {string} key - Tracking key (guildId:userId)
+   * @param {string} content - Message content
+   * @param {number} windowMs - Window in milliseconds
+   * @param {number} [now=Date.now()] - Current timestamp
+   * @returns {number} Number of identical messages in the window, including this one
+   */
+  record(key, content, windowMs, now = Date.now()) {
+    const normalized = this._normalize(content || "");
+    if (!normalized) return 0;
+
+    this.maxWindowMs = Math.max(this.maxWindowMs, windowMs);
+    const recent = (this.entries.get(key) || []).filter(
+      entry => now - entry.timestamp < windowMs,
+    );
+    recent.push({ content: normalized, timestamp: now });
+    this.entries.set(key, recent);
+
+    return recent.filter(entry => entry.content === normalized).length;
+  }
+
+  /**
+   * Forget messages for a key (after the user has been actioned)
+   * @param {string} key - Tracking key
+   */
+  reset(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drop expired entries
+   * @param {number} [now=Date.now()] - Current timestamp
+   */
+  prune(now = Date.now()) {
+    for (const [key, recent] of this.entries) {
+      const kept = recent.filter(
+        entry => now - entry.timestamp < this.maxWindowMs,
+      );
+      if (kept.length === 0) {
+        this.entries.delete(key);
+      } else {
+        this.entries.set(key, kept);
+      }
+    }
+  }
+}
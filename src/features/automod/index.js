@@ -0,0 +1,10 @@
+/**
+ * Auto-Moderation Feature
+ *
+ * Rule-based message filtering (word lists, links, invites, caps,
+ * mention and duplicate spam) with per-guild rule sets
+ */
+
+export { getAutoModManager } from "./AutoModManager.js";
+export * from "./config.js";
+export * from "./filters.js";
@@ -0,0 +1,210 @@
+import crypto from "crypto";
+import { config } from "../../config/config.js";
+import { getLogger } from "../../utils/logger.js";
+import {
+  getServerTemplateManager,
+  ImportRollbackError,
+} from "../serverTemplates/ServerTemplateManager.js";
+import { BACKUPS, SNAPSHOT_ID_PATTERN, SNAPSHOT_REASONS } from "./config.js";
+import { LocalBackupStore } from "./LocalBackupStore.js";
+import { S3BackupStore } from "./S3BackupStore.js";
+import {
+  createSnapshotId,
+  parseSnapshotId,
+  selectExpiredSnapshots,
+} from "./retention.js";
+
+function snapshotKey(guildId, snapshotId) {
+  return `${guildId}/${snapshotId}.json`;
+}
+
+/**
+ * Takes, lists and restores per-guild backup snapshots
+ * A snapshot is the guild's server template at one point in time, so a
+ * restore is a template import in restore mode limited to the chosen
+ * sections. Snapshots whose content matches the newest one are not written
+ * again.
+ */
+export class BackupManager {
+  /**
+   * @param {Object} [settings] - Defaults to `config.backups`
+   * @param {Object} [store] - Snapshot store; built from the settings if unset
+   */
+  constructor(settings = config.backups, store = null) {
+    this.logger = getLogger();
+    this.settings = settings;
+    this.store = store;
+  }
+
+  getStore() {
+    if (!this.store) {
+      this.store = this.settings.s3.enabled
+        ? new S3BackupStore(this.settings.s3)
+        : new LocalBackupStore(this.settings.directory);
+    }
+    return this.store;
+  }
+
+  /**
+   * Snapshot a guild's configuration
+   * @param {import('discord.js').Guild} guild - Discord guild
+   * @param {Object} [options]
+   * @param {string} [options.reason] - One of SNAPSHOT_REASONS
+   * @returns {Promise<{snapshot: {id: string, createdAt: Date, hash: string}, created: boolean}>}
+   *   The new snapshot, or the newest one when nothing changed since
+   */
+  async createSnapshot(guild, { reason = SNAPSHOT_REASONS.SCHEDULED } = {}) {
+    const template = await getServerTemplateManager().exportTemplate(guild);
+    const hash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify({ ...template, exportedAt: null }))
+      .digest("hex");
+
+    const [latest] = await this.listSnapshots(guild.id);
+    if (latest && hash.startsWith(latest.hash)) {
+      return { snapshot: latest, created: false };
+    }
+
+    const createdAt = new Date();
+    const snapshot = parseSnapshotId(createSnapshotId(createdAt, hash));
+    await this.getStore().put(
+      snapshotKey(guild.id, snapshot.id),
+      JSON.stringify({
+        version: BACKUPS.VERSION,
+        guildId: guild.id,
+        createdAt: createdAt.toISOString(),
+        reason,
+        template,
+      }),
+    );
+    this.logger.info(
+      `💾 Backed up ${guild.name} (${guild.id}): ${snapshot.id}`,
+    );
+
+    await this.prune(guild.id);
+    return { snapshot, created: true };
+  }
+
+  /**
+   * List a guild's snapshots
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<Array<{id: string, createdAt: Date, hash: string}>>} Newest first
+   */
+  async listSnapshots(guildId) {
+    const keys = await this.getStore().list(`${guildId}/`);
+    return keys
+      .map(key => parseSnapshotId(key.slice(guildId.length + 1, -5)))
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
+  }
+
+  /**
+   * Load a snapshot
+   * @param {string} guildId - Guild ID
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<Object>} Snapshot document
+   * @throws {RangeError} When there is no such snapshot
+   */
+  async getSnapshot(guildId, snapshotId) {
+    if (!SNAPSHOT_ID_PATTERN.test(snapshotId)) {
+      throw new RangeError(`\`${snapshotId}\` is not a backup ID.`);
+    }
+
+    const body = await this.getStore().get(snapshotKey(guildId, snapshotId));
+    if (!body) {
+      throw new RangeError(`There is no backup \`${snapshotId}\` here.`);
+    }
+
+    const snapshot = JSON.parse(body);
+    if (snapshot.version > BACKUPS.VERSION) {
+      throw new RangeError(
+        "This backup was made by a newer version of the bot and can't be restored yet.",
+      );
+    }
+    return snapshot;
+  }
+
+  /**
+   * Work out what restoring a snapshot would change, without changing it
+   * @param {import('discord.js').Guild} guild - Discord guild
+   * @param {string} snapshotId - Snapshot ID
+   * @param {Object} [options]
+   * @param {string[]} [options.sections] - Only these TEMPLATE_SECTIONS
+   * @returns {Promise<Object>} Plan, as returned by previewImport
+   * @throws {RangeError} When there is no such snapshot
+   */
+  async previewRestore(guild, snapshotId, { sections = null } = {}) {
+    const snapshot = await this.getSnapshot(guild.id, snapshotId);
+    return getServerTemplateManager().previewImport(guild, snapshot.template, {
+      sections,
+      restore: true,
+    });
+  }
+
+  /**
+   * Restore a guild, or some sections of it, to a snapshot
+   * The current configuration is snapshotted first so the restore can itself
+   * be undone. Settings are replaced, panels, bundles and commands are put
+   * back as they were, and the ones created after the snapshot are removed.
+   * @param {import('discord.js').Guild} guild - Discord guild
+   * @param {string} snapshotId - Snapshot ID
+   * @param {Object} [options]
+   * @param {string[]} [options.sections] - Only these TEMPLATE_SECTIONS
+   * @param {string} [options.userId] - Admin running the restore
+   * @returns {Promise<Object>} The applied plan
+   * @throws {RangeError} When there is no such snapshot or an import is running
+   * @throws {ImportRollbackError} When a change failed and was rolled back,
+   *   with the ID of the snapshot taken before the restore
+   */
+  async restoreSnapshot(
+    guild,
+    snapshotId,
+    { sections = null, userId = null } = {},
+  ) {
+    const snapshot = await this.getSnapshot(guild.id, snapshotId);
+    const { snapshot: before } = await this.createSnapshot(guild, {
+      reason: SNAPSHOT_REASONS.RESTORE,
+    });
+
+    let plan;
+    try {
+      plan = await getServerTemplateManager().applyImport(
+        guild,
+        snapshot.template,
+        { userId, sections, restore: true },
+      );
+    } catch (error) {
+      if (error instanceof ImportRollbackError) error.backupId = before.id;
+      throw error;
+    }
+    this.logger.info(
+      `↩️ Restored ${guild.name} (${guild.id}) to backup ${snapshotId}${sections ? ` (${sections.join(", ")})` : ""}`,
+    );
+    return plan;
+  }
+
+  /**
+   * Delete the snapshots the retention rules no longer keep
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<number>} Number of snapshots deleted
+   */
+  async prune(guildId) {
+    const expired = selectExpiredSnapshots(
+      await this.listSnapshots(guildId),
+      this.settings.retention,
+    );
+    for (const { id } of expired) {
+      await this.getStore().delete(snapshotKey(guildId, id));
+    }
+    return expired.length;
+  }
+}
+
+let backupManager = null;
+
+export function getBackupManager() {
+  if (!backupManager) {
+    backupManager = new BackupManager();
+  }
+  return backupManager;
+}
@@ -0,0 +1,110 @@
+import { config } from "../../config/config.js";
+import { getLogger } from "../../utils/logger.js";
+import { getBackupManager } from "./BackupManager.js";
+import { BACKUPS } from "./config.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class BackupScheduler {
+  constructor(client) {
+    this.client = client;
+    this.logger = getLogger();
+    this.interval = null;
+    this.isRunning = false;
+    this.isBackingUp = false;
+    // When each guild was last backed up (or found unchanged)
+    this.lastSnapshotAt = new Map();
+  }
+
+  start() {
+    if (!config.backups.enabled) {
+      this.logger.info("ℹ️ Scheduled backups are disabled");
+      return;
+    }
+    if (this.isRunning) {
+      this.logger.warn("⚠️ Backup scheduler is already running");
+      return;
+    }
+
+    this.logger.info("🕐 Starting backup scheduler...");
+    this.isRunning = true;
+
+    this.interval = setInterval(async () => {
+      try {
+        await this.backUpDueGuilds();
+      } catch (error) {
+        this.logger.error("❌ Error in backup scheduler", error);
+      }
+    }, BACKUPS.CHECK_INTERVAL_MS).unref();
+
+    this.logger.success(
+      `✅ Backup scheduler started (backs up every ${config.backups.intervalHours} hours)`,
+    );
+    // Guilds that went without a backup while the bot was offline are backed up straight away
+    this.backUpDueGuilds().catch(error =>
+      this.logger.error("❌ Initial backup run failed", error),
+    );
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    this.logger.info("🛑 Backup scheduler stopped");
+  }
+
+  /**
+   * Snapshot every guild whose last backup is older than the backup interval
+   * Guilds are backed up one at a time to keep the load on Discord low
+   * @returns {Promise<number>} Number of snapshots written
+   */
+  async backUpDueGuilds() {
+    if (this.isBackingUp) {
+      this.logger.debug("Backup run skipped - already running");
+      return 0;
+    }
+
+    this.isBackingUp = true;
+    try {
+      const backupManager = getBackupManager();
+      const intervalMs = config.backups.intervalHours * HOUR_MS;
+      let created = 0;
+
+      for (const guild of this.client.guilds.cache.values()) {
+        try {
+          if (!this.lastSnapshotAt.has(guild.id)) {
+            const [latest] = await backupManager.listSnapshots(guild.id);
+            this.lastSnapshotAt.set(guild.id, latest?.createdAt.getTime() ?? 0);
+          }
+          if (Date.now() - this.lastSnapshotAt.get(guild.id) < intervalMs) {
+            continue;
+          }
+
+          const result = await backupManager.createSnapshot(guild);
+          this.lastSnapshotAt.set(guild.id, Date.now());
+          if (result.created) created++;
+        } catch (error) {
+          this.logger.error(`❌ Failed to back up guild ${guild.id}`, error);
+        }
+      }
+
+      if (created > 0) {
+        this.logger.info(`💾 Backup run wrote ${created} snapshot(s)`);
+      }
+      return created;
+    } finally {
+      this.isBackingUp = false;
+    }
+  }
+}
+
+let scheduler = null;
+
+export function getBackupScheduler(client) {
+  if (!scheduler) {
+    scheduler = new BackupScheduler(client);
+  }
+  return scheduler;
+}
@@ -0,0 +1,61 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Keeps backup snapshots as files in a local directory
+ * Keys are paths relative to the directory, e.g. `<guildId>/<snapshotId>.json`
+ */
+export class LocalBackupStore {
+  /**
+   * @param {string} directory - Directory snapshots are written to
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  _resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Backup key is outside the backup directory: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this._resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Write to a temporary file first so a crash never leaves half a snapshot
+    await fs.writeFile(`${filePath}.tmp`, body, "utf8");
+    await fs.rename(`${filePath}.tmp`, filePath);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this._resolve(key), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * List the keys in a directory
+   * @param {string} prefix - Directory prefix ending in `/`
+   * @returns {Promise<string[]>}
+   */
+  async list(prefix) {
+    try {
+      const files = await fs.readdir(this._resolve(prefix));
+      return files
+        .filter(file => file.endsWith(".json"))
+        .map(file => `${prefix}${file}`);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this._resolve(key), { force: true });
+  }
+}
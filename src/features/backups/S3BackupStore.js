@@ -0,0 +1,231 @@
+import crypto from "crypto";
+import { BACKUPS } from "./config.js";
+
+const EMPTY_HASH = sha256("");
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding, as Signature Version 4 expects
+function encode(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.host - Host header, with the port if not the default
+ * @param {string} request.path - Encoded request path
+ * @param {string} request.queryString - Encoded, sorted query string
+ * @param {string} request.payloadHash - Hex SHA-256 of the body
+ * @param {string} request.region - Signing region
+ * @param {string} request.accessKeyId
+ * @param {string} request.secretAccessKey
+ * @param {Date} [request.date] - Signing time
+ * @returns {Object<string, string>} Headers to send, authorization included
+ */
+export function signS3Request({
+  method,
+  host,
+  path,
+  queryString,
+  payloadHash,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  date = new Date(),
+}) {
+  const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, "");
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  const headers = {
+    host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const signedHeaders = Object.keys(headers).join(";");
+
+  const canonicalRequest = [
+    method,
+    path,
+    queryString,
+    ...Object.entries(headers).map(([name, value]) => `${name}:${value}`),
+    "",
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = [region, "s3", "aws4_request"].reduce(
+    hmac,
+    hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8)),
+  );
+  const signature = hmac(signingKey, stringToSign).toString("hex");
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Keeps backup snapshots in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+ * Requests are signed with AWS Signature Version 4 and use path-style URLs,
+ * which every S3-compatible server supports.
+ */
+export class S3BackupStore {
+  /**
+   * @param {Object} options
+   * @param {string} [options.endpoint] - e.g. http://localhost:9000 for MinIO; AWS when unset
+   * @param {string} options.region - Signing region
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.accessKeyId
+   * @param {string} options.secretAccessKey
+   */
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error(
+        "S3 backups need a bucket, an access key ID and a secret access key",
+      );
+    }
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+  }
+
+  /**
+   * Send a signed request
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key, or "" for the bucket itself
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.query] - Query parameters
+   * @param {string} [options.body] - Request body
+   * @returns {Promise<Response>}
+   */
+  async _request(method, key, { query = {}, body = "" } = {}) {
+    const basePath = this.endpoint.pathname.replace(/\/$/, "");
+    const path = `${basePath}/${[this.bucket, ...(key ? key.split("/") : [])]
+      .map(encode)
+      .join("/")}`;
+    const queryString = Object.keys(query)
+      .sort()
+      .map(name => `${encode(name)}=${encode(query[name])}`)
+      .join("&");
+
+    const payloadHash = body ? sha256(body) : EMPTY_HASH;
+    const headers = signS3Request({
+      method,
+      host: this.endpoint.host,
+      path,
+      queryString,
+      payloadHash,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey,
+    });
+
+    return fetch(
+      `${this.endpoint.origin}${path}${queryString ? `?${queryString}` : ""}`,
+      {
+        method,
+        headers: {
+          ...headers,
+          ...(body && { "content-type": "application/json" }),
+        },
+        body: body || undefined,
+        signal: AbortSignal.timeout(BACKUPS.REQUEST_TIMEOUT_MS),
+      },
+    );
+  }
+
+  async _check(response, action) {
+    if (!response.ok) {
+      const detail = (await response.text()).match(
+        /<Message>(.*?)<\/Message>/,
+      )?.[1];
+      throw new Error(
+        `S3 ${action} failed with ${response.status}${detail ? `: ${decodeXml(detail)}` : ""}`,
+      );
+    }
+    return response;
+  }
+
+  async put(key, body) {
+    await this._check(await this._request("PUT", key, { body }), "upload");
+  }
+
+  async get(key) {
+    const response = await this._request("GET", key);
+    if (response.status === 404) return null;
+    return (await this._check(response, "download")).text();
+  }
+
+  /**
+   * List the keys under a prefix
+   * @param {string} prefix - Key prefix, e.g. `<guildId>/`
+   * @returns {Promise<string[]>}
+   */
+  async list(prefix) {
+    const keys = [];
+    let continuationToken = null;
+
+    do {
+      const response = await this._check(
+        await this._request("GET", "", {
+          query: {
+            "list-type": "2",
+            prefix,
+            ...(continuationToken && {
+              "continuation-token": continuationToken,
+            }),
+          },
+        }),
+        "listing",
+      );
+      const xml = await response.text();
+
+      for (const [, key] of xml.matchAll(/<Key>(.*?)<\/Key>/g)) {
+        keys.push(decodeXml(key));
+      }
+      continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+        ? decodeXml(
+            xml.match(
+              /<NextContinuationToken>(.*?)<\/NextContinuationToken>/,
+            )?.[1] || "",
+          ) || null
+        : null;
+    } while (continuationToken);
+
+    return keys;
+  }
+
+  async delete(key) {
+    const response = await this._request("DELETE", key);
+    // Deleting a missing object is not an error
+    if (response.status !== 404) await this._check(response, "delete");
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Backup Configuration
+ * Snapshot format and scheduler limits; where snapshots are kept and for how
+ * long comes from `config.backups`
+ */
+
+export const BACKUPS = {
+  VERSION: 1, // Bump when the snapshot document changes shape
+  CHECK_INTERVAL_MS: 60 * 60 * 1000, // How often guilds are checked for a due snapshot
+  REQUEST_TIMEOUT_MS: 30000, // S3-compatible storage requests
+  MAX_LISTED: 25, // Snapshots shown by /backup list and autocomplete
+  CONFIRM_TIMEOUT_MS: 5 * 60 * 1000, // How long a restore preview can be applied
+};
+
+// Why a snapshot was taken
+export const SNAPSHOT_REASONS = {
+  SCHEDULED: "scheduled",
+  RESTORE: "restore", // Taken right before a restore, so it can be undone
+};
+
+// <date>-<time>-<content hash>, e.g. 20260101-120000-1a2b3c4d (UTC)
+export const SNAPSHOT_ID_PATTERN = /^(\d{8})-(\d{6})-([0-9a-f]{8})$/;
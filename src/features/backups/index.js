@@ -0,0 +1,11 @@
+/**
+ * Backups Feature
+ *
+ * Scheduled per-guild configuration snapshots, kept on disk or in
+ * S3-compatible storage, with point-in-time restore of a guild or a section
+ */
+
+export { getBackupManager } from "./BackupManager.js";
+export { getBackupScheduler } from "./BackupScheduler.js";
+export * from "./config.js";
+export * from "./retention.js";
@@ -0,0 +1,76 @@
+import { SNAPSHOT_ID_PATTERN } from "./config.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a snapshot ID; IDs sort in the order snapshots were taken
+ * @param {Date} date - When the snapshot was taken
+ * @param {string} hash - Hex hash of the snapshot's content
+ * @returns {string} Snapshot ID
+ */
+export function createSnapshotId(date, hash) {
+  const [day, time] = date.toISOString().replace(/[-:]/g, "").split(/[T.]/);
+  return `${day}-${time}-${hash.slice(0, 8)}`;
+}
+
+/**
+ * Read the date and content hash back from a snapshot ID
+ * @param {string} id - Snapshot ID
+ * @returns {{id: string, createdAt: Date, hash: string}|null} Null for anything
+ *   that isn't a snapshot ID
+ */
+export function parseSnapshotId(id) {
+  const match = SNAPSHOT_ID_PATTERN.exec(id);
+  if (!match) return null;
+
+  const [, day, time, hash] = match;
+  const createdAt = new Date(
+    `${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6)}T` +
+      `${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4)}Z`,
+  );
+  return Number.isNaN(createdAt.getTime()) ? null : { id, createdAt, hash };
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Weeks start on Monday (UTC)
+function weekKey(date) {
+  const weekday = (date.getUTCDay() + 6) % 7;
+  return dayKey(new Date(date.getTime() - weekday * DAY_MS));
+}
+
+/**
+ * Work out which snapshots the retention rules no longer keep
+ * Kept are the newest `keepLast` snapshots, plus the newest snapshot of each
+ * of the last `keepDaily` days and `keepWeekly` weeks that have one. The
+ * newest snapshot is always kept.
+ * @param {Array<{id: string, createdAt: Date}>} snapshots - A guild's snapshots
+ * @param {{keepLast: number, keepDaily: number, keepWeekly: number}} rules
+ * @returns {Array<{id: string, createdAt: Date}>} Snapshots to delete
+ */
+export function selectExpiredSnapshots(snapshots, rules) {
+  const newestFirst = [...snapshots].sort(
+    (a, b) => b.createdAt.getTime() - a.createdAt.getTime(),
+  );
+  const kept = new Set(
+    newestFirst.slice(0, Math.max(1, rules.keepLast)).map(({ id }) => id),
+  );
+
+  for (const { toKey, limit } of [
+    { toKey: dayKey, limit: rules.keepDaily },
+    { toKey: weekKey, limit: rules.keepWeekly },
+  ]) {
+    const periods = new Set();
+    for (const snapshot of newestFirst) {
+      const period = toKey(snapshot.createdAt);
+      if (periods.has(period)) continue;
+      if (periods.size >= limit) break;
+      periods.add(period);
+      kept.add(snapshot.id);
+    }
+  }
+
+  return newestFirst.filter(({ id }) => !kept.has(id));
+}
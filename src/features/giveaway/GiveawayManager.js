@@ -2,7 +2,7 @@ import { EventEmitter } from "events";
 import { ObjectId } from "mongodb";
 import { randomBytes } from "crypto";
 import { getLogger } from "../../utils/logger.js";
-import { getDatabaseManager } from "../../utils/storage/databaseManager.js";
+import { getStorageManager } from "../../utils/storage/storageManager.js";
 import { FREE_TIER, PRO_TIER, CORE_STATUS } from "../premium/config.js";
 import { getPremiumManager } from "../premium/PremiumManager.js";
 
@@ -12,8 +12,7 @@ class GiveawayManager extends EventEmitter {
   constructor(client) {
     super();
     this.client = client;
-    this.db = null;
-    this.collection = null;
+    this.storage = null;
     this.settingsCollection = null;
     this.checkInterval = null;
     this.CHECK_INTERVAL_MS = 30000; // Check every 30 seconds (optimized from 10s)
@@ -41,21 +40,8 @@ class GiveawayManager extends EventEmitter {
    */
   async init() {
     try {
-      const dbManager = await getDatabaseManager();
-      // Access the database from connectionManager after connect() is called
-      await dbManager.connect();
-      this.db = dbManager.connectionManager.db;
-      this.collection = this.db.collection("giveaways");
-      // Create indexes for better query performance
-      await this.collection.createIndex({ guildId: 1, status: 1 });
-      await this.collection.createIndex({ endTime: 1, status: 1 });
-      await this.collection.createIndex({ messageId: 1 });
-      await this.collection.createIndex({ host: 1, status: 1 });
-      await this.collection.createIndex({ guildId: 1, host: 1, status: 1 });
-      await this.collection.createIndex(
-        { shortId: 1 },
-        { unique: true, sparse: true },
-      );
+      // Works on MongoDB or local files, whichever storage is active
+      this.storage = await getStorageManager();
 
       logger.info("🎉 GiveawayManager initialized");
 
@@ -151,11 +137,7 @@ class GiveawayManager extends EventEmitter {
     }
 
     try {
-      const activeGiveaways = await this.collection
-        .find({
-          status: "active",
-        })
-        .toArray();
+      const activeGiveaways = await this.storage.getActiveGiveaways();
 
       // Group by guild for faster lookup
       const grouped = new Map();
@@ -199,7 +181,7 @@ class GiveawayManager extends EventEmitter {
     try {
       let shortId = this.generateShortId();
       // Ensure shortId is unique (unlikely to collide, but good practice)
-      while (await this.collection.findOne({ shortId })) {
+      while (await this.storage.getGiveawayByShortId(shortId)) {
         shortId = this.generateShortId();
       }
 
@@ -228,6 +210,7 @@ class GiveawayManager extends EventEmitter {
         startTime: new Date(),
         endTime: new Date(Date.now() + options.duration),
         duration: options.duration,
+        timezone: options.timezone || null,
         status: "active",
         winnersData: [],
         shortId: shortId,
@@ -241,7 +224,7 @@ class GiveawayManager extends EventEmitter {
         updatedAt: new Date(),
       };
 
-      await this.collection.insertOne(giveaway);
+      await this.storage.createGiveaway(giveaway);
       logger.info(
         `🎉 Giveaway created: ${giveaway._id} - Prize: ${giveaway.prize} (Short ID: ${giveaway.shortId})`,
       );
@@ -267,20 +250,18 @@ class GiveawayManager extends EventEmitter {
 
       // If it's a valid ObjectId (24 hex chars)
       if (/^[0-9a-fA-F]{24}$/.test(id)) {
-        const giveaway = await this.collection.findOne({
-          _id: new ObjectId(id),
-        });
+        const giveaway = await this.storage.getGiveawayById(id);
         if (giveaway) return giveaway;
       }
 
       // If it's a shortId (8 chars)
       if (id.length === 8) {
-        const giveaway = await this.collection.findOne({ shortId: id });
+        const giveaway = await this.storage.getGiveawayByShortId(id);
         if (giveaway) return giveaway;
       }
 
       // Treat as messageId
-      return await this.collection.findOne({ messageId: id });
+      return await this.storage.getGiveawayByMessageId(id);
     } catch (error) {
       logger.error("❌ Error getting giveaway by ID:", error);
       throw error;
@@ -294,7 +275,7 @@ class GiveawayManager extends EventEmitter {
    */
   async getByMessageId(messageId) {
     try {
-      return await this.collection.findOne({ messageId });
+      return await this.storage.getGiveawayByMessageId(messageId);
     } catch (error) {
       logger.error("❌ Error getting giveaway by message ID:", error);
       throw error;
@@ -308,12 +289,7 @@ class GiveawayManager extends EventEmitter {
    */
   async getActiveForGuild(guildId) {
     try {
-      return await this.collection
-        .find({
-          guildId,
-          status: "active",
-        })
-        .toArray();
+      return await this.storage.getGiveawaysByGuild(guildId, "active");
     } catch (error) {
       logger.error("❌ Error getting active giveaways:", error);
       throw error;
@@ -327,7 +303,7 @@ class GiveawayManager extends EventEmitter {
    */
   async getAllForGuild(guildId) {
     try {
-      return await this.collection.find({ guildId }).toArray();
+      return await this.storage.getGiveawaysByGuild(guildId);
     } catch (error) {
       logger.error("❌ Error getting all giveaways:", error);
       throw error;
@@ -373,10 +349,9 @@ class GiveawayManager extends EventEmitter {
 
       updateData.updatedAt = new Date();
 
-      const result = await this.collection.findOneAndUpdate(
-        { _id: giveaway._id },
-        { $set: updateData },
-        { returnDocument: "after" },
+      const result = await this.storage.updateGiveaway(
+        giveaway._id.toString(),
+        updateData,
       );
 
       logger.info(`✏️ Giveaway edited: ${giveawayId}`);
@@ -450,12 +425,10 @@ class GiveawayManager extends EventEmitter {
         });
       }
 
-      await this.collection.updateOne(
-        { _id: giveaway._id },
-        {
-          $set: { entries: giveaway.entries, updatedAt: new Date() },
-        },
-      );
+      await this.storage.updateGiveaway(giveaway._id.toString(), {
+        entries: giveaway.entries,
+        updatedAt: new Date(),
+      });
 
       const totalEntries = giveaway.entries.reduce(
         (sum, e) => sum + e.count,
@@ -489,12 +462,10 @@ class GiveawayManager extends EventEmitter {
 
       const newEntries = giveaway.entries.filter(e => e.userId !== userId);
 
-      await this.collection.updateOne(
-        { _id: giveaway._id },
-        {
-          $set: { entries: newEntries, updatedAt: new Date() },
-        },
-      );
+      await this.storage.updateGiveaway(giveaway._id.toString(), {
+        entries: newEntries,
+        updatedAt: new Date(),
+      });
 
       return { success: true };
     } catch (error) {
@@ -566,17 +537,12 @@ class GiveawayManager extends EventEmitter {
       const winners = this.selectWinners(giveaway.entries, giveaway.winners);
 
       // Update giveaway status
-      await this.collection.updateOne(
-        { _id: giveaway._id },
-        {
-          $set: {
-            status: "ended",
-            winnersData: winners,
-            updatedAt: new Date(),
-            endedAt: new Date(),
-          },
-        },
-      );
+      await this.storage.updateGiveaway(giveaway._id.toString(), {
+        status: "ended",
+        winnersData: winners,
+        updatedAt: new Date(),
+        endedAt: new Date(),
+      });
 
       logger.info(
         `🎉 Giveaway ended: ${giveawayId} - Winners: ${winners.length}`,
@@ -663,16 +629,11 @@ class GiveawayManager extends EventEmitter {
       const winnerCount = newWinnerCount || giveaway.winners;
       const winners = this.selectWinners(giveaway.entries, winnerCount);
 
-      await this.collection.updateOne(
-        { _id: giveaway._id },
-        {
-          $set: {
-            winnersData: winners,
-            updatedAt: new Date(),
-            rerolledAt: new Date(),
-          },
-        },
-      );
+      await this.storage.updateGiveaway(giveaway._id.toString(), {
+        winnersData: winners,
+        updatedAt: new Date(),
+        rerolledAt: new Date(),
+      });
 
       logger.info(
         `🔄 Giveaway rerolled: ${giveawayId} - New Winners: ${winners.length}`,
@@ -706,16 +667,11 @@ class GiveawayManager extends EventEmitter {
         return { success: false, error: "Giveaway not found" };
       }
 
-      await this.collection.updateOne(
-        { _id: giveaway._id },
-        {
-          $set: {
-            status: "cancelled",
-            updatedAt: new Date(),
-            cancelledAt: new Date(),
-          },
-        },
-      );
+      await this.storage.updateGiveaway(giveaway._id.toString(), {
+        status: "cancelled",
+        updatedAt: new Date(),
+        cancelledAt: new Date(),
+      });
 
       logger.info(`🚫 Giveaway cancelled: ${giveawayId}`);
 
@@ -755,30 +711,19 @@ class GiveawayManager extends EventEmitter {
       }
 
       // Update individually to not overwrite other winners who might have claimed
-      await this.collection.updateOne(
-        { _id: giveaway._id, "winnersData.userId": userId },
-        {
-          $set: {
-            "winnersData.$.claimed": true,
-            "winnersData.$.claimedAt": new Date(),
-            updatedAt: new Date(),
-          },
-        },
+      await this.storage.markGiveawayWinnerClaimed(
+        giveaway._id.toString(),
+        userId,
       );
 
       // Check if all winners claimed
       const allClaimed = giveaway.winnersData.every(w => w.claimed);
 
       if (allClaimed) {
-        await this.collection.updateOne(
-          { _id: giveaway._id },
-          {
-            $set: {
-              status: "completed",
-              completedAt: new Date(),
-            },
-          },
-        );
+        await this.storage.updateGiveaway(giveaway._id.toString(), {
+          status: "completed",
+          completedAt: new Date(),
+        });
       }
 
       logger.info(`✅ Giveaway prize claimed: ${giveawayId} by ${userId}`);
@@ -810,15 +755,10 @@ class GiveawayManager extends EventEmitter {
         return { success: false, error: "Giveaway not found" };
       }
 
-      await this.collection.updateOne(
-        { _id: giveaway._id },
-        {
-          $set: {
-            messageId,
-            updatedAt: new Date(),
-          },
-        },
-      );
+      await this.storage.updateGiveaway(giveaway._id.toString(), {
+        messageId,
+        updatedAt: new Date(),
+      });
 
       return { success: true };
     } catch (error) {
@@ -834,26 +774,7 @@ class GiveawayManager extends EventEmitter {
    */
   async getStats(guildId) {
     try {
-      const pipeline = [
-        { $match: { guildId } },
-        {
-          $group: {
-            _id: "$status",
-            count: { $sum: 1 },
-            totalEntries: {
-              $sum: {
-                $reduce: {
-                  input: "$entries",
-                  initialValue: 0,
-                  in: { $add: ["$$value", "$$this.count"] },
-                },
-              },
-            },
-          },
-        },
-      ];
-
-      const results = await this.collection.aggregate(pipeline).toArray();
+      const giveaways = await this.storage.getGiveawaysByGuild(guildId);
 
       const stats = {
         total: 0,
@@ -864,11 +785,14 @@ class GiveawayManager extends EventEmitter {
         totalEntries: 0,
       };
 
-      for (const result of results) {
-        stats[result._id] = result.count;
-        stats.total += result.count;
-        if (result._id !== "cancelled") {
-          stats.totalEntries += result.totalEntries || 0;
+      for (const giveaway of giveaways) {
+        stats[giveaway.status] = (stats[giveaway.status] || 0) + 1;
+        stats.total++;
+        if (giveaway.status !== "cancelled") {
+          stats.totalEntries += (giveaway.entries || []).reduce(
+            (sum, e) => sum + e.count,
+            0,
+          );
         }
       }
 
@@ -905,7 +829,7 @@ class GiveawayManager extends EventEmitter {
         return { success: false, error: "Giveaway not found" };
       }
 
-      await this.collection.deleteOne({ _id: giveaway._id });
+      await this.storage.deleteGiveaway(giveaway._id.toString());
 
       logger.info(`🗑️ Giveaway permanently deleted: ${giveawayId}`);
 
@@ -934,18 +858,18 @@ class GiveawayManager extends EventEmitter {
     try {
       const cutoffDate = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000);
 
-      const result = await this.collection.deleteMany({
-        status: { $in: ["completed", "cancelled"] },
-        updatedAt: { $lt: cutoffDate },
-      });
+      const deletedCount = await this.storage.deleteOldGiveaways(
+        ["completed", "cancelled"],
+        cutoffDate,
+      );
 
       // Invalidate cache after cleanup
       this.activeGiveawaysCache.clear();
       this.cacheTimestamp = null;
 
-      logger.info(`🧹 Cleaned up ${result.deletedCount} old giveaways`);
+      logger.info(`🧹 Cleaned up ${deletedCount} old giveaways`);
 
-      return result.deletedCount;
+      return deletedCount;
     } catch (error) {
       logger.error("❌ Error cleaning up giveaways:", error);
       throw error;
@@ -0,0 +1,100 @@
+import { getStorageManager } from "../../utils/storage/storageManager.js";
+import { getLogger } from "../../utils/logger.js";
+import {
+  cancelScheduledUnban,
+  liftTemporaryBan,
+} from "../../commands/admin/moderation/tempbans.js";
+
+class BanExpirationScheduler {
+  constructor(client) {
+    this.client = client;
+    this.logger = getLogger();
+    this.interval = null;
+    this.isRunning = false;
+    this.lastCleanupTime = 0;
+    this.cleanupCooldown = 30000; // 30 seconds between cleanups
+  }
+
+  start() {
+    if (this.isRunning) {
+      this.logger.warn("⚠️ Ban expiration scheduler is already running");
+      return;
+    }
+
+    this.logger.info("🕐 Starting ban expiration scheduler...");
+    this.isRunning = true;
+
+    this.interval = setInterval(async () => {
+      try {
+        await this.liftExpiredBans();
+      } catch (error) {
+        this.logger.error("❌ Error in ban expiration scheduler", error);
+      }
+    }, 60000).unref();
+
+    this.logger.success(
+      "✅ Ban expiration scheduler started (runs every 60 seconds)",
+    );
+    // Bans that expired while the bot was offline are lifted straight away
+    this.liftExpiredBans().catch(error =>
+      this.logger.error("❌ Initial temporary ban check failed", error),
+    );
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    this.logger.info("🛑 Ban expiration scheduler stopped");
+  }
+
+  async liftExpiredBans() {
+    const now = Date.now();
+
+    // Prevent multiple cleanups from running simultaneously
+    if (now - this.lastCleanupTime < this.cleanupCooldown) {
+      this.logger.debug("Ban expiry check skipped - too soon since last run");
+      return 0;
+    }
+
+    this.lastCleanupTime = now;
+
+    const storage = await getStorageManager();
+    const expiredBans = (await storage.getExpiredTemporaryBans()) || [];
+    if (expiredBans.length === 0) {
+      this.logger.debug("No expired temporary bans found.");
+      return 0;
+    }
+
+    this.logger.info(`Found ${expiredBans.length} expired temporary ban(s).`);
+
+    let lifted = 0;
+    for (const tempBan of expiredBans) {
+      const guild = this.client.guilds.cache.get(tempBan.guildId);
+      if (!guild) {
+        this.logger.warn(
+          `Guild ${tempBan.guildId} not found, dropping temporary ban for ${tempBan.userId}.`,
+        );
+        await cancelScheduledUnban(tempBan.guildId, tempBan.userId);
+        continue;
+      }
+
+      if (await liftTemporaryBan(guild, tempBan)) {
+        lifted++;
+      }
+    }
+
+    return lifted;
+  }
+}
+
+let scheduler = null;
+
+export function getBanExpirationScheduler(client) {
+  if (!scheduler) {
+    scheduler = new BanExpirationScheduler(client);
+  }
+  return scheduler;
+}
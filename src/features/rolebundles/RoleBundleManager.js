@@ -4,13 +4,12 @@
  */
 
 import { getLogger } from "../../utils/logger.js";
-import { getDatabaseManager } from "../../utils/storage/databaseManager.js";
+import { getStorageManager } from "../../utils/storage/storageManager.js";
 
 class RoleBundleManager {
   constructor() {
     this.logger = getLogger();
-    this.db = null;
-    this.collection = null;
+    this.storage = null;
   }
 
   /**
@@ -18,17 +17,8 @@ class RoleBundleManager {
    */
   async init() {
     try {
-      const dbManager = await getDatabaseManager();
-      // Access the database from connectionManager after connect() is called
-      await dbManager.connect();
-      this.db = dbManager.connectionManager.db;
-      this.collection = this.db.collection("role_bundles");
-
-      // Create indexes for better query performance
-      await this.collection.createIndex(
-        { guildId: 1, name: 1 },
-        { unique: true },
-      );
+      // Works on MongoDB or local files, whichever storage is active
+      this.storage = await getStorageManager();
 
       this.logger.info("📦 RoleBundleManager initialized");
     } catch (error) {
@@ -53,7 +43,7 @@ class RoleBundleManager {
         updatedAt: new Date(),
       };
 
-      await this.collection.insertOne(bundle);
+      await this.storage.createRoleBundle(bundle);
       this.logger.info(
         `📦 Role bundle created: ${options.name} in guild ${options.guildId}`,
       );
@@ -73,7 +63,7 @@ class RoleBundleManager {
    */
   async getByName(guildId, name) {
     try {
-      return await this.collection.findOne({ guildId, name });
+      return await this.storage.getRoleBundle(guildId, name);
     } catch (error) {
       this.logger.error("❌ Error getting bundle by name:", error);
       throw error;
@@ -87,7 +77,7 @@ class RoleBundleManager {
    */
   async getAllForGuild(guildId) {
     try {
-      return await this.collection.find({ guildId }).toArray();
+      return await this.storage.getRoleBundlesByGuild(guildId);
     } catch (error) {
       this.logger.error("❌ Error getting bundles for guild:", error);
       throw error;
@@ -102,9 +92,9 @@ class RoleBundleManager {
    */
   async deleteByName(guildId, name) {
     try {
-      const result = await this.collection.deleteOne({ guildId, name });
+      const deleted = await this.storage.deleteRoleBundle(guildId, name);
 
-      if (result.deletedCount === 0) {
+      if (!deleted) {
         return { success: false, error: "Bundle not found" };
       }
 
@@ -124,7 +114,7 @@ class RoleBundleManager {
    */
   async exists(guildId, name) {
     try {
-      const bundle = await this.collection.findOne({ guildId, name });
+      const bundle = await this.storage.getRoleBundle(guildId, name);
       return bundle !== null;
     } catch (error) {
       this.logger.error("❌ Error checking bundle existence:", error);
@@ -5,7 +5,11 @@ import {
   bulkRemoveRoles,
   getCachedMember,
 } from "../../utils/discord/roleManager.js";
-import { getNextExecutionTime } from "../../commands/admin/schedule-role/utils.js";
+import {
+  getPreviousExecutionTime,
+  getIntervalMinutes,
+  isExcludedDate,
+} from "../../commands/admin/schedule-role/utils.js";
 import { getRoleExecutor } from "./RoleExecutor.js";
 import {
   getUsersCorePriority,
@@ -188,17 +192,6 @@ class RoleScheduler {
     }
 
     try {
-      // Calculate next execution time
-      const nextExecution = getNextExecutionTime(scheduleConfig, scheduleType);
-
-      if (!nextExecution) {
-        return false;
-      }
-
-      // Check if it's time to execute (allow 5 minute window)
-      const timeDiff = now.getTime() - nextExecution.getTime();
-      const windowMs = 5 * 60 * 1000; // 5 minutes
-
       // Check if we haven't executed recently (avoid duplicate executions)
       const lastExecutedAt = schedule.lastExecutedAt
         ? new Date(schedule.lastExecutedAt)
@@ -212,21 +205,49 @@ class RoleScheduler {
         return false;
       }
 
+      // Skipped dates are read in the schedule's timezone
+      if (isExcludedDate(scheduleConfig, now, schedule.timezone)) {
+        return false;
+      }
+
       // For custom intervals, check based on last execution time
       if (scheduleType === "custom") {
         if (!lastExecutedAt) {
           // First execution - execute now if enough time has passed since creation
           const createdAt = new Date(schedule.createdAt);
-          const intervalMs = (scheduleConfig.intervalMinutes || 60) * 60 * 1000;
+          const intervalMs = getIntervalMinutes(scheduleConfig) * 60 * 1000;
           return now.getTime() - createdAt.getTime() >= intervalMs;
         }
 
-        const intervalMs = (scheduleConfig.intervalMinutes || 60) * 60 * 1000;
+        const intervalMs = getIntervalMinutes(scheduleConfig) * 60 * 1000;
         const nextExecutionTime = lastExecutedAt.getTime() + intervalMs;
         return now.getTime() >= nextExecutionTime;
       }
 
-      // For daily, weekly, monthly - check if within execution window
+      // For day-based schedules - find the latest occurrence in the
+      // schedule's timezone (schedules without one use the bot's timezone)
+      const lastOccurrence = getPreviousExecutionTime(
+        scheduleConfig,
+        scheduleType,
+        schedule.timezone,
+        now,
+      );
+
+      if (!lastOccurrence) {
+        return false;
+      }
+
+      // Each occurrence runs once, and never for a time before the schedule existed
+      if (lastExecutedAt && lastExecutedAt >= lastOccurrence) {
+        return false;
+      }
+      if (schedule.createdAt && new Date(schedule.createdAt) > lastOccurrence) {
+        return false;
+      }
+
+      // Check if it's time to execute (allow 5 minute window)
+      const timeDiff = now.getTime() - lastOccurrence.getTime();
+      const windowMs = 5 * 60 * 1000; // 5 minutes
       return timeDiff >= 0 && timeDiff <= windowMs;
     } catch (error) {
       this.logger.error(
@@ -0,0 +1,1193 @@
+import { randomUUID } from "node:crypto";
+import { EmbedBuilder, PermissionFlagsBits, Routes } from "discord.js";
+import { getLogger } from "../../utils/logger.js";
+import { getStorageManager } from "../../utils/storage/storageManager.js";
+import { getDatabaseManager } from "../../utils/storage/databaseManager.js";
+import {
+  setRoleMapping,
+  removeRoleMapping,
+} from "../../utils/discord/roleMappingManager.js";
+import {
+  PANEL_STYLES,
+  buildMappingData,
+} from "../../commands/admin/role-reactions/utils.js";
+import { createSetupRolesEmbed } from "../../commands/admin/role-reactions/embeds.js";
+import { createRolePanelComponents } from "../../commands/admin/role-reactions/components.js";
+import { addReactionsToMessage } from "../../commands/admin/role-reactions/messageOperations.js";
+import roleBundleManager from "../rolebundles/RoleBundleManager.js";
+import { getPremiumManager } from "../premium/PremiumManager.js";
+import { PremiumFeatures, FREE_TIER, PRO_TIER } from "../premium/config.js";
+import { LEVEL_REWARDS_CONFIG } from "../experience/LevelRewardsManager.js";
+import { getTicketPanel } from "../ticketing/TicketPanel.js";
+import {
+  FREE_TIER as TICKET_FREE_TIER,
+  PANEL_TEMPLATES,
+} from "../ticketing/config.js";
+import {
+  createPanelTemplate,
+  resolveTemplateEmoji,
+} from "../ticketing/panelTemplates.js";
+import { IMPORT_ACTIONS, TEMPLATE_SECTIONS } from "./config.js";
+import {
+  createServerTemplate,
+  parseServerTemplate,
+  remapServerTemplate,
+} from "./serverTemplates.js";
+
+const MAX_CUSTOM_COMMANDS = 50; // Same cap as the dashboard
+
+const COMMAND_OPTION_TYPES = {
+  string: 3,
+  integer: 4,
+  number: 10,
+  boolean: 5,
+  user: 6,
+  channel: 7,
+  role: 8,
+  mentionable: 9,
+  attachment: 11,
+};
+
+// How an item of a section is matched between a template and the guild
+const ITEM_KEYS = {
+  [TEMPLATE_SECTIONS.ROLE_PANELS]: panel => panel.messageId,
+  [TEMPLATE_SECTIONS.ROLE_BUNDLES]: bundle => bundle.name.toLowerCase(),
+  [TEMPLATE_SECTIONS.TICKET_PANELS]: panel => panel.panelId,
+  [TEMPLATE_SECTIONS.CUSTOM_COMMANDS]: command => command.name,
+};
+
+function withoutId(document) {
+  const copy = { ...document };
+  delete copy._id;
+  return copy;
+}
+
+// Planned items stay internal; previews only describe them
+function describePlan(plan) {
+  return {
+    ...plan,
+    changes: plan.changes.map(({ section, name, action, note }) => ({
+      section,
+      name,
+      action,
+      note,
+    })),
+  };
+}
+
+// Leave out the sections an import wasn't asked to apply
+function selectSections(template, sections) {
+  if (!sections) return template;
+  const selected = { ...template };
+  for (const section of Object.values(TEMPLATE_SECTIONS)) {
+    if (!sections.includes(section)) {
+      selected[section] = Array.isArray(template[section]) ? [] : null;
+    }
+  }
+  return selected;
+}
+
+function resolveCategories(guild, categories) {
+  return categories.map(category => ({
+    ...category,
+    emoji: resolveTemplateEmoji(guild.client, category.emoji),
+  }));
+}
+
+function buildCommandOptions(options) {
+  if (!Array.isArray(options)) return [];
+  return options.map(option => ({
+    name: String(option.name).slice(0, 32),
+    description: String(option.description).slice(0, 100),
+    type: COMMAND_OPTION_TYPES[option.type] || 3,
+    required: option.required || false,
+    autocomplete: option.autocomplete || false,
+    ...(option.choices?.length > 0 && {
+      choices: option.choices.slice(0, 25).map(choice => ({
+        name: String(choice.name).slice(0, 100),
+        value: String(choice.value).slice(0, 100),
+      })),
+    }),
+  }));
+}
+
+// Options are always sent so an update can remove them
+function buildCommandBody(command) {
+  return {
+    name: command.name,
+    description: command.description,
+    type: 1,
+    options: buildCommandOptions(command.options),
+  };
+}
+
+/**
+ * Thrown by applyImport when a change fails after others went through, once
+ * those have been undone as far as possible
+ */
+export class ImportRollbackError extends Error {
+  /**
+   * @param {Error} cause - Why the change failed
+   * @param {number} changesLeft - Applied changes that could not be undone
+   */
+  constructor(cause, changesLeft) {
+    super(cause.message, { cause });
+    this.name = "ImportRollbackError";
+    this.changesLeft = changesLeft;
+    // Set by backup restores to the backup taken right before the restore
+    this.backupId = null;
+  }
+}
+
+/**
+ * Exports a guild's bot configuration as one template document and imports
+ * such documents into other guilds. Imports are planned first so admins can
+ * preview them, and applied all-or-nothing: if one change fails, the changes
+ * made before it are undone.
+ */
+class ServerTemplateManager {
+  constructor() {
+    this.logger = getLogger();
+    // Guilds with an import in progress
+    this.activeImports = new Set();
+  }
+
+  /**
+   * Export a guild's configuration
+   * @param {import('discord.js').Guild} guild - Discord guild
+   * @returns {Promise<Object>} Template document
+   */
+  async exportTemplate(guild) {
+    const storage = await getStorageManager();
+    const dbManager = await getDatabaseManager();
+
+    const [guildSettings, voiceRoles, roleMappings, roleBundles, ticketPanels] =
+      await Promise.all([
+        storage.getGuildSettings(guild.id),
+        storage.getVoiceControlRoles(guild.id),
+        storage.getRoleMappings(),
+        storage.getRoleBundlesByGuild(guild.id),
+        storage.getTicketPanelsByGuild(guild.id),
+      ]);
+
+    const rolePanels = await Promise.all(
+      Object.entries(roleMappings)
+        .filter(([, mapping]) => mapping.guildId === guild.id)
+        .map(([messageId, mapping]) =>
+          this._exportRolePanel(guild, messageId, mapping),
+        ),
+    );
+
+    return createServerTemplate(guild, {
+      welcome: dbManager?.welcomeSettings
+        ? await dbManager.welcomeSettings.getByGuild(guild.id)
+        : null,
+      goodbye: dbManager?.goodbyeSettings
+        ? await dbManager.goodbyeSettings.getByGuild(guild.id)
+        : null,
+      experience: {
+        settings: guildSettings.experienceSystem,
+        levelRewards: guildSettings.levelRewards || [],
+        levelRewardMode: guildSettings.levelRewardMode,
+      },
+      voiceRoles,
+      rolePanels,
+      roleBundles,
+      ticketPanels: ticketPanels.map(panel => ({
+        panelId: panel.panelId,
+        channelId: panel.channelId,
+        ...createPanelTemplate(panel, {
+          name: panel.title.slice(0, PANEL_TEMPLATES.MAX_NAME_LENGTH),
+        }),
+      })),
+      customCommands: dbManager?.customCommands
+        ? await dbManager.customCommands.getByGuild(guild.id)
+        : [],
+    });
+  }
+
+  /**
+   * Work out what importing a template would change, without changing it
+   * @param {import('discord.js').Guild} guild - Target guild
+   * @param {any} data - Template document
+   * @param {Object} [options]
+   * @param {string[]} [options.sections] - Only these TEMPLATE_SECTIONS
+   * @param {boolean} [options.restore] - Also put back the template's version
+   *   of panels, bundles and commands that changed, and remove the ones the
+   *   template doesn't have
+   * @returns {Promise<{changes: Array<{section: string, name: string, action: string, note: string|null}>, missingRoles: string[], missingChannels: string[]}>}
+   * @throws {RangeError} When the document is not a valid template
+   */
+  async previewImport(guild, data, { sections = null, restore = false } = {}) {
+    return describePlan(
+      await this._planImport(
+        guild,
+        selectSections(parseServerTemplate(data), sections),
+        { sections, restore },
+      ),
+    );
+  }
+
+  /**
+   * Import a template, undoing every change made so far if one fails
+   * @param {import('discord.js').Guild} guild - Target guild
+   * @param {any} data - Template document
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Admin running the import
+   * @param {string[]} [options.sections] - Only these TEMPLATE_SECTIONS
+   * @param {boolean} [options.restore] - As for previewImport
+   * @returns {Promise<Object>} The applied plan, as returned by previewImport
+   * @throws {RangeError} When the document is invalid or an import is running
+   * @throws {ImportRollbackError} When a change failed and was rolled back
+   */
+  async applyImport(
+    guild,
+    data,
+    { userId = null, sections = null, restore = false } = {},
+  ) {
+    const template = selectSections(parseServerTemplate(data), sections);
+    if (this.activeImports.has(guild.id)) {
+      throw new RangeError("A template is already being imported here.");
+    }
+
+    this.activeImports.add(guild.id);
+    try {
+      const plan = await this._planImport(guild, template, {
+        sections,
+        restore,
+      });
+      const undo = [];
+      // Messages and Discord commands of removed items, deleted only once
+      // every change went through so a rollback can still put them back
+      const cleanup = [];
+
+      try {
+        for (const change of plan.changes) {
+          if (change.action === IMPORT_ACTIONS.SKIP) continue;
+          undo.push(await this._applyChange(guild, change, userId, cleanup));
+        }
+      } catch (error) {
+        throw new ImportRollbackError(error, await this._rollback(guild, undo));
+      }
+
+      for (const step of cleanup) {
+        await step().catch(error =>
+          this.logger.warn(
+            `Failed to clean up after a template import in guild ${guild.id}:`,
+            error,
+          ),
+        );
+      }
+
+      this.logger.info(
+        `📋 Imported server template into ${guild.name} (${guild.id}): ${undo.length} change(s)`,
+      );
+      return describePlan(plan);
+    } finally {
+      this.activeImports.delete(guild.id);
+    }
+  }
+
+  async _exportRolePanel(guild, messageId, mapping) {
+    // Title, description and color live on the posted message
+    const channel = guild.channels.cache.get(mapping.channelId);
+    const message = channel?.isTextBased()
+      ? await channel.messages.fetch(messageId).catch(() => null)
+      : null;
+    const embed = message?.embeds[0];
+
+    return {
+      messageId,
+      channelId: mapping.channelId,
+      title: embed?.title ?? mapping.title,
+      description: embed?.description ?? mapping.description,
+      color: embed?.color ?? mapping.color,
+      hideList: mapping.hideList,
+      selectionMode: mapping.selectionMode,
+      style: mapping.style,
+      roles: Object.values(mapping.roles),
+    };
+  }
+
+  /**
+   * Guild's current configuration in template form, to tell which items a
+   * restore would change. Null when it doesn't read as a template, e.g. with
+   * a panel whose roles were all deleted; every item then counts as changed.
+   */
+  async _exportCurrent(guild, sections) {
+    try {
+      const current = parseServerTemplate(await this.exportTemplate(guild));
+      return remapServerTemplate(selectSections(current, sections), guild)
+        .template;
+    } catch (error) {
+      this.logger.debug(
+        `Comparing a restore with guild ${guild.id} failed:`,
+        error,
+      );
+      return null;
+    }
+  }
+
+  async _planImport(guild, parsed, { sections = null, restore = false } = {}) {
+    const { template, missingRoles, missingChannels } = remapServerTemplate(
+      parsed,
+      guild,
+    );
+    const storage = await getStorageManager();
+    const dbManager = await getDatabaseManager();
+    const isPro = await getPremiumManager().isFeatureActive(
+      guild.id,
+      PremiumFeatures.PRO.id,
+    );
+
+    const changes = [];
+    const add = (section, name, action, note = null, item = null) =>
+      changes.push({ section, name, action, note, item });
+    const canPost = channelId =>
+      guild.channels.cache
+        .get(channelId)
+        ?.permissionsFor(guild.members.me)
+        ?.has(PermissionFlagsBits.SendMessages);
+
+    for (const [section, name, settings, repository] of [
+      [
+        TEMPLATE_SECTIONS.WELCOME,
+        "Welcome messages",
+        template.welcome,
+        dbManager?.welcomeSettings,
+      ],
+      [
+        TEMPLATE_SECTIONS.GOODBYE,
+        "Goodbye messages",
+        template.goodbye,
+        dbManager?.goodbyeSettings,
+      ],
+    ]) {
+      if (!settings) continue;
+      if (!repository) {
+        add(section, name, IMPORT_ACTIONS.SKIP, "Needs the database");
+      } else {
+        add(section, name, IMPORT_ACTIONS.UPDATE, null, settings);
+      }
+    }
+
+    if (template.experience) {
+      const experience = { ...template.experience };
+      const notes = [];
+      if (
+        !isPro &&
+        experience.levelRewards.length > FREE_TIER.LEVEL_REWARDS_MAX
+      ) {
+        experience.levelRewards = experience.levelRewards.slice(
+          0,
+          FREE_TIER.LEVEL_REWARDS_MAX,
+        );
+        notes.push(
+          `Only the first ${FREE_TIER.LEVEL_REWARDS_MAX} level rewards without Pro Engine`,
+        );
+      }
+      if (
+        !isPro &&
+        experience.levelRewardMode === LEVEL_REWARDS_CONFIG.MODES.REPLACE
+      ) {
+        experience.levelRewardMode = LEVEL_REWARDS_CONFIG.MODES.STACK;
+        notes.push("Rewards stack, Replace mode needs Pro Engine");
+      }
+      add(
+        TEMPLATE_SECTIONS.EXPERIENCE,
+        "XP settings and level rewards",
+        IMPORT_ACTIONS.UPDATE,
+        notes.join(". ") || null,
+        experience,
+      );
+    }
+
+    if (template.voiceRoles) {
+      add(
+        TEMPLATE_SECTIONS.VOICE_ROLES,
+        "Voice control roles",
+        IMPORT_ACTIONS.UPDATE,
+        null,
+        template.voiceRoles,
+      );
+    }
+
+    const current = restore ? await this._exportCurrent(guild, sections) : null;
+    const restores = section =>
+      restore && (!sections || sections.includes(section));
+    const unchanged = (section, item) => {
+      const key = ITEM_KEYS[section](item);
+      const now = current?.[section].find(
+        other => ITEM_KEYS[section](other) === key,
+      );
+      return !!now && JSON.stringify(now) === JSON.stringify(item);
+    };
+    // A restore removes what was created after the backup. These come first
+    // so the slots they free count for the items put back.
+    const removeNewer = (section, existing, describe) => {
+      if (!restores(section)) return [];
+      const keys = new Set(template[section].map(ITEM_KEYS[section]));
+      const newer = existing.filter(
+        item => !keys.has(ITEM_KEYS[section](item)),
+      );
+      for (const item of newer) {
+        add(
+          section,
+          describe(item),
+          IMPORT_ACTIONS.DELETE,
+          "Created after the backup",
+          item,
+        );
+      }
+      return newer;
+    };
+
+    const roleMappings = await storage.getRoleMappings();
+    const guildPanels = Object.entries(roleMappings)
+      .filter(([, mapping]) => mapping.guildId === guild.id)
+      .map(([messageId, mapping]) => ({ ...mapping, messageId }));
+    let rolePanelSlots =
+      (isPro
+        ? PRO_TIER.ROLE_REACTION_MAX_MESSAGES
+        : FREE_TIER.ROLE_REACTION_MAX_MESSAGES) -
+      guildPanels.length +
+      removeNewer(
+        TEMPLATE_SECTIONS.ROLE_PANELS,
+        guildPanels,
+        panel => panel.title || "Role panel",
+      ).length;
+    const maxPanelRoles = isPro
+      ? PRO_TIER.ROLE_REACTION_MAX_EMOJIS
+      : FREE_TIER.ROLE_REACTION_MAX_EMOJIS;
+    for (const panel of template.rolePanels) {
+      const name = panel.title || "Role panel";
+      const skip = note =>
+        add(TEMPLATE_SECTIONS.ROLE_PANELS, name, IMPORT_ACTIONS.SKIP, note);
+      const existing = guildPanels.find(
+        mapping => mapping.messageId === panel.messageId,
+      );
+
+      if (
+        existing &&
+        (!restore || unchanged(TEMPLATE_SECTIONS.ROLE_PANELS, panel))
+      ) {
+        skip("Already in place");
+      } else if (panel.roles.length === 0) skip("None of its roles were found");
+      else if (panel.roles.length > maxPanelRoles) {
+        skip(`Has more than ${maxPanelRoles} roles`);
+      } else if (existing) {
+        add(
+          TEMPLATE_SECTIONS.ROLE_PANELS,
+          name,
+          IMPORT_ACTIONS.REPLACE,
+          `In <#${existing.channelId}>`,
+          { template: panel, current: existing },
+        );
+      } else if (!panel.channelId) skip("Its channel wasn't found");
+      else if (!canPost(panel.channelId)) {
+        skip(`I can't post in <#${panel.channelId}>`);
+      } else if (rolePanelSlots <= 0) skip("Role panel limit reached");
+      else {
+        rolePanelSlots--;
+        add(
+          TEMPLATE_SECTIONS.ROLE_PANELS,
+          name,
+          IMPORT_ACTIONS.CREATE,
+          `In <#${panel.channelId}>`,
+          panel,
+        );
+      }
+    }
+
+    const guildBundles = await storage.getRoleBundlesByGuild(guild.id);
+    removeNewer(
+      TEMPLATE_SECTIONS.ROLE_BUNDLES,
+      guildBundles,
+      bundle => bundle.name,
+    );
+    const bundleNames = new Set(
+      guildBundles.map(bundle => bundle.name.toLowerCase()),
+    );
+    const maxBundleRoles = isPro
+      ? PRO_TIER.ROLE_BUNDLE_MAX_ROLES
+      : FREE_TIER.ROLE_BUNDLE_MAX_ROLES;
+    for (const bundle of template.roleBundles) {
+      const validation = roleBundleManager.validateName(bundle.name);
+      const skip = note =>
+        add(
+          TEMPLATE_SECTIONS.ROLE_BUNDLES,
+          bundle.name,
+          IMPORT_ACTIONS.SKIP,
+          note,
+        );
+      const existing =
+        restore &&
+        guildBundles.find(
+          other => other.name.toLowerCase() === bundle.name.toLowerCase(),
+        );
+
+      if (!validation.valid) skip(validation.error);
+      else if (existing && unchanged(TEMPLATE_SECTIONS.ROLE_BUNDLES, bundle)) {
+        skip("Already in place");
+      } else if (!existing && bundleNames.has(bundle.name.toLowerCase())) {
+        skip("A bundle with this name exists");
+      } else if (bundle.roles.length === 0)
+        skip("None of its roles were found");
+      else if (bundle.roles.length > maxBundleRoles) {
+        skip(`Has more than ${maxBundleRoles} roles`);
+      } else if (existing) {
+        add(
+          TEMPLATE_SECTIONS.ROLE_BUNDLES,
+          bundle.name,
+          IMPORT_ACTIONS.REPLACE,
+          null,
+          { template: bundle, current: existing },
+        );
+      } else {
+        bundleNames.add(bundle.name.toLowerCase());
+        add(
+          TEMPLATE_SECTIONS.ROLE_BUNDLES,
+          bundle.name,
+          IMPORT_ACTIONS.CREATE,
+          null,
+          bundle,
+        );
+      }
+    }
+
+    if (
+      template.ticketPanels.length > 0 ||
+      restores(TEMPLATE_SECTIONS.TICKET_PANELS)
+    ) {
+      const ticketPanel = getTicketPanel();
+      await ticketPanel.initialize();
+      const limit = await ticketPanel.checkPanelLimit(guild.id);
+      const guildTicketPanels = await storage.getTicketPanelsByGuild(guild.id);
+      let ticketPanelSlots =
+        limit.max -
+        limit.current +
+        removeNewer(
+          TEMPLATE_SECTIONS.TICKET_PANELS,
+          guildTicketPanels,
+          panel => panel.title,
+        ).length;
+
+      for (const panel of template.ticketPanels) {
+        const skip = note =>
+          add(
+            TEMPLATE_SECTIONS.TICKET_PANELS,
+            panel.name,
+            IMPORT_ACTIONS.SKIP,
+            note,
+          );
+        const existing = guildTicketPanels.find(
+          other => other.panelId === panel.panelId,
+        );
+
+        if (
+          existing &&
+          (!restore || unchanged(TEMPLATE_SECTIONS.TICKET_PANELS, panel))
+        ) {
+          skip("Already in place");
+        } else if (
+          !limit.isPro &&
+          panel.panel.categories.length > TICKET_FREE_TIER.MAX_CATEGORIES
+        ) {
+          skip("Has more categories than allowed without Pro Engine");
+        } else if (existing) {
+          add(
+            TEMPLATE_SECTIONS.TICKET_PANELS,
+            panel.name,
+            IMPORT_ACTIONS.REPLACE,
+            null,
+            { template: panel, current: existing },
+          );
+        } else if (!panel.channelId) skip("Its channel wasn't found");
+        else if (!canPost(panel.channelId)) {
+          skip(`I can't post in <#${panel.channelId}>`);
+        } else if (ticketPanelSlots <= 0) skip("Ticket panel limit reached");
+        else {
+          ticketPanelSlots--;
+          add(
+            TEMPLATE_SECTIONS.TICKET_PANELS,
+            panel.name,
+            IMPORT_ACTIONS.CREATE,
+            `In <#${panel.channelId}>`,
+            panel,
+          );
+        }
+      }
+    }
+
+    if (
+      template.customCommands.length > 0 ||
+      restores(TEMPLATE_SECTIONS.CUSTOM_COMMANDS)
+    ) {
+      const repository = dbManager?.customCommands;
+      const guildCommands =
+        repository && restore ? await repository.getByGuild(guild.id) : [];
+      const removed = removeNewer(
+        TEMPLATE_SECTIONS.CUSTOM_COMMANDS,
+        guildCommands,
+        command => `/${command.name}`,
+      );
+      let commandSlots = repository
+        ? MAX_CUSTOM_COMMANDS -
+          (await repository.countByGuild(guild.id)) +
+          removed.length
+        : 0;
+      // Names and aliases of commands the restore removes are free again
+      const nameTaken = async name => {
+        const command = await repository.findByNameOrAlias(guild.id, name);
+        return (
+          !!command &&
+          !removed.some(({ commandId }) => commandId === command.commandId)
+        );
+      };
+
+      for (const command of template.customCommands) {
+        const name = `/${command.name}`;
+        const skip = note =>
+          add(
+            TEMPLATE_SECTIONS.CUSTOM_COMMANDS,
+            name,
+            IMPORT_ACTIONS.SKIP,
+            note,
+          );
+        const existing = guildCommands.find(
+          other => other.name === command.name,
+        );
+
+        if (!repository) skip("Needs the database");
+        else if (!isPro) skip("Custom commands need Pro Engine");
+        else if (
+          existing &&
+          unchanged(TEMPLATE_SECTIONS.CUSTOM_COMMANDS, command)
+        ) {
+          skip("Already in place");
+        } else if (!existing && (await nameTaken(command.name))) {
+          skip("A command with this name exists");
+        } else if (command.type === "role" && !command.role?.roleId) {
+          skip("Its role wasn't found");
+        } else if (command.allowedChannels === null) {
+          skip("None of its channels were found");
+        } else if (command.requiredRoles === null) {
+          skip("None of its required roles were found");
+        } else if (existing) {
+          add(
+            TEMPLATE_SECTIONS.CUSTOM_COMMANDS,
+            name,
+            IMPORT_ACTIONS.REPLACE,
+            null,
+            { template: command, current: existing },
+          );
+        } else if (commandSlots <= 0) skip("Custom command limit reached");
+        else {
+          commandSlots--;
+          add(
+            TEMPLATE_SECTIONS.CUSTOM_COMMANDS,
+            name,
+            IMPORT_ACTIONS.CREATE,
+            null,
+            command,
+          );
+        }
+      }
+    }
+
+    return { changes, missingRoles, missingChannels };
+  }
+
+  /**
+   * Apply one planned change
+   * @param {Function[]} cleanup - Collects steps to run once the import succeeded
+   * @returns {Promise<Function>} Undoes the change
+   */
+  async _applyChange(guild, change, userId, cleanup) {
+    if (change.action === IMPORT_ACTIONS.REPLACE) {
+      return this._replaceItem(guild, change);
+    }
+    if (change.action === IMPORT_ACTIONS.DELETE) {
+      return this._deleteItem(guild, change, cleanup);
+    }
+
+    const { section, item } = change;
+    const storage = await getStorageManager();
+    const dbManager = await getDatabaseManager();
+
+    switch (section) {
+      case TEMPLATE_SECTIONS.WELCOME:
+      case TEMPLATE_SECTIONS.GOODBYE: {
+        const repository =
+          section === TEMPLATE_SECTIONS.WELCOME
+            ? dbManager.welcomeSettings
+            : dbManager.goodbyeSettings;
+        const previous = await repository.getByGuild(guild.id);
+        await repository.set(guild.id, item);
+        return () => repository.set(guild.id, withoutId(previous));
+      }
+
+      case TEMPLATE_SECTIONS.EXPERIENCE: {
+        const previous = await storage.getGuildSettings(guild.id);
+        const addedAt = new Date().toISOString();
+        await storage.setGuildSettings(guild.id, {
+          ...previous,
+          experienceSystem: { ...previous.experienceSystem, ...item.settings },
+          levelRewards: item.levelRewards.map(reward => ({
+            ...reward,
+            addedAt,
+          })),
+          levelRewardMode: item.levelRewardMode,
+        });
+        return () => storage.setGuildSettings(guild.id, previous);
+      }
+
+      case TEMPLATE_SECTIONS.VOICE_ROLES: {
+        const previous = await storage.getVoiceControlRoles(guild.id);
+        if (!(await storage.setVoiceControlRoles(guild.id, item))) {
+          throw new Error("Failed to save voice control roles");
+        }
+        return () =>
+          storage.setVoiceControlRoles(guild.id, withoutId(previous));
+      }
+
+      case TEMPLATE_SECTIONS.ROLE_PANELS:
+        return this._createRolePanel(guild, item);
+
+      case TEMPLATE_SECTIONS.ROLE_BUNDLES:
+        await this._createRoleBundle(guild, item);
+        return () => roleBundleManager.deleteByName(guild.id, item.name);
+
+      case TEMPLATE_SECTIONS.TICKET_PANELS:
+        return this._createTicketPanel(guild, item);
+
+      case TEMPLATE_SECTIONS.CUSTOM_COMMANDS:
+        return this._createCustomCommand(guild, item, userId);
+
+      default:
+        throw new Error(`Unknown template section: ${section}`);
+    }
+  }
+
+  /**
+   * Put back the template's version of a panel, bundle or command
+   * @returns {Promise<Function>} Undoes the change
+   */
+  async _replaceItem(guild, { section, item }) {
+    const { template, current } = item;
+
+    switch (section) {
+      case TEMPLATE_SECTIONS.ROLE_PANELS:
+        return this._replaceRolePanel(guild, template, current);
+
+      case TEMPLATE_SECTIONS.ROLE_BUNDLES: {
+        // Bundles have no update, so the current one is swapped out
+        const putBack = () => roleBundleManager.create(withoutId(current));
+        await roleBundleManager.deleteByName(guild.id, current.name);
+        try {
+          await this._createRoleBundle(guild, template);
+        } catch (error) {
+          await putBack().catch(() => {});
+          throw error;
+        }
+        return async () => {
+          await roleBundleManager.deleteByName(guild.id, template.name);
+          await putBack();
+        };
+      }
+
+      case TEMPLATE_SECTIONS.TICKET_PANELS:
+        await this._updateTicketPanel(guild, current.panelId, {
+          title: template.panel.title,
+          description: template.panel.description,
+          categories: resolveCategories(guild, template.panel.categories),
+          styling: { ...current.styling, color: template.panel.color },
+        });
+        return () =>
+          this._updateTicketPanel(guild, current.panelId, {
+            title: current.title,
+            description: current.description,
+            categories: current.categories,
+            styling: current.styling,
+          });
+
+      case TEMPLATE_SECTIONS.CUSTOM_COMMANDS:
+        return this._replaceCustomCommand(guild, template, current);
+
+      default:
+        throw new Error(`Unknown template section: ${section}`);
+    }
+  }
+
+  /**
+   * Remove a panel, bundle or command the template doesn't have. Its message
+   * or Discord command is left to the cleanup steps.
+   * @param {Function[]} cleanup - Collects steps to run once the import succeeded
+   * @returns {Promise<Function>} Undoes the change
+   */
+  async _deleteItem(guild, { section, item }, cleanup) {
+    const storage = await getStorageManager();
+    const dbManager = await getDatabaseManager();
+
+    switch (section) {
+      case TEMPLATE_SECTIONS.ROLE_PANELS:
+        if (!(await removeRoleMapping(item.messageId))) {
+          throw new Error(`Failed to remove role panel ${item.messageId}`);
+        }
+        cleanup.push(() =>
+          this._deleteMessage(guild, item.channelId, item.messageId),
+        );
+        return () =>
+          setRoleMapping(item.messageId, guild.id, item.channelId, item);
+
+      case TEMPLATE_SECTIONS.ROLE_BUNDLES:
+        await roleBundleManager.deleteByName(guild.id, item.name);
+        return () => roleBundleManager.create(withoutId(item));
+
+      case TEMPLATE_SECTIONS.TICKET_PANELS: {
+        const result = await getTicketPanel().deletePanel(item.panelId);
+        if (!result.success) {
+          throw new Error(`Failed to remove ticket panel "${item.title}"`);
+        }
+        cleanup.push(() =>
+          this._deleteMessage(guild, item.channelId, item.messageId),
+        );
+        return () => storage.createTicketPanel(withoutId(item));
+      }
+
+      case TEMPLATE_SECTIONS.CUSTOM_COMMANDS: {
+        const { client } = guild;
+        await dbManager.customCommands.delete(guild.id, item.commandId);
+        cleanup.push(() =>
+          client.rest.delete(
+            Routes.applicationGuildCommand(
+              client.application.id,
+              guild.id,
+              item.discordCommandId,
+            ),
+          ),
+        );
+        return () => dbManager.customCommands.create(withoutId(item));
+      }
+
+      default:
+        throw new Error(`Unknown template section: ${section}`);
+    }
+  }
+
+  async _deleteMessage(guild, channelId, messageId) {
+    const channel = guild.channels.cache.get(channelId);
+    if (!messageId || !channel?.isTextBased()) return;
+    const message = await channel.messages.fetch(messageId).catch(() => null);
+    await message?.delete();
+  }
+
+  async _createRoleBundle(guild, bundle) {
+    await roleBundleManager.create({
+      _id: undefined, // Let MongoDB generate
+      guildId: guild.id,
+      name: bundle.name,
+      roles: bundle.roles.map(({ roleId }) => ({
+        roleId,
+        roleName: guild.roles.cache.get(roleId)?.name,
+      })),
+    });
+  }
+
+  // Panel entries with the role names the embed and buttons show
+  _withRoleNames(guild, roles) {
+    return roles.map(entry => {
+      const roleNames = entry.roleIds.map(
+        id => guild.roles.cache.get(id)?.name || "",
+      );
+      return {
+        ...entry,
+        roleId: entry.roleIds[0],
+        roleName: roleNames[0],
+        roleNames,
+      };
+    });
+  }
+
+  async _createRolePanel(guild, panel) {
+    const channel = /** @type {import('discord.js').TextChannel} */ (
+      guild.channels.cache.get(panel.channelId)
+    );
+    const validRoles = this._withRoleNames(guild, panel.roles);
+
+    const message = await channel.send({
+      embeds: [
+        createSetupRolesEmbed(
+          panel.title,
+          panel.description,
+          panel.color,
+          validRoles,
+          guild.client,
+          panel.hideList,
+        ),
+      ],
+      components: createRolePanelComponents(
+        validRoles,
+        panel.style,
+        panel.selectionMode,
+      ),
+    });
+    const undo = async () => {
+      await removeRoleMapping(message.id);
+      await message.delete().catch(() => {});
+    };
+
+    try {
+      await message.edit({
+        embeds: [
+          EmbedBuilder.from(message.embeds[0]).setFooter({
+            text: `Role Reactions • ID: ${message.id}`,
+            iconURL: message.embeds[0].footer?.iconURL,
+          }),
+        ],
+      });
+
+      if (panel.style === PANEL_STYLES.REACTIONS) {
+        const result = await addReactionsToMessage(message, validRoles);
+        if (result.failedReactions?.length === validRoles.length) {
+          throw new Error(`Failed to add reactions in #${channel.name}`);
+        }
+      }
+
+      await setRoleMapping(
+        message.id,
+        guild.id,
+        channel.id,
+        buildMappingData({
+          ...panel,
+          roles: Object.fromEntries(
+            validRoles.map(entry => [entry.emoji, entry]),
+          ),
+        }),
+      );
+    } catch (error) {
+      await undo();
+      throw error;
+    }
+    return undo;
+  }
+
+  async _replaceRolePanel(guild, panel, mapping) {
+    const channel = guild.channels.cache.get(mapping.channelId);
+    const message = channel?.isTextBased()
+      ? await channel.messages.fetch(mapping.messageId).catch(() => null)
+      : null;
+    if (!message) {
+      throw new Error(`The message of role panel "${panel.title}" is gone`);
+    }
+
+    const validRoles = this._withRoleNames(guild, panel.roles);
+    const embed = createSetupRolesEmbed(
+      panel.title,
+      panel.description,
+      panel.color,
+      validRoles,
+      guild.client,
+      panel.hideList,
+    );
+    embed.setFooter({
+      text: `Role Reactions • ID: ${message.id}`,
+      iconURL: guild.client.user.displayAvatarURL(),
+    });
+
+    const { embeds, components } = message;
+    const undo = async () => {
+      await setRoleMapping(message.id, guild.id, mapping.channelId, mapping);
+      await message.edit({ embeds, components });
+    };
+
+    try {
+      await message.edit({
+        embeds: [embed],
+        components: createRolePanelComponents(
+          validRoles,
+          panel.style,
+          panel.selectionMode,
+        ),
+      });
+      if (panel.style === PANEL_STYLES.REACTIONS) {
+        await addReactionsToMessage(message, validRoles);
+      }
+
+      const saved = await setRoleMapping(
+        message.id,
+        guild.id,
+        mapping.channelId,
+        buildMappingData({
+          ...panel,
+          roles: Object.fromEntries(
+            validRoles.map(entry => [entry.emoji, entry]),
+          ),
+        }),
+      );
+      if (!saved) {
+        throw new Error(`Failed to save role panel "${panel.title}"`);
+      }
+    } catch (error) {
+      await undo().catch(() => {});
+      throw error;
+    }
+    return undo;
+  }
+
+  async _updateTicketPanel(guild, panelId, fields) {
+    const ticketPanel = getTicketPanel();
+    const result = await ticketPanel.updatePanel(panelId, fields);
+    if (!result.success) {
+      throw new Error(`Failed to update ticket panel ${panelId}`);
+    }
+    await ticketPanel.refreshPanelMessage(guild, panelId);
+  }
+
+  async _createTicketPanel(guild, template) {
+    const ticketPanel = getTicketPanel();
+    const channel = guild.channels.cache.get(template.channelId);
+
+    const result = await ticketPanel.createPanelFromTemplate({
+      guildId: guild.id,
+      channelId: channel.id,
+      template: {
+        ...template,
+        panel: {
+          ...template.panel,
+          categories: resolveCategories(guild, template.panel.categories),
+        },
+      },
+    });
+    if (!result.success) {
+      throw new Error(`Failed to create ticket panel "${template.name}"`);
+    }
+
+    const sent = await ticketPanel.sendPanelMessage({
+      channel,
+      panel: result.panel,
+    });
+    if (!sent.success) {
+      await ticketPanel.deletePanel(result.panel.panelId);
+      throw new Error(`Failed to post ticket panel "${template.name}"`);
+    }
+
+    return async () => {
+      await sent.message.delete().catch(() => {});
+      await ticketPanel.deletePanel(result.panel.panelId);
+    };
+  }
+
+  async _createCustomCommand(guild, command, userId) {
+    const dbManager = await getDatabaseManager();
+    const { client } = guild;
+
+    const registered = /** @type {any} */ (
+      await client.rest.post(
+        Routes.applicationGuildCommands(client.application.id, guild.id),
+        { body: buildCommandBody(command) },
+      )
+    );
+    const unregister = () =>
+      client.rest.delete(
+        Routes.applicationGuildCommand(
+          client.application.id,
+          guild.id,
+          registered.id,
+        ),
+      );
+
+    const now = new Date();
+    const commandId = randomUUID();
+    try {
+      await dbManager.customCommands.create({
+        ...command,
+        guildId: guild.id,
+        commandId,
+        discordCommandId: registered.id,
+        randomResponse: command.randomResponse ?? false,
+        enabled: true,
+        ephemeral: command.ephemeral ?? false,
+        dmUser: command.dmUser ?? false,
+        dmTarget: command.dmTarget ?? null,
+        createdBy: userId,
+        createdAt: now,
+        updatedAt: now,
+      });
+    } catch (error) {
+      await unregister().catch(() => {});
+      throw error;
+    }
+
+    return async () => {
+      await dbManager.customCommands.delete(guild.id, commandId);
+      await unregister();
+    };
+  }
+
+  async _replaceCustomCommand(guild, command, current) {
+    const dbManager = await getDatabaseManager();
+    const { client } = guild;
+    const save = async fields => {
+      await client.rest.patch(
+        Routes.applicationGuildCommand(
+          client.application.id,
+          guild.id,
+          current.discordCommandId,
+        ),
+        { body: buildCommandBody(fields) },
+      );
+      await dbManager.customCommands.update(
+        guild.id,
+        current.commandId,
+        fields,
+      );
+    };
+    const putBack = () => save(withoutId(current));
+
+    try {
+      await save(command);
+    } catch (error) {
+      await putBack().catch(() => {});
+      throw error;
+    }
+    return putBack;
+  }
+
+  /**
+   * Undo applied changes, newest first, carrying on past failed steps
+   * @returns {Promise<number>} Number of changes that could not be undone
+   */
+  async _rollback(guild, undo) {
+    let failed = 0;
+    for (const step of undo.reverse()) {
+      try {
+        await step();
+      } catch (error) {
+        failed++;
+        this.logger.error(
+          `Failed to undo a template change in guild ${guild.id}:`,
+          error,
+        );
+      }
+    }
+
+    if (failed > 0) {
+      this.logger.warn(
+        `⚠️ Template import into ${guild.id} was rolled back with ${failed} change(s) left in place`,
+      );
+    } else {
+      this.logger.info(`↩️ Template import into ${guild.id} was rolled back`);
+    }
+    return failed;
+  }
+}
+
+let serverTemplateManager = null;
+
+export function getServerTemplateManager() {
+  if (!serverTemplateManager) {
+    serverTemplateManager = new ServerTemplateManager();
+  }
+  return serverTemplateManager;
+}
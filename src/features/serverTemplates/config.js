@@ -0,0 +1,34 @@
+/**
+ * Server Template Configuration
+ * Limits for exported configuration documents and the sections they hold
+ */
+
+export const SERVER_TEMPLATES = {
+  VERSION: 1, // Bump when the template document changes shape
+  MAX_FILE_SIZE_KB: 512, // Imported JSON documents
+  DOWNLOAD_TIMEOUT_MS: 10000,
+  MAX_ITEMS_PER_SECTION: 50, // Panels, bundles or commands per section
+  MAX_TEXT_LENGTH: 4096, // Any text setting, e.g. a welcome message
+  CONFIRM_TIMEOUT_MS: 5 * 60 * 1000, // How long an import preview can be applied
+};
+
+// Sections in the order an import applies them
+export const TEMPLATE_SECTIONS = {
+  WELCOME: "welcome",
+  GOODBYE: "goodbye",
+  EXPERIENCE: "experience",
+  VOICE_ROLES: "voiceRoles",
+  ROLE_PANELS: "rolePanels",
+  ROLE_BUNDLES: "roleBundles",
+  TICKET_PANELS: "ticketPanels",
+  CUSTOM_COMMANDS: "customCommands",
+};
+
+// What an import does with each item of a template
+export const IMPORT_ACTIONS = {
+  UPDATE: "update", // Replaces the server's settings for a section
+  CREATE: "create", // Adds a new panel, bundle or command
+  REPLACE: "replace", // Puts back the template's version of one (restores only)
+  DELETE: "delete", // Removes one the template doesn't have (restores only)
+  SKIP: "skip", // Left out, with a reason shown in the preview
+};
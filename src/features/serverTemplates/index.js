@@ -0,0 +1,13 @@
+/**
+ * Server Templates Feature
+ *
+ * Export a server's bot configuration as one JSON document and import it
+ * into another server, with roles and channels matched by name
+ */
+
+export {
+  getServerTemplateManager,
+  ImportRollbackError,
+} from "./ServerTemplateManager.js";
+export * from "./config.js";
+export * from "./serverTemplates.js";
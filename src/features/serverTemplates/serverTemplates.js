@@ -0,0 +1,667 @@
+import { createDefaultWelcomeSettings } from "../../utils/storage/repositories/WelcomeSettingsRepository.js";
+import { createDefaultGoodbyeSettings } from "../../utils/storage/repositories/GoodbyeSettingsRepository.js";
+import { createDefaultGuildSettings } from "../../utils/storage/repositories/GuildSettingsRepository.js";
+import { SELECTION_MODES } from "../../utils/discord/roleReactionRules.js";
+import { PANEL_STYLES } from "../../commands/admin/role-reactions/utils.js";
+import { MAX_PANEL_ENTRIES } from "../../commands/admin/role-reactions/components.js";
+import { LEVEL_REWARDS_CONFIG } from "../experience/LevelRewardsManager.js";
+import { PRO_TIER } from "../premium/config.js";
+import { parsePanelTemplate } from "../ticketing/panelTemplates.js";
+import { SERVER_TEMPLATES } from "./config.js";
+
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+const COMMAND_NAME_PATTERN = /^[a-z0-9-]{1,32}$/;
+const COMMAND_TYPES = ["text", "embed", "role", "dm"];
+const MAX_NAME_LENGTH = 100; // Discord role and channel names
+const MAX_REFERENCES = 1000;
+const MAX_EMOJI_LENGTH = 64;
+const MAX_BUNDLE_NAME_LENGTH = 50;
+const MAX_COMMAND_DESCRIPTION_LENGTH = 100;
+
+// Stored alongside settings but never part of a template
+const META_FIELDS = ["guildId", "createdAt", "updatedAt"];
+
+// Custom command fields a template carries; IDs, owners and dates are not
+const COMMAND_FIELDS = [
+  "response",
+  "responses",
+  "randomResponse",
+  "embed",
+  "ephemeral",
+  "cooldown",
+  "aliases",
+  "dmUser",
+  "dmTarget",
+  "options",
+  "components",
+];
+
+function isObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function isColor(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 0xffffff;
+}
+
+/**
+ * Read an optional string field
+ * @throws {RangeError} When the value is not a string or is too long
+ */
+function readText(value, field, maxLength, { required = false } = {}) {
+  if (value === undefined || value === null || value === "") {
+    if (required) throw new RangeError(`The template is missing ${field}.`);
+    return null;
+  }
+  if (typeof value !== "string") {
+    throw new RangeError(`The template's ${field} must be text.`);
+  }
+  if (value.length > maxLength) {
+    throw new RangeError(
+      `The template's ${field} can be at most ${maxLength} characters long.`,
+    );
+  }
+  return value;
+}
+
+function readId(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string" || !SNOWFLAKE_PATTERN.test(value)) {
+    throw new RangeError(`The template's ${field} is not a valid ID.`);
+  }
+  return value;
+}
+
+function readIds(value, field) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new RangeError(`The template's ${field} must be a list of IDs.`);
+  }
+  return [...new Set(value.map(id => readId(id, field)).filter(Boolean))];
+}
+
+function readList(
+  value,
+  field,
+  maxItems = SERVER_TEMPLATES.MAX_ITEMS_PER_SECTION,
+) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new RangeError(`The template's ${field} must be a list.`);
+  }
+  if (value.length > maxItems) {
+    throw new RangeError(`The template can have at most ${maxItems} ${field}.`);
+  }
+  return value;
+}
+
+/**
+ * Copy the known settings of a section, checking each against its default
+ * Settings without a default (null) are role or channel IDs
+ */
+function readSettings(value, defaults, section) {
+  if (value === undefined || value === null) return null;
+  if (!isObject(value)) {
+    throw new RangeError(`The template's ${section} settings are invalid.`);
+  }
+
+  const settings = {};
+  for (const [field, fallback] of Object.entries(defaults)) {
+    if (META_FIELDS.includes(field) || value[field] === undefined) continue;
+
+    const setting = value[field];
+    const name = `${section} ${field}`;
+    if (fallback === null) {
+      settings[field] = readId(setting, name);
+    } else if (typeof fallback === "string") {
+      settings[field] =
+        readText(setting, name, SERVER_TEMPLATES.MAX_TEXT_LENGTH) ?? fallback;
+    } else if (
+      isObject(fallback)
+        ? isObject(setting)
+        : typeof setting === typeof fallback
+    ) {
+      settings[field] = setting;
+    } else {
+      throw new RangeError(`The template's ${name} setting is invalid.`);
+    }
+  }
+  return settings;
+}
+
+function readReferences(value, field, { withType = false } = {}) {
+  return readList(value, field, MAX_REFERENCES)
+    .map(reference => {
+      if (!isObject(reference)) {
+        throw new RangeError(`The template's ${field} are invalid.`);
+      }
+      return {
+        id: readId(reference.id, field),
+        name: readText(reference.name, `${field} name`, MAX_NAME_LENGTH, {
+          required: true,
+        }),
+        ...(withType &&
+          Number.isInteger(reference.type) && { type: reference.type }),
+      };
+    })
+    .filter(reference => reference.id);
+}
+
+function readExperience(value) {
+  if (value === undefined || value === null) return null;
+  if (!isObject(value)) {
+    throw new RangeError("The template's XP settings are invalid.");
+  }
+
+  const mode = value.levelRewardMode ?? LEVEL_REWARDS_CONFIG.MODES.STACK;
+  if (!Object.values(LEVEL_REWARDS_CONFIG.MODES).includes(mode)) {
+    throw new RangeError(
+      `The template has an unknown level reward mode "${mode}".`,
+    );
+  }
+
+  return {
+    settings: readSettings(
+      value.settings ?? {},
+      createDefaultGuildSettings(null).experienceSystem,
+      "XP",
+    ),
+    levelRewards: readList(value.levelRewards, "level rewards").map(
+      (reward, index) => {
+        const field = `level reward ${index + 1}`;
+        if (!Number.isInteger(reward?.level) || reward.level < 1) {
+          throw new RangeError(
+            `The template's ${field} needs a level of 1 or more.`,
+          );
+        }
+        const roleId = readId(reward.roleId, `${field} role`);
+        if (!roleId)
+          throw new RangeError(`The template's ${field} needs a role.`);
+        return { level: reward.level, roleId };
+      },
+    ),
+    levelRewardMode: mode,
+  };
+}
+
+function readVoiceRoles(value) {
+  if (value === undefined || value === null) return null;
+  const moves = value.moveRoleMappings ?? {};
+  if (!isObject(value) || !isObject(moves)) {
+    throw new RangeError("The template's voice control roles are invalid.");
+  }
+
+  return {
+    disconnectRoleIds: readIds(
+      value.disconnectRoleIds,
+      "voice disconnect roles",
+    ),
+    muteRoleIds: readIds(value.muteRoleIds, "voice mute roles"),
+    deafenRoleIds: readIds(value.deafenRoleIds, "voice deafen roles"),
+    moveRoleMappings: Object.fromEntries(
+      Object.entries(moves)
+        .map(([roleId, channelId]) => [
+          readId(roleId, "voice move role"),
+          readId(channelId, "voice move channel"),
+        ])
+        .filter(([roleId, channelId]) => roleId && channelId),
+    ),
+  };
+}
+
+function readRoleEntry(entry, field, emojis) {
+  if (!isObject(entry)) {
+    throw new RangeError(`The template's ${field} is invalid.`);
+  }
+
+  const emoji = readText(entry.emoji, `${field} emoji`, MAX_EMOJI_LENGTH, {
+    required: true,
+  });
+  if (emojis.has(emoji)) {
+    throw new RangeError(
+      `The template uses ${emoji} twice in the same role panel.`,
+    );
+  }
+  emojis.add(emoji);
+
+  const roleIds = readIds(entry.roleIds ?? [entry.roleId], `${field} roles`);
+  if (roleIds.length === 0) {
+    throw new RangeError(`The template's ${field} needs a role.`);
+  }
+  const requiredRoleIds = readIds(
+    entry.requiredRoleIds,
+    `${field} required roles`,
+  );
+  const blockedRoleIds = readIds(
+    entry.blockedRoleIds,
+    `${field} blocked roles`,
+  );
+
+  return {
+    emoji,
+    roleIds,
+    ...(Number.isInteger(entry.limit) &&
+      entry.limit > 0 && { limit: entry.limit }),
+    ...(requiredRoleIds.length > 0 && { requiredRoleIds }),
+    ...(blockedRoleIds.length > 0 && { blockedRoleIds }),
+    ...(Number.isInteger(entry.minLevel) &&
+      entry.minLevel > 0 && { minLevel: entry.minLevel }),
+  };
+}
+
+function readRolePanel(panel, index) {
+  const field = `role panel ${index + 1}`;
+  if (!isObject(panel)) {
+    throw new RangeError(`The template's ${field} is invalid.`);
+  }
+
+  const selectionMode = panel.selectionMode ?? SELECTION_MODES.STANDARD;
+  if (!Object.values(SELECTION_MODES).includes(selectionMode)) {
+    throw new RangeError(
+      `The template's ${field} has an unknown selection mode "${selectionMode}".`,
+    );
+  }
+  const style = panel.style ?? PANEL_STYLES.REACTIONS;
+  if (!Object.values(PANEL_STYLES).includes(style)) {
+    throw new RangeError(
+      `The template's ${field} has an unknown style "${style}".`,
+    );
+  }
+  if (panel.color != null && !isColor(panel.color)) {
+    throw new RangeError(
+      `The template's ${field} color must be a number from 0 to 16777215.`,
+    );
+  }
+
+  const roles = readList(panel.roles, `roles in ${field}`, MAX_PANEL_ENTRIES);
+  if (roles.length === 0) {
+    throw new RangeError(`The template's ${field} needs at least one role.`);
+  }
+
+  const emojis = new Set();
+  const messageId = readId(panel.messageId, `${field} message`);
+  return {
+    // Backups restore a panel only when its message is gone
+    ...(messageId && { messageId }),
+    channelId: readId(panel.channelId, `${field} channel`),
+    title: readText(panel.title, `${field} title`, 256),
+    description: readText(
+      panel.description,
+      `${field} description`,
+      SERVER_TEMPLATES.MAX_TEXT_LENGTH,
+    ),
+    color: panel.color ?? null,
+    hideList: panel.hideList === true,
+    selectionMode,
+    style,
+    roles: roles.map((entry, entryIndex) =>
+      readRoleEntry(entry, `${field} role ${entryIndex + 1}`, emojis),
+    ),
+  };
+}
+
+function readRoleBundle(bundle, index) {
+  const field = `role bundle ${index + 1}`;
+  if (!isObject(bundle)) {
+    throw new RangeError(`The template's ${field} is invalid.`);
+  }
+
+  return {
+    name: readText(bundle.name, `${field} name`, MAX_BUNDLE_NAME_LENGTH, {
+      required: true,
+    }),
+    roles: readList(
+      bundle.roles,
+      `roles in ${field}`,
+      PRO_TIER.ROLE_BUNDLE_MAX_ROLES,
+    ).map(role => ({
+      roleId: readId(role?.roleId, `${field} role`),
+      roleName: readText(role?.roleName, `${field} role name`, MAX_NAME_LENGTH),
+    })),
+  };
+}
+
+function readTicketPanel(panel, index) {
+  if (!isObject(panel)) {
+    throw new RangeError(
+      `The template's ticket panel ${index + 1} is invalid.`,
+    );
+  }
+
+  const { name, panel: content } = parsePanelTemplate(panel);
+  const panelId = readText(
+    panel.panelId,
+    `ticket panel ${index + 1} ID`,
+    MAX_NAME_LENGTH,
+  );
+  return {
+    ...(panelId && { panelId }),
+    channelId: readId(panel.channelId, `ticket panel ${index + 1} channel`),
+    name,
+    panel: content,
+  };
+}
+
+function readCommandAction(action, field) {
+  if (!isObject(action) || typeof action.type !== "string") {
+    throw new RangeError(`The template's ${field} is invalid.`);
+  }
+  return {
+    ...action,
+    ...(action.roleId !== undefined && {
+      roleId: readId(action.roleId, `${field} role`),
+    }),
+    ...(action.channelId !== undefined && {
+      channelId: readId(action.channelId, `${field} channel`),
+    }),
+  };
+}
+
+function readCustomCommand(command, index, names) {
+  if (!isObject(command)) {
+    throw new RangeError(
+      `The template's custom command ${index + 1} is invalid.`,
+    );
+  }
+  if (
+    typeof command.name !== "string" ||
+    !COMMAND_NAME_PATTERN.test(command.name)
+  ) {
+    throw new RangeError(
+      `The template's custom command ${index + 1} needs a name of up to 32 lowercase letters, numbers or -.`,
+    );
+  }
+  if (names.has(command.name)) {
+    throw new RangeError(
+      `The template has two custom commands named /${command.name}.`,
+    );
+  }
+  names.add(command.name);
+
+  const field = `/${command.name} command`;
+  if (!COMMAND_TYPES.includes(command.type)) {
+    throw new RangeError(
+      `The template's ${field} has an unknown type "${command.type}".`,
+    );
+  }
+
+  return {
+    name: command.name,
+    description: readText(
+      command.description,
+      `${field} description`,
+      MAX_COMMAND_DESCRIPTION_LENGTH,
+      { required: true },
+    ),
+    type: command.type,
+    ...Object.fromEntries(
+      COMMAND_FIELDS.filter(key => command[key] !== undefined).map(key => [
+        key,
+        command[key],
+      ]),
+    ),
+    role: isObject(command.role)
+      ? {
+          ...command.role,
+          roleId: readId(command.role.roleId, `${field} role`),
+        }
+      : null,
+    allowedChannels: readIds(command.allowedChannels, `${field} channels`),
+    requiredRoles: readIds(command.requiredRoles, `${field} required roles`),
+    actions: readList(command.actions, `actions in the ${field}`).map(
+      (action, actionIndex) =>
+        readCommandAction(action, `${field} action ${actionIndex + 1}`),
+    ),
+  };
+}
+
+/**
+ * Validate a server template document, e.g. one imported from JSON
+ * Unknown fields are dropped so a template only holds what an import applies
+ * @param {any} data - Parsed template document
+ * @returns {Object} Normalized template
+ * @throws {RangeError} With a message describing the first problem found
+ */
+export function parseServerTemplate(data) {
+  if (!isObject(data)) {
+    throw new RangeError("The template must be a JSON object.");
+  }
+
+  const version = data.version ?? SERVER_TEMPLATES.VERSION;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new RangeError("The template has an invalid version.");
+  }
+  if (version > SERVER_TEMPLATES.VERSION) {
+    throw new RangeError(
+      "This template was made by a newer version of the bot and can't be loaded yet.",
+    );
+  }
+
+  const source = isObject(data.source) ? data.source : {};
+  const commandNames = new Set();
+
+  return {
+    version: SERVER_TEMPLATES.VERSION,
+    exportedAt: typeof data.exportedAt === "string" ? data.exportedAt : null,
+    source: {
+      guildId: readId(source.guildId, "source server"),
+      guildName: readText(
+        source.guildName,
+        "source server name",
+        MAX_NAME_LENGTH,
+      ),
+    },
+    roles: readReferences(data.roles, "roles"),
+    channels: readReferences(data.channels, "channels", { withType: true }),
+    welcome: readSettings(
+      data.welcome,
+      createDefaultWelcomeSettings(null),
+      "welcome",
+    ),
+    goodbye: readSettings(
+      data.goodbye,
+      createDefaultGoodbyeSettings(null),
+      "goodbye",
+    ),
+    experience: readExperience(data.experience),
+    voiceRoles: readVoiceRoles(data.voiceRoles),
+    rolePanels: readList(data.rolePanels, "role panels").map(readRolePanel),
+    roleBundles: readList(data.roleBundles, "role bundles").map(readRoleBundle),
+    ticketPanels: readList(data.ticketPanels, "ticket panels").map(
+      readTicketPanel,
+    ),
+    customCommands: readList(data.customCommands, "custom commands").map(
+      (command, index) => readCustomCommand(command, index, commandNames),
+    ),
+  };
+}
+
+/**
+ * Run every role and channel ID of a template through resolvers
+ * Resolvers return null for references that can't be carried over. Those are
+ * left out; a rule that would be lifted by leaving one out (a required role,
+ * or every allowed channel of a command) becomes null for the import to skip.
+ */
+function mapReferences(template, { role, channel }) {
+  const ids = (values, resolve) => values.map(resolve).filter(Boolean);
+  const every = (values, resolve) => {
+    const mapped = ids(values, resolve);
+    return mapped.length === values.length ? mapped : null;
+  };
+  const some = (values, resolve) => {
+    const mapped = ids(values, resolve);
+    return values.length > 0 && mapped.length === 0 ? null : mapped;
+  };
+
+  const { welcome, goodbye, experience, voiceRoles } = template;
+
+  return {
+    ...template,
+    welcome: welcome && {
+      ...welcome,
+      ...("channelId" in welcome && { channelId: channel(welcome.channelId) }),
+      ...("autoRoleId" in welcome && {
+        autoRoleId: role(welcome.autoRoleId),
+      }),
+    },
+    goodbye: goodbye && {
+      ...goodbye,
+      ...("channelId" in goodbye && { channelId: channel(goodbye.channelId) }),
+    },
+    experience: experience && {
+      ...experience,
+      settings: {
+        ...experience.settings,
+        ...("levelUpChannel" in experience.settings && {
+          levelUpChannel: channel(experience.settings.levelUpChannel),
+        }),
+      },
+      levelRewards: experience.levelRewards
+        .map(reward => ({ ...reward, roleId: role(reward.roleId) }))
+        .filter(reward => reward.roleId),
+    },
+    voiceRoles: voiceRoles && {
+      disconnectRoleIds: ids(voiceRoles.disconnectRoleIds, role),
+      muteRoleIds: ids(voiceRoles.muteRoleIds, role),
+      deafenRoleIds: ids(voiceRoles.deafenRoleIds, role),
+      moveRoleMappings: Object.fromEntries(
+        Object.entries(voiceRoles.moveRoleMappings)
+          .map(([roleId, channelId]) => [role(roleId), channel(channelId)])
+          .filter(([roleId, channelId]) => roleId && channelId),
+      ),
+    },
+    rolePanels: template.rolePanels.map(panel => ({
+      ...panel,
+      channelId: channel(panel.channelId),
+      roles: panel.roles
+        .map(entry => ({
+          ...entry,
+          roleIds: ids(entry.roleIds, role),
+          ...(entry.requiredRoleIds && {
+            requiredRoleIds: every(entry.requiredRoleIds, role),
+          }),
+          ...(entry.blockedRoleIds && {
+            blockedRoleIds: ids(entry.blockedRoleIds, role),
+          }),
+        }))
+        .filter(
+          entry => entry.roleIds.length > 0 && entry.requiredRoleIds !== null,
+        ),
+    })),
+    roleBundles: template.roleBundles.map(bundle => ({
+      ...bundle,
+      roles: bundle.roles
+        .map(bundleRole => ({ ...bundleRole, roleId: role(bundleRole.roleId) }))
+        .filter(bundleRole => bundleRole.roleId),
+    })),
+    ticketPanels: template.ticketPanels.map(panel => ({
+      ...panel,
+      channelId: channel(panel.channelId),
+    })),
+    customCommands: template.customCommands.map(command => ({
+      ...command,
+      role: command.role && {
+        ...command.role,
+        roleId: role(command.role.roleId),
+      },
+      allowedChannels: some(command.allowedChannels, channel),
+      requiredRoles: some(command.requiredRoles, role),
+      actions: command.actions
+        .map(action => ({
+          ...action,
+          ...(action.roleId && { roleId: role(action.roleId) }),
+          ...(action.channelId && { channelId: channel(action.channelId) }),
+        }))
+        .filter(action => action.roleId !== null && action.channelId !== null),
+    })),
+  };
+}
+
+/**
+ * Build a template document from a guild's stored configuration
+ * The roles and channels it refers to are listed by name so an import can
+ * find them again in another server.
+ * @param {import('discord.js').Guild} guild - Exported guild
+ * @param {Object} sections - Configuration per section, as stored
+ * @returns {Object} Template document
+ */
+export function createServerTemplate(guild, sections) {
+  const template = parseServerTemplate({
+    ...sections,
+    version: SERVER_TEMPLATES.VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { guildId: guild.id, guildName: guild.name },
+  });
+
+  const roles = new Map();
+  const channels = new Map();
+  const record = (cache, found) => id => {
+    if (cache.has(id)) found.set(id, cache.get(id));
+    return id;
+  };
+  mapReferences(template, {
+    role: record(guild.roles.cache, roles),
+    channel: record(guild.channels.cache, channels),
+  });
+
+  return {
+    ...template,
+    roles: [...roles.values()].map(({ id, name }) => ({ id, name })),
+    channels: [...channels.values()].map(({ id, name, type }) => ({
+      id,
+      name,
+      type,
+    })),
+  };
+}
+
+/**
+ * Look a reference up in a guild: by ID if it exists there (the template came
+ * from this server), otherwise by the name the template recorded for it
+ */
+function createResolver(cache, references, missing) {
+  const known = new Map(references.map(reference => [reference.id, reference]));
+
+  return id => {
+    if (!id) return null;
+    if (cache.has(id)) return id;
+
+    const reference = known.get(id);
+    const match =
+      reference &&
+      cache.find(
+        item =>
+          item.name.toLowerCase() === reference.name.toLowerCase() &&
+          (reference.type === undefined || item.type === reference.type),
+      );
+    if (match) return match.id;
+
+    missing.add(reference?.name || id);
+    return null;
+  };
+}
+
+/**
+ * Point a template's role and channel IDs at the guild it is imported into
+ * @param {Object} template - From parseServerTemplate
+ * @param {import('discord.js').Guild} guild - Target guild
+ * @returns {{template: Object, missingRoles: string[], missingChannels: string[]}}
+ *   The remapped template and the names of references that weren't found
+ */
+export function remapServerTemplate(template, guild) {
+  const missingRoles = new Set();
+  const missingChannels = new Set();
+
+  return {
+    template: mapReferences(template, {
+      role: createResolver(guild.roles.cache, template.roles, missingRoles),
+      channel: createResolver(
+        guild.channels.cache,
+        template.channels,
+        missingChannels,
+      ),
+    }),
+    missingRoles: [...missingRoles],
+    missingChannels: [...missingChannels],
+  };
+}
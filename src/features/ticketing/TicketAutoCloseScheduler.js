@@ -0,0 +1,311 @@
+import { SnowflakeUtil } from "discord.js";
+import { getLogger } from "../../utils/logger.js";
+import { getTicketManager } from "./TicketManager.js";
+import { getTicketTranscript } from "./TicketTranscript.js";
+import { AUTO_CLOSE } from "./config.js";
+import {
+  createInactivityWarningEmbed,
+  createKeepOpenButtons,
+  createTicketClosedEmbed,
+} from "./embeds.js";
+import { formatDuration } from "./helpers.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CHECK_INTERVAL_MS = 30 * 60 * 1000;
+// How far back to look for the last message a member wrote
+const ACTIVITY_MESSAGE_LIMIT = 50;
+
+/**
+ * Decide what to do with an open ticket based on how long it has been idle.
+ * A ticket only closes once its warning has been up for WARNING_HOURS, so
+ * downtime never closes a ticket nobody was warned about.
+ * @param {Object} options
+ * @param {Date} options.lastActivity - Last member message or "Keep Open" click
+ * @param {Date|null} options.warnedAt - When the pending warning was posted
+ * @param {number} options.inactiveDays - Idle days before the ticket closes
+ * @param {Date} [options.now]
+ * @returns {"none"|"warn"|"reset"|"close"}
+ */
+export function getAutoCloseAction({
+  lastActivity,
+  warnedAt,
+  inactiveDays,
+  now = new Date(),
+}) {
+  const idleMs = now.getTime() - lastActivity.getTime();
+  const warningMs = AUTO_CLOSE.WARNING_HOURS * HOUR_MS;
+  const inactiveMs = inactiveDays * DAY_MS;
+
+  if (warnedAt) {
+    if (lastActivity > warnedAt) return "reset";
+    return idleMs >= inactiveMs &&
+      now.getTime() - warnedAt.getTime() >= warningMs
+      ? "close"
+      : "none";
+  }
+
+  return idleMs >= inactiveMs - warningMs ? "warn" : "none";
+}
+
+function getRecordedActivity(ticket) {
+  return new Date(
+    Math.max(
+      new Date(ticket.openedAt).getTime(),
+      ticket.lastActivityAt ? new Date(ticket.lastActivityAt).getTime() : 0,
+    ),
+  );
+}
+
+class TicketAutoCloseScheduler {
+  constructor(client) {
+    this.client = client;
+    this.logger = getLogger();
+    this.interval = null;
+    this.isRunning = false;
+    this.isChecking = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      this.logger.warn("⚠️ Ticket auto-close scheduler is already running");
+      return;
+    }
+
+    this.logger.info("🕐 Starting ticket auto-close scheduler...");
+    this.isRunning = true;
+
+    this.interval = setInterval(async () => {
+      try {
+        await this.checkTickets();
+      } catch (error) {
+        this.logger.error("❌ Error in ticket auto-close scheduler", error);
+      }
+    }, CHECK_INTERVAL_MS).unref();
+
+    this.logger.success(
+      "✅ Ticket auto-close scheduler started (runs every 30 minutes)",
+    );
+    this.checkTickets().catch(error =>
+      this.logger.error("❌ Initial ticket inactivity check failed", error),
+    );
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    this.logger.info("🛑 Ticket auto-close scheduler stopped");
+  }
+
+  /**
+   * Warn about or close every idle open ticket
+   */
+  async checkTickets() {
+    if (this.isChecking) {
+      this.logger.debug("Ticket inactivity check skipped - already running");
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      const ticketManager = getTicketManager();
+      await ticketManager.initialize();
+
+      const tickets = await ticketManager.getOpenTickets();
+      const guildSettings = new Map();
+
+      for (const ticket of tickets) {
+        try {
+          if (!guildSettings.has(ticket.guildId)) {
+            guildSettings.set(
+              ticket.guildId,
+              await ticketManager.getAutoCloseSettings(ticket.guildId),
+            );
+          }
+
+          const settings = guildSettings.get(ticket.guildId);
+          if (settings.enabled) {
+            await this.checkTicket(ticket, settings.inactiveDays);
+          }
+        } catch (error) {
+          this.logger.error(
+            `Inactivity check failed for ticket ${ticket.ticketId}:`,
+            error,
+          );
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * @param {Object} ticket - Open ticket
+   * @param {number} inactiveDays - Idle days before the ticket closes
+   */
+  async checkTicket(ticket, inactiveDays) {
+    const ticketManager = getTicketManager();
+    const warnedAt = ticket.autoCloseWarning?.warnedAt
+      ? new Date(ticket.autoCloseWarning.warnedAt)
+      : null;
+
+    // More activity can only make a ticket less idle, so skip the fetch
+    // when even the recorded activity needs no action
+    let lastActivity = getRecordedActivity(ticket);
+    if (
+      !warnedAt &&
+      getAutoCloseAction({ lastActivity, warnedAt, inactiveDays }) === "none"
+    ) {
+      return;
+    }
+
+    const guild = this.client.guilds.cache.get(ticket.guildId);
+    if (!guild) return;
+
+    // Deleted channels are removed by the ticket cleanup job
+    const channel = await guild.channels
+      .fetch(ticket.channelId)
+      .catch(() => null);
+    if (!channel?.isTextBased()) return;
+
+    const memberActivity = await this.getLastMemberMessageTime(
+      channel,
+      lastActivity,
+    );
+    if (memberActivity > lastActivity) {
+      lastActivity = memberActivity;
+      await ticketManager.updateAutoClose(ticket.ticketId, {
+        lastActivityAt: lastActivity,
+      });
+    }
+
+    switch (getAutoCloseAction({ lastActivity, warnedAt, inactiveDays })) {
+      case "warn":
+        await this.warnTicket(ticket, channel, inactiveDays);
+        break;
+      case "reset":
+        await ticketManager.updateAutoClose(ticket.ticketId, {
+          autoCloseWarning: null,
+        });
+        await channel.messages
+          .delete(ticket.autoCloseWarning.messageId)
+          .catch(() => null);
+        break;
+      case "close":
+        await this.closeTicket(ticket, channel, inactiveDays);
+        break;
+    }
+  }
+
+  /**
+   * Get when a member (not a bot) last wrote in the channel
+   * @param {import('discord.js').TextBasedChannel} channel
+   * @param {Date} since - Activity already known
+   * @returns {Promise<Date>} The later of the last member message and `since`
+   */
+  async getLastMemberMessageTime(channel, since) {
+    // The newest message's time is in its ID, so nothing newer means no fetch
+    if (
+      !channel.lastMessageId ||
+      Number(SnowflakeUtil.timestampFrom(channel.lastMessageId)) <=
+        since.getTime()
+    ) {
+      return since;
+    }
+
+    const messages = await channel.messages
+      .fetch({ limit: ACTIVITY_MESSAGE_LIMIT })
+      .catch(() => null);
+    const lastMessage = messages?.find(message => !message.author.bot);
+
+    return lastMessage && lastMessage.createdTimestamp > since.getTime()
+      ? lastMessage.createdAt
+      : since;
+  }
+
+  async warnTicket(ticket, channel, inactiveDays) {
+    const closeAt = new Date(Date.now() + AUTO_CLOSE.WARNING_HOURS * HOUR_MS);
+    const message = await channel.send({
+      content: `<@${ticket.userId}>`,
+      embeds: [
+        createInactivityWarningEmbed({
+          inactiveDays,
+          closeAt,
+          client: this.client,
+        }),
+      ],
+      components: createKeepOpenButtons(),
+      allowedMentions: { users: [ticket.userId] },
+    });
+
+    await getTicketManager().updateAutoClose(ticket.ticketId, {
+      autoCloseWarning: { messageId: message.id, warnedAt: new Date() },
+    });
+
+    this.logger.info(`🎫 Warned inactive ticket ${ticket.ticketId}`);
+  }
+
+  async closeTicket(ticket, channel, inactiveDays) {
+    const ticketManager = getTicketManager();
+    const ticketTranscript = getTicketTranscript();
+    await ticketTranscript.initialize();
+
+    const reason = `Auto-closed: inactive for ${inactiveDays}+ days`;
+
+    await ticketTranscript.generateFromChannel({
+      ticketId: ticket.ticketId,
+      guildId: ticket.guildId,
+      channel,
+      ticket,
+      format: "html",
+    });
+
+    const closed = await ticketManager.closeTicket(
+      ticket.ticketId,
+      "system",
+      reason,
+      this.client,
+    );
+    if (!closed) return;
+
+    const closeEmbed = createTicketClosedEmbed({
+      ticketNumber: ticket.ticketId.split("-").pop(),
+      closedBy: "System",
+      reason,
+      duration: formatDuration(new Date(ticket.openedAt), new Date()),
+      client: this.client,
+    });
+
+    try {
+      await channel.send({ embeds: [closeEmbed] });
+    } catch (_e) {
+      this.logger.warn(`Could not send auto-close message in ${channel.id}`);
+    }
+
+    // Delete the channel or thread after a short delay so the message is visible for a moment
+    setTimeout(async () => {
+      try {
+        await channel.delete(reason);
+      } catch (error) {
+        this.logger.error(
+          "Failed to delete auto-closed ticket channel:",
+          error,
+        );
+      }
+    }, 2000);
+
+    this.logger.info(`🎫 Auto-closed ticket ${ticket.ticketId} (${reason})`);
+  }
+}
+
+let scheduler = null;
+
+export function getTicketAutoCloseScheduler(client) {
+  if (!scheduler) {
+    scheduler = new TicketAutoCloseScheduler(client);
+  }
+  return scheduler;
+}
@@ -0,0 +1,320 @@
+import { getLogger } from "../../utils/logger.js";
+import { getTicketManager } from "./TicketManager.js";
+import { getTicketPanel } from "./TicketPanel.js";
+import { ASSIGNMENT_MODES } from "./config.js";
+import { createInfoEmbed } from "./embeds.js";
+
+const logger = getLogger();
+
+/**
+ * Get the members of a role, including ones that aren't cached.
+ * `role.members` only holds cached members and the member cache is capped,
+ * so the guild's member list is fetched; the cache is the fallback when
+ * that fails.
+ * @param {import('discord.js').Guild} guild - Guild
+ * @param {import('discord.js').Role} role - Role
+ * @returns {Promise<import('discord.js').GuildMember[]>}
+ */
+export async function fetchRoleMembers(guild, role) {
+  try {
+    const members = await guild.members.fetch();
+    return [
+      ...members.filter(member => member.roles.cache.has(role.id)).values(),
+    ];
+  } catch (error) {
+    logger.warn(
+      `Could not fetch members of ${guild.id}, using cached role members: ${error.message}`,
+    );
+    return [...role.members.values()];
+  }
+}
+
+/**
+ * Pick the staff member a new ticket is assigned to.
+ * Candidates are taken in ID order starting after the last assignee, so
+ * round-robin rotates and least-load breaks ties the same way.
+ * @param {string[]} candidateIds - Staff who can be assigned
+ * @param {string} mode - ASSIGNMENT_MODES value
+ * @param {Object} [state]
+ * @param {string|null} [state.lastAssignedId] - Previous assignee
+ * @param {Object<string, number>} [state.openCounts] - Open tickets per staff (least-load)
+ * @returns {string|null} Staff ID, or null when nobody can be assigned
+ */
+export function pickAssignee(
+  candidateIds,
+  mode,
+  { lastAssignedId = null, openCounts = {} } = {},
+) {
+  if (mode === ASSIGNMENT_MODES.OFF || candidateIds.length === 0) return null;
+
+  const sorted = [...candidateIds].sort();
+  const start = sorted.findIndex(id => id > (lastAssignedId || ""));
+  const rotated =
+    start === -1 ? sorted : [...sorted.slice(start), ...sorted.slice(0, start)];
+
+  if (mode === ASSIGNMENT_MODES.LEAST_LOAD) {
+    return rotated.reduce((best, id) =>
+      (openCounts[id] || 0) < (openCounts[best] || 0) ? id : best,
+    );
+  }
+
+  return rotated[0];
+}
+
+/**
+ * Find the first keyword rule a message matches (whole words, any case)
+ * @param {string} content - Message content
+ * @param {Array<Object>} rules - Rules with a keyword, in priority order
+ * @returns {Object|null}
+ */
+export function findKeywordRule(content, rules) {
+  if (!content) return null;
+
+  return (
+    rules.find(rule => {
+      const escaped = rule.keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return new RegExp(`(^|\\W)${escaped}(\\W|$)`, "i").test(content);
+    }) || null
+  );
+}
+
+/**
+ * TicketAutomation - Runs guild automation rules on ticket events
+ */
+class TicketAutomation {
+  /**
+   * Run create-time rules: category tags and auto-assignment
+   * @param {Object} options
+   * @param {Object} options.ticket - Created ticket
+   * @param {import('discord.js').Guild} options.guild
+   * @param {import('discord.js').ThreadChannel} options.channel - Ticket thread
+   */
+  async onTicketCreated({ ticket, guild, channel }) {
+    try {
+      const ticketManager = getTicketManager();
+      await ticketManager.initialize();
+
+      const rules = await ticketManager.getAutomationSettings(guild.id);
+      if (!rules.enabled) return;
+
+      await this.applyCategoryTags(ticket, ticket.categoryId, rules);
+      await this.assign(ticket, guild, channel, rules);
+    } catch (error) {
+      logger.error(
+        `Automation failed for new ticket ${ticket.ticketId}:`,
+        error,
+      );
+    }
+  }
+
+  /**
+   * Run message rules: keyword routing and canned responses.
+   * Only messages from the ticket owner trigger rules.
+   * @param {import('discord.js').Message} message
+   * @returns {Promise<boolean>} Whether a rule ran
+   */
+  async onTicketMessage(message) {
+    try {
+      if (!message.channel.isThread()) return false;
+
+      const ticketManager = getTicketManager();
+      await ticketManager.initialize();
+
+      const ticket = await ticketManager.getTicketByChannel(message.channelId);
+      if (ticket?.status !== "open" || ticket.userId !== message.author.id) {
+        return false;
+      }
+
+      const rules = await ticketManager.getAutomationSettings(message.guildId);
+      if (!rules.enabled) return false;
+
+      const routed = await this.route(message, ticket, rules);
+      const responded = await this.respond(message, ticket, rules);
+      return routed || responded;
+    } catch (error) {
+      logger.error(
+        `Automation failed for message in channel ${message.channelId}:`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  async applyCategoryTags(ticket, categoryId, rules) {
+    const tags = rules.categoryTags[categoryId] || [];
+    const newTags = tags.filter(tag => !ticket.tags?.includes(tag));
+    if (newTags.length === 0) return;
+
+    const ticketManager = getTicketManager();
+    await ticketManager.addTags(ticket.ticketId, newTags);
+    await ticketManager.recordAutomation(ticket.ticketId, {
+      rule: "tag",
+      categoryId,
+      tags: newTags,
+    });
+  }
+
+  async assign(ticket, guild, channel, rules) {
+    const { mode, roleId, lastAssignedId } = rules.assignment;
+    if (mode === ASSIGNMENT_MODES.OFF || !roleId) return;
+
+    const role = await guild.roles.fetch(roleId).catch(() => null);
+    if (!role) return;
+
+    const candidateIds = (await fetchRoleMembers(guild, role))
+      .filter(member => !member.user.bot && member.id !== ticket.userId)
+      .map(member => member.id);
+
+    const ticketManager = getTicketManager();
+    const openCounts = /** @type {Object<string, number>} */ ({});
+    if (mode === ASSIGNMENT_MODES.LEAST_LOAD) {
+      const openTickets = await ticketManager.storage.getTicketsByGuild(
+        guild.id,
+        { status: "open", limit: 500 },
+      );
+      for (const { claimedBy } of openTickets) {
+        if (claimedBy) openCounts[claimedBy] = (openCounts[claimedBy] || 0) + 1;
+      }
+    }
+
+    const staffId = pickAssignee(candidateIds, mode, {
+      lastAssignedId,
+      openCounts,
+    });
+    if (!staffId) return;
+
+    const assigned = await ticketManager.transferTicket(
+      ticket.ticketId,
+      staffId,
+    );
+    if (!assigned) return;
+
+    await ticketManager.recordAutomation(ticket.ticketId, {
+      rule: "assign",
+      mode,
+      staffId,
+    });
+    await this.saveLastAssignee(guild.id, staffId);
+
+    await channel.members.add(staffId).catch(() => null);
+    await channel.send({
+      embeds: [
+        createInfoEmbed(
+          "Ticket Assigned",
+          `This ticket was automatically assigned to <@${staffId}>.`,
+          guild.client,
+        ),
+      ],
+    });
+
+    logger.info(
+      `🎫 Auto-assigned ticket ${ticket.ticketId} to ${staffId} (${mode})`,
+    );
+  }
+
+  async saveLastAssignee(guildId, staffId) {
+    const { storage } = getTicketManager();
+    const settings = await storage.getGuildSettings(guildId);
+    settings.ticketSettings = settings.ticketSettings || {};
+    settings.ticketSettings.automation = {
+      ...settings.ticketSettings.automation,
+      assignment: {
+        ...settings.ticketSettings.automation?.assignment,
+        lastAssignedId: staffId,
+      },
+    };
+    await storage.setGuildSettings(guildId, settings);
+  }
+
+  async route(message, ticket, rules) {
+    const rule = findKeywordRule(
+      message.content,
+      rules.routing.filter(r => r.categoryId !== ticket.categoryId),
+    );
+    if (!rule) return false;
+
+    const ticketManager = getTicketManager();
+    const moved = await ticketManager.setCategory(
+      ticket.ticketId,
+      rule.categoryId,
+    );
+    if (!moved) return false;
+
+    await ticketManager.recordAutomation(ticket.ticketId, {
+      rule: "route",
+      keyword: rule.keyword,
+      fromCategoryId: ticket.categoryId,
+      categoryId: rule.categoryId,
+    });
+    await this.applyCategoryTags(ticket, rule.categoryId, rules);
+
+    const category = await findCategory(message.guildId, rule.categoryId);
+    await message.channel.send({
+      embeds: [
+        createInfoEmbed(
+          "Ticket Moved",
+          `This ticket was moved to **${category?.label || rule.categoryId}** based on your message.`,
+          message.client,
+        ),
+      ],
+    });
+
+    ticket.categoryId = rule.categoryId;
+    return true;
+  }
+
+  async respond(message, ticket, rules) {
+    // Each canned response is sent at most once per ticket
+    const sent = new Set(
+      (ticket.events || [])
+        .filter(
+          event => event.type === "automation" && event.rule === "respond",
+        )
+        .map(event => event.keyword),
+    );
+    const rule = findKeywordRule(
+      message.content,
+      rules.responses.filter(r => !sent.has(r.keyword)),
+    );
+    if (!rule) return false;
+
+    await message.reply({
+      embeds: [
+        createInfoEmbed("Automated Response", rule.response, message.client),
+      ],
+      allowedMentions: { repliedUser: false },
+    });
+    await getTicketManager().recordAutomation(ticket.ticketId, {
+      rule: "respond",
+      keyword: rule.keyword,
+    });
+    return true;
+  }
+}
+
+/**
+ * Find a panel category of a guild by ID
+ * @param {string} guildId
+ * @param {string} categoryId
+ * @returns {Promise<Object|null>}
+ */
+export async function findCategory(guildId, categoryId) {
+  const ticketPanel = getTicketPanel();
+  await ticketPanel.initialize();
+
+  const panels = await ticketPanel.getGuildPanels(guildId);
+  for (const panel of panels) {
+    const category = panel.categories?.find(c => c.id === categoryId);
+    if (category) return category;
+  }
+  return null;
+}
+
+let instance = null;
+
+export function getTicketAutomation() {
+  if (!instance) {
+    instance = new TicketAutomation();
+  }
+  return instance;
+}
@@ -2,10 +2,154 @@ import { CORE_STATUS } from "../premium/config.js";
 import { getStorageManager } from "../../utils/storage/storageManager.js";
 import { getPremiumManager } from "../premium/PremiumManager.js";
 import { getLogger } from "../../utils/logger.js";
-import { FREE_TIER, PRO_ENGINE } from "./config.js";
+import {
+  FREE_TIER,
+  PRO_ENGINE,
+  AUTO_CLOSE,
+  TICKET_PRIORITY,
+  ASSIGNMENT_MODES,
+  RATINGS,
+} from "./config.js";
+import { createRatingButtons, createRatingRequestEmbed } from "./embeds.js";
 
 const logger = getLogger();
 
+function getMedian(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Compute per-staff performance from ticket timestamps and claim/transfer events.
+ * Tickets created before events were recorded count their current claimer.
+ * @param {Array<Object>} tickets - Tickets from findForStaffStats
+ * @returns {Array<{staffId: string, claimed: number, closed: number, transfersIn: number, transfersOut: number, medianFirstResponseMs: number|null, medianResolutionMs: number|null}>} Sorted by tickets closed, then claimed
+ */
+export function computeStaffPerformance(tickets) {
+  const staff = new Map();
+  const getEntry = staffId => {
+    if (!staff.has(staffId)) {
+      staff.set(staffId, {
+        staffId,
+        claimed: 0,
+        closed: 0,
+        transfersIn: 0,
+        transfersOut: 0,
+        firstResponses: [],
+        resolutions: [],
+      });
+    }
+    return staff.get(staffId);
+  };
+
+  for (const ticket of tickets) {
+    const openedMs = new Date(ticket.openedAt).getTime();
+
+    if (ticket.events) {
+      for (const event of ticket.events) {
+        if (event.type === "claim") {
+          getEntry(event.staffId).claimed++;
+        } else if (event.type === "transfer") {
+          getEntry(event.staffId).transfersIn++;
+          if (event.fromStaffId) getEntry(event.fromStaffId).transfersOut++;
+        }
+      }
+    } else if (ticket.claimedBy) {
+      getEntry(ticket.claimedBy).claimed++;
+    }
+
+    const closedByStaff =
+      ticket.closedBy &&
+      ticket.closedBy !== ticket.userId &&
+      ticket.closedBy.toLowerCase() !== "system";
+    if (closedByStaff) getEntry(ticket.closedBy).closed++;
+
+    const responder =
+      ticket.firstResponseBy || (!ticket.firstResponseAt && ticket.claimedBy);
+    const respondedAt = ticket.firstResponseAt || ticket.claimedAt;
+    if (responder && respondedAt) {
+      getEntry(responder).firstResponses.push(
+        new Date(respondedAt).getTime() - openedMs,
+      );
+    }
+
+    const resolver = ticket.claimedBy || (closedByStaff && ticket.closedBy);
+    if (resolver && ticket.closedAt) {
+      getEntry(resolver).resolutions.push(
+        new Date(ticket.closedAt).getTime() - openedMs,
+      );
+    }
+  }
+
+  return [...staff.values()]
+    .map(({ firstResponses, resolutions, ...entry }) => ({
+      ...entry,
+      medianFirstResponseMs: getMedian(firstResponses),
+      medianResolutionMs: getMedian(resolutions),
+    }))
+    .sort((a, b) => b.closed - a.closed || b.claimed - a.claimed);
+}
+
+/**
+ * Aggregate the satisfaction ratings of tickets for the guild, each category
+ * and each rated staff member.
+ * @param {Array<Object>} tickets - Tickets from findForStaffStats
+ * @returns {{count: number, average: number|null, distribution: number[], categories: Array<{categoryId: string, count: number, average: number}>, staff: Array<{staffId: string, count: number, average: number}>}} Distribution holds the count of each star value, 1 star first
+ */
+export function computeRatingSummary(tickets) {
+  const distribution = Array(RATINGS.MAX_STARS).fill(0);
+  const categories = new Map();
+  const staff = new Map();
+  let total = 0;
+  let count = 0;
+
+  const add = (groups, key, stars) => {
+    const group = groups.get(key) || { count: 0, total: 0 };
+    group.count++;
+    group.total += stars;
+    groups.set(key, group);
+  };
+
+  for (const ticket of tickets) {
+    const stars = ticket.rating?.stars;
+    if (!stars) continue;
+
+    count++;
+    total += stars;
+    distribution[stars - 1]++;
+    add(categories, ticket.categoryId || "default", stars);
+    if (ticket.rating.staffId) add(staff, ticket.rating.staffId, stars);
+  }
+
+  const toList = groups =>
+    [...groups.entries()]
+      .map(([key, group]) => ({
+        key,
+        count: group.count,
+        average: group.total / group.count,
+      }))
+      .sort((a, b) => b.count - a.count || b.average - a.average);
+
+  return {
+    count,
+    average: count > 0 ? total / count : null,
+    distribution,
+    categories: toList(categories).map(({ key, ...entry }) => ({
+      categoryId: key,
+      ...entry,
+    })),
+    staff: toList(staff).map(({ key, ...entry }) => ({
+      staffId: key,
+      ...entry,
+    })),
+  };
+}
+
 /**
  * TicketManager - Core business logic for ticketing system
  */
@@ -72,6 +216,8 @@ export class TicketManager {
     userId,
     userDisplayName,
     categoryId = "default",
+    priority = TICKET_PRIORITY.NORMAL,
+    intake = [],
   }) {
     try {
       // Check ticket limit
@@ -82,11 +228,10 @@ export class TicketManager {
         );
       }
 
-      const ticketNumber =
-        await this.storage.dbManager.guildSettings.incrementCounter(
-          guildId,
-          "counters.ticket",
-        );
+      const ticketNumber = await this.storage.incrementGuildCounter(
+        guildId,
+        "counters.ticket",
+      );
       const ticketId = `TIX-${guildId}-${ticketNumber.toString().padStart(4, "0")}`;
 
       // Create ticket
@@ -97,6 +242,8 @@ export class TicketManager {
         userId,
         userDisplayName,
         categoryId,
+        priority,
+        intake,
         channelName: `ticket-${ticketNumber}`,
       });
 
@@ -119,9 +266,10 @@ export class TicketManager {
    * @param {string} ticketId - Ticket ID
    * @param {string} closedBy - User ID who closed
    * @param {string} reason - Close reason
+   * @param {import('discord.js').Client} [client] - Sends the opener a rating request when given
    * @returns {Promise<boolean>} Success status
    */
-  async closeTicket(ticketId, closedBy, reason = null) {
+  async closeTicket(ticketId, closedBy, reason = null, client = null) {
     try {
       const ticket = await this.storage.getTicket(ticketId);
       if (!ticket) {
@@ -135,6 +283,7 @@ export class TicketManager {
 
       if (success) {
         logger.info(`Ticket closed: ${ticketId} by ${closedBy}`);
+        if (client) await this.requestRating(client, ticket);
       }
 
       return success;
@@ -144,6 +293,81 @@ export class TicketManager {
     }
   }
 
+  /**
+   * DM the ticket opener a 1-5 star rating request
+   * @param {import('discord.js').Client} client
+   * @param {Object} ticket - Closed ticket
+   * @returns {Promise<boolean>} Whether the DM was sent
+   */
+  async requestRating(client, ticket) {
+    try {
+      const user = await client.users.fetch(ticket.userId);
+      await user.send({
+        embeds: [
+          createRatingRequestEmbed({
+            ticketNumber: ticket.ticketId.split("-").pop(),
+            guildName: client.guilds.cache.get(ticket.guildId)?.name,
+            client,
+          }),
+        ],
+        components: createRatingButtons(ticket.ticketId),
+      });
+      return true;
+    } catch (error) {
+      // Members can turn off DMs from server members
+      logger.debug(
+        `Could not send rating request for ${ticket.ticketId}: ${error.message}`,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Store the opener's star rating of a closed ticket
+   * The rating counts for the staff member who claimed or closed the ticket
+   * @param {Object} ticket - Closed ticket
+   * @param {number} stars - 1 to RATINGS.MAX_STARS
+   * @returns {Promise<boolean>} Whether the rating was stored (false if already rated)
+   */
+  async rateTicket(ticket, stars) {
+    try {
+      const closedByStaff =
+        ticket.closedBy &&
+        ticket.closedBy !== ticket.userId &&
+        ticket.closedBy.toLowerCase() !== "system";
+
+      const success = await this.storage.setTicketRating(ticket.ticketId, {
+        stars,
+        feedback: null,
+        staffId: ticket.claimedBy || (closedByStaff ? ticket.closedBy : null),
+        ratedAt: new Date().toISOString(),
+      });
+
+      if (success) {
+        logger.info(`Ticket rated: ${ticket.ticketId} (${stars} stars)`);
+      }
+      return success;
+    } catch (error) {
+      logger.error("Failed to rate ticket:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Add written feedback to a ticket rating
+   * @param {string} ticketId - Ticket ID
+   * @param {string} feedback - Feedback text
+   * @returns {Promise<boolean>} Whether the feedback was stored
+   */
+  async addRatingFeedback(ticketId, feedback) {
+    try {
+      return await this.storage.setTicketRatingFeedback(ticketId, feedback);
+    } catch (error) {
+      logger.error("Failed to add rating feedback:", error);
+      return false;
+    }
+  }
+
   /**
    * Claim a ticket
    * @param {string} ticketId - Ticket ID
@@ -164,6 +388,18 @@ export class TicketManager {
       const success = await this.storage.claimTicket(ticketId, staffId);
 
       if (success) {
+        // Claiming counts as the first response for the SLA
+        if (!ticket.firstResponseAt) {
+          await this.storage.updateTicketSla(ticketId, {
+            firstResponseAt: new Date(),
+            firstResponseBy: staffId,
+          });
+        }
+        await this.storage.addTicketEvent(ticketId, {
+          type: "claim",
+          staffId,
+          at: new Date(),
+        });
         logger.info(`Ticket claimed: ${ticketId} by ${staffId}`);
       }
 
@@ -192,6 +428,18 @@ export class TicketManager {
       const success = await this.storage.claimTicket(ticketId, newStaffId);
 
       if (success) {
+        // Assigning an unclaimed ticket counts as a claim for the assignee
+        await this.storage.addTicketEvent(
+          ticketId,
+          ticket.claimedBy
+            ? {
+                type: "transfer",
+                fromStaffId: ticket.claimedBy,
+                staffId: newStaffId,
+                at: new Date(),
+              }
+            : { type: "claim", staffId: newStaffId, at: new Date() },
+        );
         logger.info(`Ticket transferred: ${ticketId} to ${newStaffId}`);
       }
 
@@ -303,6 +551,50 @@ export class TicketManager {
     }
   }
 
+  /**
+   * Get per-staff performance for tickets opened in a date range
+   * @param {string} guildId - Guild ID
+   * @param {{from: Date, to: Date}} range - Range of ticket open dates, end exclusive
+   * @returns {Promise<{available: boolean, staff: Array<Object>, totals: {tickets: number, claimed: number, closed: number}, ratings: Object}>} Staff entries come from computeStaffPerformance, ratings from computeRatingSummary
+   */
+  async getStaffPerformance(guildId, range) {
+    const empty = {
+      staff: [],
+      totals: { tickets: 0, claimed: 0, closed: 0 },
+      ratings: computeRatingSummary([]),
+    };
+
+    try {
+      const isPro = await this.premiumManager.isFeatureActive(
+        guildId,
+        "pro_engine",
+      );
+      const available = isPro
+        ? PRO_ENGINE.STAFF_PERFORMANCE_TRACKING
+        : FREE_TIER.STAFF_PERFORMANCE_TRACKING;
+      if (!available) return { available, ...empty };
+
+      const tickets = await this.storage.getTicketsForStaffStats(
+        guildId,
+        range,
+      );
+
+      return {
+        available,
+        staff: computeStaffPerformance(tickets),
+        totals: {
+          tickets: tickets.length,
+          claimed: tickets.filter(ticket => ticket.claimedBy).length,
+          closed: tickets.filter(ticket => ticket.closedAt).length,
+        },
+        ratings: computeRatingSummary(tickets),
+      };
+    } catch (error) {
+      logger.error("Failed to get staff performance:", error);
+      return { available: false, ...empty };
+    }
+  }
+
   /**
    * Check if category limit is exceeded
    * @param {Array} categories - Categories to check
@@ -412,6 +704,221 @@ export class TicketManager {
     }
   }
 
+  /**
+   * Get every open ticket across all guilds
+   * @returns {Promise<Array>} Array of open tickets
+   */
+  async getOpenTickets() {
+    try {
+      return await this.storage.getOpenTickets();
+    } catch (error) {
+      logger.error("Failed to get open tickets:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the inactivity auto-close settings of a guild
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<{enabled: boolean, inactiveDays: number}>}
+   */
+  async getAutoCloseSettings(guildId) {
+    try {
+      const [settings, isPro] = await Promise.all([
+        this.storage.getGuildSettings(guildId),
+        this.premiumManager.isFeatureActive(guildId, "pro_engine"),
+      ]);
+
+      return {
+        enabled: settings?.ticketSettings?.autoClose !== false,
+        inactiveDays: isPro
+          ? AUTO_CLOSE.INACTIVE_DAYS_PRO
+          : AUTO_CLOSE.INACTIVE_DAYS_FREE,
+      };
+    } catch (error) {
+      logger.error("Failed to get auto-close settings:", error);
+      return { enabled: false, inactiveDays: AUTO_CLOSE.INACTIVE_DAYS_FREE };
+    }
+  }
+
+  /**
+   * Update the inactivity state of a ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {{lastActivityAt?: Date, autoCloseWarning?: {messageId: string, warnedAt: Date}|null}} state - Fields to set
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateAutoClose(ticketId, state) {
+    try {
+      return await this.storage.updateTicketAutoClose(ticketId, state);
+    } catch (error) {
+      logger.error("Failed to update ticket auto-close state:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Change the priority of a ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {string} priority - Value from TICKET_PRIORITY
+   * @returns {Promise<boolean>} Success status
+   */
+  async setPriority(ticketId, priority) {
+    try {
+      if (!Object.values(TICKET_PRIORITY).includes(priority)) {
+        throw new Error(`Unknown priority: ${priority}`);
+      }
+
+      const success = await this.storage.updateTicketPriority(
+        ticketId,
+        priority,
+      );
+
+      if (success) {
+        logger.info(`Ticket ${ticketId} priority set to ${priority}`);
+      }
+
+      return success;
+    } catch (error) {
+      logger.error("Failed to set ticket priority:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the SLA settings of a guild
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<{targets: Object, escalationRoleId: string|null, escalationChannelId: string|null, escalationEnabled: boolean}>} Targets are guild overrides keyed by priority
+   */
+  async getSlaSettings(guildId) {
+    try {
+      const [settings, isPro] = await Promise.all([
+        this.storage.getGuildSettings(guildId),
+        this.premiumManager.isFeatureActive(guildId, "pro_engine"),
+      ]);
+      const sla = settings?.ticketSettings?.sla || {};
+
+      return {
+        targets: sla.targets || {},
+        escalationRoleId:
+          sla.escalationRoleId || settings?.ticketSettings?.staffRoleId || null,
+        escalationChannelId: sla.escalationChannelId || null,
+        escalationEnabled: isPro
+          ? PRO_ENGINE.PRIORITY_NOTIFICATIONS
+          : FREE_TIER.PRIORITY_NOTIFICATIONS,
+      };
+    } catch (error) {
+      logger.error("Failed to get SLA settings:", error);
+      return {
+        targets: {},
+        escalationRoleId: null,
+        escalationChannelId: null,
+        escalationEnabled: false,
+      };
+    }
+  }
+
+  /**
+   * Get the automation rules of a guild
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<{enabled: boolean, assignment: {mode: string, roleId: string|null, lastAssignedId: string|null}, categoryTags: Object<string, string[]>, routing: Array<{keyword: string, categoryId: string}>, responses: Array<{keyword: string, response: string}>}>} Rules only run when enabled (Pro Engine)
+   */
+  async getAutomationSettings(guildId) {
+    const defaults = {
+      enabled: false,
+      assignment: {
+        mode: ASSIGNMENT_MODES.OFF,
+        roleId: null,
+        lastAssignedId: null,
+      },
+      categoryTags: {},
+      routing: [],
+      responses: [],
+    };
+
+    try {
+      const [settings, isPro] = await Promise.all([
+        this.storage.getGuildSettings(guildId),
+        this.premiumManager.isFeatureActive(guildId, "pro_engine"),
+      ]);
+      const automation = settings?.ticketSettings?.automation || {};
+
+      return {
+        enabled: isPro ? PRO_ENGINE.AUTOMATION : FREE_TIER.AUTOMATION,
+        assignment: { ...defaults.assignment, ...automation.assignment },
+        categoryTags: automation.categoryTags || {},
+        routing: automation.routing || [],
+        responses: automation.responses || [],
+      };
+    } catch (error) {
+      logger.error("Failed to get automation settings:", error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Move a ticket to another panel category
+   * @param {string} ticketId - Ticket ID
+   * @param {string} categoryId - New category ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async setCategory(ticketId, categoryId) {
+    try {
+      return await this.storage.updateTicketCategory(ticketId, categoryId);
+    } catch (error) {
+      logger.error("Failed to update ticket category:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Add tags to a ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {string[]} tags - Tags to add
+   * @returns {Promise<boolean>} Success status
+   */
+  async addTags(ticketId, tags) {
+    try {
+      return await this.storage.addTicketTags(ticketId, tags);
+    } catch (error) {
+      logger.error("Failed to add ticket tags:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Record an automation rule that ran on a ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} record - Rule details (rule, and what it did)
+   * @returns {Promise<boolean>} Success status
+   */
+  async recordAutomation(ticketId, record) {
+    try {
+      return await this.storage.addTicketEvent(ticketId, {
+        type: "automation",
+        ...record,
+        at: new Date(),
+      });
+    } catch (error) {
+      logger.error("Failed to record ticket automation:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Update the SLA state of a ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} state - Fields to set (firstResponseAt, slaEscalations.*)
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateSla(ticketId, state) {
+    try {
+      return await this.storage.updateTicketSla(ticketId, state);
+    } catch (error) {
+      logger.error("Failed to update ticket SLA state:", error);
+      return false;
+    }
+  }
+
   /**
    * Purge all ticket data and transcripts for a guild
    * @param {string} guildId - Guild ID
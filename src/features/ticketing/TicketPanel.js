@@ -2,7 +2,13 @@ import { CORE_STATUS } from "../premium/config.js";
 import { getStorageManager } from "../../utils/storage/storageManager.js";
 import { getPremiumManager } from "../premium/PremiumManager.js";
 import { getLogger } from "../../utils/logger.js";
-import { FREE_TIER, PRO_ENGINE, DEFAULT_CATEGORY } from "./config.js";
+import {
+  FREE_TIER,
+  PRO_ENGINE,
+  DEFAULT_CATEGORY,
+  INTAKE_FORM,
+  PANEL_TEMPLATES,
+} from "./config.js";
 import {
   createPanelEmbed,
   createPanelButtons,
@@ -84,11 +90,10 @@ export class TicketPanel {
       }
 
       // Generate panel ID
-      const panelNumber =
-        await this.storage.dbManager.guildSettings.incrementCounter(
-          guildId,
-          "counters.panel",
-        );
+      const panelNumber = await this.storage.incrementGuildCounter(
+        guildId,
+        "counters.panel",
+      );
       const panelId = `PNL-${guildId}-${panelNumber.toString().padStart(3, "0")}`;
 
       // Create panel in database
@@ -377,6 +382,210 @@ export class TicketPanel {
     }
   }
 
+  /**
+   * Set the intake questions of a panel category
+   * @param {string} panelId - Panel ID
+   * @param {string} categoryId - Category ID
+   * @param {string[]} questions - Question labels, empty to remove the form
+   * @returns {Promise<Object>} Result
+   */
+  async setCategoryQuestions(panelId, categoryId, questions) {
+    try {
+      const panel = await this.storage.getTicketPanel(panelId);
+      if (!panel) {
+        return {
+          success: false,
+          error: createErrorEmbed("Panel not found"),
+        };
+      }
+
+      const categories = panel.categories || [DEFAULT_CATEGORY];
+      if (!categories.some(category => category.id === categoryId)) {
+        return {
+          success: false,
+          error: createErrorEmbed("Category not found on this panel"),
+        };
+      }
+
+      if (questions.length > INTAKE_FORM.MAX_QUESTIONS) {
+        return {
+          success: false,
+          error: createErrorEmbed(
+            `A category can have at most ${INTAKE_FORM.MAX_QUESTIONS} questions.`,
+          ),
+        };
+      }
+
+      if (
+        questions.some(
+          question => question.length > INTAKE_FORM.MAX_QUESTION_LENGTH,
+        )
+      ) {
+        return {
+          success: false,
+          error: createErrorEmbed(
+            `Questions can be at most ${INTAKE_FORM.MAX_QUESTION_LENGTH} characters long.`,
+          ),
+        };
+      }
+
+      const success = await this.storage.updateTicketPanel(panelId, {
+        categories: categories.map(category =>
+          category.id === categoryId
+            ? { ...category, questions: questions.map(label => ({ label })) }
+            : category,
+        ),
+      });
+
+      if (success) {
+        logger.info(
+          `Intake questions updated: ${panelId} (${categoryId}, ${questions.length} questions)`,
+        );
+        return { success: true };
+      }
+
+      return {
+        success: false,
+        error: createErrorEmbed("Failed to update panel"),
+      };
+    } catch (error) {
+      logger.error("Failed to set intake questions:", error);
+      return {
+        success: false,
+        error: createErrorEmbed(`Failed to update panel: ${error.message}`),
+      };
+    }
+  }
+
+  /**
+   * Check whether panel templates are available in a guild
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<boolean>}
+   */
+  async canUseTemplates(guildId) {
+    const isPro = await this.premiumManager.isFeatureActive(
+      guildId,
+      "pro_engine",
+    );
+    return isPro ? PRO_ENGINE.TEMPLATES : FREE_TIER.TEMPLATES;
+  }
+
+  /**
+   * Save a panel template for a user, replacing one with the same name
+   * @param {string} ownerId - User ID
+   * @param {Object} template - From createPanelTemplate or parsePanelTemplate
+   * @returns {Promise<Object>} Result
+   */
+  async saveTemplate(ownerId, template) {
+    try {
+      const templates = await this.storage.getTicketPanelTemplates(ownerId);
+      const replaced = templates.some(
+        existing => existing.nameKey === template.name.toLowerCase(),
+      );
+
+      if (!replaced && templates.length >= PANEL_TEMPLATES.MAX_PER_USER) {
+        return {
+          success: false,
+          error: createErrorEmbed(
+            `You can save at most ${PANEL_TEMPLATES.MAX_PER_USER} templates. Delete one first.`,
+          ),
+        };
+      }
+
+      const success = await this.storage.saveTicketPanelTemplate(
+        ownerId,
+        template,
+      );
+
+      if (success) {
+        logger.info(`Panel template saved: ${template.name} for ${ownerId}`);
+        return { success: true, replaced };
+      }
+
+      return {
+        success: false,
+        error: createErrorEmbed("Failed to save template"),
+      };
+    } catch (error) {
+      logger.error("Failed to save panel template:", error);
+      return {
+        success: false,
+        error: createErrorEmbed(`Failed to save template: ${error.message}`),
+      };
+    }
+  }
+
+  /**
+   * Get all panel templates of a user
+   * @param {string} ownerId - User ID
+   * @returns {Promise<Array>} Array of templates
+   */
+  async getTemplates(ownerId) {
+    try {
+      return await this.storage.getTicketPanelTemplates(ownerId);
+    } catch (error) {
+      logger.error("Failed to get panel templates:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a panel template of a user by name
+   * @param {string} ownerId - User ID
+   * @param {string} name - Template name (case-insensitive)
+   * @returns {Promise<Object|null>} Template or null
+   */
+  async getTemplate(ownerId, name) {
+    try {
+      return await this.storage.getTicketPanelTemplate(ownerId, name);
+    } catch (error) {
+      logger.error("Failed to get panel template:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a panel template of a user
+   * @param {string} ownerId - User ID
+   * @param {string} name - Template name (case-insensitive)
+   * @returns {Promise<boolean>} Whether a template was deleted
+   */
+  async deleteTemplate(ownerId, name) {
+    try {
+      const success = await this.storage.deleteTicketPanelTemplate(
+        ownerId,
+        name,
+      );
+      if (success)
+        logger.info(`Panel template deleted: ${name} for ${ownerId}`);
+      return success;
+    } catch (error) {
+      logger.error("Failed to delete panel template:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Create a panel from a template
+   * Limits of the target guild apply as for any new panel
+   * @param {Object} options
+   * @param {string} options.guildId - Guild ID
+   * @param {string} options.channelId - Channel for the panel message
+   * @param {Object} options.template - Panel template
+   * @returns {Promise<Object>} Result, as from createPanel
+   */
+  async createPanelFromTemplate({ guildId, channelId, template }) {
+    return await this.createPanel({
+      guildId,
+      channelId,
+      title: template.panel.title,
+      description: template.panel.description,
+      categories: template.panel.categories,
+      settings: {},
+      styling: { color: template.panel.color },
+    });
+  }
+
   /**
    * Refresh the panel message in Discord
    * @param {import('discord.js').Guild} guild - Discord guild
@@ -0,0 +1,247 @@
+import { getLogger } from "../../utils/logger.js";
+import { getTicketManager } from "./TicketManager.js";
+import { SLA_SETTINGS } from "./config.js";
+import { createSlaEscalationEmbed } from "./embeds.js";
+import {
+  checkStaffRoleForMember,
+  getSlaStatus,
+  getSlaTargets,
+  getStaffNotificationChannel,
+} from "./helpers.js";
+
+const CHECK_INTERVAL_MS = SLA_SETTINGS.CHECK_INTERVAL_MINUTES * 60 * 1000;
+// How far back to look for the first staff reply
+const RESPONSE_MESSAGE_LIMIT = 50;
+const ESCALATING_STATES = ["at_risk", "breached"];
+
+/**
+ * Get which SLA targets of a ticket need an escalation ping
+ * @param {Object} ticket - Open ticket
+ * @param {{firstResponse: {state: string}, resolution: {state: string}}} status - From getSlaStatus
+ * @returns {Array<"firstResponse"|"resolution">}
+ */
+export function getPendingEscalations(ticket, status) {
+  return /** @type {Array<"firstResponse"|"resolution">} */ ([
+    "firstResponse",
+    "resolution",
+  ]).filter(
+    target =>
+      ESCALATING_STATES.includes(status[target].state) &&
+      !ticket.slaEscalations?.[target],
+  );
+}
+
+class TicketSlaScheduler {
+  constructor(client) {
+    this.client = client;
+    this.logger = getLogger();
+    this.interval = null;
+    this.isRunning = false;
+    this.isChecking = false;
+    // Last message seen per ticket, so unchanged channels are not re-fetched
+    this.lastSeenMessages = new Map();
+  }
+
+  start() {
+    if (this.isRunning) {
+      this.logger.warn("⚠️ Ticket SLA scheduler is already running");
+      return;
+    }
+
+    this.logger.info("🕐 Starting ticket SLA scheduler...");
+    this.isRunning = true;
+
+    this.interval = setInterval(async () => {
+      try {
+        await this.checkTickets();
+      } catch (error) {
+        this.logger.error("❌ Error in ticket SLA scheduler", error);
+      }
+    }, CHECK_INTERVAL_MS).unref();
+
+    this.logger.success(
+      `✅ Ticket SLA scheduler started (runs every ${SLA_SETTINGS.CHECK_INTERVAL_MINUTES} minutes)`,
+    );
+    this.checkTickets().catch(error =>
+      this.logger.error("❌ Initial ticket SLA check failed", error),
+    );
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    this.logger.info("🛑 Ticket SLA scheduler stopped");
+  }
+
+  /**
+   * Record first responses and escalate open tickets close to an SLA breach
+   */
+  async checkTickets() {
+    if (this.isChecking) {
+      this.logger.debug("Ticket SLA check skipped - already running");
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      const ticketManager = getTicketManager();
+      await ticketManager.initialize();
+
+      const tickets = await ticketManager.getOpenTickets();
+      const guildSettings = new Map();
+      const openIds = new Set(tickets.map(ticket => ticket.ticketId));
+
+      for (const ticketId of this.lastSeenMessages.keys()) {
+        if (!openIds.has(ticketId)) this.lastSeenMessages.delete(ticketId);
+      }
+
+      for (const ticket of tickets) {
+        try {
+          if (!guildSettings.has(ticket.guildId)) {
+            guildSettings.set(
+              ticket.guildId,
+              await ticketManager.getSlaSettings(ticket.guildId),
+            );
+          }
+
+          await this.checkTicket(ticket, guildSettings.get(ticket.guildId));
+        } catch (error) {
+          this.logger.error(
+            `SLA check failed for ticket ${ticket.ticketId}:`,
+            error,
+          );
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * @param {Object} ticket - Open ticket
+   * @param {Object} settings - From TicketManager.getSlaSettings
+   */
+  async checkTicket(ticket, settings) {
+    const guild = this.client.guilds.cache.get(ticket.guildId);
+    if (!guild) return;
+
+    if (!ticket.firstResponseAt) {
+      const response = await this.findFirstStaffResponse(guild, ticket);
+      if (response) {
+        ticket.firstResponseAt = response.at;
+        await getTicketManager().updateSla(ticket.ticketId, {
+          firstResponseAt: response.at,
+          firstResponseBy: response.staffId,
+        });
+      }
+    }
+
+    if (!settings.escalationEnabled) return;
+
+    const status = getSlaStatus(
+      ticket,
+      getSlaTargets(ticket.priority, settings.targets),
+    );
+
+    for (const target of getPendingEscalations(ticket, status)) {
+      await this.escalate(guild, ticket, target, status[target], settings);
+    }
+  }
+
+  /**
+   * Find when and by whom staff first wrote in a ticket
+   * @param {import('discord.js').Guild} guild
+   * @param {Object} ticket
+   * @returns {Promise<{at: Date, staffId: string}|null>}
+   */
+  async findFirstStaffResponse(guild, ticket) {
+    const channel = await guild.channels
+      .fetch(ticket.channelId)
+      .catch(() => null);
+    if (!channel?.isTextBased() || !channel.lastMessageId) return null;
+    if (this.lastSeenMessages.get(ticket.ticketId) === channel.lastMessageId) {
+      return null;
+    }
+
+    const messages = await channel.messages
+      .fetch({ limit: RESPONSE_MESSAGE_LIMIT })
+      .catch(() => null);
+    if (!messages) return null;
+    this.lastSeenMessages.set(ticket.ticketId, channel.lastMessageId);
+
+    // Oldest first, so the first match is the first response
+    for (const message of [...messages.values()].reverse()) {
+      if (message.author.bot || message.author.id === ticket.userId) continue;
+
+      const member =
+        message.member ||
+        (await guild.members.fetch(message.author.id).catch(() => null));
+      if (member && (await checkStaffRoleForMember(member, guild.id))) {
+        return { at: message.createdAt, staffId: message.author.id };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Ping the escalation role about an SLA target
+   * @param {import('discord.js').Guild} guild
+   * @param {Object} ticket
+   * @param {"firstResponse"|"resolution"} target
+   * @param {{dueAt: Date, state: string}} timer
+   * @param {Object} settings - From TicketManager.getSlaSettings
+   */
+  async escalate(guild, ticket, target, timer, settings) {
+    let channel = settings.escalationChannelId
+      ? await guild.channels
+          .fetch(settings.escalationChannelId)
+          .catch(() => null)
+      : null;
+    if (!channel?.isTextBased()) {
+      channel = await getStaffNotificationChannel(guild);
+    }
+
+    // Record the escalation first so a failing channel does not ping every run
+    await getTicketManager().updateSla(ticket.ticketId, {
+      [`slaEscalations.${target}`]: new Date(),
+    });
+
+    if (!channel?.isTextBased()) {
+      this.logger.warn(
+        `No escalation channel for ticket ${ticket.ticketId} in guild ${guild.id}`,
+      );
+      return;
+    }
+
+    const roleId = settings.escalationRoleId;
+    await channel.send({
+      content: roleId ? `<@&${roleId}>` : undefined,
+      embeds: [
+        createSlaEscalationEmbed({
+          ticket,
+          target,
+          timer,
+          client: this.client,
+        }),
+      ],
+      allowedMentions: { roles: roleId ? [roleId] : [] },
+    });
+
+    this.logger.info(
+      `🎫 Escalated ${target} SLA (${timer.state}) for ticket ${ticket.ticketId}`,
+    );
+  }
+}
+
+let scheduler = null;
+
+export function getTicketSlaScheduler(client) {
+  if (!scheduler) {
+    scheduler = new TicketSlaScheduler(client);
+  }
+  return scheduler;
+}
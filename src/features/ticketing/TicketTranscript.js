@@ -1,11 +1,69 @@
 import { getStorageManager } from "../../utils/storage/storageManager.js";
 import { getPremiumManager } from "../premium/PremiumManager.js";
 import { getLogger } from "../../utils/logger.js";
-import { FREE_TIER, PRO_ENGINE } from "./config.js";
+import { FREE_TIER, PRO_ENGINE, TRANSCRIPT_SETTINGS } from "./config.js";
+import { formatRating, getAttachmentName } from "./helpers.js";
+import { renderTranscriptPdf } from "./transcriptPdf.js";
 import dedent from "dedent";
 
 const logger = getLogger();
 
+// Only Discord-hosted files are archived
+const DISCORD_CDN_HOSTS = ["cdn.discordapp.com", "media.discordapp.net"];
+const CUSTOM_EMOJI_PATTERN = /<(a?):(\w+):(\d+)>/g;
+
+function getEmojiUrl(id, animated) {
+  return `https://cdn.discordapp.com/emojis/${id}.${animated ? "gif" : "png"}`;
+}
+
+function isDiscordCdnUrl(url) {
+  try {
+    return DISCORD_CDN_HOSTS.includes(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+function toDataUrl(asset) {
+  return `data:${asset.contentType};base64,${asset.data}`;
+}
+
+/**
+ * Collect the Discord CDN files a transcript shows
+ * Avatars and emoji come first so they still fit when attachments reach the size cap
+ * @param {Array} messages - Formatted messages
+ * @returns {string[]} Unique URLs in archive order
+ */
+export function collectAssetUrls(messages) {
+  const urls = new Set();
+
+  for (const msg of messages) {
+    if (msg.avatarUrl) urls.add(msg.avatarUrl);
+
+    const texts = [
+      msg.content,
+      ...(msg.embeds || []).flatMap(embed => [
+        embed.title,
+        embed.description,
+        ...(embed.fields || []).flatMap(field => [field.name, field.value]),
+      ]),
+    ];
+    for (const text of texts) {
+      for (const [, animated, , id] of (text || "").matchAll(
+        CUSTOM_EMOJI_PATTERN,
+      )) {
+        urls.add(getEmojiUrl(id, animated));
+      }
+    }
+  }
+
+  for (const msg of messages) {
+    for (const url of msg.attachments || []) urls.add(url);
+  }
+
+  return [...urls].filter(isDiscordCdnUrl);
+}
+
 /**
  * TicketTranscript - Generate and manage ticket transcripts
  */
@@ -62,15 +120,30 @@ export class TicketTranscript {
       // Format messages
       const formattedMessages = this.formatMessages(messages);
 
+      // Archive attachments, avatars and emoji before their CDN links expire
+      const maxArchiveMB = isPro
+        ? PRO_ENGINE.MAX_ARCHIVE_SIZE_MB
+        : FREE_TIER.MAX_ARCHIVE_SIZE_MB;
+      const { assets, archive } = await this.archiveAssets(
+        collectAssetUrls(formattedMessages),
+        maxArchiveMB * 1024 * 1024,
+      );
+
       // Generate content based on format
       let content;
       if (format === "html") {
-        content = this.generateHTML(formattedMessages, {
+        content = this.generateHTML(
+          formattedMessages,
+          { ...ticket, isTruncated, archive },
+          assets,
+        );
+      } else if (format === "json") {
+        content = this.generateJSON(formattedMessages, {
           ...ticket,
           isTruncated,
         });
-      } else if (format === "json") {
-        content = this.generateJSON(formattedMessages, {
+      } else if (format === "pdf") {
+        content = this.generatePDF(formattedMessages, {
           ...ticket,
           isTruncated,
         });
@@ -104,12 +177,15 @@ export class TicketTranscript {
         format,
         content: "", // Save space by not storing rendered string (regenerate on on-the-fly)
         messages: formattedMessages,
+        assets,
         metadata: {
           ticketOpenedAt: ticket?.openedAt,
           ticketClosedAt: ticket?.closedAt || new Date().toISOString(),
           claimedBy: ticket?.claimedBy,
           totalMessages: formattedMessages.length,
           isTruncated: !!isTruncated,
+          intake: ticket?.intake || [],
+          archive,
           duration: ticket?.openedAt
             ? new Date(ticket.closedAt || Date.now()).getTime() -
               new Date(ticket.openedAt).getTime()
@@ -140,6 +216,63 @@ export class TicketTranscript {
     }
   }
 
+  /**
+   * Download files so the transcript no longer depends on Discord's CDN
+   * Files that fail or would exceed the cap keep their CDN link
+   * @param {string[]} urls - From collectAssetUrls
+   * @param {number} maxBytes - Total size cap
+   * @returns {Promise<Object>} Archived assets and archive summary
+   */
+  async archiveAssets(urls, maxBytes) {
+    const assets = [];
+    let sizeBytes = 0;
+
+    for (const url of urls) {
+      try {
+        const response = await fetch(url, {
+          signal: AbortSignal.timeout(
+            TRANSCRIPT_SETTINGS.ASSET_DOWNLOAD_TIMEOUT_MS,
+          ),
+        });
+        if (!response.ok) continue;
+
+        // Skip before downloading when the size is known up front
+        const declaredSize = Number(response.headers.get("content-length"));
+        if (declaredSize && sizeBytes + declaredSize > maxBytes) {
+          await response.body?.cancel();
+          continue;
+        }
+
+        const buffer = Buffer.from(await response.arrayBuffer());
+        if (sizeBytes + buffer.length > maxBytes) continue;
+
+        sizeBytes += buffer.length;
+        assets.push({
+          url,
+          contentType:
+            response.headers.get("content-type")?.split(";")[0] ||
+            "application/octet-stream",
+          size: buffer.length,
+          data: buffer.toString("base64"),
+        });
+      } catch (error) {
+        logger.debug(
+          `Failed to archive transcript file ${url}:`,
+          error.message,
+        );
+      }
+    }
+
+    return {
+      assets,
+      archive: {
+        embedded: assets.length,
+        skipped: urls.length - assets.length,
+        sizeBytes,
+      },
+    };
+  }
+
   /**
    * Fetch messages from a channel with a limit
    * @param {Object} channel - Discord channel
@@ -219,9 +352,14 @@ export class TicketTranscript {
    * Generate HTML transcript
    * @param {Array} messages - Formatted messages
    * @param {Object} ticket - Ticket data
+   * @param {Array} [assets] - Archived files, embedded in place of their CDN links
    * @returns {string} HTML content
    */
-  generateHTML(messages, ticket) {
+  generateHTML(messages, ticket, assets = []) {
+    const assetsByUrl = new Map(assets.map(asset => [asset.url, asset]));
+    const resolveUrl = url =>
+      assetsByUrl.has(url) ? toDataUrl(assetsByUrl.get(url)) : url;
+
     // Group consecutive messages from the same user (within 7 minutes)
     const groupedMessages = [];
     for (let i = 0; i < messages.length; i++) {
@@ -259,6 +397,11 @@ export class TicketTranscript {
           a { color: #00aff4; text-decoration: none; }
           a:hover { text-decoration: underline; }
           img { object-fit: contain; }
+          .chatlog__emoji {
+            width: 1.375em;
+            height: 1.375em;
+            vertical-align: -0.3em;
+          }
 
           /* Container */
           .container {
@@ -287,6 +430,26 @@ export class TicketTranscript {
             color: #dcddde;
           }
 
+          /* Intake form */
+          .intake {
+            padding: 0 1rem 1rem;
+          }
+          .intake__title {
+            margin-bottom: 0.5rem;
+            color: #ffffff;
+            font-weight: 600;
+          }
+          .intake__question {
+            margin-top: 0.5rem;
+            color: #ffffff;
+            font-size: 0.9rem;
+            font-weight: 600;
+          }
+          .intake__answer {
+            color: #dcddde;
+            white-space: pre-wrap;
+          }
+
           /* Chatlog */
           .chatlog {
             padding: 1rem 0;
@@ -443,6 +606,11 @@ export class TicketTranscript {
             color: #00aff4;
             font-size: 0.85rem;
           }
+          .chatlog__attachment-image {
+            max-width: 400px;
+            max-height: 300px;
+            border-radius: 3px;
+          }
 
           /* Markdown */
           .chatlog__markdown {
@@ -517,6 +685,8 @@ export class TicketTranscript {
             <div class="preamble__entry--small"><strong>Created:</strong> ${new Date(ticket?.openedAt || Date.now()).toLocaleString()}</div>
             <div class="preamble__entry--small"><strong>Closed:</strong> ${ticket?.closedAt ? new Date(ticket.closedAt).toLocaleString() : "Not closed"}</div>
             <div class="preamble__entry--small"><strong>Messages:</strong> ${messages.length}</div>
+            ${ticket?.rating ? `<div class="preamble__entry--small"><strong>Rating:</strong> ${formatRating(ticket.rating.stars)}</div>` : ""}
+            ${ticket?.rating?.feedback ? `<div class="preamble__entry--small"><strong>Feedback:</strong> ${this.escapeHtml(ticket.rating.feedback)}</div>` : ""}
           </div>
         </div>
 
@@ -529,6 +699,25 @@ export class TicketTranscript {
             : ""
         }
 
+        ${
+          ticket?.archive?.skipped
+            ? `
+        <div class="warning-box">
+          <span>⚠️</span> ${ticket.archive.skipped} file(s) could not be archived and still link to Discord, where they may no longer be available.
+        </div>`
+            : ""
+        }
+
+        ${
+          ticket?.intake?.length
+            ? `
+        <div class="intake">
+          <div class="intake__title">📋 Intake Form</div>
+          ${ticket.intake.map(({ question, answer }) => `<div class="intake__question">${this.escapeHtml(question)}</div><div class="intake__answer">${this.escapeHtml(answer)}</div>`).join("")}
+        </div>`
+            : ""
+        }
+
         <div class="chatlog">
           ${groupedMessages
             .map(msg => {
@@ -536,28 +725,28 @@ export class TicketTranscript {
                 ? `<div class="chatlog__header"><span class="chatlog__author">${this.escapeHtml(msg.displayName)}</span>${msg.isBot ? '<span class="chatlog__author-tag">BOT</span>' : ""}<span class="chatlog__timestamp">${new Date(msg.timestamp).toLocaleString()}</span></div>`
                 : "";
               const aside = !msg.isGrouped
-                ? `<img class="chatlog__avatar" src="${msg.avatarUrl}" alt="Avatar">`
+                ? `<img class="chatlog__avatar" src="${resolveUrl(msg.avatarUrl)}" alt="Avatar">`
                 : `<span class="chatlog__short-timestamp">${new Date(msg.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}</span>`;
-              const content = `<div class="chatlog__content chatlog__markdown"><span class="chatlog__markdown-preserve">${this.parseMarkdown(msg.content)}</span></div>`;
+              const content = `<div class="chatlog__content chatlog__markdown"><span class="chatlog__markdown-preserve">${this.parseMarkdown(msg.content, resolveUrl)}</span></div>`;
               const embeds = (msg.embeds || [])
                 .map(embed => {
                   const pill = `<div class="chatlog__embed-color-pill${embed.color ? "" : " chatlog__embed-color-pill--default"}" style="${embed.color ? "background-color: #" + embed.color.toString(16).padStart(6, "0") : ""}"></div>`;
                   const title = embed.title
-                    ? `<div class="chatlog__embed-title">${this.parseMarkdown(embed.title)}</div>`
+                    ? `<div class="chatlog__embed-title">${this.parseMarkdown(embed.title, resolveUrl)}</div>`
                     : "";
                   const desc = embed.description
-                    ? `<div class="chatlog__embed-description">${this.parseMarkdown(embed.description)}</div>`
+                    ? `<div class="chatlog__embed-description">${this.parseMarkdown(embed.description, resolveUrl)}</div>`
                     : "";
                   const fields =
                     embed.fields && embed.fields.length > 0
-                      ? `<div class="chatlog__embed-fields">${embed.fields.map(f => `<div class="chatlog__embed-field"><div class="chatlog__embed-field-name">${this.parseMarkdown(f.name)}</div><div class="chatlog__embed-field-value">${this.parseMarkdown(f.value)}</div></div>`).join("")}</div>`
+                      ? `<div class="chatlog__embed-fields">${embed.fields.map(f => `<div class="chatlog__embed-field"><div class="chatlog__embed-field-name">${this.parseMarkdown(f.name, resolveUrl)}</div><div class="chatlog__embed-field-value">${this.parseMarkdown(f.value, resolveUrl)}</div></div>`).join("")}</div>`
                       : "";
                   return `<div class="chatlog__embed">${pill}<div class="chatlog__embed-content-container">${title}${desc}${fields}</div></div>`;
                 })
                 .join("");
               const attachments =
                 msg.attachments?.length > 0
-                  ? `<div class="chatlog__attachment">${msg.attachments.map(url => `<a href="${url}" target="_blank">📎 View Attachment</a>`).join("<br>")}</div>`
+                  ? `<div class="chatlog__attachment">${msg.attachments.map(url => this.renderAttachment(url, assetsByUrl.get(url))).join("<br>")}</div>`
                   : "";
               return `<div class="chatlog__message${!msg.isGrouped ? " chatlog__message--group-start" : ""}"><div class="chatlog__message-aside">${aside}</div><div class="chatlog__message-primary">${header}${content}${embeds}${attachments}</div></div>`;
             })
@@ -575,6 +764,24 @@ export class TicketTranscript {
     return html;
   }
 
+  /**
+   * Render an attachment, embedded when it was archived
+   * @param {string} url - Discord CDN URL
+   * @param {Object} [asset] - Archived copy
+   * @returns {string} HTML
+   */
+  renderAttachment(url, asset) {
+    if (!asset) {
+      return `<a href="${url}" target="_blank">📎 View Attachment</a>`;
+    }
+
+    const name = this.escapeHtml(getAttachmentName(url));
+    if (asset.contentType.startsWith("image/")) {
+      return `<img class="chatlog__attachment-image" src="${toDataUrl(asset)}" alt="${name}" title="${name}">`;
+    }
+    return `<a href="${toDataUrl(asset)}" download="${name}">📎 ${name}</a>`;
+  }
+
   /**
    * Generate markdown transcript
    * @param {Array} messages - Formatted messages
@@ -586,9 +793,21 @@ export class TicketTranscript {
     md += `**Created:** ${new Date(ticket?.openedAt || Date.now()).toLocaleString()}\n`;
     md += `**Closed:** ${ticket?.closedAt ? new Date(ticket.closedAt).toLocaleString() : "Not closed"}\n`;
     md += `**Messages:** ${messages.length}\n`;
+    if (ticket?.rating) {
+      md += `**Rating:** ${formatRating(ticket.rating.stars)}\n`;
+      if (ticket.rating.feedback) {
+        md += `**Feedback:** ${ticket.rating.feedback}\n`;
+      }
+    }
     if (ticket?.isTruncated) {
       md += `**⚠️ Notice:** This transcript was truncated due to the maximum message limit.\n`;
     }
+    if (ticket?.intake?.length) {
+      md += `\n## Intake Form\n\n`;
+      ticket.intake.forEach(({ question, answer }) => {
+        md += `**${question}**\n${answer}\n\n`;
+      });
+    }
     md += `\n---\n\n`;
 
     // Grouping logic (same as HTML)
@@ -672,6 +891,8 @@ export class TicketTranscript {
           closedAt: ticket?.closedAt || new Date().toISOString(),
           status: ticket?.status || "unknown",
           isTruncated: ticket?.isTruncated || false,
+          intake: ticket?.intake || [],
+          rating: ticket?.rating || null,
           exportDate: new Date().toISOString(),
           totalMessages: messages.length,
         },
@@ -695,6 +916,16 @@ export class TicketTranscript {
     );
   }
 
+  /**
+   * Generate PDF transcript
+   * @param {Array} messages - Formatted messages
+   * @param {Object} ticket - Ticket data
+   * @returns {Buffer} PDF document
+   */
+  generatePDF(messages, ticket) {
+    return renderTranscriptPdf(messages, ticket);
+  }
+
   /**
    * Escape HTML special characters
    * @param {string} text - Text to escape
@@ -711,13 +942,24 @@ export class TicketTranscript {
   }
 
   /**
-   * Parse basic Discord markdown (bold, italic, code, mentions)
+   * Parse basic Discord markdown (bold, italic, code, mentions, custom emoji)
    * @param {string} text - Raw text
+   * @param {(url: string) => string} [resolveUrl] - Maps emoji URLs to archived copies
    * @returns {string} HTML parsed text
    */
-  parseMarkdown(text) {
+  parseMarkdown(text, resolveUrl = url => url) {
     if (!text) return "";
-    let parsed = this.escapeHtml(text);
+
+    // Swap custom emoji for placeholders so formatting can't touch their names
+    const emoji = [];
+    let parsed = this.escapeHtml(
+      text.replace(CUSTOM_EMOJI_PATTERN, (_, animated, name, id) => {
+        emoji.push(
+          `<img class="chatlog__emoji" src="${resolveUrl(getEmojiUrl(id, animated))}" alt=":${name}:" title=":${name}:">`,
+        );
+        return `\uE000${emoji.length - 1}\uE000`;
+      }),
+    );
 
     // Bold
     parsed = parsed.replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>");
@@ -762,6 +1004,9 @@ export class TicketTranscript {
     // Line breaks
     parsed = parsed.replace(/\n/g, "<br>");
 
+    // Custom emoji
+    parsed = parsed.replace(/\uE000(\d+)\uE000/g, (_, index) => emoji[index]);
+
     return parsed;
   }
 
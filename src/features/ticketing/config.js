@@ -12,12 +12,14 @@ export const FREE_TIER = {
   EXPORT_FORMATS: ["md"], // Available export formats
   ANALYTICS: "basic", // Analytics level: 'basic' | 'advanced'
   AUTOMATION: false, // Auto-close, auto-assign rules
+  TEMPLATES: false, // Save/load panel templates
   CUSTOM_COLORS: true, // Custom colors are available for everyone
   STAFF_PERFORMANCE_TRACKING: false, // Staff statistics
   PRIORITY_NOTIFICATIONS: false, // Priority staff pings
   MAX_ACTIVE_TICKETS: 10, // Maximum simultaneously open tickets
   DAILY_TICKET_LIMIT: 5, // Maximum tickets per day
   MAX_MESSAGES_PER_TRANSCRIPT: 1000, // Message limit
+  MAX_ARCHIVE_SIZE_MB: 2, // Attachments, avatars and emoji embedded per transcript
 };
 
 // Pro Engine features - unlocked with subscription
@@ -26,7 +28,7 @@ export const PRO_ENGINE = {
   MAX_PANELS: 10, // Multiple panels
   MAX_CATEGORIES: 20, // Many categories
   TRANSCRIPT_RETENTION_DAYS: -1, // Unlimited (-1 = no expiry)
-  EXPORT_FORMATS: ["html", "json", "md"], // All formats
+  EXPORT_FORMATS: ["html", "json", "md", "pdf"], // All formats
   ANALYTICS: "advanced", // Full analytics dashboard
   AUTOMATION: true, // Automation rules enabled
   STAFF_PERFORMANCE_TRACKING: true, // Staff performance stats
@@ -37,6 +39,7 @@ export const PRO_ENGINE = {
   CUSTOM_COLORS: true, // Custom embed colors
   MULTI_SERVER_STATS: true, // Cross-server analytics
   MAX_MESSAGES_PER_TRANSCRIPT: 5000, // Higher message limit
+  MAX_ARCHIVE_SIZE_MB: 6, // Larger embedded assets (stays under Discord's upload limit)
 };
 
 // Ticket status constants
@@ -54,6 +57,76 @@ export const TICKET_PRIORITY = {
   URGENT: "urgent",
 };
 
+// Priority labels shown in embeds and command choices
+export const PRIORITY_DISPLAY = {
+  [TICKET_PRIORITY.LOW]: { label: "Low", emoji: "🟢" },
+  [TICKET_PRIORITY.NORMAL]: { label: "Normal", emoji: "🔵" },
+  [TICKET_PRIORITY.HIGH]: { label: "High", emoji: "🟠" },
+  [TICKET_PRIORITY.URGENT]: { label: "Urgent", emoji: "🔴" },
+};
+
+// Default SLA targets per priority (guilds can override them in /ticket sla)
+export const SLA_TARGETS = {
+  [TICKET_PRIORITY.LOW]: {
+    FIRST_RESPONSE_MINUTES: 1440,
+    RESOLUTION_HOURS: 168,
+  },
+  [TICKET_PRIORITY.NORMAL]: {
+    FIRST_RESPONSE_MINUTES: 240,
+    RESOLUTION_HOURS: 72,
+  },
+  [TICKET_PRIORITY.HIGH]: { FIRST_RESPONSE_MINUTES: 60, RESOLUTION_HOURS: 24 },
+  [TICKET_PRIORITY.URGENT]: { FIRST_RESPONSE_MINUTES: 15, RESOLUTION_HOURS: 8 },
+};
+
+// SLA escalation settings
+export const SLA_SETTINGS = {
+  AT_RISK_PERCENT: 80, // Escalate once this much of a target has passed
+  CHECK_INTERVAL_MINUTES: 2, // How often open tickets are checked
+  MAX_FIRST_RESPONSE_MINUTES: 10080, // Longest allowed target (7 days)
+  MAX_RESOLUTION_HOURS: 720, // Longest allowed target (30 days)
+};
+
+// Automation rules (Pro Engine)
+export const ASSIGNMENT_MODES = {
+  OFF: "off",
+  ROUND_ROBIN: "round_robin",
+  LEAST_LOAD: "least_load",
+};
+
+export const AUTOMATION_SETTINGS = {
+  MAX_KEYWORD_RULES: 25, // Per rule type (routing, responses)
+  MAX_TAGS_PER_CATEGORY: 10,
+  MAX_TAG_LENGTH: 32,
+  MAX_KEYWORD_LENGTH: 50,
+  MAX_RESPONSE_LENGTH: 1000,
+};
+
+// Days covered by staff statistics when no date range is given
+export const STATS_DEFAULT_DAYS = 30;
+
+// Intake form questions asked before a ticket opens (Discord modal limits)
+export const INTAKE_FORM = {
+  MAX_QUESTIONS: 5,
+  MAX_QUESTION_LENGTH: 45,
+  MAX_ANSWER_LENGTH: 1000,
+};
+
+// Satisfaction ratings requested from the ticket opener after close
+export const RATINGS = {
+  MAX_STARS: 5,
+  MAX_FEEDBACK_LENGTH: 1000,
+};
+
+// Portable panel templates, owned by the admin who saved them
+export const PANEL_TEMPLATES = {
+  VERSION: 1, // Bump when the template document changes shape
+  MAX_PER_USER: 25,
+  MAX_NAME_LENGTH: 50,
+  MAX_FILE_SIZE_KB: 64, // Imported JSON documents
+  DOWNLOAD_TIMEOUT_MS: 10000,
+};
+
 // Export formats
 export const EXPORT_FORMATS = {
   HTML: "html",
@@ -98,4 +171,5 @@ export const TRANSCRIPT_SETTINGS = {
   MAX_MESSAGES: 1000, // Max messages per transcript
   INCLUDE_ATTACHMENTS: true, // Include attachment links
   EMBED_AUTHOR: true, // Show author in transcript
+  ASSET_DOWNLOAD_TIMEOUT_MS: 10000, // Per attachment, avatar or emoji download
 };
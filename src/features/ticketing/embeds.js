@@ -7,6 +7,8 @@ import {
   UI_COMPONENTS,
   BUTTON_STYLES,
 } from "../../config/theme.js";
+import { formatPriority } from "./helpers.js";
+import { RATINGS } from "./config.js";
 
 // ─────────────────────────────────────────────
 // Helpers
@@ -102,11 +104,20 @@ export function createPanelEmbed(options) {
  * @param {string} [options.category.label]
  * @param {string} [options.category.description]
  * @param {import('discord.js').ColorResolvable} [options.category.color]
+ * @param {string} [options.priority]
+ * @param {Date} [options.firstResponseDue]
  * @param {import('discord.js').Client} [options.client]
  * @returns {EmbedBuilder}
  */
 export function createTicketWelcomeEmbed(options) {
-  const { ticketNumber, userName, category, client } = options;
+  const {
+    ticketNumber,
+    userName,
+    category,
+    priority,
+    firstResponseDue,
+    client,
+  } = options;
 
   const categoryLabel = category?.label || "General Support";
   const defaultDescription =
@@ -122,22 +133,66 @@ export function createTicketWelcomeEmbed(options) {
   // Use category color if available, otherwise default to primary theme
   const embedColor = category?.color || THEME.PRIMARY;
 
+  const fields = [
+    {
+      name: "Category",
+      value: `\`${categoryLabel}\``,
+      inline: true,
+    },
+    {
+      name: "Ticket ID",
+      value: `\`#${ticketNumber}\``,
+      inline: true,
+    },
+    {
+      name: "Priority",
+      value: formatPriority(priority),
+      inline: true,
+    },
+  ];
+
+  if (firstResponseDue) {
+    fields.push({
+      name: "Expected Response",
+      value: `<t:${Math.floor(firstResponseDue.getTime() / 1000)}:R>`,
+      inline: true,
+    });
+  }
+
   return new EmbedBuilder()
     .setTitle(`${categoryLabel}  •  #${ticketNumber}`)
     .setDescription(customDescription)
+    .addFields(fields)
+    .setColor(embedColor)
+    .setFooter(ticketFooter(client))
+    .setTimestamp();
+}
+
+/**
+ * Create intake answers embed (first message of a ticket with an intake form)
+ * @param {Object} options
+ * @param {Array<{question: string, answer: string}>} options.intake
+ * @param {string} options.userName
+ * @param {Object} [options.category]
+ * @param {import('discord.js').Client} [options.client]
+ * @returns {EmbedBuilder}
+ */
+export function createIntakeAnswersEmbed(options) {
+  const { intake, userName, category, client } = options;
+
+  return new EmbedBuilder()
+    .setTitle("📋 Intake Form")
+    .setDescription(
+      `Answers submitted by **${userName}** when opening this ticket.`,
+    )
     .addFields(
-      {
-        name: "Category",
-        value: `\`${categoryLabel}\``,
-        inline: true,
-      },
-      {
-        name: "Ticket ID",
-        value: `\`#${ticketNumber}\``,
-        inline: true,
-      },
+      intake.map(({ question, answer }) => ({
+        name: question,
+        value: answer || "*No answer*",
+        inline: false,
+      })),
     )
-    .setColor(embedColor)
+    .setColor(category?.color || THEME.PRIMARY)
     .setFooter(ticketFooter(client))
     .setTimestamp();
 }
@@ -190,6 +245,53 @@ export function createTicketClosedEmbed(options) {
     .setTimestamp();
 }
 
+/**
+ * Create inactivity warning embed (sent before a ticket is auto-closed)
+ * @param {Object} options
+ * @param {number} options.inactiveDays
+ * @param {Date} options.closeAt
+ * @param {import('discord.js').Client} [options.client]
+ * @returns {EmbedBuilder}
+ */
+export function createInactivityWarningEmbed(options) {
+  const { inactiveDays, closeAt, client } = options;
+  const timestamp = Math.floor(closeAt.getTime() / 1000);
+
+  return new EmbedBuilder()
+    .setTitle(`${EMOJIS.STATUS.WARNING} Ticket Inactive`)
+    .setDescription(
+      `This ticket has had no messages for a while. Tickets close automatically after **${inactiveDays} days** without activity.\n\n` +
+        `It will be closed <t:${timestamp}:R> unless someone replies or clicks **Keep Open**.`,
+    )
+    .setColor(THEME.WARNING)
+    .setFooter(ticketFooter(client))
+    .setTimestamp();
+}
+
+/**
+ * Create the satisfaction rating request (sent to the ticket opener by DM)
+ * @param {Object} options
+ * @param {string} options.ticketNumber
+ * @param {string} [options.guildName]
+ * @param {import('discord.js').Client} [options.client]
+ * @returns {EmbedBuilder}
+ */
+export function createRatingRequestEmbed(options) {
+  const { ticketNumber, guildName, client } = options;
+
+  return new EmbedBuilder()
+    .setTitle("How did we do?")
+    .setDescription(
+      `Your ticket #${ticketNumber}${guildName ? ` in **${guildName}**` : ""} was closed.
+
+` +
+        "Rate the support you received from 1 to 5 stars. You can add written feedback afterwards.",
+    )
+    .setColor(THEME.PRIMARY)
+    .setFooter(ticketFooter(client))
+    .setTimestamp();
+}
+
 /**
  * Create transcript log embed (sent to the logs channel)
  * @param {Object} options
@@ -246,6 +348,8 @@ export function createTranscriptLogEmbed(options) {
  * @param {string} [options.channelName]
  * @param {string} [options.guildId]
  * @param {Object} [options.category]
+ * @param {string} [options.priority]
+ * @param {Date} [options.firstResponseDue]
  * @param {import('discord.js').Client} [options.client]
  * @returns {import('discord.js').EmbedBuilder}
  */
@@ -255,6 +359,8 @@ export function createStaffAlertEmbed(options) {
     userName,
     userId,
     category,
+    priority,
+    firstResponseDue,
     client,
     guildId,
     channelName,
@@ -272,6 +378,10 @@ export function createStaffAlertEmbed(options) {
       `A new support ticket has been opened and is waiting for a staff member.\n\n` +
         `**Member:** <@${userId}> (${userName})\n` +
         `**Category:** \`${categoryLabel}\`\n` +
+        `**Priority:** ${formatPriority(priority)}\n` +
+        (firstResponseDue
+          ? `**Respond By:** <t:${Math.floor(firstResponseDue.getTime() / 1000)}:R>\n`
+          : "") +
         `**Thread:** ${threadDisplay}`,
     )
     .setColor(category?.color || THEME.PRIMARY)
@@ -279,6 +389,97 @@ export function createStaffAlertEmbed(options) {
     .setTimestamp();
 }
 
+/**
+ * Create priority changed embed (sent inside the ticket channel)
+ * @param {Object} options
+ * @param {string} options.priority
+ * @param {string} options.changedBy
+ * @param {{firstResponse: {dueAt: Date, state: string}, resolution: {dueAt: Date, state: string}}} options.sla
+ * @param {import('discord.js').Client} [options.client]
+ * @returns {EmbedBuilder}
+ */
+export function createPriorityChangedEmbed(options) {
+  const { priority, changedBy, sla, client } = options;
+
+  return new EmbedBuilder()
+    .setTitle("Priority Updated")
+    .setDescription(
+      `<@${changedBy}> set this ticket to **${formatPriority(priority)}**.`,
+    )
+    .addFields(
+      {
+        name: "First Response",
+        value: formatSlaTimer(sla.firstResponse),
+        inline: true,
+      },
+      {
+        name: "Resolution",
+        value: formatSlaTimer(sla.resolution),
+        inline: true,
+      },
+    )
+    .setColor(THEME.INFO)
+    .setFooter(ticketFooter(client))
+    .setTimestamp();
+}
+
+/**
+ * Create SLA escalation embed (sent to the escalation channel)
+ * @param {Object} options
+ * @param {Object} options.ticket
+ * @param {"firstResponse"|"resolution"} options.target
+ * @param {{dueAt: Date, state: string}} options.timer
+ * @param {import('discord.js').Client} [options.client]
+ * @returns {EmbedBuilder}
+ */
+export function createSlaEscalationEmbed(options) {
+  const { ticket, target, timer, client } = options;
+  const ticketNumber = ticket.ticketId.split("-").pop();
+  const targetLabel =
+    target === "firstResponse" ? "first response" : "resolution";
+  const breached = timer.state === "breached";
+
+  return new EmbedBuilder()
+    .setTitle(
+      breached
+        ? `${EMOJIS.STATUS.ERROR} SLA Breached: #${ticketNumber}`
+        : `${EMOJIS.STATUS.WARNING} SLA At Risk: #${ticketNumber}`,
+    )
+    .setDescription(
+      `The ${targetLabel} target for this ticket ${breached ? "was missed" : "is about to be missed"}.\n\n` +
+        `**Member:** <@${ticket.userId}>\n` +
+        `**Priority:** ${formatPriority(ticket.priority)}\n` +
+        `**Due:** ${formatSlaTimer(timer)}\n` +
+        `**Claimed By:** ${ticket.claimedBy ? `<@${ticket.claimedBy}>` : "Nobody"}\n` +
+        `**Thread:** [ticket-${ticketNumber}](https://discord.com/channels/${ticket.guildId}/${ticket.channelId})`,
+    )
+    .setColor(breached ? THEME.ERROR : THEME.WARNING)
+    .setFooter(ticketFooter(client))
+    .setTimestamp();
+}
+
+/**
+ * Format an SLA timer for embeds
+ * @param {{dueAt: Date, state: string}} timer
+ * @returns {string} e.g. "⚠️ At risk • due in 5 minutes"
+ */
+export function formatSlaTimer(timer) {
+  const due = `<t:${Math.floor(timer.dueAt.getTime() / 1000)}:R>`;
+
+  switch (timer.state) {
+    case "met":
+      return `${EMOJIS.STATUS.SUCCESS} Met`;
+    case "missed":
+      return `${EMOJIS.STATUS.ERROR} Missed`;
+    case "breached":
+      return `${EMOJIS.STATUS.ERROR} Breached • due ${due}`;
+    case "at_risk":
+      return `${EMOJIS.STATUS.WARNING} At risk • due ${due}`;
+    default:
+      return `Due ${due}`;
+  }
+}
+
 // ─────────────────────────────────────────────
 // Limit embeds
 // ─────────────────────────────────────────────
@@ -461,6 +662,64 @@ export function createTicketActionButtons(options = {}) {
     : [];
 }
 
+/**
+ * Create the "Keep Open" button for inactivity warnings
+ * @returns {ActionRowBuilder<ButtonBuilder>[]}
+ */
+export function createKeepOpenButtons() {
+  return [
+    /** @type {ActionRowBuilder<ButtonBuilder>} */ (
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId("ticket_keep_open")
+          .setLabel("Keep Open")
+          .setEmoji("🔓")
+          .setStyle(BUTTON_STYLES.PRIMARY),
+      )
+    ),
+  ];
+}
+
+/**
+ * Create the 1-5 star buttons of a rating request
+ * @param {string} ticketId
+ * @returns {ActionRowBuilder<ButtonBuilder>[]}
+ */
+export function createRatingButtons(ticketId) {
+  return [
+    /** @type {ActionRowBuilder<ButtonBuilder>} */ (
+      new ActionRowBuilder().addComponents(
+        Array.from({ length: RATINGS.MAX_STARS }, (_, index) =>
+          new ButtonBuilder()
+            .setCustomId(`ticket_rate_${index + 1}_${ticketId}`)
+            .setLabel(`${index + 1}`)
+            .setEmoji("⭐")
+            .setStyle(BUTTON_STYLES.SECONDARY),
+        ),
+      )
+    ),
+  ];
+}
+
+/**
+ * Create the "Add Feedback" button shown after a ticket is rated
+ * @param {string} ticketId
+ * @returns {ActionRowBuilder<ButtonBuilder>[]}
+ */
+export function createRatingFeedbackButtons(ticketId) {
+  return [
+    /** @type {ActionRowBuilder<ButtonBuilder>} */ (
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`ticket_rate_feedback_${ticketId}`)
+          .setLabel("Add Feedback")
+          .setEmoji("📝")
+          .setStyle(BUTTON_STYLES.PRIMARY),
+      )
+    ),
+  ];
+}
+
 /**
  * Create staff alert buttons (sent to staff-only channel)
  * @param {Object} options
@@ -1,4 +1,13 @@
 import { getTicketManager } from "./TicketManager.js";
+import { zonedTimeToDate } from "../../utils/timezone.js";
+import {
+  PRIORITY_DISPLAY,
+  RATINGS,
+  SLA_SETTINGS,
+  SLA_TARGETS,
+  STATS_DEFAULT_DAYS,
+  TICKET_PRIORITY,
+} from "./config.js";
 
 /**
  * Check whether the interaction author has the configured staff role
@@ -32,8 +41,7 @@ export async function checkStaffRoleForMember(member, guildId) {
   try {
     const ticketManager = getTicketManager();
     await ticketManager.initialize();
-    const settings =
-      await ticketManager.storage.dbManager.guildSettings.getByGuild(guildId);
+    const settings = await ticketManager.storage.getGuildSettings(guildId);
     const staffRoleId = settings?.ticketSettings?.staffRoleId;
     if (staffRoleId && member.roles.cache.has(staffRoleId)) {
       return true;
@@ -52,8 +60,7 @@ export async function getStaffRoleId(guildId) {
   try {
     const ticketManager = getTicketManager();
     await ticketManager.initialize();
-    const settings =
-      await ticketManager.storage.dbManager.guildSettings.getByGuild(guildId);
+    const settings = await ticketManager.storage.getGuildSettings(guildId);
     return settings?.ticketSettings?.staffRoleId || null;
   } catch {
     return null;
@@ -88,8 +95,7 @@ export async function getStaffRoles(guild) {
   try {
     const ticketManager = getTicketManager();
     await ticketManager.initialize();
-    const settings =
-      await ticketManager.storage.dbManager.guildSettings.getByGuild(guild.id);
+    const settings = await ticketManager.storage.getGuildSettings(guild.id);
     const staffRoleId = settings?.ticketSettings?.staffRoleId;
     if (staffRoleId && guild.roles.cache.has(staffRoleId)) {
       const customRole = guild.roles.cache.get(staffRoleId);
@@ -112,8 +118,7 @@ export async function getStaffNotificationChannel(guild) {
   try {
     const ticketManager = getTicketManager();
     await ticketManager.initialize();
-    const settings =
-      await ticketManager.storage.dbManager.guildSettings.getByGuild(guild.id);
+    const settings = await ticketManager.storage.getGuildSettings(guild.id);
 
     // 1. Try configured notification channel (Quiet Claim channel)
     const notifyChannelId = settings?.ticketSettings?.notificationChannelId;
@@ -148,3 +153,160 @@ export async function getStaffNotificationChannel(guild) {
     return null;
   }
 }
+
+/**
+ * Get the file name of a Discord attachment from its URL.
+ * @param {string} url
+ * @returns {string}
+ */
+export function getAttachmentName(url) {
+  try {
+    return (
+      decodeURIComponent(new URL(url).pathname.split("/").pop()) || "attachment"
+    );
+  } catch {
+    return "attachment";
+  }
+}
+
+/**
+ * Format a ticket priority for embeds.
+ * @param {string} [priority]
+ * @returns {string} e.g. "🔴 Urgent"
+ */
+export function formatPriority(priority) {
+  const display =
+    PRIORITY_DISPLAY[priority] || PRIORITY_DISPLAY[TICKET_PRIORITY.NORMAL];
+  return `${display.emoji} ${display.label}`;
+}
+
+/**
+ * Format a star rating.
+ * @param {number} stars - Whole stars, or an average
+ * @returns {string} e.g. "★★★★☆ 4/5", or "★★★★☆ 4.3/5" for averages
+ */
+export function formatRating(stars) {
+  const filled = Math.round(stars);
+  const value = Number.isInteger(stars) ? stars : stars.toFixed(1);
+  return `${"★".repeat(filled)}${"☆".repeat(RATINGS.MAX_STARS - filled)} ${value}/${RATINGS.MAX_STARS}`;
+}
+
+/**
+ * Format an SLA target length into a short string.
+ * @param {number} minutes
+ * @returns {string} e.g. "15m", "4h", "1d 12h"
+ */
+export function formatSlaTarget(minutes) {
+  return formatDuration(new Date(0), new Date(minutes * 60000)).replace(
+    / 0[hm]$/,
+    "",
+  );
+}
+
+/**
+ * Get the SLA targets for a priority, with guild overrides applied.
+ * @param {string} [priority]
+ * @param {Object} [overrides] - ticketSettings.sla.targets of the guild
+ * @returns {{firstResponseMinutes: number, resolutionHours: number}}
+ */
+export function getSlaTargets(priority, overrides = {}) {
+  const level = SLA_TARGETS[priority] ? priority : TICKET_PRIORITY.NORMAL;
+  const override = overrides?.[level] || {};
+
+  return {
+    firstResponseMinutes:
+      override.firstResponseMinutes ??
+      SLA_TARGETS[level].FIRST_RESPONSE_MINUTES,
+    resolutionHours:
+      override.resolutionHours ?? SLA_TARGETS[level].RESOLUTION_HOURS,
+  };
+}
+
+function getSlaTimer(startMs, targetMs, doneAt, now) {
+  const dueAt = new Date(startMs + targetMs);
+
+  if (doneAt) {
+    return {
+      dueAt,
+      state: new Date(doneAt).getTime() <= dueAt.getTime() ? "met" : "missed",
+    };
+  }
+
+  const elapsed = now.getTime() - startMs;
+  let state = "on_track";
+  if (elapsed >= targetMs) {
+    state = "breached";
+  } else if (elapsed >= (targetMs * SLA_SETTINGS.AT_RISK_PERCENT) / 100) {
+    state = "at_risk";
+  }
+
+  return { dueAt, state };
+}
+
+/**
+ * Get the SLA status of a ticket.
+ * Both timers run from when the ticket was opened. First response stops at
+ * the first staff reply or claim, resolution stops when the ticket closes.
+ * @param {Object} ticket
+ * @param {{firstResponseMinutes: number, resolutionHours: number}} targets
+ * @param {Date} [now]
+ * @returns {{firstResponse: {dueAt: Date, state: string}, resolution: {dueAt: Date, state: string}}} States are "on_track", "at_risk", "breached", "met" or "missed"
+ */
+export function getSlaStatus(ticket, targets, now = new Date()) {
+  const openedMs = new Date(ticket.openedAt).getTime();
+
+  return {
+    firstResponse: getSlaTimer(
+      openedMs,
+      targets.firstResponseMinutes * 60000,
+      ticket.firstResponseAt,
+      now,
+    ),
+    resolution: getSlaTimer(
+      openedMs,
+      targets.resolutionHours * 3600000,
+      ticket.closedAt,
+      now,
+    ),
+  };
+}
+
+const DATE_INPUT_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function parseDateInput(input, timeZone, dayOffset = 0) {
+  const match = DATE_INPUT_PATTERN.exec(input.trim());
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return zonedTimeToDate({ year, month, day: day + dayOffset }, timeZone);
+}
+
+/**
+ * Parse the date range of a statistics query.
+ * Both ends are whole days in the guild's timezone; without a start date
+ * the range covers the last STATS_DEFAULT_DAYS days.
+ * @param {string|null} fromInput - First day, "YYYY-MM-DD"
+ * @param {string|null} toInput - Last day, "YYYY-MM-DD"
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} [now]
+ * @returns {{from: Date, to: Date}|null} Range with an exclusive end, or null if invalid
+ */
+export function parseStatsRange(
+  fromInput,
+  toInput,
+  timeZone,
+  now = new Date(),
+) {
+  const to = toInput ? parseDateInput(toInput, timeZone, 1) : now;
+  const from = fromInput
+    ? parseDateInput(fromInput, timeZone)
+    : new Date(to.getTime() - STATS_DEFAULT_DAYS * 24 * 3600000);
+
+  if (!from || !to || from.getTime() >= to.getTime()) return null;
+  return { from, to };
+}
@@ -8,5 +8,8 @@
 export { getTicketManager } from "./TicketManager.js";
 export { getTicketPanel } from "./TicketPanel.js";
 export { getTicketTranscript } from "./TicketTranscript.js";
+export { getTicketAutoCloseScheduler } from "./TicketAutoCloseScheduler.js";
+export { getTicketSlaScheduler } from "./TicketSlaScheduler.js";
+export { getTicketAutomation } from "./TicketAutomation.js";
 export * from "./config.js";
 export * from "./embeds.js";
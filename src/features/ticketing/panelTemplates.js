@@ -0,0 +1,246 @@
+import {
+  DEFAULT_CATEGORY,
+  INTAKE_FORM,
+  PANEL_TEMPLATES,
+  PRO_ENGINE,
+  TICKET_PRIORITY,
+} from "./config.js";
+
+// Discord limits for what a template re-creates
+const MAX_TITLE_LENGTH = 256;
+const MAX_DESCRIPTION_LENGTH = 4096;
+const MAX_CATEGORY_LABEL_LENGTH = 80;
+const MAX_CATEGORY_DESCRIPTION_LENGTH = 100;
+const MAX_EMOJI_LENGTH = 64;
+const MAX_ROLE_NAME_LENGTH = 100;
+const MAX_STAFF_ROLES = 10;
+const CATEGORY_ID_PATTERN = /^[\w-]{1,32}$/;
+const DEFAULT_COLOR = 0x5865f2;
+
+function isColor(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 0xffffff;
+}
+
+/**
+ * Read an optional string field
+ * @throws {RangeError} When the value is not a string or is too long
+ */
+function readString(value, field, maxLength, { required = false } = {}) {
+  if (value === undefined || value === null || value === "") {
+    if (required) throw new RangeError(`The template is missing ${field}.`);
+    return null;
+  }
+  if (typeof value !== "string") {
+    throw new RangeError(`The template's ${field} must be text.`);
+  }
+
+  const text = value.trim();
+  if (required && !text) {
+    throw new RangeError(`The template is missing ${field}.`);
+  }
+  if (text.length > maxLength) {
+    throw new RangeError(
+      `The template's ${field} can be at most ${maxLength} characters long.`,
+    );
+  }
+  return text || null;
+}
+
+/**
+ * Validate and normalize a template name
+ * @param {string} name
+ * @returns {string}
+ * @throws {RangeError} When the name is empty or too long
+ */
+export function normalizeTemplateName(name) {
+  return readString(name, "name", PANEL_TEMPLATES.MAX_NAME_LENGTH, {
+    required: true,
+  });
+}
+
+/**
+ * Keep custom emoji the bot can use; others fall back to the default emoji
+ * @param {import('discord.js').Client} client
+ * @param {string} emoji - Category emoji from a template
+ * @returns {string}
+ */
+export function resolveTemplateEmoji(client, emoji) {
+  const [, id] = emoji.match(/^<a?:\w+:(\d+)>$/) || [];
+  return !id || client.emojis.cache.has(id) ? emoji : DEFAULT_CATEGORY.emoji;
+}
+
+/**
+ * Build a portable template from a panel
+ * Roles are kept by name as well as ID so they can be matched in other guilds
+ * @param {Object} panel - Ticket panel
+ * @param {Object} options
+ * @param {string} options.name - Template name
+ * @param {Array<{id: string, name: string}>} [options.staffRoles]
+ * @returns {Object} Template document
+ * @throws {RangeError} When the name is invalid
+ */
+export function createPanelTemplate(panel, { name, staffRoles = [] }) {
+  return parsePanelTemplate({
+    version: PANEL_TEMPLATES.VERSION,
+    name,
+    panel: {
+      title: panel.title,
+      description: panel.description,
+      color: panel.styling?.color,
+      categories: panel.categories?.length
+        ? panel.categories
+        : [DEFAULT_CATEGORY],
+    },
+    staffRoles,
+  });
+}
+
+/**
+ * Validate a template document, e.g. one imported from JSON
+ * Unknown fields are dropped so stored templates only hold what they re-create
+ * @param {any} data - Parsed template document
+ * @returns {Object} Normalized template
+ * @throws {RangeError} With a message describing the first problem found
+ */
+export function parsePanelTemplate(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new RangeError("The template must be a JSON object.");
+  }
+
+  const version = data.version ?? PANEL_TEMPLATES.VERSION;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new RangeError("The template has an invalid version.");
+  }
+  if (version > PANEL_TEMPLATES.VERSION) {
+    throw new RangeError(
+      "This template was made by a newer version of the bot and can't be loaded yet.",
+    );
+  }
+
+  const panel = data.panel;
+  if (!panel || typeof panel !== "object") {
+    throw new RangeError("The template is missing its panel.");
+  }
+  if (panel.color != null && !isColor(panel.color)) {
+    throw new RangeError(
+      "The template's color must be a number from 0 to 16777215.",
+    );
+  }
+
+  const categories = panel.categories ?? [DEFAULT_CATEGORY];
+  if (!Array.isArray(categories) || categories.length === 0) {
+    throw new RangeError("The template needs at least one category.");
+  }
+  if (categories.length > PRO_ENGINE.MAX_CATEGORIES) {
+    throw new RangeError(
+      `A template can have at most ${PRO_ENGINE.MAX_CATEGORIES} categories.`,
+    );
+  }
+
+  const staffRoles = data.staffRoles ?? [];
+  if (!Array.isArray(staffRoles) || staffRoles.length > MAX_STAFF_ROLES) {
+    throw new RangeError(
+      `A template can have at most ${MAX_STAFF_ROLES} staff roles.`,
+    );
+  }
+
+  return {
+    version: PANEL_TEMPLATES.VERSION,
+    name: normalizeTemplateName(data.name),
+    panel: {
+      title: readString(panel.title, "title", MAX_TITLE_LENGTH, {
+        required: true,
+      }),
+      description: readString(
+        panel.description,
+        "description",
+        MAX_DESCRIPTION_LENGTH,
+      ),
+      color: panel.color ?? DEFAULT_COLOR,
+      categories: parseCategories(categories),
+    },
+    staffRoles: staffRoles.map(role => ({
+      id: /^\d{17,20}$/.test(role?.id) ? role.id : null,
+      name: readString(role?.name, "staff role name", MAX_ROLE_NAME_LENGTH, {
+        required: true,
+      }),
+    })),
+  };
+}
+
+function parseCategories(categories) {
+  const ids = new Set();
+  const priorities = Object.values(TICKET_PRIORITY);
+
+  return categories.map((category, index) => {
+    const field = `category ${index + 1}`;
+    if (!category || typeof category !== "object") {
+      throw new RangeError(`The template's ${field} is invalid.`);
+    }
+
+    if (
+      typeof category.id !== "string" ||
+      !CATEGORY_ID_PATTERN.test(category.id)
+    ) {
+      throw new RangeError(
+        `The template's ${field} needs an ID of up to 32 letters, numbers, - or _.`,
+      );
+    }
+    if (ids.has(category.id)) {
+      throw new RangeError(
+        `The template has two categories with the ID "${category.id}".`,
+      );
+    }
+    ids.add(category.id);
+
+    if (category.color != null && !isColor(category.color)) {
+      throw new RangeError(
+        `The template's ${field} color must be a number from 0 to 16777215.`,
+      );
+    }
+    if (category.priority && !priorities.includes(category.priority)) {
+      throw new RangeError(
+        `The template's ${field} has an unknown priority "${category.priority}".`,
+      );
+    }
+
+    const questions = category.questions ?? [];
+    if (
+      !Array.isArray(questions) ||
+      questions.length > INTAKE_FORM.MAX_QUESTIONS
+    ) {
+      throw new RangeError(
+        `The template's ${field} can have at most ${INTAKE_FORM.MAX_QUESTIONS} questions.`,
+      );
+    }
+
+    return {
+      id: category.id,
+      label: readString(
+        category.label,
+        `${field} label`,
+        MAX_CATEGORY_LABEL_LENGTH,
+        { required: true },
+      ),
+      emoji:
+        readString(category.emoji, `${field} emoji`, MAX_EMOJI_LENGTH) ||
+        DEFAULT_CATEGORY.emoji,
+      description:
+        readString(
+          category.description,
+          `${field} description`,
+          MAX_CATEGORY_DESCRIPTION_LENGTH,
+        ) || DEFAULT_CATEGORY.description,
+      ...(category.color != null && { color: category.color }),
+      ...(category.priority && { priority: category.priority }),
+      questions: questions.map(question => ({
+        label: readString(
+          question?.label,
+          `${field} question`,
+          INTAKE_FORM.MAX_QUESTION_LENGTH,
+          { required: true },
+        ),
+      })),
+    };
+  });
+}
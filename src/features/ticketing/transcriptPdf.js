@@ -0,0 +1,317 @@
+import { PDFDocument } from "@napi-rs/canvas";
+import { RATINGS } from "./config.js";
+import { getAttachmentName } from "./helpers.js";
+
+// A4 in PDF points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const MESSAGE_INDENT = 12;
+const EMBED_INDENT = 24;
+// Consecutive messages from the same author within this window share a header
+const GROUP_WINDOW_MS = 7 * 60 * 1000;
+
+const FONT_FAMILY = "sans-serif";
+const COLORS = {
+  heading: "#060607",
+  text: "#2e3338",
+  muted: "#747f8d",
+  link: "#0068e0",
+  warning: "#b36b00",
+  bot: "#5865f2",
+  embed: "#e3e5e8",
+  rule: "#d4d7dc",
+};
+
+function getFont(size, weight = "normal") {
+  return `${weight} ${size}px ${FONT_FAMILY}`;
+}
+
+function isGrouped(msg, prev) {
+  if (!prev) return false;
+  const sameUser = msg.userId
+    ? msg.userId === prev.userId
+    : (msg.displayName || msg.username) === (prev.displayName || prev.username);
+  return (
+    sameUser &&
+    new Date(msg.timestamp).getTime() - new Date(prev.timestamp).getTime() <
+      GROUP_WINDOW_MS
+  );
+}
+
+/**
+ * Split text into lines that fit a width, breaking words longer than a line
+ * @param {{measureText: (text: string) => {width: number}}} ctx - Context with the font set
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string[]}
+ */
+export function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+
+  for (const paragraph of String(text).split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(" ")) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (ctx.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+
+      if (line) lines.push(line);
+      line = word;
+      while (ctx.measureText(line).width > maxWidth) {
+        let end = 1;
+        while (
+          end < line.length &&
+          ctx.measureText(line.slice(0, end + 1)).width <= maxWidth
+        ) {
+          end++;
+        }
+        lines.push(line.slice(0, end));
+        line = line.slice(end);
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Draws top to bottom, starting a new page whenever the current one is full
+ */
+class PdfWriter {
+  constructor(document, footer) {
+    this.document = document;
+    this.footer = footer;
+    this.ctx = null;
+    this.pageCount = 0;
+    this.y = MARGIN;
+    this.newPage();
+  }
+
+  newPage() {
+    if (this.ctx) this.document.endPage();
+
+    this.ctx = this.document.beginPage(PAGE_WIDTH, PAGE_HEIGHT);
+    this.ctx.textBaseline = "top";
+    this.pageCount++;
+    this.y = MARGIN;
+
+    this.ctx.font = getFont(8);
+    this.ctx.fillStyle = COLORS.muted;
+    this.ctx.fillText(
+      `${this.footer} • Page ${this.pageCount}`,
+      MARGIN,
+      PAGE_HEIGHT - MARGIN / 2,
+    );
+  }
+
+  ensureSpace(height) {
+    if (this.y + height > PAGE_HEIGHT - MARGIN) this.newPage();
+  }
+
+  gap(height) {
+    this.y += height;
+  }
+
+  rule() {
+    this.ensureSpace(1);
+    this.ctx.fillStyle = COLORS.rule;
+    this.ctx.fillRect(MARGIN, this.y, CONTENT_WIDTH, 1);
+  }
+
+  /**
+   * Draw wrapped text, continuing on the next page when needed
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {number} [options.size]
+   * @param {string} [options.weight]
+   * @param {string} [options.color]
+   * @param {number} [options.indent]
+   * @param {string} [options.barColor] - Draws an embed color bar beside each line
+   * @param {string} [options.link] - Makes each line a link to this URL
+   */
+  text(
+    text,
+    {
+      size = 10,
+      weight = "normal",
+      color = COLORS.text,
+      indent = 0,
+      barColor = null,
+      link = null,
+    } = {},
+  ) {
+    const lineHeight = Math.round(size * 1.4);
+    const x = MARGIN + indent;
+
+    this.ctx.font = getFont(size, weight);
+    for (const line of wrapText(this.ctx, text, CONTENT_WIDTH - indent)) {
+      this.ensureSpace(lineHeight);
+
+      if (barColor) {
+        this.ctx.fillStyle = barColor;
+        this.ctx.fillRect(x - 8, this.y, 3, lineHeight);
+      }
+
+      this.ctx.font = getFont(size, weight);
+      this.ctx.fillStyle = color;
+      this.ctx.fillText(line, x, this.y);
+      if (link) {
+        this.ctx.annotateLinkUrl(
+          x,
+          this.y,
+          x + this.ctx.measureText(line).width,
+          this.y + lineHeight,
+          link,
+        );
+      }
+      this.y += lineHeight;
+    }
+  }
+
+  /**
+   * Draw a message header: author name, optional bot tag and timestamp
+   */
+  author(name, isBot, timestamp) {
+    // Keep the header on the same page as the first line below it
+    this.ensureSpace(32);
+    let x = MARGIN;
+
+    this.ctx.font = getFont(11, "bold");
+    this.ctx.fillStyle = COLORS.heading;
+    this.ctx.fillText(name, x, this.y);
+    x += this.ctx.measureText(name).width + 6;
+
+    this.ctx.font = getFont(8, "bold");
+    if (isBot) {
+      this.ctx.fillStyle = COLORS.bot;
+      this.ctx.fillText("BOT", x, this.y + 2);
+      x += this.ctx.measureText("BOT").width + 6;
+    }
+
+    this.ctx.font = getFont(9);
+    this.ctx.fillStyle = COLORS.muted;
+    this.ctx.fillText(timestamp, x, this.y + 2);
+    this.y += 16;
+  }
+
+  finish() {
+    this.document.endPage();
+    return this.document.close();
+  }
+}
+
+/**
+ * Render a transcript as a paginated PDF
+ * Attachments are listed as links; nothing is downloaded while rendering
+ * @param {Array} messages - Formatted messages
+ * @param {Object} ticket - Ticket data
+ * @returns {Buffer} PDF document
+ */
+export function renderTranscriptPdf(messages, ticket) {
+  const ticketId = ticket?.ticketId || "Unknown";
+  const title = `Ticket Transcript - ${ticketId}`;
+  const writer = new PdfWriter(
+    new PDFDocument({ title, creator: "Role Reactor" }),
+    title,
+  );
+
+  writer.text("Ticket Transcript", {
+    size: 20,
+    weight: "bold",
+    color: COLORS.heading,
+  });
+  writer.gap(4);
+  writer.text(
+    [
+      `Ticket ID: ${ticketId}`,
+      `Created: ${new Date(ticket?.openedAt || Date.now()).toLocaleString()}`,
+      `Closed: ${ticket?.closedAt ? new Date(ticket.closedAt).toLocaleString() : "Not closed"}`,
+      `Messages: ${messages.length}`,
+      // Star glyphs are missing from some system fonts
+      ...(ticket?.rating
+        ? [`Rating: ${ticket.rating.stars}/${RATINGS.MAX_STARS}`]
+        : []),
+    ].join("\n"),
+    { color: COLORS.muted },
+  );
+
+  if (ticket?.rating?.feedback) {
+    writer.gap(6);
+    writer.text("Feedback", { weight: "bold" });
+    writer.text(ticket.rating.feedback);
+  }
+
+  if (ticket?.isTruncated) {
+    writer.gap(6);
+    writer.text(
+      "This transcript was truncated because it reached the maximum message limit. Some earlier context may be missing.",
+      { color: COLORS.warning },
+    );
+  }
+
+  if (ticket?.intake?.length) {
+    writer.gap(10);
+    writer.text("Intake Form", { size: 12, weight: "bold" });
+    for (const { question, answer } of ticket.intake) {
+      writer.gap(4);
+      writer.text(question, { weight: "bold" });
+      writer.text(answer);
+    }
+  }
+
+  writer.gap(12);
+  writer.rule();
+
+  messages.forEach((msg, index) => {
+    if (!isGrouped(msg, messages[index - 1])) {
+      writer.gap(10);
+      writer.author(
+        msg.displayName || msg.username || "Unknown",
+        msg.isBot,
+        new Date(msg.timestamp).toLocaleString(),
+      );
+    }
+
+    if (msg.content) {
+      // Custom emoji render as their :name:
+      writer.text(msg.content.replace(/<a?(:\w+:)\d+>/g, "$1"), {
+        indent: MESSAGE_INDENT,
+      });
+    }
+
+    for (const embed of msg.embeds || []) {
+      const barColor = embed.color
+        ? `#${embed.color.toString(16).padStart(6, "0")}`
+        : COLORS.embed;
+      const options = { indent: EMBED_INDENT, barColor, size: 9.5 };
+
+      writer.gap(4);
+      if (embed.title) writer.text(embed.title, { ...options, weight: "bold" });
+      if (embed.description) writer.text(embed.description, options);
+      for (const field of embed.fields || []) {
+        writer.text(field.name, { ...options, weight: "bold" });
+        writer.text(field.value, options);
+      }
+    }
+
+    for (const url of msg.attachments || []) {
+      writer.text(`Attachment: ${getAttachmentName(url)}`, {
+        indent: MESSAGE_INDENT,
+        color: COLORS.link,
+        link: url,
+      });
+    }
+  });
+
+  writer.gap(16);
+  writer.text(`Exported ${messages.length} message(s)`, {
+    color: COLORS.muted,
+  });
+
+  return writer.finish();
+}
@@ -0,0 +1,456 @@
+import { PermissionFlagsBits } from "discord.js";
+import { getLogger } from "../../utils/logger.js";
+import { getStorageManager } from "../../utils/storage/storageManager.js";
+import { EMOJIS } from "../../config/theme.js";
+import { logModerationAction } from "../../commands/admin/moderation/utils.js";
+import { createVerificationLogEmbed } from "../../commands/admin/verification/embeds.js";
+import {
+  ACCOUNT_AGE_ACTIONS,
+  FAIL_ACTIONS,
+  VERIFICATION_LIMITS,
+  normalizeVerificationSettings,
+} from "./config.js";
+import {
+  generateCaptchaCode,
+  isCaptchaAnswerCorrect,
+  renderCaptcha,
+} from "./captcha.js";
+
+const SETTINGS_CACHE_TTL = 60 * 1000; // 1 minute
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Member verification gate
+ * Serves image captchas, grants the verified role, enforces the minimum
+ * account age and kicks members who do not verify in time.
+ */
+class VerificationManager {
+  constructor() {
+    this.logger = getLogger();
+    this.settingsCache = new Map();
+    // Active captchas keyed by `${guildId}:${userId}`
+    this.challenges = new Map();
+    // Wrong answers keyed by `${guildId}:${userId}`, kept across captchas so
+    // a new captcha doesn't give a member new attempts
+    this.failures = new Map();
+    this.interval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Get verification settings for a guild (cached)
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<Object>} Normalized settings
+   */
+  async getSettings(guildId) {
+    const cached = this.settingsCache.get(guildId);
+    if (cached && Date.now() - cached.loadedAt < SETTINGS_CACHE_TTL) {
+      return cached.settings;
+    }
+
+    const storageManager = await getStorageManager();
+    const stored = await storageManager.getVerificationSettings(guildId);
+    const settings = normalizeVerificationSettings(guildId, stored);
+
+    this.settingsCache.set(guildId, { settings, loadedAt: Date.now() });
+    return settings;
+  }
+
+  /**
+   * Save verification settings for a guild and refresh the cache
+   * @param {string} guildId - Guild ID
+   * @param {Object} settings - Complete settings object
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateSettings(guildId, settings) {
+    const storageManager = await getStorageManager();
+    const saved = await storageManager.setVerificationSettings(guildId, {
+      ...settings,
+      guildId,
+    });
+    this.settingsCache.delete(guildId);
+    return saved;
+  }
+
+  /**
+   * Whether a user's account is older than the guild's minimum age
+   * @param {import('discord.js').User} user - User
+   * @param {Object} settings - Verification settings
+   * @returns {boolean}
+   */
+  meetsAccountAge(user, settings) {
+    if (!settings.minAccountAgeDays) return true;
+    return (
+      Date.now() - user.createdTimestamp >= settings.minAccountAgeDays * DAY_MS
+    );
+  }
+
+  // ==========================================================================
+  // CAPTCHA CHALLENGES
+  // ==========================================================================
+
+  /**
+   * When a member who used up their attempts can try again
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - User ID
+   * @returns {number|null} Timestamp, or null if the member can try now
+   */
+  getLockedUntil(guildId, userId) {
+    const key = `${guildId}:${userId}`;
+    const failures = this.failures.get(key);
+    if (!failures?.lockedUntil) return null;
+    if (failures.lockedUntil > Date.now()) return failures.lockedUntil;
+
+    // The cooldown is over, so the member starts with all attempts again
+    this.failures.delete(key);
+    return null;
+  }
+
+  /**
+   * Create (or replace) a member's captcha
+   * Replacing a captcha keeps the wrong answers given so far.
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - User ID
+   * @param {Object} settings - Verification settings
+   * @returns {{image: Buffer, attemptsLeft: number, expiresAt: number}|null}
+   *   Null while the member is locked out
+   */
+  createChallenge(guildId, userId, settings) {
+    if (this.getLockedUntil(guildId, userId)) return null;
+
+    const key = `${guildId}:${userId}`;
+    const code = generateCaptchaCode(VERIFICATION_LIMITS.CAPTCHA_LENGTH);
+    const challenge = {
+      code,
+      expiresAt: Date.now() + VERIFICATION_LIMITS.CAPTCHA_TTL_MS,
+    };
+    this.challenges.set(key, challenge);
+
+    return {
+      image: renderCaptcha(code),
+      attemptsLeft: Math.max(
+        1,
+        settings.maxAttempts - (this.failures.get(key)?.count ?? 0),
+      ),
+      expiresAt: challenge.expiresAt,
+    };
+  }
+
+  /**
+   * Check a member's captcha answer and verify them when it is correct
+   * After `maxAttempts` wrong answers the member is kicked or locked out
+   * for FAIL_COOLDOWN_MS, depending on the guild's fail action.
+   * @param {import('discord.js').GuildMember} member - Member answering
+   * @param {string} answer - Submitted answer
+   * @returns {Promise<{status: "verified"|"wrong"|"failed"|"kicked"|"expired"|"error", attemptsLeft?: number, retryAt?: number, error?: string}>}
+   */
+  async submitAnswer(member, answer) {
+    const key = `${member.guild.id}:${member.id}`;
+    const challenge = this.challenges.get(key);
+    if (!challenge || challenge.expiresAt < Date.now()) {
+      this.challenges.delete(key);
+      return { status: "expired" };
+    }
+
+    const settings = await this.getSettings(member.guild.id);
+
+    if (!isCaptchaAnswerCorrect(challenge.code, answer)) {
+      const failures = this.failures.get(key) || { count: 0 };
+      failures.count++;
+      failures.lastFailedAt = Date.now();
+      this.failures.set(key, failures);
+
+      const attemptsLeft = settings.maxAttempts - failures.count;
+      if (attemptsLeft > 0) {
+        return { status: "wrong", attemptsLeft };
+      }
+
+      this.challenges.delete(key);
+      await this.log(
+        member.guild,
+        settings,
+        createVerificationLogEmbed(
+          "failed",
+          member.user,
+          `Used all ${settings.maxAttempts} attempt(s).`,
+        ),
+      );
+
+      if (settings.failAction === FAIL_ACTIONS.KICK) {
+        const kicked = await this.kickMember(
+          member,
+          settings,
+          "kicked_failed",
+          `Used all ${settings.maxAttempts} captcha attempt(s)`,
+        );
+        if (kicked) {
+          this.failures.delete(key);
+          return { status: "kicked" };
+        }
+      }
+
+      failures.lockedUntil = Date.now() + VERIFICATION_LIMITS.FAIL_COOLDOWN_MS;
+      return { status: "failed", retryAt: failures.lockedUntil };
+    }
+
+    this.challenges.delete(key);
+    this.failures.delete(key);
+    const result = await this.verifyMember(member, settings);
+    return result.success
+      ? { status: "verified" }
+      : { status: "error", error: result.error };
+  }
+
+  /**
+   * Give a member the verified role
+   * @param {import('discord.js').GuildMember} member - Member to verify
+   * @param {Object} settings - Verification settings
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async verifyMember(member, settings) {
+    const role = member.guild.roles.cache.get(settings.verifiedRoleId);
+    if (!role) {
+      return {
+        success: false,
+        error:
+          "The verified role no longer exists. Please contact a server admin.",
+      };
+    }
+
+    try {
+      await member.roles.add(role, "Passed verification captcha");
+    } catch (error) {
+      this.logger.warn(
+        `Could not give verified role to ${member.user.tag} in ${member.guild.name}: ${error.message}`,
+      );
+      return {
+        success: false,
+        error:
+          "I could not give you the verified role. Please contact a server admin.",
+      };
+    }
+
+    const storageManager = await getStorageManager();
+    await storageManager.removePendingVerification(member.guild.id, member.id);
+
+    await this.log(
+      member.guild,
+      settings,
+      createVerificationLogEmbed("verified", member.user),
+    );
+    this.logger.info(
+      `${EMOJIS.MODERATION.VERIFY} ${member.user.tag} verified in ${member.guild.name}`,
+    );
+    return { success: true };
+  }
+
+  // ==========================================================================
+  // MEMBER LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Apply the join-time rules to a new member
+   * @param {import('discord.js').GuildMember} member - Member who joined
+   * @returns {Promise<boolean>} True if the member was kicked
+   */
+  async handleMemberJoin(member) {
+    const settings = await this.getSettings(member.guild.id);
+    if (!settings.enabled || !settings.verifiedRoleId) return false;
+
+    if (
+      settings.accountAgeAction === ACCOUNT_AGE_ACTIONS.KICK &&
+      !this.meetsAccountAge(member.user, settings)
+    ) {
+      const kicked = await this.kickMember(
+        member,
+        settings,
+        "kicked_age",
+        `Account is younger than ${settings.minAccountAgeDays} day(s)`,
+      );
+      if (kicked) return true;
+    }
+
+    if (settings.timeoutMinutes > 0) {
+      const storageManager = await getStorageManager();
+      await storageManager.addPendingVerification(
+        member.guild.id,
+        member.id,
+        Date.now() + settings.timeoutMinutes * 60 * 1000,
+      );
+    }
+    return false;
+  }
+
+  /**
+   * Forget a member who left before verifying
+   * @param {import('discord.js').GuildMember} member - Member who left
+   */
+  async handleMemberLeave(member) {
+    // Wrong answers are kept so leaving and rejoining doesn't reset them
+    this.challenges.delete(`${member.guild.id}:${member.id}`);
+    const storageManager = await getStorageManager();
+    await storageManager.removePendingVerification(member.guild.id, member.id);
+  }
+
+  /**
+   * Kick a member and record it as a moderation case and verification log
+   * @param {import('discord.js').GuildMember} member - Member to kick
+   * @param {Object} settings - Verification settings
+   * @param {string} event - Verification log event
+   * @param {string} reason - Kick reason
+   * @returns {Promise<boolean>} Whether the member was kicked
+   */
+  async kickMember(member, settings, event, reason) {
+    const botMember = member.guild.members.me;
+    if (
+      !botMember?.permissions.has(PermissionFlagsBits.KickMembers) ||
+      !member.kickable
+    ) {
+      this.logger.warn(
+        `Cannot kick ${member.user.tag} from ${member.guild.name} for verification: missing permissions`,
+      );
+      return false;
+    }
+
+    try {
+      await member.kick(`Verification: ${reason}`);
+    } catch (error) {
+      this.logger.warn(
+        `Verification kick failed for ${member.user.tag}: ${error.message}`,
+      );
+      return false;
+    }
+
+    await logModerationAction({
+      guild: member.guild,
+      guildId: member.guild.id,
+      userId: member.id,
+      moderatorId: member.client.user.id,
+      action: "kick",
+      reason: `Verification: ${reason}`,
+      metadata: { verification: true },
+    });
+    await this.log(
+      member.guild,
+      settings,
+      createVerificationLogEmbed(event, member.user, reason),
+    );
+    return true;
+  }
+
+  /**
+   * Kick members whose verification deadline has passed
+   * @param {import('discord.js').Client} client - Discord client
+   * @returns {Promise<number>} Number of members kicked
+   */
+  async kickUnverifiedMembers(client) {
+    const storageManager = await getStorageManager();
+    const expired =
+      (await storageManager.getExpiredPendingVerifications()) || [];
+
+    let kicked = 0;
+    for (const entry of expired) {
+      await storageManager.removePendingVerification(
+        entry.guildId,
+        entry.userId,
+      );
+
+      const guild = client.guilds.cache.get(entry.guildId);
+      if (!guild) continue;
+
+      const settings = await this.getSettings(guild.id);
+      if (!settings.enabled || !settings.verifiedRoleId) continue;
+
+      const member = await guild.members.fetch(entry.userId).catch(() => null);
+      if (!member || member.roles.cache.has(settings.verifiedRoleId)) continue;
+
+      const success = await this.kickMember(
+        member,
+        settings,
+        "kicked_timeout",
+        `Did not verify within ${settings.timeoutMinutes} minute(s)`,
+      );
+      if (success) kicked++;
+    }
+
+    if (kicked > 0) {
+      this.logger.info(
+        `${EMOJIS.MODERATION.VERIFY} Kicked ${kicked} unverified member(s)`,
+      );
+    }
+    return kicked;
+  }
+
+  /**
+   * Start checking verification deadlines every minute
+   * @param {import('discord.js').Client} client - Discord client
+   */
+  start(client) {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    this.interval = setInterval(async () => {
+      try {
+        await this.kickUnverifiedMembers(client);
+      } catch (error) {
+        this.logger.error("❌ Error checking verification deadlines", error);
+      }
+
+      // Drop captchas nobody answered, and wrong answers and lockouts that
+      // are older than the cooldown
+      const now = Date.now();
+      for (const [key, challenge] of this.challenges) {
+        if (challenge.expiresAt < now) this.challenges.delete(key);
+      }
+      for (const [key, failures] of this.failures) {
+        const until =
+          failures.lockedUntil ??
+          failures.lastFailedAt + VERIFICATION_LIMITS.FAIL_COOLDOWN_MS;
+        if (until < now) this.failures.delete(key);
+      }
+    }, 60000).unref();
+
+    this.logger.success(
+      "✅ Verification deadline checks started (runs every 60 seconds)",
+    );
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Post an entry to the guild's verification log channel
+   * @param {import('discord.js').Guild} guild - Guild
+   * @param {Object} settings - Verification settings
+   * @param {import('discord.js').EmbedBuilder} embed - Log entry
+   */
+  async log(guild, settings, embed) {
+    if (!settings.logChannelId) return;
+
+    try {
+      const channel = await guild.channels
+        .fetch(settings.logChannelId)
+        .catch(() => null);
+      if (!channel?.isTextBased()) return;
+      await channel.send({ embeds: [embed] });
+    } catch (error) {
+      this.logger.debug(
+        `Could not post verification log in ${guild.name}: ${error.message}`,
+      );
+    }
+  }
+}
+
+let verificationManager = null;
+
+export function getVerificationManager() {
+  if (!verificationManager) {
+    verificationManager = new VerificationManager();
+  }
+  return verificationManager;
+}
@@ -0,0 +1,93 @@
+import { createCanvas } from "@napi-rs/canvas";
+import { randomInt } from "crypto";
+
+// Characters that are easy to tell apart once distorted (no 0/O, 1/I/L, 5/S)
+export const CAPTCHA_CHARACTERS = "ABCDEFGHJKMNPQRTUVWXYZ2346789";
+
+const WIDTH = 280;
+const HEIGHT = 100;
+
+/**
+ * Generate a random captcha code
+ * @param {number} length - Number of characters
+ * @returns {string}
+ */
+export function generateCaptchaCode(length) {
+  let code = "";
+  for (let i = 0; i < length; i++) {
+    code += CAPTCHA_CHARACTERS[randomInt(CAPTCHA_CHARACTERS.length)];
+  }
+  return code;
+}
+
+/**
+ * Compare a member's answer against the captcha code
+ * Case and surrounding/inner whitespace are ignored
+ * @param {string} code - Expected code
+ * @param {string} answer - Member's answer
+ * @returns {boolean}
+ */
+export function isCaptchaAnswerCorrect(code, answer) {
+  if (typeof answer !== "string") return false;
+  return answer.replace(/\s+/g, "").toUpperCase() === code;
+}
+
+/**
+ * Render a captcha code as a PNG with noise lines and rotated characters
+ * @param {string} code - Code to draw
+ * @returns {Buffer} PNG image
+ */
+export function renderCaptcha(code) {
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = "#f4f4f5";
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  // Background noise
+  for (let i = 0; i < 60; i++) {
+    ctx.fillStyle = `rgba(${randomInt(256)}, ${randomInt(256)}, ${randomInt(256)}, 0.4)`;
+    ctx.beginPath();
+    ctx.arc(
+      randomInt(WIDTH),
+      randomInt(HEIGHT),
+      randomInt(1, 4),
+      0,
+      Math.PI * 2,
+    );
+    ctx.fill();
+  }
+
+  // Characters, each with its own rotation and vertical offset
+  const step = (WIDTH - 40) / code.length;
+  ctx.font = "bold 42px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  for (let i = 0; i < code.length; i++) {
+    ctx.save();
+    ctx.translate(20 + step * (i + 0.5), HEIGHT / 2 + randomInt(-12, 13));
+    ctx.rotate((randomInt(-25, 26) * Math.PI) / 180);
+    ctx.fillStyle = `rgb(${randomInt(20, 120)}, ${randomInt(20, 120)}, ${randomInt(20, 120)})`;
+    ctx.fillText(code[i], 0, 0);
+    ctx.restore();
+  }
+
+  // Strike-through lines so the text cannot simply be read off the pixels
+  for (let i = 0; i < 4; i++) {
+    ctx.strokeStyle = `rgba(${randomInt(150)}, ${randomInt(150)}, ${randomInt(150)}, 0.7)`;
+    ctx.lineWidth = randomInt(1, 4);
+    ctx.beginPath();
+    ctx.moveTo(0, randomInt(HEIGHT));
+    ctx.bezierCurveTo(
+      randomInt(WIDTH),
+      randomInt(HEIGHT),
+      randomInt(WIDTH),
+      randomInt(HEIGHT),
+      WIDTH,
+      randomInt(HEIGHT),
+    );
+    ctx.stroke();
+  }
+
+  return canvas.toBuffer("image/png");
+}
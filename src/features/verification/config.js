@@ -0,0 +1,62 @@
+/**
+ * Verification Configuration
+ * Limits and the default per-guild verification settings
+ */
+
+// What happens to members whose account is younger than the minimum age
+export const ACCOUNT_AGE_ACTIONS = {
+  DENY: "deny", // Refuse to verify, the member can stay unverified
+  KICK: "kick", // Kick the member as soon as they join
+};
+
+// What happens to members who use up their captcha attempts
+export const FAIL_ACTIONS = {
+  COOLDOWN: "cooldown", // Wait FAIL_COOLDOWN_MS before a new captcha
+  KICK: "kick", // Kick the member
+};
+
+export const VERIFICATION_LIMITS = {
+  MAX_ACCOUNT_AGE_DAYS: 365,
+  MIN_TIMEOUT_MINUTES: 5,
+  MAX_TIMEOUT_MINUTES: 7 * 24 * 60, // 1 week
+  MAX_ATTEMPTS: 10,
+  CAPTCHA_LENGTH: 6,
+  CAPTCHA_TTL_MS: 5 * 60 * 1000, // A shown captcha is valid for 5 minutes
+  FAIL_COOLDOWN_MS: 15 * 60 * 1000, // Wait after using up all attempts
+};
+
+/**
+ * Build the default verification settings for a guild
+ * Verification stays off until an admin runs `/verification setup`
+ * @param {string} guildId - Guild ID
+ * @returns {Object} Default verification settings
+ */
+export function getDefaultVerificationSettings(guildId) {
+  return {
+    guildId,
+    enabled: false,
+    verifiedRoleId: null,
+    panelChannelId: null,
+    panelMessageId: null,
+    logChannelId: null,
+    minAccountAgeDays: 0, // 0 = no minimum
+    accountAgeAction: ACCOUNT_AGE_ACTIONS.DENY,
+    timeoutMinutes: 0, // 0 = unverified members are never kicked
+    maxAttempts: 3, // Wrong answers allowed across captchas
+    failAction: FAIL_ACTIONS.COOLDOWN,
+  };
+}
+
+/**
+ * Merge stored settings over the defaults so older documents
+ * pick up options that were added later
+ * @param {string} guildId - Guild ID
+ * @param {Object|null} stored - Stored settings document
+ * @returns {Object} Complete verification settings
+ */
+export function normalizeVerificationSettings(guildId, stored) {
+  const defaults = getDefaultVerificationSettings(guildId);
+  if (!stored) return defaults;
+
+  return { ...defaults, ...stored, guildId };
+}
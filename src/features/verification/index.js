@@ -0,0 +1,10 @@
+/**
+ * Verification Feature
+ *
+ * Captcha verification panel that grants a verified role, with minimum
+ * account-age rules, a kick timeout for unverified members and a log channel
+ */
+
+export { getVerificationManager } from "./VerificationManager.js";
+export * from "./config.js";
+export * from "./captcha.js";
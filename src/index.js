@@ -13,6 +13,8 @@ import { getPerformanceMonitor } from "./utils/monitoring/performanceMonitor.js"
 
 import { getLogger } from "./utils/logger.js";
 import { getScheduler as getRoleExpirationScheduler } from "./features/temporaryRoles/RoleExpirationScheduler.js";
+import { getBanExpirationScheduler } from "./features/moderation/BanExpirationScheduler.js";
+import { getVerificationManager } from "./features/verification/VerificationManager.js";
 import { getHealthCheckRunner } from "./utils/monitoring/healthCheck.js";
 import { getCommandHandler } from "./utils/core/commandHandler.js";
 import { getBotContext } from "./utils/core/BotContext.js";
@@ -277,6 +279,16 @@ async function main() {
       ctx.tempRoleScheduler = tempRoleScheduler;
       tempRoleScheduler.start();
 
+      // Start temporary ban expiration scheduler
+      const banExpirationScheduler = getBanExpirationScheduler(client);
+      ctx.banExpirationScheduler = banExpirationScheduler;
+      banExpirationScheduler.start();
+
+      // Start kicking members who do not verify in time
+      const verificationManager = getVerificationManager();
+      ctx.verificationManager = verificationManager;
+      verificationManager.start(client);
+
       // Start ticketing system cleanup scheduler
       try {
         const { startTicketCleanup } = await import(
@@ -288,6 +300,42 @@ async function main() {
         logger.error("❌ Failed to start ticket cleanup:", error);
       }
 
+      // Start warning about and closing inactive tickets
+      try {
+        const { getTicketAutoCloseScheduler } = await import(
+          "./features/ticketing/TicketAutoCloseScheduler.js"
+        );
+        const ticketAutoCloseScheduler = getTicketAutoCloseScheduler(client);
+        ctx.ticketAutoCloseScheduler = ticketAutoCloseScheduler;
+        ticketAutoCloseScheduler.start();
+      } catch (error) {
+        logger.error("❌ Failed to start ticket auto-close scheduler:", error);
+      }
+
+      // Start recording first responses and escalating ticket SLAs
+      try {
+        const { getTicketSlaScheduler } = await import(
+          "./features/ticketing/TicketSlaScheduler.js"
+        );
+        const ticketSlaScheduler = getTicketSlaScheduler(client);
+        ctx.ticketSlaScheduler = ticketSlaScheduler;
+        ticketSlaScheduler.start();
+      } catch (error) {
+        logger.error("❌ Failed to start ticket SLA scheduler:", error);
+      }
+
+      // Start scheduled per-guild configuration backups
+      try {
+        const { getBackupScheduler } = await import(
+          "./features/backups/BackupScheduler.js"
+        );
+        const backupScheduler = getBackupScheduler(client);
+        ctx.backupScheduler = backupScheduler;
+        backupScheduler.start();
+      } catch (error) {
+        logger.error("❌ Failed to start backup scheduler:", error);
+      }
+
       // Initialize Giveaway Manager
       try {
         const giveawayManager = (
@@ -7,6 +7,11 @@ import { getDiscordClient, logRequest } from "../utils/apiShared.js";
 import { getCommandHandler } from "../../utils/core/commandHandler.js";
 import { commandRegistry } from "../../utils/core/commandRegistry.js";
 import { GuildHelper } from "../helpers/GuildHelper.js";
+import {
+  getDefaultEscalationPolicy,
+  normalizeEscalationPolicy,
+  validateEscalationPolicy,
+} from "../../commands/admin/moderation/escalation.js";
 
 const logger = getLogger();
 
@@ -137,12 +142,11 @@ export async function apiGetGuildSettings(req, res) {
       // Remove internal fields for API response
       if (welcomeSettings) {
         welcomeSettings = {
-          enabled: welcomeSettings.enabled ?? false,
-          channelId: welcomeSettings.channelId ?? null,
-          message:
-            welcomeSettings.message ?? "Welcome **{user}** to **{server}**! 🎉",
-          autoRoleId: welcomeSettings.autoRoleId ?? null,
-          embed: welcomeSettings.embedEnabled ?? true,
+          enabled: welcomeSettings.enabled,
+          channelId: welcomeSettings.channelId,
+          message: welcomeSettings.message,
+          autoRoleId: welcomeSettings.autoRoleId,
+          embed: welcomeSettings.embedEnabled,
         };
       }
     }
@@ -188,6 +192,9 @@ export async function apiGetGuildSettings(req, res) {
         settings: {
           ...settings,
           welcomeSystem: welcomeSettings,
+          moderationEscalation: settings.moderationEscalation
+            ? normalizeEscalationPolicy(settings.moderationEscalation)
+            : await getDefaultEscalationPolicy(),
         },
         guildStats,
         premiumFeatures: settings.premiumFeatures || {},
@@ -388,6 +395,25 @@ export async function apiUpdateGuildSettings(req, res) {
       Object.assign(updates, otherUpdates);
     }
 
+    // Per-guild warning escalation ladder (null resets to the bot defaults)
+    if (
+      updates.moderationEscalation !== undefined &&
+      updates.moderationEscalation !== null
+    ) {
+      const validation = validateEscalationPolicy(updates.moderationEscalation);
+      if (!validation.valid)
+        return res
+          .status(400)
+          .json(
+            createErrorResponse(
+              "Invalid moderation escalation policy",
+              400,
+              validation.errors.join("; "),
+            ).response,
+          );
+      updates.moderationEscalation = validation.policy;
+    }
+
     const newSettings = {
       ...existingSettings,
       ...updates,
@@ -5,9 +5,17 @@ import {
 } from "../utils/responseHelpers.js";
 import { getDiscordClient, logRequest } from "../utils/apiShared.js";
 import { GuildHelper } from "../helpers/GuildHelper.js";
+import { SELECTION_MODES } from "../../utils/discord/roleReactionRules.js";
 
 const logger = getLogger();
 
+const SELECTION_MODE_ERROR =
+  "Selection mode must be standard, unique, verify or drop";
+
+function isValidSelectionMode(selectionMode) {
+  return Object.values(SELECTION_MODES).includes(selectionMode);
+}
+
 /**
  * Get guild role mappings (reaction roles)
  */
@@ -174,6 +182,9 @@ function mergeReactionRoles(reactions) {
         roleId: r.roleId,
         roleName: r.roleName,
         roleColor: r.roleColor || 0,
+        requiredRoleIds: r.requiredRoleIds,
+        blockedRoleIds: r.blockedRoleIds,
+        minLevel: r.minLevel,
       });
     }
 
@@ -215,6 +226,13 @@ function mergeReactionRoles(reactions) {
       mapping.roleIds = finalRoleIds;
       mapping.roleNames = finalRoleNames;
     }
+    if (group.requiredRoleIds?.length) {
+      mapping.requiredRoleIds = group.requiredRoleIds;
+    }
+    if (group.blockedRoleIds?.length) {
+      mapping.blockedRoleIds = group.blockedRoleIds;
+    }
+    if (group.minLevel > 0) mapping.minLevel = group.minLevel;
 
     roleMapping[group.emoji] = mapping;
     validRoles.push(mapping);
@@ -251,6 +269,7 @@ export async function apiDeployRoleReactions(req, res) {
       selectionMode,
       hideList,
       reactions,
+      style = "reactions",
     } = req.body;
 
     if (!channelId)
@@ -265,6 +284,21 @@ export async function apiDeployRoleReactions(req, res) {
             .response,
         );
 
+    const { PANEL_STYLES } = await import(
+      "../../commands/admin/role-reactions/utils.js"
+    );
+    if (!Object.values(PANEL_STYLES).includes(style))
+      return res
+        .status(400)
+        .json(
+          createErrorResponse("Style must be reactions, buttons or select", 400)
+            .response,
+        );
+    if (selectionMode && !isValidSelectionMode(selectionMode))
+      return res
+        .status(400)
+        .json(createErrorResponse(SELECTION_MODE_ERROR, 400).response);
+
     // SECURITY: Verify the bot has permission in the channel
     const guild = client.guilds.cache.get(guildId);
     const channel = guild?.channels.cache.get(channelId);
@@ -277,7 +311,7 @@ export async function apiDeployRoleReactions(req, res) {
     const permissions = channel.permissionsFor(botMember);
     if (
       !permissions?.has("SendMessages") ||
-      !permissions?.has("AddReactions")
+      (style === PANEL_STYLES.REACTIONS && !permissions?.has("AddReactions"))
     ) {
       return res
         .status(403)
@@ -286,6 +320,22 @@ export async function apiDeployRoleReactions(req, res) {
 
     const { validRoles, roleMapping } = mergeReactionRoles(reactions);
 
+    const { createRolePanelComponents, MAX_PANEL_ENTRIES } = await import(
+      "../../commands/admin/role-reactions/components.js"
+    );
+    if (
+      style !== PANEL_STYLES.REACTIONS &&
+      validRoles.length > MAX_PANEL_ENTRIES
+    )
+      return res
+        .status(400)
+        .json(
+          createErrorResponse(
+            `Button and dropdown panels support up to ${MAX_PANEL_ENTRIES} roles`,
+            400,
+          ).response,
+        );
+
     let embedColor = color || "#9b8bf0";
     if (embedColor && !embedColor.startsWith("#"))
       embedColor = `#${embedColor}`;
@@ -304,7 +354,10 @@ export async function apiDeployRoleReactions(req, res) {
     const textChannel = /** @type {import('discord.js').TextChannel} */ (
       channel
     );
-    const message = await textChannel.send({ embeds: [embed] });
+    const message = await textChannel.send({
+      embeds: [embed],
+      components: createRolePanelComponents(validRoles, style, selectionMode),
+    });
 
     try {
       if (message.embeds.length > 0) {
@@ -317,19 +370,21 @@ export async function apiDeployRoleReactions(req, res) {
       }
     } catch {}
 
-    const { addReactionsToMessage } = await import(
-      "../../commands/admin/role-reactions/messageOperations.js"
-    );
-    const reactionResult = await addReactionsToMessage(message, validRoles);
-
-    if (
-      !reactionResult.success &&
-      reactionResult.failedReactions.length === validRoles.length
-    ) {
-      await message.delete().catch(() => {});
-      return res
-        .status(500)
-        .json(createErrorResponse("Failed to add reactions", 500).response);
+    if (style === PANEL_STYLES.REACTIONS) {
+      const { addReactionsToMessage } = await import(
+        "../../commands/admin/role-reactions/messageOperations.js"
+      );
+      const reactionResult = await addReactionsToMessage(message, validRoles);
+
+      if (
+        !reactionResult.success &&
+        reactionResult.failedReactions.length === validRoles.length
+      ) {
+        await message.delete().catch(() => {});
+        return res
+          .status(500)
+          .json(createErrorResponse("Failed to add reactions", 500).response);
+      }
     }
 
     const { setRoleMapping } = await import(
@@ -338,6 +393,7 @@ export async function apiDeployRoleReactions(req, res) {
     const mappingData = { roles: roleMapping, hideList: hideList || false };
     if (selectionMode && selectionMode !== "standard")
       mappingData.selectionMode = selectionMode;
+    if (style !== PANEL_STYLES.REACTIONS) mappingData.style = style;
 
     await setRoleMapping(message.id, guildId, channelId, mappingData);
     res.json(
@@ -345,6 +401,7 @@ export async function apiDeployRoleReactions(req, res) {
         message: "Role-reaction setup deployed successfully!",
         messageId: message.id,
         channelId,
+        style,
         roleCount: validRoles.length,
         messageUrl: `https://discord.com/channels/${guildId}/${channelId}/${message.id}`,
       }),
@@ -388,6 +445,14 @@ export async function apiUpdateRoleReactions(req, res) {
     const { getRoleMapping, setRoleMapping } = await import(
       "../../utils/discord/roleMappingManager.js"
     );
+    const { getPanelConfig, PANEL_STYLES } = await import(
+      "../../commands/admin/role-reactions/utils.js"
+    );
+
+    if (selectionMode && !isValidSelectionMode(selectionMode))
+      return res
+        .status(400)
+        .json(createErrorResponse(SELECTION_MODE_ERROR, 400).response);
 
     const existingMapping = await getRoleMapping(messageId, guildId);
     if (!existingMapping)
@@ -416,12 +481,14 @@ export async function apiUpdateRoleReactions(req, res) {
       validRoles = merged.validRoles;
     }
 
+    const existingConfig = getPanelConfig(existingMapping);
     const finalRoleMapping = Object.keys(roleMapping).length
       ? roleMapping
-      : existingMapping.roles || {};
+      : existingConfig.roles;
     const finalValidRoles = validRoles.length
       ? validRoles
-      : Object.values(existingMapping.roles || {});
+      : Object.values(existingConfig.roles);
+    const finalSelectionMode = selectionMode || existingConfig.selectionMode;
 
     let embedColor = color || existingMapping.color || "#9b8bf0";
     if (embedColor && !embedColor.startsWith("#"))
@@ -431,7 +498,7 @@ export async function apiUpdateRoleReactions(req, res) {
       "../../commands/admin/role-reactions/embeds.js"
     );
     const finalHideList =
-      hideList !== undefined ? hideList : existingMapping.hideList || false;
+      hideList !== undefined ? hideList : existingConfig.hideList;
     const embed = createSetupRolesEmbed(
       title || existingMapping.title || "Role Reactions",
       description || existingMapping.description || "React to get a role!",
@@ -447,9 +514,20 @@ export async function apiUpdateRoleReactions(req, res) {
       iconURL: client.user.displayAvatarURL(),
     });
 
-    await message.edit({ embeds: [updatedEmbed] });
+    const messageEdit = { embeds: [updatedEmbed] };
+    if (existingConfig.style !== PANEL_STYLES.REACTIONS) {
+      const { createRolePanelComponents } = await import(
+        "../../commands/admin/role-reactions/components.js"
+      );
+      messageEdit.components = createRolePanelComponents(
+        finalValidRoles,
+        existingConfig.style,
+        finalSelectionMode,
+      );
+    }
+    await message.edit(messageEdit);
 
-    if (validRoles.length) {
+    if (validRoles.length && existingConfig.style === PANEL_STYLES.REACTIONS) {
       const { syncReactions } = await import(
         "../../commands/admin/role-reactions/messageOperations.js"
       );
@@ -463,7 +541,10 @@ export async function apiUpdateRoleReactions(req, res) {
       description: description || existingMapping.description,
       color: embedColor,
     };
-    if (selectionMode) mappingData.selectionMode = selectionMode;
+    if (finalSelectionMode !== "standard")
+      mappingData.selectionMode = finalSelectionMode;
+    if (existingConfig.style !== PANEL_STYLES.REACTIONS)
+      mappingData.style = existingConfig.style;
 
     await setRoleMapping(
       messageId,
@@ -0,0 +1,106 @@
+import { getLogger } from "../../utils/logger.js";
+import {
+  createSuccessResponse,
+  createErrorResponse,
+} from "../utils/responseHelpers.js";
+import { getDiscordClient, logRequest } from "../utils/apiShared.js";
+
+const logger = getLogger();
+
+function getGuild(guildId) {
+  return getDiscordClient()?.guilds.cache.get(guildId) || null;
+}
+
+/**
+ * Export a guild's bot configuration as a server template
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export async function apiExportServerTemplate(req, res) {
+  const { guildId } = req.params;
+  logRequest(`Export server template: ${guildId}`, req);
+
+  const guild = getGuild(guildId);
+  if (!guild) {
+    const { statusCode, response } = createErrorResponse(
+      "Guild not found",
+      404,
+    );
+    return res.status(statusCode).json(response);
+  }
+
+  try {
+    const { getServerTemplateManager } = await import(
+      "../../features/serverTemplates/ServerTemplateManager.js"
+    );
+    const template = await getServerTemplateManager().exportTemplate(guild);
+
+    res.json(createSuccessResponse({ template }));
+  } catch (error) {
+    logger.error(`❌ Error exporting server template for ${guildId}:`, error);
+    const { statusCode, response } = createErrorResponse(
+      "Failed to export server template",
+      500,
+      error.message,
+    );
+    res.status(statusCode).json(response);
+  }
+}
+
+/**
+ * Preview or apply a server template
+ * Body: { template, apply } - without apply, only the preview is returned
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export async function apiImportServerTemplate(req, res) {
+  const { guildId } = req.params;
+  const { template, apply = false } = req.body || {};
+  logRequest(`Import server template: ${guildId}`, req);
+
+  if (!template) {
+    const { statusCode, response } = createErrorResponse(
+      "Template is required",
+      400,
+    );
+    return res.status(statusCode).json(response);
+  }
+
+  const guild = getGuild(guildId);
+  if (!guild) {
+    const { statusCode, response } = createErrorResponse(
+      "Guild not found",
+      404,
+    );
+    return res.status(statusCode).json(response);
+  }
+
+  try {
+    const { getServerTemplateManager } = await import(
+      "../../features/serverTemplates/ServerTemplateManager.js"
+    );
+    const manager = getServerTemplateManager();
+
+    const plan =
+      apply === true
+        ? await manager.applyImport(guild, template, {
+            userId: req.user?.id,
+          })
+        : await manager.previewImport(guild, template);
+
+    res.json(createSuccessResponse({ applied: apply === true, ...plan }));
+  } catch (error) {
+    if (error instanceof RangeError) {
+      const { statusCode, response } = createErrorResponse(error.message, 400);
+      return res.status(statusCode).json(response);
+    }
+
+    logger.error(`❌ Error importing server template for ${guildId}:`, error);
+    const { statusCode, response } = createErrorResponse(
+      "Failed to import server template. No changes were kept.",
+      500,
+      error.message,
+    );
+    res.status(statusCode).json(response);
+  }
+}
@@ -0,0 +1,220 @@
+import { getLogger } from "../../utils/logger.js";
+import {
+  createSuccessResponse,
+  createErrorResponse,
+} from "../utils/responseHelpers.js";
+import { logRequest } from "../utils/apiShared.js";
+
+const logger = getLogger();
+
+/**
+ * Get per-staff ticket performance for a guild
+ * Query: from/to as YYYY-MM-DD in the guild's timezone, or days (default 30)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export async function apiGetTicketStaffStats(req, res) {
+  const { guildId } = req.params;
+  const from = typeof req.query.from === "string" ? req.query.from : null;
+  const to = typeof req.query.to === "string" ? req.query.to : null;
+  const days = parseInt(String(req.query.days)) || null;
+  logRequest(`Get ticket staff stats: ${guildId}`, req);
+
+  if (!guildId) {
+    const { statusCode, response } = createErrorResponse(
+      "Guild ID is required",
+      400,
+    );
+    return res.status(statusCode).json(response);
+  }
+
+  try {
+    const { getGuildTimezone } = await import("../../utils/timezone.js");
+    const { parseStatsRange } = await import(
+      "../../features/ticketing/helpers.js"
+    );
+    const timeZone = await getGuildTimezone(guildId);
+
+    const range =
+      days > 0 && !from && !to
+        ? {
+            from: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+            to: new Date(),
+          }
+        : parseStatsRange(from, to, timeZone);
+
+    if (!range || days < 0) {
+      const { statusCode, response } = createErrorResponse(
+        "Invalid date range: use from/to as YYYY-MM-DD with from before to, or a positive number of days",
+        400,
+      );
+      return res.status(statusCode).json(response);
+    }
+
+    const { getTicketManager } = await import(
+      "../../features/ticketing/TicketManager.js"
+    );
+    const ticketManager = getTicketManager();
+    await ticketManager.initialize();
+
+    const performance = await ticketManager.getStaffPerformance(guildId, range);
+
+    if (!performance.available) {
+      const { statusCode, response } = createErrorResponse(
+        "Staff performance tracking requires Pro Engine",
+        403,
+      );
+      return res.status(statusCode).json(response);
+    }
+
+    // Use cache-only lookup to avoid Discord API rate limits
+    const { getDiscordClient } = await import("../utils/apiShared.js");
+    const client = getDiscordClient();
+    const staff = performance.staff.map(entry => {
+      const user = client?.users?.cache?.get(entry.staffId);
+      return {
+        ...entry,
+        username: user?.username || `User ${entry.staffId.slice(-4)}`,
+        avatar: user?.displayAvatarURL?.({ size: 64 }) || null,
+      };
+    });
+
+    res.json(
+      createSuccessResponse({
+        guildId,
+        timeZone,
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        totals: performance.totals,
+        ratings: performance.ratings,
+        staff,
+      }),
+    );
+  } catch (error) {
+    logger.error(`❌ Error getting ticket staff stats for ${guildId}:`, error);
+    const { statusCode, response } = createErrorResponse(
+      "Failed to retrieve ticket staff stats",
+      500,
+      error.message,
+    );
+    res.status(statusCode).json(response);
+  }
+}
+
+/**
+ * List the panel templates of the requesting user as portable documents
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export async function apiGetTicketPanelTemplates(req, res) {
+  const { guildId } = req.params;
+  const userId = req.user?.id;
+  logRequest(`Get ticket panel templates: ${guildId}`, req);
+
+  if (!userId) {
+    const { statusCode, response } = createErrorResponse(
+      "User ID is required",
+      401,
+    );
+    return res.status(statusCode).json(response);
+  }
+
+  try {
+    const { getTicketPanel } = await import(
+      "../../features/ticketing/TicketPanel.js"
+    );
+    const { parsePanelTemplate } = await import(
+      "../../features/ticketing/panelTemplates.js"
+    );
+    const ticketPanel = getTicketPanel();
+    await ticketPanel.initialize();
+
+    const templates = await ticketPanel.getTemplates(userId);
+
+    res.json(
+      createSuccessResponse({
+        templates: templates.map(template => ({
+          ...parsePanelTemplate(template),
+          updatedAt: template.updatedAt,
+        })),
+      }),
+    );
+  } catch (error) {
+    logger.error(`❌ Error getting panel templates for ${userId}:`, error);
+    const { statusCode, response } = createErrorResponse(
+      "Failed to retrieve panel templates",
+      500,
+      error.message,
+    );
+    res.status(statusCode).json(response);
+  }
+}
+
+/**
+ * Import a panel template document for the requesting user
+ * Body: a template as exported by /ticket template export
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export async function apiImportTicketPanelTemplate(req, res) {
+  const { guildId } = req.params;
+  const userId = req.user?.id;
+  logRequest(`Import ticket panel template: ${guildId}`, req);
+
+  if (!userId) {
+    const { statusCode, response } = createErrorResponse(
+      "User ID is required",
+      401,
+    );
+    return res.status(statusCode).json(response);
+  }
+
+  try {
+    const { getTicketPanel } = await import(
+      "../../features/ticketing/TicketPanel.js"
+    );
+    const { parsePanelTemplate } = await import(
+      "../../features/ticketing/panelTemplates.js"
+    );
+    const ticketPanel = getTicketPanel();
+    await ticketPanel.initialize();
+
+    if (!(await ticketPanel.canUseTemplates(guildId))) {
+      const { statusCode, response } = createErrorResponse(
+        "Panel templates require Pro Engine",
+        403,
+      );
+      return res.status(statusCode).json(response);
+    }
+
+    let template;
+    try {
+      template = parsePanelTemplate(req.body);
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+      const { statusCode, response } = createErrorResponse(error.message, 400);
+      return res.status(statusCode).json(response);
+    }
+
+    const result = await ticketPanel.saveTemplate(userId, template);
+    if (!result.success) {
+      const { statusCode, response } = createErrorResponse(
+        result.error?.data?.description || "Failed to save panel template",
+        400,
+      );
+      return res.status(statusCode).json(response);
+    }
+
+    res
+      .status(result.replaced ? 200 : 201)
+      .json(createSuccessResponse({ template, replaced: result.replaced }));
+  } catch (error) {
+    logger.error(`❌ Error importing panel template for ${userId}:`, error);
+    const { statusCode, response } = createErrorResponse(
+      "Failed to import panel template",
+      500,
+      error.message,
+    );
+    res.status(statusCode).json(response);
+  }
+}
@@ -35,9 +35,18 @@ export async function viewTranscript(req, res) {
       `);
     }
 
-    // Optimization: If content is missing, generate it on the fly from stored messages
+    // Ratings arrive after the transcript is stored, so they come from the ticket
+    const ticket = await storage.getTicket(transcript.ticketId);
+    const rating = ticket?.rating || null;
+
+    if (req.query.format === "pdf") {
+      return await sendTranscriptPdf(res, transcript, rating);
+    }
+
+    // Optimization: If content is missing, generate it on the fly from stored messages.
+    // Rated tickets are generated again to show the rating in the header
     let html = transcript.content;
-    if (!html && transcript.messages) {
+    if ((!html || rating) && transcript.messages?.length) {
       try {
         const { getTicketTranscript } = await import(
           "../../features/ticketing/TicketTranscript.js"
@@ -51,9 +60,16 @@ export async function viewTranscript(req, res) {
           openedAt: transcript.metadata?.ticketOpenedAt,
           closedAt: transcript.metadata?.ticketClosedAt,
           isTruncated: transcript.metadata?.isTruncated || false,
+          intake: transcript.metadata?.intake || [],
+          archive: transcript.metadata?.archive || null,
+          rating,
         };
 
-        html = ticketTranscript.generateHTML(transcript.messages, ticketInfo);
+        html = ticketTranscript.generateHTML(
+          transcript.messages,
+          ticketInfo,
+          transcript.assets || [],
+        );
       } catch (genError) {
         logger.error(
           "Failed to generate transcript HTML on the fly:",
@@ -67,11 +83,59 @@ export async function viewTranscript(req, res) {
       return res.status(404).send("Transcript content unavailable.");
     }
 
-    // Serve the HTML content
+    // Serve the HTML content (?download=1 saves it as a self-contained file)
     res.setHeader("Content-Type", "text/html");
+    if (req.query.download) {
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="transcript-${transcriptId.split("-").pop()}.html"`,
+      );
+    }
     res.send(html);
   } catch (error) {
     logger.error("Error serving transcript:", error);
     res.status(500).send("Internal Server Error");
   }
 }
+
+/**
+ * Render a stored transcript as a PDF download (Pro Engine)
+ */
+async function sendTranscriptPdf(res, transcript, rating) {
+  if (!transcript.messages?.length) {
+    return res.status(404).send("Transcript content unavailable.");
+  }
+
+  const { getPremiumManager } = await import(
+    "../../features/premium/PremiumManager.js"
+  );
+  const isPro = await getPremiumManager().isFeatureActive(
+    transcript.guildId,
+    "pro_engine",
+  );
+  if (!isPro) {
+    return res.status(403).send("PDF transcripts require Pro Engine.");
+  }
+
+  const { getTicketTranscript } = await import(
+    "../../features/ticketing/TicketTranscript.js"
+  );
+  const ticketTranscript = getTicketTranscript();
+  await ticketTranscript.initialize();
+
+  const pdf = ticketTranscript.generatePDF(transcript.messages, {
+    ticketId: transcript.ticketId,
+    openedAt: transcript.metadata?.ticketOpenedAt,
+    closedAt: transcript.metadata?.ticketClosedAt,
+    isTruncated: transcript.metadata?.isTruncated || false,
+    intake: transcript.metadata?.intake || [],
+    rating,
+  });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="transcript-${transcript.transcriptId.split("-").pop()}.pdf"`,
+  );
+  return res.send(pdf);
+}
@@ -274,30 +274,11 @@ export class GuildHelper {
     }
 
     const enrichedRoles = {};
-    let rawRoles = mapping.roles || {};
-    let hideList = mapping.hideList || false;
-    let selectionMode = mapping.selectionMode || "standard";
+    const { hideList, selectionMode, style } = mapping;
 
-    if (
-      rawRoles.roles &&
-      typeof rawRoles.roles === "object" &&
-      !rawRoles.roleId
-    ) {
-      hideList = rawRoles.hideList !== undefined ? rawRoles.hideList : hideList;
-      selectionMode = rawRoles.selectionMode || selectionMode;
-      rawRoles = rawRoles.roles;
-    }
-
-    for (const [emoji, roleConfig] of Object.entries(rawRoles)) {
-      if (["hideList", "updatedAt", "createdAt"].includes(emoji)) continue;
-      if (typeof roleConfig === "boolean" || !roleConfig) continue;
-
-      const roleId =
-        typeof roleConfig === "string" ? roleConfig : roleConfig.roleId;
-      let roleName =
-        typeof roleConfig === "object"
-          ? roleConfig.roleName || roleConfig.name || "Unknown Role"
-          : "Unknown Role";
+    for (const [emoji, roleConfig] of Object.entries(mapping.roles)) {
+      const { roleId } = roleConfig;
+      let roleName = roleConfig.roleName || roleConfig.name || "Unknown Role";
       let roleColor = 0;
 
       if (guild && roleId) {
@@ -310,11 +291,14 @@ export class GuildHelper {
 
       enrichedRoles[emoji] = { emoji, roleId, roleName, roleColor };
 
-      // Preserve multi-role arrays if present
-      if (typeof roleConfig === "object") {
-        if (roleConfig.roleIds?.length > 1) {
-          enrichedRoles[emoji].roleIds = roleConfig.roleIds;
-          enrichedRoles[emoji].roleNames = roleConfig.roleNames || [];
+      // Preserve multi-role arrays and role rules if present
+      if (roleConfig.roleIds.length > 1) {
+        enrichedRoles[emoji].roleIds = roleConfig.roleIds;
+        enrichedRoles[emoji].roleNames = roleConfig.roleNames || [];
+      }
+      for (const field of ["requiredRoleIds", "blockedRoleIds", "minLevel"]) {
+        if (roleConfig[field] !== undefined) {
+          enrichedRoles[emoji][field] = roleConfig[field];
         }
       }
     }
@@ -329,6 +313,7 @@ export class GuildHelper {
       roles: enrichedRoles,
       hideList,
       selectionMode,
+      style,
       createdAt: mapping.createdAt || mapping.updatedAt || null,
       updatedAt: mapping.updatedAt || null,
     };
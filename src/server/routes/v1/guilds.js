@@ -25,6 +25,11 @@ import {
   apiUpdateRoleReactions,
 } from "../../controllers/GuildRoleMappingController.js";
 import { apiGetGuildAnalytics } from "../../controllers/GuildAnalyticsController.js";
+import {
+  apiGetTicketStaffStats,
+  apiGetTicketPanelTemplates,
+  apiImportTicketPanelTemplate,
+} from "../../controllers/GuildTicketController.js";
 import {
   apiGetCustomCommands,
   apiCreateCustomCommand,
@@ -33,6 +38,10 @@ import {
   apiSyncCustomCommands,
   apiDuplicateCustomCommand,
 } from "../../controllers/GuildCustomCommandController.js";
+import {
+  apiExportServerTemplate,
+  apiImportServerTemplate,
+} from "../../controllers/GuildServerTemplateController.js";
 import { internalAuth } from "../../middleware/internalAuth.js";
 import { requireAuth } from "../../middleware/authentication.js";
 import {
@@ -125,6 +134,48 @@ router.get(
   apiGetGuildAnalytics,
 );
 
+// Ticket staff performance - requires guild permission
+router.get(
+  "/:guildId/tickets/staff-stats",
+  internalAuth,
+  requireGuildPermission,
+  apiGetTicketStaffStats,
+);
+
+// Ticket panel templates belong to the requesting user
+router.get(
+  "/:guildId/tickets/templates",
+  internalAuth,
+  requireAuth,
+  requireGuildPermission,
+  apiGetTicketPanelTemplates,
+);
+router.post(
+  "/:guildId/tickets/templates",
+  internalAuth,
+  requireAuth,
+  requireGuildPermission,
+  guildSettingsLimiter,
+  apiImportTicketPanelTemplate,
+);
+
+// Server templates - requires guild permission
+router.get(
+  "/:guildId/template",
+  internalAuth,
+  requireAuth,
+  requireGuildPermission,
+  apiExportServerTemplate,
+);
+router.post(
+  "/:guildId/template",
+  internalAuth,
+  requireAuth,
+  requireGuildPermission,
+  guildSettingsLimiter,
+  apiImportServerTemplate,
+);
+
 // Role Reactions - CRITICAL: All role reaction endpoints require guild permission
 router.get(
   "/:guildId/role-reactions",
@@ -3,6 +3,11 @@ class BotContext {
     this.client = null;
     this.roleScheduler = null;
     this.tempRoleScheduler = null;
+    this.banExpirationScheduler = null;
+    this.verificationManager = null;
+    this.ticketAutoCloseScheduler = null;
+    this.ticketSlaScheduler = null;
+    this.backupScheduler = null;
     this.pollCleanupInterval = null;
     this.giveawayManager = null;
     this.stopComfyUIRecovery = null;
@@ -15,9 +20,24 @@ class BotContext {
     if (this.tempRoleScheduler) {
       this.tempRoleScheduler.stop();
     }
+    if (this.banExpirationScheduler) {
+      this.banExpirationScheduler.stop();
+    }
+    if (this.verificationManager) {
+      this.verificationManager.stop();
+    }
     if (this.roleScheduler) {
       this.roleScheduler.stop();
     }
+    if (this.ticketAutoCloseScheduler) {
+      this.ticketAutoCloseScheduler.stop();
+    }
+    if (this.ticketSlaScheduler) {
+      this.ticketSlaScheduler.stop();
+    }
+    if (this.backupScheduler) {
+      this.backupScheduler.stop();
+    }
     if (this.pollCleanupInterval) {
       clearInterval(this.pollCleanupInterval);
     }
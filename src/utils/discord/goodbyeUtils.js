@@ -1,5 +1,4 @@
 import { EmbedBuilder } from "discord.js";
-import { THEME_COLOR } from "../../config/theme.js";
 
 /**
  * Process goodbye message with placeholders
@@ -30,18 +29,12 @@ export function processGoodbyeMessage(message, member) {
  */
 export function createGoodbyeEmbed(settings, member) {
   const embed = new EmbedBuilder()
-    .setColor(settings.embedColor || THEME_COLOR)
+    .setColor(settings.embedColor)
     .setAuthor({
       name: `${member.user.username} left the server`,
       iconURL: member.user.displayAvatarURL({ size: 64 }),
     })
-    .setDescription(
-      processGoodbyeMessage(
-        settings.message ||
-          "**{user}** left the server\nThanks for being part of **{server}**! 👋",
-        member,
-      ),
-    )
+    .setDescription(processGoodbyeMessage(settings.message, member))
     .addFields({
       name: "",
       value: "",
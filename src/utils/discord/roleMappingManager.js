@@ -1,5 +1,9 @@
 import { getStorageManager } from "../storage/storageManager.js";
 import { getLogger } from "../logger.js";
+import {
+  getEntryRoleName,
+  normalizeRoleMapping,
+} from "../storage/repositories/RoleMappingRepository.js";
 
 // Cache for role mappings to reduce database calls
 class RoleMappingCache {
@@ -57,6 +61,23 @@ const roleMappingCache = new RoleMappingCache();
 // Cleanup cache every 15 minutes
 setInterval(() => roleMappingCache.cleanup(), 15 * 60 * 1000).unref();
 
+/**
+ * Gets the role IDs a role-reaction entry grants. Entries saved before role
+ * IDs were stored only name their role, so those are looked up by name.
+ * @param {object} entry The canonical role-reaction entry.
+ * @param {import("discord.js").Guild} guild The guild the panel is in.
+ * @returns {string[]} The role IDs, empty if the named role is gone.
+ */
+export function resolveEntryRoleIds(entry, guild) {
+  if (entry.roleIds.length > 0) {
+    return entry.roleIds;
+  }
+
+  const roleName = getEntryRoleName(entry);
+  const role = roleName && guild.roles.cache.find(r => r.name === roleName);
+  return role ? [role.id] : [];
+}
+
 /**
  * Gets the role mapping for a specific message with caching.
  * @param {string} messageId The ID of the message.
@@ -165,9 +186,12 @@ export async function setRoleMapping(messageId, guildId, channelId, data) {
     );
 
     if (success) {
-      // Update cache — spread data so { roles, hideList, selectionMode }
-      // are at the same level as guildId/channelId, matching storage format
-      roleMappingCache.set(messageId, { guildId, channelId, ...data });
+      // Update cache with the same canonical shape storage keeps
+      roleMappingCache.set(messageId, {
+        guildId,
+        channelId,
+        ...normalizeRoleMapping(data),
+      });
     }
 
     return success;
@@ -0,0 +1,99 @@
+import { EmbedBuilder } from "discord.js";
+import { THEME } from "../../config/theme.js";
+import { getLogger } from "../logger.js";
+
+/**
+ * How a role-reaction message hands out roles:
+ * - standard: react/click to add, unreact/click again to remove
+ * - unique: picking an entry removes the member's other entries
+ * - verify: only ever adds roles, unreacting keeps them
+ * - drop: only ever removes roles
+ */
+export const SELECTION_MODES = {
+  STANDARD: "standard",
+  UNIQUE: "unique",
+  VERIFY: "verify",
+  DROP: "drop",
+};
+
+export function getSelectionModeChoices() {
+  return [
+    { name: "Standard (add and remove)", value: SELECTION_MODES.STANDARD },
+    { name: "Unique (one role only)", value: SELECTION_MODES.UNIQUE },
+    { name: "Verify (add only)", value: SELECTION_MODES.VERIFY },
+    { name: "Drop (remove only)", value: SELECTION_MODES.DROP },
+  ];
+}
+
+/**
+ * Check an entry's required roles, blocked roles and minimum XP level
+ * @param {import('discord.js').GuildMember} member - Member picking the entry
+ * @param {Object} roleConfig - Entry from a role mapping
+ * @returns {Promise<{allowed: boolean, reason?: string}>}
+ */
+export async function checkEntryRules(member, roleConfig) {
+  if (!roleConfig || typeof roleConfig !== "object") return { allowed: true };
+
+  const blocked = (roleConfig.blockedRoleIds || []).filter(id =>
+    member.roles.cache.has(id),
+  );
+  if (blocked.length > 0) {
+    return {
+      allowed: false,
+      reason: `You can't take this role while you have ${blocked.map(id => `<@&${id}>`).join(", ")}.`,
+    };
+  }
+
+  const missing = (roleConfig.requiredRoleIds || []).filter(
+    id => !member.roles.cache.has(id),
+  );
+  if (missing.length > 0) {
+    return {
+      allowed: false,
+      reason: `You need ${missing.map(id => `<@&${id}>`).join(", ")} before you can take this role.`,
+    };
+  }
+
+  if (roleConfig.minLevel > 0) {
+    const { getExperienceManager } = await import(
+      "../../features/experience/ExperienceManager.js"
+    );
+    const experienceManager = await getExperienceManager();
+    const userData = await experienceManager.getUserData(
+      member.guild.id,
+      member.id,
+    );
+    const level = userData?.level || 0;
+    if (level < roleConfig.minLevel) {
+      return {
+        allowed: false,
+        reason: `This role unlocks at level **${roleConfig.minLevel}**. You are level **${level}**.`,
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * DM a member why they didn't get a role. DMs that can't be delivered are ignored.
+ * @param {import('discord.js').User} user - User to notify
+ * @param {import('discord.js').Guild} guild - Guild of the role-reaction message
+ * @param {string} reason - Why the role was denied
+ */
+export async function notifyRoleDenied(user, guild, reason) {
+  const embed = new EmbedBuilder()
+    .setTitle("Role Not Assigned")
+    .setDescription(reason)
+    .setColor(THEME.WARNING)
+    .setFooter({ text: `Only you can see this • ${guild.name}` })
+    .setTimestamp();
+
+  try {
+    await user.send({ embeds: [embed] });
+  } catch (error) {
+    getLogger().debug(
+      `Could not DM role denial to ${user.tag}: ${error.message}`,
+    );
+  }
+}
@@ -1,5 +1,4 @@
 import { EmbedBuilder } from "discord.js";
-import { THEME_COLOR } from "../../config/theme.js";
 
 /**
  * Process welcome message with placeholders
@@ -31,17 +30,12 @@ export function createWelcomeEmbed(settings, member) {
   const memberCount = member.guild.memberCount;
 
   const embed = new EmbedBuilder()
-    .setColor(settings.embedColor || THEME_COLOR)
+    .setColor(settings.embedColor)
     .setAuthor({
       name: `${member.user.username} joined the server`,
       iconURL: member.user.displayAvatarURL({ size: 64 }),
     })
-    .setDescription(
-      processWelcomeMessage(
-        settings.message || "Welcome **{user}** to **{server}**! 🎉",
-        member,
-      ),
-    )
+    .setDescription(processWelcomeMessage(settings.message, member))
     .addFields({
       name: "",
       value: "",
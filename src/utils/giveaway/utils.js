@@ -5,9 +5,10 @@
 
 import { PermissionFlagsBits } from "discord.js";
 import { getExperienceManager } from "../../features/experience/ExperienceManager.js";
-import { getDatabaseManager } from "../storage/databaseManager.js";
+import { getStorageManager } from "../storage/storageManager.js";
 import { getMentionableCommand } from "../commandUtils.js";
 import { InputSanitizer } from "../validation/inputValidation.js";
+import { parseOneTimeSchedule } from "../scheduleParser.js";
 
 /**
  * Parse duration string to milliseconds
@@ -41,6 +42,23 @@ export function parseDuration(duration) {
   return value * units[unit];
 }
 
+/**
+ * Resolve a giveaway length from a duration or an end time
+ * @param {string} input - Duration (e.g., "1d") or end time (e.g., "friday 8pm")
+ * @param {string} [timeZone] - IANA timezone end times are read in
+ * @returns {number|null} Milliseconds until the giveaway ends, or null if invalid
+ */
+export function resolveGiveawayDuration(input, timeZone) {
+  const duration = parseDuration(input);
+  if (duration) return duration;
+  if (!input) return null;
+
+  const endTime = parseOneTimeSchedule(input, timeZone);
+  if (!endTime) return null;
+
+  return endTime.getTime() - Date.now();
+}
+
 /**
  * Format duration from milliseconds to human-readable string
  * @param {number} ms - Duration in milliseconds
@@ -163,10 +181,8 @@ export async function validateRequirements(giveaway, member) {
   }
 
   if (giveaway.requirements?.requireVote) {
-    const dbManager = await getDatabaseManager();
-    const userCredits = await dbManager.connectionManager.db
-      .collection("credits")
-      .findOne({ userId: member.user.id });
+    const storageManager = await getStorageManager();
+    const userCredits = await storageManager.getCoreCredits(member.user.id);
 
     if (
       !userCredits ||
@@ -253,11 +269,13 @@ export function validateGiveawayCreation(options) {
   }
 
   // Validate duration
-  const duration = parseDuration(options.duration);
+  const duration = resolveGiveawayDuration(options.duration, options.timezone);
 
   if (!duration) {
     result.valid = false;
-    result.errors.push("Invalid duration format. Use: 30m, 1h, 1d, 1w");
+    result.errors.push(
+      "Invalid duration format. Use: 30m, 1h, 1d, 1w or an end time like `friday 8pm`",
+    );
   }
 
   const minDuration = 1000 * 60; // 1 minute
@@ -119,10 +119,12 @@ export async function routeButtonInteraction(interaction, _client) {
     if (
       customId.startsWith("ticket_create_") ||
       customId.startsWith("ticket_claim_external_") ||
+      customId.startsWith("ticket_rate_") ||
       customId === "ticket_claim" ||
       customId === "ticket_close" ||
       customId === "ticket_add_user" ||
-      customId === "ticket_transfer"
+      customId === "ticket_transfer" ||
+      customId === "ticket_keep_open"
     ) {
       const { handleTicketButtons } = await import(
         "../../../events/ticketing/buttonHandler.js"
@@ -165,6 +167,60 @@ export async function routeButtonInteraction(interaction, _client) {
       return;
     }
 
+    // Role panel buttons
+    if (customId.startsWith("rolepanel_btn_")) {
+      const { handleRolePanelButton } = await import(
+        "../../../commands/admin/role-reactions/panelHandlers.js"
+      );
+      await handleRolePanelButton(interaction);
+      return;
+    }
+
+    // Moderation appeal buttons (user DM and staff review)
+    if (customId.startsWith("mod_appeal_open_")) {
+      const { handleAppealButton } = await import(
+        "../../../commands/admin/moderation/handlers.js"
+      );
+      await handleAppealButton(interaction, _client);
+      return;
+    }
+
+    if (
+      customId.startsWith("mod_appeal_accept_") ||
+      customId.startsWith("mod_appeal_deny_")
+    ) {
+      const { handleAppealReview } = await import(
+        "../../../commands/admin/moderation/handlers.js"
+      );
+      await handleAppealReview(interaction, _client);
+      return;
+    }
+
+    // Verification panel and captcha buttons
+    if (customId === "verification_start") {
+      const { handleVerificationStart } = await import(
+        "../../../commands/admin/verification/handlers.js"
+      );
+      await handleVerificationStart(interaction);
+      return;
+    }
+
+    if (customId === "verification_refresh") {
+      const { handleVerificationRefresh } = await import(
+        "../../../commands/admin/verification/handlers.js"
+      );
+      await handleVerificationRefresh(interaction);
+      return;
+    }
+
+    if (customId === "verification_answer") {
+      const { handleVerificationAnswer } = await import(
+        "../../../commands/admin/verification/handlers.js"
+      );
+      await handleVerificationAnswer(interaction);
+      return;
+    }
+
     // Moderation history pagination buttons
     if (customId.startsWith("mod_history_")) {
       const { handleHistoryPagination } = await import(
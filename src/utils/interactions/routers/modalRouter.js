@@ -56,10 +56,28 @@ export async function routeModalInteraction(interaction, _client) {
       return;
     }
 
+    if (customId.startsWith("mod_appeal_modal_")) {
+      const { handleAppealModal } = await import(
+        "../../../commands/admin/moderation/handlers.js"
+      );
+      await handleAppealModal(interaction, _client);
+      return;
+    }
+
+    if (customId === "verification_modal") {
+      const { handleVerificationModal } = await import(
+        "../../../commands/admin/verification/handlers.js"
+      );
+      await handleVerificationModal(interaction);
+      return;
+    }
+
     // Handle ticket modals
     if (
       customId === "ticket_add_user_modal" ||
-      customId === "ticket_transfer_modal"
+      customId === "ticket_transfer_modal" ||
+      customId.startsWith("ticket_intake_") ||
+      customId.startsWith("ticket_rate_modal_")
     ) {
       const { handleTicketModals } = await import(
         "../../../events/ticketing/modalHandler.js"
@@ -68,6 +86,14 @@ export async function routeModalInteraction(interaction, _client) {
       return;
     }
 
+    if (customId.startsWith("ticket_form_config_")) {
+      const { handlePanelFormModal } = await import(
+        "../../../commands/admin/ticket/handlers/admin.js"
+      );
+      await handlePanelFormModal(interaction);
+      return;
+    }
+
     // Add more modal routing patterns here as needed
     logger.debug(`Unknown modal interaction: ${customId}`);
   } catch (error) {
@@ -74,6 +74,14 @@ export async function routeSelectMenuInteraction(interaction, _client) {
       return;
     }
 
+    if (customId === "rolepanel_select") {
+      const { handleRolePanelSelect } = await import(
+        "../../../commands/admin/role-reactions/panelHandlers.js"
+      );
+      await handleRolePanelSelect(interaction);
+      return;
+    }
+
     // Add more select menu routing patterns here as needed
     logger.debug(`Unknown select menu interaction: ${customId}`);
   } catch (error) {
@@ -3,10 +3,26 @@
  * Handles parsing of various schedule formats for role assignments
  */
 
-// One-time schedule parsing
-export function parseOneTimeSchedule(scheduleInput) {
+import { getSystemTimezone, toWallClock, wallClockToDate } from "./timezone.js";
+
+/**
+ * Parse a one-time schedule.
+ * Clock times ("tomorrow 8am", "friday 2pm") are read in the given timezone;
+ * relative times ("in 2 hours", "30m") don't depend on it.
+ * @param {string} scheduleInput - Schedule text
+ * @param {string} [timeZone] - IANA timezone (default: the bot's timezone)
+ * @returns {Date|null} When the schedule should run
+ */
+export function parseOneTimeSchedule(
+  scheduleInput,
+  timeZone = getSystemTimezone(),
+) {
   try {
     const input = scheduleInput.toLowerCase().trim();
+    const now = new Date();
+    // Calendar math below works on the wall clock of the timezone
+    const wallNow = toWallClock(now, timeZone);
+    const toDate = wallClock => wallClockToDate(wallClock, timeZone);
 
     // Handle standalone time formats (e.g., "10:30", "2pm", "14:30")
     // These should be interpreted as "today at that time" (or tomorrow if time has passed)
@@ -19,10 +35,6 @@ export function parseOneTimeSchedule(scheduleInput) {
         /^(today|tomorrow|in|next|this|monday|tuesday|wednesday|thursday|friday|saturday|sunday|tonight|morning|afternoon|evening|midnight|noon)/i,
       )
     ) {
-      const now = new Date();
-      const today = new Date(now);
-      today.setSeconds(0, 0);
-
       let hour = parseInt(timeOnlyMatch[1]);
       const minute = timeOnlyMatch[2] ? parseInt(timeOnlyMatch[2]) : 0;
       const second = timeOnlyMatch[3] ? parseInt(timeOnlyMatch[3]) : 0;
@@ -44,15 +56,15 @@ export function parseOneTimeSchedule(scheduleInput) {
         second >= 0 &&
         second <= 59
       ) {
-        const targetTime = new Date(today);
-        targetTime.setHours(hour, minute, second, 0);
+        const targetTime = new Date(wallNow);
+        targetTime.setUTCHours(hour, minute, second, 0);
 
         // If the time has already passed today, schedule for tomorrow
-        if (targetTime <= now) {
-          targetTime.setDate(targetTime.getDate() + 1);
+        if (toDate(targetTime) <= now) {
+          targetTime.setUTCDate(targetTime.getUTCDate() + 1);
         }
 
-        return targetTime;
+        return toDate(targetTime);
       }
     }
 
@@ -72,31 +84,31 @@ export function parseOneTimeSchedule(scheduleInput) {
 
     // Handle "now", "immediately", "asap"
     if (["now", "immediately", "asap", "right now"].includes(input)) {
-      return new Date();
+      return now;
     }
 
     // Handle "today" with various time formats
     if (input.startsWith("today ")) {
       const timeStr = input.substring(6);
-      return parseTimeOnDate(timeStr, new Date());
+      return toDate(parseTimeOnDate(timeStr, new Date(wallNow)));
     }
 
     // Handle "tomorrow" with various time formats
     if (input.startsWith("tomorrow ")) {
       const timeStr = input.substring(9);
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      return parseTimeOnDate(timeStr, tomorrow);
+      const tomorrow = new Date(wallNow);
+      tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+      return toDate(parseTimeOnDate(timeStr, tomorrow));
     }
 
     // Handle "next" formats
     if (input.startsWith("next ")) {
-      return parseNextFormat(input.substring(5));
+      return toDate(parseNextFormat(input.substring(5), wallNow));
     }
 
     // Handle "this" formats
     if (input.startsWith("this ")) {
-      return parseThisFormat(input.substring(5));
+      return toDate(parseThisFormat(input.substring(5), wallNow));
     }
 
     // Handle day names (e.g., "monday 2pm", "friday 9am")
@@ -106,72 +118,72 @@ export function parseOneTimeSchedule(scheduleInput) {
     if (dayMatch) {
       const dayName = dayMatch[1];
       const timeStr = dayMatch[2];
-      return parseDayAndTime(dayName, timeStr);
+      return toDate(parseDayAndTime(dayName, timeStr, wallNow));
     }
 
     // Handle "tonight" (6pm to 11pm)
     if (input.startsWith("tonight ")) {
       const timeStr = input.substring(8);
-      const tonight = new Date();
+      const tonight = new Date(wallNow);
       // Default to 6pm if no time specified
       if (!timeStr.trim()) {
-        tonight.setHours(18, 0, 0, 0);
-        return tonight;
+        tonight.setUTCHours(18, 0, 0, 0);
+        return toDate(tonight);
       }
-      return parseTimeOnDate(timeStr, tonight);
+      return toDate(parseTimeOnDate(timeStr, tonight));
     }
 
     // Handle "morning" (6am to 11am)
     if (input.startsWith("morning ")) {
       const timeStr = input.substring(8);
-      const morning = new Date();
+      const morning = new Date(wallNow);
       // Default to 9am if no time specified
       if (!timeStr.trim()) {
-        morning.setHours(9, 0, 0, 0);
-        return morning;
+        morning.setUTCHours(9, 0, 0, 0);
+        return toDate(morning);
       }
-      return parseTimeOnDate(timeStr, morning);
+      return toDate(parseTimeOnDate(timeStr, morning));
     }
 
     // Handle "afternoon" (12pm to 5pm)
     if (input.startsWith("afternoon ")) {
       const timeStr = input.substring(10);
-      const afternoon = new Date();
+      const afternoon = new Date(wallNow);
       // Default to 2pm if no time specified
       if (!timeStr.trim()) {
-        afternoon.setHours(14, 0, 0, 0);
-        return afternoon;
+        afternoon.setUTCHours(14, 0, 0, 0);
+        return toDate(afternoon);
       }
-      return parseTimeOnDate(timeStr, afternoon);
+      return toDate(parseTimeOnDate(timeStr, afternoon));
     }
 
     // Handle "evening" (6pm to 11pm)
     if (input.startsWith("evening ")) {
       const timeStr = input.substring(8);
-      const evening = new Date();
+      const evening = new Date(wallNow);
       // Default to 7pm if no time specified
       if (!timeStr.trim()) {
-        evening.setHours(19, 0, 0, 0);
-        return evening;
+        evening.setUTCHours(19, 0, 0, 0);
+        return toDate(evening);
       }
-      return parseTimeOnDate(timeStr, evening);
+      return toDate(parseTimeOnDate(timeStr, evening));
     }
 
     // Handle "midnight" and "noon"
     if (input === "midnight") {
-      const midnight = new Date();
-      midnight.setHours(0, 0, 0, 0);
-      return midnight;
+      const midnight = new Date(wallNow);
+      midnight.setUTCHours(0, 0, 0, 0);
+      return toDate(midnight);
     }
 
     if (input === "noon") {
-      const noon = new Date();
-      noon.setHours(12, 0, 0, 0);
-      return noon;
+      const noon = new Date(wallNow);
+      noon.setUTCHours(12, 0, 0, 0);
+      return toDate(noon);
     }
 
     // Handle absolute date-time with more flexible parsing
-    const parsed = parseFlexibleDateTime(input);
+    const parsed = parseFlexibleDateTime(input, timeZone);
     if (parsed) {
       return parsed;
     }
@@ -222,6 +234,7 @@ function parseShorthandTime(amount, unit) {
   }
 }
 
+// Sets a time on a wall clock date (see timezone.js)
 function parseTimeOnDate(timeStr, date) {
   // Enhanced time parsing - supports multiple formats
   const timeStrLower = timeStr.toLowerCase().trim();
@@ -241,7 +254,7 @@ function parseTimeOnDate(timeStr, date) {
 
       // Validate hours
       if (hour >= 0 && hour <= 23) {
-        date.setHours(hour, minute, second, 0);
+        date.setUTCHours(hour, minute, second, 0);
         return date;
       }
     }
@@ -262,14 +275,14 @@ function parseTimeOnDate(timeStr, date) {
 
   // Validate hours
   if (hour >= 0 && hour <= 23) {
-    date.setHours(hour, minute, second, 0);
+    date.setUTCHours(hour, minute, second, 0);
     return date;
   }
 
   return null;
 }
 
-function parseNextFormat(input) {
+function parseNextFormat(input, wallNow) {
   const inputLower = input.toLowerCase().trim();
 
   // Handle "next monday", "next friday 2pm", etc.
@@ -279,26 +292,26 @@ function parseNextFormat(input) {
   if (dayMatch) {
     const dayName = dayMatch[1];
     const timeStr = dayMatch[2] || "";
-    return parseDayAndTime(dayName, timeStr, true); // true = next occurrence
+    return parseDayAndTime(dayName, timeStr, wallNow, true); // true = next occurrence
   }
 
   // Handle "next week", "next month"
   if (inputLower === "week") {
-    const nextWeek = new Date();
-    nextWeek.setDate(nextWeek.getDate() + 7);
+    const nextWeek = new Date(wallNow);
+    nextWeek.setUTCDate(nextWeek.getUTCDate() + 7);
     return nextWeek;
   }
 
   if (inputLower === "month") {
-    const nextMonth = new Date();
-    nextMonth.setMonth(nextMonth.getMonth() + 1);
+    const nextMonth = new Date(wallNow);
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
     return nextMonth;
   }
 
   return null;
 }
 
-function parseThisFormat(input) {
+function parseThisFormat(input, wallNow) {
   const inputLower = input.toLowerCase().trim();
 
   // Handle "this monday", "this friday 2pm", etc.
@@ -308,24 +321,24 @@ function parseThisFormat(input) {
   if (dayMatch) {
     const dayName = dayMatch[1];
     const timeStr = dayMatch[2] || "";
-    return parseDayAndTime(dayName, timeStr, false); // false = this occurrence
+    return parseDayAndTime(dayName, timeStr, wallNow, false); // false = this occurrence
   }
 
   // Handle "this week", "this month"
   if (inputLower === "week") {
-    const thisWeek = new Date();
+    const thisWeek = new Date(wallNow);
     return thisWeek;
   }
 
   if (inputLower === "month") {
-    const thisMonth = new Date();
+    const thisMonth = new Date(wallNow);
     return thisMonth;
   }
 
   return null;
 }
 
-function parseDayAndTime(dayName, timeStr, nextOccurrence = false) {
+function parseDayAndTime(dayName, timeStr, wallNow, nextOccurrence = false) {
   const dayNames = [
     "sunday",
     "monday",
@@ -339,8 +352,7 @@ function parseDayAndTime(dayName, timeStr, nextOccurrence = false) {
 
   if (targetDay === -1) return null;
 
-  const now = new Date();
-  const currentDay = now.getDay();
+  const currentDay = wallNow.getUTCDay();
   let daysToAdd = targetDay - currentDay;
 
   if (nextOccurrence) {
@@ -355,20 +367,20 @@ function parseDayAndTime(dayName, timeStr, nextOccurrence = false) {
     }
   }
 
-  const targetDate = new Date();
-  targetDate.setDate(now.getDate() + daysToAdd);
+  const targetDate = new Date(wallNow);
+  targetDate.setUTCDate(wallNow.getUTCDate() + daysToAdd);
 
   // If time is specified, parse it; otherwise default to 9am
   if (timeStr.trim()) {
     const parsedTime = parseTimeOnDate(timeStr, targetDate);
     return parsedTime;
   } else {
-    targetDate.setHours(9, 0, 0, 0); // Default to 9am
+    targetDate.setUTCHours(9, 0, 0, 0); // Default to 9am
     return targetDate;
   }
 }
 
-function parseFlexibleDateTime(input) {
+function parseFlexibleDateTime(input, timeZone) {
   const inputLower = input.toLowerCase().trim();
 
   // Handle various date formats
@@ -428,16 +440,15 @@ function parseFlexibleDateTime(input) {
           dateStr = `${match[3]}-${match[2].padStart(2, "0")}-${match[1].padStart(2, "0")}`;
         }
 
-        // Add time if provided
-        if (match[4]) {
-          const hour = match[4].padStart(2, "0");
-          const minute = match[5] ? match[5].padStart(2, "0") : "00";
-          const second = match[6] ? match[6].padStart(2, "0") : "00";
-          dateStr += `T${hour}:${minute}:${second}`;
-        }
+        // Add time if provided (midnight otherwise)
+        const hour = match[4] ? match[4].padStart(2, "0") : "00";
+        const minute = match[5] ? match[5].padStart(2, "0") : "00";
+        const second = match[6] ? match[6].padStart(2, "0") : "00";
+        dateStr += `T${hour}:${minute}:${second}Z`;
 
-        const parsed = new Date(dateStr);
-        if (!isNaN(parsed.getTime())) {
+        // Parsed as UTC so the fields stay the wall clock of the timezone
+        const parsed = wallClockToDate(new Date(dateStr), timeZone);
+        if (parsed) {
           return parsed;
         }
       } catch (_e) {
@@ -467,6 +478,10 @@ export function parseRecurringSchedule(type, details) {
         return parseMonthlySchedule(details);
       case "custom":
         return parseCustomSchedule(details);
+      case "cron":
+        return parseCronSchedule(details);
+      case "calendar":
+        return parseCalendarSchedule(details);
       default:
         return null;
     }
@@ -643,6 +658,205 @@ function parseCustomSchedule(details) {
   };
 }
 
+const WEEKDAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const CRON_MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+// minute, hour, day of month, month, day of week (0 and 7 are Sunday)
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  {
+    min: 1,
+    max: 12,
+    names: [
+      "jan",
+      "feb",
+      "mar",
+      "apr",
+      "may",
+      "jun",
+      "jul",
+      "aug",
+      "sep",
+      "oct",
+      "nov",
+      "dec",
+    ],
+  },
+  {
+    min: 0,
+    max: 7,
+    names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
+  },
+];
+
+function parseCronValue(value, { min, max, names }) {
+  const nameIndex = names ? names.indexOf(value) : -1;
+  if (nameIndex !== -1) return nameIndex + min;
+
+  if (!/^\d+$/.test(value)) return null;
+  const number = parseInt(value);
+  return number >= min && number <= max ? number : null;
+}
+
+function parseCronField(field, range) {
+  const values = new Set();
+
+  for (const part of field.split(",")) {
+    const partMatch = part.match(/^([^/]+)(?:\/(\d+))?$/);
+    if (!partMatch) return null;
+
+    const step = partMatch[2] ? parseInt(partMatch[2]) : 1;
+    if (step < 1) return null;
+
+    let start = range.min;
+    let end = range.max;
+    if (partMatch[1] !== "*") {
+      const bounds = partMatch[1].split("-");
+      if (bounds.length > 2) return null;
+
+      start = parseCronValue(bounds[0], range);
+      // "5/15" runs from 5 to the end of the range
+      end =
+        bounds.length === 2
+          ? parseCronValue(bounds[1], range)
+          : partMatch[2]
+            ? range.max
+            : start;
+      if (start === null || end === null || start > end) return null;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression: minute, hour, day of month, month and day
+ * of week. Fields take `*`, numbers, ranges (`1-5`), lists (`1,15`), steps
+ * (`9-17/2`) and month/day names, and macros like `@daily` are expanded.
+ * As in cron, when both day fields are restricted a day matching either runs.
+ * @param {string} expression - Cron expression (e.g. "30 9 * * mon-fri")
+ * @returns {{minutes: number[], hours: number[], daysOfMonth: Set<number>, months: Set<number>, daysOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean}|null} Allowed values per field, or null if the expression is invalid
+ */
+export function parseCronExpression(expression) {
+  if (typeof expression !== "string") return null;
+
+  const normalized = expression.trim().toLowerCase();
+  const fields = (CRON_MACROS[normalized] || normalized).split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) return null;
+
+  const values = fields.map((field, index) =>
+    parseCronField(field, CRON_FIELDS[index]),
+  );
+  if (values.some(fieldValues => !fieldValues)) return null;
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = values;
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: fields[2].startsWith("*"),
+    anyDayOfWeek: fields[4].startsWith("*"),
+  };
+}
+
+function parseCronSchedule(details) {
+  const expression = details.trim().toLowerCase().replace(/\s+/g, " ");
+  if (!parseCronExpression(expression)) return null;
+
+  return {
+    type: "cron",
+    expression,
+  };
+}
+
+const CALENDAR_WEEKS = {
+  first: 1,
+  "1st": 1,
+  second: 2,
+  "2nd": 2,
+  third: 3,
+  "3rd": 3,
+  fourth: 4,
+  "4th": 4,
+  fifth: 5,
+  "5th": 5,
+  last: -1,
+};
+
+function parseCalendarSchedule(details) {
+  // "last friday 6pm", "every 2nd tuesday of the month 09:00", "last day 9am"
+  const ruleMatch = details
+    .trim()
+    .toLowerCase()
+    .match(
+      /^(?:every\s+)?(first|1st|second|2nd|third|3rd|fourth|4th|fifth|5th|last)\s+(day|sunday|monday|tuesday|wednesday|thursday|friday|saturday)(?:\s+of\s+(?:the|each|every)\s+month)?\s+(?:at\s+)?(.+)$/,
+    );
+  if (!ruleMatch) return null;
+
+  const time = parseDailySchedule(ruleMatch[3]);
+  if (!time || time.hour > 23 || time.minute > 59) return null;
+
+  return {
+    type: "calendar",
+    week: CALENDAR_WEEKS[ruleMatch[1]],
+    dayOfWeek:
+      ruleMatch[2] === "day" ? null : WEEKDAY_NAMES.indexOf(ruleMatch[2]),
+    hour: time.hour,
+    minute: time.minute,
+  };
+}
+
+/**
+ * Parse the dates a recurring schedule should skip
+ * @param {string} input - Dates as YYYY-MM-DD, separated by commas or spaces
+ * @returns {string[]|null} Sorted YYYY-MM-DD dates, or null if any date is invalid
+ */
+export function parseExcludeDates(input) {
+  if (!input || typeof input !== "string") return null;
+
+  const dates = new Set();
+  for (const part of input.split(/[\s,;]+/).filter(Boolean)) {
+    const dateMatch = part.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (!dateMatch) return null;
+
+    const [year, month, day] = dateMatch.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    dates.add(date.toISOString().slice(0, 10));
+  }
+
+  return dates.size > 0 ? [...dates].sort() : null;
+}
+
 // Help text for schedule types
 export function getScheduleHelpText(type) {
   switch (type) {
@@ -656,6 +870,10 @@ export function getScheduleHelpText(type) {
       return "For monthly schedules, use format: `day time` (day of month + time)\n• Day: 1-31 (day of month)\n• 12-hour format: `15 2pm`, `1 9am`\n• 24-hour format: `15 14:30`, `1 09:00`\n• Examples: `15 2pm`, `1 9am`, `31 14:30`";
     case "custom":
       return "For custom intervals, use minutes: `60` (1 hour), `1440` (1 day)\n• Minimum: 1 minute\n• Maximum: 10080 minutes (1 week)";
+    case "cron":
+      return "For cron schedules, use 5 fields: `minute hour day-of-month month day-of-week`\n• Values: `*`, numbers, ranges `1-5`, lists `1,15`, steps `*/15`\n• Names: `jan`-`dec`, `sun`-`sat`\n• Macros: `@hourly`, `@daily`, `@weekly`, `@monthly`, `@yearly`\n• Examples: `30 9 * * mon-fri`, `0 */6 * * *`, `0 18 1,15 * *`";
+    case "calendar":
+      return "For calendar rules, use format: `which day time`\n• Which: `first`-`fifth` (or `1st`-`5th`), `last`\n• Day: a weekday, or `day` for a day of the month\n• Examples: `last friday 6pm`, `every 2nd tuesday 9am`, `last day of the month 23:00`";
     default:
       return "Invalid schedule type.";
   }
@@ -318,6 +318,25 @@ export class ConnectionManager {
       await this.db
         .collection("moderation_logs")
         .createIndex({ timestamp: -1 });
+      await this.db
+        .collection("moderation_logs")
+        .createIndex({ guildId: 1, userId: 1, action: 1, expiresAt: 1 });
+      await this.db
+        .collection("automod_settings")
+        .createIndex({ guildId: 1 }, { unique: true });
+      await this.db
+        .collection("temporary_bans")
+        .createIndex({ guildId: 1, userId: 1 }, { unique: true });
+      await this.db.collection("temporary_bans").createIndex({ expiresAt: 1 });
+      await this.db
+        .collection("verification_settings")
+        .createIndex({ guildId: 1 }, { unique: true });
+      await this.db
+        .collection("pending_verifications")
+        .createIndex({ guildId: 1, userId: 1 }, { unique: true });
+      await this.db
+        .collection("pending_verifications")
+        .createIndex({ kickAt: 1 });
 
       this.logger.success("✅ Database indexes created successfully");
     } catch (error) {
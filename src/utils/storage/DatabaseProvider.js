@@ -16,8 +16,8 @@ export class DatabaseProvider {
     );
   }
 
-  async setRoleMapping(messageId, guildId, channelId, roles) {
-    await this.dbManager.roleMappings.set(messageId, guildId, channelId, roles);
+  async setRoleMapping(messageId, guildId, channelId, data) {
+    await this.dbManager.roleMappings.set(messageId, guildId, channelId, data);
     return true;
   }
 
@@ -240,6 +240,13 @@ export class DatabaseProvider {
     return false;
   }
 
+  async setVoiceControlRoles(guildId, roleData) {
+    if (this.dbManager?.voiceControlRoles) {
+      return this.dbManager.voiceControlRoles.set(guildId, roleData);
+    }
+    return false;
+  }
+
   // Guild Analytics methods
   async updateGuildAnalytics(guildId, date, type, amount) {
     if (this.dbManager?.guildAnalytics) {
@@ -294,13 +301,46 @@ export class DatabaseProvider {
     return [];
   }
 
-  async getWarnCount(guildId, userId) {
+  async getWarnCount(guildId, userId, options = {}) {
     if (this.dbManager?.moderationLogs) {
-      return await this.dbManager.moderationLogs.getWarnCount(guildId, userId);
+      return await this.dbManager.moderationLogs.getWarnCount(
+        guildId,
+        userId,
+        options,
+      );
     }
     return 0;
   }
 
+  async getWarnPoints(guildId, userId, options = {}) {
+    if (this.dbManager?.moderationLogs) {
+      return await this.dbManager.moderationLogs.getWarnPoints(
+        guildId,
+        userId,
+        options,
+      );
+    }
+    return { count: 0, points: 0 };
+  }
+
+  async getModerationCase(guildId, caseId) {
+    if (this.dbManager?.moderationLogs) {
+      return await this.dbManager.moderationLogs.getByCaseId(guildId, caseId);
+    }
+    return null;
+  }
+
+  async updateModerationCase(guildId, caseId, updates) {
+    if (this.dbManager?.moderationLogs) {
+      return await this.dbManager.moderationLogs.updateByCaseId(
+        guildId,
+        caseId,
+        updates,
+      );
+    }
+    return null;
+  }
+
   async removeWarning(guildId, userId, caseId) {
     if (this.dbManager?.moderationLogs) {
       return await this.dbManager.moderationLogs.deleteWarning(
@@ -311,4 +351,533 @@ export class DatabaseProvider {
     }
     return false;
   }
+
+  // Auto-moderation methods
+  async getAutoModSettings(guildId) {
+    if (this.dbManager?.autoModSettings) {
+      return await this.dbManager.autoModSettings.getByGuild(guildId);
+    }
+    return null;
+  }
+
+  async setAutoModSettings(guildId, settings) {
+    if (this.dbManager?.autoModSettings) {
+      return await this.dbManager.autoModSettings.set(guildId, settings);
+    }
+    return false;
+  }
+
+  // Temporary ban methods
+  async getTemporaryBans(guildId) {
+    if (this.dbManager?.temporaryBans) {
+      return await this.dbManager.temporaryBans.getByGuild(guildId);
+    }
+    return [];
+  }
+
+  async getExpiredTemporaryBans() {
+    if (this.dbManager?.temporaryBans) {
+      return await this.dbManager.temporaryBans.findExpired();
+    }
+    return [];
+  }
+
+  async addTemporaryBan(guildId, userId, expiresAt, data = {}) {
+    if (this.dbManager?.temporaryBans) {
+      return await this.dbManager.temporaryBans.add(
+        guildId,
+        userId,
+        expiresAt,
+        data,
+      );
+    }
+    return false;
+  }
+
+  async removeTemporaryBan(guildId, userId) {
+    if (this.dbManager?.temporaryBans) {
+      return await this.dbManager.temporaryBans.delete(guildId, userId);
+    }
+    return false;
+  }
+
+  // Verification methods
+  async getVerificationSettings(guildId) {
+    if (this.dbManager?.verificationSettings) {
+      return await this.dbManager.verificationSettings.getByGuild(guildId);
+    }
+    return null;
+  }
+
+  async setVerificationSettings(guildId, settings) {
+    if (this.dbManager?.verificationSettings) {
+      return await this.dbManager.verificationSettings.set(guildId, settings);
+    }
+    return false;
+  }
+
+  async addPendingVerification(guildId, userId, kickAt) {
+    if (this.dbManager?.pendingVerifications) {
+      return await this.dbManager.pendingVerifications.add(
+        guildId,
+        userId,
+        kickAt,
+      );
+    }
+    return false;
+  }
+
+  async getExpiredPendingVerifications() {
+    if (this.dbManager?.pendingVerifications) {
+      return await this.dbManager.pendingVerifications.findExpired();
+    }
+    return [];
+  }
+
+  async removePendingVerification(guildId, userId) {
+    if (this.dbManager?.pendingVerifications) {
+      return await this.dbManager.pendingVerifications.delete(guildId, userId);
+    }
+    return false;
+  }
+
+  // Guild settings methods
+  async getGuildSettings(guildId) {
+    if (this.dbManager?.guildSettings) {
+      return await this.dbManager.guildSettings.getByGuild(guildId);
+    }
+    return null;
+  }
+
+  async setGuildSettings(guildId, settings) {
+    if (this.dbManager?.guildSettings) {
+      await this.dbManager.guildSettings.set(guildId, settings);
+      return true;
+    }
+    return false;
+  }
+
+  async incrementGuildCounter(guildId, counterField) {
+    if (this.dbManager?.guildSettings) {
+      return await this.dbManager.guildSettings.incrementCounter(
+        guildId,
+        counterField,
+      );
+    }
+    return null;
+  }
+
+  async resetGuildCounter(guildId, counterField) {
+    if (this.dbManager?.guildSettings) {
+      return await this.dbManager.guildSettings.resetCounter(
+        guildId,
+        counterField,
+      );
+    }
+    return false;
+  }
+
+  // Ticket methods
+  async createTicket(ticketData) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.create(ticketData);
+    }
+    return null;
+  }
+
+  async getTicket(ticketId) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.findByTicketId(ticketId);
+    }
+    return null;
+  }
+
+  async getTicketByChannel(channelId) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.findByChannelId(channelId);
+    }
+    return null;
+  }
+
+  async getTicketsByGuild(guildId, options = {}) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.findByGuild(guildId, options);
+    }
+    return [];
+  }
+
+  async getTicketsByUser(userId, guildId, options = {}) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.findByUser(userId, guildId, options);
+    }
+    return [];
+  }
+
+  async countMonthlyTickets(guildId) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.countMonthlyTickets(guildId);
+    }
+    return 0;
+  }
+
+  async countOpenTickets(guildId) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.countOpenTickets(guildId);
+    }
+    return 0;
+  }
+
+  async closeTicket(ticketId, closeData) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.close(ticketId, closeData);
+    }
+    return false;
+  }
+
+  async deleteTicket(ticketId) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.delete(ticketId);
+    }
+    return false;
+  }
+
+  async claimTicket(ticketId, staffId) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.claim(ticketId, staffId);
+    }
+    return false;
+  }
+
+  async addTicketParticipant(ticketId, userId) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.addParticipant(ticketId, userId);
+    }
+    return false;
+  }
+
+  async removeTicketParticipant(ticketId, userId) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.removeParticipant(ticketId, userId);
+    }
+    return false;
+  }
+
+  async getOpenTickets() {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.findOpen();
+    }
+    return [];
+  }
+
+  async updateTicketAutoClose(ticketId, state) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.updateAutoClose(ticketId, state);
+    }
+    return false;
+  }
+
+  async updateTicketPriority(ticketId, priority) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.updatePriority(ticketId, priority);
+    }
+    return false;
+  }
+
+  async updateTicketSla(ticketId, state) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.updateSla(ticketId, state);
+    }
+    return false;
+  }
+
+  async setTicketRating(ticketId, rating) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.setRating(ticketId, rating);
+    }
+    return false;
+  }
+
+  async setTicketRatingFeedback(ticketId, feedback) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.setRatingFeedback(ticketId, feedback);
+    }
+    return false;
+  }
+
+  async addTicketEvent(ticketId, event) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.addEvent(ticketId, event);
+    }
+    return false;
+  }
+
+  async updateTicketCategory(ticketId, categoryId) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.updateCategory(ticketId, categoryId);
+    }
+    return false;
+  }
+
+  async addTicketTags(ticketId, tags) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.addTags(ticketId, tags);
+    }
+    return false;
+  }
+
+  async getTicketsForStaffStats(guildId, range) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.findForStaffStats(guildId, range);
+    }
+    return [];
+  }
+
+  async getTicketStats(guildId) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.getStats(guildId);
+    }
+    return { total: 0, open: 0, closed: 0, archived: 0 };
+  }
+
+  async getExpiredTickets(guildId, days) {
+    if (this.dbManager?.tickets) {
+      return await this.dbManager.tickets.getExpiredTickets(guildId, days);
+    }
+    return [];
+  }
+
+  // Ticket panel methods
+  async createTicketPanel(panelData) {
+    if (this.dbManager?.ticketPanels) {
+      return await this.dbManager.ticketPanels.create(panelData);
+    }
+    return null;
+  }
+
+  async getTicketPanel(panelId) {
+    if (this.dbManager?.ticketPanels) {
+      return await this.dbManager.ticketPanels.findByPanelId(panelId);
+    }
+    return null;
+  }
+
+  async getTicketPanelByMessage(messageId) {
+    if (this.dbManager?.ticketPanels) {
+      return await this.dbManager.ticketPanels.findByMessageId(messageId);
+    }
+    return null;
+  }
+
+  async getTicketPanelsByGuild(guildId) {
+    if (this.dbManager?.ticketPanels) {
+      return await this.dbManager.ticketPanels.findByGuild(guildId);
+    }
+    return [];
+  }
+
+  async updateTicketPanel(panelId, updateData) {
+    if (this.dbManager?.ticketPanels) {
+      return await this.dbManager.ticketPanels.update(panelId, updateData);
+    }
+    return false;
+  }
+
+  async deleteTicketPanel(panelId) {
+    if (this.dbManager?.ticketPanels) {
+      return await this.dbManager.ticketPanels.delete(panelId);
+    }
+    return false;
+  }
+
+  // Ticket panel template methods
+  async saveTicketPanelTemplate(ownerId, template) {
+    if (this.dbManager?.ticketPanelTemplates) {
+      return await this.dbManager.ticketPanelTemplates.upsert(
+        ownerId,
+        template,
+      );
+    }
+    return false;
+  }
+
+  async getTicketPanelTemplate(ownerId, name) {
+    if (this.dbManager?.ticketPanelTemplates) {
+      return await this.dbManager.ticketPanelTemplates.findByName(
+        ownerId,
+        name,
+      );
+    }
+    return null;
+  }
+
+  async getTicketPanelTemplates(ownerId) {
+    if (this.dbManager?.ticketPanelTemplates) {
+      return await this.dbManager.ticketPanelTemplates.findByOwner(ownerId);
+    }
+    return [];
+  }
+
+  async deleteTicketPanelTemplate(ownerId, name) {
+    if (this.dbManager?.ticketPanelTemplates) {
+      return await this.dbManager.ticketPanelTemplates.delete(ownerId, name);
+    }
+    return false;
+  }
+
+  // Ticket transcript methods
+  async createTicketTranscript(transcriptData) {
+    if (this.dbManager?.ticketTranscripts) {
+      return await this.dbManager.ticketTranscripts.create(transcriptData);
+    }
+    return null;
+  }
+
+  async getTicketTranscript(transcriptId) {
+    if (this.dbManager?.ticketTranscripts) {
+      return await this.dbManager.ticketTranscripts.findByTranscriptId(
+        transcriptId,
+      );
+    }
+    return null;
+  }
+
+  async getTicketTranscriptByTicket(ticketId) {
+    if (this.dbManager?.ticketTranscripts) {
+      return await this.dbManager.ticketTranscripts.findByTicketId(ticketId);
+    }
+    return null;
+  }
+
+  async deleteTicketTranscript(transcriptId) {
+    if (this.dbManager?.ticketTranscripts) {
+      return await this.dbManager.ticketTranscripts.delete(transcriptId);
+    }
+    return false;
+  }
+
+  async getExpiredTranscripts(guildId) {
+    if (this.dbManager?.ticketTranscripts) {
+      return await this.dbManager.ticketTranscripts.getExpiredTranscripts(
+        guildId,
+      );
+    }
+    return [];
+  }
+
+  async getTranscriptStorageUsage(guildId) {
+    if (this.dbManager?.ticketTranscripts) {
+      return await this.dbManager.ticketTranscripts.getStorageUsage(guildId);
+    }
+    return { totalTranscripts: 0, totalSizeBytes: 0, totalSizeMB: "0" };
+  }
+
+  async purgeGuildTickets(guildId) {
+    if (this.dbManager?.tickets) {
+      await this.dbManager.tickets.deleteByGuild(guildId);
+    }
+    if (this.dbManager?.ticketTranscripts) {
+      await this.dbManager.ticketTranscripts.deleteByGuild(guildId);
+    }
+    return true;
+  }
+
+  // Giveaway methods
+  async createGiveaway(giveaway) {
+    if (this.dbManager?.giveaways) {
+      return await this.dbManager.giveaways.create(giveaway);
+    }
+    return null;
+  }
+
+  async getGiveawayById(id) {
+    if (this.dbManager?.giveaways) {
+      return await this.dbManager.giveaways.findById(id);
+    }
+    return null;
+  }
+
+  async getGiveawayByShortId(shortId) {
+    if (this.dbManager?.giveaways) {
+      return await this.dbManager.giveaways.findByShortId(shortId);
+    }
+    return null;
+  }
+
+  async getGiveawayByMessageId(messageId) {
+    if (this.dbManager?.giveaways) {
+      return await this.dbManager.giveaways.findByMessageId(messageId);
+    }
+    return null;
+  }
+
+  async getActiveGiveaways() {
+    if (this.dbManager?.giveaways) {
+      return await this.dbManager.giveaways.findActive();
+    }
+    return [];
+  }
+
+  async getGiveawaysByGuild(guildId, status = null) {
+    if (this.dbManager?.giveaways) {
+      return await this.dbManager.giveaways.findByGuild(guildId, status);
+    }
+    return [];
+  }
+
+  async updateGiveaway(id, updateData) {
+    if (this.dbManager?.giveaways) {
+      return await this.dbManager.giveaways.update(id, updateData);
+    }
+    return null;
+  }
+
+  async markGiveawayWinnerClaimed(id, userId) {
+    if (this.dbManager?.giveaways) {
+      return await this.dbManager.giveaways.markWinnerClaimed(id, userId);
+    }
+    return false;
+  }
+
+  async deleteGiveaway(id) {
+    if (this.dbManager?.giveaways) {
+      return await this.dbManager.giveaways.delete(id);
+    }
+    return false;
+  }
+
+  async deleteOldGiveaways(statuses, before) {
+    if (this.dbManager?.giveaways) {
+      return await this.dbManager.giveaways.deleteOld(statuses, before);
+    }
+    return 0;
+  }
+
+  // Role bundle methods
+  async createRoleBundle(bundle) {
+    if (this.dbManager?.roleBundles) {
+      return await this.dbManager.roleBundles.create(bundle);
+    }
+    return null;
+  }
+
+  async getRoleBundle(guildId, name) {
+    if (this.dbManager?.roleBundles) {
+      return await this.dbManager.roleBundles.findByName(guildId, name);
+    }
+    return null;
+  }
+
+  async getRoleBundlesByGuild(guildId) {
+    if (this.dbManager?.roleBundles) {
+      return await this.dbManager.roleBundles.findByGuild(guildId);
+    }
+    return [];
+  }
+
+  async deleteRoleBundle(guildId, name) {
+    if (this.dbManager?.roleBundles) {
+      return await this.dbManager.roleBundles.delete(guildId, name);
+    }
+    return false;
+  }
 }
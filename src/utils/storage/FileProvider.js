@@ -1,6 +1,11 @@
 import fs from "fs/promises";
 import fsSync from "fs";
 import path from "path";
+import { createDefaultGuildSettings } from "./repositories/GuildSettingsRepository.js";
+import { createTicketDocument } from "./repositories/TicketRepository.js";
+import { createPanelDocument } from "./repositories/TicketPanelRepository.js";
+import { createTranscriptDocument } from "./repositories/TicketTranscriptRepository.js";
+import { normalizeRoleMapping } from "./repositories/RoleMappingRepository.js";
 
 class WriteQueue {
   constructor() {
@@ -22,6 +27,82 @@ class WriteQueue {
 
 const writeQueue = new WriteQueue();
 
+// Giveaway fields stored as Dates, which JSON turns into strings
+const GIVEAWAY_DATE_FIELDS = [
+  "startTime",
+  "endTime",
+  "createdAt",
+  "updatedAt",
+  "endedAt",
+  "rerolledAt",
+  "cancelledAt",
+  "completedAt",
+];
+
+function toDate(value) {
+  return value ? new Date(value) : value;
+}
+
+/**
+ * Restore the Date fields of a giveaway read from JSON
+ */
+function reviveGiveaway(giveaway) {
+  if (!giveaway) return null;
+  const revived = { ...giveaway };
+  for (const field of GIVEAWAY_DATE_FIELDS) {
+    if (field in revived) revived[field] = toDate(revived[field]);
+  }
+  revived.entries = (revived.entries || []).map(entry => ({
+    ...entry,
+    joinedAt: toDate(entry.joinedAt),
+  }));
+  revived.winnersData = (revived.winnersData || []).map(winner => ({
+    ...winner,
+    selectedAt: toDate(winner.selectedAt),
+    ...(winner.claimedAt && { claimedAt: toDate(winner.claimedAt) }),
+  }));
+  return revived;
+}
+
+/**
+ * Set fields on a document like MongoDB's $set, including dot paths
+ */
+function applySet(doc, fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    const parts = key.split(".");
+    let target = doc;
+    for (const part of parts.slice(0, -1)) {
+      if (!target[part] || typeof target[part] !== "object") {
+        target[part] = {};
+      }
+      target = target[part];
+    }
+    target[parts[parts.length - 1]] = value;
+  }
+  return doc;
+}
+
+function getPath(doc, key) {
+  return key.split(".").reduce((value, part) => value?.[part], doc);
+}
+
+/**
+ * Role mappings in their canonical shape. JSON files have no schema
+ * migrations, so mappings written in older shapes are normalized on read.
+ */
+function normalizeRoleMappings(mappings) {
+  return Object.fromEntries(
+    Object.entries(mappings).map(([messageId, mapping]) => [
+      messageId,
+      { ...mapping, ...normalizeRoleMapping(mapping) },
+    ]),
+  );
+}
+
+function byNewestOpened(a, b) {
+  return new Date(b.openedAt).getTime() - new Date(a.openedAt).getTime();
+}
+
 export class FileProvider {
   constructor(logger, storagePath = "./data") {
     this.logger = logger;
@@ -150,14 +231,30 @@ export class FileProvider {
     }
   }
 
+  /**
+   * Update one record of a keyed collection
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @param {(record: Object) => boolean|void} update - Mutates the record; returning false skips the write
+   * @returns {Promise<boolean>} Whether the record was updated
+   */
+  async _updateRecord(collection, key, update) {
+    const filePath = this._getFilePath(collection);
+    return writeQueue.enqueue(filePath, async () => {
+      const data = await this.read(collection);
+      if (!data[key] || update(data[key]) === false) return false;
+      return this._writeRaw(filePath, data);
+    });
+  }
+
   // --- Domain Specific Fallback Methods ---
 
   async getRoleMappings() {
-    return await this.read("role_mappings");
+    return normalizeRoleMappings(await this.read("role_mappings"));
   }
 
   async getRoleMappingsPaginated(guildId, page = 1, limit = 4) {
-    const allMappings = await this.read("role_mappings");
+    const allMappings = normalizeRoleMappings(await this.read("role_mappings"));
     const guildMappings = Object.entries(allMappings)
       .filter(([, m]) => m.guildId === guildId)
       .sort((a, b) => {
@@ -192,15 +289,16 @@ export class FileProvider {
     };
   }
 
-  async setRoleMapping(messageId, guildId, channelId, roles) {
+  async setRoleMapping(messageId, guildId, channelId, data) {
     const filePath = this._getFilePath("role_mappings");
     return writeQueue.enqueue(filePath, async () => {
       const mappings = await this.read("role_mappings");
       const existing = mappings[messageId] || {};
       mappings[messageId] = {
+        ...existing,
         guildId,
         channelId,
-        roles,
+        ...normalizeRoleMapping(data),
         createdAt: existing.createdAt || new Date().toISOString(),
         updatedAt: new Date().toISOString(),
       };
@@ -486,6 +584,15 @@ export class FileProvider {
     });
   }
 
+  async setVoiceControlRoles(guildId, roleData) {
+    const filePath = this._getFilePath("voice_control_roles");
+    return writeQueue.enqueue(filePath, async () => {
+      const data = await this.read("voice_control_roles");
+      data[guildId] = { ...data[guildId], ...roleData, guildId };
+      return this._writeRaw(filePath, data);
+    });
+  }
+
   async updateGuildAnalytics(guildId, date, type, amount) {
     const filePath = this._getFilePath("guild_analytics");
     return writeQueue.enqueue(filePath, async () => {
@@ -650,15 +757,59 @@ export class FileProvider {
       moderationLogs[guildId],
     )) {
       for (const log of userHistory) {
-        allHistory.push({ ...log, userId });
+        allHistory.push({ userId, ...log });
       }
     }
     return allHistory;
   }
 
-  async getWarnCount(guildId, userId) {
+  async getModerationCase(guildId, caseId) {
+    const moderationLogs = (await this.read("moderation_logs")) || {};
+    for (const userHistory of Object.values(moderationLogs[guildId] || {})) {
+      const log = userHistory.find(entry => entry.caseId === caseId);
+      if (log) return log;
+    }
+    return null;
+  }
+
+  async updateModerationCase(guildId, caseId, updates) {
+    const filePath = this._getFilePath("moderation_logs");
+    return writeQueue.enqueue(filePath, async () => {
+      const moderationLogs = (await this.read("moderation_logs")) || {};
+      for (const userHistory of Object.values(moderationLogs[guildId] || {})) {
+        const log = userHistory.find(entry => entry.caseId === caseId);
+        if (log) {
+          Object.assign(log, updates);
+          await this._writeRaw(filePath, moderationLogs);
+          return log;
+        }
+      }
+      return null;
+    });
+  }
+
+  async _getActiveWarnings(guildId, userId, { since = null } = {}) {
     const history = await this.getModerationHistory(guildId, userId);
-    return history.filter(log => log.action === "warn").length;
+    const now = Date.now();
+    return history.filter(
+      log =>
+        log.action === "warn" &&
+        (!log.expiresAt || new Date(log.expiresAt).getTime() > now) &&
+        (!since || new Date(log.timestamp) >= since),
+    );
+  }
+
+  async getWarnCount(guildId, userId, options = {}) {
+    const warnings = await this._getActiveWarnings(guildId, userId, options);
+    return warnings.length;
+  }
+
+  async getWarnPoints(guildId, userId, options = {}) {
+    const warnings = await this._getActiveWarnings(guildId, userId, options);
+    return {
+      count: warnings.length,
+      points: warnings.reduce((sum, log) => sum + (log.points ?? 1), 0),
+    };
   }
 
   async removeWarning(guildId, userId, caseId) {
@@ -679,4 +830,703 @@ export class FileProvider {
       return removed;
     });
   }
+
+  async getAutoModSettings(guildId) {
+    const data = await this.read("automod_settings");
+    return data[guildId] || null;
+  }
+
+  async setAutoModSettings(guildId, settings) {
+    const filePath = this._getFilePath("automod_settings");
+    return writeQueue.enqueue(filePath, async () => {
+      const data = await this.read("automod_settings");
+      data[guildId] = {
+        ...settings,
+        guildId,
+        updatedAt: new Date().toISOString(),
+      };
+      return this._writeRaw(filePath, data);
+    });
+  }
+
+  async getTemporaryBans(guildId) {
+    const data = await this.read("temporary_bans");
+    return Object.values(data[guildId] || {}).sort(
+      (a, b) =>
+        new Date(a.expiresAt).getTime() - new Date(b.expiresAt).getTime(),
+    );
+  }
+
+  async getExpiredTemporaryBans() {
+    const data = await this.read("temporary_bans");
+    const now = Date.now();
+    return Object.values(data)
+      .flatMap(guildBans => Object.values(guildBans))
+      .filter(ban => new Date(ban.expiresAt).getTime() <= now);
+  }
+
+  async addTemporaryBan(guildId, userId, expiresAt, data = {}) {
+    const filePath = this._getFilePath("temporary_bans");
+    return writeQueue.enqueue(filePath, async () => {
+      const tempBans = await this.read("temporary_bans");
+      if (!tempBans[guildId]) tempBans[guildId] = {};
+      tempBans[guildId][userId] = {
+        ...data,
+        guildId,
+        userId,
+        expiresAt: new Date(expiresAt).toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+      return this._writeRaw(filePath, tempBans);
+    });
+  }
+
+  async removeTemporaryBan(guildId, userId) {
+    const filePath = this._getFilePath("temporary_bans");
+    return writeQueue.enqueue(filePath, async () => {
+      const tempBans = await this.read("temporary_bans");
+      if (!tempBans[guildId]?.[userId]) return false;
+
+      delete tempBans[guildId][userId];
+      if (Object.keys(tempBans[guildId]).length === 0) {
+        delete tempBans[guildId];
+      }
+      await this._writeRaw(filePath, tempBans);
+      return true;
+    });
+  }
+
+  async getVerificationSettings(guildId) {
+    const data = await this.read("verification_settings");
+    return data[guildId] || null;
+  }
+
+  async setVerificationSettings(guildId, settings) {
+    const filePath = this._getFilePath("verification_settings");
+    return writeQueue.enqueue(filePath, async () => {
+      const data = await this.read("verification_settings");
+      data[guildId] = {
+        ...settings,
+        guildId,
+        updatedAt: new Date().toISOString(),
+      };
+      return this._writeRaw(filePath, data);
+    });
+  }
+
+  async addPendingVerification(guildId, userId, kickAt) {
+    const filePath = this._getFilePath("pending_verifications");
+    return writeQueue.enqueue(filePath, async () => {
+      const pending = await this.read("pending_verifications");
+      if (!pending[guildId]) pending[guildId] = {};
+      pending[guildId][userId] = {
+        guildId,
+        userId,
+        kickAt: new Date(kickAt).toISOString(),
+      };
+      return this._writeRaw(filePath, pending);
+    });
+  }
+
+  async getExpiredPendingVerifications() {
+    const data = await this.read("pending_verifications");
+    const now = Date.now();
+    return Object.values(data)
+      .flatMap(guildPending => Object.values(guildPending))
+      .filter(entry => new Date(entry.kickAt).getTime() <= now);
+  }
+
+  async removePendingVerification(guildId, userId) {
+    const filePath = this._getFilePath("pending_verifications");
+    return writeQueue.enqueue(filePath, async () => {
+      const pending = await this.read("pending_verifications");
+      if (!pending[guildId]?.[userId]) return false;
+
+      delete pending[guildId][userId];
+      if (Object.keys(pending[guildId]).length === 0) {
+        delete pending[guildId];
+      }
+      await this._writeRaw(filePath, pending);
+      return true;
+    });
+  }
+
+  // Guild settings methods
+  async getGuildSettings(guildId) {
+    const data = await this.read("guild_settings");
+    return data[guildId] || createDefaultGuildSettings(guildId);
+  }
+
+  async setGuildSettings(guildId, settings) {
+    const filePath = this._getFilePath("guild_settings");
+    return writeQueue.enqueue(filePath, async () => {
+      const data = await this.read("guild_settings");
+      // Strip _id so settings copied from MongoDB stay plain JSON
+      const safeSettings = { ...settings };
+      delete safeSettings._id;
+      data[guildId] = {
+        ...safeSettings,
+        guildId,
+        updatedAt: new Date().toISOString(),
+      };
+      return this._writeRaw(filePath, data);
+    });
+  }
+
+  async incrementGuildCounter(guildId, counterField) {
+    const filePath = this._getFilePath("guild_settings");
+    return writeQueue.enqueue(filePath, async () => {
+      const data = await this.read("guild_settings");
+      const settings = data[guildId] || {
+        guildId,
+        createdAt: new Date().toISOString(),
+      };
+      const value = (getPath(settings, counterField) || 0) + 1;
+      data[guildId] = applySet(settings, {
+        [counterField]: value,
+        updatedAt: new Date().toISOString(),
+      });
+      await this._writeRaw(filePath, data);
+      return value;
+    });
+  }
+
+  async resetGuildCounter(guildId, counterField) {
+    const filePath = this._getFilePath("guild_settings");
+    return writeQueue.enqueue(filePath, async () => {
+      const data = await this.read("guild_settings");
+      data[guildId] = applySet(data[guildId] || { guildId }, {
+        [counterField]: 0,
+        updatedAt: new Date().toISOString(),
+      });
+      return this._writeRaw(filePath, data);
+    });
+  }
+
+  // Ticket methods
+  async createTicket(ticketData) {
+    const filePath = this._getFilePath("tickets");
+    return writeQueue.enqueue(filePath, async () => {
+      const tickets = await this.read("tickets");
+      if (tickets[ticketData.ticketId]) {
+        this.logger.warn(`Duplicate ticket detected: ${ticketData.ticketId}`);
+        return tickets[ticketData.ticketId];
+      }
+      const ticket = createTicketDocument(ticketData);
+      tickets[ticket.ticketId] = ticket;
+      return (await this._writeRaw(filePath, tickets)) ? ticket : null;
+    });
+  }
+
+  async getTicket(ticketId) {
+    const tickets = await this.read("tickets");
+    return tickets[ticketId] || null;
+  }
+
+  async getTicketByChannel(channelId) {
+    const tickets = await this.read("tickets");
+    return (
+      Object.values(tickets).find(ticket => ticket.channelId === channelId) ||
+      null
+    );
+  }
+
+  async getTicketsByGuild(guildId, options = {}) {
+    const { status = null, userId = null, limit = 50, skip = 0 } = options;
+    const tickets = await this.read("tickets");
+    return Object.values(tickets)
+      .filter(
+        ticket =>
+          ticket.guildId === guildId &&
+          (!status || ticket.status === status) &&
+          (!userId || ticket.userId === userId),
+      )
+      .sort(byNewestOpened)
+      .slice(skip, skip + limit);
+  }
+
+  async getTicketsByUser(userId, guildId, options = {}) {
+    const { status = "all", limit = 20, skip = 0 } = options;
+    const tickets = await this.read("tickets");
+    return Object.values(tickets)
+      .filter(
+        ticket =>
+          ticket.userId === userId &&
+          ticket.guildId === guildId &&
+          (status === "all" || !status || ticket.status === status),
+      )
+      .sort(byNewestOpened)
+      .slice(skip, skip + limit);
+  }
+
+  async _getMonthlyTickets(guildId) {
+    const now = new Date();
+    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    const tickets = await this.read("tickets");
+    return Object.values(tickets).filter(
+      ticket =>
+        ticket.guildId === guildId && new Date(ticket.openedAt) >= startOfMonth,
+    );
+  }
+
+  async countMonthlyTickets(guildId) {
+    const tickets = await this._getMonthlyTickets(guildId);
+    return tickets.length;
+  }
+
+  async countOpenTickets(guildId) {
+    const tickets = await this.read("tickets");
+    return Object.values(tickets).filter(
+      ticket => ticket.guildId === guildId && ticket.status === "open",
+    ).length;
+  }
+
+  async _setTicketFields(ticketId, fields) {
+    return this._updateRecord("tickets", ticketId, ticket => {
+      applySet(ticket, { ...fields, updatedAt: new Date().toISOString() });
+    });
+  }
+
+  async closeTicket(ticketId, closeData) {
+    return this._setTicketFields(ticketId, {
+      status: "closed",
+      closedAt: new Date().toISOString(),
+      closedBy: closeData.closedBy,
+      closeReason: closeData.reason || null,
+    });
+  }
+
+  async deleteTicket(ticketId) {
+    const filePath = this._getFilePath("tickets");
+    return writeQueue.enqueue(filePath, async () => {
+      const tickets = await this.read("tickets");
+      if (!tickets[ticketId]) return false;
+      delete tickets[ticketId];
+      return this._writeRaw(filePath, tickets);
+    });
+  }
+
+  async claimTicket(ticketId, staffId) {
+    return this._setTicketFields(ticketId, {
+      claimedBy: staffId,
+      claimedAt: new Date().toISOString(),
+    });
+  }
+
+  async addTicketParticipant(ticketId, userId) {
+    return this._updateRecord("tickets", ticketId, ticket => {
+      ticket.participants = ticket.participants || [];
+      if (ticket.participants.includes(userId)) return false;
+      ticket.participants.push(userId);
+      ticket.updatedAt = new Date().toISOString();
+    });
+  }
+
+  async removeTicketParticipant(ticketId, userId) {
+    return this._updateRecord("tickets", ticketId, ticket => {
+      if (!ticket.participants?.includes(userId)) return false;
+      ticket.participants = ticket.participants.filter(id => id !== userId);
+      ticket.updatedAt = new Date().toISOString();
+    });
+  }
+
+  async getOpenTickets() {
+    const tickets = await this.read("tickets");
+    return Object.values(tickets).filter(ticket => ticket.status === "open");
+  }
+
+  async updateTicketAutoClose(ticketId, state) {
+    return this._setTicketFields(ticketId, state);
+  }
+
+  async updateTicketPriority(ticketId, priority) {
+    return this._setTicketFields(ticketId, { priority, slaEscalations: {} });
+  }
+
+  async updateTicketSla(ticketId, state) {
+    return this._setTicketFields(ticketId, state);
+  }
+
+  async setTicketRating(ticketId, rating) {
+    return this._updateRecord("tickets", ticketId, ticket => {
+      if (ticket.status !== "closed" || ticket.rating) return false;
+      ticket.rating = rating;
+      ticket.updatedAt = new Date().toISOString();
+    });
+  }
+
+  async setTicketRatingFeedback(ticketId, feedback) {
+    return this._updateRecord("tickets", ticketId, ticket => {
+      if (ticket.rating?.stars === undefined || ticket.rating.feedback) {
+        return false;
+      }
+      ticket.rating.feedback = feedback;
+      ticket.updatedAt = new Date().toISOString();
+    });
+  }
+
+  async addTicketEvent(ticketId, event) {
+    return this._updateRecord("tickets", ticketId, ticket => {
+      ticket.events = [...(ticket.events || []), event];
+      ticket.updatedAt = new Date().toISOString();
+    });
+  }
+
+  async updateTicketCategory(ticketId, categoryId) {
+    return this._setTicketFields(ticketId, { categoryId });
+  }
+
+  async addTicketTags(ticketId, tags) {
+    return this._updateRecord("tickets", ticketId, ticket => {
+      const newTags = tags.filter(tag => !ticket.tags?.includes(tag));
+      if (newTags.length === 0) return false;
+      ticket.tags = [...(ticket.tags || []), ...newTags];
+      ticket.updatedAt = new Date().toISOString();
+    });
+  }
+
+  async getTicketsForStaffStats(guildId, { from, to }) {
+    const tickets = await this.read("tickets");
+    return Object.values(tickets).filter(ticket => {
+      const openedAt = new Date(ticket.openedAt);
+      return ticket.guildId === guildId && openedAt >= from && openedAt < to;
+    });
+  }
+
+  async getTicketStats(guildId) {
+    const stats = { total: 0, open: 0, closed: 0, archived: 0 };
+    for (const ticket of await this._getMonthlyTickets(guildId)) {
+      stats[ticket.status] = (stats[ticket.status] || 0) + 1;
+      stats.total++;
+    }
+    return stats;
+  }
+
+  async getExpiredTickets(guildId, days) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+
+    const tickets = await this.read("tickets");
+    return Object.values(tickets).filter(
+      ticket =>
+        ticket.guildId === guildId &&
+        ticket.status === "open" &&
+        new Date(ticket.updatedAt) < cutoffDate,
+    );
+  }
+
+  // Ticket panel methods
+  async createTicketPanel(panelData) {
+    const filePath = this._getFilePath("ticket_panels");
+    return writeQueue.enqueue(filePath, async () => {
+      const panels = await this.read("ticket_panels");
+      if (panels[panelData.panelId]) {
+        this.logger.warn(`Duplicate panel detected: ${panelData.panelId}`);
+        return panels[panelData.panelId];
+      }
+      const panel = createPanelDocument(panelData);
+      panels[panel.panelId] = panel;
+      return (await this._writeRaw(filePath, panels)) ? panel : null;
+    });
+  }
+
+  async getTicketPanel(panelId) {
+    const panels = await this.read("ticket_panels");
+    return panels[panelId] || null;
+  }
+
+  async getTicketPanelByMessage(messageId) {
+    const panels = await this.read("ticket_panels");
+    return (
+      Object.values(panels).find(panel => panel.messageId === messageId) || null
+    );
+  }
+
+  async getTicketPanelsByGuild(guildId) {
+    const panels = await this.read("ticket_panels");
+    return Object.values(panels).filter(panel => panel.guildId === guildId);
+  }
+
+  async updateTicketPanel(panelId, updateData) {
+    return this._updateRecord("ticket_panels", panelId, panel => {
+      applySet(panel, { ...updateData, updatedAt: new Date().toISOString() });
+    });
+  }
+
+  async deleteTicketPanel(panelId) {
+    const filePath = this._getFilePath("ticket_panels");
+    return writeQueue.enqueue(filePath, async () => {
+      const panels = await this.read("ticket_panels");
+      if (!panels[panelId]) return false;
+      delete panels[panelId];
+      return this._writeRaw(filePath, panels);
+    });
+  }
+
+  // Ticket panel template methods (keyed by owner and lowercase name)
+  async saveTicketPanelTemplate(ownerId, template) {
+    const filePath = this._getFilePath("ticket_panel_templates");
+    return writeQueue.enqueue(filePath, async () => {
+      const templates = await this.read("ticket_panel_templates");
+      const nameKey = template.name.toLowerCase();
+      const key = `${ownerId}_${nameKey}`;
+      const now = new Date().toISOString();
+      templates[key] = {
+        ...template,
+        ownerId,
+        nameKey,
+        createdAt: templates[key]?.createdAt || now,
+        updatedAt: now,
+      };
+      return this._writeRaw(filePath, templates);
+    });
+  }
+
+  async getTicketPanelTemplate(ownerId, name) {
+    const templates = await this.read("ticket_panel_templates");
+    return templates[`${ownerId}_${name.toLowerCase()}`] || null;
+  }
+
+  async getTicketPanelTemplates(ownerId) {
+    const templates = await this.read("ticket_panel_templates");
+    return Object.values(templates)
+      .filter(template => template.ownerId === ownerId)
+      .sort((a, b) => a.nameKey.localeCompare(b.nameKey));
+  }
+
+  async deleteTicketPanelTemplate(ownerId, name) {
+    const filePath = this._getFilePath("ticket_panel_templates");
+    return writeQueue.enqueue(filePath, async () => {
+      const templates = await this.read("ticket_panel_templates");
+      const key = `${ownerId}_${name.toLowerCase()}`;
+      if (!templates[key]) return false;
+      delete templates[key];
+      return this._writeRaw(filePath, templates);
+    });
+  }
+
+  // Ticket transcript methods
+  async createTicketTranscript(transcriptData) {
+    const filePath = this._getFilePath("ticket_transcripts");
+    return writeQueue.enqueue(filePath, async () => {
+      const transcripts = await this.read("ticket_transcripts");
+      if (transcripts[transcriptData.transcriptId]) {
+        this.logger.warn(
+          `Duplicate transcript detected: ${transcriptData.transcriptId}`,
+        );
+        return transcripts[transcriptData.transcriptId];
+      }
+      const transcript = createTranscriptDocument(transcriptData);
+      transcripts[transcript.transcriptId] = transcript;
+      return (await this._writeRaw(filePath, transcripts)) ? transcript : null;
+    });
+  }
+
+  async getTicketTranscript(transcriptId) {
+    const transcripts = await this.read("ticket_transcripts");
+    return transcripts[transcriptId] || null;
+  }
+
+  async getTicketTranscriptByTicket(ticketId) {
+    const transcripts = await this.read("ticket_transcripts");
+    return (
+      Object.values(transcripts).find(
+        transcript => transcript.ticketId === ticketId,
+      ) || null
+    );
+  }
+
+  async deleteTicketTranscript(transcriptId) {
+    const filePath = this._getFilePath("ticket_transcripts");
+    return writeQueue.enqueue(filePath, async () => {
+      const transcripts = await this.read("ticket_transcripts");
+      if (!transcripts[transcriptId]) return false;
+      delete transcripts[transcriptId];
+      return this._writeRaw(filePath, transcripts);
+    });
+  }
+
+  async getExpiredTranscripts(guildId) {
+    const now = new Date();
+    const transcripts = await this.read("ticket_transcripts");
+    return Object.values(transcripts).filter(
+      transcript =>
+        transcript.guildId === guildId &&
+        transcript.expiresAt &&
+        new Date(transcript.expiresAt) < now,
+    );
+  }
+
+  async getTranscriptStorageUsage(guildId) {
+    const transcripts = await this.read("ticket_transcripts");
+    const guildTranscripts = Object.values(transcripts).filter(
+      transcript => transcript.guildId === guildId,
+    );
+    const totalSizeBytes = guildTranscripts.reduce(
+      (sum, transcript) =>
+        sum + Buffer.byteLength(JSON.stringify(transcript), "utf8"),
+      0,
+    );
+    return {
+      totalTranscripts: guildTranscripts.length,
+      totalSizeBytes,
+      totalSizeMB:
+        totalSizeBytes > 0 ? (totalSizeBytes / 1024 / 1024).toFixed(4) : "0",
+    };
+  }
+
+  async purgeGuildTickets(guildId) {
+    for (const collection of ["tickets", "ticket_transcripts"]) {
+      const filePath = this._getFilePath(collection);
+      await writeQueue.enqueue(filePath, async () => {
+        const data = await this.read(collection);
+        for (const [key, record] of Object.entries(data)) {
+          if (record.guildId === guildId) delete data[key];
+        }
+        return this._writeRaw(filePath, data);
+      });
+    }
+    return true;
+  }
+
+  // Giveaway methods (keyed by giveaway ID)
+  async createGiveaway(giveaway) {
+    const filePath = this._getFilePath("giveaways");
+    return writeQueue.enqueue(filePath, async () => {
+      const giveaways = await this.read("giveaways");
+      const id = String(giveaway._id);
+      giveaways[id] = { ...giveaway, _id: id };
+      await this._writeRaw(filePath, giveaways);
+      return giveaway;
+    });
+  }
+
+  async getGiveawayById(id) {
+    const giveaways = await this.read("giveaways");
+    return reviveGiveaway(giveaways[id]);
+  }
+
+  async getGiveawayByShortId(shortId) {
+    const giveaways = await this.read("giveaways");
+    return reviveGiveaway(
+      Object.values(giveaways).find(giveaway => giveaway.shortId === shortId),
+    );
+  }
+
+  async getGiveawayByMessageId(messageId) {
+    const giveaways = await this.read("giveaways");
+    return reviveGiveaway(
+      Object.values(giveaways).find(
+        giveaway => giveaway.messageId === messageId,
+      ),
+    );
+  }
+
+  async getActiveGiveaways() {
+    const giveaways = await this.read("giveaways");
+    return Object.values(giveaways)
+      .filter(giveaway => giveaway.status === "active")
+      .map(reviveGiveaway);
+  }
+
+  async getGiveawaysByGuild(guildId, status = null) {
+    const giveaways = await this.read("giveaways");
+    return Object.values(giveaways)
+      .filter(
+        giveaway =>
+          giveaway.guildId === guildId &&
+          (!status || giveaway.status === status),
+      )
+      .map(reviveGiveaway);
+  }
+
+  async updateGiveaway(id, updateData) {
+    const updated = await this._updateRecord(
+      "giveaways",
+      String(id),
+      giveaway => {
+        applySet(giveaway, updateData);
+      },
+    );
+    return updated ? this.getGiveawayById(String(id)) : null;
+  }
+
+  async markGiveawayWinnerClaimed(id, userId) {
+    return this._updateRecord("giveaways", String(id), giveaway => {
+      const winner = giveaway.winnersData?.find(w => w.userId === userId);
+      if (!winner) return false;
+      winner.claimed = true;
+      winner.claimedAt = new Date();
+      giveaway.updatedAt = new Date();
+    });
+  }
+
+  async deleteGiveaway(id) {
+    const filePath = this._getFilePath("giveaways");
+    return writeQueue.enqueue(filePath, async () => {
+      const giveaways = await this.read("giveaways");
+      if (!giveaways[String(id)]) return false;
+      delete giveaways[String(id)];
+      return this._writeRaw(filePath, giveaways);
+    });
+  }
+
+  async deleteOldGiveaways(statuses, before) {
+    const filePath = this._getFilePath("giveaways");
+    return writeQueue.enqueue(filePath, async () => {
+      const giveaways = await this.read("giveaways");
+      let deletedCount = 0;
+      for (const [id, giveaway] of Object.entries(giveaways)) {
+        if (
+          statuses.includes(giveaway.status) &&
+          new Date(giveaway.updatedAt) < before
+        ) {
+          delete giveaways[id];
+          deletedCount++;
+        }
+      }
+      if (deletedCount > 0) {
+        await this._writeRaw(filePath, giveaways);
+      }
+      return deletedCount;
+    });
+  }
+
+  // Role bundle methods (keyed by guild and name)
+  async createRoleBundle(bundle) {
+    const filePath = this._getFilePath("role_bundles");
+    return writeQueue.enqueue(filePath, async () => {
+      const bundles = await this.read("role_bundles");
+      const key = `${bundle.guildId}_${bundle.name}`;
+      if (bundles[key]) {
+        throw new Error(`Role bundle "${bundle.name}" already exists`);
+      }
+      const stored = { ...bundle };
+      delete stored._id;
+      bundles[key] = stored;
+      await this._writeRaw(filePath, bundles);
+      return bundle;
+    });
+  }
+
+  async getRoleBundle(guildId, name) {
+    const bundles = await this.read("role_bundles");
+    return bundles[`${guildId}_${name}`] || null;
+  }
+
+  async getRoleBundlesByGuild(guildId) {
+    const bundles = await this.read("role_bundles");
+    return Object.values(bundles).filter(bundle => bundle.guildId === guildId);
+  }
+
+  async deleteRoleBundle(guildId, name) {
+    const filePath = this._getFilePath("role_bundles");
+    return writeQueue.enqueue(filePath, async () => {
+      const bundles = await this.read("role_bundles");
+      const key = `${guildId}_${name}`;
+      if (!bundles[key]) return false;
+      delete bundles[key];
+      return this._writeRaw(filePath, bundles);
+    });
+  }
 }
@@ -0,0 +1,169 @@
+import { MIGRATIONS } from "./migrations/index.js";
+
+export const MIGRATIONS_COLLECTION = "schema_migrations";
+
+const LOCK_ID = "__lock";
+// A lock older than this was left behind by a process that died mid-run
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const LOCK_RETRY_MS = 2000;
+
+/**
+ * @typedef {Object} MigrationRecord
+ * @property {string} _id - Migration ID, or "__lock" for the lock document
+ * @property {string} [description]
+ * @property {Date} [appliedAt]
+ * @property {number} [durationMs]
+ * @property {Date} [lockedAt]
+ */
+
+/**
+ * Applies the ordered schema migrations to MongoDB and records each applied
+ * one in the schema_migrations collection. Runs are guarded by a lock
+ * document so two bot instances starting together don't migrate twice.
+ */
+export class MigrationRunner {
+  /**
+   * @param {import('mongodb').Db} db - Connected database
+   * @param {Object} logger - Logger instance
+   * @param {Array<{id: string, description: string, up: Function, down: Function}>} [migrations] - Ordered migrations
+   */
+  constructor(db, logger, migrations = MIGRATIONS) {
+    this.db = db;
+    this.logger = logger;
+    this.migrations = migrations;
+    /** @type {import('mongodb').Collection<MigrationRecord>} */
+    this.collection = db.collection(MIGRATIONS_COLLECTION);
+  }
+
+  /**
+   * Every known migration with the time it was applied, or null if pending
+   * @returns {Promise<Array<{id: string, description: string, appliedAt: Date|null}>>}
+   */
+  async getStatus() {
+    const applied = await this._getApplied();
+    return this.migrations.map(migration => ({
+      id: migration.id,
+      description: migration.description,
+      appliedAt: applied.get(migration.id)?.appliedAt || null,
+    }));
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {{to?: string, waitForLock?: boolean}} [options] - Stop after this
+   *   migration; wait for a run holding the lock elsewhere instead of failing
+   * @returns {Promise<string[]>} IDs of the migrations applied
+   */
+  async up({ to = null, waitForLock = false } = {}) {
+    this._assertKnown(to);
+
+    return this._withLock(waitForLock, async () => {
+      const applied = await this._getApplied();
+      const ran = [];
+
+      for (const migration of this.migrations) {
+        if (!applied.has(migration.id)) {
+          const startedAt = Date.now();
+          this.logger.info(`🔄 Applying migration ${migration.id}...`);
+          await migration.up(this.db, this.logger);
+          await this.collection.insertOne({
+            _id: migration.id,
+            description: migration.description,
+            appliedAt: new Date(),
+            durationMs: Date.now() - startedAt,
+          });
+          ran.push(migration.id);
+        }
+        if (migration.id === to) break;
+      }
+
+      if (ran.length > 0) {
+        this.logger.success(`✅ Applied ${ran.length} schema migration(s)`);
+      }
+      return ran;
+    });
+  }
+
+  /**
+   * Revert the most recently applied migrations, newest first
+   * @param {{steps?: number}} [options] - How many migrations to revert
+   * @returns {Promise<string[]>} IDs of the migrations reverted
+   */
+  async down({ steps = 1 } = {}) {
+    return this._withLock(false, async () => {
+      const applied = await this._getApplied();
+      const toRevert = this.migrations
+        .filter(migration => applied.has(migration.id))
+        .reverse()
+        .slice(0, steps);
+
+      for (const migration of toRevert) {
+        this.logger.info(`↩️ Reverting migration ${migration.id}...`);
+        await migration.down(this.db);
+        await this.collection.deleteOne({ _id: migration.id });
+      }
+      return toRevert.map(migration => migration.id);
+    });
+  }
+
+  async _getApplied() {
+    const records = await this.collection
+      .find({ _id: { $ne: LOCK_ID } })
+      .toArray();
+    return new Map(records.map(record => [record._id, record]));
+  }
+
+  _assertKnown(id) {
+    if (id && !this.migrations.some(migration => migration.id === id)) {
+      throw new Error(`Unknown migration: ${id}`);
+    }
+  }
+
+  /**
+   * Take the lock, waiting for it when asked to. The wait ends because the
+   * other run either releases the lock or leaves it to go stale.
+   */
+  async _withLock(wait, task) {
+    let waiting = false;
+    while (!(await this._tryLock())) {
+      if (!wait) {
+        throw new Error("Schema migrations are already running elsewhere");
+      }
+      if (!waiting) {
+        this.logger.info(
+          "⏳ Waiting for schema migrations running elsewhere to finish...",
+        );
+        waiting = true;
+      }
+      await new Promise(resolve => {
+        setTimeout(resolve, LOCK_RETRY_MS);
+      });
+    }
+
+    try {
+      return await task();
+    } finally {
+      await this.collection.deleteOne({ _id: LOCK_ID });
+    }
+  }
+
+  async _tryLock() {
+    const now = new Date();
+    try {
+      // Takes a missing or stale lock; a fresh one makes the upsert insert a
+      // second "__lock" document, which fails with a duplicate key error
+      await this.collection.updateOne(
+        {
+          _id: LOCK_ID,
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+        },
+        { $set: { lockedAt: now } },
+        { upsert: true },
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+}
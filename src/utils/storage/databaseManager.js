@@ -20,9 +20,16 @@ import {
   ModerationLogRepository,
   TicketRepository,
   TicketPanelRepository,
+  TicketPanelTemplateRepository,
   TicketTranscriptRepository,
   NotificationRepository,
   CustomCommandRepository,
+  AutoModRepository,
+  TemporaryBanRepository,
+  VerificationRepository,
+  PendingVerificationRepository,
+  GiveawayRepository,
+  RoleBundleRepository,
 } from "./repositories/index.js";
 import { CacheManager } from "../cache/CacheManager.js";
 import { QueryCache } from "../cache/QueryCache.js";
@@ -67,9 +74,16 @@ class DatabaseManager {
     this.moderationLogs = null;
     this.tickets = null;
     this.ticketPanels = null;
+    this.ticketPanelTemplates = null;
     this.ticketTranscripts = null;
     this.notifications = null;
     this.customCommands = null;
+    this.autoModSettings = null;
+    this.temporaryBans = null;
+    this.verificationSettings = null;
+    this.pendingVerifications = null;
+    this.giveaways = null;
+    this.roleBundles = null;
     // Initialize connection manager asynchronously (non-blocking)
     this._initializeConnectionManager().catch(() => {
       // Silently fail - will be initialized on first connect
@@ -217,6 +231,11 @@ class DatabaseManager {
           this.cacheManager,
           this.logger,
         );
+        this.ticketPanelTemplates = new TicketPanelTemplateRepository(
+          db,
+          this.cacheManager,
+          this.logger,
+        );
         this.ticketTranscripts = new TicketTranscriptRepository(
           db,
           this.cacheManager,
@@ -232,6 +251,36 @@ class DatabaseManager {
           this.cacheManager,
           this.logger,
         );
+        this.autoModSettings = new AutoModRepository(
+          db,
+          this.cacheManager,
+          this.logger,
+        );
+        this.temporaryBans = new TemporaryBanRepository(
+          db,
+          this.cacheManager,
+          this.logger,
+        );
+        this.verificationSettings = new VerificationRepository(
+          db,
+          this.cacheManager,
+          this.logger,
+        );
+        this.pendingVerifications = new PendingVerificationRepository(
+          db,
+          this.cacheManager,
+          this.logger,
+        );
+        this.giveaways = new GiveawayRepository(
+          db,
+          this.cacheManager,
+          this.logger,
+        );
+        this.roleBundles = new RoleBundleRepository(
+          db,
+          this.cacheManager,
+          this.logger,
+        );
 
         this.logger.info(
           "✅ All database repositories initialized successfully",
@@ -0,0 +1,76 @@
+import {
+  getEntryRoleName,
+  normalizeRoleMapping,
+} from "../repositories/RoleMappingRepository.js";
+
+export const id = "001-normalize-role-mappings";
+export const description =
+  "Store role mappings with panel settings next to a flat map of entries that all carry roleIds";
+
+const PANEL_SETTINGS = ["hideList", "selectionMode", "style"];
+
+/**
+ * Normalize every mapping. Entries that only stored a role name keep it and
+ * are still matched by name when members react; they are listed in the log
+ * so admins can re-add them with the role itself.
+ */
+export async function up(db, logger) {
+  const collection = db.collection("role_mappings");
+  const documents = await collection.find({}).toArray();
+  if (documents.length === 0) return;
+
+  const mappings = documents.map(doc => normalizeRoleMapping(doc));
+  await collection.bulkWrite(
+    documents.map((doc, index) => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: mappings[index] },
+      },
+    })),
+  );
+
+  const nameOnly = documents.flatMap((doc, index) =>
+    Object.entries(mappings[index].roles)
+      .filter(([, entry]) => entry.roleIds.length === 0)
+      .map(
+        ([emoji, entry]) =>
+          `${doc.messageId} ${emoji} → ${getEntryRoleName(entry) ?? "no role"}`,
+      ),
+  );
+  if (nameOnly.length > 0) {
+    logger.warn(
+      `⚠️ ${nameOnly.length} role-reaction entries have no role ID and are matched by role name: ${nameOnly.join(", ")}`,
+    );
+  }
+}
+
+/**
+ * Nest the panel settings inside `roles` again, the layout older releases
+ * read. Entries keep their roleIds, which those releases also understand.
+ */
+export async function down(db) {
+  const collection = db.collection("role_mappings");
+  const documents = await collection.find({}).toArray();
+  if (documents.length === 0) return;
+
+  await collection.bulkWrite(
+    documents.map(doc => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set: {
+            roles: {
+              roles: doc.roles,
+              hideList: doc.hideList,
+              selectionMode: doc.selectionMode,
+              style: doc.style,
+            },
+          },
+          $unset: Object.fromEntries(
+            PANEL_SETTINGS.map(setting => [setting, ""]),
+          ),
+        },
+      },
+    })),
+  );
+}
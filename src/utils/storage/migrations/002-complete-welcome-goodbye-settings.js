@@ -0,0 +1,31 @@
+import { createDefaultWelcomeSettings } from "../repositories/WelcomeSettingsRepository.js";
+import { createDefaultGoodbyeSettings } from "../repositories/GoodbyeSettingsRepository.js";
+
+export const id = "002-complete-welcome-goodbye-settings";
+export const description =
+  "Fill welcome and goodbye settings saved without some fields with the defaults";
+
+const COLLECTIONS = {
+  welcome_settings: createDefaultWelcomeSettings,
+  goodbye_settings: createDefaultGoodbyeSettings,
+};
+
+export async function up(db) {
+  for (const [name, createDefaults] of Object.entries(COLLECTIONS)) {
+    const collection = db.collection(name);
+    for (const [field, value] of Object.entries(createDefaults(null))) {
+      if (field === "guildId") continue;
+      // Matches documents where the field is missing or null
+      await collection.updateMany(
+        { [field]: null },
+        { $set: { [field]: value } },
+      );
+    }
+  }
+}
+
+/**
+ * Filled-in defaults can't be told apart from values a guild chose, so they
+ * stay in place. Older releases read complete documents just fine.
+ */
+export async function down() {}
@@ -0,0 +1,13 @@
+import * as normalizeRoleMappings from "./001-normalize-role-mappings.js";
+import * as completeWelcomeGoodbyeSettings from "./002-complete-welcome-goodbye-settings.js";
+
+/**
+ * Schema migrations in the order they are applied. Append new ones at the
+ * end and never reorder or rename applied ones; their IDs are recorded in
+ * the schema_migrations collection. `up(db, logger)` and `down(db)` get the
+ * connected database; up also gets a logger to report what it couldn't fix.
+ */
+export const MIGRATIONS = [
+  normalizeRoleMappings,
+  completeWelcomeGoodbyeSettings,
+];
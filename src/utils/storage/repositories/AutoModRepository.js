@@ -0,0 +1,64 @@
+import { BaseRepository } from "./BaseRepository.js";
+
+export class AutoModRepository extends BaseRepository {
+  constructor(db, cache, logger) {
+    super(db, "automod_settings", cache, logger);
+  }
+
+  async getByGuild(guildId) {
+    try {
+      const cached = this.cache.get(`automod_settings_${guildId}`);
+      if (cached) return cached;
+
+      const settings = await this.collection.findOne({ guildId });
+      if (settings) {
+        this.cache.set(`automod_settings_${guildId}`, settings);
+      }
+      return settings;
+    } catch (error) {
+      this.logger.error(
+        `Failed to get auto-mod settings for guild ${guildId}`,
+        error,
+      );
+      return null;
+    }
+  }
+
+  async set(guildId, settings) {
+    try {
+      const safeSettings = { ...settings };
+      delete safeSettings._id;
+      delete safeSettings.createdAt;
+      await this.collection.updateOne(
+        { guildId },
+        {
+          $set: { ...safeSettings, guildId, updatedAt: new Date() },
+          $setOnInsert: { createdAt: new Date() },
+        },
+        { upsert: true },
+      );
+      this.cache.delete(`automod_settings_${guildId}`);
+      return true;
+    } catch (error) {
+      this.logger.error(
+        `Failed to set auto-mod settings for guild ${guildId}`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  async delete(guildId) {
+    try {
+      await this.collection.deleteOne({ guildId });
+      this.cache.delete(`automod_settings_${guildId}`);
+      return true;
+    } catch (error) {
+      this.logger.error(
+        `Failed to delete auto-mod settings for guild ${guildId}`,
+        error,
+      );
+      return false;
+    }
+  }
+}
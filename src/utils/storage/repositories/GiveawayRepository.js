@@ -0,0 +1,206 @@
+import { ObjectId } from "mongodb";
+import { BaseRepository } from "./BaseRepository.js";
+
+/**
+ * Repository for managing giveaways
+ * Errors are rethrown so GiveawayManager can report them to the user
+ */
+export class GiveawayRepository extends BaseRepository {
+  constructor(db, cache, logger) {
+    super(db, "giveaways", cache, logger);
+    this._ensureIndexes();
+  }
+
+  /**
+   * Create indexes for optimal query performance
+   */
+  async _ensureIndexes() {
+    try {
+      await this.collection.createIndex({ guildId: 1, status: 1 });
+      await this.collection.createIndex({ endTime: 1, status: 1 });
+      await this.collection.createIndex({ messageId: 1 });
+      await this.collection.createIndex({ host: 1, status: 1 });
+      await this.collection.createIndex({ guildId: 1, host: 1, status: 1 });
+      await this.collection.createIndex(
+        { shortId: 1 },
+        { unique: true, sparse: true },
+      );
+      this.logger.debug("GiveawayRepository indexes ensured");
+    } catch (error) {
+      this.logger.debug(
+        "GiveawayRepository indexes already exist or error:",
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Create a giveaway
+   * @param {Object} giveaway - Giveaway document
+   * @returns {Promise<Object>} Created giveaway
+   */
+  async create(giveaway) {
+    try {
+      await this.collection.insertOne(giveaway);
+      return giveaway;
+    } catch (error) {
+      this.logger.error("Failed to create giveaway", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a giveaway by its document ID
+   * @param {string} id - Giveaway ID (24 hex characters)
+   * @returns {Promise<Object|null>} Giveaway document or null
+   */
+  async findById(id) {
+    try {
+      return await this.collection.findOne({ _id: new ObjectId(id) });
+    } catch (error) {
+      this.logger.error(`Failed to find giveaway ${id}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a giveaway by its short ID
+   * @param {string} shortId - 8-character short ID
+   * @returns {Promise<Object|null>} Giveaway document or null
+   */
+  async findByShortId(shortId) {
+    try {
+      return await this.collection.findOne({ shortId });
+    } catch (error) {
+      this.logger.error(`Failed to find giveaway ${shortId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a giveaway by its Discord message ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} Giveaway document or null
+   */
+  async findByMessageId(messageId) {
+    try {
+      return await this.collection.findOne({ messageId });
+    } catch (error) {
+      this.logger.error(
+        `Failed to find giveaway by message ${messageId}`,
+        error,
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Get every active giveaway
+   * @returns {Promise<Array>} Array of giveaway documents
+   */
+  async findActive() {
+    try {
+      return await this.collection.find({ status: "active" }).toArray();
+    } catch (error) {
+      this.logger.error("Failed to find active giveaways", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the giveaways of a guild
+   * @param {string} guildId - Guild ID
+   * @param {string|null} [status] - Only giveaways with this status
+   * @returns {Promise<Array>} Array of giveaway documents
+   */
+  async findByGuild(guildId, status = null) {
+    try {
+      const query = { guildId };
+      if (status) query.status = status;
+      return await this.collection.find(query).toArray();
+    } catch (error) {
+      this.logger.error(`Failed to find giveaways for guild ${guildId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a giveaway
+   * @param {string} id - Giveaway ID
+   * @param {Object} updateData - Fields to set
+   * @returns {Promise<Object|null>} Updated giveaway or null
+   */
+  async update(id, updateData) {
+    try {
+      return await this.collection.findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        { $set: updateData },
+        { returnDocument: "after" },
+      );
+    } catch (error) {
+      this.logger.error(`Failed to update giveaway ${id}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark one winner as claimed without overwriting other winners' claims
+   * @param {string} id - Giveaway ID
+   * @param {string} userId - Winner's user ID
+   * @returns {Promise<boolean>} Whether the winner was found
+   */
+  async markWinnerClaimed(id, userId) {
+    try {
+      const result = await this.collection.updateOne(
+        { _id: new ObjectId(id), "winnersData.userId": userId },
+        {
+          $set: {
+            "winnersData.$.claimed": true,
+            "winnersData.$.claimedAt": new Date(),
+            updatedAt: new Date(),
+          },
+        },
+      );
+      return result.matchedCount > 0;
+    } catch (error) {
+      this.logger.error(`Failed to mark giveaway ${id} claimed`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a giveaway
+   * @param {string} id - Giveaway ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(id) {
+    try {
+      const result = await this.collection.deleteOne({
+        _id: new ObjectId(id),
+      });
+      return result.deletedCount > 0;
+    } catch (error) {
+      this.logger.error(`Failed to delete giveaway ${id}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete giveaways with one of the given statuses last updated before a date
+   * @param {string[]} statuses - Statuses to delete
+   * @param {Date} before - Cutoff date
+   * @returns {Promise<number>} Number of deleted giveaways
+   */
+  async deleteOld(statuses, before) {
+    try {
+      const result = await this.collection.deleteMany({
+        status: { $in: statuses },
+        updatedAt: { $lt: before },
+      });
+      return result.deletedCount;
+    } catch (error) {
+      this.logger.error("Failed to delete old giveaways", error);
+      throw error;
+    }
+  }
+}
@@ -1,5 +1,42 @@
+import { THEME_COLOR } from "../../../config/theme.js";
 import { BaseRepository } from "./BaseRepository.js";
 
+/**
+ * Complete goodbye settings document with every field at its default
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object} Goodbye settings document
+ */
+export function createDefaultGoodbyeSettings(guildId) {
+  return {
+    guildId,
+    enabled: false,
+    channelId: null,
+    message:
+      "**{user}** left the server\nThanks for being part of **{server}**! 👋",
+    embedEnabled: true,
+    embedColor: THEME_COLOR,
+    embedTitle: "👋 Goodbye from {server}!",
+    embedDescription: "Thanks for being part of our community!",
+    embedThumbnail: true,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+}
+
+const ALWAYS_SET = ["guildId", "updatedAt"];
+
+/**
+ * Defaults for the fields missing from a partial settings update, so
+ * new documents are always stored complete
+ */
+function missingDefaults(guildId, settings) {
+  return Object.fromEntries(
+    Object.entries(createDefaultGoodbyeSettings(guildId)).filter(
+      ([field]) => !(field in settings) && !ALWAYS_SET.includes(field),
+    ),
+  );
+}
+
 export class GoodbyeSettingsRepository extends BaseRepository {
   constructor(db, cache, logger) {
     super(db, "goodbye_settings", cache, logger);
@@ -8,22 +45,7 @@ export class GoodbyeSettingsRepository extends BaseRepository {
   async getByGuild(guildId) {
     try {
       const settings = await this.collection.findOne({ guildId });
-      return (
-        settings || {
-          guildId,
-          enabled: false,
-          channelId: null,
-          message:
-            "**{user}** left the server\nThanks for being part of **{server}**! 👋",
-          embedEnabled: true,
-          embedColor: 0x7f7bf5,
-          embedTitle: "👋 Goodbye from {server}!",
-          embedDescription: "Thanks for being part of our community!",
-          embedThumbnail: true,
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        }
-      );
+      return settings || createDefaultGoodbyeSettings(guildId);
     } catch (error) {
       this.logger.error(
         `Failed to get goodbye settings for guild ${guildId}`,
@@ -37,7 +59,10 @@ export class GoodbyeSettingsRepository extends BaseRepository {
     try {
       await this.collection.updateOne(
         { guildId },
-        { $set: { ...settings, guildId, updatedAt: new Date() } },
+        {
+          $set: { ...settings, guildId, updatedAt: new Date() },
+          $setOnInsert: missingDefaults(guildId, settings),
+        },
         { upsert: true },
       );
       this.cache.clear();
@@ -1,5 +1,36 @@
 import { BaseRepository } from "./BaseRepository.js";
 
+/**
+ * Settings of a guild that has not saved any yet
+ * @param {string} guildId - Guild ID
+ * @returns {Object} Default guild settings
+ */
+export function createDefaultGuildSettings(guildId) {
+  return {
+    guildId,
+    experienceSystem: {
+      enabled: false,
+      messageXP: true,
+      commandXP: true,
+      roleXP: true,
+      voiceXP: true,
+      messageXPAmount: { min: 15, max: 25 },
+      commandXPAmount: {
+        base: 8,
+      },
+      roleXPAmount: 50,
+      messageCooldown: 60,
+      commandCooldown: 30,
+      levelUpMessages: true,
+      levelUpChannel: null,
+      // Level formula is fixed at 100 * level^1.5 - no longer configurable
+    },
+    disabledCommands: [],
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+}
+
 export class GuildSettingsRepository extends BaseRepository {
   constructor(db, cache, logger) {
     super(db, "guild_settings", cache, logger);
@@ -29,31 +60,7 @@ export class GuildSettingsRepository extends BaseRepository {
   async getByGuild(guildId) {
     try {
       const settings = await this.collection.findOne({ guildId });
-      return (
-        settings || {
-          guildId,
-          experienceSystem: {
-            enabled: false,
-            messageXP: true,
-            commandXP: true,
-            roleXP: true,
-            voiceXP: true,
-            messageXPAmount: { min: 15, max: 25 },
-            commandXPAmount: {
-              base: 8,
-            },
-            roleXPAmount: 50,
-            messageCooldown: 60,
-            commandCooldown: 30,
-            levelUpMessages: true,
-            levelUpChannel: null,
-            // Level formula is fixed at 100 * level^1.5 - no longer configurable
-          },
-          disabledCommands: [],
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        }
-      );
+      return settings || createDefaultGuildSettings(guildId);
     } catch (error) {
       this.logger.error(
         `Failed to get guild settings for guild ${guildId}`,
@@ -53,6 +53,9 @@ export class ModerationLogRepository extends BaseRepository {
         ...logData,
         timestamp: logData.timestamp ? new Date(logData.timestamp) : new Date(),
       };
+      if (logData.expiresAt) {
+        document.expiresAt = new Date(logData.expiresAt);
+      }
       await this.collection.insertOne(document);
       this.cache.delete(`moderation_logs_${logData.guildId}_${logData.userId}`);
       this.cache.delete(`moderation_logs_guild_${logData.guildId}`);
@@ -63,6 +66,36 @@ export class ModerationLogRepository extends BaseRepository {
     }
   }
 
+  async getByCaseId(guildId, caseId) {
+    try {
+      return await this.collection.findOne({ guildId, caseId });
+    } catch (error) {
+      this.logger.error(`Failed to get moderation case ${caseId}`, error);
+      return null;
+    }
+  }
+
+  async updateByCaseId(guildId, caseId, updates) {
+    try {
+      const changes = { ...updates };
+      if (changes.expiresAt) {
+        changes.expiresAt = new Date(changes.expiresAt);
+      }
+      const document = await this.collection.findOneAndUpdate(
+        { guildId, caseId },
+        { $set: changes },
+        { returnDocument: "after" },
+      );
+      if (!document) return null;
+      this.cache.delete(`moderation_logs_${guildId}_${document.userId}`);
+      this.cache.delete(`moderation_logs_guild_${guildId}`);
+      return document;
+    } catch (error) {
+      this.logger.error(`Failed to update moderation case ${caseId}`, error);
+      return null;
+    }
+  }
+
   async deleteWarning(guildId, userId, caseId) {
     try {
       const result = await this.collection.deleteOne({
@@ -80,16 +113,56 @@ export class ModerationLogRepository extends BaseRepository {
     }
   }
 
-  async getWarnCount(guildId, userId) {
+  /**
+   * Build the filter for warnings that still count towards escalation
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {Date|null} [options.since] - Start of the rolling window
+   * @returns {Object} MongoDB filter
+   */
+  _activeWarningsFilter(guildId, userId, { since = null } = {}) {
+    const filter = {
+      guildId,
+      userId,
+      action: "warn",
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    };
+    if (since) {
+      filter.timestamp = { $gte: since };
+    }
+    return filter;
+  }
+
+  async getWarnCount(guildId, userId, options = {}) {
     try {
-      return await this.collection.countDocuments({
-        guildId,
-        userId,
-        action: "warn",
-      });
+      return await this.collection.countDocuments(
+        this._activeWarningsFilter(guildId, userId, options),
+      );
     } catch (error) {
       this.logger.error(`Failed to get warn count for user ${userId}`, error);
       return 0;
     }
   }
+
+  async getWarnPoints(guildId, userId, options = {}) {
+    try {
+      const [result] = await this.collection
+        .aggregate([
+          { $match: this._activeWarningsFilter(guildId, userId, options) },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              points: { $sum: { $ifNull: ["$points", 1] } },
+            },
+          },
+        ])
+        .toArray();
+      return { count: result?.count || 0, points: result?.points || 0 };
+    } catch (error) {
+      this.logger.error(`Failed to get warn points for user ${userId}`, error);
+      return { count: 0, points: 0 };
+    }
+  }
 }
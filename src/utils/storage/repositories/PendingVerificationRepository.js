@@ -0,0 +1,51 @@
+import { BaseRepository } from "./BaseRepository.js";
+
+export class PendingVerificationRepository extends BaseRepository {
+  constructor(db, cache, logger) {
+    super(db, "pending_verifications", cache, logger);
+  }
+
+  async add(guildId, userId, kickAt) {
+    try {
+      await this.collection.updateOne(
+        { guildId, userId },
+        {
+          $set: { guildId, userId, kickAt: new Date(kickAt) },
+          $setOnInsert: { createdAt: new Date() },
+        },
+        { upsert: true },
+      );
+      return true;
+    } catch (error) {
+      this.logger.error(
+        `Failed to add pending verification for user ${userId} in guild ${guildId}`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  async findExpired() {
+    try {
+      return await this.collection
+        .find({ kickAt: { $lte: new Date() } })
+        .toArray();
+    } catch (error) {
+      this.logger.error("Failed to find expired pending verifications", error);
+      return [];
+    }
+  }
+
+  async delete(guildId, userId) {
+    try {
+      const result = await this.collection.deleteOne({ guildId, userId });
+      return result.deletedCount > 0;
+    } catch (error) {
+      this.logger.error(
+        `Failed to delete pending verification for user ${userId} in guild ${guildId}`,
+        error,
+      );
+      return false;
+    }
+  }
+}
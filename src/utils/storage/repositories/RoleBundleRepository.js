@@ -0,0 +1,93 @@
+import { BaseRepository } from "./BaseRepository.js";
+
+/**
+ * Repository for managing reusable role bundles
+ * Errors are rethrown so RoleBundleManager can report them to the user
+ */
+export class RoleBundleRepository extends BaseRepository {
+  constructor(db, cache, logger) {
+    super(db, "role_bundles", cache, logger);
+    this._ensureIndexes();
+  }
+
+  /**
+   * Create indexes for optimal query performance
+   */
+  async _ensureIndexes() {
+    try {
+      await this.collection.createIndex(
+        { guildId: 1, name: 1 },
+        { unique: true },
+      );
+      this.logger.debug("RoleBundleRepository indexes ensured");
+    } catch (error) {
+      this.logger.debug(
+        "RoleBundleRepository indexes already exist or error:",
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Create a role bundle
+   * @param {Object} bundle - Bundle document
+   * @returns {Promise<Object>} Created bundle
+   */
+  async create(bundle) {
+    try {
+      await this.collection.insertOne(bundle);
+      return bundle;
+    } catch (error) {
+      this.logger.error(`Failed to create role bundle ${bundle.name}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a bundle by name
+   * @param {string} guildId - Guild ID
+   * @param {string} name - Bundle name
+   * @returns {Promise<Object|null>} Bundle document or null
+   */
+  async findByName(guildId, name) {
+    try {
+      return await this.collection.findOne({ guildId, name });
+    } catch (error) {
+      this.logger.error(`Failed to find role bundle ${name}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all bundles of a guild
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<Array>} Array of bundle documents
+   */
+  async findByGuild(guildId) {
+    try {
+      return await this.collection.find({ guildId }).toArray();
+    } catch (error) {
+      this.logger.error(
+        `Failed to find role bundles for guild ${guildId}`,
+        error,
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a bundle by name
+   * @param {string} guildId - Guild ID
+   * @param {string} name - Bundle name
+   * @returns {Promise<boolean>} Whether a bundle was deleted
+   */
+  async delete(guildId, name) {
+    try {
+      const result = await this.collection.deleteOne({ guildId, name });
+      return result.deletedCount > 0;
+    } catch (error) {
+      this.logger.error(`Failed to delete role bundle ${name}`, error);
+      throw error;
+    }
+  }
+}
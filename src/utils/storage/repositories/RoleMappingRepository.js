@@ -1,5 +1,96 @@
 import { BaseRepository } from "./BaseRepository.js";
 
+const PANEL_SETTINGS = ["hideList", "selectionMode", "style"];
+const DISPLAY_FIELDS = ["title", "description", "color"];
+
+/**
+ * Bring one role-reaction entry to its canonical shape: an object whose
+ * roleIds lists every role it grants, with roleId being the first of them
+ * @param {Object|string} entry - Entry in any stored shape
+ * @param {string} emoji - Emoji the entry is stored under
+ * @returns {Object} Canonical entry
+ */
+export function normalizeRoleEntry(entry, emoji) {
+  if (typeof entry === "string") {
+    return { emoji, roleId: entry, roleIds: [entry] };
+  }
+
+  const roleIds =
+    Array.isArray(entry.roleIds) && entry.roleIds.length > 0
+      ? entry.roleIds
+      : entry.roleId
+        ? [entry.roleId]
+        : [];
+  return {
+    ...entry,
+    emoji: entry.emoji || emoji,
+    roleId: roleIds[0] ?? null,
+    roleIds,
+  };
+}
+
+/**
+ * Name of the role an entry was saved with. Entries from before role IDs
+ * were stored only know their role by this name.
+ * @param {Object} entry - Canonical entry
+ * @returns {string|null} Role name
+ */
+export function getEntryRoleName(entry) {
+  return entry.roleName || entry.role || entry.name || null;
+}
+
+/**
+ * Bring role mapping data to its canonical shape: panel settings next to a
+ * flat emoji → entry map. Older documents nested the settings inside
+ * `roles` (`{ roles: { roles, hideList, ... } }`) or mixed them into the
+ * emoji map, and stored entries as plain role ID strings.
+ * @param {Object} data - Mapping data or stored document
+ * @returns {{roles: Object, hideList: boolean, selectionMode: string, style: string}} Canonical mapping fields
+ */
+export function normalizeRoleMapping(data) {
+  let settings = data || {};
+  let roles = settings.roles || {};
+
+  if (roles.roles && typeof roles.roles === "object" && !roles.roleId) {
+    settings = { ...settings, ...roles };
+    roles = roles.roles;
+  }
+
+  const entries = {};
+  for (const [emoji, entry] of Object.entries(roles)) {
+    if (PANEL_SETTINGS.includes(emoji)) {
+      settings = { [emoji]: entry, ...settings };
+    } else if (
+      typeof entry === "string" ||
+      (entry && typeof entry === "object")
+    ) {
+      entries[emoji] = normalizeRoleEntry(entry, emoji);
+    }
+  }
+
+  const mapping = {
+    roles: entries,
+    hideList: settings.hideList || false,
+    selectionMode: settings.selectionMode || "standard",
+    style: settings.style || "reactions",
+  };
+  for (const field of DISPLAY_FIELDS) {
+    if (settings[field] !== undefined) mapping[field] = settings[field];
+  }
+  return mapping;
+}
+
+/**
+ * Stored document without its MongoDB identifiers, in its canonical shape
+ * even if it was written after the schema migrations by an older release
+ */
+function toMapping(doc) {
+  const mapping = { ...doc, ...normalizeRoleMapping(doc) };
+  delete mapping._id;
+  delete mapping.messageId;
+  return mapping;
+}
+
 export class RoleMappingRepository extends BaseRepository {
   constructor(db, cache, logger) {
     super(db, "role_mappings", cache, logger);
@@ -13,24 +104,22 @@ export class RoleMappingRepository extends BaseRepository {
     const documents = await this.collection.find({}).toArray();
     const mappings = {};
     for (const doc of documents) {
-      mappings[doc.messageId] = {
-        guildId: doc.guildId,
-        channelId: doc.channelId,
-        roles: doc.roles,
-        usage: doc.usage || {},
-        createdAt: doc.createdAt,
-        updatedAt: doc.updatedAt,
-      };
+      mappings[doc.messageId] = { usage: {}, ...toMapping(doc) };
     }
     this.cache.set(cacheKey, mappings);
     return mappings;
   }
 
-  async set(messageId, guildId, channelId, roles) {
+  async set(messageId, guildId, channelId, data) {
     await this.collection.updateOne(
       { messageId },
       {
-        $set: { guildId, channelId, roles, updatedAt: new Date() },
+        $set: {
+          guildId,
+          channelId,
+          ...normalizeRoleMapping(data),
+          updatedAt: new Date(),
+        },
         $setOnInsert: { createdAt: new Date() },
       },
       { upsert: true },
@@ -71,13 +160,7 @@ export class RoleMappingRepository extends BaseRepository {
 
     const mappings = {};
     for (const doc of documents) {
-      mappings[doc.messageId] = {
-        guildId: doc.guildId,
-        channelId: doc.channelId,
-        roles: doc.roles,
-        createdAt: doc.createdAt,
-        updatedAt: doc.updatedAt,
-      };
+      mappings[doc.messageId] = toMapping(doc);
     }
 
     const result = {
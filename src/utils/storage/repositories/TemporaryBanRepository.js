@@ -0,0 +1,79 @@
+import { BaseRepository } from "./BaseRepository.js";
+
+export class TemporaryBanRepository extends BaseRepository {
+  constructor(db, cache, logger) {
+    super(db, "temporary_bans", cache, logger);
+  }
+
+  async getByGuild(guildId) {
+    try {
+      const cached = this.cache.get(`temporary_bans_${guildId}`);
+      if (cached) return cached;
+
+      const bans = await this.collection
+        .find({ guildId })
+        .sort({ expiresAt: 1 })
+        .toArray();
+      this.cache.set(`temporary_bans_${guildId}`, bans);
+      return bans;
+    } catch (error) {
+      this.logger.error(
+        `Failed to get temporary bans for guild ${guildId}`,
+        error,
+      );
+      return [];
+    }
+  }
+
+  async add(guildId, userId, expiresAt, data = {}) {
+    try {
+      await this.collection.updateOne(
+        { guildId, userId },
+        {
+          $set: {
+            ...data,
+            guildId,
+            userId,
+            expiresAt: new Date(expiresAt),
+            updatedAt: new Date(),
+          },
+          $setOnInsert: { createdAt: new Date() },
+        },
+        { upsert: true },
+      );
+      this.cache.delete(`temporary_bans_${guildId}`);
+      return true;
+    } catch (error) {
+      this.logger.error(
+        `Failed to add temporary ban for user ${userId} in guild ${guildId}`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  async findExpired() {
+    try {
+      return await this.collection
+        .find({ expiresAt: { $lte: new Date() } })
+        .toArray();
+    } catch (error) {
+      this.logger.error("Failed to find expired temporary bans", error);
+      return [];
+    }
+  }
+
+  async delete(guildId, userId) {
+    try {
+      const result = await this.collection.deleteOne({ guildId, userId });
+      this.cache.delete(`temporary_bans_${guildId}`);
+      return result.deletedCount > 0;
+    } catch (error) {
+      this.logger.error(
+        `Failed to delete temporary ban for user ${userId} in guild ${guildId}`,
+        error,
+      );
+      return false;
+    }
+  }
+}
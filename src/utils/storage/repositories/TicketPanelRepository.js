@@ -1,5 +1,54 @@
 import { BaseRepository } from "./BaseRepository.js";
 
+/**
+ * Build a new ticket panel document
+ * @param {Object} panelData - Panel data
+ * @returns {Object} Panel document
+ */
+export function createPanelDocument(panelData) {
+  const now = new Date().toISOString();
+  return {
+    panelId: panelData.panelId,
+    guildId: panelData.guildId,
+
+    messageId: panelData.messageId || null,
+    channelId: panelData.channelId || null,
+
+    title: panelData.title || "Support Tickets",
+    description:
+      panelData.description || "Click a button below to create a ticket",
+
+    categories: panelData.categories || [],
+
+    settings: {
+      enabled: panelData.settings?.enabled ?? true,
+      showTicketCount: panelData.settings?.showTicketCount ?? true,
+      showWaitTime: panelData.settings?.showWaitTime ?? false,
+      requireReason: panelData.settings?.requireReason ?? false,
+      allowMultiple: panelData.settings?.allowMultiple ?? false,
+      autoCloseDays: panelData.settings?.autoCloseDays ?? 7,
+      transcriptChannelId: panelData.settings?.transcriptChannelId || null,
+    },
+
+    styling: {
+      color: panelData.styling?.color ?? 0x5865f2,
+      footer: panelData.styling?.footer || null,
+      thumbnail: panelData.styling?.thumbnail || null,
+      image: panelData.styling?.image || null,
+      proBranding: panelData.styling?.proBranding ?? false,
+    },
+
+    stats: {
+      totalTickets: 0,
+      openTickets: 0,
+      avgCloseTime: 0,
+    },
+
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
 /**
  * Repository for managing ticket panels
  */
@@ -36,47 +85,7 @@ export class TicketPanelRepository extends BaseRepository {
    */
   async create(panelData) {
     try {
-      const now = new Date().toISOString();
-      const panel = {
-        panelId: panelData.panelId,
-        guildId: panelData.guildId,
-
-        messageId: panelData.messageId || null,
-        channelId: panelData.channelId || null,
-
-        title: panelData.title || "Support Tickets",
-        description:
-          panelData.description || "Click a button below to create a ticket",
-
-        categories: panelData.categories || [],
-
-        settings: {
-          enabled: panelData.settings?.enabled ?? true,
-          showTicketCount: panelData.settings?.showTicketCount ?? true,
-          showWaitTime: panelData.settings?.showWaitTime ?? false,
-          requireReason: panelData.settings?.requireReason ?? false,
-          allowMultiple: panelData.settings?.allowMultiple ?? false,
-          autoCloseDays: panelData.settings?.autoCloseDays ?? 7,
-          transcriptChannelId: panelData.settings?.transcriptChannelId || null,
-        },
-
-        styling: {
-          color: panelData.styling?.color ?? 0x5865f2,
-          footer: panelData.styling?.footer || null,
-          thumbnail: panelData.styling?.thumbnail || null,
-          image: panelData.styling?.image || null,
-          proBranding: panelData.styling?.proBranding ?? false,
-        },
-
-        stats: {
-          totalTickets: 0,
-          openTickets: 0,
-          avgCloseTime: 0,
-        },
-
-        createdAt: now,
-        updatedAt: now,
-      };
+      const panel = createPanelDocument(panelData);
 
       const result = await this.collection.insertOne(panel);
 
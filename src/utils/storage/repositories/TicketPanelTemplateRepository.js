@@ -0,0 +1,113 @@
+import { BaseRepository } from "./BaseRepository.js";
+
+/**
+ * Repository for managing ticket panel templates
+ * Templates belong to the user who saved them, not to a guild
+ */
+export class TicketPanelTemplateRepository extends BaseRepository {
+  constructor(db, cache, logger) {
+    super(db, "ticket_panel_templates", cache, logger);
+    this._ensureIndexes();
+  }
+
+  /**
+   * Create indexes for optimal query performance
+   */
+  async _ensureIndexes() {
+    try {
+      await this.collection.createIndex(
+        { ownerId: 1, nameKey: 1 },
+        { unique: true },
+      );
+      this.logger.debug("TicketPanelTemplateRepository indexes ensured");
+    } catch (error) {
+      this.logger.debug(
+        "TicketPanelTemplateRepository indexes already exist or error:",
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Save a template, replacing any template of the owner with the same name
+   * @param {string} ownerId - User ID
+   * @param {Object} template - Template document
+   * @returns {Promise<boolean>} Success status
+   */
+  async upsert(ownerId, template) {
+    try {
+      const now = new Date().toISOString();
+      const result = await this.collection.updateOne(
+        { ownerId, nameKey: template.name.toLowerCase() },
+        {
+          $set: {
+            ...template,
+            ownerId,
+            nameKey: template.name.toLowerCase(),
+            updatedAt: now,
+          },
+          $setOnInsert: { createdAt: now },
+        },
+        { upsert: true },
+      );
+      return result.acknowledged;
+    } catch (error) {
+      this.logger.error(`Failed to save panel template for ${ownerId}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Find a template by name (case-insensitive)
+   * @param {string} ownerId - User ID
+   * @param {string} name - Template name
+   * @returns {Promise<Object|null>} Template document or null
+   */
+  async findByName(ownerId, name) {
+    try {
+      return await this.collection.findOne({
+        ownerId,
+        nameKey: name.toLowerCase(),
+      });
+    } catch (error) {
+      this.logger.error(`Failed to find panel template ${name}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get all templates of a user
+   * @param {string} ownerId - User ID
+   * @returns {Promise<Array>} Array of template documents
+   */
+  async findByOwner(ownerId) {
+    try {
+      return await this.collection
+        .find({ ownerId })
+        .sort({ nameKey: 1 })
+        .toArray();
+    } catch (error) {
+      this.logger.error(`Failed to find panel templates for ${ownerId}`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a template
+   * @param {string} ownerId - User ID
+   * @param {string} name - Template name
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(ownerId, name) {
+    try {
+      const result = await this.collection.deleteOne({
+        ownerId,
+        nameKey: name.toLowerCase(),
+      });
+      return result.deletedCount > 0;
+    } catch (error) {
+      this.logger.error(`Failed to delete panel template ${name}`, error);
+      return false;
+    }
+  }
+}
@@ -1,5 +1,51 @@
 import { BaseRepository } from "./BaseRepository.js";
 
+/**
+ * Build a new ticket document
+ * @param {Object} ticketData - Ticket data
+ * @returns {Object} Ticket document
+ */
+export function createTicketDocument(ticketData) {
+  const now = new Date();
+  return {
+    ticketId: ticketData.ticketId,
+    guildId: ticketData.guildId,
+    channelId: ticketData.channelId,
+    userId: ticketData.userId,
+    categoryId: ticketData.categoryId || "default",
+
+    status: ticketData.status || "open",
+    priority: ticketData.priority || "normal",
+
+    claimedBy: null,
+    claimedAt: null,
+
+    openedAt: new Date(ticketData.openedAt || Date.now()),
+    closedAt: null,
+    closedBy: null,
+    closeReason: null,
+
+    messages: 0,
+    participants: [ticketData.userId],
+
+    tags: ticketData.tags || [],
+    events: [],
+    intake: ticketData.intake || [],
+
+    metadata: {
+      userDisplayName: ticketData.userDisplayName || "",
+      userJoinedAt: ticketData.userJoinedAt || null,
+      channelName: ticketData.channelName || "",
+      transcriptSaved: false,
+      feedbackRating: null,
+      feedbackComment: null,
+    },
+
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
 /**
  * Repository for managing support tickets
  */
@@ -39,42 +85,7 @@ export class TicketRepository extends BaseRepository {
    */
   async create(ticketData) {
     try {
-      const now = new Date();
-      const ticket = {
-        ticketId: ticketData.ticketId,
-        guildId: ticketData.guildId,
-        channelId: ticketData.channelId,
-        userId: ticketData.userId,
-        categoryId: ticketData.categoryId || "default",
-
-        status: ticketData.status || "open",
-        priority: ticketData.priority || "normal",
-
-        claimedBy: null,
-        claimedAt: null,
-
-        openedAt: new Date(ticketData.openedAt || Date.now()),
-        closedAt: null,
-        closedBy: null,
-        closeReason: null,
-
-        messages: 0,
-        participants: [ticketData.userId],
-
-        tags: ticketData.tags || [],
-
-        metadata: {
-          userDisplayName: ticketData.userDisplayName || "",
-          userJoinedAt: ticketData.userJoinedAt || null,
-          channelName: ticketData.channelName || "",
-          transcriptSaved: false,
-          feedbackRating: null,
-          feedbackComment: null,
-        },
-
-        createdAt: now,
-        updatedAt: now,
-      };
+      const ticket = createTicketDocument(ticketData);
 
       const result = await this.collection.insertOne(ticket);
 
@@ -173,6 +184,197 @@ export class TicketRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Get every open ticket (for the inactivity auto-close scan)
+   * @returns {Promise<Array>} Array of ticket documents
+   */
+  async findOpen() {
+    try {
+      return await this.collection.find({ status: "open" }).toArray();
+    } catch (error) {
+      this.logger.error("Failed to find open tickets", error);
+      return [];
+    }
+  }
+
+  /**
+   * Update the inactivity auto-close state of a ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} state - Fields to set (lastActivityAt, autoCloseWarning)
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateAutoClose(ticketId, state) {
+    try {
+      const result = await this.collection.updateOne(
+        { ticketId },
+        {
+          $set: {
+            ...state,
+            updatedAt: new Date().toISOString(),
+          },
+        },
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      this.logger.error(
+        `Failed to update auto-close state for ticket ${ticketId}`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Change the priority of a ticket and clear its SLA escalations,
+   * so the new targets can escalate again
+   * @param {string} ticketId - Ticket ID
+   * @param {string} priority - New priority
+   * @returns {Promise<boolean>} Success status
+   */
+  async updatePriority(ticketId, priority) {
+    try {
+      const result = await this.collection.updateOne(
+        { ticketId },
+        {
+          $set: {
+            priority,
+            slaEscalations: {},
+            updatedAt: new Date().toISOString(),
+          },
+        },
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      this.logger.error(
+        `Failed to update priority of ticket ${ticketId}`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Move a ticket to another panel category
+   * @param {string} ticketId - Ticket ID
+   * @param {string} categoryId - New category ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateCategory(ticketId, categoryId) {
+    try {
+      const result = await this.collection.updateOne(
+        { ticketId },
+        { $set: { categoryId, updatedAt: new Date().toISOString() } },
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      this.logger.error(
+        `Failed to update category of ticket ${ticketId}`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Add tags to a ticket, skipping tags it already has
+   * @param {string} ticketId - Ticket ID
+   * @param {string[]} tags - Tags to add
+   * @returns {Promise<boolean>} Success status
+   */
+  async addTags(ticketId, tags) {
+    try {
+      const result = await this.collection.updateOne(
+        { ticketId },
+        {
+          $addToSet: { tags: { $each: tags } },
+          $set: { updatedAt: new Date().toISOString() },
+        },
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      this.logger.error(`Failed to add tags to ticket ${ticketId}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Store the opener's rating of a closed ticket
+   * A ticket can only be rated once
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} rating - Rating (stars, feedback, staffId, ratedAt)
+   * @returns {Promise<boolean>} Whether the rating was stored
+   */
+  async setRating(ticketId, rating) {
+    try {
+      const result = await this.collection.updateOne(
+        { ticketId, status: "closed", rating: null },
+        { $set: { rating, updatedAt: new Date().toISOString() } },
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      this.logger.error(`Failed to rate ticket ${ticketId}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Add written feedback to a rating that has none yet
+   * @param {string} ticketId - Ticket ID
+   * @param {string} feedback - Feedback text
+   * @returns {Promise<boolean>} Whether the feedback was stored
+   */
+  async setRatingFeedback(ticketId, feedback) {
+    try {
+      const result = await this.collection.updateOne(
+        {
+          ticketId,
+          "rating.stars": { $exists: true },
+          "rating.feedback": null,
+        },
+        {
+          $set: {
+            "rating.feedback": feedback,
+            updatedAt: new Date().toISOString(),
+          },
+        },
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      this.logger.error(
+        `Failed to add rating feedback to ticket ${ticketId}`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Update the SLA state of a ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} state - Fields to set (firstResponseAt, slaEscalations.*)
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateSla(ticketId, state) {
+    try {
+      const result = await this.collection.updateOne(
+        { ticketId },
+        {
+          $set: {
+            ...state,
+            updatedAt: new Date().toISOString(),
+          },
+        },
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      this.logger.error(
+        `Failed to update SLA state for ticket ${ticketId}`,
+        error,
+      );
+      return false;
+    }
+  }
+
   /**
    * Get open tickets count for a guild in current month
    * @param {string} guildId - Guild ID
@@ -341,6 +543,28 @@ export class TicketRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Record a claim or transfer on a ticket (used for staff statistics)
+   * @param {string} ticketId - Ticket ID
+   * @param {{type: "claim"|"transfer", staffId: string, fromStaffId?: string, at: Date}} event - Event to record
+   * @returns {Promise<boolean>} Success status
+   */
+  async addEvent(ticketId, event) {
+    try {
+      const result = await this.collection.updateOne(
+        { ticketId },
+        {
+          $push: { events: event },
+          $set: { updatedAt: new Date().toISOString() },
+        },
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      this.logger.error(`Failed to add event to ticket ${ticketId}`, error);
+      return false;
+    }
+  }
+
   /**
    * Increment message count
    * @param {string} ticketId - Ticket ID
@@ -451,6 +675,42 @@ export class TicketRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Get the tickets opened in a date range, with only the fields
+   * staff performance statistics need
+   * @param {string} guildId - Guild ID
+   * @param {{from: Date, to: Date}} range - Opened between from (inclusive) and to (exclusive)
+   * @returns {Promise<Array>} Array of ticket documents
+   */
+  async findForStaffStats(guildId, { from, to }) {
+    try {
+      return await this.collection
+        .find({ guildId, openedAt: { $gte: from, $lt: to } })
+        .project({
+          ticketId: 1,
+          userId: 1,
+          status: 1,
+          openedAt: 1,
+          closedAt: 1,
+          closedBy: 1,
+          claimedBy: 1,
+          claimedAt: 1,
+          firstResponseAt: 1,
+          firstResponseBy: 1,
+          categoryId: 1,
+          rating: 1,
+          events: 1,
+        })
+        .toArray();
+    } catch (error) {
+      this.logger.error(
+        `Failed to get staff stats tickets for guild ${guildId}`,
+        error,
+      );
+      return [];
+    }
+  }
+
   /**
    * Delete a ticket
    * @param {string} ticketId - Ticket ID
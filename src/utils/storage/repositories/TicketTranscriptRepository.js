@@ -1,5 +1,43 @@
 import { BaseRepository } from "./BaseRepository.js";
 
+/**
+ * Build a new ticket transcript document
+ * @param {Object} transcriptData - Transcript data
+ * @returns {Object} Transcript document
+ */
+export function createTranscriptDocument(transcriptData) {
+  const now = new Date();
+  return {
+    transcriptId: transcriptData.transcriptId,
+    ticketId: transcriptData.ticketId,
+    guildId: transcriptData.guildId,
+
+    format: transcriptData.format || "html",
+    content: transcriptData.content || "",
+
+    messages: transcriptData.messages || [],
+    // Archived attachments, avatars and emoji (base64)
+    assets: transcriptData.assets || [],
+
+    metadata: {
+      ticketOpenedAt: transcriptData.metadata?.ticketOpenedAt || null,
+      ticketClosedAt: transcriptData.metadata?.ticketClosedAt || null,
+      claimedBy: transcriptData.metadata?.claimedBy || null,
+      totalMessages: transcriptData.metadata?.totalMessages || 0,
+      duration: transcriptData.metadata?.duration || 0,
+      intake: transcriptData.metadata?.intake || [],
+      archive: transcriptData.metadata?.archive || null,
+    },
+
+    expiresAt: transcriptData.expiresAt
+      ? new Date(transcriptData.expiresAt)
+      : null,
+    downloadedAt: null,
+
+    createdAt: now,
+  };
+}
+
 /**
  * Repository for managing ticket transcripts
  */
@@ -33,32 +71,7 @@ export class TicketTranscriptRepository extends BaseRepository {
    */
   async create(transcriptData) {
     try {
-      const now = new Date();
-      const transcript = {
-        transcriptId: transcriptData.transcriptId,
-        ticketId: transcriptData.ticketId,
-        guildId: transcriptData.guildId,
-
-        format: transcriptData.format || "html",
-        content: transcriptData.content || "",
-
-        messages: transcriptData.messages || [],
-
-        metadata: {
-          ticketOpenedAt: transcriptData.metadata?.ticketOpenedAt || null,
-          ticketClosedAt: transcriptData.metadata?.ticketClosedAt || null,
-          claimedBy: transcriptData.metadata?.claimedBy || null,
-          totalMessages: transcriptData.metadata?.totalMessages || 0,
-          duration: transcriptData.metadata?.duration || 0,
-        },
-
-        expiresAt: transcriptData.expiresAt
-          ? new Date(transcriptData.expiresAt)
-          : null,
-        downloadedAt: null,
-
-        createdAt: now,
-      };
+      const transcript = createTranscriptDocument(transcriptData);
 
       const result = await this.collection.insertOne(transcript);
 
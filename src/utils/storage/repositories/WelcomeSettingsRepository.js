@@ -1,5 +1,42 @@
+import { THEME_COLOR } from "../../../config/theme.js";
 import { BaseRepository } from "./BaseRepository.js";
 
+/**
+ * Complete welcome settings document with every field at its default
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object} Welcome settings document
+ */
+export function createDefaultWelcomeSettings(guildId) {
+  return {
+    guildId,
+    enabled: false,
+    channelId: null,
+    message: "Welcome **{user}** to **{server}**! 🎉",
+    autoRoleId: null,
+    embedEnabled: true,
+    embedColor: THEME_COLOR,
+    embedTitle: "Welcome to {server}!",
+    embedDescription: "We're excited to have you join our community!",
+    embedThumbnail: true,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+}
+
+const ALWAYS_SET = ["guildId", "updatedAt"];
+
+/**
+ * Defaults for the fields missing from a partial settings update, so
+ * new documents are always stored complete
+ */
+function missingDefaults(guildId, settings) {
+  return Object.fromEntries(
+    Object.entries(createDefaultWelcomeSettings(guildId)).filter(
+      ([field]) => !(field in settings) && !ALWAYS_SET.includes(field),
+    ),
+  );
+}
+
 export class WelcomeSettingsRepository extends BaseRepository {
   constructor(db, cache, logger) {
     super(db, "welcome_settings", cache, logger);
@@ -8,22 +45,7 @@ export class WelcomeSettingsRepository extends BaseRepository {
   async getByGuild(guildId) {
     try {
       const settings = await this.collection.findOne({ guildId });
-      return (
-        settings || {
-          guildId,
-          enabled: false,
-          channelId: null,
-          message: "Welcome **{user}** to **{server}**! 🎉",
-          autoRoleId: null,
-          embedEnabled: true,
-          embedColor: 0x7f7bf5,
-          embedTitle: "Welcome to {server}!",
-          embedDescription: "We're excited to have you join our community!",
-          embedThumbnail: true,
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        }
-      );
+      return settings || createDefaultWelcomeSettings(guildId);
     } catch (error) {
       this.logger.error(
         `Failed to get welcome settings for guild ${guildId}`,
@@ -37,7 +59,10 @@ export class WelcomeSettingsRepository extends BaseRepository {
     try {
       await this.collection.updateOne(
         { guildId },
-        { $set: { ...settings, guildId, updatedAt: new Date() } },
+        {
+          $set: { ...settings, guildId, updatedAt: new Date() },
+          $setOnInsert: missingDefaults(guildId, settings),
+        },
         { upsert: true },
       );
       this.cache.clear();
@@ -20,6 +20,13 @@ export { GuildAnalyticsRepository } from "./GuildAnalyticsRepository.js";
 export { ModerationLogRepository } from "./ModerationLogRepository.js";
 export { TicketRepository } from "./TicketRepository.js";
 export { TicketPanelRepository } from "./TicketPanelRepository.js";
+export { TicketPanelTemplateRepository } from "./TicketPanelTemplateRepository.js";
 export { TicketTranscriptRepository } from "./TicketTranscriptRepository.js";
 export { NotificationRepository } from "./NotificationRepository.js";
 export { CustomCommandRepository } from "./CustomCommandRepository.js";
+export { AutoModRepository } from "./AutoModRepository.js";
+export { TemporaryBanRepository } from "./TemporaryBanRepository.js";
+export { VerificationRepository } from "./VerificationRepository.js";
+export { PendingVerificationRepository } from "./PendingVerificationRepository.js";
+export { GiveawayRepository } from "./GiveawayRepository.js";
+export { RoleBundleRepository } from "./RoleBundleRepository.js";
@@ -2,6 +2,7 @@ import { getLogger } from "../logger.js";
 import { getDatabaseManager } from "./databaseManager.js";
 import { FileProvider } from "./FileProvider.js";
 import { DatabaseProvider } from "./DatabaseProvider.js";
+import { MigrationRunner } from "./MigrationRunner.js";
 
 class StorageManager {
   constructor() {
@@ -16,6 +17,7 @@ class StorageManager {
     if (this.isInitialized) return;
     this.logger.info("🔧 Initializing storage manager...");
 
+    let migrationDb = null;
     try {
       const dbManager = await getDatabaseManager();
       if (dbManager && dbManager.connectionManager.db) {
@@ -23,6 +25,7 @@ class StorageManager {
         this.provider = new DatabaseProvider(dbManager, this.logger);
         this.fileProvider = new FileProvider(this.logger);
         this.logger.success("✅ Database storage enabled");
+        migrationDb = dbManager.connectionManager.db;
       } else {
         this.fileProvider = new FileProvider(this.logger);
         this.provider = this.fileProvider;
@@ -40,10 +43,30 @@ class StorageManager {
       this.logger.info("📁 Using local file storage as fallback");
     }
 
+    // Outside the fallback above: a failed migration must stop startup
+    // rather than leave the bot running on file storage
+    if (migrationDb) {
+      await this._runSchemaMigrations(migrationDb);
+    }
+
     this.isInitialized = true;
     this.logger.success("✅ Storage manager initialized");
   }
 
+  /**
+   * Bring stored documents to the shapes this release reads before anything
+   * uses them. Waits for a run another instance started and throws if a
+   * migration fails; pending migrations are retried on the next start.
+   */
+  async _runSchemaMigrations(db) {
+    try {
+      await new MigrationRunner(db, this.logger).up({ waitForLock: true });
+    } catch (error) {
+      this.logger.error("❌ Failed to apply schema migrations", error);
+      throw error;
+    }
+  }
+
   // --- Delegation Methods ---
 
   async getRoleMappings() {
@@ -54,8 +77,8 @@ class StorageManager {
     return this.provider.getRoleMappingsPaginated(guildId, page, limit);
   }
 
-  async setRoleMapping(messageId, guildId, channelId, roles) {
-    return this.provider.setRoleMapping(messageId, guildId, channelId, roles);
+  async setRoleMapping(messageId, guildId, channelId, data) {
+    return this.provider.setRoleMapping(messageId, guildId, channelId, data);
   }
 
   async deleteRoleMapping(messageId) {
@@ -158,6 +181,10 @@ class StorageManager {
     return this.provider.removeVoiceMoveRole(guildId, roleId);
   }
 
+  async setVoiceControlRoles(guildId, roleData) {
+    return this.provider.setVoiceControlRoles(guildId, roleData);
+  }
+
   async updateGuildAnalytics(guildId, date, type, amount) {
     return this.provider.updateGuildAnalytics(guildId, date, type, amount);
   }
@@ -214,14 +241,70 @@ class StorageManager {
     return this.provider.getAllModerationHistory(guildId);
   }
 
-  async getWarnCount(guildId, userId) {
-    return this.provider.getWarnCount(guildId, userId);
+  async getWarnCount(guildId, userId, options = {}) {
+    return this.provider.getWarnCount(guildId, userId, options);
+  }
+
+  async getWarnPoints(guildId, userId, options = {}) {
+    return this.provider.getWarnPoints(guildId, userId, options);
+  }
+
+  async getModerationCase(guildId, caseId) {
+    return this.provider.getModerationCase(guildId, caseId);
+  }
+
+  async updateModerationCase(guildId, caseId, updates) {
+    return this.provider.updateModerationCase(guildId, caseId, updates);
   }
 
   async removeWarning(guildId, userId, caseId) {
     return this.provider.removeWarning(guildId, userId, caseId);
   }
 
+  async getAutoModSettings(guildId) {
+    return this.provider.getAutoModSettings(guildId);
+  }
+
+  async setAutoModSettings(guildId, settings) {
+    return this.provider.setAutoModSettings(guildId, settings);
+  }
+
+  async getTemporaryBans(guildId) {
+    return this.provider.getTemporaryBans(guildId);
+  }
+
+  async getExpiredTemporaryBans() {
+    return this.provider.getExpiredTemporaryBans();
+  }
+
+  async addTemporaryBan(guildId, userId, expiresAt, data = {}) {
+    return this.provider.addTemporaryBan(guildId, userId, expiresAt, data);
+  }
+
+  async removeTemporaryBan(guildId, userId) {
+    return this.provider.removeTemporaryBan(guildId, userId);
+  }
+
+  async getVerificationSettings(guildId) {
+    return this.provider.getVerificationSettings(guildId);
+  }
+
+  async setVerificationSettings(guildId, settings) {
+    return this.provider.setVerificationSettings(guildId, settings);
+  }
+
+  async addPendingVerification(guildId, userId, kickAt) {
+    return this.provider.addPendingVerification(guildId, userId, kickAt);
+  }
+
+  async getExpiredPendingVerifications() {
+    return this.provider.getExpiredPendingVerifications();
+  }
+
+  async removePendingVerification(guildId, userId) {
+    return this.provider.removePendingVerification(guildId, userId);
+  }
+
   async createPayment(paymentData) {
     if (this.provider instanceof DatabaseProvider) {
       if (this.dbManager && this.dbManager.payments) {
@@ -240,274 +323,251 @@ class StorageManager {
     return true;
   }
 
+  // Guild settings methods
+  async getGuildSettings(guildId) {
+    return this.provider.getGuildSettings(guildId);
+  }
+
+  async setGuildSettings(guildId, settings) {
+    return this.provider.setGuildSettings(guildId, settings);
+  }
+
+  async incrementGuildCounter(guildId, counterField) {
+    return this.provider.incrementGuildCounter(guildId, counterField);
+  }
+
+  async resetGuildCounter(guildId, counterField) {
+    return this.provider.resetGuildCounter(guildId, counterField);
+  }
+
   // Ticket methods
   async createTicket(ticketData) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.create(ticketData);
-      }
-    }
-    return null;
+    return this.provider.createTicket(ticketData);
   }
 
   async getTicket(ticketId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.findByTicketId(ticketId);
-      }
-    }
-    return null;
+    return this.provider.getTicket(ticketId);
   }
 
   async getTicketByChannel(channelId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.findByChannelId(channelId);
-      }
-    }
-    return null;
+    return this.provider.getTicketByChannel(channelId);
   }
 
   async getTicketsByGuild(guildId, options = {}) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.findByGuild(guildId, options);
-      }
-    }
-    return [];
+    return this.provider.getTicketsByGuild(guildId, options);
   }
 
   async getTicketsByUser(userId, guildId, options = {}) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.findByUser(
-          userId,
-          guildId,
-          options,
-        );
-      }
-    }
-    return [];
+    return this.provider.getTicketsByUser(userId, guildId, options);
   }
 
   async countMonthlyTickets(guildId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.countMonthlyTickets(guildId);
-      }
-    }
-    return 0;
+    return this.provider.countMonthlyTickets(guildId);
   }
 
   async countOpenTickets(guildId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.countOpenTickets(guildId);
-      }
-    }
-    return 0;
+    return this.provider.countOpenTickets(guildId);
   }
 
   async closeTicket(ticketId, closeData) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.close(ticketId, closeData);
-      }
-    }
-    return false;
+    return this.provider.closeTicket(ticketId, closeData);
   }
 
   async deleteTicket(ticketId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.delete(ticketId);
-      }
-    }
-    return false;
+    return this.provider.deleteTicket(ticketId);
   }
 
   async claimTicket(ticketId, staffId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.claim(ticketId, staffId);
-      }
-    }
-    return false;
+    return this.provider.claimTicket(ticketId, staffId);
   }
 
   async addTicketParticipant(ticketId, userId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.addParticipant(ticketId, userId);
-      }
-    }
-    return false;
+    return this.provider.addTicketParticipant(ticketId, userId);
   }
 
   async removeTicketParticipant(ticketId, userId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.removeParticipant(ticketId, userId);
-      }
-    }
-    return false;
+    return this.provider.removeTicketParticipant(ticketId, userId);
+  }
+
+  async getOpenTickets() {
+    return this.provider.getOpenTickets();
+  }
+
+  async updateTicketAutoClose(ticketId, state) {
+    return this.provider.updateTicketAutoClose(ticketId, state);
+  }
+
+  async updateTicketPriority(ticketId, priority) {
+    return this.provider.updateTicketPriority(ticketId, priority);
+  }
+
+  async updateTicketSla(ticketId, state) {
+    return this.provider.updateTicketSla(ticketId, state);
+  }
+
+  async setTicketRating(ticketId, rating) {
+    return this.provider.setTicketRating(ticketId, rating);
+  }
+
+  async setTicketRatingFeedback(ticketId, feedback) {
+    return this.provider.setTicketRatingFeedback(ticketId, feedback);
+  }
+
+  async addTicketEvent(ticketId, event) {
+    return this.provider.addTicketEvent(ticketId, event);
+  }
+
+  async updateTicketCategory(ticketId, categoryId) {
+    return this.provider.updateTicketCategory(ticketId, categoryId);
+  }
+
+  async addTicketTags(ticketId, tags) {
+    return this.provider.addTicketTags(ticketId, tags);
+  }
+
+  async getTicketsForStaffStats(guildId, range) {
+    return this.provider.getTicketsForStaffStats(guildId, range);
   }
 
   async getTicketStats(guildId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.getStats(guildId);
-      }
-    }
-    return { total: 0, open: 0, closed: 0, archived: 0 };
+    return this.provider.getTicketStats(guildId);
+  }
+
+  async getExpiredTickets(guildId, days) {
+    return this.provider.getExpiredTickets(guildId, days);
   }
 
   // Ticket panel methods
   async createTicketPanel(panelData) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketPanels) {
-        return await this.dbManager.ticketPanels.create(panelData);
-      }
-    }
-    return null;
+    return this.provider.createTicketPanel(panelData);
   }
 
   async getTicketPanel(panelId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketPanels) {
-        return await this.dbManager.ticketPanels.findByPanelId(panelId);
-      }
-    }
-    return null;
+    return this.provider.getTicketPanel(panelId);
   }
 
   async getTicketPanelByMessage(messageId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketPanels) {
-        return await this.dbManager.ticketPanels.findByMessageId(messageId);
-      }
-    }
-    return null;
+    return this.provider.getTicketPanelByMessage(messageId);
   }
 
   async getTicketPanelsByGuild(guildId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketPanels) {
-        return await this.dbManager.ticketPanels.findByGuild(guildId);
-      }
-    }
-    return [];
+    return this.provider.getTicketPanelsByGuild(guildId);
   }
 
   async updateTicketPanel(panelId, updateData) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketPanels) {
-        return await this.dbManager.ticketPanels.update(panelId, updateData);
-      }
-    }
-    return false;
+    return this.provider.updateTicketPanel(panelId, updateData);
   }
 
   async deleteTicketPanel(panelId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketPanels) {
-        return await this.dbManager.ticketPanels.delete(panelId);
-      }
-    }
-    return false;
+    return this.provider.deleteTicketPanel(panelId);
+  }
+
+  // Ticket panel template methods
+  async saveTicketPanelTemplate(ownerId, template) {
+    return this.provider.saveTicketPanelTemplate(ownerId, template);
+  }
+
+  async getTicketPanelTemplate(ownerId, name) {
+    return this.provider.getTicketPanelTemplate(ownerId, name);
+  }
+
+  async getTicketPanelTemplates(ownerId) {
+    return this.provider.getTicketPanelTemplates(ownerId);
+  }
+
+  async deleteTicketPanelTemplate(ownerId, name) {
+    return this.provider.deleteTicketPanelTemplate(ownerId, name);
   }
 
   // Ticket transcript methods
   async createTicketTranscript(transcriptData) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketTranscripts) {
-        return await this.dbManager.ticketTranscripts.create(transcriptData);
-      }
-    }
-    return null;
+    return this.provider.createTicketTranscript(transcriptData);
   }
 
   async getTicketTranscript(transcriptId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketTranscripts) {
-        return await this.dbManager.ticketTranscripts.findByTranscriptId(
-          transcriptId,
-        );
-      }
-    }
-    return null;
+    return this.provider.getTicketTranscript(transcriptId);
   }
 
   async getTicketTranscriptByTicket(ticketId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketTranscripts) {
-        return await this.dbManager.ticketTranscripts.findByTicketId(ticketId);
-      }
-    }
-    return null;
+    return this.provider.getTicketTranscriptByTicket(ticketId);
   }
 
   async deleteTicketTranscript(transcriptId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketTranscripts) {
-        return await this.dbManager.ticketTranscripts.delete(transcriptId);
-      }
-    }
-    return false;
-  }
-
-  async getExpiredTickets(guildId, days) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.tickets) {
-        return await this.dbManager.tickets.getExpiredTickets(guildId, days);
-      }
-    }
-    return [];
+    return this.provider.deleteTicketTranscript(transcriptId);
   }
 
   async getExpiredTranscripts(guildId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketTranscripts) {
-        return await this.dbManager.ticketTranscripts.getExpiredTranscripts(
-          guildId,
-        );
-      }
-    }
-    return [];
+    return this.provider.getExpiredTranscripts(guildId);
   }
 
   async getTranscriptStorageUsage(guildId) {
-    if (this.provider instanceof DatabaseProvider) {
-      if (this.dbManager && this.dbManager.ticketTranscripts) {
-        return await this.dbManager.ticketTranscripts.getStorageUsage(guildId);
-      }
-    }
-    return { totalTranscripts: 0, totalSizeBytes: 0, totalSizeMB: "0" };
+    return this.provider.getTranscriptStorageUsage(guildId);
   }
 
   async purgeGuildTickets(guildId) {
-    if (this.provider instanceof DatabaseProvider && this.dbManager) {
-      if (this.dbManager.tickets) {
-        await this.dbManager.tickets.deleteByGuild(guildId);
-      }
-      if (this.dbManager.ticketTranscripts) {
-        await this.dbManager.ticketTranscripts.deleteByGuild(guildId);
-      }
-      return true;
-    }
-    return false;
+    return this.provider.purgeGuildTickets(guildId);
   }
 
   async resetTicketCounter(guildId) {
-    if (this.provider instanceof DatabaseProvider && this.dbManager) {
-      if (this.dbManager.guildSettings) {
-        return await this.dbManager.guildSettings.resetCounter(
-          guildId,
-          "counters.ticket",
-        );
-      }
-    }
-    return false;
+    return this.provider.resetGuildCounter(guildId, "counters.ticket");
+  }
+
+  // Giveaway methods
+  async createGiveaway(giveaway) {
+    return this.provider.createGiveaway(giveaway);
+  }
+
+  async getGiveawayById(id) {
+    return this.provider.getGiveawayById(id);
+  }
+
+  async getGiveawayByShortId(shortId) {
+    return this.provider.getGiveawayByShortId(shortId);
+  }
+
+  async getGiveawayByMessageId(messageId) {
+    return this.provider.getGiveawayByMessageId(messageId);
+  }
+
+  async getActiveGiveaways() {
+    return this.provider.getActiveGiveaways();
+  }
+
+  async getGiveawaysByGuild(guildId, status = null) {
+    return this.provider.getGiveawaysByGuild(guildId, status);
+  }
+
+  async updateGiveaway(id, updateData) {
+    return this.provider.updateGiveaway(id, updateData);
+  }
+
+  async markGiveawayWinnerClaimed(id, userId) {
+    return this.provider.markGiveawayWinnerClaimed(id, userId);
+  }
+
+  async deleteGiveaway(id) {
+    return this.provider.deleteGiveaway(id);
+  }
+
+  async deleteOldGiveaways(statuses, before) {
+    return this.provider.deleteOldGiveaways(statuses, before);
+  }
+
+  // Role bundle methods
+  async createRoleBundle(bundle) {
+    return this.provider.createRoleBundle(bundle);
+  }
+
+  async getRoleBundle(guildId, name) {
+    return this.provider.getRoleBundle(guildId, name);
+  }
+
+  async getRoleBundlesByGuild(guildId) {
+    return this.provider.getRoleBundlesByGuild(guildId);
+  }
+
+  async deleteRoleBundle(guildId, name) {
+    return this.provider.deleteRoleBundle(guildId, name);
   }
 
   // Generic storage methods
@@ -539,7 +599,12 @@ let storageManager = null;
 export async function getStorageManager() {
   if (!storageManager) {
     storageManager = new StorageManager();
-    await storageManager.initialize();
+    try {
+      await storageManager.initialize();
+    } catch (error) {
+      storageManager = null;
+      throw error;
+    }
   }
   return storageManager;
 }
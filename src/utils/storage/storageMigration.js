@@ -0,0 +1,500 @@
+import fs from "fs/promises";
+import path from "path";
+import { ObjectId } from "mongodb";
+import { normalizeRoleMapping } from "./repositories/RoleMappingRepository.js";
+
+export const MIGRATION_BACKENDS = ["file", "mongo"];
+
+const BATCH_SIZE = 500;
+const CHECKPOINT_FILE = ".storage-migration.json";
+
+/**
+ * File layout of a collection keyed by one or more fields joined with "_"
+ * (e.g. user_experience is keyed by `${guildId}_${userId}`)
+ * @param {string[]} fields - Fields that make up the record key
+ * @param {{ omitKey?: boolean }} [options] - Leave the key fields out of stored records
+ */
+function keyedBy(fields, { omitKey = false } = {}) {
+  return {
+    fromFile(data) {
+      return Object.entries(data).map(([key, record]) => {
+        const parts = key.split("_");
+        const keyFields = Object.fromEntries(
+          fields.map((field, i) => [
+            field,
+            i === fields.length - 1 ? parts.slice(i).join("_") : parts[i],
+          ]),
+        );
+        return { ...keyFields, ...record };
+      });
+    },
+    toFile(docs) {
+      const data = {};
+      for (const doc of docs) {
+        const record = { ...doc };
+        if (omitKey) fields.forEach(field => delete record[field]);
+        data[fields.map(field => String(doc[field])).join("_")] = record;
+      }
+      return data;
+    },
+  };
+}
+
+/**
+ * File layout of a collection nested one level per field
+ * (e.g. temporary_bans is stored as { [guildId]: { [userId]: ban } })
+ * @param {string[]} fields - Fields of each nesting level
+ * @param {{ omitKey?: boolean, list?: boolean }} [options] - Leave the key
+ * fields out of stored records, or store an array of records at the last level
+ */
+function nestedBy(fields, { omitKey = false, list = false } = {}) {
+  return {
+    fromFile(data) {
+      const docs = [];
+      const walk = (node, depth, keyFields) => {
+        if (depth === fields.length) {
+          for (const record of list ? node : [node]) {
+            docs.push({ ...keyFields, ...record });
+          }
+          return;
+        }
+        for (const [key, child] of Object.entries(node || {})) {
+          walk(child, depth + 1, { ...keyFields, [fields[depth]]: key });
+        }
+      };
+      walk(data, 0, {});
+      return docs;
+    },
+    toFile(docs) {
+      const data = {};
+      for (const doc of docs) {
+        const record = { ...doc };
+        if (omitKey) fields.forEach(field => delete record[field]);
+
+        let node = data;
+        for (const field of fields.slice(0, -1)) {
+          node = node[doc[field]] ??= {};
+        }
+        const last = doc[fields[fields.length - 1]];
+        if (list) {
+          (node[last] ??= []).push(record);
+        } else {
+          node[last] = record;
+        }
+      }
+      return data;
+    },
+  };
+}
+
+/**
+ * Collections stored by both FileProvider and DatabaseProvider.
+ * `key` identifies a document in both backends and `dates` lists the fields
+ * MongoDB stores as Dates, which the JSON files keep as ISO strings.
+ */
+export const MIGRATION_COLLECTIONS = [
+  {
+    name: "role_mappings",
+    key: ["messageId"],
+    dates: ["createdAt", "updatedAt"],
+    ...keyedBy(["messageId"], { omitKey: true }),
+    // Mappings in older shapes are copied in the canonical one
+    normalize: doc => [{ ...doc, ...normalizeRoleMapping(doc) }],
+  },
+  {
+    name: "temporary_roles",
+    key: ["guildId", "userId", "roleId"],
+    dates: ["expiresAt"],
+    ...nestedBy(["guildId", "userId", "roleId"], { omitKey: true }),
+    // Bulk assignments are stored in MongoDB as one document per role
+    normalize: doc =>
+      Array.isArray(doc.userIds)
+        ? doc.userIds.map(userId => {
+            const single = { ...doc, userId };
+            delete single.userIds;
+            return single;
+          })
+        : [doc],
+  },
+  {
+    name: "polls",
+    key: ["id"],
+    dates: ["createdAt", "updatedAt", "endedAt"],
+    ...keyedBy(["id"]),
+  },
+  {
+    name: "voice_control_roles",
+    key: ["guildId"],
+    dates: ["updatedAt"],
+    ...keyedBy(["guildId"]),
+  },
+  {
+    name: "guild_analytics",
+    key: ["guildId", "date"],
+    dates: [],
+    ...nestedBy(["guildId", "date"], { omitKey: true }),
+  },
+  {
+    name: "user_experience",
+    key: ["guildId", "userId"],
+    dates: ["updatedAt"],
+    ...keyedBy(["guildId", "userId"]),
+  },
+  {
+    name: "core_credits",
+    file: "core_credit",
+    key: ["userId"],
+    dates: [],
+    ...keyedBy(["userId"]),
+  },
+  {
+    name: "moderation_logs",
+    key: ["guildId", "userId", "action", "timestamp"],
+    dates: ["timestamp", "expiresAt"],
+    ...nestedBy(["guildId", "userId"], { list: true }),
+  },
+  {
+    name: "automod_settings",
+    key: ["guildId"],
+    dates: ["createdAt", "updatedAt"],
+    ...keyedBy(["guildId"]),
+  },
+  {
+    name: "temporary_bans",
+    key: ["guildId", "userId"],
+    dates: ["expiresAt", "createdAt", "updatedAt"],
+    ...nestedBy(["guildId", "userId"]),
+  },
+  {
+    name: "verification_settings",
+    key: ["guildId"],
+    dates: ["createdAt", "updatedAt"],
+    ...keyedBy(["guildId"]),
+  },
+  {
+    name: "pending_verifications",
+    key: ["guildId", "userId"],
+    dates: ["kickAt", "createdAt"],
+    ...nestedBy(["guildId", "userId"]),
+  },
+  {
+    name: "guild_settings",
+    key: ["guildId"],
+    dates: ["createdAt", "updatedAt"],
+    ...keyedBy(["guildId"]),
+  },
+  {
+    name: "tickets",
+    key: ["ticketId"],
+    dates: ["openedAt", "claimedAt", "closedAt", "createdAt", "updatedAt"],
+    ...keyedBy(["ticketId"]),
+  },
+  {
+    name: "ticket_panels",
+    key: ["panelId"],
+    dates: ["createdAt", "updatedAt"],
+    ...keyedBy(["panelId"]),
+  },
+  {
+    name: "ticket_panel_templates",
+    key: ["ownerId", "nameKey"],
+    dates: [],
+    ...keyedBy(["ownerId", "nameKey"]),
+  },
+  {
+    name: "ticket_transcripts",
+    key: ["transcriptId"],
+    dates: ["expiresAt", "downloadedAt", "createdAt"],
+    ...keyedBy(["transcriptId"]),
+  },
+  {
+    name: "giveaways",
+    key: ["_id"],
+    dates: [
+      "startTime",
+      "endTime",
+      "createdAt",
+      "updatedAt",
+      "endedAt",
+      "rerolledAt",
+      "cancelledAt",
+      "completedAt",
+      "entries.joinedAt",
+      "winnersData.selectedAt",
+      "winnersData.claimedAt",
+    ],
+    ...keyedBy(["_id"]),
+  },
+  {
+    name: "role_bundles",
+    key: ["guildId", "name"],
+    dates: ["createdAt", "updatedAt"],
+    ...keyedBy(["guildId", "name"]),
+  },
+];
+
+/**
+ * Turn the ISO strings at the given paths into Dates, descending into arrays
+ */
+function reviveDates(value, parts) {
+  if (Array.isArray(value)) {
+    value.forEach(item => reviveDates(item, parts));
+    return;
+  }
+  if (!value || typeof value !== "object") return;
+
+  const [part, ...rest] = parts;
+  if (rest.length > 0) {
+    reviveDates(value[part], rest);
+  } else if (typeof value[part] === "string") {
+    const date = new Date(value[part]);
+    if (!Number.isNaN(date.getTime())) value[part] = date;
+  }
+}
+
+/**
+ * JSON with sorted object keys, so equal documents compare equal
+ */
+function stableStringify(value) {
+  return JSON.stringify(value, (_key, item) =>
+    item && typeof item === "object" && !Array.isArray(item)
+      ? Object.fromEntries(
+          Object.keys(item)
+            .sort()
+            .map(key => [key, item[key]]),
+        )
+      : item,
+  );
+}
+
+function documentKey(spec, doc) {
+  return stableStringify(spec.key.map(field => doc[field]));
+}
+
+function withoutId(doc) {
+  const copy = { ...doc };
+  delete copy._id;
+  return copy;
+}
+
+/**
+ * Bring a document into the shape the target backend stores
+ */
+function toTarget(spec, doc, to) {
+  // Round-trip through JSON: ObjectIds and Dates become strings
+  const plain = JSON.parse(JSON.stringify(doc));
+  const keepsId = spec.key.includes("_id");
+  const normalized = keepsId ? plain : withoutId(plain);
+
+  if (to === "mongo") {
+    spec.dates.forEach(field => reviveDates(normalized, field.split(".")));
+    if (keepsId && ObjectId.isValid(normalized._id)) {
+      normalized._id = new ObjectId(normalized._id);
+    }
+  }
+  return normalized;
+}
+
+async function readDocuments(backend, spec, { fileProvider, db }) {
+  const docs =
+    backend === "file"
+      ? spec.fromFile((await fileProvider.read(spec.file || spec.name)) || {})
+      : await db.collection(spec.name).find({}).toArray();
+  return spec.normalize ? docs.flatMap(spec.normalize) : docs;
+}
+
+async function writeDocuments(backend, spec, docs, { fileProvider, db }) {
+  if (backend === "file") {
+    // Merge into the existing file so documents only found there survive
+    const merged = new Map();
+    for (const doc of spec.fromFile(
+      (await fileProvider.read(spec.file || spec.name)) || {},
+    )) {
+      merged.set(documentKey(spec, doc), doc);
+    }
+    for (const doc of docs) merged.set(documentKey(spec, doc), doc);
+
+    const written = await fileProvider.write(
+      spec.file || spec.name,
+      spec.toFile([...merged.values()]),
+    );
+    if (!written) {
+      throw new Error(`Failed to write ${spec.file || spec.name} file`);
+    }
+    return;
+  }
+
+  const collection = db.collection(spec.name);
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    await collection.bulkWrite(
+      docs.slice(i, i + BATCH_SIZE).map(doc => ({
+        replaceOne: {
+          filter: Object.fromEntries(
+            spec.key.map(field => [field, doc[field]]),
+          ),
+          replacement: doc,
+          upsert: true,
+        },
+      })),
+      { ordered: false },
+    );
+  }
+}
+
+/**
+ * Compare source documents against the target, keyed by identity
+ */
+function diffDocuments(spec, sourceDocs, targetDocs) {
+  const target = new Map(
+    targetDocs.map(doc => [
+      documentKey(spec, doc),
+      stableStringify(withoutId(JSON.parse(JSON.stringify(doc)))),
+    ]),
+  );
+
+  const diff = { added: 0, changed: 0, unchanged: 0 };
+  for (const doc of sourceDocs) {
+    const existing = target.get(documentKey(spec, doc));
+    if (existing === undefined) {
+      diff.added++;
+    } else if (
+      existing === stableStringify(withoutId(JSON.parse(JSON.stringify(doc))))
+    ) {
+      diff.unchanged++;
+    } else {
+      diff.changed++;
+    }
+  }
+  return diff;
+}
+
+async function readCheckpoint(checkpointPath) {
+  try {
+    return JSON.parse(await fs.readFile(checkpointPath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Copy every collection between the JSON files and MongoDB.
+ * Documents are upserted by their identifying fields, so running it again
+ * (or resuming after a failure) never duplicates data, and documents that
+ * only exist in the target are kept.
+ * @param {Object} options
+ * @param {"file"|"mongo"} options.from - Source backend
+ * @param {"file"|"mongo"} options.to - Target backend
+ * @param {import('./FileProvider.js').FileProvider} options.fileProvider - File storage
+ * @param {import('mongodb').Db} options.db - MongoDB database
+ * @param {boolean} [options.dryRun] - Only report what would change
+ * @param {boolean} [options.resume] - Skip collections finished by an interrupted run
+ * @param {string[]|null} [options.collections] - Only migrate these collections
+ * @param {(report: Object) => void} [options.onCollection] - Called after each collection
+ * @returns {Promise<Object>} Migration report
+ */
+export async function migrateStorage({
+  from,
+  to,
+  fileProvider,
+  db,
+  dryRun = false,
+  resume = false,
+  collections = null,
+  onCollection = () => {},
+}) {
+  if (
+    !MIGRATION_BACKENDS.includes(from) ||
+    !MIGRATION_BACKENDS.includes(to) ||
+    from === to
+  ) {
+    throw new Error(`Cannot migrate from "${from}" to "${to}"`);
+  }
+
+  const unknown = (collections || []).filter(
+    name => !MIGRATION_COLLECTIONS.some(spec => spec.name === name),
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown collections: ${unknown.join(", ")}`);
+  }
+
+  const backends = { fileProvider, db };
+  const specs = MIGRATION_COLLECTIONS.filter(
+    spec => !collections || collections.includes(spec.name),
+  );
+
+  const checkpointPath = path.join(fileProvider.storagePath, CHECKPOINT_FILE);
+  const saved = resume ? await readCheckpoint(checkpointPath) : null;
+  const checkpoint =
+    saved?.from === from && saved?.to === to
+      ? saved
+      : { from, to, startedAt: new Date().toISOString(), completed: [] };
+
+  const report = { from, to, dryRun, collections: [], unsupported: [] };
+
+  for (const spec of specs) {
+    if (checkpoint.completed.includes(spec.name)) {
+      const entry = { collection: spec.name, status: "skipped" };
+      report.collections.push(entry);
+      onCollection(entry);
+      continue;
+    }
+
+    const sourceDocs = (await readDocuments(from, spec, backends)).map(doc =>
+      toTarget(spec, doc, to),
+    );
+    const targetBefore = await readDocuments(to, spec, backends);
+    const entry = {
+      collection: spec.name,
+      source: sourceDocs.length,
+      targetBefore: targetBefore.length,
+      ...diffDocuments(spec, sourceDocs, targetBefore),
+      targetAfter: null,
+      missing: null,
+      status: "dry-run",
+    };
+
+    if (!dryRun) {
+      await writeDocuments(to, spec, sourceDocs, backends);
+
+      // Every source document must now be found in the target
+      const targetKeys = new Set(
+        (await readDocuments(to, spec, backends)).map(doc =>
+          documentKey(spec, doc),
+        ),
+      );
+      entry.targetAfter = targetKeys.size;
+      entry.missing = sourceDocs.filter(
+        doc => !targetKeys.has(documentKey(spec, doc)),
+      ).length;
+      entry.status = entry.missing === 0 ? "verified" : "mismatch";
+
+      if (entry.status === "verified") {
+        checkpoint.completed.push(spec.name);
+        await fs.writeFile(checkpointPath, JSON.stringify(checkpoint, null, 2));
+      }
+    }
+
+    report.collections.push(entry);
+    onCollection(entry);
+  }
+
+  // MongoDB collections the file storage has no layout for
+  if (from === "mongo" && !collections) {
+    const existing = await db.listCollections({}, { nameOnly: true }).toArray();
+    report.unsupported = existing
+      .map(collection => collection.name)
+      .filter(name => !MIGRATION_COLLECTIONS.some(spec => spec.name === name))
+      .sort();
+  }
+
+  report.verified =
+    !dryRun &&
+    report.collections.every(entry =>
+      ["verified", "skipped"].includes(entry.status),
+    );
+  if (report.verified) {
+    await fs.rm(checkpointPath, { force: true });
+  }
+
+  return report;
+}
@@ -0,0 +1,240 @@
+/**
+ * Timezone Module
+ * IANA timezone helpers built on Intl, plus the per-guild default timezone.
+ *
+ * "Wall clock" dates are Date objects whose UTC fields hold the local time in
+ * a timezone. They let schedule code do calendar math with the UTC setters and
+ * convert back to a real instant once, which keeps DST handling in one place.
+ */
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+  let formatter = partsFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    partsFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Get the timezone of the bot process (the old behaviour of every schedule)
+ * @returns {string} IANA timezone name
+ */
+export function getSystemTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+/**
+ * Validate a timezone name and return its canonical spelling
+ * @param {string} timeZone - IANA timezone (e.g. "america/new_york", "UTC")
+ * @returns {string|null} Canonical name (e.g. "America/New_York") or null if unknown
+ */
+export function normalizeTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return null;
+
+  try {
+    return new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone.trim(),
+    }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the calendar fields of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}} Month is 1-12, weekday is 0 (Sunday) to 6
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(
+    date,
+  )) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+function getOffsetMs(timestamp, timeZone) {
+  const date = new Date(timestamp);
+  const parts = getZonedParts(date, timeZone);
+  const wallTime = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return wallTime - (timestamp - date.getUTCMilliseconds());
+}
+
+/**
+ * Convert a local time in a timezone to an instant.
+ * Times skipped by a DST change move forward by the size of the gap, and
+ * times that happen twice resolve to the first occurrence.
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number}} fields - Month is 1-12
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+export function zonedTimeToDate(fields, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = fields;
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offsets a day either side only differ when a DST change is near
+  const offsetBefore = getOffsetMs(wallTime - DAY_MS, timeZone);
+  const offsetAfter = getOffsetMs(wallTime + DAY_MS, timeZone);
+
+  const matches = [wallTime - offsetBefore, wallTime - offsetAfter].filter(
+    candidate => candidate + getOffsetMs(candidate, timeZone) === wallTime,
+  );
+
+  if (matches.length > 0) {
+    return new Date(Math.min(...matches));
+  }
+
+  // In a DST gap: keep the pre-change offset, which lands after the gap
+  return new Date(wallTime - offsetBefore);
+}
+
+/**
+ * Get the wall clock time of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Date whose UTC fields hold the local time
+ */
+export function toWallClock(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return new Date(
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second,
+      date.getUTCMilliseconds(),
+    ),
+  );
+}
+
+/**
+ * Convert a wall clock date back to an instant
+ * @param {Date|null} wallClock - Date whose UTC fields hold the local time
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date|null}
+ */
+export function wallClockToDate(wallClock, timeZone) {
+  if (!wallClock || isNaN(wallClock.getTime())) return null;
+
+  return zonedTimeToDate(
+    {
+      year: wallClock.getUTCFullYear(),
+      month: wallClock.getUTCMonth() + 1,
+      day: wallClock.getUTCDate(),
+      hour: wallClock.getUTCHours(),
+      minute: wallClock.getUTCMinutes(),
+      second: wallClock.getUTCSeconds(),
+    },
+    timeZone,
+  );
+}
+
+/**
+ * Format an instant in a timezone for embeds
+ * @param {Date|string} date - Instant to format
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} e.g. "Mon, Mar 10, 2025, 9:00 AM EDT"
+ */
+export function formatInTimezone(date, timeZone) {
+  const dateObj = date instanceof Date ? date : new Date(date);
+  if (isNaN(dateObj.getTime())) return "Invalid date";
+
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(dateObj);
+}
+
+/**
+ * Build autocomplete choices for a timezone option
+ * @param {string} query - What the user has typed so far
+ * @returns {Array<{name: string, value: string}>} Up to 25 choices
+ */
+export function getTimezoneChoices(query = "") {
+  const search = query.toLowerCase().replace(/\s+/g, "_").trim();
+  const zones = Intl.supportedValuesOf("timeZone");
+  if (!zones.includes("UTC")) zones.unshift("UTC");
+
+  return zones
+    .filter(zone => zone.toLowerCase().includes(search))
+    .slice(0, 25)
+    .map(zone => ({ name: zone, value: zone }));
+}
+
+/**
+ * Get the default timezone of a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<string>} The guild's timezone, or the bot's timezone if none is set
+ */
+export async function getGuildTimezone(guildId) {
+  try {
+    const { getStorageManager } = await import("./storage/storageManager.js");
+    const storageManager = await getStorageManager();
+    const settings = await storageManager.getGuildSettings(guildId);
+    const timeZone = normalizeTimezone(settings?.timezone);
+    if (timeZone) return timeZone;
+  } catch {
+    // Fall back to the bot's timezone
+  }
+
+  return getSystemTimezone();
+}
+
+/**
+ * Set the default timezone of a guild
+ * @param {string} guildId - Guild ID
+ * @param {string|null} timeZone - Canonical IANA timezone, or null to reset
+ * @returns {Promise<boolean>} Whether the setting was saved
+ */
+export async function setGuildTimezone(guildId, timeZone) {
+  const { getStorageManager } = await import("./storage/storageManager.js");
+  const storageManager = await getStorageManager();
+  const settings = await storageManager.getGuildSettings(guildId);
+  return storageManager.setGuildSettings(guildId, {
+    ...settings,
+    timezone: timeZone,
+  });
+}
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for ticket inactivity auto-close
+ * Tests when idle tickets are warned, reset and closed
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { getAutoCloseAction } from "../../src/features/ticketing/TicketAutoCloseScheduler.js";
+import { AUTO_CLOSE } from "../../src/features/ticketing/config.js";
+
+vi.mock("../../src/utils/storage/storageManager.js", () => ({
+  getStorageManager: vi.fn(() => ({})),
+}));
+
+vi.mock("../../src/features/premium/PremiumManager.js", () => ({
+  getPremiumManager: vi.fn(() => ({
+    isFeatureActive: vi.fn().mockResolvedValue(false),
+  })),
+}));
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date("2025-06-15T12:00:00Z");
+const hoursAgo = hours => new Date(now.getTime() - hours * HOUR_MS);
+
+describe("Ticket Auto-Close", () => {
+  describe("getAutoCloseAction", () => {
+    const inactiveDays = AUTO_CLOSE.INACTIVE_DAYS_FREE;
+    const warnAfterHours = inactiveDays * 24 - AUTO_CLOSE.WARNING_HOURS;
+
+    it("should leave recently active tickets alone", () => {
+      expect(
+        getAutoCloseAction({
+          lastActivity: hoursAgo(warnAfterHours - 1),
+          warnedAt: null,
+          inactiveDays,
+          now,
+        }),
+      ).toBe("none");
+    });
+
+    it("should warn once the ticket is a warning period from closing", () => {
+      expect(
+        getAutoCloseAction({
+          lastActivity: hoursAgo(warnAfterHours),
+          warnedAt: null,
+          inactiveDays,
+          now,
+        }),
+      ).toBe("warn");
+    });
+
+    it("should warn instead of closing a ticket that was never warned", () => {
+      expect(
+        getAutoCloseAction({
+          lastActivity: hoursAgo(inactiveDays * 24 * 2),
+          warnedAt: null,
+          inactiveDays,
+          now,
+        }),
+      ).toBe("warn");
+    });
+
+    it("should wait for the warning period before closing", () => {
+      expect(
+        getAutoCloseAction({
+          lastActivity: hoursAgo(inactiveDays * 24 * 2),
+          warnedAt: hoursAgo(AUTO_CLOSE.WARNING_HOURS - 1),
+          inactiveDays,
+          now,
+        }),
+      ).toBe("none");
+    });
+
+    it("should close once the warning period has passed", () => {
+      expect(
+        getAutoCloseAction({
+          lastActivity: hoursAgo(inactiveDays * 24),
+          warnedAt: hoursAgo(AUTO_CLOSE.WARNING_HOURS),
+          inactiveDays,
+          now,
+        }),
+      ).toBe("close");
+    });
+
+    it("should reset the warning after new activity", () => {
+      expect(
+        getAutoCloseAction({
+          lastActivity: hoursAgo(1),
+          warnedAt: hoursAgo(2),
+          inactiveDays,
+          now,
+        }),
+      ).toBe("reset");
+    });
+
+    it("should use the longer Pro Engine window", () => {
+      expect(
+        getAutoCloseAction({
+          lastActivity: hoursAgo(warnAfterHours),
+          warnedAt: null,
+          inactiveDays: AUTO_CLOSE.INACTIVE_DAYS_PRO,
+          now,
+        }),
+      ).toBe("none");
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for ticket automation rules
+ * Tests assignee selection and keyword matching
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { Collection } from "discord.js";
+import {
+  fetchRoleMembers,
+  findKeywordRule,
+  pickAssignee,
+} from "../../src/features/ticketing/TicketAutomation.js";
+import { ASSIGNMENT_MODES } from "../../src/features/ticketing/config.js";
+
+vi.mock("../../src/utils/storage/storageManager.js", () => ({
+  getStorageManager: vi.fn(() => ({})),
+}));
+
+vi.mock("../../src/features/premium/PremiumManager.js", () => ({
+  getPremiumManager: vi.fn(() => ({
+    isFeatureActive: vi.fn().mockResolvedValue(false),
+  })),
+}));
+
+describe("Ticket Automation", () => {
+  describe("pickAssignee", () => {
+    const staff = ["300", "100", "200"];
+
+    it("should not assign when assignment is off", () => {
+      expect(pickAssignee(staff, ASSIGNMENT_MODES.OFF)).toBeNull();
+    });
+
+    it("should not assign without candidates", () => {
+      expect(pickAssignee([], ASSIGNMENT_MODES.ROUND_ROBIN)).toBeNull();
+    });
+
+    it("should rotate through staff in round-robin", () => {
+      const mode = ASSIGNMENT_MODES.ROUND_ROBIN;
+
+      expect(pickAssignee(staff, mode)).toBe("100");
+      expect(pickAssignee(staff, mode, { lastAssignedId: "100" })).toBe("200");
+      expect(pickAssignee(staff, mode, { lastAssignedId: "300" })).toBe("100");
+    });
+
+    it("should continue the rotation when the last assignee left", () => {
+      expect(
+        pickAssignee(staff, ASSIGNMENT_MODES.ROUND_ROBIN, {
+          lastAssignedId: "150",
+        }),
+      ).toBe("200");
+    });
+
+    it("should pick the staff member with the fewest open tickets", () => {
+      expect(
+        pickAssignee(staff, ASSIGNMENT_MODES.LEAST_LOAD, {
+          openCounts: { 100: 3, 200: 1, 300: 2 },
+        }),
+      ).toBe("200");
+    });
+
+    it("should break least-load ties in rotation order", () => {
+      expect(
+        pickAssignee(staff, ASSIGNMENT_MODES.LEAST_LOAD, {
+          lastAssignedId: "100",
+          openCounts: { 100: 0, 200: 1 },
+        }),
+      ).toBe("300");
+    });
+  });
+
+  describe("fetchRoleMembers", () => {
+    const createMember = (id, roleIds) => ({
+      id,
+      roles: { cache: new Collection(roleIds.map(roleId => [roleId, {}])) },
+    });
+
+    it("should include staff who aren't cached", async () => {
+      const cached = createMember("100", ["staff"]);
+      const guild = {
+        id: "guild",
+        members: {
+          fetch: vi.fn().mockResolvedValue(
+            new Collection([
+              ["100", cached],
+              ["200", createMember("200", ["staff"])],
+              ["300", createMember("300", [])],
+            ]),
+          ),
+        },
+      };
+      const role = {
+        id: "staff",
+        members: new Collection([["100", cached]]),
+      };
+
+      const members = await fetchRoleMembers(guild, role);
+
+      expect(members.map(member => member.id)).toEqual(["100", "200"]);
+    });
+
+    it("should fall back to cached members when fetching fails", async () => {
+      const cached = createMember("100", ["staff"]);
+      const guild = {
+        id: "guild",
+        members: { fetch: vi.fn().mockRejectedValue(new Error("Timed out")) },
+      };
+      const role = {
+        id: "staff",
+        members: new Collection([["100", cached]]),
+      };
+
+      expect(await fetchRoleMembers(guild, role)).toEqual([cached]);
+    });
+  });
+
+  describe("findKeywordRule", () => {
+    const rules = [
+      { keyword: "refund", categoryId: "billing" },
+      { keyword: "bug report", categoryId: "bugs" },
+    ];
+
+    it("should match whole words in any case", () => {
+      expect(findKeywordRule("I want a REFUND please", rules)).toBe(rules[0]);
+      expect(findKeywordRule("refunded yesterday", rules)).toBeNull();
+    });
+
+    it("should match phrases", () => {
+      expect(findKeywordRule("Filing a bug report.", rules)).toBe(rules[1]);
+    });
+
+    it("should treat keywords literally", () => {
+      const rule = { keyword: "c++", response: "See the C++ FAQ" };
+
+      expect(findKeywordRule("help with c++", [rule])).toBe(rule);
+      expect(findKeywordRule("help with c", [rule])).toBeNull();
+    });
+
+    it("should ignore empty messages", () => {
+      expect(findKeywordRule("", rules)).toBeNull();
+    });
+  });
+});
@@ -5,12 +5,17 @@
 
 import { describe, it, expect, beforeEach, vi } from "vitest";
 import { getTicketPanel } from "../../src/features/ticketing/TicketPanel.js";
-import { FREE_TIER, PRO_ENGINE } from "../../src/features/ticketing/config.js";
+import {
+  FREE_TIER,
+  PRO_ENGINE,
+  INTAKE_FORM,
+} from "../../src/features/ticketing/config.js";
 
 // Mock dependencies
 vi.mock("../../src/utils/storage/storageManager.js", () => ({
   getStorageManager: vi.fn(() => ({
     getTicketPanelsByGuild: vi.fn().mockResolvedValue([]),
+    getTicketPanel: vi.fn().mockResolvedValue(null),
     createTicketPanel: vi.fn().mockResolvedValue(null),
     updateTicketPanel: vi.fn().mockResolvedValue(false),
     deleteTicketPanel: vi.fn().mockResolvedValue(false),
@@ -163,6 +168,63 @@ describe("TicketPanel", () => {
     });
   });
 
+  describe("Intake Questions", () => {
+    const panel = {
+      panelId: "PNL-test-001",
+      categories: [{ id: "default", label: "Support" }],
+    };
+
+    it("should save questions on the category", async () => {
+      ticketPanel.storage.getTicketPanel.mockResolvedValueOnce(panel);
+      ticketPanel.storage.updateTicketPanel.mockResolvedValueOnce(true);
+
+      const result = await ticketPanel.setCategoryQuestions(
+        "PNL-test-001",
+        "default",
+        ["What is your username?"]
+      );
+
+      expect(result.success).toBe(true);
+      expect(ticketPanel.storage.updateTicketPanel).toHaveBeenCalledWith(
+        "PNL-test-001",
+        {
+          categories: [
+            {
+              id: "default",
+              label: "Support",
+              questions: [{ label: "What is your username?" }],
+            },
+          ],
+        }
+      );
+    });
+
+    it("should reject more questions than a modal can hold", async () => {
+      ticketPanel.storage.getTicketPanel.mockResolvedValueOnce(panel);
+
+      const result = await ticketPanel.setCategoryQuestions(
+        "PNL-test-001",
+        "default",
+        Array(INTAKE_FORM.MAX_QUESTIONS + 1).fill("Question")
+      );
+
+      expect(result.success).toBe(false);
+      expect(ticketPanel.storage.updateTicketPanel).not.toHaveBeenCalled();
+    });
+
+    it("should reject unknown categories", async () => {
+      ticketPanel.storage.getTicketPanel.mockResolvedValueOnce(panel);
+
+      const result = await ticketPanel.setCategoryQuestions(
+        "PNL-test-001",
+        "billing",
+        ["Question"]
+      );
+
+      expect(result.success).toBe(false);
+    });
+  });
+
   describe("Panel Message", () => {
     it("should handle missing channel", async () => {
       const result = await ticketPanel.sendPanelMessage({
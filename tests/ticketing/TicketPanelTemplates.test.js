@@ -0,0 +1,244 @@
+/**
+ * Unit tests for ticket panel templates
+ * Tests template validation and saving limits
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  createPanelTemplate,
+  parsePanelTemplate,
+} from "../../src/features/ticketing/panelTemplates.js";
+import { getTicketPanel } from "../../src/features/ticketing/TicketPanel.js";
+import {
+  DEFAULT_CATEGORY,
+  PANEL_TEMPLATES,
+  PRO_ENGINE,
+} from "../../src/features/ticketing/config.js";
+
+const storage = {
+  getTicketPanelTemplates: vi.fn().mockResolvedValue([]),
+  saveTicketPanelTemplate: vi.fn().mockResolvedValue(true),
+};
+
+vi.mock("../../src/utils/storage/storageManager.js", () => ({
+  getStorageManager: vi.fn(() => storage),
+}));
+
+vi.mock("../../src/features/premium/PremiumManager.js", () => ({
+  getPremiumManager: vi.fn(() => ({
+    isFeatureActive: vi.fn().mockResolvedValue(false),
+  })),
+}));
+
+const panel = {
+  panelId: "PNL-123-001",
+  guildId: "123",
+  title: "Support",
+  description: "Open a ticket",
+  categories: [
+    {
+      id: "billing",
+      label: "Billing",
+      emoji: "💳",
+      description: "Payments and refunds",
+      priority: "high",
+      questions: [{ label: "What is your order number?" }],
+    },
+  ],
+  styling: { color: 0xff0000, footer: null, proBranding: false },
+  messageId: "456",
+};
+
+describe("Ticket Panel Templates", () => {
+  describe("createPanelTemplate", () => {
+    it("should keep only what the template re-creates", () => {
+      const template = createPanelTemplate(panel, {
+        name: "  Support  ",
+        staffRoles: [{ id: "123456789012345678", name: "Staff" }],
+      });
+
+      expect(template).toEqual({
+        version: PANEL_TEMPLATES.VERSION,
+        name: "Support",
+        panel: {
+          title: "Support",
+          description: "Open a ticket",
+          color: 0xff0000,
+          categories: panel.categories,
+        },
+        staffRoles: [{ id: "123456789012345678", name: "Staff" }],
+      });
+    });
+
+    it("should use the default category for panels without categories", () => {
+      const template = createPanelTemplate(
+        { ...panel, categories: [], styling: { color: null } },
+        { name: "Basic" },
+      );
+
+      expect(template.panel.categories).toEqual([
+        { ...DEFAULT_CATEGORY, questions: [] },
+      ]);
+      expect(template.panel.color).toBe(0x5865f2);
+    });
+  });
+
+  describe("parsePanelTemplate", () => {
+    const valid = () =>
+      JSON.parse(
+        JSON.stringify(createPanelTemplate(panel, { name: "Support" })),
+      );
+
+    it("should round-trip an exported template", () => {
+      const template = valid();
+      expect(parsePanelTemplate(template)).toEqual(template);
+    });
+
+    it("should drop unknown fields", () => {
+      const template = {
+        ...valid(),
+        ownerId: "1",
+        panel: { ...valid().panel, messageId: "456" },
+      };
+
+      const parsed = parsePanelTemplate(template);
+      expect(parsed).not.toHaveProperty("ownerId");
+      expect(parsed.panel).not.toHaveProperty("messageId");
+    });
+
+    it("should drop role IDs that are not snowflakes", () => {
+      const parsed = parsePanelTemplate({
+        ...valid(),
+        staffRoles: [{ id: "abc", name: "Staff" }],
+      });
+      expect(parsed.staffRoles).toEqual([{ id: null, name: "Staff" }]);
+    });
+
+    it.each([
+      ["a non-object", "[]"],
+      ["a missing name", { ...valid(), name: " " }],
+      ["a newer version", { ...valid(), version: PANEL_TEMPLATES.VERSION + 1 }],
+      [
+        "an invalid color",
+        { ...valid(), panel: { ...valid().panel, color: -1 } },
+      ],
+      [
+        "a missing title",
+        { ...valid(), panel: { ...valid().panel, title: "" } },
+      ],
+      [
+        "no categories",
+        { ...valid(), panel: { ...valid().panel, categories: [] } },
+      ],
+    ])("should reject %s", (_, data) => {
+      expect(() =>
+        parsePanelTemplate(typeof data === "string" ? JSON.parse(data) : data),
+      ).toThrow(RangeError);
+    });
+
+    it("should reject too many categories", () => {
+      const categories = Array.from(
+        { length: PRO_ENGINE.MAX_CATEGORIES + 1 },
+        (_, index) => ({ id: `c${index}`, label: `Category ${index}` }),
+      );
+      expect(() =>
+        parsePanelTemplate({
+          ...valid(),
+          panel: { ...valid().panel, categories },
+        }),
+      ).toThrow(RangeError);
+    });
+
+    it("should reject duplicate or invalid category IDs", () => {
+      const category = valid().panel.categories[0];
+
+      expect(() =>
+        parsePanelTemplate({
+          ...valid(),
+          panel: { ...valid().panel, categories: [category, category] },
+        }),
+      ).toThrow(/two categories/);
+      expect(() =>
+        parsePanelTemplate({
+          ...valid(),
+          panel: {
+            ...valid().panel,
+            categories: [{ ...category, id: "has spaces" }],
+          },
+        }),
+      ).toThrow(RangeError);
+    });
+
+    it("should reject unknown priorities and long question lists", () => {
+      const category = valid().panel.categories[0];
+
+      expect(() =>
+        parsePanelTemplate({
+          ...valid(),
+          panel: {
+            ...valid().panel,
+            categories: [{ ...category, priority: "critical" }],
+          },
+        }),
+      ).toThrow(/priority/);
+      expect(() =>
+        parsePanelTemplate({
+          ...valid(),
+          panel: {
+            ...valid().panel,
+            categories: [
+              {
+                ...category,
+                questions: Array(6).fill({ label: "Question?" }),
+              },
+            ],
+          },
+        }),
+      ).toThrow(/questions/);
+    });
+  });
+
+  describe("saveTemplate", () => {
+    let ticketPanel;
+
+    beforeEach(async () => {
+      ticketPanel = getTicketPanel();
+      await ticketPanel.initialize();
+      vi.clearAllMocks();
+    });
+
+    const stored = count =>
+      Array.from({ length: count }, (_, index) => ({
+        name: `Template ${index}`,
+        nameKey: `template ${index}`,
+      }));
+
+    it("should refuse new templates once the limit is reached", async () => {
+      storage.getTicketPanelTemplates.mockResolvedValueOnce(
+        stored(PANEL_TEMPLATES.MAX_PER_USER),
+      );
+
+      const result = await ticketPanel.saveTemplate(
+        "user",
+        createPanelTemplate(panel, { name: "New" }),
+      );
+
+      expect(result.success).toBe(false);
+      expect(storage.saveTicketPanelTemplate).not.toHaveBeenCalled();
+    });
+
+    it("should replace a template with the same name at the limit", async () => {
+      storage.getTicketPanelTemplates.mockResolvedValueOnce(
+        stored(PANEL_TEMPLATES.MAX_PER_USER),
+      );
+
+      const result = await ticketPanel.saveTemplate(
+        "user",
+        createPanelTemplate(panel, { name: "TEMPLATE 0" }),
+      );
+
+      expect(result).toEqual({ success: true, replaced: true });
+      expect(storage.saveTicketPanelTemplate).toHaveBeenCalledOnce();
+    });
+  });
+});
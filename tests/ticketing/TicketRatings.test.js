@@ -0,0 +1,188 @@
+/**
+ * Unit tests for ticket satisfaction ratings
+ * Tests rating aggregation, storage and rating requests
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  computeRatingSummary,
+  getTicketManager,
+} from "../../src/features/ticketing/TicketManager.js";
+import { getTicketTranscript } from "../../src/features/ticketing/TicketTranscript.js";
+import { formatRating } from "../../src/features/ticketing/helpers.js";
+
+const storage = {
+  getTicket: vi.fn().mockResolvedValue(null),
+  closeTicket: vi.fn().mockResolvedValue(true),
+  setTicketRating: vi.fn().mockResolvedValue(true),
+};
+
+vi.mock("../../src/utils/storage/storageManager.js", () => ({
+  getStorageManager: vi.fn(() => storage),
+}));
+
+vi.mock("../../src/features/premium/PremiumManager.js", () => ({
+  getPremiumManager: vi.fn(() => ({
+    isFeatureActive: vi.fn().mockResolvedValue(false),
+  })),
+}));
+
+const closedTicket = {
+  ticketId: "TIX-123-0007",
+  guildId: "123",
+  userId: "user1",
+  status: "closed",
+  categoryId: "billing",
+  claimedBy: null,
+  closedBy: "staff1",
+};
+
+describe("Ticket Ratings", () => {
+  describe("computeRatingSummary", () => {
+    it("should aggregate per guild, category and staff member", () => {
+      const summary = computeRatingSummary([
+        { categoryId: "billing", rating: { stars: 5, staffId: "staff1" } },
+        { categoryId: "billing", rating: { stars: 3, staffId: "staff2" } },
+        { categoryId: "bugs", rating: { stars: 4, staffId: "staff1" } },
+        { rating: { stars: 1, staffId: null } },
+        { categoryId: "bugs" },
+      ]);
+
+      expect(summary.count).toBe(4);
+      expect(summary.average).toBe(3.25);
+      expect(summary.distribution).toEqual([1, 0, 1, 1, 1]);
+      expect(summary.categories).toEqual([
+        { categoryId: "billing", count: 2, average: 4 },
+        { categoryId: "bugs", count: 1, average: 4 },
+        { categoryId: "default", count: 1, average: 1 },
+      ]);
+      expect(summary.staff).toEqual([
+        { staffId: "staff1", count: 2, average: 4.5 },
+        { staffId: "staff2", count: 1, average: 3 },
+      ]);
+    });
+
+    it("should have no average without ratings", () => {
+      const summary = computeRatingSummary([{ categoryId: "bugs" }]);
+
+      expect(summary.count).toBe(0);
+      expect(summary.average).toBeNull();
+      expect(summary.categories).toEqual([]);
+    });
+  });
+
+  describe("formatRating", () => {
+    it("should format whole and average ratings", () => {
+      expect(formatRating(4)).toBe("★★★★☆ 4/5");
+      expect(formatRating(4.25)).toBe("★★★★☆ 4.3/5");
+      expect(formatRating(1.5)).toBe("★★☆☆☆ 1.5/5");
+    });
+  });
+
+  describe("TicketManager", () => {
+    let ticketManager;
+
+    beforeEach(async () => {
+      ticketManager = getTicketManager();
+      await ticketManager.initialize();
+      vi.clearAllMocks();
+    });
+
+    it("should credit the rating to the staff member who closed the ticket", async () => {
+      await ticketManager.rateTicket(closedTicket, 4);
+
+      expect(storage.setTicketRating).toHaveBeenCalledWith(
+        closedTicket.ticketId,
+        expect.objectContaining({
+          stars: 4,
+          feedback: null,
+          staffId: "staff1",
+        }),
+      );
+    });
+
+    it("should prefer the claimer and skip closes by the opener or system", async () => {
+      await ticketManager.rateTicket(
+        { ...closedTicket, claimedBy: "staff2" },
+        5,
+      );
+      await ticketManager.rateTicket(
+        { ...closedTicket, closedBy: "system" },
+        2,
+      );
+
+      expect(storage.setTicketRating.mock.calls[0][1].staffId).toBe("staff2");
+      expect(storage.setTicketRating.mock.calls[1][1].staffId).toBeNull();
+    });
+
+    it("should DM the opener a rating request when closing with a client", async () => {
+      const send = vi.fn().mockResolvedValue({});
+      const client = {
+        users: { fetch: vi.fn().mockResolvedValue({ send }) },
+        guilds: { cache: new Map([["123", { name: "Test Server" }]]) },
+      };
+      storage.getTicket.mockResolvedValueOnce(closedTicket);
+
+      const success = await ticketManager.closeTicket(
+        closedTicket.ticketId,
+        "staff1",
+        null,
+        client,
+      );
+
+      expect(success).toBe(true);
+      expect(client.users.fetch).toHaveBeenCalledWith("user1");
+      const [{ embeds, components }] = send.mock.calls[0];
+      expect(embeds[0].data.description).toContain("Test Server");
+      expect(
+        components[0].components.map(button => button.data.custom_id),
+      ).toEqual([1, 2, 3, 4, 5].map(n => `ticket_rate_${n}_TIX-123-0007`));
+    });
+
+    it("should still close the ticket when the opener has DMs off", async () => {
+      const client = {
+        users: {
+          fetch: vi.fn().mockResolvedValue({
+            send: vi.fn().mockRejectedValue(new Error("Cannot send messages")),
+          }),
+        },
+        guilds: { cache: new Map() },
+      };
+      storage.getTicket.mockResolvedValueOnce(closedTicket);
+
+      await expect(
+        ticketManager.closeTicket(
+          closedTicket.ticketId,
+          "staff1",
+          null,
+          client,
+        ),
+      ).resolves.toBe(true);
+    });
+  });
+
+  describe("Transcript header", () => {
+    it("should show the rating and feedback", () => {
+      const ticketTranscript = getTicketTranscript();
+      const rating = { stars: 2, feedback: "Took <too> long" };
+
+      const markdown = ticketTranscript.generateMarkdown([], {
+        ...closedTicket,
+        rating,
+      });
+      const html = ticketTranscript.generateHTML([], {
+        ...closedTicket,
+        rating,
+      });
+      const json = JSON.parse(
+        ticketTranscript.generateJSON([], { ...closedTicket, rating }),
+      );
+
+      expect(markdown).toContain("**Rating:** ★★☆☆☆ 2/5");
+      expect(markdown).toContain("**Feedback:** Took <too> long");
+      expect(html).toContain("★★☆☆☆ 2/5");
+      expect(html).toContain("Took &lt;too&gt; long");
+      expect(json.ticketInfo.rating).toEqual(rating);
+    });
+  });
+});
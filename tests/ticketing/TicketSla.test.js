@@ -0,0 +1,135 @@
+/**
+ * Unit tests for ticket priorities and SLA timers
+ * Tests targets, timer states and escalation selection
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import {
+  formatSlaTarget,
+  getSlaStatus,
+  getSlaTargets,
+} from "../../src/features/ticketing/helpers.js";
+import { getPendingEscalations } from "../../src/features/ticketing/TicketSlaScheduler.js";
+import { SLA_TARGETS } from "../../src/features/ticketing/config.js";
+
+vi.mock("../../src/utils/storage/storageManager.js", () => ({
+  getStorageManager: vi.fn(() => ({})),
+}));
+
+vi.mock("../../src/features/premium/PremiumManager.js", () => ({
+  getPremiumManager: vi.fn(() => ({
+    isFeatureActive: vi.fn().mockResolvedValue(false),
+  })),
+}));
+
+const MINUTE_MS = 60 * 1000;
+const openedAt = new Date("2025-06-15T12:00:00Z");
+const minutesLater = minutes =>
+  new Date(openedAt.getTime() + minutes * MINUTE_MS);
+
+describe("Ticket SLA", () => {
+  describe("getSlaTargets", () => {
+    it("should use the default targets of a priority", () => {
+      expect(getSlaTargets("urgent")).toEqual({
+        firstResponseMinutes: SLA_TARGETS.urgent.FIRST_RESPONSE_MINUTES,
+        resolutionHours: SLA_TARGETS.urgent.RESOLUTION_HOURS,
+      });
+    });
+
+    it("should apply guild overrides per target", () => {
+      const targets = getSlaTargets("high", {
+        high: { firstResponseMinutes: 30 },
+      });
+
+      expect(targets.firstResponseMinutes).toBe(30);
+      expect(targets.resolutionHours).toBe(SLA_TARGETS.high.RESOLUTION_HOURS);
+    });
+
+    it("should treat unknown priorities as normal", () => {
+      expect(getSlaTargets(undefined)).toEqual(getSlaTargets("normal"));
+    });
+  });
+
+  describe("getSlaStatus", () => {
+    const targets = { firstResponseMinutes: 60, resolutionHours: 24 };
+
+    it("should be on track early on", () => {
+      const status = getSlaStatus({ openedAt }, targets, minutesLater(10));
+
+      expect(status.firstResponse.state).toBe("on_track");
+      expect(status.firstResponse.dueAt).toEqual(minutesLater(60));
+      expect(status.resolution.dueAt).toEqual(minutesLater(24 * 60));
+    });
+
+    it("should be at risk once most of a target has passed", () => {
+      const status = getSlaStatus({ openedAt }, targets, minutesLater(50));
+
+      expect(status.firstResponse.state).toBe("at_risk");
+      expect(status.resolution.state).toBe("on_track");
+    });
+
+    it("should be breached once a target has passed", () => {
+      const status = getSlaStatus({ openedAt }, targets, minutesLater(61));
+
+      expect(status.firstResponse.state).toBe("breached");
+    });
+
+    it("should stop the first response timer at the first response", () => {
+      const met = getSlaStatus(
+        { openedAt, firstResponseAt: minutesLater(30) },
+        targets,
+        minutesLater(600),
+      );
+      const missed = getSlaStatus(
+        { openedAt, firstResponseAt: minutesLater(90) },
+        targets,
+        minutesLater(600),
+      );
+
+      expect(met.firstResponse.state).toBe("met");
+      expect(missed.firstResponse.state).toBe("missed");
+    });
+
+    it("should stop the resolution timer when the ticket closes", () => {
+      const status = getSlaStatus(
+        { openedAt, closedAt: minutesLater(120).toISOString() },
+        targets,
+        minutesLater(48 * 60),
+      );
+
+      expect(status.resolution.state).toBe("met");
+    });
+  });
+
+  describe("getPendingEscalations", () => {
+    const status = {
+      firstResponse: { dueAt: minutesLater(60), state: "breached" },
+      resolution: { dueAt: minutesLater(1440), state: "at_risk" },
+    };
+
+    it("should escalate every target at risk or breached", () => {
+      expect(getPendingEscalations({}, status)).toEqual([
+        "firstResponse",
+        "resolution",
+      ]);
+    });
+
+    it("should only escalate each target once", () => {
+      expect(
+        getPendingEscalations(
+          { slaEscalations: { firstResponse: minutesLater(50) } },
+          status,
+        ),
+      ).toEqual(["resolution"]);
+    });
+  });
+
+  describe("formatSlaTarget", () => {
+    it("should format target lengths compactly", () => {
+      expect(formatSlaTarget(15)).toBe("15m");
+      expect(formatSlaTarget(240)).toBe("4h");
+      expect(formatSlaTarget(90)).toBe("1h 30m");
+      expect(formatSlaTarget(10080)).toBe("7d");
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for ticket staff performance analytics
+ * Tests per-staff metrics and date range parsing
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import {
+  computeStaffPerformance,
+  getTicketManager,
+} from "../../src/features/ticketing/TicketManager.js";
+import { parseStatsRange } from "../../src/features/ticketing/helpers.js";
+
+vi.mock("../../src/utils/storage/storageManager.js", () => ({
+  getStorageManager: vi.fn(() => ({})),
+}));
+
+vi.mock("../../src/features/premium/PremiumManager.js", () => ({
+  getPremiumManager: vi.fn(() => ({
+    isFeatureActive: vi.fn().mockResolvedValue(false),
+  })),
+}));
+
+const MINUTE_MS = 60 * 1000;
+const openedAt = new Date("2025-06-15T12:00:00Z");
+const minutesLater = minutes =>
+  new Date(openedAt.getTime() + minutes * MINUTE_MS);
+
+const findStaff = (staff, staffId) =>
+  staff.find(entry => entry.staffId === staffId);
+
+describe("Ticket Staff Stats", () => {
+  describe("computeStaffPerformance", () => {
+    it("should count claims, closes and transfers from events", () => {
+      const staff = computeStaffPerformance([
+        {
+          userId: "user1",
+          openedAt,
+          claimedBy: "staff2",
+          closedBy: "staff2",
+          closedAt: minutesLater(120),
+          events: [
+            { type: "claim", staffId: "staff1", at: minutesLater(5) },
+            {
+              type: "transfer",
+              fromStaffId: "staff1",
+              staffId: "staff2",
+              at: minutesLater(30),
+            },
+          ],
+        },
+      ]);
+
+      expect(findStaff(staff, "staff1")).toMatchObject({
+        claimed: 1,
+        closed: 0,
+        transfersOut: 1,
+        transfersIn: 0,
+      });
+      expect(findStaff(staff, "staff2")).toMatchObject({
+        claimed: 0,
+        closed: 1,
+        transfersIn: 1,
+        medianResolutionMs: 120 * MINUTE_MS,
+      });
+    });
+
+    it("should not credit closes by the ticket owner or the system", () => {
+      const staff = computeStaffPerformance([
+        { userId: "user1", openedAt, closedBy: "user1", events: [] },
+        { userId: "user2", openedAt, closedBy: "system", events: [] },
+        { userId: "user3", openedAt, closedBy: "SYSTEM", events: [] },
+      ]);
+
+      expect(staff).toEqual([]);
+    });
+
+    it("should use the median first response of each staff member", () => {
+      const staff = computeStaffPerformance(
+        [10, 30, 20, 100].map(minutes => ({
+          userId: "user1",
+          openedAt: openedAt.toISOString(),
+          firstResponseAt: minutesLater(minutes),
+          firstResponseBy: "staff1",
+          events: [],
+        })),
+      );
+
+      expect(findStaff(staff, "staff1").medianFirstResponseMs).toBe(
+        25 * MINUTE_MS,
+      );
+      expect(findStaff(staff, "staff1").medianResolutionMs).toBeNull();
+    });
+
+    it("should fall back to the claimer for tickets without events", () => {
+      const staff = computeStaffPerformance([
+        {
+          userId: "user1",
+          openedAt,
+          claimedBy: "staff1",
+          claimedAt: minutesLater(15),
+        },
+      ]);
+
+      expect(findStaff(staff, "staff1")).toMatchObject({
+        claimed: 1,
+        medianFirstResponseMs: 15 * MINUTE_MS,
+      });
+    });
+
+    it("should sort by tickets closed, then claimed", () => {
+      const staff = computeStaffPerformance([
+        {
+          userId: "user1",
+          openedAt,
+          events: [{ type: "claim", staffId: "staff1" }],
+        },
+        {
+          userId: "user2",
+          openedAt,
+          closedBy: "staff2",
+          closedAt: minutesLater(60),
+          events: [],
+        },
+      ]);
+
+      expect(staff.map(entry => entry.staffId)).toEqual(["staff2", "staff1"]);
+    });
+  });
+
+  describe("getStaffPerformance", () => {
+    it("should not be available without Pro Engine", async () => {
+      const ticketManager = getTicketManager();
+      await ticketManager.initialize();
+
+      const performance = await ticketManager.getStaffPerformance(
+        "test-guild-id",
+        { from: openedAt, to: minutesLater(60) },
+      );
+
+      expect(performance.available).toBe(false);
+      expect(performance.staff).toEqual([]);
+    });
+  });
+
+  describe("parseStatsRange", () => {
+    it("should cover whole days in the guild timezone", () => {
+      const range = parseStatsRange(
+        "2025-06-01",
+        "2025-06-30",
+        "America/New_York",
+      );
+
+      expect(range.from.toISOString()).toBe("2025-06-01T04:00:00.000Z");
+      expect(range.to.toISOString()).toBe("2025-07-01T04:00:00.000Z");
+    });
+
+    it("should default to the last 30 days", () => {
+      const now = new Date("2025-06-15T12:00:00Z");
+      const range = parseStatsRange(null, null, "UTC", now);
+
+      expect(range.to).toEqual(now);
+      expect(range.from.toISOString()).toBe("2025-05-16T12:00:00.000Z");
+    });
+
+    it("should reject invalid dates and reversed ranges", () => {
+      expect(parseStatsRange("2025-02-30", null, "UTC")).toBeNull();
+      expect(parseStatsRange("June 1", null, "UTC")).toBeNull();
+      expect(parseStatsRange("2025-06-10", "2025-06-01", "UTC")).toBeNull();
+    });
+  });
+});
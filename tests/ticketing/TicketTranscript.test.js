@@ -4,7 +4,11 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from "vitest";
-import { getTicketTranscript } from "../../src/features/ticketing/TicketTranscript.js";
+import {
+  collectAssetUrls,
+  getTicketTranscript,
+} from "../../src/features/ticketing/TicketTranscript.js";
+import { wrapText } from "../../src/features/ticketing/transcriptPdf.js";
 
 // Mock dependencies
 vi.mock("../../src/utils/storage/storageManager.js", () => ({
@@ -246,6 +250,17 @@ describe("TicketTranscript", () => {
       expect(html).toContain("Ticket Transcript");
     });
 
+    it("should include escaped intake answers", () => {
+      const html = ticketTranscript.generateHTML([], {
+        ticketId: "TIX-test-00000",
+        intake: [{ question: "Order ID?", answer: "<b>1234</b>" }],
+      });
+
+      expect(html).toContain("Intake Form");
+      expect(html).toContain("Order ID?");
+      expect(html).toContain("&lt;b&gt;1234&lt;/b&gt;");
+    });
+
     it("should escape HTML special characters", () => {
       const text = '<script>alert("XSS")</script>';
       const escaped = ticketTranscript.escapeHtml(text);
@@ -266,6 +281,147 @@ describe("TicketTranscript", () => {
     });
   });
 
+  describe("Archiving", () => {
+    const avatarUrl = "https://cdn.discordapp.com/avatars/1/abc.png";
+    const fileUrl = "https://cdn.discordapp.com/attachments/1/2/log.txt";
+    const imageUrl = "https://cdn.discordapp.com/attachments/1/3/shot.png";
+    const emojiUrl = "https://cdn.discordapp.com/emojis/42.gif";
+
+    const message = {
+      userId: "1",
+      displayName: "User",
+      avatarUrl,
+      content: "Done <a:party_blob:42>",
+      embeds: [],
+      timestamp: new Date().toISOString(),
+      attachments: [imageUrl, fileUrl, "https://example.com/x.png"],
+    };
+
+    const asset = (url, contentType, data) => ({
+      url,
+      contentType,
+      size: data.length,
+      data: Buffer.from(data).toString("base64"),
+    });
+
+    it("should collect avatars and emoji before attachments", () => {
+      expect(collectAssetUrls([message, message])).toEqual([
+        avatarUrl,
+        emojiUrl,
+        imageUrl,
+        fileUrl,
+      ]);
+    });
+
+    it("should render custom emoji as images", () => {
+      const html = ticketTranscript.parseMarkdown("Hi <:blob_cat_dance:7>");
+
+      expect(html).toContain(
+        '<img class="chatlog__emoji" src="https://cdn.discordapp.com/emojis/7.png" alt=":blob_cat_dance:"',
+      );
+    });
+
+    it("should embed archived files in place of CDN links", () => {
+      const html = ticketTranscript.generateHTML([message], {}, [
+        asset(avatarUrl, "image/png", "avatar"),
+        asset(imageUrl, "image/png", "image"),
+        asset(fileUrl, "text/plain", "log"),
+      ]);
+
+      expect(html).not.toContain(avatarUrl);
+      expect(html).not.toContain(imageUrl);
+      expect(html).not.toContain(fileUrl);
+      expect(html).toContain(
+        `src="data:image/png;base64,${Buffer.from("image").toString("base64")}"`,
+      );
+      expect(html).toContain('download="log.txt"');
+      // Files that were not archived keep their link
+      expect(html).toContain(emojiUrl);
+    });
+
+    it("should stop archiving at the size cap", async () => {
+      const fetchMock = vi.fn(async url => new Response(`data:${url}`));
+      vi.stubGlobal("fetch", fetchMock);
+
+      try {
+        const maxBytes = `data:${avatarUrl}`.length + 5;
+        const { assets, archive } = await ticketTranscript.archiveAssets(
+          [avatarUrl, fileUrl],
+          maxBytes,
+        );
+
+        expect(assets.map(({ url }) => url)).toEqual([avatarUrl]);
+        expect(archive).toEqual({
+          embedded: 1,
+          skipped: 1,
+          sizeBytes: `data:${avatarUrl}`.length,
+        });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    it("should skip files that fail to download", async () => {
+      vi.stubGlobal(
+        "fetch",
+        vi.fn().mockResolvedValue(new Response("", { status: 404 })),
+      );
+
+      try {
+        const { assets, archive } = await ticketTranscript.archiveAssets(
+          [fileUrl],
+          1024,
+        );
+
+        expect(assets).toEqual([]);
+        expect(archive.skipped).toBe(1);
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+
+  describe("PDF Generation", () => {
+    // One unit of width per character
+    const ctx = { measureText: text => ({ width: text.length }) };
+
+    it("should wrap text at word boundaries", () => {
+      expect(wrapText(ctx, "one two three\nfour", 8)).toEqual([
+        "one two",
+        "three",
+        "four",
+      ]);
+    });
+
+    it("should break words longer than a line", () => {
+      expect(wrapText(ctx, "abcdefghij xy", 4)).toEqual([
+        "abcd",
+        "efgh",
+        "ij",
+        "xy",
+      ]);
+    });
+
+    it("should render a paginated PDF", () => {
+      const messages = Array.from({ length: 80 }, (_, i) => ({
+        userId: String(i % 2),
+        displayName: `User ${i % 2}`,
+        content: `Message ${i}`,
+        embeds: [{ title: "Embed", description: "Details", fields: [] }],
+        timestamp: new Date(Date.UTC(2025, 0, 1, 0, i * 10)).toISOString(),
+        attachments: ["https://cdn.discordapp.com/attachments/1/2/log.txt"],
+      }));
+
+      const pdf = ticketTranscript.generatePDF(messages, {
+        ticketId: "TIX-test-00000",
+      });
+      const pages = pdf.toString("latin1").match(/\/Type \/Page\b/g);
+
+      expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+      expect(pages.length).toBeGreaterThan(1);
+    });
+  });
+
   describe("Text Generation", () => {
     it("should generate plain text format", () => {
       const messages = [
@@ -288,6 +444,20 @@ describe("TicketTranscript", () => {
       expect(text).toContain("Hello!");
     });
 
+    it("should include intake answers in Markdown and JSON", () => {
+      const ticket = {
+        ticketId: "TIX-test-00000",
+        intake: [{ question: "Order ID?", answer: "1234" }],
+      };
+
+      const markdown = ticketTranscript.generateMarkdown([], ticket);
+      const json = JSON.parse(ticketTranscript.generateJSON([], ticket));
+
+      expect(markdown).toContain("## Intake Form");
+      expect(markdown).toContain("**Order ID?**\n1234");
+      expect(json.ticketInfo.intake).toEqual(ticket.intake);
+    });
+
     it("should include timestamps", () => {
       const messages = [
         {
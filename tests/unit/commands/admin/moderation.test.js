@@ -64,10 +64,15 @@ const mockStorageManager = {
   save: vi.fn().mockResolvedValue(true),
   delete: vi.fn().mockResolvedValue(true),
   initialize: vi.fn().mockResolvedValue(undefined),
+  getModerationCase: vi.fn().mockResolvedValue(null),
+  updateModerationCase: vi.fn().mockResolvedValue(null),
+  logModerationAction: vi.fn().mockResolvedValue(true),
+  getTemporaryBans: vi.fn().mockResolvedValue([]),
+  removeTemporaryBan: vi.fn().mockResolvedValue(true),
   isInitialized: true,
 };
 
-vi.mock("src/utils/storage/storageManager.js", () => ({
+vi.mock("../../../../src/utils/storage/storageManager.js", () => ({
   getStorageManager: vi.fn().mockResolvedValue(mockStorageManager),
   StorageManager: vi.fn(() => mockStorageManager),
 }));
@@ -97,6 +102,8 @@ vi.mock("src/config/theme.js", () => ({
       BAN: "🚫",
       KICK: "👢",
       UNBAN: "🔓",
+      PURGE: "🧹",
+      APPEAL: "📨",
       DEFAULT: "📝",
     },
   },
@@ -110,7 +117,27 @@ import {
   validateTimeoutDuration,
   formatDuration,
   parseMultipleUsers,
+  isWarningExpired,
 } from "../../../../src/commands/admin/moderation/utils.js";
+import {
+  normalizeEscalationPolicy,
+  validateEscalationPolicy,
+  findEscalationStep,
+  resolveWarningExpiry,
+} from "../../../../src/commands/admin/moderation/escalation.js";
+import {
+  getAppealComponents,
+  updateCaseReason,
+  fileAppeal,
+} from "../../../../src/commands/admin/moderation/cases.js";
+import {
+  getPendingUnbans,
+  liftTemporaryBan,
+} from "../../../../src/commands/admin/moderation/tempbans.js";
+import {
+  createCaseEmbed,
+  createBansListEmbed,
+} from "../../../../src/commands/admin/moderation/embeds.js";
 
 describe("Moderation - Core Functionality", () => {
   describe("canModerateMember", () => {
@@ -804,3 +831,394 @@ describe("Moderation - Core Functionality", () => {
     });
   });
 });
+
+describe("Moderation - Escalation Ladder", () => {
+  const ladder = normalizeEscalationPolicy({
+    enabled: true,
+    steps: [
+      { warnings: 6, action: "ban" },
+      { warnings: 2, action: "timeout", duration: "10m" },
+      { warnings: 4, action: "timeout", duration: "1d", notifyUser: false },
+    ],
+  });
+
+  describe("normalizeEscalationPolicy", () => {
+    test("should sort steps and fill in defaults", () => {
+      expect(ladder.steps.map(step => step.warnings)).toEqual([2, 4, 6]);
+      expect(ladder.steps[0]).toEqual({
+        warnings: 2,
+        action: "timeout",
+        duration: "10m",
+        notifyUser: true,
+        logToChannel: true,
+      });
+      expect(ladder.steps[1].notifyUser).toBe(false);
+      expect(ladder.steps[2].duration).toBeNull();
+      expect(ladder.logChannelId).toBeNull();
+    });
+  });
+
+  describe("findEscalationStep", () => {
+    test("should return null below the first step", () => {
+      expect(findEscalationStep(ladder, 1)).toBeNull();
+    });
+
+    test("should return the highest step reached", () => {
+      expect(findEscalationStep(ladder, 2).duration).toBe("10m");
+      expect(findEscalationStep(ladder, 5).duration).toBe("1d");
+      expect(findEscalationStep(ladder, 9).action).toBe("ban");
+    });
+
+    test("should return null when escalation is disabled", () => {
+      expect(findEscalationStep({ ...ladder, enabled: false }, 9)).toBeNull();
+    });
+  });
+
+  describe("validateEscalationPolicy", () => {
+    test("should accept a valid ladder", () => {
+      const result = validateEscalationPolicy({
+        enabled: true,
+        logChannelId: "123456789012345678",
+        steps: [{ warnings: 3, action: "kick", logToChannel: false }],
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.policy.steps[0].logToChannel).toBe(false);
+    });
+
+    test("should reject unknown actions and duplicate thresholds", () => {
+      const result = validateEscalationPolicy({
+        steps: [
+          { warnings: 2, action: "mute" },
+          { warnings: 3, action: "kick" },
+          { warnings: 3, action: "ban" },
+        ],
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(2);
+    });
+
+    test("should reject invalid timeout durations", () => {
+      const result = validateEscalationPolicy({
+        steps: [{ warnings: 2, action: "timeout", duration: "30d" }],
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain("28 days");
+    });
+
+    test("should reject non-object policies", () => {
+      expect(validateEscalationPolicy(null).valid).toBe(false);
+      expect(validateEscalationPolicy([]).valid).toBe(false);
+    });
+
+    test("should validate the counting window and default expiry", () => {
+      const valid = validateEscalationPolicy({
+        windowDays: 30,
+        defaultExpiryDays: 90,
+        steps: [],
+      });
+      expect(valid.valid).toBe(true);
+      expect(valid.policy.windowDays).toBe(30);
+      expect(valid.policy.defaultExpiryDays).toBe(90);
+
+      const invalid = validateEscalationPolicy({
+        windowDays: -1,
+        defaultExpiryDays: 400,
+        steps: [],
+      });
+      expect(invalid.valid).toBe(false);
+      expect(invalid.errors).toHaveLength(2);
+    });
+  });
+});
+
+describe("Moderation - Warning Expiry", () => {
+  describe("resolveWarningExpiry", () => {
+    test("should prefer an explicit expiry", () => {
+      const before = Date.now();
+      const expiresAt = resolveWarningExpiry(
+        { defaultExpiryDays: 30 },
+        60 * 60 * 1000,
+      );
+      const delta = new Date(expiresAt).getTime() - before;
+
+      expect(delta).toBeGreaterThanOrEqual(60 * 60 * 1000);
+      expect(delta).toBeLessThan(2 * 60 * 60 * 1000);
+    });
+
+    test("should fall back to the guild default", () => {
+      const expiresAt = resolveWarningExpiry({ defaultExpiryDays: 7 });
+      const days =
+        (new Date(expiresAt).getTime() - Date.now()) / (24 * 60 * 60 * 1000);
+
+      expect(Math.round(days)).toBe(7);
+    });
+
+    test("should return null when warnings never expire", () => {
+      expect(resolveWarningExpiry({ defaultExpiryDays: 0 })).toBeNull();
+      expect(resolveWarningExpiry(null)).toBeNull();
+    });
+  });
+
+  describe("isWarningExpired", () => {
+    const now = new Date("2025-06-01T00:00:00Z").getTime();
+
+    test("should treat warnings without an expiry as active", () => {
+      expect(isWarningExpired({ action: "warn", expiresAt: null }, now)).toBe(
+        false,
+      );
+    });
+
+    test("should compare the expiry against now", () => {
+      expect(
+        isWarningExpired(
+          { action: "warn", expiresAt: "2025-05-31T00:00:00Z" },
+          now,
+        ),
+      ).toBe(true);
+      expect(
+        isWarningExpired(
+          { action: "warn", expiresAt: "2025-06-02T00:00:00Z" },
+          now,
+        ),
+      ).toBe(false);
+    });
+
+    test("should ignore non-warning actions", () => {
+      expect(
+        isWarningExpired(
+          { action: "timeout", expiresAt: "2025-05-31T00:00:00Z" },
+          now,
+        ),
+      ).toBe(false);
+    });
+  });
+});
+
+describe("Moderation - Cases and Appeals", () => {
+  const guild = { id: "guild123", channels: { fetch: vi.fn() } };
+  const warnCase = {
+    caseId: "MOD-20250101-120000-AB12",
+    guildId: "guild123",
+    userId: "user123",
+    moderatorId: "mod123",
+    action: "warn",
+    reason: "Spam",
+    points: 2,
+    expiresAt: "2020-01-01T00:00:00.000Z",
+    metadata: {},
+    timestamp: "2019-12-01T00:00:00.000Z",
+  };
+
+  beforeEach(() => {
+    mockStorageManager.getModerationCase.mockReset();
+    mockStorageManager.updateModerationCase.mockReset();
+  });
+
+  describe("createCaseEmbed", () => {
+    test("should show points and mark expired warnings", () => {
+      const embed = createCaseEmbed(warnCase).toJSON();
+      const warning = embed.fields.find(field => field.name === "Warning");
+
+      expect(embed.title).toContain(warnCase.caseId);
+      expect(warning.value).toBe("2 points • Expired");
+    });
+
+    test("should show the channel and count for purges", () => {
+      const embed = createCaseEmbed({
+        ...warnCase,
+        action: "purge",
+        userId: null,
+        metadata: { channelId: "chan123", count: 25 },
+      }).toJSON();
+
+      expect(embed.fields.some(field => field.name === "User")).toBe(false);
+      expect(embed.fields.find(field => field.name === "Messages").value).toBe(
+        "25 in <#chan123>",
+      );
+    });
+  });
+
+  describe("updateCaseReason", () => {
+    test("should keep the original reason", async () => {
+      mockStorageManager.getModerationCase.mockResolvedValue(warnCase);
+      mockStorageManager.updateModerationCase.mockImplementation(
+        async (_guildId, _caseId, updates) => ({ ...warnCase, ...updates }),
+      );
+
+      const result = await updateCaseReason(
+        guild,
+        "mod-20250101-120000-ab12",
+        "Advertising",
+        "mod456",
+      );
+
+      expect(mockStorageManager.getModerationCase).toHaveBeenCalledWith(
+        "guild123",
+        "MOD-20250101-120000-AB12",
+      );
+      expect(result.success).toBe(true);
+      expect(result.caseEntry.reason).toBe("Advertising");
+      expect(result.caseEntry.originalReason).toBe("Spam");
+      expect(result.caseEntry.reasonEditedBy).toBe("mod456");
+    });
+
+    test("should fail for unknown cases", async () => {
+      const result = await updateCaseReason(guild, "MOD-X", "New", "mod456");
+
+      expect(result.success).toBe(false);
+      expect(mockStorageManager.updateModerationCase).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("fileAppeal", () => {
+    test("should only accept appeals from the sanctioned user", async () => {
+      mockStorageManager.getModerationCase.mockResolvedValue(warnCase);
+
+      const result = await fileAppeal({
+        guild,
+        caseId: warnCase.caseId,
+        user: { id: "someoneElse" },
+        message: "Please reconsider",
+      });
+
+      expect(result.success).toBe(false);
+      expect(mockStorageManager.updateModerationCase).not.toHaveBeenCalled();
+    });
+
+    test("should reject actions that cannot be appealed", async () => {
+      mockStorageManager.getModerationCase.mockResolvedValue({
+        ...warnCase,
+        action: "kick",
+      });
+
+      const result = await fileAppeal({
+        guild,
+        caseId: warnCase.caseId,
+        user: { id: "user123" },
+        message: "Please reconsider",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain("cannot be appealed");
+    });
+
+    test("should reject a second appeal", async () => {
+      mockStorageManager.getModerationCase.mockResolvedValue({
+        ...warnCase,
+        appeal: { status: "pending", message: "First" },
+      });
+
+      const result = await fileAppeal({
+        guild,
+        caseId: warnCase.caseId,
+        user: { id: "user123" },
+        message: "Second",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain("already appealed");
+    });
+  });
+
+  describe("getAppealComponents", () => {
+    test("should not offer appeals for other actions", async () => {
+      expect(
+        await getAppealComponents("guild123", warnCase.caseId, "timeout"),
+      ).toEqual([]);
+    });
+
+    test("should not offer appeals without a mod-log channel", async () => {
+      expect(
+        await getAppealComponents("guild123", warnCase.caseId, "warn"),
+      ).toEqual([]);
+    });
+  });
+});
+
+describe("Moderation - Temporary Bans", () => {
+  const tempBan = {
+    guildId: "guild123",
+    userId: "user123",
+    caseId: "MOD-20250101-120000-AB12",
+    expiresAt: "2020-01-01T00:00:00.000Z",
+  };
+
+  const createGuild = removeBan => ({
+    id: "guild123",
+    bans: { remove: removeBan },
+    client: {
+      user: { id: "bot123" },
+      users: { fetch: vi.fn().mockRejectedValue(new Error("No DMs")) },
+    },
+  });
+
+  beforeEach(() => {
+    mockStorageManager.logModerationAction.mockClear();
+    mockStorageManager.removeTemporaryBan.mockClear();
+  });
+
+  describe("liftTemporaryBan", () => {
+    test("should unban, log an unban case and drop the record", async () => {
+      const guild = createGuild(vi.fn().mockResolvedValue(undefined));
+
+      const caseId = await liftTemporaryBan(guild, tempBan);
+
+      expect(caseId).toMatch(/^MOD-/);
+      expect(guild.bans.remove).toHaveBeenCalledWith(
+        "user123",
+        "Temporary ban expired (case MOD-20250101-120000-AB12)",
+      );
+      expect(mockStorageManager.logModerationAction).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "unban",
+          userId: "user123",
+          moderatorId: "bot123",
+          metadata: { tempBanCaseId: tempBan.caseId },
+        }),
+      );
+      expect(mockStorageManager.removeTemporaryBan).toHaveBeenCalledWith(
+        "guild123",
+        "user123",
+      );
+    });
+
+    test("should drop the record without a case if already unbanned", async () => {
+      const guild = createGuild(
+        vi.fn().mockRejectedValue(Object.assign(new Error(), { code: 10026 })),
+      );
+
+      expect(await liftTemporaryBan(guild, tempBan)).toBeNull();
+      expect(mockStorageManager.logModerationAction).not.toHaveBeenCalled();
+      expect(mockStorageManager.removeTemporaryBan).toHaveBeenCalled();
+    });
+
+    test("should keep the record when the unban fails", async () => {
+      const guild = createGuild(
+        vi.fn().mockRejectedValue(Object.assign(new Error(), { code: 50013 })),
+      );
+
+      expect(await liftTemporaryBan(guild, tempBan)).toBeNull();
+      expect(mockStorageManager.removeTemporaryBan).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("list-bans", () => {
+    test("should show when temporary bans are lifted", async () => {
+      mockStorageManager.getTemporaryBans.mockResolvedValueOnce([tempBan]);
+      const pendingUnbans = await getPendingUnbans("guild123");
+      const bans = [
+        { user: { id: "user123", tag: "temp#0001" }, reason: "Spam" },
+        { user: { id: "user456", tag: "perm#0001" }, reason: null },
+      ];
+
+      const embed = createBansListEmbed(bans, 2, pendingUnbans).toJSON();
+
+      expect(embed.description).toContain("Unbans <t:1577836800:R>");
+      expect(embed.description.match(/Unbans/g)).toHaveLength(1);
+      expect(embed.footer.text).toBe("2 banned users • 1 temporary");
+    });
+  });
+});
@@ -0,0 +1,259 @@
+import { describe, test, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../../../../../src/utils/logger.js", () => ({
+  getLogger: () => ({
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  }),
+}));
+
+vi.mock("../../../../../src/utils/discord/roleMappingManager.js", () => ({
+  getRoleMapping: vi.fn(),
+  getRoleUsageCount: vi.fn().mockResolvedValue(0),
+  incrementRoleUsage: vi.fn().mockResolvedValue(1),
+  decrementRoleUsage: vi.fn().mockResolvedValue(0),
+}));
+
+import {
+  createRolePanelComponents,
+  ROLE_PANEL_SELECT_ID,
+} from "../../../../../src/commands/admin/role-reactions/components.js";
+import { togglePanelRoles } from "../../../../../src/commands/admin/role-reactions/panelHandlers.js";
+import {
+  getPanelConfig,
+  copyEntryRules,
+  PANEL_STYLES,
+} from "../../../../../src/commands/admin/role-reactions/utils.js";
+import {
+  getRoleUsageCount,
+  incrementRoleUsage,
+  decrementRoleUsage,
+} from "../../../../../src/utils/discord/roleMappingManager.js";
+
+const roles = {
+  "🔴": { emoji: "🔴", roleId: "red", roleIds: ["red"], roleName: "Red" },
+  "🔵": {
+    emoji: "🔵",
+    roleId: "blue",
+    roleIds: ["blue"],
+    roleName: "Blue",
+    limit: 2,
+  },
+  "🟢": {
+    emoji: "🟢",
+    roleId: "green",
+    roleName: "Green",
+    roleIds: ["green", "lime"],
+    roleNames: ["Green", "Lime"],
+  },
+};
+
+function createMember(heldRoles = []) {
+  const cache = new Set(heldRoles);
+  return {
+    roles: {
+      cache,
+      add: vi.fn(async ids => ids.forEach(id => cache.add(id))),
+      remove: vi.fn(async ids => ids.forEach(id => cache.delete(id))),
+    },
+  };
+}
+
+describe("Role Panels", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getRoleUsageCount.mockResolvedValue(0);
+  });
+
+  describe("createRolePanelComponents", () => {
+    test("should build rows of up to five buttons", () => {
+      const entries = Array.from({ length: 7 }, (_, i) => ({
+        emoji: `${i}️⃣`,
+        roleId: `role${i}`,
+        roleName: `Role ${i}`,
+      }));
+
+      const rows = createRolePanelComponents(entries, PANEL_STYLES.BUTTONS);
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0].components).toHaveLength(5);
+      expect(rows[1].components[0].data.custom_id).toBe("rolepanel_btn_5️⃣");
+    });
+
+    test("should limit unique dropdowns to one choice", () => {
+      const [row] = createRolePanelComponents(
+        Object.values(roles),
+        PANEL_STYLES.SELECT,
+        "unique",
+      );
+      const menu = row.components[0].toJSON();
+
+      expect(menu.custom_id).toBe(ROLE_PANEL_SELECT_ID);
+      expect(menu.max_values).toBe(1);
+      expect(menu.options.map(o => o.label)).toEqual([
+        "Red",
+        "Blue",
+        "Green, Lime",
+      ]);
+    });
+
+    test("should return no components for reaction panels", () => {
+      expect(
+        createRolePanelComponents(Object.values(roles), PANEL_STYLES.REACTIONS),
+      ).toEqual([]);
+    });
+  });
+
+  describe("getPanelConfig", () => {
+    test("should pick the panel settings out of a stored mapping", () => {
+      const config = getPanelConfig({
+        guildId: "guild",
+        channelId: "channel",
+        roles,
+        hideList: true,
+        selectionMode: "unique",
+        style: "buttons",
+      });
+
+      expect(config).toEqual({
+        roles,
+        hideList: true,
+        selectionMode: "unique",
+        style: "buttons",
+      });
+    });
+  });
+
+  describe("copyEntryRules", () => {
+    test("should keep rules for emojis that stay on the message", () => {
+      const next = copyEntryRules(
+        { "🔴": { ...roles["🔴"], minLevel: 5 }, "⚫": { minLevel: 9 } },
+        { "🔴": { emoji: "🔴", roleId: "crimson" }, "⚪": { roleId: "white" } },
+      );
+
+      expect(next["🔴"]).toEqual({
+        emoji: "🔴",
+        roleId: "crimson",
+        minLevel: 5,
+      });
+      expect(next["⚪"].minLevel).toBeUndefined();
+    });
+  });
+
+  describe("togglePanelRoles", () => {
+    test("should add every role behind an entry", async () => {
+      const member = createMember();
+
+      const result = await togglePanelRoles(
+        member,
+        "msg",
+        { roles, selectionMode: "standard" },
+        ["🟢"],
+      );
+
+      expect(result.added).toEqual(["green", "lime"]);
+      expect(member.roles.add).toHaveBeenCalledWith(
+        ["green", "lime"],
+        "Role panel",
+      );
+    });
+
+    test("should remove an entry the member already holds", async () => {
+      const member = createMember(["blue"]);
+
+      const result = await togglePanelRoles(
+        member,
+        "msg",
+        { roles, selectionMode: "standard" },
+        ["🔵"],
+      );
+
+      expect(result.removed).toEqual(["blue"]);
+      expect(decrementRoleUsage).toHaveBeenCalledWith("msg", "🔵");
+    });
+
+    test("should swap entries in unique mode", async () => {
+      const member = createMember(["red"]);
+
+      const result = await togglePanelRoles(
+        member,
+        "msg",
+        { roles, selectionMode: "unique" },
+        ["🔵"],
+      );
+
+      expect(result.added).toEqual(["blue"]);
+      expect(result.removed).toEqual(["red"]);
+      expect(incrementRoleUsage).toHaveBeenCalledWith("msg", "🔵");
+    });
+
+    test("should only add roles in verify mode", async () => {
+      const member = createMember(["red"]);
+
+      const result = await togglePanelRoles(
+        member,
+        "msg",
+        { roles, selectionMode: "verify" },
+        ["🔴", "🔵"],
+      );
+
+      expect(result.added).toEqual(["blue"]);
+      expect(result.removed).toEqual([]);
+    });
+
+    test("should only remove roles in drop mode", async () => {
+      const member = createMember(["lime"]);
+
+      const result = await togglePanelRoles(
+        member,
+        "msg",
+        { roles, selectionMode: "drop" },
+        ["🔴", "🟢"],
+      );
+
+      expect(result.added).toEqual([]);
+      expect(result.removed).toEqual(["lime"]);
+      expect(member.roles.add).not.toHaveBeenCalled();
+    });
+
+    test("should report entries refused by their rules", async () => {
+      const member = createMember(["muted"]);
+
+      const result = await togglePanelRoles(
+        member,
+        "msg",
+        {
+          roles: {
+            ...roles,
+            "🔴": { ...roles["🔴"], blockedRoleIds: ["muted"] },
+          },
+          selectionMode: "standard",
+        },
+        ["🔴"],
+      );
+
+      expect(result.denied).toEqual([
+        { key: "🔴", reason: expect.stringContaining("<@&muted>") },
+      ]);
+      expect(member.roles.add).not.toHaveBeenCalled();
+    });
+
+    test("should refuse entries that reached their limit", async () => {
+      getRoleUsageCount.mockResolvedValue(2);
+      const member = createMember(["red"]);
+
+      const result = await togglePanelRoles(
+        member,
+        "msg",
+        { roles, selectionMode: "unique" },
+        ["🔵"],
+      );
+
+      expect(result.full).toEqual(["🔵"]);
+      expect(result.removed).toEqual([]);
+      expect(member.roles.add).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,11 +2,22 @@ import { describe, it, expect, beforeEach, vi } from "vitest";
 import {
   detectTargetingType,
   validateSchedule,
+  getNextExecutionTime,
+  getPreviousExecutionTime,
+  getUpcomingExecutionTimes,
+  formatRecurringSchedule,
 } from "../../../../src/commands/admin/schedule-role/utils.js";
 import {
   parseOneTimeSchedule,
   parseRecurringSchedule,
+  parseCronExpression,
+  parseExcludeDates,
 } from "../../../../src/utils/scheduleParser.js";
+import {
+  normalizeTimezone,
+  zonedTimeToDate,
+  getZonedParts,
+} from "../../../../src/utils/timezone.js";
 
 describe("Schedule Role - Mention Detection", () => {
   let mockGuild;
@@ -782,3 +793,319 @@ describe("Schedule Role - Schedule Parsing", () => {
     });
   });
 });
+
+describe("Schedule Role - Timezones", () => {
+  const newYork = "America/New_York";
+
+  it("should normalize timezone names", () => {
+    expect(normalizeTimezone("america/new_york")).toBe(newYork);
+    expect(normalizeTimezone("Mars/Olympus_Mons")).toBeNull();
+    expect(normalizeTimezone("")).toBeNull();
+  });
+
+  it("should convert local times to instants", () => {
+    const summer = zonedTimeToDate(
+      { year: 2025, month: 7, day: 1, hour: 9 },
+      newYork,
+    );
+    const winter = zonedTimeToDate(
+      { year: 2025, month: 1, day: 15, hour: 9 },
+      newYork,
+    );
+
+    expect(summer.toISOString()).toBe("2025-07-01T13:00:00.000Z");
+    expect(winter.toISOString()).toBe("2025-01-15T14:00:00.000Z");
+  });
+
+  it("should move times skipped by DST past the gap", () => {
+    const result = zonedTimeToDate(
+      { year: 2025, month: 3, day: 9, hour: 2, minute: 30 },
+      newYork,
+    );
+
+    expect(result.toISOString()).toBe("2025-03-09T07:30:00.000Z");
+  });
+
+  it("should use the first of two repeated DST times", () => {
+    const result = zonedTimeToDate(
+      { year: 2025, month: 11, day: 2, hour: 1, minute: 30 },
+      newYork,
+    );
+
+    expect(result.toISOString()).toBe("2025-11-02T05:30:00.000Z");
+  });
+
+  it("should parse one-time schedules in the given timezone", () => {
+    const result = parseOneTimeSchedule("tomorrow 8am", "Asia/Tokyo");
+    const parts = getZonedParts(result, "Asia/Tokyo");
+
+    expect(parts.hour).toBe(8);
+    expect(parts.minute).toBe(0);
+    expect(result.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("should parse absolute dates in the given timezone", () => {
+    const result = parseOneTimeSchedule("2030-01-15 14:30", newYork);
+    expect(result.toISOString()).toBe("2030-01-15T19:30:00.000Z");
+  });
+
+  it("should pass the timezone through validateSchedule", async () => {
+    const result = await validateSchedule(
+      "one-time",
+      "2030-01-15 14:30",
+      "Europe/London",
+    );
+
+    expect(result.valid).toBe(true);
+    expect(result.scheduledAt.toISOString()).toBe("2030-01-15T14:30:00.000Z");
+  });
+
+  it("should keep daily schedules at the same local time across DST", () => {
+    const config = { type: "daily", hour: 9, minute: 0 };
+
+    const beforeChange = getNextExecutionTime(
+      config,
+      "daily",
+      newYork,
+      new Date("2025-03-08T15:00:00Z"),
+    );
+    const afterChange = getNextExecutionTime(
+      config,
+      "daily",
+      newYork,
+      beforeChange,
+    );
+
+    expect(beforeChange.toISOString()).toBe("2025-03-09T13:00:00.000Z");
+    expect(afterChange.toISOString()).toBe("2025-03-10T13:00:00.000Z");
+    expect(
+      getNextExecutionTime(
+        config,
+        "daily",
+        newYork,
+        new Date("2025-03-07T15:00:00Z"),
+      ).toISOString(),
+    ).toBe("2025-03-08T14:00:00.000Z");
+  });
+
+  it("should find the latest weekly occurrence in the schedule's timezone", () => {
+    // Monday 9am in Tokyo is Monday 00:00 UTC
+    const config = { type: "weekly", dayOfWeek: 1, hour: 9, minute: 0 };
+
+    const result = getPreviousExecutionTime(
+      config,
+      "weekly",
+      "Asia/Tokyo",
+      new Date("2025-06-04T12:00:00Z"),
+    );
+
+    expect(result.toISOString()).toBe("2025-06-02T00:00:00.000Z");
+  });
+
+  it("should run monthly schedules on the last day of short months", () => {
+    const config = { type: "monthly", dayOfMonth: 31, hour: 12, minute: 0 };
+
+    const result = getNextExecutionTime(
+      config,
+      "monthly",
+      "UTC",
+      new Date("2025-02-10T00:00:00Z"),
+    );
+
+    expect(result.toISOString()).toBe("2025-02-28T12:00:00.000Z");
+  });
+});
+
+describe("Schedule Role - Cron and Calendar Rules", () => {
+  const toISO = dates => dates.map(date => date.toISOString());
+
+  it("should parse cron ranges, steps, lists and names", () => {
+    const cron = parseCronExpression("*/15 9-17/4 1,15 jan-mar mon-fri");
+
+    expect(cron.minutes).toEqual([0, 15, 30, 45]);
+    expect(cron.hours).toEqual([9, 13, 17]);
+    expect([...cron.daysOfMonth]).toEqual([1, 15]);
+    expect([...cron.months]).toEqual([1, 2, 3]);
+    expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it("should reject invalid cron expressions", () => {
+    expect(parseCronExpression("60 * * * *")).toBeNull();
+    expect(parseCronExpression("* * * *")).toBeNull();
+    expect(parseCronExpression("5-1 * * * *")).toBeNull();
+    expect(parseCronExpression("*/0 * * * *")).toBeNull();
+    expect(parseRecurringSchedule("cron", "@sometimes")).toBeNull();
+  });
+
+  it("should run cron schedules in the schedule's timezone", () => {
+    const config = parseRecurringSchedule("cron", "30 9 * * MON-FRI");
+
+    const result = getUpcomingExecutionTimes(
+      config,
+      "cron",
+      "America/New_York",
+      3,
+      new Date("2025-03-07T15:00:00Z"),
+    );
+
+    expect(config.expression).toBe("30 9 * * mon-fri");
+    expect(toISO(result)).toEqual([
+      "2025-03-10T13:30:00.000Z",
+      "2025-03-11T13:30:00.000Z",
+      "2025-03-12T13:30:00.000Z",
+    ]);
+  });
+
+  it("should match either day field when both are restricted", () => {
+    const config = { type: "cron", expression: "0 12 1 * sun" };
+
+    const result = getUpcomingExecutionTimes(
+      config,
+      "cron",
+      "UTC",
+      3,
+      new Date("2025-05-30T00:00:00Z"),
+    );
+
+    expect(toISO(result)).toEqual([
+      "2025-06-01T12:00:00.000Z",
+      "2025-06-08T12:00:00.000Z",
+      "2025-06-15T12:00:00.000Z",
+    ]);
+  });
+
+  it("should find cron days that are years apart", () => {
+    const result = getPreviousExecutionTime(
+      { type: "cron", expression: "0 0 29 feb *" },
+      "cron",
+      "UTC",
+      new Date("2027-01-01T00:00:00Z"),
+    );
+
+    expect(result.toISOString()).toBe("2024-02-29T00:00:00.000Z");
+  });
+
+  it("should reject cron schedules that never run", async () => {
+    const result = await validateSchedule("cron", "0 0 30 2 *", "UTC");
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain("never runs");
+  });
+
+  it("should parse calendar rules", () => {
+    expect(parseRecurringSchedule("calendar", "last friday 6pm")).toEqual({
+      type: "calendar",
+      week: -1,
+      dayOfWeek: 5,
+      hour: 18,
+      minute: 0,
+    });
+    expect(
+      parseRecurringSchedule(
+        "calendar",
+        "every 2nd Tuesday of the month 09:30",
+      ),
+    ).toEqual({
+      type: "calendar",
+      week: 2,
+      dayOfWeek: 2,
+      hour: 9,
+      minute: 30,
+    });
+    expect(parseRecurringSchedule("calendar", "last day 23:00").dayOfWeek).toBe(
+      null,
+    );
+    expect(parseRecurringSchedule("calendar", "6th friday 6pm")).toBeNull();
+  });
+
+  it("should run on the last weekday and nth weekday of each month", () => {
+    const from = new Date("2025-01-01T00:00:00Z");
+
+    const lastFriday = getUpcomingExecutionTimes(
+      { type: "calendar", week: -1, dayOfWeek: 5, hour: 18, minute: 0 },
+      "calendar",
+      "UTC",
+      3,
+      from,
+    );
+    const secondTuesday = getUpcomingExecutionTimes(
+      { type: "calendar", week: 2, dayOfWeek: 2, hour: 9, minute: 0 },
+      "calendar",
+      "UTC",
+      3,
+      from,
+    );
+
+    expect(toISO(lastFriday)).toEqual([
+      "2025-01-31T18:00:00.000Z",
+      "2025-02-28T18:00:00.000Z",
+      "2025-03-28T18:00:00.000Z",
+    ]);
+    expect(toISO(secondTuesday)).toEqual([
+      "2025-01-14T09:00:00.000Z",
+      "2025-02-11T09:00:00.000Z",
+      "2025-03-11T09:00:00.000Z",
+    ]);
+  });
+
+  it("should format cron and calendar schedules", () => {
+    expect(
+      formatRecurringSchedule({ type: "cron", expression: "0 9 * * 1" }, "UTC"),
+    ).toBe("Cron `0 9 * * 1` (UTC)");
+    expect(
+      formatRecurringSchedule({
+        type: "calendar",
+        week: 2,
+        dayOfWeek: 2,
+        hour: 9,
+        minute: 0,
+      }),
+    ).toBe("2nd Tuesday of every month at 09:00");
+  });
+
+  it("should parse exclusion dates", () => {
+    expect(parseExcludeDates("2025-12-25, 2025-1-1 2025-12-25")).toEqual([
+      "2025-01-01",
+      "2025-12-25",
+    ]);
+    expect(parseExcludeDates("2025-02-30")).toBeNull();
+    expect(parseExcludeDates("christmas")).toBeNull();
+  });
+
+  it("should skip excluded dates in the schedule's timezone", async () => {
+    const result = await validateSchedule(
+      "daily",
+      "9am",
+      "Asia/Tokyo",
+      "2025-06-02",
+    );
+
+    const runs = getUpcomingExecutionTimes(
+      result.scheduleConfig,
+      "daily",
+      "Asia/Tokyo",
+      2,
+      new Date("2025-06-01T12:00:00Z"),
+    );
+
+    expect(result.scheduleConfig.excludeDates).toEqual(["2025-06-02"]);
+    expect(toISO(runs)).toEqual([
+      "2025-06-03T00:00:00.000Z",
+      "2025-06-04T00:00:00.000Z",
+    ]);
+  });
+
+  it("should only accept exclusion dates on recurring schedules", async () => {
+    const oneTime = await validateSchedule(
+      "one-time",
+      "tomorrow 8am",
+      "UTC",
+      "2025-06-02",
+    );
+    const invalid = await validateSchedule("daily", "9am", "UTC", "soon");
+
+    expect(oneTime.valid).toBe(false);
+    expect(invalid.valid).toBe(false);
+    expect(invalid.error).toContain("Invalid dates to skip");
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect } from "vitest";
+import {
+  compileWordPattern,
+  findRegexHazard,
+  validateWordPattern,
+  checkWords,
+  checkInvites,
+  normalizeDomain,
+  checkLinks,
+  checkCaps,
+  checkMentions,
+  DuplicateTracker,
+} from "../../../src/features/automod/filters.js";
+import {
+  getDefaultAutoModSettings,
+  normalizeAutoModSettings,
+} from "../../../src/features/automod/config.js";
+
+describe("Auto-Mod Filters", () => {
+  describe("word patterns", () => {
+    it("matches whole words only for plain entries", () => {
+      const patterns = [compileWordPattern("scam")];
+      expect(checkWords("this is a scam", patterns)).toBe("scam");
+      expect(checkWords("I love scampi", patterns)).toBeNull();
+    });
+
+    it("supports wildcards", () => {
+      const patterns = [compileWordPattern("scam*")];
+      expect(checkWords("total SCAMMER here", patterns)).toBe("SCAMMER");
+    });
+
+    it("supports regular expressions", () => {
+      const patterns = [compileWordPattern("/fr[e3]{2}\\s+nitro/")];
+      expect(checkWords("get fr33 nitro now", patterns)).toBe("fr33 nitro");
+    });
+
+    it("rejects invalid regular expressions", () => {
+      expect(compileWordPattern("/([a-z/")).toBeNull();
+      expect(validateWordPattern("/([a-z/").valid).toBe(false);
+      expect(validateWordPattern("   ").valid).toBe(false);
+      expect(validateWordPattern("ok").valid).toBe(true);
+    });
+
+    it("rejects patterns that can backtrack catastrophically", () => {
+      for (const pattern of [
+        "/(a+)+$/",
+        "/(a|ab)*c/",
+        "/\\s*\\s*x/",
+        "/(\\w)\\1/",
+        "/a+b+c+d+e+/",
+        "a*b*c*d*e",
+        "/\\d+-?\\d+x/",
+        "/a*b?a*c/",
+        "/\\w+\\s?\\w+!/",
+      ]) {
+        expect(validateWordPattern(pattern).valid).toBe(false);
+        expect(compileWordPattern(pattern)).toBeNull();
+      }
+
+      expect(findRegexHazard("d[i1]sc[o0]rd\\s*gift")).toBeNull();
+      expect(findRegexHazard("(?:free|fr[e3]{2})\\s+nitro")).toBeNull();
+    });
+  });
+
+  describe("invites", () => {
+    it("detects Discord invite links", () => {
+      expect(checkInvites("join discord.gg/abc123")).toBeTruthy();
+      expect(checkInvites("https://discord.com/invite/abc123")).toBeTruthy();
+      expect(checkInvites("just chatting")).toBeNull();
+    });
+  });
+
+  describe("links", () => {
+    it("normalizes domains", () => {
+      expect(normalizeDomain("https://www.Example.com/path")).toBe(
+        "example.com",
+      );
+      expect(normalizeDomain("not a domain")).toBeNull();
+    });
+
+    it("blocks listed domains and their subdomains", () => {
+      const rule = { blockedDomains: ["bad.com"], allowedDomains: [] };
+      expect(checkLinks("see https://cdn.bad.com/x", rule)).toBe("cdn.bad.com");
+      expect(checkLinks("see https://good.com", rule)).toBeNull();
+    });
+
+    it("blocks everything except allowed domains when no blocklist is set", () => {
+      const rule = { blockedDomains: [], allowedDomains: ["youtube.com"] };
+      expect(checkLinks("https://youtube.com/watch?v=1", rule)).toBeNull();
+      expect(checkLinks("https://other.net", rule)).toBe("other.net");
+    });
+  });
+
+  describe("caps", () => {
+    it("flags mostly uppercase messages above the minimum length", () => {
+      const rule = { threshold: 70, minLength: 10 };
+      expect(checkCaps("THIS IS VERY LOUD", rule)).toBeTruthy();
+      expect(checkCaps("This is normal text", rule)).toBeNull();
+      expect(checkCaps("OK LOL", rule)).toBeNull();
+    });
+  });
+
+  describe("mentions", () => {
+    it("counts unique user and role mentions", () => {
+      const mentions = {
+        users: new Map([
+          ["1", {}],
+          ["2", {}],
+        ]),
+        roles: new Map([["3", {}]]),
+        everyone: false,
+      };
+      expect(checkMentions(mentions, { maxMentions: 2 })).toBeTruthy();
+      expect(checkMentions(mentions, { maxMentions: 3 })).toBeNull();
+    });
+  });
+
+  describe("DuplicateTracker", () => {
+    it("counts identical messages inside the window", () => {
+      const tracker = new DuplicateTracker();
+      expect(tracker.record("u", "hello", 30000, 0)).toBe(1);
+      expect(tracker.record("u", "HELLO ", 30000, 1000)).toBe(2);
+      expect(tracker.record("u", "other", 30000, 2000)).toBe(1);
+      expect(tracker.record("u", "hello", 30000, 40000)).toBe(1);
+    });
+
+    it("forgets a user after reset", () => {
+      const tracker = new DuplicateTracker();
+      tracker.record("u", "hello", 30000, 0);
+      tracker.reset("u");
+      expect(tracker.record("u", "hello", 30000, 10)).toBe(1);
+    });
+  });
+});
+
+describe("Auto-Mod Settings", () => {
+  it("defaults to everything disabled", () => {
+    const settings = getDefaultAutoModSettings("guild");
+    expect(settings.enabled).toBe(false);
+    expect(Object.values(settings.rules).every(rule => !rule.enabled)).toBe(
+      true,
+    );
+  });
+
+  it("merges stored rules over the defaults", () => {
+    const settings = normalizeAutoModSettings("guild", {
+      enabled: true,
+      rules: { caps: { enabled: true, threshold: 90 } },
+    });
+    expect(settings.enabled).toBe(true);
+    expect(settings.rules.caps).toMatchObject({
+      enabled: true,
+      threshold: 90,
+      minLength: 10,
+    });
+    expect(settings.rules.words.patterns).toEqual([]);
+  });
+});
@@ -0,0 +1,526 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { Collection } from "discord.js";
+
+const { mockStorageManager, mockDatabaseManager, mockPremiumManager } =
+  vi.hoisted(() => ({
+    mockStorageManager: {
+      getGuildSettings: vi.fn(),
+      setGuildSettings: vi.fn(),
+      getVoiceControlRoles: vi.fn(),
+      setVoiceControlRoles: vi.fn(),
+      getRoleMappings: vi.fn(),
+      getRoleBundlesByGuild: vi.fn(),
+      getTicketPanelsByGuild: vi.fn(),
+    },
+    mockDatabaseManager: {
+      welcomeSettings: { getByGuild: vi.fn(), set: vi.fn() },
+      goodbyeSettings: { getByGuild: vi.fn(), set: vi.fn() },
+      customCommands: {
+        getByGuild: vi.fn(),
+        countByGuild: vi.fn(),
+        findByNameOrAlias: vi.fn(),
+      },
+    },
+    mockPremiumManager: { isFeatureActive: vi.fn() },
+  }));
+
+vi.mock("../../../src/utils/storage/storageManager.js", () => ({
+  getStorageManager: vi.fn().mockResolvedValue(mockStorageManager),
+}));
+
+vi.mock("../../../src/utils/storage/databaseManager.js", () => ({
+  getDatabaseManager: vi.fn().mockResolvedValue(mockDatabaseManager),
+}));
+
+vi.mock("../../../src/features/premium/PremiumManager.js", () => ({
+  getPremiumManager: vi.fn(() => mockPremiumManager),
+}));
+
+import {
+  createServerTemplate,
+  parseServerTemplate,
+  remapServerTemplate,
+} from "../../../src/features/serverTemplates/serverTemplates.js";
+import {
+  IMPORT_ACTIONS,
+  SERVER_TEMPLATES,
+  TEMPLATE_SECTIONS,
+} from "../../../src/features/serverTemplates/config.js";
+import {
+  getServerTemplateManager,
+  ImportRollbackError,
+} from "../../../src/features/serverTemplates/ServerTemplateManager.js";
+import roleBundleManager from "../../../src/features/rolebundles/RoleBundleManager.js";
+
+const SOURCE_ROLE = "111111111111111111";
+const SOURCE_CHANNEL = "222222222222222222";
+const TARGET_ROLE = "333333333333333333";
+const TARGET_CHANNEL = "444444444444444444";
+
+function createGuild({ id = "999999999999999999", roles = [], channels = [] }) {
+  return {
+    id,
+    name: "Target",
+    roles: {
+      cache: new Collection(roles.map(role => [role.id, role])),
+    },
+    channels: {
+      cache: new Collection(channels.map(channel => [channel.id, channel])),
+    },
+    members: { me: {} },
+  };
+}
+
+function createTemplate(overrides = {}) {
+  return {
+    version: SERVER_TEMPLATES.VERSION,
+    roles: [{ id: SOURCE_ROLE, name: "Member" }],
+    channels: [{ id: SOURCE_CHANNEL, name: "welcome", type: 0 }],
+    welcome: {
+      enabled: true,
+      channelId: SOURCE_CHANNEL,
+      autoRoleId: SOURCE_ROLE,
+      message: "Hi {user}",
+    },
+    ...overrides,
+  };
+}
+
+describe("Server Templates", () => {
+  describe("parseServerTemplate", () => {
+    it("rejects documents that are not templates", () => {
+      expect(() => parseServerTemplate([])).toThrow(RangeError);
+      expect(() => parseServerTemplate({ version: "1" })).toThrow(
+        "invalid version",
+      );
+      expect(() =>
+        parseServerTemplate({ version: SERVER_TEMPLATES.VERSION + 1 }),
+      ).toThrow("newer version");
+    });
+
+    it("keeps only the settings an import applies", () => {
+      const template = parseServerTemplate(
+        createTemplate({
+          welcome: {
+            enabled: true,
+            message: "Hi",
+            guildId: "123456789012345678",
+            unknown: "dropped",
+          },
+          extra: true,
+        }),
+      );
+
+      expect(template.welcome).toEqual({ enabled: true, message: "Hi" });
+      expect(template).not.toHaveProperty("extra");
+      expect(template.rolePanels).toEqual([]);
+      expect(template.customCommands).toEqual([]);
+    });
+
+    it("rejects settings of the wrong type", () => {
+      expect(() =>
+        parseServerTemplate(createTemplate({ welcome: { enabled: "yes" } })),
+      ).toThrow("welcome enabled setting is invalid");
+      expect(() =>
+        parseServerTemplate(createTemplate({ welcome: { channelId: "abc" } })),
+      ).toThrow("not a valid ID");
+    });
+
+    it("rejects custom commands with invalid or repeated names", () => {
+      const command = { name: "rules", description: "Rules", type: "text" };
+
+      expect(() =>
+        parseServerTemplate({
+          customCommands: [{ ...command, name: "Bad Name" }],
+        }),
+      ).toThrow("needs a name");
+      expect(() =>
+        parseServerTemplate({ customCommands: [command, command] }),
+      ).toThrow("two custom commands named /rules");
+    });
+
+    it("limits how many items a section can hold", () => {
+      const bundles = Array.from(
+        { length: SERVER_TEMPLATES.MAX_ITEMS_PER_SECTION + 1 },
+        (_, index) => ({ name: `Bundle ${index}`, roles: [] }),
+      );
+      expect(() => parseServerTemplate({ roleBundles: bundles })).toThrow(
+        RangeError,
+      );
+    });
+  });
+
+  describe("createServerTemplate", () => {
+    it("records the roles and channels the settings refer to", () => {
+      const guild = createGuild({
+        roles: [
+          { id: SOURCE_ROLE, name: "Member" },
+          { id: TARGET_ROLE, name: "Unused" },
+        ],
+        channels: [{ id: SOURCE_CHANNEL, name: "welcome", type: 0 }],
+      });
+
+      const template = createServerTemplate(guild, {
+        welcome: {
+          enabled: true,
+          channelId: SOURCE_CHANNEL,
+          autoRoleId: SOURCE_ROLE,
+        },
+      });
+
+      expect(template.source).toEqual({
+        guildId: guild.id,
+        guildName: "Target",
+      });
+      expect(template.roles).toEqual([{ id: SOURCE_ROLE, name: "Member" }]);
+      expect(template.channels).toEqual([
+        { id: SOURCE_CHANNEL, name: "welcome", type: 0 },
+      ]);
+    });
+  });
+
+  describe("remapServerTemplate", () => {
+    it("matches roles and channels by name", () => {
+      const guild = createGuild({
+        roles: [{ id: TARGET_ROLE, name: "member" }],
+        channels: [{ id: TARGET_CHANNEL, name: "Welcome", type: 0 }],
+      });
+
+      const { template, missingRoles, missingChannels } = remapServerTemplate(
+        parseServerTemplate(createTemplate()),
+        guild,
+      );
+
+      expect(template.welcome.channelId).toBe(TARGET_CHANNEL);
+      expect(template.welcome.autoRoleId).toBe(TARGET_ROLE);
+      expect(missingRoles).toEqual([]);
+      expect(missingChannels).toEqual([]);
+    });
+
+    it("does not match channels of another type", () => {
+      const guild = createGuild({
+        channels: [{ id: TARGET_CHANNEL, name: "welcome", type: 2 }],
+      });
+
+      const { template, missingChannels } = remapServerTemplate(
+        parseServerTemplate(createTemplate()),
+        guild,
+      );
+
+      expect(template.welcome.channelId).toBeNull();
+      expect(missingChannels).toEqual(["welcome"]);
+    });
+
+    it("drops panel roles that weren't found and reports them", () => {
+      const guild = createGuild({
+        roles: [{ id: TARGET_ROLE, name: "Member" }],
+        channels: [{ id: TARGET_CHANNEL, name: "welcome", type: 0 }],
+      });
+      const parsed = parseServerTemplate(
+        createTemplate({
+          roles: [
+            { id: SOURCE_ROLE, name: "Member" },
+            { id: "555555555555555555", name: "Gone" },
+          ],
+          rolePanels: [
+            {
+              channelId: SOURCE_CHANNEL,
+              title: "Roles",
+              roles: [
+                { emoji: "✅", roleIds: [SOURCE_ROLE] },
+                { emoji: "❌", roleIds: ["555555555555555555"] },
+                {
+                  emoji: "🔒",
+                  roleIds: [SOURCE_ROLE],
+                  requiredRoleIds: ["555555555555555555"],
+                },
+              ],
+            },
+          ],
+        }),
+      );
+
+      const { template, missingRoles } = remapServerTemplate(parsed, guild);
+
+      expect(template.rolePanels[0].channelId).toBe(TARGET_CHANNEL);
+      expect(template.rolePanels[0].roles).toEqual([
+        { emoji: "✅", roleIds: [TARGET_ROLE] },
+      ]);
+      expect(missingRoles).toEqual(["Gone"]);
+    });
+  });
+});
+
+describe("ServerTemplateManager", () => {
+  const guild = createGuild({
+    roles: [{ id: TARGET_ROLE, name: "Member" }],
+    channels: [{ id: TARGET_CHANNEL, name: "welcome", type: 0 }],
+  });
+  const manager = getServerTemplateManager();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPremiumManager.isFeatureActive.mockResolvedValue(false);
+    mockStorageManager.getRoleMappings.mockResolvedValue({});
+    mockStorageManager.getRoleBundlesByGuild.mockResolvedValue([]);
+    mockStorageManager.getVoiceControlRoles.mockResolvedValue({
+      guildId: guild.id,
+      disconnectRoleIds: [],
+      muteRoleIds: [],
+      deafenRoleIds: [],
+      moveRoleMappings: {},
+    });
+    mockStorageManager.setVoiceControlRoles.mockResolvedValue(true);
+    mockDatabaseManager.welcomeSettings.getByGuild.mockResolvedValue({
+      _id: "welcome",
+      guildId: guild.id,
+      enabled: false,
+    });
+    mockDatabaseManager.welcomeSettings.set.mockResolvedValue(true);
+    mockDatabaseManager.customCommands.countByGuild.mockResolvedValue(0);
+    mockDatabaseManager.customCommands.findByNameOrAlias.mockResolvedValue(
+      null,
+    );
+  });
+
+  it("previews changes and explains what is skipped", async () => {
+    mockStorageManager.getRoleBundlesByGuild.mockResolvedValue([
+      { name: "Starter" },
+    ]);
+
+    const plan = await manager.previewImport(
+      guild,
+      createTemplate({
+        roleBundles: [
+          { name: "starter", roles: [{ roleId: SOURCE_ROLE }] },
+          { name: "Gamers", roles: [{ roleId: SOURCE_ROLE }] },
+        ],
+        customCommands: [{ name: "rules", description: "Rules", type: "text" }],
+      }),
+    );
+
+    expect(plan.changes).toEqual([
+      {
+        section: TEMPLATE_SECTIONS.WELCOME,
+        name: "Welcome messages",
+        action: IMPORT_ACTIONS.UPDATE,
+        note: null,
+      },
+      {
+        section: TEMPLATE_SECTIONS.ROLE_BUNDLES,
+        name: "starter",
+        action: IMPORT_ACTIONS.SKIP,
+        note: "A bundle with this name exists",
+      },
+      {
+        section: TEMPLATE_SECTIONS.ROLE_BUNDLES,
+        name: "Gamers",
+        action: IMPORT_ACTIONS.CREATE,
+        note: null,
+      },
+      {
+        section: TEMPLATE_SECTIONS.CUSTOM_COMMANDS,
+        name: "/rules",
+        action: IMPORT_ACTIONS.SKIP,
+        note: "Custom commands need Pro Engine",
+      },
+    ]);
+    expect(mockDatabaseManager.welcomeSettings.set).not.toHaveBeenCalled();
+  });
+
+  it("previews only the chosen sections and skips panels still in place", async () => {
+    const messageId = "555555555555555555";
+    mockStorageManager.getRoleMappings.mockResolvedValue({
+      [messageId]: { guildId: guild.id, roles: [] },
+    });
+
+    const plan = await manager.previewImport(
+      guild,
+      createTemplate({
+        rolePanels: [
+          {
+            messageId,
+            channelId: SOURCE_CHANNEL,
+            title: "Pick roles",
+            roles: [{ emoji: "🎮", roleId: SOURCE_ROLE }],
+          },
+        ],
+        roleBundles: [{ name: "Gamers", roles: [{ roleId: SOURCE_ROLE }] }],
+      }),
+      { sections: [TEMPLATE_SECTIONS.ROLE_PANELS] },
+    );
+
+    expect(plan.changes).toEqual([
+      {
+        section: TEMPLATE_SECTIONS.ROLE_PANELS,
+        name: "Pick roles",
+        action: IMPORT_ACTIONS.SKIP,
+        note: "Already in place",
+      },
+    ]);
+  });
+
+  it("undoes applied changes when a later change fails", async () => {
+    mockStorageManager.setVoiceControlRoles.mockResolvedValueOnce(false);
+
+    await expect(
+      manager.applyImport(
+        guild,
+        createTemplate({
+          voiceRoles: { muteRoleIds: [SOURCE_ROLE] },
+        }),
+      ),
+    ).rejects.toMatchObject({
+      name: "ImportRollbackError",
+      message: "Failed to save voice control roles",
+      changesLeft: 0,
+    });
+
+    const { set } = mockDatabaseManager.welcomeSettings;
+    expect(set).toHaveBeenCalledTimes(2);
+    expect(set).toHaveBeenNthCalledWith(1, guild.id, {
+      enabled: true,
+      channelId: TARGET_CHANNEL,
+      autoRoleId: TARGET_ROLE,
+      message: "Hi {user}",
+    });
+    expect(set).toHaveBeenNthCalledWith(2, guild.id, {
+      guildId: guild.id,
+      enabled: false,
+    });
+  });
+
+  it("reports changes the rollback couldn't undo", async () => {
+    mockStorageManager.setVoiceControlRoles.mockResolvedValueOnce(false);
+    mockDatabaseManager.welcomeSettings.set
+      .mockResolvedValueOnce(true)
+      .mockRejectedValueOnce(new Error("Connection lost"));
+
+    const error = await manager
+      .applyImport(
+        guild,
+        createTemplate({ voiceRoles: { muteRoleIds: [SOURCE_ROLE] } }),
+      )
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(ImportRollbackError);
+    expect(error.cause.message).toBe("Failed to save voice control roles");
+    expect(error.changesLeft).toBe(1);
+  });
+
+  describe("restores", () => {
+    const bundle = (name, roleId) => ({
+      name,
+      roles: [{ roleId, roleName: "Member" }],
+    });
+
+    beforeEach(() => {
+      mockStorageManager.getGuildSettings.mockResolvedValue({});
+      mockStorageManager.getTicketPanelsByGuild.mockResolvedValue([]);
+      mockDatabaseManager.goodbyeSettings.getByGuild.mockResolvedValue(null);
+      mockDatabaseManager.customCommands.getByGuild.mockResolvedValue([]);
+      mockStorageManager.getRoleBundlesByGuild.mockResolvedValue([
+        { _id: "a", guildId: guild.id, ...bundle("Gamers", TARGET_ROLE) },
+        { _id: "b", guildId: guild.id, ...bundle("Starter", TARGET_ROLE) },
+        { _id: "c", guildId: guild.id, ...bundle("Newer", TARGET_ROLE) },
+      ]);
+    });
+
+    const backup = createTemplate({
+      roleBundles: [
+        bundle("Gamers", SOURCE_ROLE),
+        { name: "Starter", roles: [] },
+      ],
+    });
+
+    it("reverts changed items and removes ones created after the backup", async () => {
+      const plan = await manager.previewImport(guild, backup, {
+        sections: [TEMPLATE_SECTIONS.ROLE_BUNDLES],
+        restore: true,
+      });
+
+      expect(plan.changes).toEqual([
+        {
+          section: TEMPLATE_SECTIONS.ROLE_BUNDLES,
+          name: "Newer",
+          action: IMPORT_ACTIONS.DELETE,
+          note: "Created after the backup",
+        },
+        {
+          section: TEMPLATE_SECTIONS.ROLE_BUNDLES,
+          name: "Gamers",
+          action: IMPORT_ACTIONS.SKIP,
+          note: "Already in place",
+        },
+        {
+          section: TEMPLATE_SECTIONS.ROLE_BUNDLES,
+          name: "Starter",
+          action: IMPORT_ACTIONS.SKIP,
+          note: "None of its roles were found",
+        },
+      ]);
+    });
+
+    it("puts removed items back when a later change fails", async () => {
+      const deleteByName = vi
+        .spyOn(roleBundleManager, "deleteByName")
+        .mockResolvedValue({ success: true });
+      const create = vi
+        .spyOn(roleBundleManager, "create")
+        .mockRejectedValueOnce(new Error("Storage unavailable"))
+        .mockResolvedValue({});
+
+      await expect(
+        manager.applyImport(
+          guild,
+          createTemplate({
+            roleBundles: [
+              bundle("Gamers", SOURCE_ROLE),
+              { name: "Starter", roles: [{ roleId: SOURCE_ROLE }] },
+            ],
+          }),
+          {
+            sections: [TEMPLATE_SECTIONS.ROLE_BUNDLES],
+            restore: true,
+          },
+        ),
+      ).rejects.toThrow();
+
+      expect(deleteByName).toHaveBeenCalledWith(guild.id, "Starter");
+      expect(deleteByName).toHaveBeenCalledWith(guild.id, "Newer");
+      // The changed bundle and the one removed before it are put back
+      expect(create.mock.calls.map(([created]) => created.name)).toEqual([
+        "Starter",
+        "Starter",
+        "Newer",
+      ]);
+      expect(create).toHaveBeenLastCalledWith(
+        expect.not.objectContaining({ _id: "c" }),
+      );
+      expect(create).not.toHaveBeenCalledWith(
+        expect.objectContaining({ name: "Gamers" }),
+      );
+      deleteByName.mockRestore();
+      create.mockRestore();
+    });
+  });
+
+  it("allows one import per guild at a time", async () => {
+    let release;
+    mockDatabaseManager.welcomeSettings.set.mockImplementationOnce(
+      () => new Promise(resolve => (release = resolve)),
+    );
+
+    const first = manager.applyImport(guild, createTemplate());
+    await vi.waitFor(() => expect(release).toBeTypeOf("function"));
+
+    await expect(manager.applyImport(guild, createTemplate())).rejects.toThrow(
+      "already being imported",
+    );
+
+    release(true);
+    await expect(first).resolves.toMatchObject({
+      changes: [{ action: IMPORT_ACTIONS.UPDATE }],
+    });
+  });
+});
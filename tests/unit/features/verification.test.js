@@ -0,0 +1,225 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const { mockStorageManager } = vi.hoisted(() => ({
+  mockStorageManager: {
+    getVerificationSettings: vi.fn().mockResolvedValue(null),
+    setVerificationSettings: vi.fn().mockResolvedValue(true),
+    addPendingVerification: vi.fn().mockResolvedValue(true),
+    removePendingVerification: vi.fn().mockResolvedValue(true),
+    getExpiredPendingVerifications: vi.fn().mockResolvedValue([]),
+  },
+}));
+
+vi.mock("../../../src/utils/storage/storageManager.js", () => ({
+  getStorageManager: vi.fn().mockResolvedValue(mockStorageManager),
+}));
+
+import {
+  CAPTCHA_CHARACTERS,
+  generateCaptchaCode,
+  isCaptchaAnswerCorrect,
+  renderCaptcha,
+} from "../../../src/features/verification/captcha.js";
+import {
+  FAIL_ACTIONS,
+  VERIFICATION_LIMITS,
+  getDefaultVerificationSettings,
+  normalizeVerificationSettings,
+} from "../../../src/features/verification/config.js";
+import { getVerificationManager } from "../../../src/features/verification/VerificationManager.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("Verification Captcha", () => {
+  it("generates codes from the unambiguous character set", () => {
+    const code = generateCaptchaCode(6);
+    expect(code).toHaveLength(6);
+    expect([...code].every(char => CAPTCHA_CHARACTERS.includes(char))).toBe(
+      true,
+    );
+  });
+
+  it("ignores case and whitespace in answers", () => {
+    expect(isCaptchaAnswerCorrect("AB23CD", " ab 23cd ")).toBe(true);
+    expect(isCaptchaAnswerCorrect("AB23CD", "AB23CE")).toBe(false);
+    expect(isCaptchaAnswerCorrect("AB23CD", undefined)).toBe(false);
+  });
+
+  it("renders a PNG image", () => {
+    const image = renderCaptcha("AB23CD");
+    expect(image.subarray(1, 4).toString()).toBe("PNG");
+  });
+});
+
+describe("Verification Settings", () => {
+  it("defaults to disabled with no timeout or age rule", () => {
+    const settings = getDefaultVerificationSettings("guild");
+    expect(settings.enabled).toBe(false);
+    expect(settings.minAccountAgeDays).toBe(0);
+    expect(settings.timeoutMinutes).toBe(0);
+  });
+
+  it("merges stored settings over the defaults", () => {
+    const settings = normalizeVerificationSettings("guild", {
+      enabled: true,
+      verifiedRoleId: "role",
+    });
+    expect(settings).toMatchObject({
+      enabled: true,
+      verifiedRoleId: "role",
+      maxAttempts: 3,
+    });
+  });
+});
+
+describe("VerificationManager", () => {
+  const manager = getVerificationManager();
+  const settings = normalizeVerificationSettings("guild", {
+    enabled: true,
+    verifiedRoleId: "role",
+    maxAttempts: 2,
+  });
+
+  const createMember = () => ({
+    id: "user",
+    user: { id: "user", tag: "user#0001", createdTimestamp: Date.now() },
+    guild: {
+      id: "guild",
+      name: "Guild",
+      roles: { cache: new Map([["role", { id: "role" }]]) },
+    },
+    roles: { add: vi.fn().mockResolvedValue(undefined) },
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    manager.settingsCache.clear();
+    manager.challenges.clear();
+    manager.failures.clear();
+    mockStorageManager.getVerificationSettings.mockResolvedValue(settings);
+  });
+
+  it("checks the minimum account age", () => {
+    const rule = { minAccountAgeDays: 7 };
+    expect(
+      manager.meetsAccountAge({ createdTimestamp: Date.now() - DAY_MS }, rule),
+    ).toBe(false);
+    expect(
+      manager.meetsAccountAge(
+        { createdTimestamp: Date.now() - 8 * DAY_MS },
+        rule,
+      ),
+    ).toBe(true);
+    expect(manager.meetsAccountAge({ createdTimestamp: Date.now() }, {})).toBe(
+      true,
+    );
+  });
+
+  it("gives the verified role for a correct answer", async () => {
+    const member = createMember();
+    manager.createChallenge("guild", "user", settings);
+    const { code } = manager.challenges.get("guild:user");
+
+    const result = await manager.submitAnswer(member, code.toLowerCase());
+
+    expect(result.status).toBe("verified");
+    expect(member.roles.add).toHaveBeenCalled();
+    expect(mockStorageManager.removePendingVerification).toHaveBeenCalledWith(
+      "guild",
+      "user",
+    );
+  });
+
+  it("discards the captcha after the last wrong answer", async () => {
+    const member = createMember();
+    manager.createChallenge("guild", "user", settings);
+
+    expect(await manager.submitAnswer(member, "WRONG1")).toEqual({
+      status: "wrong",
+      attemptsLeft: 1,
+    });
+    expect((await manager.submitAnswer(member, "WRONG1")).status).toBe(
+      "failed",
+    );
+    expect((await manager.submitAnswer(member, "WRONG1")).status).toBe(
+      "expired",
+    );
+    expect(member.roles.add).not.toHaveBeenCalled();
+  });
+
+  it("keeps wrong answers when a new code is requested", async () => {
+    const member = createMember();
+    manager.createChallenge("guild", "user", settings);
+    await manager.submitAnswer(member, "WRONG1");
+
+    expect(
+      manager.createChallenge("guild", "user", settings).attemptsLeft,
+    ).toBe(1);
+    const result = await manager.submitAnswer(member, "WRONG1");
+
+    expect(result.status).toBe("failed");
+    expect(result.retryAt).toBeGreaterThan(Date.now());
+    expect(manager.createChallenge("guild", "user", settings)).toBeNull();
+    expect(manager.getLockedUntil("guild", "user")).toBe(result.retryAt);
+  });
+
+  it("gives new attempts once the cooldown is over", async () => {
+    vi.useFakeTimers();
+    try {
+      const member = createMember();
+      for (let i = 0; i < settings.maxAttempts; i++) {
+        manager.createChallenge("guild", "user", settings);
+        await manager.submitAnswer(member, "WRONG1");
+      }
+      expect(manager.createChallenge("guild", "user", settings)).toBeNull();
+
+      vi.advanceTimersByTime(VERIFICATION_LIMITS.FAIL_COOLDOWN_MS + 1);
+
+      expect(
+        manager.createChallenge("guild", "user", settings).attemptsLeft,
+      ).toBe(settings.maxAttempts);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("kicks members who run out of attempts when set to kick", async () => {
+    mockStorageManager.getVerificationSettings.mockResolvedValue({
+      ...settings,
+      failAction: FAIL_ACTIONS.KICK,
+    });
+    const kickMember = vi.spyOn(manager, "kickMember").mockResolvedValue(true);
+    const member = createMember();
+
+    manager.createChallenge("guild", "user", settings);
+    await manager.submitAnswer(member, "WRONG1");
+    manager.createChallenge("guild", "user", settings);
+
+    expect((await manager.submitAnswer(member, "WRONG1")).status).toBe(
+      "kicked",
+    );
+    expect(kickMember).toHaveBeenCalledWith(
+      member,
+      expect.objectContaining({ failAction: FAIL_ACTIONS.KICK }),
+      "kicked_failed",
+      expect.any(String),
+    );
+    kickMember.mockRestore();
+  });
+
+  it("tracks a verification deadline when a timeout is set", async () => {
+    mockStorageManager.getVerificationSettings.mockResolvedValue({
+      ...settings,
+      timeoutMinutes: 30,
+    });
+
+    const kicked = await manager.handleMemberJoin(createMember());
+
+    expect(kicked).toBe(false);
+    expect(mockStorageManager.addPendingVerification).toHaveBeenCalledWith(
+      "guild",
+      "user",
+      expect.any(Number),
+    );
+  });
+});
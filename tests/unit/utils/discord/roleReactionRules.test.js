@@ -0,0 +1,87 @@
+import { describe, test, expect, vi, beforeEach } from "vitest";
+
+const { mockExperienceManager } = vi.hoisted(() => ({
+  mockExperienceManager: {
+    getUserData: vi.fn().mockResolvedValue({ level: 3 }),
+  },
+}));
+
+vi.mock("../../../../src/features/experience/ExperienceManager.js", () => ({
+  getExperienceManager: vi.fn().mockResolvedValue(mockExperienceManager),
+}));
+
+vi.mock("../../../../src/utils/logger.js", () => ({
+  getLogger: () => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn() }),
+}));
+
+import {
+  checkEntryRules,
+  notifyRoleDenied,
+} from "../../../../src/utils/discord/roleReactionRules.js";
+
+function createMember(heldRoles = []) {
+  return {
+    id: "user",
+    guild: { id: "guild" },
+    roles: { cache: new Set(heldRoles) },
+  };
+}
+
+describe("Role Reaction Rules", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test("should allow entries without rules", async () => {
+    const result = await checkEntryRules(createMember(), { roleId: "gamer" });
+    expect(result.allowed).toBe(true);
+  });
+
+  test("should require every required role", async () => {
+    const result = await checkEntryRules(createMember(["member"]), {
+      roleId: "gamer",
+      requiredRoleIds: ["member", "verified"],
+    });
+
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toContain("<@&verified>");
+    expect(result.reason).not.toContain("<@&member>");
+  });
+
+  test("should refuse members with a blocked role", async () => {
+    const result = await checkEntryRules(createMember(["muted"]), {
+      roleId: "gamer",
+      blockedRoleIds: ["muted"],
+    });
+
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toContain("<@&muted>");
+  });
+
+  test("should compare the member's XP level with the minimum", async () => {
+    const rule = { roleId: "gamer", minLevel: 5 };
+
+    const denied = await checkEntryRules(createMember(), rule);
+    expect(denied.allowed).toBe(false);
+    expect(denied.reason).toContain("level **5**");
+    expect(mockExperienceManager.getUserData).toHaveBeenCalledWith(
+      "guild",
+      "user",
+    );
+
+    mockExperienceManager.getUserData.mockResolvedValueOnce({ level: 5 });
+    expect((await checkEntryRules(createMember(), rule)).allowed).toBe(true);
+  });
+
+  test("should ignore members with closed DMs", async () => {
+    const user = {
+      tag: "user#0001",
+      send: vi.fn().mockRejectedValue(new Error("Cannot send messages")),
+    };
+
+    await expect(
+      notifyRoleDenied(user, { name: "Guild" }, "Nope"),
+    ).resolves.toBeUndefined();
+    expect(user.send).toHaveBeenCalled();
+  });
+});
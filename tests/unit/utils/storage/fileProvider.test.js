@@ -0,0 +1,267 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FileProvider } from "../../../../src/utils/storage/FileProvider.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const logger = {
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+};
+
+function createClosedTicket(provider) {
+  return provider
+    .createTicket({
+      ticketId: "TIX-123-0001",
+      guildId: "123",
+      channelId: "thread1",
+      userId: "user1",
+    })
+    .then(() => provider.closeTicket("TIX-123-0001", { closedBy: "staff1" }));
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+describe("FileProvider", () => {
+  let storagePath;
+  let provider;
+
+  beforeEach(() => {
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), "file-provider-"));
+    provider = new FileProvider(logger, storagePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  describe("Guild settings", () => {
+    it("should return defaults for guilds without settings", async () => {
+      const settings = await provider.getGuildSettings("123");
+      expect(settings.guildId).toBe("123");
+      expect(settings.experienceSystem.enabled).toBe(false);
+    });
+
+    it("should increment and reset nested counters", async () => {
+      expect(
+        await provider.incrementGuildCounter("123", "counters.ticket"),
+      ).toBe(1);
+      expect(
+        await provider.incrementGuildCounter("123", "counters.ticket"),
+      ).toBe(2);
+
+      await provider.resetGuildCounter("123", "counters.ticket");
+      const settings = await provider.getGuildSettings("123");
+      expect(settings.counters.ticket).toBe(0);
+    });
+  });
+
+  describe("Tickets", () => {
+    it("should create tickets and find them by channel and guild", async () => {
+      const ticket = await provider.createTicket({
+        ticketId: "TIX-123-0001",
+        guildId: "123",
+        channelId: "thread1",
+        userId: "user1",
+      });
+
+      expect(ticket.participants).toEqual(["user1"]);
+      expect(await provider.getTicketByChannel("thread1")).toMatchObject({
+        ticketId: "TIX-123-0001",
+        status: "open",
+      });
+      expect(await provider.countOpenTickets("123")).toBe(1);
+      expect(
+        await provider.getTicketsByGuild("123", { status: "closed" }),
+      ).toEqual([]);
+    });
+
+    it("should keep participants and tags unique", async () => {
+      await provider.createTicket({
+        ticketId: "TIX-123-0001",
+        guildId: "123",
+        channelId: "thread1",
+        userId: "user1",
+      });
+
+      await provider.addTicketParticipant("TIX-123-0001", "user2");
+      await provider.addTicketParticipant("TIX-123-0001", "user2");
+      await provider.addTicketTags("TIX-123-0001", ["billing", "urgent"]);
+      await provider.addTicketTags("TIX-123-0001", ["billing"]);
+
+      const ticket = await provider.getTicket("TIX-123-0001");
+      expect(ticket.participants).toEqual(["user1", "user2"]);
+      expect(ticket.tags).toEqual(["billing", "urgent"]);
+    });
+
+    it("should set nested SLA fields", async () => {
+      await provider.createTicket({
+        ticketId: "TIX-123-0001",
+        guildId: "123",
+        channelId: "thread1",
+        userId: "user1",
+      });
+
+      await provider.updateTicketSla("TIX-123-0001", {
+        "slaEscalations.firstResponse": true,
+      });
+
+      const ticket = await provider.getTicket("TIX-123-0001");
+      expect(ticket.slaEscalations).toEqual({ firstResponse: true });
+    });
+
+    it("should only rate closed tickets once", async () => {
+      await createClosedTicket(provider);
+
+      expect(
+        await provider.setTicketRating("TIX-123-0001", {
+          stars: 4,
+          feedback: null,
+        }),
+      ).toBe(true);
+      expect(
+        await provider.setTicketRating("TIX-123-0001", {
+          stars: 1,
+          feedback: null,
+        }),
+      ).toBe(false);
+      expect(
+        await provider.setTicketRatingFeedback("TIX-123-0001", "Quick help"),
+      ).toBe(true);
+      expect(
+        await provider.setTicketRatingFeedback("TIX-123-0001", "Changed"),
+      ).toBe(false);
+
+      const ticket = await provider.getTicket("TIX-123-0001");
+      expect(ticket.rating).toEqual({ stars: 4, feedback: "Quick help" });
+    });
+
+    it("should purge a guild's tickets and transcripts", async () => {
+      await createClosedTicket(provider);
+      await provider.createTicketTranscript({
+        transcriptId: "TRS-123-0001",
+        ticketId: "TIX-123-0001",
+        guildId: "123",
+        expiresAt: new Date(Date.now() - 1000),
+      });
+
+      expect(await provider.getExpiredTranscripts("123")).toHaveLength(1);
+
+      await provider.purgeGuildTickets("123");
+      expect(await provider.getTicket("TIX-123-0001")).toBeNull();
+      expect(await provider.getTicketTranscript("TRS-123-0001")).toBeNull();
+    });
+  });
+
+  describe("Ticket panel templates", () => {
+    it("should replace templates with the same name, ignoring case", async () => {
+      await provider.saveTicketPanelTemplate("user1", { name: "Support" });
+      await provider.saveTicketPanelTemplate("user1", { name: "SUPPORT" });
+      await provider.saveTicketPanelTemplate("user1", { name: "Billing" });
+
+      const templates = await provider.getTicketPanelTemplates("user1");
+      expect(templates.map(template => template.name)).toEqual([
+        "Billing",
+        "SUPPORT",
+      ]);
+      expect(await provider.deleteTicketPanelTemplate("user1", "support")).toBe(
+        true,
+      );
+    });
+  });
+
+  describe("Giveaways", () => {
+    const giveaway = () => ({
+      _id: "0123456789abcdef01234567",
+      guildId: "123",
+      shortId: "abcd1234",
+      status: "active",
+      entries: [{ userId: "user1", count: 1, joinedAt: new Date() }],
+      winnersData: [],
+      endTime: new Date("2030-01-01T00:00:00.000Z"),
+      updatedAt: new Date(),
+    });
+
+    it("should restore dates when reading giveaways back", async () => {
+      await provider.createGiveaway(giveaway());
+
+      const stored = await provider.getGiveawayByShortId("abcd1234");
+      expect(stored.endTime).toBeInstanceOf(Date);
+      expect(stored.endTime.toISOString()).toBe("2030-01-01T00:00:00.000Z");
+      expect(stored.entries[0].joinedAt).toBeInstanceOf(Date);
+      expect(await provider.getActiveGiveaways()).toHaveLength(1);
+    });
+
+    it("should update giveaways and mark winners claimed", async () => {
+      await provider.createGiveaway(giveaway());
+
+      const updated = await provider.updateGiveaway(
+        "0123456789abcdef01234567",
+        {
+          status: "ended",
+          winnersData: [{ userId: "user1", selectedAt: new Date() }],
+        },
+      );
+      expect(updated.status).toBe("ended");
+
+      expect(
+        await provider.markGiveawayWinnerClaimed(
+          "0123456789abcdef01234567",
+          "user2",
+        ),
+      ).toBe(false);
+      expect(
+        await provider.markGiveawayWinnerClaimed(
+          "0123456789abcdef01234567",
+          "user1",
+        ),
+      ).toBe(true);
+
+      const stored = await provider.getGiveawayById("0123456789abcdef01234567");
+      expect(stored.winnersData[0].claimed).toBe(true);
+      expect(stored.winnersData[0].claimedAt).toBeInstanceOf(Date);
+    });
+
+    it("should delete only old finished giveaways", async () => {
+      await provider.createGiveaway({
+        ...giveaway(),
+        status: "completed",
+        updatedAt: new Date("2020-01-01"),
+      });
+
+      expect(await provider.deleteOldGiveaways(["cancelled"], new Date())).toBe(
+        0,
+      );
+      expect(await provider.deleteOldGiveaways(["completed"], new Date())).toBe(
+        1,
+      );
+      expect(await provider.getGiveawaysByGuild("123")).toEqual([]);
+    });
+  });
+
+  describe("Role bundles", () => {
+    it("should store bundles per guild and reject duplicate names", async () => {
+      const bundle = {
+        guildId: "123",
+        name: "Starter",
+        roles: [{ roleId: "1", roleName: "Member" }],
+      };
+
+      await provider.createRoleBundle(bundle);
+      await provider.createRoleBundle({ ...bundle, guildId: "456" });
+      await expect(provider.createRoleBundle(bundle)).rejects.toThrow(
+        /already exists/,
+      );
+
+      expect(await provider.getRoleBundle("123", "Starter")).toMatchObject({
+        roles: bundle.roles,
+      });
+      expect(await provider.getRoleBundlesByGuild("123")).toHaveLength(1);
+      expect(await provider.deleteRoleBundle("123", "Starter")).toBe(true);
+      expect(await provider.getRoleBundle("123", "Starter")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FileProvider } from "../../../../src/utils/storage/FileProvider.js";
+
+// Guild settings that used to need MongoDB, stored in file storage instead
+const storage = vi.hoisted(() => ({ provider: null }));
+
+vi.mock("../../../../src/utils/storage/storageManager.js", () => ({
+  getStorageManager: vi.fn(async () => storage.provider),
+}));
+
+import {
+  loadEscalationPolicy,
+  setEscalationPolicy,
+} from "../../../../src/commands/admin/moderation/escalation.js";
+import {
+  loadModLogChannelId,
+  setModLogChannel,
+} from "../../../../src/commands/admin/moderation/cases.js";
+import {
+  getGuildTimezone,
+  setGuildTimezone,
+} from "../../../../src/utils/timezone.js";
+
+const logger = {
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+};
+
+describe("Guild settings on file storage", () => {
+  let storagePath;
+
+  beforeEach(() => {
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), "guild-settings-"));
+    storage.provider = new FileProvider(logger, storagePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  it("should save and load the escalation ladder", async () => {
+    const policy = {
+      steps: [{ warnings: 3, action: "kick" }],
+      windowDays: 30,
+    };
+
+    expect(await setEscalationPolicy("123", policy)).toBe(true);
+    const loaded = await loadEscalationPolicy("123");
+
+    expect(loaded.isCustom).toBe(true);
+    expect(loaded.policy).toMatchObject({
+      windowDays: 30,
+      steps: [{ warnings: 3, action: "kick" }],
+    });
+
+    await setEscalationPolicy("123", null);
+    expect((await loadEscalationPolicy("123")).isCustom).toBe(false);
+  });
+
+  it("should save and load the mod-log channel", async () => {
+    expect(await loadModLogChannelId("123")).toBeNull();
+
+    expect(await setModLogChannel("123", "456")).toBe(true);
+    expect(await loadModLogChannelId("123")).toBe("456");
+
+    await setModLogChannel("123", null);
+    expect(await loadModLogChannelId("123")).toBeNull();
+  });
+
+  it("should save and load the server timezone", async () => {
+    expect(await setGuildTimezone("123", "Asia/Tokyo")).toBe(true);
+    expect(await getGuildTimezone("123")).toBe("Asia/Tokyo");
+  });
+
+  it("should keep other guild settings when one is saved", async () => {
+    await setModLogChannel("123", "456");
+    await setGuildTimezone("123", "Europe/Berlin");
+    await setEscalationPolicy("123", {
+      steps: [{ warnings: 2, action: "ban" }],
+    });
+
+    const settings = await storage.provider.getGuildSettings("123");
+    expect(settings).toMatchObject({
+      moderationLogChannelId: "456",
+      timezone: "Europe/Berlin",
+      moderationEscalation: { steps: [{ warnings: 2, action: "ban" }] },
+    });
+  });
+});
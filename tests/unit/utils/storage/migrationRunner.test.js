@@ -0,0 +1,342 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  MigrationRunner,
+  MIGRATIONS_COLLECTION,
+} from "../../../../src/utils/storage/MigrationRunner.js";
+import {
+  normalizeRoleMapping,
+  RoleMappingRepository,
+} from "../../../../src/utils/storage/repositories/RoleMappingRepository.js";
+import { resolveEntryRoleIds } from "../../../../src/utils/discord/roleMappingManager.js";
+import * as normalizeRoleMappings from "../../../../src/utils/storage/migrations/001-normalize-role-mappings.js";
+import * as completeWelcomeGoodbyeSettings from "../../../../src/utils/storage/migrations/002-complete-welcome-goodbye-settings.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const logger = {
+  info: vi.fn(),
+  success: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+};
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field];
+    if (condition === null) return value === null || value === undefined;
+    if (condition instanceof Object && "$ne" in condition) {
+      return value !== condition.$ne;
+    }
+    if (condition instanceof Object && "$lt" in condition) {
+      return value < condition.$lt;
+    }
+    return value === condition;
+  });
+}
+
+function applyUpdate(doc, update) {
+  Object.assign(doc, update.$set);
+  for (const field of Object.keys(update.$unset || {})) delete doc[field];
+}
+
+/**
+ * In-memory stand-in for the parts of a MongoDB database migrations use
+ */
+function createMemoryDb(initial = {}) {
+  const collections = new Map(
+    Object.entries(initial).map(([name, docs]) => [name, [...docs]]),
+  );
+
+  return {
+    collections,
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, []);
+      const docs = collections.get(name);
+
+      const insert = doc => {
+        if (docs.some(existing => existing._id === doc._id)) {
+          throw Object.assign(new Error("E11000 duplicate key"), {
+            code: 11000,
+          });
+        }
+        docs.push(doc);
+      };
+      const updateOne = (filter, update, { upsert = false } = {}) => {
+        const doc = docs.find(existing => matches(existing, filter));
+        if (doc) return applyUpdate(doc, update);
+        if (!upsert) return;
+        const inserted = { _id: filter._id };
+        applyUpdate(inserted, update);
+        insert(inserted);
+      };
+
+      return {
+        find: (filter = {}) => ({
+          toArray: async () =>
+            docs.filter(doc => matches(doc, filter)).map(doc => ({ ...doc })),
+        }),
+        insertOne: async doc => insert({ ...doc }),
+        deleteOne: async filter => {
+          const index = docs.findIndex(doc => matches(doc, filter));
+          if (index !== -1) docs.splice(index, 1);
+        },
+        updateOne: async (...args) => updateOne(...args),
+        updateMany: async (filter, update) => {
+          docs
+            .filter(doc => matches(doc, filter))
+            .forEach(doc => applyUpdate(doc, update));
+        },
+        bulkWrite: async operations => {
+          for (const { updateOne: operation } of operations) {
+            updateOne(operation.filter, operation.update);
+          }
+        },
+      };
+    },
+  };
+}
+
+function createMigration(id, calls) {
+  return {
+    id,
+    description: `Migration ${id}`,
+    up: vi.fn(async () => calls.push(`up ${id}`)),
+    down: vi.fn(async () => calls.push(`down ${id}`)),
+  };
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+describe("MigrationRunner", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  function setup() {
+    const calls = [];
+    const db = createMemoryDb();
+    const migrations = ["001-a", "002-b", "003-c"].map(id =>
+      createMigration(id, calls),
+    );
+    return { calls, db, runner: new MigrationRunner(db, logger, migrations) };
+  }
+
+  it("should apply pending migrations in order and record them", async () => {
+    const { calls, db, runner } = setup();
+
+    expect(await runner.up()).toEqual(["001-a", "002-b", "003-c"]);
+    expect(await runner.up()).toEqual([]);
+
+    expect(calls).toEqual(["up 001-a", "up 002-b", "up 003-c"]);
+    expect(db.collections.get(MIGRATIONS_COLLECTION)).toEqual([
+      expect.objectContaining({ _id: "001-a", appliedAt: expect.any(Date) }),
+      expect.objectContaining({ _id: "002-b" }),
+      expect.objectContaining({ _id: "003-c" }),
+    ]);
+  });
+
+  it("should stop after the requested migration", async () => {
+    const { runner } = setup();
+
+    expect(await runner.up({ to: "002-b" })).toEqual(["001-a", "002-b"]);
+    expect(
+      (await runner.getStatus()).map(migration => !!migration.appliedAt),
+    ).toEqual([true, true, false]);
+    await expect(runner.up({ to: "999-x" })).rejects.toThrow(
+      "Unknown migration: 999-x",
+    );
+  });
+
+  it("should revert the newest applied migrations first", async () => {
+    const { calls, runner } = setup();
+    await runner.up({ to: "002-b" });
+
+    expect(await runner.down({ steps: 5 })).toEqual(["002-b", "001-a"]);
+    expect(calls.slice(2)).toEqual(["down 002-b", "down 001-a"]);
+    expect(await runner.getStatus()).toEqual(
+      expect.arrayContaining([expect.objectContaining({ appliedAt: null })]),
+    );
+    expect(await runner.down()).toEqual([]);
+  });
+
+  it("should not run while another process holds the lock", async () => {
+    const { calls, db, runner } = setup();
+    await db
+      .collection(MIGRATIONS_COLLECTION)
+      .insertOne({ _id: "__lock", lockedAt: new Date() });
+
+    await expect(runner.up()).rejects.toThrow("already running elsewhere");
+    expect(calls).toEqual([]);
+  });
+
+  it("should wait for the lock when asked to", async () => {
+    vi.useFakeTimers();
+    const { calls, db, runner } = setup();
+    const migrations = db.collection(MIGRATIONS_COLLECTION);
+    await migrations.insertOne({ _id: "__lock", lockedAt: new Date() });
+
+    const running = runner.up({ waitForLock: true });
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(calls).toEqual([]);
+
+    await migrations.deleteOne({ _id: "__lock" });
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(await running).toHaveLength(3);
+  });
+
+  it("should take over a lock left behind by a crashed run", async () => {
+    const { db, runner } = setup();
+    await db
+      .collection(MIGRATIONS_COLLECTION)
+      .insertOne({ _id: "__lock", lockedAt: new Date("2020-01-01") });
+
+    expect(await runner.up()).toHaveLength(3);
+    expect(
+      db.collections
+        .get(MIGRATIONS_COLLECTION)
+        .some(record => record._id === "__lock"),
+    ).toBe(false);
+  });
+});
+
+describe("normalizeRoleMapping", () => {
+  it("should unwrap double-nested roles and upgrade plain role IDs", () => {
+    const mapping = normalizeRoleMapping({
+      guildId: "123",
+      roles: {
+        roles: { "👍": "r1", "🔥": { roleId: "r2", limit: 3 } },
+        hideList: true,
+        selectionMode: "unique",
+      },
+    });
+
+    expect(mapping).toEqual({
+      roles: {
+        "👍": { emoji: "👍", roleId: "r1", roleIds: ["r1"] },
+        "🔥": { emoji: "🔥", roleId: "r2", roleIds: ["r2"], limit: 3 },
+      },
+      hideList: true,
+      selectionMode: "unique",
+      style: "reactions",
+    });
+  });
+
+  it("should lift settings mixed into the emoji map", () => {
+    const mapping = normalizeRoleMapping({
+      roles: {
+        "👍": { roleId: "r1", roleIds: ["r1", "r2"] },
+        style: "buttons",
+      },
+      title: "Pick roles",
+    });
+
+    expect(Object.keys(mapping.roles)).toEqual(["👍"]);
+    expect(mapping.roles["👍"].roleIds).toEqual(["r1", "r2"]);
+    expect(mapping.style).toBe("buttons");
+    expect(mapping.title).toBe("Pick roles");
+  });
+});
+
+describe("Role mapping reads", () => {
+  it("should normalize mappings written in an older shape", async () => {
+    const db = createMemoryDb({
+      role_mappings: [
+        { _id: "a", messageId: "msg1", roles: { roles: { "👍": "r1" } } },
+      ],
+    });
+    const cache = { get: () => null, set: vi.fn(), clear: vi.fn() };
+    const repository = new RoleMappingRepository(db, cache, logger);
+
+    const mappings = await repository.getAll();
+    expect(mappings.msg1).toMatchObject({
+      roles: { "👍": { roleId: "r1", roleIds: ["r1"] } },
+      style: "reactions",
+    });
+  });
+
+  it("should look up entries without role IDs by role name", () => {
+    const guild = {
+      roles: { cache: [{ id: "r9", name: "Red" }] },
+    };
+
+    expect(resolveEntryRoleIds({ roleIds: ["r1"] }, guild)).toEqual(["r1"]);
+    expect(
+      resolveEntryRoleIds({ roleIds: [], roleName: "Red" }, guild),
+    ).toEqual(["r9"]);
+    expect(resolveEntryRoleIds({ roleIds: [], name: "Blue" }, guild)).toEqual(
+      [],
+    );
+  });
+});
+
+describe("Schema migrations", () => {
+  it("should normalize stored role mappings and nest them again on down", async () => {
+    const db = createMemoryDb({
+      role_mappings: [
+        {
+          _id: "a",
+          messageId: "msg1",
+          roles: { roles: { "👍": "r1" }, hideList: true },
+        },
+      ],
+    });
+
+    await normalizeRoleMappings.up(db, logger);
+    const [normalized] = db.collections.get("role_mappings");
+    expect(normalized).toMatchObject({
+      messageId: "msg1",
+      roles: { "👍": { roleId: "r1", roleIds: ["r1"] } },
+      hideList: true,
+      selectionMode: "standard",
+    });
+
+    await normalizeRoleMappings.down(db);
+    const [nested] = db.collections.get("role_mappings");
+    expect(nested.roles.roles["👍"].roleIds).toEqual(["r1"]);
+    expect(nested.roles.hideList).toBe(true);
+    expect(nested.hideList).toBeUndefined();
+  });
+
+  it("should keep and report entries that only name their role", async () => {
+    const db = createMemoryDb({
+      role_mappings: [
+        { _id: "a", messageId: "msg1", roles: { "🔴": { roleName: "Red" } } },
+      ],
+    });
+    logger.warn.mockClear();
+
+    await normalizeRoleMappings.up(db, logger);
+
+    const [normalized] = db.collections.get("role_mappings");
+    expect(normalized.roles["🔴"]).toMatchObject({
+      roleName: "Red",
+      roleIds: [],
+    });
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining("msg1 🔴 → Red"),
+    );
+  });
+
+  it("should fill missing welcome and goodbye fields without overwriting", async () => {
+    const db = createMemoryDb({
+      welcome_settings: [
+        { _id: "w", guildId: "123", enabled: true, message: "Hi {user}" },
+      ],
+      goodbye_settings: [{ _id: "g", guildId: "123", embedColor: null }],
+    });
+
+    await completeWelcomeGoodbyeSettings.up(db);
+
+    const [welcome] = db.collections.get("welcome_settings");
+    expect(welcome).toMatchObject({
+      enabled: true,
+      message: "Hi {user}",
+      embedEnabled: true,
+      autoRoleId: null,
+    });
+    expect(welcome.embedColor).toEqual(expect.any(Number));
+    const [goodbye] = db.collections.get("goodbye_settings");
+    expect(goodbye.embedColor).toEqual(expect.any(Number));
+    expect(goodbye.message).toContain("left the server");
+  });
+});
@@ -0,0 +1,305 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ObjectId } from "mongodb";
+import { FileProvider } from "../../../../src/utils/storage/FileProvider.js";
+import { migrateStorage } from "../../../../src/utils/storage/storageMigration.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const logger = {
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+};
+
+function sameValue(a, b) {
+  return (
+    String(a instanceof Date ? a.toISOString() : a) ===
+    String(b instanceof Date ? b.toISOString() : b)
+  );
+}
+
+/**
+ * In-memory stand-in for the parts of a MongoDB database the migration uses
+ */
+function createMemoryDb(initial = {}) {
+  const collections = new Map(
+    Object.entries(initial).map(([name, docs]) => [name, [...docs]]),
+  );
+
+  return {
+    collections,
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, []);
+      const docs = collections.get(name);
+      return {
+        find: () => ({ toArray: async () => docs.map(doc => ({ ...doc })) }),
+        bulkWrite: vi.fn(async operations => {
+          for (const { replaceOne } of operations) {
+            const index = docs.findIndex(doc =>
+              Object.entries(replaceOne.filter).every(([field, value]) =>
+                sameValue(doc[field], value),
+              ),
+            );
+            if (index === -1) {
+              docs.push({ _id: new ObjectId(), ...replaceOne.replacement });
+            } else {
+              docs[index] = { _id: docs[index]._id, ...replaceOne.replacement };
+            }
+          }
+        }),
+      };
+    },
+    listCollections: () => ({
+      toArray: async () => [...collections.keys()].map(name => ({ name })),
+    }),
+  };
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+describe("migrateStorage", () => {
+  let storagePath;
+  let fileProvider;
+
+  beforeEach(() => {
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), "storage-migration-"));
+    fileProvider = new FileProvider(logger, storagePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  describe("file to MongoDB", () => {
+    beforeEach(async () => {
+      await fileProvider.setRoleMapping("msg1", "123", "chan1", { "👍": "r1" });
+      await fileProvider.addTemporaryRole(
+        "123",
+        "user1",
+        "role1",
+        "2030-01-01T00:00:00.000Z",
+        true,
+      );
+      await fileProvider.logModerationAction({
+        guildId: "123",
+        userId: "user1",
+        action: "warn",
+        caseId: "MOD-1",
+      });
+      await fileProvider.updateCoreCredits("user1", 5);
+    });
+
+    it("should flatten file layouts into MongoDB documents with dates", async () => {
+      const db = createMemoryDb();
+
+      const report = await migrateStorage({
+        from: "file",
+        to: "mongo",
+        fileProvider,
+        db,
+      });
+
+      expect(report.verified).toBe(true);
+      expect(db.collections.get("role_mappings")).toEqual([
+        expect.objectContaining({ messageId: "msg1", guildId: "123" }),
+      ]);
+      const [tempRole] = db.collections.get("temporary_roles");
+      expect(tempRole).toMatchObject({
+        guildId: "123",
+        userId: "user1",
+        roleId: "role1",
+        notifyExpiry: true,
+      });
+      expect(tempRole.expiresAt).toBeInstanceOf(Date);
+      expect(db.collections.get("moderation_logs")[0].timestamp).toBeInstanceOf(
+        Date,
+      );
+      expect(db.collections.get("core_credits")).toEqual([
+        expect.objectContaining({ userId: "user1", credits: 5 }),
+      ]);
+      expect(
+        fs.existsSync(path.join(storagePath, ".storage-migration.json")),
+      ).toBe(false);
+    });
+
+    it("should not duplicate documents when run again", async () => {
+      const db = createMemoryDb();
+      await migrateStorage({ from: "file", to: "mongo", fileProvider, db });
+
+      const report = await migrateStorage({
+        from: "file",
+        to: "mongo",
+        fileProvider,
+        db,
+      });
+
+      const moderation = report.collections.find(
+        entry => entry.collection === "moderation_logs",
+      );
+      expect(moderation).toMatchObject({ added: 0, unchanged: 1 });
+      expect(db.collections.get("moderation_logs")).toHaveLength(1);
+    });
+
+    it("should only report differences on a dry run", async () => {
+      const db = createMemoryDb({
+        role_mappings: [
+          { messageId: "msg1", guildId: "123", channelId: "old", roles: {} },
+        ],
+      });
+
+      const report = await migrateStorage({
+        from: "file",
+        to: "mongo",
+        fileProvider,
+        db,
+        dryRun: true,
+      });
+
+      expect(
+        report.collections.find(entry => entry.collection === "role_mappings"),
+      ).toMatchObject({ source: 1, targetBefore: 1, changed: 1 });
+      expect(
+        report.collections.find(
+          entry => entry.collection === "temporary_roles",
+        ),
+      ).toMatchObject({ added: 1, status: "dry-run" });
+      expect(report.verified).toBe(false);
+      expect(db.collections.get("temporary_roles")).toEqual([]);
+    });
+
+    it("should resume after the collections an interrupted run finished", async () => {
+      const db = createMemoryDb();
+      const collection = db.collection.bind(db);
+      db.collection = name => {
+        const target = collection(name);
+        if (name === "moderation_logs") {
+          target.bulkWrite = vi.fn().mockRejectedValue(new Error("timeout"));
+        }
+        return target;
+      };
+
+      await expect(
+        migrateStorage({ from: "file", to: "mongo", fileProvider, db }),
+      ).rejects.toThrow("timeout");
+
+      db.collection = collection;
+      const report = await migrateStorage({
+        from: "file",
+        to: "mongo",
+        fileProvider,
+        db,
+        resume: true,
+      });
+
+      const statuses = Object.fromEntries(
+        report.collections.map(entry => [entry.collection, entry.status]),
+      );
+      expect(statuses.role_mappings).toBe("skipped");
+      expect(statuses.moderation_logs).toBe("verified");
+      expect(report.verified).toBe(true);
+    });
+  });
+
+  describe("MongoDB to file", () => {
+    it("should store documents in the layouts FileProvider reads", async () => {
+      const giveawayId = new ObjectId();
+      const db = createMemoryDb({
+        temporary_roles: [
+          {
+            _id: new ObjectId(),
+            guildId: "123",
+            userIds: ["user1", "user2"],
+            roleId: "role1",
+            expiresAt: new Date("2030-01-01T00:00:00.000Z"),
+          },
+        ],
+        moderation_logs: [
+          {
+            _id: new ObjectId(),
+            guildId: "123",
+            userId: "user1",
+            action: "warn",
+            caseId: "MOD-1",
+            timestamp: new Date(),
+          },
+        ],
+        giveaways: [
+          {
+            _id: giveawayId,
+            guildId: "123",
+            status: "active",
+            entries: [],
+            winnersData: [],
+            endTime: new Date("2030-01-01T00:00:00.000Z"),
+          },
+        ],
+        users: [{ _id: new ObjectId(), discordId: "user1" }],
+      });
+
+      const report = await migrateStorage({
+        from: "mongo",
+        to: "file",
+        fileProvider,
+        db,
+      });
+
+      expect(report.verified).toBe(true);
+      expect(report.unsupported).toEqual(["users"]);
+
+      const tempRoles = await fileProvider.getTemporaryRoles();
+      expect(Object.keys(tempRoles["123"])).toEqual(["user1", "user2"]);
+      expect(tempRoles["123"].user1.role1.expiresAt).toBe(
+        "2030-01-01T00:00:00.000Z",
+      );
+
+      const [log] = await fileProvider.getModerationHistory("123", "user1");
+      expect(log).toMatchObject({ caseId: "MOD-1" });
+      expect(log._id).toBeUndefined();
+
+      const giveaway = await fileProvider.getGiveawayById(String(giveawayId));
+      expect(giveaway.endTime).toEqual(new Date("2030-01-01T00:00:00.000Z"));
+    });
+
+    it("should keep documents that only exist in the files", async () => {
+      await fileProvider.setRoleMapping("msg1", "123", "chan1", {});
+      const db = createMemoryDb({
+        role_mappings: [
+          { messageId: "msg2", guildId: "123", channelId: "chan2", roles: {} },
+        ],
+      });
+
+      await migrateStorage({
+        from: "mongo",
+        to: "file",
+        fileProvider,
+        db,
+        collections: ["role_mappings"],
+      });
+
+      expect(Object.keys(await fileProvider.getRoleMappings()).sort()).toEqual([
+        "msg1",
+        "msg2",
+      ]);
+    });
+  });
+
+  it("should reject invalid directions and unknown collections", async () => {
+    const db = createMemoryDb();
+
+    await expect(
+      migrateStorage({ from: "file", to: "file", fileProvider, db }),
+    ).rejects.toThrow('Cannot migrate from "file" to "file"');
+    await expect(
+      migrateStorage({
+        from: "file",
+        to: "mongo",
+        fileProvider,
+        db,
+        collections: ["nope"],
+      }),
+    ).rejects.toThrow("Unknown collections: nope");
+  });
+});